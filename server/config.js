@@ -14,7 +14,7 @@ export const VRM_BASE = 'https://vrmapi.victronenergy.com/v2';
 // InControl2 credentials
 export const IC2_CLIENT_ID = process.env.IC2_CLIENT_ID;
 export const IC2_CLIENT_SECRET = process.env.IC2_CLIENT_SECRET;
-export const IC2_BASE = 'https://api.ic.peplink.com';
+export const IC2_BASE = process.env.IC2_BASE_URL || 'https://api.ic.peplink.com';   // point at server/mockIc2.js for local testing
 export const IC2_ORG_ID = 'VdYVxn';
 export const IC2_GROUP_ID = 1;
 
@@ -43,13 +43,358 @@ export const WEATHER_CACHE_TTL = 60 * 60 * 1000; // 1 hour
 export const VRM_STALE_MS = 30 * 60 * 1000;
 
 // ============================================================
-// Trailer Hardware Specifications
+// Adaptive VRM polling: per-site cadence, per-site error backoff and a
+// fleet-wide request budget (VRM answers 429 when it is exceeded)
 // ============================================================
+export const POLL_SCHEDULER = {
+    tick_ms: 15 * 1000,                 // how often due sites are picked up
+    fast_ms: 60 * 1000,                 // alarm, low SOC, fast discharge, critical energy alert
+    watched_ms: 2 * 60 * 1000,          // open in TrailerDetail
+    normal_ms: 5 * 60 * 1000,
+    parked_ms: 15 * 60 * 1000,          // at headquarters
+    watch_ttl_ms: 10 * 60 * 1000,       // how long one detail-page view counts as watching
+    max_backoff_ms: 60 * 60 * 1000,     // cap on per-site error backoff
+    low_soc: 25,                        // SOC % below which a site polls fast
+    fast_discharge_hours: 24,           // hours to empty at current draw that counts as fast
+    requests_per_min: parseInt(process.env.VRM_REQUESTS_PER_MIN) || 120,
+    concurrency: 3,
+    default_retry_after_ms: 60 * 1000,  // 429 without a usable Retry-After header
+    post_poll_interval_ms: 2 * 60 * 1000, // alerts / history / GPS checks at most this often
+};
+
+// ============================================================
+// Simulator / replay mode (staging and demos without VRM/IC2 tokens).
+// Replays recorded site_snapshots + pepwave_snapshots — or a JSON fixture —
+// through the live ingest path instead of polling the cloud APIs.
+// ============================================================
+export const SIMULATOR = {
+    enabled: process.env.SIMULATOR_MODE === 'true',
+    fixture: process.env.SIMULATOR_FIXTURE || null,     // JSON file; DB history when unset
+    start: process.env.SIMULATOR_START || null,         // ISO date; default 7 days before end
+    end: process.env.SIMULATOR_END || null,             // ISO date; default latest recorded row
+    speed: parseFloat(process.env.SIMULATOR_SPEED) || 60, // simulated seconds per real second
+    step_ms: 5 * 60 * 1000,                             // one live poll interval per tick
+};
+
+// ============================================================
+// Threshold alert rules. Seeded into alert_rules on first start (and used
+// as-is without a database); edited from Settings → Notifications.
+// The defaults reproduce the checks that used to be hard-coded in
+// computeAlerts, the action queue and computeTechStatus.
+// ============================================================
+export const ALERT_RULE_OPERATORS = ['<', '<=', '>', '>=', '==', '!='];
+export const ALERT_RULE_SEVERITIES = ['critical', 'warning', 'caution', 'info'];
+export const ALERT_RULE_SCOPES = ['fleet', 'job_site', 'company', 'trailer'];
+export const ALERT_RULE_CHANNELS = ['action_queue', 'email'];
+
+export const DEFAULT_ALERT_RULES = [
+    { name: 'Energy deficit (caution)', metric: 'deficit_streak_days', operator: '>=', threshold: 2, severity: 'caution', channels: ['action_queue', 'email'] },
+    { name: 'Energy deficit (warning)', metric: 'deficit_streak_days', operator: '>=', threshold: 3, severity: 'warning', channels: ['action_queue', 'email'] },
+    { name: 'Energy deficit (critical)', metric: 'deficit_streak_days', operator: '>=', threshold: 5, severity: 'critical', channels: ['action_queue', 'email'] },
+    { name: 'Battery temp critical', metric: 'battery_temp', operator: '>', threshold: 45, hysteresis: 2, severity: 'critical', channels: ['action_queue'] },
+    { name: 'Critical battery', metric: 'battery_soc', operator: '<', threshold: 15, hysteresis: 2, severity: 'critical', channels: ['action_queue'] },
+    { name: 'Low battery', metric: 'battery_soc', operator: '<', threshold: 30, hysteresis: 2, severity: 'warning', channels: ['action_queue'] },
+    { name: 'Critical SOC', metric: 'battery_soc', operator: '<', threshold: 20, hysteresis: 2, severity: 'critical', channels: [] },
+    { name: 'Low SOC', metric: 'battery_soc', operator: '<', threshold: 40, hysteresis: 2, severity: 'caution', channels: [] },
+    { name: 'VRM alarm', metric: 'alarm_active', operator: '==', threshold: 1, severity: 'critical', channels: [] },
+    { name: 'VRM error', metric: 'error_active', operator: '==', threshold: 1, severity: 'critical', channels: [] },
+    { name: 'SOC critical within 3 days', metric: 'soc_days_to_critical', operator: '<=', threshold: 3, severity: 'critical', channels: [] },
+    { name: 'SOC declining', metric: 'soc_slope_per_day', operator: '<', threshold: -2, severity: 'caution', channels: [] },
+    { name: 'Forecast: critical SOC within 24h', metric: 'soc_forecast_hours_to_critical', operator: '<=', threshold: 24, severity: 'warning', channels: ['action_queue', 'email'] },
+    { name: 'Load above normal', metric: 'load_anomaly_sigma', operator: '>=', threshold: 3, duration_min: 60, hysteresis: 1, severity: 'caution', channels: ['action_queue'] },
+    { name: 'Load below normal', metric: 'load_anomaly_sigma', operator: '<=', threshold: -3, duration_min: 60, hysteresis: 1, severity: 'caution', channels: ['action_queue'] },
+];
+
+// Default rules added to databases seeded before they existed (once each)
+export const LATE_SEEDED_ALERT_RULES = ['Forecast: critical SOC within 24h', 'Load above normal', 'Load below normal'];
+
+// Alert lifecycle: critical alerts nobody has acknowledged after
+// escalation_hours go to ALERT_ESCALATION_RECIPIENTS
+export const ALERT_LIFECYCLE = {
+    escalation_hours: parseFloat(process.env.ALERT_ESCALATION_HOURS) || 4,
+    max_snooze_days: 30,
+};
+
+// ============================================================
+// Notification dedupe windows, per notification type. A notification for
+// the same type + entity is not re-sent inside its window; the last-sent
+// times live in notification_log so redeploys don't re-send everything.
+// Override with NOTIFICATION_WINDOWS="geofence=720,alert=180" (minutes).
+// ============================================================
+const NOTIFICATION_WINDOW_DEFAULTS_MIN = {
+    alert: 6 * 60,          // energy deficit opened (per site)
+    rule_alert: 6 * 60,     // threshold rule fired (per rule + site)
+    resolved: 60,           // alert resolved (per site) — damps flapping
+    geofence: 24 * 60,      // geofence breach (per site)
+    mention: 15,            // @mention (per note + user)
+    maintenance: 24 * 60,   // maintenance due / overdue reminder (per visit + user)
+    rental: 60,             // rental called off (per rental + user)
+    data_usage: 24 * 60,    // data plan threshold crossed (per plan / SIM, cycle and threshold)
+    digest: 20 * 60,        // scheduled fleet digest
+};
+
+function parseNotificationWindows(raw) {
+    const windows = { ...NOTIFICATION_WINDOW_DEFAULTS_MIN };
+    for (const pair of (raw || '').split(',')) {
+        const [type, minutes] = pair.split('=').map(p => p.trim());
+        if (type && Number.isFinite(parseFloat(minutes))) windows[type] = parseFloat(minutes);
+    }
+    return Object.fromEntries(Object.entries(windows).map(([type, min]) => [type, min * 60 * 1000]));
+}
+
+export const NOTIFICATION_WINDOWS_MS = parseNotificationWindows(process.env.NOTIFICATION_WINDOWS);
+
+// Per-user notification preferences (Settings → General → My Notifications).
+// Users pick event types per channel and subscribe to job sites, companies
+// or trailers; ALERT_EMAIL_RECIPIENTS stays as the fleet-wide ops list.
+export const NOTIFICATION_EVENT_TYPES = ['energy_deficit', 'alert_rule', 'geofence_breach', 'maintenance_due', 'rental_calloff', 'mention', 'data_usage'];
+export const NOTIFICATION_CHANNELS = ['in_app', 'email', 'sms'];
+export const NOTIFICATION_SCOPES = ['job_site', 'company', 'trailer'];
+// Users who never saved preferences keep the old behaviour
+export const DEFAULT_NOTIFICATION_CHANNELS = { mention: ['in_app', 'email'] };
+
+// ============================================================
+// Outbound webhooks (Settings → System → Webhooks). Each delivery is an
+// HMAC-SHA256 signed JSON POST, retried with exponential backoff.
+// ============================================================
+export const WEBHOOK_EVENTS = [
+    'alert.opened',
+    'alert.resolved',
+    'geofence.breach',
+    'gps.suggestion.created',
+    'gps.suggestion.resolved',
+    'rental.event',
+    'maintenance.status_changed',
+    'data_usage.threshold',
+];
+
+export const WEBHOOK_DELIVERY = {
+    timeout_ms: 10 * 1000,
+    max_attempts: 8,
+    base_delay_ms: 30 * 1000,           // 30s, 1m, 2m, 4m ... capped below
+    max_delay_ms: 60 * 60 * 1000,
+    retry_tick_ms: 30 * 1000,           // how often due retries are picked up
+    log_retention_days: 30,
+};
+
+// Live updates over Server-Sent Events (/api/stream). Snapshot and Pepwave
+// changes are batched for flush_ms; the last replay_size events are kept so
+// a reconnecting client (Last-Event-ID) only gets what it missed.
+export const LIVE_STREAM = {
+    heartbeat_ms: 25 * 1000,            // comment line so proxies keep the connection open
+    flush_ms: 500,
+    replay_size: 500,
+    retry_ms: 5 * 1000,                 // EventSource reconnect delay
+    token_ttl_s: 60,                    // stream token only has to open the connection
+};
+
+// ============================================================
+// Trailer Hardware Specifications — the built-in BV1305 profile. Seeded
+// into hardware_profiles; per-trailer specs come from there (see
+// services/hardwareProfiles.js). Used as-is without a database.
+// ============================================================
+export const DEFAULT_PRODUCT_CODE = 'BV1305';
+export const BATTERY_CHEMISTRIES = ['LiFePO4', 'AGM', 'Gel', 'Flooded lead-acid', 'NMC'];
+
 export const TRAILER_SPECS = {
     solar: { panels: 3, panel_watts: 435, total_watts: 1305, system_efficiency: 0.70 },
     battery: { chemistry: 'LiFePO4', count: 2, config: 'parallel', ah_per_battery: 230, voltage: 25.6, total_ah: 460, total_wh: 11776, min_soc_threshold: 20, usable_wh: 9421 },
 };
 
+// ============================================================
+// 72-hour SOC forecast: hourly forecast radiation × the trailer's own
+// yield per peak-sun-hour, minus its learned load profile, integrated
+// from the current SOC.
+// ============================================================
+export const SOC_FORECAST = {
+    horizon_hours: 72,
+    history_days: 14,                   // yield-per-PSH lookback
+    refresh_ms: 10 * 60 * 1000,         // fleet forecasts recomputed at most this often
+    charge_efficiency: 0.95,            // surplus solar that ends up in the battery
+};
+
+// Learned hour-of-week load profile per trailer (mean + spread of the load
+// for each of the 168 UTC hours of the week) and the anomaly score against
+// it: (actual − expected) / max(stddev, floor_w, floor_pct × expected).
+export const LOAD_PROFILE = {
+    history_days: 28,
+    refresh_ms: 6 * 60 * 60 * 1000,     // profiles re-learned this often
+    min_samples: 12,                    // per hour-of-week bin (~1 hour of 5-min data)
+    sigma_floor_w: 10,
+    sigma_floor_pct: 0.15,
+};
+
+// Panel soiling / shading detection. Only clear days (actual PSH ≥
+// clear_sky_index × clear-sky PSH) and unthrottled hours count; each hour's
+// output is compared with the clear-sky curve scaled to that day.
+export const PANEL_HEALTH = {
+    history_days: 21,
+    refresh_ms: 6 * 60 * 60 * 1000,
+    clear_sky_index: 0.75,
+    min_clear_days: 4,
+    min_hours_per_day: 3,               // usable (unthrottled, bright) hours for a day to count
+    min_hour_fraction: 0.3,             // hours below this share of the day's peak are dawn/dusk noise
+    healthy_ratio: 0.85,                // delivered ÷ expected at or above this is healthy
+    recent_days: 3,                     // clear days in the current level
+    fault_step: 0.25,                   // sudden drop in ratio between clear days → hardware
+    fault_floor: 0.15,                  // near-zero output on a clear day → hardware
+    shade_hour_ratio: 0.7,              // an hour this far below the day's best hours is shaded
+    soiling_min_decline_pct_week: 1,    // gradual loss that marks soiling with high confidence
+    cleaning_template: 'Panel Cleaning', // issue template suggested for soiling
+};
+
+// Battery state of health, per bank, from a day of site_snapshots:
+// equivalent full cycles = discharged Ah / rated Ah; capacity = net Ah over
+// the day's largest SOC drop ÷ that drop. SoH is the median capacity over
+// lookback_days against rated; end of life is whichever comes first of the
+// SoH trend reaching eol_soh_pct or the chemistry's rated cycle life.
+export const BATTERY_HEALTH = {
+    eol_soh_pct: 80,
+    min_soc_drop_pct: 20,               // smaller drops are too noisy for a capacity estimate
+    max_gap_min: 15,                    // samples further apart don't integrate current
+    lookback_days: 30,                  // capacity estimates in the current SoH
+    trend_days: 180,                    // SoH trend window for the end-of-life projection
+    min_trend_points: 10,
+    max_eol_years: 30,                  // projections further out are reported as none
+    load_current_a: 5,                  // discharge above this counts as "under load" for sag
+    hot_temp_c: 35,
+    very_hot_temp_c: 45,
+    cold_temp_c: 0,
+    cycle_life: { 'LiFePO4': 4000, 'AGM': 500, 'Gel': 600, 'Flooded lead-acid': 800, 'NMC': 1500 },
+};
+
+// Irradiance history per location (0.1° grid, same key as the weather
+// cache), from the Open-Meteo archive or an imported CSV. Monthly normals
+// replace the flat 5 PSH / astronomical fallback when the forecast API
+// fails, and past days' expected yield is re-stamped from the day's
+// actual irradiance once the archive has it (ERA5 lags ~5 days).
+export const IRRADIANCE = {
+    history_years: 3,
+    archive_lag_days: 5,
+    sync_interval_ms: 24 * 60 * 60 * 1000,
+    request_gap_ms: 1100,               // Open-Meteo free tier: stay under 1 req/s
+    restamp_days: 30,                   // past days re-scored after each sync
+    min_normal_days: 20,                // days of a calendar month before its normal is used
+};
+
+// What-if energy planner: a trailer's or job site's current load plus
+// proposed extra loads against a year of solar at its location. A month's
+// PSH comes from the location's irradiance history, else the trailer's own
+// expected_yield history when there are enough days of it, else
+// extraterrestrial irradiance × clearness_index.
+export const ENERGY_PLANNER = {
+    history_days: 365,
+    min_history_days: 5,                // recorded days a month needs before history replaces the model
+    clearness_index: 0.5,               // share of top-of-atmosphere irradiance reaching a tilted panel
+    load_history_days: 14,              // daily-average fallback when there's no learned profile
+    max_loads: 25,
+};
+
+// Daily consumption estimates. Every poll computes all three — the CE
+// diagnostic, integrated DC load power and the SOC delta — and reconciles
+// them into consumed_wh with a 0–1 confidence. Poll gaps longer than
+// max_interval_ms (server down, redeploy) are filled from VRM's kWh stats
+// instead of being lost. A deficit day below min_deficit_confidence, or
+// whose deficit is smaller than consumed × (1 − confidence) ×
+// uncertainty_margin, doesn't count toward the deficit streak.
+export const CONSUMPTION = {
+    max_interval_ms: 20 * 60 * 1000,    // parked trailers poll every 15 min; longer is a gap
+    ce_confidence: 0.9,
+    ce_after_sync_confidence: 0.4,      // CE restarts from 0 when the battery syncs at 100% SOC
+    sync_soc: 99.5,
+    dc_confidence: 0.85,                // with the whole day covered; scaled by coverage
+    min_dc_coverage: 0.25,              // below this the DC total isn't extrapolated
+    soc_confidence: 0.5,
+    agree_pct: 15,                      // estimates within this spread corroborate each other
+    disagree_pct: 35,                   // beyond this only the strongest is used, at reduced confidence
+    disagree_factor: 0.7,
+    min_deficit_confidence: 0.5,
+    uncertainty_margin: 0.3,
+    gap_fills_per_round: 3,             // VRM stats requests per post-poll round
+    gap_interval: '15mins',
+};
+
+// VRM history backfill (admin job): holes in site_snapshots longer than
+// min_gap_ms are rebuilt from /installations/:id/stats — kWh, SOC and
+// voltage at stats_interval — and flagged backfilled, then the affected
+// days' analytics metrics, consumption and deficit streaks are recomputed.
+export const VRM_BACKFILL = {
+    default_days: 7,
+    max_days: 30,
+    min_gap_ms: 30 * 60 * 1000,         // parked trailers poll every 15 min
+    stats_interval: '15mins',
+    request_gap_ms: 2000,               // between stats requests; live polling keeps priority
+};
+
+// Tiered telemetry retention. Raw snapshots are kept for the retention_days
+// setting, hourly min / avg / max rollups for hourly_days, daily rollups
+// forever. History reads pick the finest tier that covers the requested
+// range without returning more than the span limits allow.
+export const TELEMETRY_ROLLUP = {
+    hourly_days: 365,
+    raw_max_span_days: 31,              // longer ranges read hourly rollups
+    hourly_max_span_days: 400,          // longer ranges read daily rollups
+    interval_ms: 60 * 60 * 1000,        // roll up completed hours this often
+    chunk_days: 7,                      // raw rows aggregated per query on the first run
+};
+
+// Carrier analytics over the hourly Pepwave rollups. A carrier's score
+// weights signal (RSRP mapped -120..-80 dBm → 0..100) against uptime.
+export const NETWORK_ANALYTICS = {
+    default_days: 30,
+    max_days: 365,
+    region_grid_deg: 1,                 // ~100 km cells for the region view
+    min_hours: 24,                      // device hours on a carrier before it counts
+    signal_weight: 0.6,
+    uptime_weight: 0.4,
+    weaker_rsrp_db: 6,                  // flag a SIM this far below the best local carrier
+    trend_days: 30,
+    trend_min_days: 10,
+    degrading_db_per_week: -1.5,        // RSRP slope that counts as degradation
+};
+
+// Cellular data plans. Projection = cycle usage so far + the average of
+// the last trend_days complete days × days left in the cycle.
+export const DATA_PLANS = {
+    trend_days: 7,
+    default_thresholds: [75, 90, 100],  // % of cap, per plan
+    min_projection_days: 3,             // days into the cycle before projected overage alerts
+    check_interval_ms: 60 * 60 * 1000,
+};
+
+// Remote router actions through IC2. Paths are relative to IC2_BASE;
+// {org} {group} {id} {wan} {sim} are filled per request. A prepared
+// action must be confirmed by the same user within confirm_ttl_ms.
+export const ROUTER_ACTIONS = {
+    confirm_ttl_ms: 2 * 60 * 1000,
+    cooldown_ms: 60 * 1000,             // per device and action, against double clicks
+    paths: {
+        reboot: '/rest/o/{org}/g/{group}/d/{id}/reboot',
+        reset_cellular: '/rest/o/{org}/g/{group}/d/{id}/wan/{wan}/cellular/reset',
+        switch_sim: '/rest/o/{org}/g/{group}/d/{id}/wan/{wan}/cellular/sim/{sim}',
+        refresh_gps: '/rest/o/{org}/g/{group}/d/{id}/loc',
+    },
+};
+
+// Connectivity SLA from persisted device outages. Availability per UTC
+// month = 1 - offline time / time the device was tracked that month.
+export const WAN_AVAILABILITY = {
+    sla_target_pct: 99.5,
+    default_months: 3,
+    max_months: 24,
+    timeline_days: 30,                  // default outage timeline window
+    max_timeline_days: 730,
+};
+
+// Pepwave inventory sync. Runs after an IC2 poll at most every
+// sync_interval_ms. The config profile is read from a device tag starting
+// with profile_tag_prefix (e.g. "profile:standard-camera").
+export const INVENTORY = {
+    sync_interval_ms: 60 * 60 * 1000,
+    profile_tag_prefix: 'profile:',
+    changes_days: 90,                   // default window of the change history
+};
+
 // ============================================================
 // Solar Score Configuration defaults (overridable from Settings)
 // ============================================================
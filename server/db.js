@@ -22,3 +22,14 @@ export * from './db/users.js';
 export * from './db/actions.js';
 export * from './db/notifications.js';
 export * from './db/rentals.js';
+export * from './db/pollHealth.js';
+export * from './db/alertRules.js';
+export * from './db/notificationLog.js';
+export * from './db/notificationPrefs.js';
+export * from './db/webhooks.js';
+export * from './db/hardwareProfiles.js';
+export * from './db/batteryHealth.js';
+export * from './db/irradiance.js';
+export * from './db/dataPlans.js';
+export * from './db/wanEvents.js';
+export * from './db/inventory.js';
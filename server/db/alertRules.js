@@ -0,0 +1,55 @@
+import { pool } from './core.js';
+
+// ============================================================
+// Threshold alert rules (evaluated by services/alertRules.js)
+// ============================================================
+
+export async function getAlertRules() {
+    if (!pool) return [];
+    const result = await pool.query(`SELECT * FROM alert_rules ORDER BY metric, threshold, id`);
+    return result.rows;
+}
+
+export async function insertAlertRule(rule) {
+    if (!pool) return null;
+    const result = await pool.query(
+        `INSERT INTO alert_rules (name, metric, operator, threshold, duration_min, hysteresis, severity,
+                                  scope_type, scope_id, channels, enabled, created_by)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12) RETURNING *`,
+        [rule.name, rule.metric, rule.operator, rule.threshold, rule.duration_min || 0, rule.hysteresis || 0,
+        rule.severity, rule.scope_type || 'fleet', rule.scope_id ?? null, JSON.stringify(rule.channels || []),
+        rule.enabled !== false, rule.created_by || null]
+    );
+    return result.rows[0];
+}
+
+export async function updateAlertRule(id, updates) {
+    if (!pool) return null;
+    const fields = [];
+    const values = [];
+    let idx = 1;
+    for (const [key, val] of Object.entries(updates)) {
+        if (['name', 'metric', 'operator', 'threshold', 'duration_min', 'hysteresis', 'severity', 'scope_type', 'scope_id', 'enabled'].includes(key)) {
+            fields.push(`${key} = $${idx++}`);
+            values.push(val);
+        } else if (key === 'channels') {
+            fields.push(`channels = $${idx++}`);
+            values.push(JSON.stringify(val || []));
+        }
+    }
+    if (fields.length === 0) return null;
+    fields.push(`updated_at = $${idx++}`);
+    values.push(Date.now());
+    values.push(id);
+    const result = await pool.query(
+        `UPDATE alert_rules SET ${fields.join(', ')} WHERE id = $${idx} RETURNING *`,
+        values
+    );
+    return result.rows[0] || null;
+}
+
+export async function deleteAlertRule(id) {
+    if (!pool) return null;
+    const result = await pool.query(`DELETE FROM alert_rules WHERE id = $1 RETURNING *`, [id]);
+    return result.rows[0] || null;
+}
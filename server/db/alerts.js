@@ -1,38 +1,166 @@
 import { pool } from './core.js';
 
-export async function getActiveAlerts() {
+const ALERT_SELECT = `
+    SELECT ah.*, ar.name AS rule_name,
+           ua.display_name AS acknowledged_by_name,
+           ut.display_name AS assigned_to_name,
+           ur.display_name AS resolved_by_name
+    FROM alert_history ah
+    LEFT JOIN alert_rules ar ON ah.rule_id = ar.id
+    LEFT JOIN users ua ON ah.acknowledged_by = ua.id
+    LEFT JOIN users ut ON ah.assigned_to = ut.id
+    LEFT JOIN users ur ON ah.resolved_by = ur.id`;
+
+// Alerts whose condition still holds (including ones a user already marked
+// resolved). alert_type: 'energy_deficit' (computeAlerts) or 'rule'.
+export async function getActiveAlerts(alertType = null) {
+    if (!pool) return [];
+    const result = await pool.query(
+        `${ALERT_SELECT}
+         WHERE ah.resolved_at IS NULL AND ($1::text IS NULL OR ah.alert_type = $1)
+         ORDER BY ah.created_at DESC`,
+        [alertType]
+    );
+    return result.rows;
+}
+
+export async function getAlertById(id) {
+    if (!pool) return null;
+    const result = await pool.query(`${ALERT_SELECT} WHERE ah.id = $1`, [id]);
+    return result.rows[0] || null;
+}
+
+// Open alerts plus the last `days` of closed ones for one trailer
+export async function getSiteAlerts(siteId, days = 30) {
     if (!pool) return [];
     const result = await pool.query(
-        `SELECT * FROM alert_history WHERE resolved_at IS NULL ORDER BY created_at DESC`
+        `${ALERT_SELECT}
+         WHERE ah.site_id = $1
+           AND (ah.resolved_at IS NULL OR ah.created_at >= NOW() - INTERVAL '1 day' * $2)
+         ORDER BY ah.resolved_at IS NULL DESC, ah.created_at DESC`,
+        [siteId, days]
     );
     return result.rows;
 }
 
-export async function insertAlertHistory(siteId, siteName, severity, streakDays, deficitWh) {
+export async function insertAlertHistory(siteId, siteName, severity, streakDays, deficitWh, ruleId = null) {
     if (!pool) return null;
     const result = await pool.query(
-        `INSERT INTO alert_history (site_id, site_name, severity, streak_days, deficit_wh)
-         VALUES ($1, $2, $3, $4, $5) RETURNING *`,
-        [siteId, siteName, severity, streakDays, deficitWh]
+        `INSERT INTO alert_history (site_id, site_name, severity, streak_days, deficit_wh, rule_id, metric)
+         VALUES ($1, $2, $3, $4, $5, $6, 'deficit_streak_days') RETURNING *`,
+        [siteId, siteName, severity, streakDays, deficitWh, ruleId]
     );
     return result.rows[0];
 }
 
+// Condition cleared. A user's explicit resolution keeps its status.
 export async function resolveAlert(siteId) {
     if (!pool) return;
     await pool.query(
-        `UPDATE alert_history SET resolved_at = NOW() WHERE site_id = $1 AND resolved_at IS NULL`,
+        `UPDATE alert_history
+         SET resolved_at = NOW(), snoozed_until = NULL,
+             status = CASE WHEN status = 'resolved' THEN status ELSE 'auto_resolved' END
+         WHERE site_id = $1 AND resolved_at IS NULL AND alert_type = 'energy_deficit'`,
         [siteId]
     );
 }
 
-export async function getAlertHistory(days = 30) {
+// Streak grew (or shrank) while the alert stayed open
+export async function updateAlertSeverity(id, severity, streakDays, deficitWh) {
+    if (!pool) return;
+    await pool.query(
+        `UPDATE alert_history SET severity = $2, streak_days = $3, deficit_wh = $4 WHERE id = $1`,
+        [id, severity, streakDays, deficitWh]
+    );
+}
+
+export async function insertRuleAlert({ siteId, siteName, severity, ruleId, metric, value }) {
+    if (!pool) return null;
+    const result = await pool.query(
+        `INSERT INTO alert_history (site_id, site_name, severity, streak_days, alert_type, rule_id, metric, value)
+         VALUES ($1, $2, $3, 0, 'rule', $4, $5, $6) RETURNING *`,
+        [siteId, siteName, severity, ruleId, metric, value]
+    );
+    return result.rows[0];
+}
+
+export async function resolveRuleAlert(id) {
+    if (!pool) return;
+    await pool.query(
+        `UPDATE alert_history
+         SET resolved_at = NOW(), snoozed_until = NULL,
+             status = CASE WHEN status = 'resolved' THEN status ELSE 'auto_resolved' END
+         WHERE id = $1 AND resolved_at IS NULL`,
+        [id]
+    );
+}
+
+// ============================================================
+// Alert lifecycle (acknowledge / assign / snooze / resolve)
+// ============================================================
+
+export async function updateAlertLifecycle(id, updates) {
+    if (!pool) return null;
+    const fields = [];
+    const values = [];
+    let idx = 1;
+    for (const [key, val] of Object.entries(updates)) {
+        if (['status', 'acknowledged_at', 'acknowledged_by', 'assigned_to', 'assigned_at', 'snoozed_until',
+            'resolved_by', 'resolution_note', 'escalated_at'].includes(key)) {
+            fields.push(`${key} = $${idx++}`);
+            values.push(val);
+        }
+    }
+    if (fields.length === 0) return null;
+    values.push(id);
+    const result = await pool.query(
+        `UPDATE alert_history SET ${fields.join(', ')} WHERE id = $${idx} RETURNING id`,
+        values
+    );
+    return result.rows[0] ? getAlertById(id) : null;
+}
+
+// Snoozes that ran out fall back to where the alert was before
+export async function wakeSnoozedAlerts() {
+    if (!pool) return [];
+    const result = await pool.query(
+        `UPDATE alert_history
+         SET snoozed_until = NULL,
+             status = CASE WHEN assigned_to IS NOT NULL THEN 'assigned'
+                           WHEN acknowledged_at IS NOT NULL THEN 'acknowledged'
+                           ELSE 'open' END
+         WHERE status = 'snoozed' AND snoozed_until <= NOW() AND resolved_at IS NULL
+         RETURNING id`
+    );
+    return result.rows;
+}
+
+export async function getAlertsToEscalate(hours) {
+    if (!pool) return [];
+    const result = await pool.query(
+        `${ALERT_SELECT}
+         WHERE ah.status = 'open' AND ah.severity = 'critical'
+           AND ah.resolved_at IS NULL AND ah.escalated_at IS NULL
+           AND ah.created_at <= NOW() - INTERVAL '1 hour' * $1
+         ORDER BY ah.created_at`,
+        [hours]
+    );
+    return result.rows;
+}
+
+export async function markAlertsEscalated(ids) {
+    if (!pool || ids.length === 0) return;
+    await pool.query(`UPDATE alert_history SET escalated_at = NOW() WHERE id = ANY($1::int[])`, [ids]);
+}
+
+export async function getAlertHistory(days = 30, alertType = null) {
     if (!pool) return [];
     const result = await pool.query(
         `SELECT * FROM alert_history
          WHERE created_at >= NOW() - INTERVAL '1 day' * $1
+           AND ($2::text IS NULL OR alert_type = $2)
          ORDER BY created_at DESC`,
-        [days]
+        [days, alertType]
     );
     return result.rows;
 }
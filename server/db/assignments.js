@@ -3,7 +3,7 @@ import { pool } from './core.js';
 export async function getTrailerAssignments() {
     if (!pool) return [];
     const result = await pool.query(
-        `SELECT ta.*, js.name as job_site_name
+        `SELECT ta.*, js.name as job_site_name, js.is_headquarters AS at_headquarters, js.company_id
          FROM trailer_assignments ta
          LEFT JOIN job_sites js ON ta.job_site_id = js.id
          ORDER BY ta.site_name`
@@ -0,0 +1,95 @@
+import { pool } from './core.js';
+
+// ============================================================
+// Battery state of health (daily rows per bank)
+// ============================================================
+const HEALTH_COLUMNS = `site_id, to_char(date, 'YYYY-MM-DD') AS date, bank, rated_ah, discharge_ah, charge_ah, efc,
+    soc_drop_pct, capacity_ah_est, resistance_mohm, min_voltage_under_load, avg_temp, max_temp,
+    hours_hot, hours_very_hot, hours_cold, samples, soh_pct, cycle_count,
+    to_char(projected_eol, 'YYYY-MM-DD') AS projected_eol, computed_at`;
+
+// One UTC day of battery telemetry for every site, in time order
+export async function getBatterySamplesForDay(dateStr) {
+    if (!pool) return [];
+    const dayStart = new Date(dateStr + 'T00:00:00Z').getTime();
+    const result = await pool.query(
+        `SELECT site_id, timestamp, battery_soc, battery_voltage, battery_current, battery_temp, consumed_ah
+         FROM site_snapshots
+         WHERE timestamp >= $1 AND timestamp < $2
+         ORDER BY site_id, timestamp`,
+        [dayStart, dayStart + 86400000]
+    );
+    return result.rows;
+}
+
+export async function upsertBatteryHealthDay(row) {
+    if (!pool) return null;
+    const result = await pool.query(
+        `INSERT INTO battery_health_daily
+         (site_id, date, bank, rated_ah, discharge_ah, charge_ah, efc, soc_drop_pct, capacity_ah_est,
+          resistance_mohm, min_voltage_under_load, avg_temp, max_temp, hours_hot, hours_very_hot, hours_cold,
+          samples, soh_pct, cycle_count, projected_eol, computed_at)
+         VALUES ($1, $2::date, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18, $19, $20, $21)
+         ON CONFLICT (site_id, date, bank) DO UPDATE SET
+            rated_ah = EXCLUDED.rated_ah,
+            discharge_ah = EXCLUDED.discharge_ah,
+            charge_ah = EXCLUDED.charge_ah,
+            efc = EXCLUDED.efc,
+            soc_drop_pct = EXCLUDED.soc_drop_pct,
+            capacity_ah_est = EXCLUDED.capacity_ah_est,
+            resistance_mohm = EXCLUDED.resistance_mohm,
+            min_voltage_under_load = EXCLUDED.min_voltage_under_load,
+            avg_temp = EXCLUDED.avg_temp,
+            max_temp = EXCLUDED.max_temp,
+            hours_hot = EXCLUDED.hours_hot,
+            hours_very_hot = EXCLUDED.hours_very_hot,
+            hours_cold = EXCLUDED.hours_cold,
+            samples = EXCLUDED.samples,
+            soh_pct = EXCLUDED.soh_pct,
+            cycle_count = EXCLUDED.cycle_count,
+            projected_eol = EXCLUDED.projected_eol,
+            computed_at = EXCLUDED.computed_at
+         RETURNING ${HEALTH_COLUMNS}`,
+        [row.site_id, row.date, row.bank || 'main', row.rated_ah, row.discharge_ah, row.charge_ah, row.efc,
+        row.soc_drop_pct, row.capacity_ah_est, row.resistance_mohm, row.min_voltage_under_load,
+        row.avg_temp, row.max_temp, row.hours_hot, row.hours_very_hot, row.hours_cold,
+        row.samples, row.soh_pct ?? null, row.cycle_count ?? null, row.projected_eol ?? null, Date.now()]
+    );
+    return result.rows[0];
+}
+
+// Every stored day for one bank, oldest first (dates as YYYY-MM-DD)
+export async function getBatteryHealthHistory(siteId, bank = 'main', sinceDate = null) {
+    if (!pool) return [];
+    const result = await pool.query(
+        `SELECT ${HEALTH_COLUMNS}
+         FROM battery_health_daily
+         WHERE site_id = $1 AND bank = $2 AND ($3::date IS NULL OR date >= $3::date)
+         ORDER BY date ASC`,
+        [siteId, bank, sinceDate]
+    );
+    return result.rows;
+}
+
+// Latest row per site and bank, for fleet replacement planning
+export async function getLatestBatteryHealth() {
+    if (!pool) return [];
+    const result = await pool.query(
+        `SELECT DISTINCT ON (site_id, bank) ${HEALTH_COLUMNS}
+         FROM battery_health_daily
+         WHERE soh_pct IS NOT NULL OR cycle_count IS NOT NULL
+         ORDER BY site_id, bank, battery_health_daily.date DESC`
+    );
+    return result.rows;
+}
+
+export async function getBatteryComponents(siteIds = null) {
+    if (!pool) return [];
+    const result = await pool.query(
+        `SELECT * FROM trailer_components
+         WHERE component_type = 'battery' AND status = 'active' AND ($1::int[] IS NULL OR site_id = ANY($1::int[]))
+         ORDER BY site_id, installed_date NULLS LAST, created_at`,
+        [siteIds]
+    );
+    return result.rows;
+}
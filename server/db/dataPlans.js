@@ -0,0 +1,153 @@
+import { pool } from './core.js';
+
+// ============================================================
+// Cellular data plans, device assignments and usage alerts
+// ============================================================
+
+const PLAN_FIELDS = [
+    'name', 'carrier', 'cap_gb', 'cycle_start_day', 'pooled', 'company_id',
+    'alert_thresholds', 'overage_per_gb', 'notes',
+];
+
+// alert_thresholds is JSONB; everything else goes in as-is
+function planValue(field, value) {
+    if (field === 'alert_thresholds' && value != null) return JSON.stringify(value);
+    return value ?? null;
+}
+
+export async function getDataPlans() {
+    if (!pool) return [];
+    const result = await pool.query(`
+        SELECT dp.*, c.name AS company_name,
+               (SELECT count(*)::int FROM data_plan_devices d WHERE d.plan_id = dp.id) AS device_count
+        FROM data_plans dp
+        LEFT JOIN companies c ON c.id = dp.company_id
+        ORDER BY dp.name
+    `);
+    return result.rows;
+}
+
+export async function insertDataPlan(p) {
+    if (!pool) return null;
+    const now = Date.now();
+    const fields = PLAN_FIELDS.filter(f => p[f] !== undefined);
+    const values = fields.map(f => planValue(f, p[f]));
+    const result = await pool.query(
+        `INSERT INTO data_plans (${fields.join(', ')}, created_at, updated_at)
+         VALUES (${fields.map((_, i) => `$${i + 1}`).join(', ')}, $${fields.length + 1}, $${fields.length + 1})
+         RETURNING *`,
+        [...values, now]
+    );
+    return result.rows[0];
+}
+
+export async function updateDataPlan(id, updates) {
+    if (!pool) return null;
+    const fields = [];
+    const values = [];
+    let idx = 1;
+    for (const [key, val] of Object.entries(updates)) {
+        if (PLAN_FIELDS.includes(key)) {
+            fields.push(`${key} = $${idx++}`);
+            values.push(planValue(key, val));
+        }
+    }
+    if (fields.length === 0) return null;
+    fields.push(`updated_at = $${idx++}`);
+    values.push(Date.now());
+    values.push(id);
+    const result = await pool.query(
+        `UPDATE data_plans SET ${fields.join(', ')} WHERE id = $${idx} RETURNING *`,
+        values
+    );
+    return result.rows[0] || null;
+}
+
+export async function deleteDataPlan(id) {
+    if (!pool) return null;
+    const result = await pool.query(`DELETE FROM data_plans WHERE id = $1 RETURNING *`, [id]);
+    return result.rows[0] || null;
+}
+
+export async function getDataPlanDevices() {
+    if (!pool) return [];
+    const result = await pool.query(`SELECT device_name, plan_id, assigned_at FROM data_plan_devices ORDER BY device_name`);
+    return result.rows;
+}
+
+// planId null removes the device's direct assignment
+export async function setDataPlanDevice(deviceName, planId) {
+    if (!pool) return;
+    if (planId == null) {
+        await pool.query(`DELETE FROM data_plan_devices WHERE device_name = $1`, [deviceName]);
+        return;
+    }
+    await pool.query(
+        `INSERT INTO data_plan_devices (device_name, plan_id, assigned_at)
+         VALUES ($1, $2, $3)
+         ON CONFLICT (device_name) DO UPDATE SET plan_id = EXCLUDED.plan_id, assigned_at = EXCLUDED.assigned_at`,
+        [deviceName, planId, Date.now()]
+    );
+}
+
+// Usage per device and UTC day (day = ms / 86400000) since startTs: the
+// sum of increases between consecutive samples, so a counter that drops
+// (modem reboot, carrier reset) counts from zero again instead of
+// inflating the day by its old peak. Rolled-up hours contribute their min
+// then their max as two samples; raw rows follow the newest rollup.
+export async function getDailyDataUsage(startTs) {
+    if (!pool) return [];
+    const result = await pool.query(
+        `WITH rolled AS (SELECT COALESCE(MAX(bucket_ts) + 3600000, 0) AS until FROM pepwave_snapshots_hourly),
+         samples AS (
+           SELECT device_name, bucket_ts AS ts, usage_mb_min AS v
+           FROM pepwave_snapshots_hourly
+           WHERE bucket_ts >= $1 AND usage_mb_min IS NOT NULL
+           UNION ALL
+           SELECT device_name, bucket_ts + 1 AS ts, usage_mb AS v
+           FROM pepwave_snapshots_hourly
+           WHERE bucket_ts >= $1 AND usage_mb IS NOT NULL
+           UNION ALL
+           SELECT device_name, timestamp AS ts, usage_mb AS v
+           FROM pepwave_snapshots, rolled
+           WHERE timestamp >= GREATEST($1, rolled.until) AND usage_mb IS NOT NULL
+         ),
+         steps AS (
+           SELECT device_name, ts, v, LAG(v) OVER (PARTITION BY device_name ORDER BY ts) AS prev
+           FROM samples
+         )
+         SELECT device_name, ts / 86400000 AS day,
+                SUM(CASE WHEN prev IS NULL THEN 0 WHEN v >= prev THEN v - prev ELSE v END) AS usage_mb
+         FROM steps
+         GROUP BY device_name, day
+         ORDER BY device_name, day`,
+        [startTs]
+    );
+    return result.rows.map(r => ({ device_name: r.device_name, day: Number(r.day), usage_mb: Number(r.usage_mb) || 0 }));
+}
+
+export async function getDataPlanAlertLevels() {
+    if (!pool) return [];
+    const result = await pool.query(
+        `SELECT plan_id, device_name, to_char(cycle_start, 'YYYY-MM-DD') AS cycle_start, kind, threshold_pct
+         FROM data_plan_alerts`
+    );
+    return result.rows;
+}
+
+export async function setDataPlanAlertLevel(planId, deviceName, cycleStart, kind, thresholdPct) {
+    if (!pool) return;
+    await pool.query(
+        `INSERT INTO data_plan_alerts (plan_id, device_name, cycle_start, kind, threshold_pct, alerted_at)
+         VALUES ($1, $2, $3, $4, $5, $6)
+         ON CONFLICT (plan_id, device_name, cycle_start, kind)
+         DO UPDATE SET threshold_pct = EXCLUDED.threshold_pct, alerted_at = EXCLUDED.alerted_at`,
+        [planId, deviceName, cycleStart, kind, thresholdPct, Date.now()]
+    );
+}
+
+// Old cycles' alert levels are no longer needed
+export async function pruneDataPlanAlerts(beforeDate) {
+    if (!pool) return;
+    await pool.query(`DELETE FROM data_plan_alerts WHERE cycle_start < $1`, [beforeDate]);
+}
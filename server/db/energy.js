@@ -1,10 +1,12 @@
 import { pool } from './core.js';
 
-export async function upsertDailyEnergy(siteId, date, siteName, yieldWh, consumedWh, socStartOfDay = null, expectedYieldWh = null, consumptionSource = null, batterySocEod = null, mpptStateEod = null) {
+// estimates: { ce_wh, dc_wh, soc_wh, dc_covered_ms, dc_backfilled_wh, dc_last_ms, confidence }
+export async function upsertDailyEnergy(siteId, date, siteName, yieldWh, consumedWh, socStartOfDay = null, expectedYieldWh = null, consumptionSource = null, batterySocEod = null, mpptStateEod = null, estimates = {}) {
     if (!pool) return;
     await pool.query(
-        `INSERT INTO daily_energy_summary (site_id, date, site_name, yield_wh, consumed_wh, soc_start_of_day, expected_yield_wh, consumption_source, battery_soc_eod, mppt_state_eod, updated_at)
-         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+        `INSERT INTO daily_energy_summary (site_id, date, site_name, yield_wh, consumed_wh, soc_start_of_day, expected_yield_wh, consumption_source, battery_soc_eod, mppt_state_eod, updated_at,
+                                           consumed_ce_wh, consumed_dc_wh, consumed_soc_wh, dc_covered_ms, dc_backfilled_wh, dc_last_ms, consumption_confidence)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18)
          ON CONFLICT (site_id, date) DO UPDATE SET
            site_name = COALESCE($3, daily_energy_summary.site_name),
            yield_wh = COALESCE($4, daily_energy_summary.yield_wh),
@@ -14,11 +16,54 @@ export async function upsertDailyEnergy(siteId, date, siteName, yieldWh, consume
            consumption_source = COALESCE($8, daily_energy_summary.consumption_source),
            battery_soc_eod = COALESCE($9, daily_energy_summary.battery_soc_eod),
            mppt_state_eod = COALESCE($10, daily_energy_summary.mppt_state_eod),
-           updated_at = $11`,
-        [siteId, date, siteName, yieldWh, consumedWh, socStartOfDay, expectedYieldWh, consumptionSource, batterySocEod, mpptStateEod, Date.now()]
+           updated_at = $11,
+           consumed_ce_wh = COALESCE($12, daily_energy_summary.consumed_ce_wh),
+           consumed_dc_wh = COALESCE($13, daily_energy_summary.consumed_dc_wh),
+           consumed_soc_wh = COALESCE($14, daily_energy_summary.consumed_soc_wh),
+           dc_covered_ms = COALESCE($15, daily_energy_summary.dc_covered_ms),
+           dc_backfilled_wh = COALESCE($16, daily_energy_summary.dc_backfilled_wh),
+           dc_last_ms = COALESCE($17, daily_energy_summary.dc_last_ms),
+           consumption_confidence = COALESCE($18, daily_energy_summary.consumption_confidence)`,
+        [siteId, date, siteName, yieldWh, consumedWh, socStartOfDay, expectedYieldWh, consumptionSource, batterySocEod, mpptStateEod, Date.now(),
+            estimates.ce_wh ?? null, estimates.dc_wh ?? null, estimates.soc_wh ?? null, estimates.dc_covered_ms ?? null,
+            estimates.dc_backfilled_wh ?? null, estimates.dc_last_ms ?? null, estimates.confidence ?? null]
     );
 }
 
+export async function getDailyEnergyRow(siteId, date) {
+    if (!pool) return null;
+    const result = await pool.query(
+        `SELECT * FROM daily_energy_summary WHERE site_id = $1 AND date = $2::date`,
+        [siteId, date]
+    );
+    return result.rows[0] || null;
+}
+
+// A stretch of consumption recovered from VRM stats; replaces the fills it contains
+export async function recordConsumptionGapFill(siteId, start, end, wh) {
+    if (!pool) return;
+    await pool.query(
+        `DELETE FROM consumption_gap_fills WHERE site_id = $1 AND start_ts >= $2 AND end_ts <= $3`,
+        [siteId, start, end]
+    );
+    await pool.query(
+        `INSERT INTO consumption_gap_fills (site_id, start_ts, end_ts, wh, created_at) VALUES ($1, $2, $3, $4, $5)`,
+        [siteId, start, end, wh, Date.now()]
+    );
+}
+
+// Fills overlapping [start, end)
+export async function getConsumptionGapFills(siteId, start, end) {
+    if (!pool) return [];
+    const result = await pool.query(
+        `SELECT start_ts, end_ts, wh FROM consumption_gap_fills
+         WHERE site_id = $1 AND start_ts < $3 AND end_ts > $2
+         ORDER BY start_ts`,
+        [siteId, start, end]
+    );
+    return result.rows.map(r => ({ start_ts: Number(r.start_ts), end_ts: Number(r.end_ts), wh: Number(r.wh) }));
+}
+
 export async function getDailyEnergy(siteId, days = 14) {
     if (!pool) return [];
     const cutoff = new Date(Date.now() - days * 86400000).toISOString().slice(0, 10);
@@ -36,7 +81,9 @@ export async function getAllDailyEnergy(days = 14) {
     if (!pool) return [];
     const cutoff = new Date(Date.now() - days * 86400000).toISOString().slice(0, 10);
     const result = await pool.query(
-        `SELECT site_id, date, site_name, yield_wh, consumed_wh, soc_start_of_day, expected_yield_wh
+        `SELECT site_id, date, site_name, yield_wh, consumed_wh, soc_start_of_day, expected_yield_wh,
+                consumption_source, battery_soc_eod, mppt_state_eod, consumed_ce_wh, consumed_dc_wh, consumed_soc_wh,
+                dc_covered_ms, dc_backfilled_wh, dc_last_ms, consumption_confidence
          FROM daily_energy_summary
          WHERE date >= $1::date
          ORDER BY site_id, date ASC`,
@@ -45,7 +92,83 @@ export async function getAllDailyEnergy(days = 14) {
     return result.rows;
 }
 
+// Daily rows for a set of trailers, dates as YYYY-MM-DD
+export async function getDailyEnergyForSites(siteIds, days = 365) {
+    if (!pool || siteIds.length === 0) return [];
+    const cutoff = new Date(Date.now() - days * 86400000).toISOString().slice(0, 10);
+    const result = await pool.query(
+        `SELECT site_id, to_char(date, 'YYYY-MM-DD') AS date, yield_wh, consumed_wh, expected_yield_wh
+         FROM daily_energy_summary
+         WHERE site_id = ANY($1::int[]) AND date >= $2::date
+         ORDER BY site_id, date ASC`,
+        [siteIds, cutoff]
+    );
+    return result.rows;
+}
+
 // ============================================================
 // Alert History (persistent)
 // ============================================================
 
+
+// Load in watts per snapshot, same tiers as updateDailyEnergy: DC load,
+// else load current × voltage, else solar minus battery power (what the
+// battery did not absorb went to the loads). Mirrors loadWatts() in
+// services/loadProfile.js.
+const LOAD_WATTS_SQL = `COALESCE(
+    dc_load_watts,
+    ABS(load_current) * battery_voltage,
+    GREATEST(COALESCE(solar_watts, 0) - battery_power, 0)
+)`;
+
+// Mean and spread of the load per UTC hour of week (0 = Monday 00:00)
+export async function getHourOfWeekLoadProfiles(days = 28) {
+    if (!pool) return [];
+    const since = Date.now() - days * 86400000;
+    const result = await pool.query(
+        `SELECT site_id, how, avg(w) AS mean_w, stddev_samp(w) AS std_w, count(*)::int AS samples
+         FROM (
+             SELECT site_id,
+                    ((extract(isodow FROM ts) - 1) * 24 + extract(hour FROM ts))::int AS how,
+                    ${LOAD_WATTS_SQL} AS w
+             FROM (SELECT *, to_timestamp(timestamp / 1000.0) AT TIME ZONE 'UTC' AS ts
+                   FROM site_snapshots WHERE timestamp >= $1) s
+         ) l
+         WHERE w IS NOT NULL
+         GROUP BY site_id, how`,
+        [since]
+    );
+    return result.rows;
+}
+
+// Hourly average load for one trailer (expected-vs-actual chart)
+export async function getHourlyLoad(siteId, since) {
+    if (!pool) return [];
+    const result = await pool.query(
+        `SELECT (timestamp / 3600000) * 3600000 AS hour_start, avg(${LOAD_WATTS_SQL}) AS avg_w, count(*)::int AS samples
+         FROM site_snapshots
+         WHERE site_id = $1 AND timestamp >= $2
+         GROUP BY 1
+         HAVING avg(${LOAD_WATTS_SQL}) IS NOT NULL
+         ORDER BY 1`,
+        [siteId, since]
+    );
+    return result.rows;
+}
+
+// Hourly solar output per site. An hour is throttled when the battery was
+// near full or the MPPT sat in Float/Storage — output there says nothing
+// about the panels.
+export async function getHourlySolar(since, throttleSoc) {
+    if (!pool) return [];
+    const result = await pool.query(
+        `SELECT site_id, (timestamp / 3600000) * 3600000 AS hour_start, avg(solar_watts) AS avg_w, count(*)::int AS samples,
+                bool_or(battery_soc >= $2 OR charge_state ~* '^(5|6)$|float|storage|idle|external') AS throttled
+         FROM site_snapshots
+         WHERE timestamp >= $1 AND solar_watts IS NOT NULL
+         GROUP BY 1, 2
+         ORDER BY 1, 2`,
+        [since, throttleSoc]
+    );
+    return result.rows;
+}
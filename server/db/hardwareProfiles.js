@@ -0,0 +1,83 @@
+import { pool } from './core.js';
+
+// ============================================================
+// Trailer hardware profiles (solar + battery configuration)
+// ============================================================
+
+const PROFILE_FIELDS = [
+    'name', 'product_code', 'panel_count', 'panel_watts', 'system_efficiency',
+    'battery_chemistry', 'battery_count', 'battery_config', 'battery_ah', 'battery_voltage',
+    'min_soc_threshold', 'notes',
+];
+
+export async function getHardwareProfiles() {
+    if (!pool) return [];
+    const result = await pool.query(`
+        SELECT hp.*,
+               (SELECT count(*)::int FROM trailers t
+                WHERE t.status <> 'retired'
+                  AND (t.hardware_profile_id = hp.id
+                       OR (t.hardware_profile_id IS NULL AND t.product_code = hp.product_code))) AS trailer_count
+        FROM hardware_profiles hp
+        ORDER BY hp.name
+    `);
+    return result.rows;
+}
+
+export async function getHardwareProfile(id) {
+    if (!pool) return null;
+    const result = await pool.query(`SELECT * FROM hardware_profiles WHERE id = $1`, [id]);
+    return result.rows[0] || null;
+}
+
+export async function insertHardwareProfile(p) {
+    if (!pool) return null;
+    const now = Date.now();
+    const values = PROFILE_FIELDS.map(f => p[f] ?? null);
+    const result = await pool.query(
+        `INSERT INTO hardware_profiles (${PROFILE_FIELDS.join(', ')}, created_at, updated_at)
+         VALUES (${PROFILE_FIELDS.map((_, i) => `$${i + 1}`).join(', ')}, $${PROFILE_FIELDS.length + 1}, $${PROFILE_FIELDS.length + 1})
+         RETURNING *`,
+        [...values, now]
+    );
+    return result.rows[0];
+}
+
+export async function updateHardwareProfile(id, updates) {
+    if (!pool) return null;
+    const fields = [];
+    const values = [];
+    let idx = 1;
+    for (const [key, val] of Object.entries(updates)) {
+        if (PROFILE_FIELDS.includes(key)) {
+            fields.push(`${key} = $${idx++}`);
+            values.push(val);
+        }
+    }
+    if (fields.length === 0) return null;
+    fields.push(`updated_at = $${idx++}`);
+    values.push(Date.now());
+    values.push(id);
+    const result = await pool.query(
+        `UPDATE hardware_profiles SET ${fields.join(', ')} WHERE id = $${idx} RETURNING *`,
+        values
+    );
+    return result.rows[0] || null;
+}
+
+export async function deleteHardwareProfile(id) {
+    if (!pool) return null;
+    const result = await pool.query(`DELETE FROM hardware_profiles WHERE id = $1 RETURNING *`, [id]);
+    return result.rows[0] || null;
+}
+
+// Everything needed to resolve a trailer's profile by its telemetry site id
+export async function getTrailerHardwareAssignments() {
+    if (!pool) return [];
+    const result = await pool.query(`
+        SELECT id, unit_number, vrm_site_id, ic2_device_id, product_code, hardware_profile_id
+        FROM trailers
+        WHERE status <> 'retired'
+    `);
+    return result.rows;
+}
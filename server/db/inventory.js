@@ -0,0 +1,160 @@
+import { pool } from './core.js';
+
+// ============================================================
+// Pepwave hardware inventory (synced from IC2)
+// ============================================================
+
+function mapDevice(r) {
+    return {
+        ...r,
+        first_seen: Number(r.first_seen),
+        last_seen: Number(r.last_seen),
+        updated_at: Number(r.updated_at),
+    };
+}
+
+// Current inventory, each device with its SIM slots
+export async function getInventory() {
+    if (!pool) return [];
+    const [devices, sims] = await Promise.all([
+        pool.query(`SELECT * FROM pepwave_inventory ORDER BY device_name`),
+        pool.query(`SELECT * FROM pepwave_inventory_sims ORDER BY device_id, slot`),
+    ]);
+    const byDevice = new Map();
+    for (const s of sims.rows) {
+        if (!byDevice.has(s.device_id)) byDevice.set(s.device_id, []);
+        byDevice.get(s.device_id).push({ ...s, updated_at: Number(s.updated_at) });
+    }
+    return devices.rows.map(r => ({ ...mapDevice(r), sims: byDevice.get(r.device_id) || [] }));
+}
+
+export async function upsertInventoryDevice(d) {
+    if (!pool) return;
+    await pool.query(
+        `INSERT INTO pepwave_inventory
+         (device_id, device_name, site_id, serial, model, firmware, config_profile, imei, first_seen, last_seen, updated_at)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $9, $9)
+         ON CONFLICT (device_id) DO UPDATE SET
+           device_name = EXCLUDED.device_name, site_id = EXCLUDED.site_id, serial = EXCLUDED.serial,
+           model = EXCLUDED.model, firmware = EXCLUDED.firmware, config_profile = EXCLUDED.config_profile,
+           imei = EXCLUDED.imei, last_seen = EXCLUDED.last_seen, updated_at = EXCLUDED.updated_at`,
+        [d.device_id, d.device_name, d.site_id, d.serial, d.model, d.firmware, d.config_profile, d.imei, d.timestamp]
+    );
+}
+
+// Replace a device's SIM slots with what IC2 reported
+export async function setInventorySims(deviceId, sims, timestamp) {
+    if (!pool) return;
+    await pool.query(
+        `DELETE FROM pepwave_inventory_sims WHERE device_id = $1 AND NOT (slot = ANY($2))`,
+        [deviceId, sims.map(s => s.slot)]
+    );
+    for (const s of sims) {
+        await pool.query(
+            `INSERT INTO pepwave_inventory_sims (device_id, slot, iccid, imsi, carrier, detected, active, updated_at)
+             VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+             ON CONFLICT (device_id, slot) DO UPDATE SET
+               iccid = EXCLUDED.iccid, imsi = EXCLUDED.imsi, carrier = EXCLUDED.carrier,
+               detected = EXCLUDED.detected, active = EXCLUDED.active, updated_at = EXCLUDED.updated_at`,
+            [deviceId, s.slot, s.iccid, s.imsi, s.carrier, s.detected, s.active, timestamp]
+        );
+    }
+}
+
+// Take a SIM that moved to another device out of its old slot
+export async function clearInventorySimIccid(deviceId, iccid, timestamp) {
+    if (!pool) return;
+    await pool.query(
+        `UPDATE pepwave_inventory_sims SET iccid = NULL, active = false, updated_at = $3
+         WHERE device_id = $1 AND iccid = $2`,
+        [deviceId, iccid, timestamp]
+    );
+}
+
+export async function insertInventoryChanges(changes) {
+    if (!pool || changes.length === 0) return;
+    const values = [];
+    const rows = changes.map((c, i) => {
+        values.push(c.device_id, c.device_name, c.timestamp, c.field, c.slot ?? null, c.from_value ?? null, c.to_value ?? null, c.related_device ?? null);
+        const b = i * 8;
+        return `($${b + 1}, $${b + 2}, $${b + 3}, $${b + 4}, $${b + 5}, $${b + 6}, $${b + 7}, $${b + 8})`;
+    });
+    await pool.query(
+        `INSERT INTO pepwave_inventory_changes (device_id, device_name, timestamp, field, slot, from_value, to_value, related_device)
+         VALUES ${rows.join(', ')}`,
+        values
+    );
+}
+
+export async function getInventoryChanges({ deviceId = null, since = 0, limit = 200 } = {}) {
+    if (!pool) return [];
+    const result = await pool.query(
+        `SELECT * FROM pepwave_inventory_changes
+         WHERE timestamp >= $1 AND ($2::int IS NULL OR device_id = $2)
+         ORDER BY timestamp DESC, id DESC LIMIT $3`,
+        [since, deviceId, limit]
+    );
+    return result.rows.map(r => ({ ...r, id: Number(r.id), timestamp: Number(r.timestamp) }));
+}
+
+// Where ICCIDs that are no longer in any slot were last seen. Matches on
+// prefix so an ICCID missing its check digit finds the full one.
+export async function getRemovedSimHistory(iccids) {
+    if (!pool || iccids.length === 0) return [];
+    const result = await pool.query(
+        `SELECT DISTINCT ON (from_value) from_value AS iccid, device_id, device_name, slot, timestamp AS removed_at
+         FROM pepwave_inventory_changes
+         WHERE field = 'iccid' AND from_value LIKE ANY($1)
+         ORDER BY from_value, timestamp DESC`,
+        [iccids.map(i => `${i}%`)]
+    );
+    return result.rows.map(r => ({ ...r, removed_at: Number(r.removed_at) }));
+}
+
+export async function getFirmwareBaselines() {
+    if (!pool) return [];
+    const result = await pool.query(`SELECT * FROM firmware_baselines ORDER BY model`);
+    return result.rows.map(r => ({ ...r, set_at: Number(r.set_at) }));
+}
+
+export async function setFirmwareBaseline(model, firmware, setBy) {
+    if (!pool) return null;
+    const result = await pool.query(
+        `INSERT INTO firmware_baselines (model, firmware, set_by, set_at) VALUES ($1, $2, $3, $4)
+         ON CONFLICT (model) DO UPDATE SET firmware = EXCLUDED.firmware, set_by = EXCLUDED.set_by, set_at = EXCLUDED.set_at
+         RETURNING *`,
+        [model, firmware, setBy, Date.now()]
+    );
+    return { ...result.rows[0], set_at: Number(result.rows[0].set_at) };
+}
+
+export async function deleteFirmwareBaseline(model) {
+    if (!pool) return false;
+    const result = await pool.query(`DELETE FROM firmware_baselines WHERE model = $1`, [model]);
+    return result.rowCount > 0;
+}
+
+// Latest trailer_components row per source_key owned by a sync source
+export async function getSourcedComponents(source) {
+    if (!pool) return [];
+    const result = await pool.query(
+        `SELECT DISTINCT ON (source_key) * FROM trailer_components
+         WHERE source = $1 ORDER BY source_key, id DESC`,
+        [source]
+    );
+    return result.rows;
+}
+
+export async function insertSourcedComponent(comp) {
+    if (!pool) return null;
+    const now = Date.now();
+    const result = await pool.query(
+        `INSERT INTO trailer_components
+         (site_id, component_type, make, model, serial_number, installed_date, status, notes, source, source_key, created_at, updated_at)
+         VALUES ($1, $2, $3, $4, $5, $6, 'active', $7, $8, $9, $10, $10)
+         RETURNING *`,
+        [comp.site_id, comp.component_type, comp.make || null, comp.model || null, comp.serial_number || null,
+        comp.installed_date || null, comp.notes || null, comp.source, comp.source_key, now]
+    );
+    return result.rows[0];
+}
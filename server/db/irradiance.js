@@ -0,0 +1,116 @@
+import { pool } from './core.js';
+
+// ============================================================
+// Irradiance history (daily PSH per 0.1° location)
+// ============================================================
+
+// rows: [{ location_key, date, latitude, longitude, psh, source }]. An
+// imported CSV day is never overwritten by an archive fetch.
+export async function upsertIrradianceDays(rows) {
+    if (!pool || rows.length === 0) return 0;
+    const result = await pool.query(
+        `INSERT INTO irradiance_history (location_key, date, latitude, longitude, psh, source, updated_at)
+         SELECT k, d, lat, lon, p, s, $7
+         FROM unnest($1::text[], $2::date[], $3::float8[], $4::float8[], $5::real[], $6::text[]) AS t(k, d, lat, lon, p, s)
+         ON CONFLICT (location_key, date) DO UPDATE SET
+            psh = EXCLUDED.psh,
+            source = EXCLUDED.source,
+            updated_at = EXCLUDED.updated_at
+         WHERE irradiance_history.source <> 'csv' OR EXCLUDED.source = 'csv'`,
+        [rows.map(r => r.location_key), rows.map(r => r.date), rows.map(r => r.latitude),
+        rows.map(r => r.longitude), rows.map(r => r.psh), rows.map(r => r.source), Date.now()]
+    );
+    return result.rowCount;
+}
+
+// Days held per location, for sync planning and the Settings view
+export async function getIrradianceCoverage() {
+    if (!pool) return [];
+    const result = await pool.query(
+        `SELECT location_key, MIN(latitude) AS latitude, MIN(longitude) AS longitude, COUNT(*)::int AS days,
+                to_char(MIN(date), 'YYYY-MM-DD') AS first_date, to_char(MAX(date), 'YYYY-MM-DD') AS last_date,
+                array_agg(DISTINCT source) AS sources
+         FROM irradiance_history
+         GROUP BY location_key
+         ORDER BY location_key`
+    );
+    return result.rows;
+}
+
+// Mean PSH per location and calendar month (1-12)
+export async function getIrradianceMonthlyNormals() {
+    if (!pool) return [];
+    const result = await pool.query(
+        `SELECT location_key, EXTRACT(MONTH FROM date)::int AS month, AVG(psh)::float AS psh, COUNT(*)::int AS days
+         FROM irradiance_history
+         GROUP BY location_key, month`
+    );
+    return result.rows;
+}
+
+export async function getIrradianceDays(locationKeys, sinceDate, untilDate) {
+    if (!pool || locationKeys.length === 0) return [];
+    const result = await pool.query(
+        `SELECT location_key, to_char(date, 'YYYY-MM-DD') AS date, psh, source
+         FROM irradiance_history
+         WHERE location_key = ANY($1::text[]) AND date >= $2::date AND date <= $3::date`,
+        [locationKeys, sinceDate, untilDate]
+    );
+    return result.rows;
+}
+
+// Daily energy rows with the trailer's current assigned position (if any),
+// for re-stamping expected_yield_wh from the day's actual irradiance
+export async function getDailyEnergyWithLocation(sinceDate, untilDate) {
+    if (!pool) return [];
+    const result = await pool.query(
+        `SELECT des.site_id, to_char(des.date, 'YYYY-MM-DD') AS date, des.expected_yield_wh, ta.latitude, ta.longitude
+         FROM daily_energy_summary des
+         LEFT JOIN trailer_assignments ta ON ta.site_id = des.site_id
+         WHERE des.date >= $1::date AND des.date <= $2::date
+         ORDER BY des.site_id, des.date`,
+        [sinceDate, untilDate]
+    );
+    return result.rows;
+}
+
+// What places a trailer on a past day: rentals at a job site with a
+// position, and GPS moves (where it was before each one) recorded since
+// sinceDate
+export async function getTrailerLocationHistory(sinceDate) {
+    if (!pool) return { rentals: [], moves: [] };
+    const [rentals, moves] = await Promise.all([
+        pool.query(
+            `SELECT t.vrm_site_id AS site_id, js.latitude, js.longitude,
+                    to_char(COALESCE(r.delivered_at, r.billing_start), 'YYYY-MM-DD') AS from_date,
+                    to_char(COALESCE(r.picked_up_at, r.returned_at, r.billing_stop), 'YYYY-MM-DD') AS to_date
+             FROM rentals r
+             JOIN trailers t ON t.id = r.trailer_id
+             JOIN job_sites js ON js.id = r.job_site_id
+             WHERE t.vrm_site_id IS NOT NULL AND js.latitude IS NOT NULL AND js.longitude IS NOT NULL
+               AND COALESCE(r.delivered_at, r.billing_start) IS NOT NULL
+               AND COALESCE(r.picked_up_at, r.returned_at, r.billing_stop, 'infinity'::date) >= $1::date
+             ORDER BY t.vrm_site_id, from_date`,
+            [sinceDate]
+        ),
+        pool.query(
+            `SELECT site_id, created_at, old_latitude AS latitude, old_longitude AS longitude
+             FROM gps_change_suggestions
+             WHERE created_at >= $1 AND old_latitude IS NOT NULL AND old_longitude IS NOT NULL
+             ORDER BY site_id, created_at`,
+            [Date.parse(`${sinceDate}T00:00:00Z`)]
+        ),
+    ]);
+    return {
+        rentals: rentals.rows,
+        moves: moves.rows.map(m => ({ ...m, created_at: Number(m.created_at) })),
+    };
+}
+
+export async function updateExpectedYield(siteId, date, expectedWh) {
+    if (!pool) return;
+    await pool.query(
+        `UPDATE daily_energy_summary SET expected_yield_wh = $1 WHERE site_id = $2 AND date = $3::date`,
+        [expectedWh, siteId, date]
+    );
+}
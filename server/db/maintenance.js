@@ -416,3 +416,19 @@ export async function getMaintenanceStatsBySite() {
     `, [now, now - 30 * 86400000]);
     return result.rows;
 }
+
+// Latest completed maintenance per site whose title matches (e.g. the
+// Panel Cleaning template), plus any still-open one
+export async function getMaintenanceByTitle(title) {
+    if (!pool) return [];
+    const result = await pool.query(
+        `SELECT site_id,
+                max(COALESCE(completed_date, updated_at)) FILTER (WHERE status = 'completed') AS last_completed,
+                min(id) FILTER (WHERE status IN ('scheduled', 'in_progress')) AS open_log_id
+         FROM maintenance_logs
+         WHERE title = $1 AND site_id IS NOT NULL
+         GROUP BY site_id`,
+        [title]
+    );
+    return result.rows;
+}
@@ -0,0 +1,44 @@
+import { pool } from './core.js';
+
+// ============================================================
+// Notification log (durable dedupe / cooldown per type + entity)
+// ============================================================
+
+// Record a send if the window has passed. Returns true when the caller
+// may send. A single upsert, so two instances racing on the same key
+// can't both win. A last_sent_at in the future (simulator clock moved
+// back) also counts as expired.
+export async function claimNotification(type, entityKey, windowMs, now) {
+    if (!pool) return true;
+    const result = await pool.query(
+        `INSERT INTO notification_log (notification_type, entity_key, last_sent_at, first_sent_at)
+         VALUES ($1, $2, $3, $3)
+         ON CONFLICT (notification_type, entity_key) DO UPDATE SET
+           last_sent_at = EXCLUDED.last_sent_at,
+           send_count = notification_log.send_count + 1
+         WHERE notification_log.last_sent_at <= $3 - $4 OR notification_log.last_sent_at > $3
+         RETURNING notification_type`,
+        [type, String(entityKey), now, windowMs]
+    );
+    return result.rowCount > 0;
+}
+
+// Give a claim back (the send failed) so the next attempt isn't suppressed
+export async function releaseNotification(type, entityKey) {
+    if (!pool) return;
+    await pool.query(
+        `DELETE FROM notification_log WHERE notification_type = $1 AND entity_key = $2`,
+        [type, String(entityKey)]
+    );
+}
+
+export async function getNotificationLog(type = null, limit = 100) {
+    if (!pool) return [];
+    const result = await pool.query(
+        `SELECT * FROM notification_log
+         WHERE ($1::text IS NULL OR notification_type = $1)
+         ORDER BY last_sent_at DESC LIMIT $2`,
+        [type, limit]
+    );
+    return result.rows;
+}
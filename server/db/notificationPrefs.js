@@ -0,0 +1,134 @@
+import { pool } from './core.js';
+
+// ============================================================
+// Notification preferences and subscriptions (per user)
+// ============================================================
+export async function getNotificationPreferences(userId) {
+    if (!pool) return null;
+    const result = await pool.query(`SELECT * FROM notification_preferences WHERE user_id = $1`, [userId]);
+    return result.rows[0] || null;
+}
+
+export async function upsertNotificationPreferences(userId, p) {
+    if (!pool) return null;
+    const result = await pool.query(
+        `INSERT INTO notification_preferences
+           (user_id, channels, all_trailers, phone, quiet_start, quiet_end, timezone, quiet_allow_critical, updated_at)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+         ON CONFLICT (user_id) DO UPDATE SET
+           channels = EXCLUDED.channels,
+           all_trailers = EXCLUDED.all_trailers,
+           phone = EXCLUDED.phone,
+           quiet_start = EXCLUDED.quiet_start,
+           quiet_end = EXCLUDED.quiet_end,
+           timezone = EXCLUDED.timezone,
+           quiet_allow_critical = EXCLUDED.quiet_allow_critical,
+           updated_at = EXCLUDED.updated_at
+         RETURNING *`,
+        [
+            userId,
+            JSON.stringify(p.channels || {}),
+            Boolean(p.all_trailers),
+            p.phone || null,
+            p.quiet_start || null,
+            p.quiet_end || null,
+            p.timezone || null,
+            p.quiet_allow_critical !== false,
+            Date.now(),
+        ]
+    );
+    return result.rows[0];
+}
+
+export async function getNotificationSubscriptions(userId) {
+    if (!pool) return [];
+    const result = await pool.query(
+        `SELECT ns.*,
+                CASE ns.scope_type
+                    WHEN 'job_site' THEN js.name
+                    WHEN 'company' THEN c.name
+                    WHEN 'trailer' THEN COALESCE(t.unit_number, ta.site_name)
+                END AS scope_name
+         FROM notification_subscriptions ns
+         LEFT JOIN job_sites js ON ns.scope_type = 'job_site' AND js.id = ns.scope_id
+         LEFT JOIN companies c ON ns.scope_type = 'company' AND c.id = ns.scope_id
+         LEFT JOIN trailers t ON ns.scope_type = 'trailer' AND t.vrm_site_id = ns.scope_id
+         LEFT JOIN trailer_assignments ta ON ns.scope_type = 'trailer' AND ta.site_id = ns.scope_id
+         WHERE ns.user_id = $1
+         ORDER BY ns.scope_type, scope_name`,
+        [userId]
+    );
+    return result.rows;
+}
+
+export async function insertNotificationSubscription(userId, scopeType, scopeId) {
+    if (!pool) return null;
+    const result = await pool.query(
+        `INSERT INTO notification_subscriptions (user_id, scope_type, scope_id, created_at)
+         VALUES ($1, $2, $3, $4)
+         ON CONFLICT (user_id, scope_type, scope_id) DO UPDATE SET scope_id = EXCLUDED.scope_id
+         RETURNING *`,
+        [userId, scopeType, scopeId, Date.now()]
+    );
+    return result.rows[0];
+}
+
+export async function deleteNotificationSubscription(userId, id) {
+    if (!pool) return null;
+    const result = await pool.query(
+        `DELETE FROM notification_subscriptions WHERE id = $1 AND user_id = $2 RETURNING *`,
+        [id, userId]
+    );
+    return result.rows[0] || null;
+}
+
+// Every active user with their preferences (null when never saved) and
+// subscriptions, for routing one event
+export async function getNotificationAudience() {
+    if (!pool) return [];
+    const result = await pool.query(
+        `SELECT u.id, u.display_name, u.email, u.role,
+                np.user_id IS NOT NULL AS has_preferences,
+                np.channels, np.all_trailers, np.phone, np.quiet_start, np.quiet_end,
+                np.timezone, np.quiet_allow_critical,
+                COALESCE(
+                    json_agg(json_build_object('scope_type', ns.scope_type, 'scope_id', ns.scope_id))
+                        FILTER (WHERE ns.id IS NOT NULL),
+                    '[]'
+                ) AS subscriptions
+         FROM users u
+         LEFT JOIN notification_preferences np ON np.user_id = u.id
+         LEFT JOIN notification_subscriptions ns ON ns.user_id = u.id
+         WHERE u.active IS NOT FALSE
+         GROUP BY u.id, np.user_id`
+    );
+    return result.rows;
+}
+
+// ============================================================
+// Quiet-hours queue
+// ============================================================
+export async function queueNotification(userId, channel, event) {
+    if (!pool) return;
+    await pool.query(
+        `INSERT INTO notification_queue (user_id, channel, event_type, severity, title, body, link, created_at)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8)`,
+        [userId, channel, event.type, event.severity || null, event.title, event.body || null, event.link || null, Date.now()]
+    );
+}
+
+export async function getQueuedNotifications() {
+    if (!pool) return [];
+    const result = await pool.query(`SELECT * FROM notification_queue ORDER BY created_at, id`);
+    return result.rows.map(r => ({ ...r, created_at: Number(r.created_at) }));
+}
+
+export async function markQueuedNotificationAttempt(id) {
+    if (!pool) return;
+    await pool.query(`UPDATE notification_queue SET attempts = attempts + 1 WHERE id = $1`, [id]);
+}
+
+export async function deleteQueuedNotifications(ids) {
+    if (!pool || ids.length === 0) return;
+    await pool.query(`DELETE FROM notification_queue WHERE id = ANY($1::int[])`, [ids]);
+}
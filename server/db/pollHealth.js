@@ -0,0 +1,44 @@
+import { pool } from './core.js';
+
+// ============================================================
+// Poll Health (one row per VRM site / IC2 device)
+// ============================================================
+export async function upsertPollHealth(h) {
+    if (!pool) return;
+    await pool.query(
+        `INSERT INTO poll_health
+      (source, entity_id, name, last_attempt, last_success, consecutive_failures, last_error, latency_ms)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+     ON CONFLICT (source, entity_id) DO UPDATE SET
+       name = EXCLUDED.name,
+       last_attempt = EXCLUDED.last_attempt,
+       last_success = EXCLUDED.last_success,
+       consecutive_failures = EXCLUDED.consecutive_failures,
+       last_error = EXCLUDED.last_error,
+       latency_ms = EXCLUDED.latency_ms`,
+        [
+            h.source,
+            String(h.entity_id),
+            h.name || null,
+            h.last_attempt,
+            h.last_success,
+            h.consecutive_failures,
+            h.last_error,
+            h.latency_ms,
+        ]
+    );
+}
+
+export async function getPollHealthRecords() {
+    if (!pool) return [];
+    const result = await pool.query(`SELECT * FROM poll_health ORDER BY source, name`);
+    return result.rows;
+}
+
+export async function deletePollHealth(source, entityId) {
+    if (!pool) return;
+    await pool.query(
+        `DELETE FROM poll_health WHERE source = $1 AND entity_id = $2`,
+        [source, String(entityId)]
+    );
+}
@@ -1,3 +1,4 @@
+import { DEFAULT_PRODUCT_CODE } from '../config.js';
 import { pool } from './core.js';
 
 const TRAILER_STATUSES = ['available', 'reserved', 'on_rent', 'in_transit', 'maintenance', 'retired'];
@@ -37,8 +38,8 @@ export async function getTrailer(id) {
 export async function insertTrailer(t) {
     if (!pool) return null;
     const result = await pool.query(`
-        INSERT INTO trailers (unit_number, vin, vrm_site_id, ic2_device_id, status, home_base_job_site_id, purchase_date, condition_notes)
-        VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+        INSERT INTO trailers (unit_number, vin, vrm_site_id, ic2_device_id, status, home_base_job_site_id, purchase_date, condition_notes, telemetry_source, telemetry_config, product_code, hardware_profile_id)
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)
         RETURNING *
     `, [
         t.unit_number,
@@ -49,6 +50,10 @@ export async function insertTrailer(t) {
         t.home_base_job_site_id || null,
         t.purchase_date || null,
         t.condition_notes || null,
+        t.telemetry_source || 'vrm',
+        JSON.stringify(t.telemetry_config || {}),
+        t.product_code || DEFAULT_PRODUCT_CODE,
+        t.hardware_profile_id || null,
     ]);
     return result.rows[0];
 }
@@ -59,10 +64,10 @@ export async function updateTrailer(id, updates) {
     const values = [];
     let idx = 1;
     for (const [key, value] of Object.entries(updates)) {
-        if (['unit_number', 'vin', 'vrm_site_id', 'ic2_device_id', 'status', 'home_base_job_site_id', 'purchase_date', 'condition_notes', 'product_code'].includes(key)) {
+        if (['unit_number', 'vin', 'vrm_site_id', 'ic2_device_id', 'status', 'home_base_job_site_id', 'purchase_date', 'condition_notes', 'product_code', 'hardware_profile_id', 'telemetry_source', 'telemetry_config'].includes(key)) {
             if (key === 'status' && !TRAILER_STATUSES.includes(value)) continue;
             fields.push(`${key} = $${idx}`);
-            values.push(value);
+            values.push(key === 'telemetry_config' ? JSON.stringify(value || {}) : value);
             idx++;
         }
     }
@@ -78,6 +83,17 @@ export async function updateTrailer(id, updates) {
     return result.rows[0] || null;
 }
 
+// Trailers polled through a non-VRM telemetry source
+export async function getTelemetryAssignments() {
+    if (!pool) return [];
+    const result = await pool.query(`
+        SELECT id, unit_number, vrm_site_id, ic2_device_id, telemetry_source, telemetry_config
+        FROM trailers
+        WHERE telemetry_source IS NOT NULL AND telemetry_source <> 'vrm' AND status <> 'retired'
+    `);
+    return result.rows;
+}
+
 // ============================================================
 // Rentals & billing lifecycle
 // ============================================================
@@ -1,3 +1,5 @@
+import { DEFAULT_ALERT_RULES, LATE_SEEDED_ALERT_RULES, TRAILER_SPECS, DEFAULT_PRODUCT_CODE } from '../config.js';
+
 // All DDL/seed statements, verbatim from the original initDb body.
 // ORDER IS LOAD-BEARING: FK dependencies and the rate_cards seed must
 // run before the rentals backfill.
@@ -302,6 +304,8 @@ export async function applySchema(client) {
         await client.query(`ALTER TABLE site_snapshots ADD COLUMN IF NOT EXISTS error_code TEXT`);
         await client.query(`ALTER TABLE site_snapshots ADD COLUMN IF NOT EXISTS lifetime_yield_kwh REAL`);
         await client.query(`ALTER TABLE site_snapshots ADD COLUMN IF NOT EXISTS time_to_go_min REAL`);
+        // Rows rebuilt from VRM stats after an outage rather than polled live
+        await client.query(`ALTER TABLE site_snapshots ADD COLUMN IF NOT EXISTS backfilled BOOLEAN NOT NULL DEFAULT FALSE`);
         console.log('  ✓ Extended VRM diagnostic columns ready');
 
         // Maintenance logs table
@@ -380,6 +384,91 @@ export async function applySchema(client) {
 
         console.log('  ✓ Analytics daily metrics table ready');
 
+        // Daily battery state-of-health per bank (services/batteryHealth.js)
+        await client.query(`
+      CREATE TABLE IF NOT EXISTS battery_health_daily (
+        site_id INTEGER NOT NULL,
+        date DATE NOT NULL,
+        bank TEXT NOT NULL DEFAULT 'main',
+        rated_ah REAL,
+        discharge_ah REAL,
+        charge_ah REAL,
+        efc REAL,
+        soc_drop_pct REAL,
+        capacity_ah_est REAL,
+        resistance_mohm REAL,
+        min_voltage_under_load REAL,
+        avg_temp REAL,
+        max_temp REAL,
+        hours_hot REAL,
+        hours_very_hot REAL,
+        hours_cold REAL,
+        samples INTEGER,
+        soh_pct REAL,
+        cycle_count REAL,
+        projected_eol DATE,
+        computed_at BIGINT NOT NULL,
+        PRIMARY KEY (site_id, date, bank)
+      )
+    `);
+        console.log('  ✓ Battery health table ready');
+
+        // Daily irradiance per location (0.1° grid key "lat,lon"), from the
+        // Open-Meteo archive or a CSV import; psh = kWh/m² on the day
+        await client.query(`
+      CREATE TABLE IF NOT EXISTS irradiance_history (
+        location_key TEXT NOT NULL,
+        date DATE NOT NULL,
+        latitude DOUBLE PRECISION NOT NULL,
+        longitude DOUBLE PRECISION NOT NULL,
+        psh REAL NOT NULL,
+        source TEXT NOT NULL DEFAULT 'open-meteo',
+        updated_at BIGINT NOT NULL,
+        PRIMARY KEY (location_key, date)
+      )
+    `);
+        console.log('  ✓ Irradiance history table ready');
+
+        // Telemetry rollups: raw snapshots are kept retention_days, hourly
+        // min / avg / max for a year, daily forever. bucket_ts is the start
+        // of the hour / UTC day in ms; averages keep the raw column names so
+        // history charts read any tier.
+        for (const tier of ['hourly', 'daily']) {
+            await client.query(`
+      CREATE TABLE IF NOT EXISTS site_snapshots_${tier} (
+        site_id INTEGER NOT NULL,
+        bucket_ts BIGINT NOT NULL,
+        site_name TEXT,
+        samples INTEGER NOT NULL,
+        backfilled_samples INTEGER NOT NULL DEFAULT 0,
+        battery_soc REAL, battery_soc_min REAL, battery_soc_max REAL,
+        battery_voltage REAL, battery_voltage_min REAL, battery_voltage_max REAL,
+        battery_current REAL, battery_power REAL,
+        battery_temp REAL, battery_temp_min REAL, battery_temp_max REAL,
+        solar_watts REAL, solar_watts_max REAL, solar_yield_today REAL,
+        dc_load_watts REAL, dc_load_watts_max REAL,
+        PRIMARY KEY (site_id, bucket_ts)
+      )
+    `);
+            await client.query(`
+      CREATE TABLE IF NOT EXISTS pepwave_snapshots_${tier} (
+        device_name TEXT NOT NULL,
+        bucket_ts BIGINT NOT NULL,
+        samples INTEGER NOT NULL,
+        online_pct REAL,
+        signal_bar REAL, signal_bar_min REAL, signal_bar_max REAL,
+        rsrp REAL, rsrp_min REAL, rsrp_max REAL,
+        rsrq REAL, rssi REAL,
+        sinr REAL, sinr_min REAL, sinr_max REAL,
+        carrier TEXT, technology TEXT,
+        usage_mb REAL, usage_mb_min REAL, tx_mb REAL, rx_mb REAL,
+        client_count REAL, client_count_max INTEGER, uptime INTEGER,
+        PRIMARY KEY (device_name, bucket_ts)
+      )
+    `);
+        }
+        console.log('  ✓ Telemetry rollup tables ready');
+
         // Database indexes for name-based lookups
         await client.query(`CREATE INDEX IF NOT EXISTS idx_site_snapshots_site_name ON site_snapshots(site_name)`);
         await client.query(`CREATE INDEX IF NOT EXISTS idx_pepwave_snapshots_device_name ON pepwave_snapshots(device_name)`);
@@ -408,6 +497,30 @@ export async function applySchema(client) {
         await client.query(`ALTER TABLE daily_energy_summary ADD COLUMN IF NOT EXISTS battery_soc_eod REAL`);
         await client.query(`ALTER TABLE daily_energy_summary ADD COLUMN IF NOT EXISTS mppt_state_eod INTEGER`);
 
+        // All three consumption estimates side by side, the DC accumulator's
+        // resume state, and the reconciled value's confidence
+        await client.query(`ALTER TABLE daily_energy_summary ADD COLUMN IF NOT EXISTS consumed_ce_wh NUMERIC`);
+        await client.query(`ALTER TABLE daily_energy_summary ADD COLUMN IF NOT EXISTS consumed_dc_wh NUMERIC`);
+        await client.query(`ALTER TABLE daily_energy_summary ADD COLUMN IF NOT EXISTS consumed_soc_wh NUMERIC`);
+        await client.query(`ALTER TABLE daily_energy_summary ADD COLUMN IF NOT EXISTS dc_covered_ms BIGINT`);
+        await client.query(`ALTER TABLE daily_energy_summary ADD COLUMN IF NOT EXISTS dc_backfilled_wh NUMERIC`);
+        await client.query(`ALTER TABLE daily_energy_summary ADD COLUMN IF NOT EXISTS dc_last_ms BIGINT`);
+        await client.query(`ALTER TABLE daily_energy_summary ADD COLUMN IF NOT EXISTS consumption_confidence REAL`);
+
+        // Windows of a day's consumption recovered from VRM stats, so a later
+        // backfill over the same hole doesn't count them a second time
+        await client.query(`
+      CREATE TABLE IF NOT EXISTS consumption_gap_fills (
+        id SERIAL PRIMARY KEY,
+        site_id INTEGER NOT NULL,
+        start_ts BIGINT NOT NULL,
+        end_ts BIGINT NOT NULL,
+        wh NUMERIC NOT NULL,
+        created_at BIGINT NOT NULL
+      )
+    `);
+        await client.query(`CREATE INDEX IF NOT EXISTS idx_consumption_gap_fills_site ON consumption_gap_fills(site_id, start_ts)`);
+
         // Alert history (persists across server restarts)
         await client.query(`
       CREATE TABLE IF NOT EXISTS alert_history (
@@ -753,6 +866,372 @@ export async function applySchema(client) {
         await client.query(`ALTER TABLE rentals ADD COLUMN IF NOT EXISTS rollback_amount NUMERIC(12,2)`);
         console.log('  ✓ Pricing rate cards ready (BV1305 seeded)');
 
+        // Per-trailer telemetry source (vrm | gateway | replay) + adapter config
+        await client.query(`ALTER TABLE trailers ADD COLUMN IF NOT EXISTS telemetry_source TEXT DEFAULT 'vrm'`);
+        await client.query(`ALTER TABLE trailers ADD COLUMN IF NOT EXISTS telemetry_config JSONB DEFAULT '{}'`);
+
+        // Poll health per data source entity (VRM site / IC2 device). entity_id
+        // '*' is the source-level list call (VRM installations, IC2 devices).
+        await client.query(`
+      CREATE TABLE IF NOT EXISTS poll_health (
+        source TEXT NOT NULL,
+        entity_id TEXT NOT NULL,
+        name TEXT,
+        last_attempt BIGINT,
+        last_success BIGINT,
+        consecutive_failures INTEGER NOT NULL DEFAULT 0,
+        last_error TEXT,
+        latency_ms INTEGER,
+        PRIMARY KEY (source, entity_id)
+      )
+    `);
+        console.log('  ✓ Poll health table ready');
+
+        // Threshold alert rules (metric / operator / threshold / duration /
+        // hysteresis / severity / scope / channels), edited in Settings
+        await client.query(`
+      CREATE TABLE IF NOT EXISTS alert_rules (
+        id SERIAL PRIMARY KEY,
+        name TEXT NOT NULL,
+        metric TEXT NOT NULL,
+        operator TEXT NOT NULL,
+        threshold REAL NOT NULL,
+        duration_min INTEGER NOT NULL DEFAULT 0,
+        hysteresis REAL NOT NULL DEFAULT 0,
+        severity TEXT NOT NULL,
+        scope_type TEXT NOT NULL DEFAULT 'fleet',
+        scope_id INTEGER,
+        channels JSONB NOT NULL DEFAULT '[]',
+        enabled BOOLEAN DEFAULT TRUE,
+        created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+        created_at BIGINT NOT NULL DEFAULT (extract(epoch from now()) * 1000),
+        updated_at BIGINT NOT NULL DEFAULT (extract(epoch from now()) * 1000)
+      )
+    `);
+        const ruleCount = await client.query(`SELECT count(*) FROM alert_rules`);
+        if (parseInt(ruleCount.rows[0].count) === 0) {
+            for (const r of DEFAULT_ALERT_RULES) {
+                await client.query(
+                    `INSERT INTO alert_rules (name, metric, operator, threshold, duration_min, hysteresis, severity, channels)
+                     VALUES ($1, $2, $3, $4, $5, $6, $7, $8)`,
+                    [r.name, r.metric, r.operator, r.threshold, r.duration_min || 0, r.hysteresis || 0, r.severity, JSON.stringify(r.channels)]
+                );
+            }
+            console.log('  ✓ Default alert rules seeded');
+        }
+        // Rules added after a database was first seeded — once, so a rule
+        // an admin deleted stays deleted
+        for (const r of DEFAULT_ALERT_RULES.filter(d => LATE_SEEDED_ALERT_RULES.includes(d.name))) {
+            const marker = await client.query(
+                `INSERT INTO settings (key, value) VALUES ($1, '1') ON CONFLICT (key) DO NOTHING RETURNING key`,
+                [`alert_rule_seeded:${r.name}`]
+            );
+            if (marker.rowCount === 0) continue;
+            await client.query(
+                `INSERT INTO alert_rules (name, metric, operator, threshold, duration_min, hysteresis, severity, channels)
+                 SELECT $1, $2, $3, $4, $5, $6, $7, $8
+                 WHERE NOT EXISTS (SELECT 1 FROM alert_rules WHERE name = $1)`,
+                [r.name, r.metric, r.operator, r.threshold, r.duration_min || 0, r.hysteresis || 0, r.severity, JSON.stringify(r.channels)]
+            );
+        }
+
+        // alert_history holds energy deficit alerts and rule alerts side by side
+        await client.query(`ALTER TABLE alert_history ADD COLUMN IF NOT EXISTS alert_type TEXT NOT NULL DEFAULT 'energy_deficit'`);
+        await client.query(`ALTER TABLE alert_history ADD COLUMN IF NOT EXISTS rule_id INTEGER REFERENCES alert_rules(id) ON DELETE SET NULL`);
+        await client.query(`ALTER TABLE alert_history ADD COLUMN IF NOT EXISTS metric TEXT`);
+        await client.query(`ALTER TABLE alert_history ADD COLUMN IF NOT EXISTS value REAL`);
+        console.log('  ✓ Alert rules table ready');
+
+        // Alert lifecycle: open → acknowledged → assigned → snoozed → resolved
+        // (by a user) or auto_resolved (condition cleared). resolved_at stays
+        // the time the condition cleared, so a manually resolved alert is not
+        // re-opened while its condition still holds.
+        await client.query(`ALTER TABLE alert_history ADD COLUMN IF NOT EXISTS status TEXT NOT NULL DEFAULT 'open'`);
+        await client.query(`ALTER TABLE alert_history ADD COLUMN IF NOT EXISTS acknowledged_at TIMESTAMPTZ`);
+        await client.query(`ALTER TABLE alert_history ADD COLUMN IF NOT EXISTS acknowledged_by INTEGER REFERENCES users(id) ON DELETE SET NULL`);
+        await client.query(`ALTER TABLE alert_history ADD COLUMN IF NOT EXISTS assigned_to INTEGER REFERENCES users(id) ON DELETE SET NULL`);
+        await client.query(`ALTER TABLE alert_history ADD COLUMN IF NOT EXISTS assigned_at TIMESTAMPTZ`);
+        await client.query(`ALTER TABLE alert_history ADD COLUMN IF NOT EXISTS snoozed_until TIMESTAMPTZ`);
+        await client.query(`ALTER TABLE alert_history ADD COLUMN IF NOT EXISTS resolved_by INTEGER REFERENCES users(id) ON DELETE SET NULL`);
+        await client.query(`ALTER TABLE alert_history ADD COLUMN IF NOT EXISTS resolution_note TEXT`);
+        await client.query(`ALTER TABLE alert_history ADD COLUMN IF NOT EXISTS escalated_at TIMESTAMPTZ`);
+        await client.query(`UPDATE alert_history SET status = 'auto_resolved' WHERE resolved_at IS NOT NULL AND status = 'open'`);
+        await client.query(`CREATE INDEX IF NOT EXISTS idx_alert_history_site ON alert_history(site_id, created_at DESC)`);
+
+        // Notification dedupe / cooldown state shared by every channel
+        // (see NOTIFICATION_WINDOWS_MS). One row per type + entity.
+        await client.query(`
+            CREATE TABLE IF NOT EXISTS notification_log (
+                notification_type TEXT NOT NULL,
+                entity_key TEXT NOT NULL,
+                last_sent_at BIGINT NOT NULL,
+                send_count INTEGER NOT NULL DEFAULT 1,
+                first_sent_at BIGINT NOT NULL,
+                PRIMARY KEY (notification_type, entity_key)
+            )
+        `);
+        console.log('  ✓ Notification log table ready');
+
+        // Per-user notification preferences: channels per event type
+        // ({ energy_deficit: ['in_app','email'], ... }), quiet hours in the
+        // user's timezone, and subscriptions to job sites / companies /
+        // trailers (trailer scope_id = VRM site id, as in alert_rules)
+        await client.query(`
+            CREATE TABLE IF NOT EXISTS notification_preferences (
+                user_id INTEGER PRIMARY KEY REFERENCES users(id) ON DELETE CASCADE,
+                channels JSONB NOT NULL DEFAULT '{}'::jsonb,
+                all_trailers BOOLEAN NOT NULL DEFAULT FALSE,
+                phone TEXT,
+                quiet_start TEXT,
+                quiet_end TEXT,
+                timezone TEXT,
+                quiet_allow_critical BOOLEAN NOT NULL DEFAULT TRUE,
+                updated_at BIGINT NOT NULL
+            )
+        `);
+        await client.query(`
+            CREATE TABLE IF NOT EXISTS notification_subscriptions (
+                id SERIAL PRIMARY KEY,
+                user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+                scope_type TEXT NOT NULL,
+                scope_id INTEGER NOT NULL,
+                created_at BIGINT NOT NULL,
+                UNIQUE (user_id, scope_type, scope_id)
+            )
+        `);
+        // Email / SMS held during a user's quiet hours, sent when they end
+        await client.query(`
+            CREATE TABLE IF NOT EXISTS notification_queue (
+                id SERIAL PRIMARY KEY,
+                user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+                channel TEXT NOT NULL,
+                event_type TEXT NOT NULL,
+                severity TEXT,
+                title TEXT NOT NULL,
+                body TEXT,
+                link TEXT,
+                created_at BIGINT NOT NULL
+            )
+        `);
+        await client.query(`ALTER TABLE notification_queue ADD COLUMN IF NOT EXISTS attempts INTEGER NOT NULL DEFAULT 0`);
+        console.log('  ✓ Notification preferences tables ready');
+
+        // Outbound webhooks and their delivery log (see WEBHOOK_DELIVERY)
+        await client.query(`
+            CREATE TABLE IF NOT EXISTS webhooks (
+                id SERIAL PRIMARY KEY,
+                name TEXT NOT NULL,
+                url TEXT NOT NULL,
+                secret TEXT NOT NULL,
+                events JSONB NOT NULL DEFAULT '[]'::jsonb,
+                enabled BOOLEAN NOT NULL DEFAULT TRUE,
+                created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+                created_at BIGINT NOT NULL,
+                updated_at BIGINT NOT NULL
+            )
+        `);
+        await client.query(`
+            CREATE TABLE IF NOT EXISTS webhook_deliveries (
+                id SERIAL PRIMARY KEY,
+                webhook_id INTEGER NOT NULL REFERENCES webhooks(id) ON DELETE CASCADE,
+                event_id TEXT NOT NULL,
+                event_type TEXT NOT NULL,
+                payload JSONB NOT NULL,
+                status TEXT NOT NULL DEFAULT 'pending',
+                attempts INTEGER NOT NULL DEFAULT 0,
+                next_attempt_at BIGINT,
+                last_status_code INTEGER,
+                last_error TEXT,
+                response_ms INTEGER,
+                created_at BIGINT NOT NULL,
+                delivered_at BIGINT
+            )
+        `);
+        await client.query(`CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_due ON webhook_deliveries(status, next_attempt_at)`);
+        await client.query(`CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_webhook ON webhook_deliveries(webhook_id, created_at DESC)`);
+        console.log('  ✓ Webhook tables ready');
+
+        // Hardware profiles: panel + battery configuration per product code,
+        // or assigned to a trailer directly (trailers.hardware_profile_id)
+        await client.query(`
+      CREATE TABLE IF NOT EXISTS hardware_profiles (
+        id SERIAL PRIMARY KEY,
+        name TEXT NOT NULL UNIQUE,
+        product_code TEXT UNIQUE,
+        panel_count INTEGER NOT NULL,
+        panel_watts REAL NOT NULL,
+        system_efficiency REAL NOT NULL DEFAULT 0.70,
+        battery_chemistry TEXT NOT NULL DEFAULT 'LiFePO4',
+        battery_count INTEGER NOT NULL,
+        battery_config TEXT NOT NULL DEFAULT 'parallel' CHECK (battery_config IN ('parallel','series')),
+        battery_ah REAL NOT NULL,
+        battery_voltage REAL NOT NULL,
+        min_soc_threshold REAL NOT NULL DEFAULT 20,
+        notes TEXT,
+        created_at BIGINT NOT NULL DEFAULT (extract(epoch from now()) * 1000),
+        updated_at BIGINT NOT NULL DEFAULT (extract(epoch from now()) * 1000)
+      )
+    `);
+        await client.query(`ALTER TABLE trailers ADD COLUMN IF NOT EXISTS hardware_profile_id INTEGER REFERENCES hardware_profiles(id) ON DELETE SET NULL`);
+        const profileCount = await client.query(`SELECT count(*) FROM hardware_profiles`);
+        if (parseInt(profileCount.rows[0].count) === 0) {
+            const { solar, battery } = TRAILER_SPECS;
+            await client.query(
+                `INSERT INTO hardware_profiles (name, product_code, panel_count, panel_watts, system_efficiency,
+                    battery_chemistry, battery_count, battery_config, battery_ah, battery_voltage, min_soc_threshold)
+                 VALUES ($1, $1, $2, $3, $4, $5, $6, $7, $8, $9, $10)`,
+                [DEFAULT_PRODUCT_CODE, solar.panels, solar.panel_watts, solar.system_efficiency,
+                    battery.chemistry, battery.count, battery.config, battery.ah_per_battery, battery.voltage, battery.min_soc_threshold]
+            );
+            console.log(`  ✓ Default hardware profile seeded (${DEFAULT_PRODUCT_CODE})`);
+        }
+        console.log('  ✓ Hardware profiles table ready');
+
+        // Cellular data plans: a cap per billing cycle, either shared by every
+        // SIM on the plan (pooled) or per SIM. Devices are assigned directly;
+        // a plan with a company_id also covers that company's trailers.
+        await client.query(`
+      CREATE TABLE IF NOT EXISTS data_plans (
+        id SERIAL PRIMARY KEY,
+        name TEXT NOT NULL UNIQUE,
+        carrier TEXT,
+        cap_gb REAL NOT NULL,
+        cycle_start_day INTEGER NOT NULL DEFAULT 1 CHECK (cycle_start_day BETWEEN 1 AND 28),
+        pooled BOOLEAN NOT NULL DEFAULT FALSE,
+        company_id INTEGER REFERENCES companies(id) ON DELETE SET NULL,
+        alert_thresholds JSONB NOT NULL DEFAULT '[75, 90, 100]',
+        overage_per_gb REAL,
+        notes TEXT,
+        created_at BIGINT NOT NULL DEFAULT (extract(epoch from now()) * 1000),
+        updated_at BIGINT NOT NULL DEFAULT (extract(epoch from now()) * 1000)
+      )
+    `);
+        await client.query(`
+      CREATE TABLE IF NOT EXISTS data_plan_devices (
+        device_name TEXT PRIMARY KEY,
+        plan_id INTEGER NOT NULL REFERENCES data_plans(id) ON DELETE CASCADE,
+        assigned_at BIGINT NOT NULL DEFAULT (extract(epoch from now()) * 1000)
+      )
+    `);
+        // Highest threshold already alerted per plan / SIM, cycle and kind
+        // (usage so far, or projected at cycle end; device_name '' for the
+        // pool), so each threshold fires once per cycle
+        await client.query(`
+      CREATE TABLE IF NOT EXISTS data_plan_alerts (
+        plan_id INTEGER NOT NULL REFERENCES data_plans(id) ON DELETE CASCADE,
+        device_name TEXT NOT NULL DEFAULT '',
+        cycle_start DATE NOT NULL,
+        kind TEXT NOT NULL DEFAULT 'usage' CHECK (kind IN ('usage','projected')),
+        threshold_pct INTEGER NOT NULL,
+        alerted_at BIGINT NOT NULL,
+        PRIMARY KEY (plan_id, device_name, cycle_start, kind)
+      )
+    `);
+        console.log('  ✓ Data plan tables ready');
+
+        // WAN / cellular state per Pepwave device. wan_state is the last seen
+        // state (interfaces NULL until a poll has reported them), wan_events
+        // every transition, device_outages each offline spell (ended_at NULL
+        // while open). None of these follow the snapshot retention.
+        await client.query(`
+      CREATE TABLE IF NOT EXISTS wan_state (
+        device_name TEXT PRIMARY KEY,
+        online BOOLEAN,
+        active_wan TEXT,
+        wan_ip TEXT,
+        interfaces JSONB,
+        first_seen BIGINT NOT NULL,
+        updated_at BIGINT NOT NULL
+      )
+    `);
+        await client.query(`
+      CREATE TABLE IF NOT EXISTS wan_events (
+        id BIGSERIAL PRIMARY KEY,
+        device_name TEXT NOT NULL,
+        timestamp BIGINT NOT NULL,
+        event TEXT NOT NULL CHECK (event IN ('device_down','device_up','wan_down','wan_up','failover','ip_change')),
+        interface_name TEXT,
+        interface_type TEXT,
+        from_value TEXT,
+        to_value TEXT
+      )
+    `);
+        await client.query(`CREATE INDEX IF NOT EXISTS idx_wan_events_device_ts ON wan_events(device_name, timestamp DESC)`);
+        await client.query(`
+      CREATE TABLE IF NOT EXISTS device_outages (
+        id SERIAL PRIMARY KEY,
+        device_name TEXT NOT NULL,
+        started_at BIGINT NOT NULL,
+        ended_at BIGINT,
+        duration_ms BIGINT
+      )
+    `);
+        await client.query(`CREATE INDEX IF NOT EXISTS idx_device_outages_device ON device_outages(device_name, started_at)`);
+        await client.query(`CREATE UNIQUE INDEX IF NOT EXISTS idx_device_outages_open ON device_outages(device_name) WHERE ended_at IS NULL`);
+        console.log('  ✓ WAN state tables ready');
+
+        // Pepwave hardware inventory, synced from IC2. pepwave_inventory and
+        // pepwave_inventory_sims hold the current state per device / SIM
+        // slot, pepwave_inventory_changes every difference between syncs.
+        // trailer_components rows created by the sync carry source
+        // 'ic2_inventory' and a source_key ('router:<serial>', 'sim:<iccid>').
+        await client.query(`
+      CREATE TABLE IF NOT EXISTS pepwave_inventory (
+        device_id INTEGER PRIMARY KEY,
+        device_name TEXT NOT NULL,
+        site_id INTEGER,
+        serial TEXT,
+        model TEXT,
+        firmware TEXT,
+        config_profile TEXT,
+        imei TEXT,
+        first_seen BIGINT NOT NULL,
+        last_seen BIGINT NOT NULL,
+        updated_at BIGINT NOT NULL
+      )
+    `);
+        await client.query(`
+      CREATE TABLE IF NOT EXISTS pepwave_inventory_sims (
+        device_id INTEGER NOT NULL REFERENCES pepwave_inventory(device_id) ON DELETE CASCADE,
+        slot INTEGER NOT NULL,
+        iccid TEXT,
+        imsi TEXT,
+        carrier TEXT,
+        detected BOOLEAN,
+        active BOOLEAN,
+        updated_at BIGINT NOT NULL,
+        PRIMARY KEY (device_id, slot)
+      )
+    `);
+        await client.query(`CREATE INDEX IF NOT EXISTS idx_inventory_sims_iccid ON pepwave_inventory_sims(iccid)`);
+        await client.query(`
+      CREATE TABLE IF NOT EXISTS pepwave_inventory_changes (
+        id BIGSERIAL PRIMARY KEY,
+        device_id INTEGER NOT NULL,
+        device_name TEXT NOT NULL,
+        timestamp BIGINT NOT NULL,
+        field TEXT NOT NULL CHECK (field IN ('added','model','serial','firmware','config_profile','imei','iccid','sim_moved','site')),
+        slot INTEGER,
+        from_value TEXT,
+        to_value TEXT,
+        related_device TEXT
+      )
+    `);
+        await client.query(`CREATE INDEX IF NOT EXISTS idx_inventory_changes_ts ON pepwave_inventory_changes(timestamp DESC)`);
+        await client.query(`CREATE INDEX IF NOT EXISTS idx_inventory_changes_device ON pepwave_inventory_changes(device_id, timestamp DESC)`);
+        await client.query(`
+      CREATE TABLE IF NOT EXISTS firmware_baselines (
+        model TEXT PRIMARY KEY,
+        firmware TEXT NOT NULL,
+        set_by TEXT,
+        set_at BIGINT NOT NULL
+      )
+    `);
+        await client.query(`ALTER TABLE trailer_components ADD COLUMN IF NOT EXISTS source TEXT`);
+        await client.query(`ALTER TABLE trailer_components ADD COLUMN IF NOT EXISTS source_key TEXT`);
+        await client.query(`CREATE INDEX IF NOT EXISTS idx_components_source_key ON trailer_components(source_key) WHERE source IS NOT NULL`);
+        console.log('  ✓ Pepwave inventory tables ready');
+
         // Backfill trailers from existing GPS-derived assignments (idempotent)
         await client.query(`
       INSERT INTO trailers (unit_number, vrm_site_id, ic2_device_id)
@@ -795,6 +1274,45 @@ export async function applySchema(client) {
             console.log('  ✓ Rentals backfilled from current trailer assignments');
         }
 
+        // One-time outage import: offline runs in the raw Pepwave snapshots
+        // still held, so availability history starts before live tracking
+        const outagesImported = await client.query(`SELECT value FROM settings WHERE key = 'wan_outages_imported'`);
+        if (outagesImported.rows.length === 0) {
+            await client.query(`
+        WITH s AS (
+          SELECT device_name, timestamp, online,
+                 LAG(online) OVER (PARTITION BY device_name ORDER BY timestamp) AS prev
+          FROM pepwave_snapshots
+          WHERE online IS NOT NULL
+        ), edges AS (
+          SELECT device_name, timestamp, online,
+                 LEAD(timestamp) OVER (PARTITION BY device_name ORDER BY timestamp) AS next_edge
+          FROM s
+          WHERE (prev IS NULL AND NOT online) OR prev <> online
+        )
+        INSERT INTO device_outages (device_name, started_at, ended_at, duration_ms)
+        SELECT device_name, timestamp, next_edge, next_edge - timestamp
+        FROM edges WHERE NOT online
+      `);
+            await client.query(`
+        INSERT INTO wan_events (device_name, timestamp, event, from_value, to_value)
+        SELECT device_name, started_at, 'device_down', 'online', 'offline' FROM device_outages
+        UNION ALL
+        SELECT device_name, ended_at, 'device_up', 'offline', 'online' FROM device_outages WHERE ended_at IS NOT NULL
+      `);
+            await client.query(`
+        INSERT INTO wan_state (device_name, online, wan_ip, interfaces, first_seen, updated_at)
+        SELECT DISTINCT ON (device_name) device_name, online, wan_ip, NULL,
+               MIN(timestamp) OVER (PARTITION BY device_name), timestamp
+        FROM pepwave_snapshots
+        WHERE online IS NOT NULL
+        ORDER BY device_name, timestamp DESC
+        ON CONFLICT (device_name) DO NOTHING
+      `);
+            await client.query(`INSERT INTO settings (key, value) VALUES ('wan_outages_imported', '1') ON CONFLICT (key) DO NOTHING`);
+            console.log('  ✓ Device outages imported from Pepwave snapshots');
+        }
+
         // Default retention: 90 days
         await client.query(`
       INSERT INTO settings (key, value)
@@ -1,4 +1,5 @@
 import { pool } from './core.js';
+import { TELEMETRY_ROLLUP } from '../config.js';
 
 export async function getRetentionDays() {
     if (!pool) return 90;
@@ -34,18 +35,37 @@ export async function pruneOldData() {
     if (!pool) return;
     const days = await getRetentionDays();
     const cutoff = Date.now() - days * 24 * 60 * 60 * 1000;
-    await pool.query("DELETE FROM site_snapshots WHERE timestamp < $1", [cutoff]);
-    await pool.query("DELETE FROM pepwave_snapshots WHERE timestamp < $1", [cutoff]);
+    const hourlyCutoff = Date.now() - TELEMETRY_ROLLUP.hourly_days * 24 * 60 * 60 * 1000;
+    // Raw and hourly rows only go once the next tier up has rolled them up;
+    // daily rollups are kept forever
+    for (const table of ['site_snapshots', 'pepwave_snapshots']) {
+        await pool.query(
+            `DELETE FROM ${table} WHERE timestamp < LEAST($1, COALESCE((SELECT MAX(bucket_ts) FROM ${table}_hourly), 0))`,
+            [cutoff]
+        );
+        await pool.query(
+            `DELETE FROM ${table}_hourly WHERE bucket_ts < LEAST($1, COALESCE((SELECT MAX(bucket_ts) FROM ${table}_daily), 0))`,
+            [hourlyCutoff]
+        );
+    }
+    await pool.query("DELETE FROM notification_log WHERE last_sent_at < $1", [cutoff]);
+    await pool.query("DELETE FROM consumption_gap_fills WHERE end_ts < $1", [cutoff]);
 }
 
 export async function getDbStats() {
-    if (!pool) return { size: 0, count: 0, pepwave_count: 0 };
+    if (!pool) return { size: 0, count: 0, pepwave_count: 0, hourly_count: 0, daily_count: 0 };
     const countResult = await pool.query("SELECT COUNT(*) as count FROM site_snapshots");
     const pepwaveCountResult = await pool.query("SELECT COUNT(*) as count FROM pepwave_snapshots");
+    const rollupResult = await pool.query(
+        `SELECT (SELECT COUNT(*) FROM site_snapshots_hourly) + (SELECT COUNT(*) FROM pepwave_snapshots_hourly) as hourly,
+                (SELECT COUNT(*) FROM site_snapshots_daily) + (SELECT COUNT(*) FROM pepwave_snapshots_daily) as daily`
+    );
     let sizeBytes = 0;
     try {
         const sizeResult = await pool.query(
-            "SELECT pg_total_relation_size('site_snapshots') + pg_total_relation_size('pepwave_snapshots') as size"
+            `SELECT pg_total_relation_size('site_snapshots') + pg_total_relation_size('pepwave_snapshots')
+                  + pg_total_relation_size('site_snapshots_hourly') + pg_total_relation_size('pepwave_snapshots_hourly')
+                  + pg_total_relation_size('site_snapshots_daily') + pg_total_relation_size('pepwave_snapshots_daily') as size`
         );
         sizeBytes = parseInt(sizeResult.rows[0].size, 10);
     } catch {
@@ -55,6 +75,8 @@ export async function getDbStats() {
         size: sizeBytes,
         count: parseInt(countResult.rows[0].count, 10),
         pepwave_count: parseInt(pepwaveCountResult.rows[0].count, 10),
+        hourly_count: parseInt(rollupResult.rows[0].hourly, 10),
+        daily_count: parseInt(rollupResult.rows[0].daily, 10),
     };
 }
 
@@ -1,4 +1,5 @@
 import { pool } from './core.js';
+import { TELEMETRY_ROLLUP } from '../config.js';
 
 export async function insertSnapshot(snapshot) {
     if (!pool) return;
@@ -8,8 +9,8 @@ export async function insertSnapshot(snapshot) {
        battery_temp, battery_power, solar_watts, solar_yield_today, solar_yield_yesterday,
        charge_state, raw_battery, raw_solar,
        consumed_ah, dc_load_watts, load_current, load_state, inverter_mode,
-       mppt_state, alarm_reason, error_code, lifetime_yield_kwh, time_to_go_min)
-     VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11,$12,$13,$14,$15,$16,$17,$18,$19,$20,$21,$22,$23,$24)`,
+       mppt_state, alarm_reason, error_code, lifetime_yield_kwh, time_to_go_min, backfilled)
+     VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11,$12,$13,$14,$15,$16,$17,$18,$19,$20,$21,$22,$23,$24,$25)`,
         [
             snapshot.site_id,
             snapshot.site_name,
@@ -35,12 +36,17 @@ export async function insertSnapshot(snapshot) {
             snapshot.error_code != null ? String(snapshot.error_code) : null,
             snapshot.lifetime_yield_kwh ?? null,
             snapshot.time_to_go_min ?? null,
+            snapshot.backfilled === true,
         ]
     );
 }
 
+// Raw rows for short recent ranges, hourly / daily rollups (tagged with
+// tier, averages under the raw column names) for longer or older ones
 export async function getHistory(siteId, startTs, endTs) {
     if (!pool) return [];
+    const tier = await pickHistoryTier('site', siteId, startTs, endTs);
+    if (tier !== 'raw') return getRollupHistory('site', tier, siteId, startTs, endTs);
     const result = await pool.query(
         `SELECT * FROM site_snapshots
      WHERE site_id = $1 AND timestamp >= $2 AND timestamp <= $3
@@ -63,6 +69,55 @@ export async function getLatestSnapshots() {
     return result.rows;
 }
 
+// Latest row per site recorded in (startTs, endTs] — one simulator step
+export async function getSnapshotWindow(startTs, endTs) {
+    if (!pool) return [];
+    const result = await pool.query(`
+    SELECT DISTINCT ON (site_id) *
+    FROM site_snapshots
+    WHERE timestamp > $1 AND timestamp <= $2
+    ORDER BY site_id, timestamp DESC
+  `, [startTs, endTs]);
+    return result.rows;
+}
+
+// Holes longer than minGapMs between consecutive snapshots of a site in
+// [startTs, endTs), with the row before each hole for context
+export async function findSnapshotGaps(startTs, endTs, minGapMs, siteId = null) {
+    if (!pool) return [];
+    const result = await pool.query(`
+    SELECT site_id, site_name, prev_ts AS gap_start, timestamp AS gap_end, prev_yield_today
+    FROM (
+        SELECT site_id, timestamp,
+               LAG(timestamp) OVER w AS prev_ts,
+               LAG(site_name) OVER w AS site_name,
+               LAG(solar_yield_today) OVER w AS prev_yield_today
+        FROM site_snapshots
+        WHERE timestamp >= $1 AND timestamp < $2 AND ($4::int IS NULL OR site_id = $4)
+        WINDOW w AS (PARTITION BY site_id ORDER BY timestamp)
+    ) t
+    WHERE prev_ts IS NOT NULL AND timestamp - prev_ts > $3
+    ORDER BY site_id, prev_ts
+  `, [startTs, endTs, minGapMs, siteId]);
+    return result.rows.map(r => ({
+        site_id: r.site_id,
+        site_name: r.site_name,
+        gap_start: Number(r.gap_start),
+        gap_end: Number(r.gap_end),
+        prev_yield_today: r.prev_yield_today != null ? Number(r.prev_yield_today) : null,
+    }));
+}
+
+export async function getSnapshotTimeRange() {
+    if (!pool) return null;
+    const result = await pool.query(
+        `SELECT MIN(timestamp) AS min_ts, MAX(timestamp) AS max_ts FROM site_snapshots`
+    );
+    const row = result.rows[0];
+    if (!row || row.min_ts == null) return null;
+    return { min: Number(row.min_ts), max: Number(row.max_ts) };
+}
+
 // ============================================================
 // Pepwave Snapshots
 // ============================================================
@@ -93,8 +148,22 @@ export async function insertPepwaveSnapshot(snap) {
     );
 }
 
+// Latest row per device recorded in (startTs, endTs] — one simulator step
+export async function getPepwaveSnapshotWindow(startTs, endTs) {
+    if (!pool) return [];
+    const result = await pool.query(`
+    SELECT DISTINCT ON (device_name) *
+    FROM pepwave_snapshots
+    WHERE timestamp > $1 AND timestamp <= $2
+    ORDER BY device_name, timestamp DESC
+  `, [startTs, endTs]);
+    return result.rows;
+}
+
 export async function getPepwaveHistory(deviceName, startTs, endTs) {
     if (!pool) return [];
+    const tier = await pickHistoryTier('pepwave', deviceName, startTs, endTs);
+    if (tier !== 'raw') return getRollupHistory('pepwave', tier, deviceName, startTs, endTs);
     const result = await pool.query(
         `SELECT * FROM pepwave_snapshots
      WHERE device_name = $1 AND timestamp >= $2 AND timestamp <= $3
@@ -127,6 +196,40 @@ export async function getPepwaveDailyUsage(deviceName, days = 30) {
 }
 
 
+// Signal and uptime per device and carrier from the hourly rollups since
+// startTs; weighted by samples so short hours don't skew the averages
+export async function getCarrierDeviceStats(startTs) {
+    if (!pool) return [];
+    const result = await pool.query(
+        `SELECT device_name, carrier,
+          COUNT(*)::int AS hours,
+          SUM(samples)::int AS samples,
+          SUM(rsrp * samples) / NULLIF(SUM(samples) FILTER (WHERE rsrp IS NOT NULL), 0) AS rsrp,
+          SUM(rsrq * samples) / NULLIF(SUM(samples) FILTER (WHERE rsrq IS NOT NULL), 0) AS rsrq,
+          SUM(sinr * samples) / NULLIF(SUM(samples) FILTER (WHERE sinr IS NOT NULL), 0) AS sinr,
+          SUM(online_pct * samples) / NULLIF(SUM(samples) FILTER (WHERE online_pct IS NOT NULL), 0) AS online_pct,
+          MODE() WITHIN GROUP (ORDER BY technology) AS technology
+        FROM pepwave_snapshots_hourly
+        WHERE bucket_ts >= $1
+        GROUP BY device_name, carrier`,
+        [startTs]
+    );
+    return result.rows;
+}
+
+// Daily signal per device from the daily rollups, oldest first
+export async function getDeviceSignalDays(startTs) {
+    if (!pool) return [];
+    const result = await pool.query(
+        `SELECT device_name, bucket_ts, carrier, samples, rsrp, sinr, online_pct
+         FROM pepwave_snapshots_daily
+         WHERE bucket_ts >= $1
+         ORDER BY device_name, bucket_ts ASC`,
+        [startTs]
+    );
+    return result.rows;
+}
+
 export async function getBatteryHistory(siteId, days = 30) {
     if (!pool) return [];
     const cutoff = new Date(Date.now() - days * 86400000).toISOString().slice(0, 10);
@@ -144,3 +247,139 @@ export async function getBatteryHistory(siteId, days = 30) {
 // Users
 // ============================================================
 
+// ============================================================
+// Telemetry rollups (hourly / daily tiers)
+// ============================================================
+const BUCKET_MS = { hourly: 3600000, daily: 86400000 };
+
+// Sample-weighted mean of an hourly average, for the daily tier
+const weighted = (col) => `SUM(${col} * samples) / NULLIF(SUM(samples) FILTER (WHERE ${col} IS NOT NULL), 0)`;
+
+// [column, aggregate over raw rows, aggregate over hourly rows]
+const avgMinMax = (col) => [
+    [col, `AVG(${col})`, weighted(col)],
+    [`${col}_min`, `MIN(${col})`, `MIN(${col}_min)`],
+    [`${col}_max`, `MAX(${col})`, `MAX(${col}_max)`],
+];
+
+const ROLLUPS = {
+    site: {
+        raw: 'site_snapshots',
+        key: 'site_id',
+        columns: [
+            ['site_name', 'MAX(site_name)', 'MAX(site_name)'],
+            ['samples', 'COUNT(*)', 'SUM(samples)'],
+            ['backfilled_samples', 'COUNT(*) FILTER (WHERE backfilled)', 'SUM(backfilled_samples)'],
+            ...avgMinMax('battery_soc'),
+            ...avgMinMax('battery_voltage'),
+            ['battery_current', 'AVG(battery_current)', weighted('battery_current')],
+            ['battery_power', 'AVG(battery_power)', weighted('battery_power')],
+            ...avgMinMax('battery_temp'),
+            ['solar_watts', 'AVG(solar_watts)', weighted('solar_watts')],
+            ['solar_watts_max', 'MAX(solar_watts)', 'MAX(solar_watts_max)'],
+            ['solar_yield_today', 'MAX(solar_yield_today)', 'MAX(solar_yield_today)'],
+            ['dc_load_watts', 'AVG(dc_load_watts)', weighted('dc_load_watts')],
+            ['dc_load_watts_max', 'MAX(dc_load_watts)', 'MAX(dc_load_watts_max)'],
+        ],
+    },
+    pepwave: {
+        raw: 'pepwave_snapshots',
+        key: 'device_name',
+        columns: [
+            ['samples', 'COUNT(*)', 'SUM(samples)'],
+            ['online_pct', 'AVG(CASE WHEN online THEN 100 ELSE 0 END)', weighted('online_pct')],
+            ...avgMinMax('signal_bar'),
+            ...avgMinMax('rsrp'),
+            ['rsrq', 'AVG(rsrq)', weighted('rsrq')],
+            ['rssi', 'AVG(rssi)', weighted('rssi')],
+            ...avgMinMax('sinr'),
+            ['carrier', 'MODE() WITHIN GROUP (ORDER BY carrier)', 'MODE() WITHIN GROUP (ORDER BY carrier)'],
+            ['technology', 'MODE() WITHIN GROUP (ORDER BY technology)', 'MODE() WITHIN GROUP (ORDER BY technology)'],
+            ['usage_mb', 'MAX(usage_mb)', 'MAX(usage_mb)'],
+            ['usage_mb_min', 'MIN(usage_mb)', 'MIN(usage_mb_min)'],
+            ['tx_mb', 'MAX(tx_mb)', 'MAX(tx_mb)'],
+            ['rx_mb', 'MAX(rx_mb)', 'MAX(rx_mb)'],
+            ['client_count', 'AVG(client_count)', weighted('client_count')],
+            ['client_count_max', 'MAX(client_count)', 'MAX(client_count_max)'],
+            ['uptime', 'MAX(uptime)', 'MAX(uptime)'],
+        ],
+    },
+};
+
+// Aggregate [fromTs, toTs) into a tier: hourly from raw rows, daily from
+// hourly rows. Re-running a window overwrites its buckets.
+export async function rollupTelemetry(kind, tier, fromTs, toTs) {
+    if (!pool) return 0;
+    const spec = ROLLUPS[kind];
+    const source = tier === 'hourly' ? spec.raw : `${spec.raw}_hourly`;
+    const tsCol = tier === 'hourly' ? 'timestamp' : 'bucket_ts';
+    const bucket = `(${tsCol} / ${BUCKET_MS[tier]}) * ${BUCKET_MS[tier]}`;
+    const cols = spec.columns.map(c => c[0]);
+    const aggs = spec.columns.map(c => (tier === 'hourly' ? c[1] : c[2]));
+    const result = await pool.query(
+        `INSERT INTO ${spec.raw}_${tier} (${spec.key}, bucket_ts, ${cols.join(', ')})
+         SELECT ${spec.key}, ${bucket}, ${aggs.join(', ')}
+         FROM ${source}
+         WHERE ${tsCol} >= $1 AND ${tsCol} < $2
+         GROUP BY ${spec.key}, ${bucket}
+         ON CONFLICT (${spec.key}, bucket_ts) DO UPDATE SET
+           ${cols.map(c => `${c} = EXCLUDED.${c}`).join(',\n           ')}`,
+        [fromTs, toTs]
+    );
+    return result.rowCount;
+}
+
+// Newest bucket in a tier and the oldest row of the tier it is built from
+export async function getRollupFrontier(kind, tier) {
+    if (!pool) return null;
+    const spec = ROLLUPS[kind];
+    const source = tier === 'hourly' ? `SELECT MIN(timestamp) FROM ${spec.raw}` : `SELECT MIN(bucket_ts) FROM ${spec.raw}_hourly`;
+    const result = await pool.query(
+        `SELECT (SELECT MAX(bucket_ts) FROM ${spec.raw}_${tier}) AS last_bucket, (${source}) AS first_source`
+    );
+    const row = result.rows[0];
+    return {
+        last_bucket: row.last_bucket != null ? Number(row.last_bucket) : null,
+        first_source: row.first_source != null ? Number(row.first_source) : null,
+    };
+}
+
+// Finest tier the span allows that reaches back to the start of the range
+// (or to the oldest data held anywhere, for a trailer newer than the range)
+export async function pickHistoryTier(kind, key, startTs, endTs) {
+    const spec = ROLLUPS[kind];
+    const span = endTs - startTs;
+    const result = await pool.query(
+        `SELECT (SELECT MIN(timestamp) FROM ${spec.raw} WHERE ${spec.key} = $1) AS raw,
+                (SELECT MIN(bucket_ts) FROM ${spec.raw}_hourly WHERE ${spec.key} = $1) AS hourly,
+                (SELECT MIN(bucket_ts) FROM ${spec.raw}_daily WHERE ${spec.key} = $1) AS daily`,
+        [key]
+    );
+    const earliest = Object.fromEntries(Object.entries(result.rows[0]).map(([t, v]) => [t, v != null ? Number(v) : null]));
+    const held = Object.values(earliest).filter(v => v !== null);
+    if (held.length === 0) return 'raw';
+    const floor = Math.max(startTs, Math.min(...held));
+    const tiers = [
+        ['raw', TELEMETRY_ROLLUP.raw_max_span_days, 0],
+        ['hourly', TELEMETRY_ROLLUP.hourly_max_span_days, BUCKET_MS.hourly],
+        ['daily', Infinity, BUCKET_MS.daily],
+    ];
+    for (const [tier, maxSpanDays, bucketMs] of tiers) {
+        if (span > maxSpanDays * 86400000) continue;
+        if (earliest[tier] !== null && earliest[tier] <= floor + bucketMs) return tier;
+    }
+    return 'daily';
+}
+
+async function getRollupHistory(kind, tier, key, startTs, endTs) {
+    const spec = ROLLUPS[kind];
+    const bucketStart = Math.floor(startTs / BUCKET_MS[tier]) * BUCKET_MS[tier];
+    const result = await pool.query(
+        `SELECT *, bucket_ts AS timestamp, '${tier}' AS tier
+         FROM ${spec.raw}_${tier}
+         WHERE ${spec.key} = $1 AND bucket_ts >= $2 AND bucket_ts <= $3
+         ORDER BY bucket_ts ASC`,
+        [key, bucketStart, endTs]
+    );
+    return result.rows;
+}
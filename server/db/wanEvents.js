@@ -0,0 +1,87 @@
+import { pool } from './core.js';
+
+// ============================================================
+// WAN state, transitions and device outages
+// ============================================================
+
+export async function getWanStates() {
+    if (!pool) return [];
+    const result = await pool.query(`SELECT * FROM wan_state`);
+    return result.rows.map(r => ({ ...r, first_seen: Number(r.first_seen), updated_at: Number(r.updated_at) }));
+}
+
+export async function upsertWanState(s) {
+    if (!pool) return;
+    await pool.query(
+        `INSERT INTO wan_state (device_name, online, active_wan, wan_ip, interfaces, first_seen, updated_at)
+         VALUES ($1, $2, $3, $4, $5, $6, $7)
+         ON CONFLICT (device_name) DO UPDATE SET
+           online = EXCLUDED.online, active_wan = EXCLUDED.active_wan, wan_ip = EXCLUDED.wan_ip,
+           interfaces = EXCLUDED.interfaces, updated_at = EXCLUDED.updated_at`,
+        [s.device_name, s.online, s.active_wan, s.wan_ip, s.interfaces ? JSON.stringify(s.interfaces) : null, s.first_seen, s.updated_at]
+    );
+}
+
+export async function insertWanEvents(events) {
+    if (!pool || events.length === 0) return;
+    const values = [];
+    const rows = events.map((e, i) => {
+        values.push(e.device_name, e.timestamp, e.event, e.interface_name ?? null, e.interface_type ?? null, e.from_value ?? null, e.to_value ?? null);
+        const b = i * 7;
+        return `($${b + 1}, $${b + 2}, $${b + 3}, $${b + 4}, $${b + 5}, $${b + 6}, $${b + 7})`;
+    });
+    await pool.query(
+        `INSERT INTO wan_events (device_name, timestamp, event, interface_name, interface_type, from_value, to_value)
+         VALUES ${rows.join(', ')}`,
+        values
+    );
+}
+
+// No-op when the device already has an open outage
+export async function openDeviceOutage(deviceName, startedAt) {
+    if (!pool) return;
+    await pool.query(
+        `INSERT INTO device_outages (device_name, started_at) VALUES ($1, $2)
+         ON CONFLICT (device_name) WHERE ended_at IS NULL DO NOTHING`,
+        [deviceName, startedAt]
+    );
+}
+
+export async function closeDeviceOutage(deviceName, endedAt) {
+    if (!pool) return null;
+    const result = await pool.query(
+        `UPDATE device_outages SET ended_at = $2, duration_ms = $2 - started_at
+         WHERE device_name = $1 AND ended_at IS NULL RETURNING *`,
+        [deviceName, endedAt]
+    );
+    return result.rows[0] || null;
+}
+
+export async function getWanEvents(deviceName, startTs, endTs, limit = 500) {
+    if (!pool) return [];
+    const result = await pool.query(
+        `SELECT * FROM wan_events
+         WHERE device_name = $1 AND timestamp >= $2 AND timestamp < $3
+         ORDER BY timestamp DESC LIMIT $4`,
+        [deviceName, startTs, endTs, limit]
+    );
+    return result.rows.map(r => ({ ...r, id: Number(r.id), timestamp: Number(r.timestamp) }));
+}
+
+// Outages overlapping [startTs, endTs) for the given devices
+export async function getDeviceOutages(deviceNames, startTs, endTs) {
+    if (!pool || deviceNames.length === 0) return [];
+    const result = await pool.query(
+        `SELECT id, device_name, started_at, ended_at, duration_ms FROM device_outages
+         WHERE device_name = ANY($1) AND started_at < $3 AND (ended_at IS NULL OR ended_at > $2)
+         ORDER BY device_name, started_at`,
+        [deviceNames, startTs, endTs]
+    );
+    return result.rows.map(r => ({
+        id: r.id,
+        device_name: r.device_name,
+        started_at: Number(r.started_at),
+        ended_at: r.ended_at != null ? Number(r.ended_at) : null,
+        duration_ms: r.duration_ms != null ? Number(r.duration_ms) : null,
+    }));
+}
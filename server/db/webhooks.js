@@ -0,0 +1,148 @@
+import { pool } from './core.js';
+
+// ============================================================
+// Outbound webhooks and delivery log (sent by services/webhooks.js)
+// ============================================================
+
+// Latest delivery outcome per webhook, for the Settings list
+const WEBHOOK_SELECT = `
+    SELECT w.*, d.status AS last_delivery_status, d.created_at AS last_delivery_at,
+           d.last_status_code AS last_delivery_code
+    FROM webhooks w
+    LEFT JOIN LATERAL (
+        SELECT status, created_at, last_status_code FROM webhook_deliveries
+        WHERE webhook_id = w.id ORDER BY created_at DESC LIMIT 1
+    ) d ON TRUE`;
+
+export async function getWebhooks() {
+    if (!pool) return [];
+    const result = await pool.query(`${WEBHOOK_SELECT} ORDER BY w.name, w.id`);
+    return result.rows;
+}
+
+export async function getWebhook(id) {
+    if (!pool) return null;
+    const result = await pool.query(`${WEBHOOK_SELECT} WHERE w.id = $1`, [id]);
+    return result.rows[0] || null;
+}
+
+export async function getWebhooksForEvent(eventType) {
+    if (!pool) return [];
+    const result = await pool.query(
+        `SELECT * FROM webhooks WHERE enabled = TRUE AND events ? $1`,
+        [eventType]
+    );
+    return result.rows;
+}
+
+export async function insertWebhook(w) {
+    if (!pool) return null;
+    const now = Date.now();
+    const result = await pool.query(
+        `INSERT INTO webhooks (name, url, secret, events, enabled, created_by, created_at, updated_at)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $7) RETURNING *`,
+        [w.name, w.url, w.secret, JSON.stringify(w.events || []), w.enabled !== false, w.created_by || null, now]
+    );
+    return result.rows[0];
+}
+
+export async function updateWebhook(id, updates) {
+    if (!pool) return null;
+    const fields = [];
+    const values = [];
+    let idx = 1;
+    for (const [key, val] of Object.entries(updates)) {
+        if (['name', 'url', 'secret', 'enabled'].includes(key)) {
+            fields.push(`${key} = $${idx++}`);
+            values.push(val);
+        } else if (key === 'events') {
+            fields.push(`events = $${idx++}`);
+            values.push(JSON.stringify(val || []));
+        }
+    }
+    if (fields.length === 0) return null;
+    fields.push(`updated_at = $${idx++}`);
+    values.push(Date.now());
+    values.push(id);
+    const result = await pool.query(
+        `UPDATE webhooks SET ${fields.join(', ')} WHERE id = $${idx} RETURNING *`,
+        values
+    );
+    return result.rows[0] || null;
+}
+
+export async function deleteWebhook(id) {
+    if (!pool) return null;
+    const result = await pool.query(`DELETE FROM webhooks WHERE id = $1 RETURNING *`, [id]);
+    return result.rows[0] || null;
+}
+
+// nextAttemptAt: when the retry loop may pick it up if the first
+// (inline) attempt never records an outcome
+export async function insertWebhookDelivery(webhookId, eventId, eventType, payload, nextAttemptAt) {
+    if (!pool) return null;
+    const result = await pool.query(
+        `INSERT INTO webhook_deliveries (webhook_id, event_id, event_type, payload, status, next_attempt_at, created_at)
+         VALUES ($1, $2, $3, $4, 'pending', $5, $6) RETURNING *`,
+        [webhookId, eventId, eventType, JSON.stringify(payload), nextAttemptAt, Date.now()]
+    );
+    return result.rows[0];
+}
+
+export async function updateWebhookDelivery(id, updates) {
+    if (!pool) return null;
+    const fields = [];
+    const values = [];
+    let idx = 1;
+    for (const [key, val] of Object.entries(updates)) {
+        if (['status', 'attempts', 'next_attempt_at', 'last_status_code', 'last_error', 'response_ms', 'delivered_at'].includes(key)) {
+            fields.push(`${key} = $${idx++}`);
+            values.push(val);
+        }
+    }
+    if (fields.length === 0) return null;
+    values.push(id);
+    const result = await pool.query(
+        `UPDATE webhook_deliveries SET ${fields.join(', ')} WHERE id = $${idx} RETURNING *`,
+        values
+    );
+    return result.rows[0] || null;
+}
+
+export async function getWebhookDelivery(id) {
+    if (!pool) return null;
+    const result = await pool.query(`SELECT * FROM webhook_deliveries WHERE id = $1`, [id]);
+    return result.rows[0] || null;
+}
+
+// Pending / retrying deliveries whose next attempt is due, oldest first
+export async function getDueWebhookDeliveries(now, limit = 20) {
+    if (!pool) return [];
+    const result = await pool.query(
+        `SELECT d.*, w.url, w.secret, w.enabled
+         FROM webhook_deliveries d
+         JOIN webhooks w ON w.id = d.webhook_id
+         WHERE d.status IN ('pending', 'retrying') AND d.next_attempt_at <= $1
+         ORDER BY d.next_attempt_at
+         LIMIT $2`,
+        [now, limit]
+    );
+    return result.rows;
+}
+
+export async function getWebhookDeliveries(webhookId, limit = 50) {
+    if (!pool) return [];
+    const result = await pool.query(
+        `SELECT * FROM webhook_deliveries WHERE webhook_id = $1 ORDER BY created_at DESC LIMIT $2`,
+        [webhookId, limit]
+    );
+    return result.rows;
+}
+
+export async function pruneWebhookDeliveries(cutoff) {
+    if (!pool) return;
+    await pool.query(
+        `DELETE FROM webhook_deliveries WHERE created_at < $1 AND status IN ('delivered', 'failed')`,
+        [cutoff]
+    );
+}
@@ -9,35 +9,31 @@ const ALERT_EMAIL_RECIPIENTS = (process.env.ALERT_EMAIL_RECIPIENTS || '')
     .split(',')
     .map(e => e.trim())
     .filter(Boolean);
+// Second line for critical alerts nobody acknowledged (see ALERT_LIFECYCLE)
+const ALERT_ESCALATION_RECIPIENTS = (process.env.ALERT_ESCALATION_RECIPIENTS || '')
+    .split(',')
+    .map(e => e.trim())
+    .filter(Boolean);
 const FROM_EMAIL = process.env.ALERT_FROM_EMAIL || 'noreply@bigview.ai';
+const APP_URL = process.env.APP_URL || 'https://omni.bigview.ai';
+// Replayed history would otherwise re-send every historical alert
+const SIMULATOR_SUPPRESS = process.env.SIMULATOR_MODE === 'true' && process.env.SIMULATOR_SEND_EMAIL !== 'true';
 
 if (SENDGRID_API_KEY) {
     sgMail.setApiKey(SENDGRID_API_KEY);
 }
 
 // ---------------------------------------------------------------------------
-// Rate-limiting (in-memory, per site, 6-hour window)
+// Public helpers (senders don't dedupe — callers go through
+// services/notificationGate.js)
 // ---------------------------------------------------------------------------
 
-const rateLimitMap = new Map(); // siteId -> timestamp (ms)
-const RATE_LIMIT_MS = 6 * 60 * 60 * 1000; // 6 hours
-
-export function checkRateLimit(siteId) {
-    const lastSent = rateLimitMap.get(siteId);
-    if (!lastSent) return false;
-    return (Date.now() - lastSent) < RATE_LIMIT_MS;
-}
-
-export function markNotified(siteId) {
-    rateLimitMap.set(siteId, Date.now());
+export function isEmailConfigured() {
+    return Boolean(SENDGRID_API_KEY) && !SIMULATOR_SUPPRESS;
 }
 
-// ---------------------------------------------------------------------------
-// Public helpers
-// ---------------------------------------------------------------------------
-
-export function isEmailConfigured() {
-    return Boolean(SENDGRID_API_KEY);
+export function isEscalationConfigured() {
+    return isEmailConfigured() && ALERT_ESCALATION_RECIPIENTS.length > 0;
 }
 
 // ---------------------------------------------------------------------------
@@ -107,7 +103,7 @@ export async function sendAlertEmail(alert) {
 
     const deficitRows = (deficit_days || []).map(d => {
         const throttleBadge = d.throttled
-            ? `<span style="display:inline-block;background:#f39c12;color:#1a1d23;padding:2px 6px;border-radius:3px;font-size:10px;margin-left:6px;">THROTTLED</span>`
+            ? `<span style="display:inline-block;background:#f39c12;color:#1a1d23;padding:2px 6px;border-radius:3px;font-size:10px;margin-left:6px;">${d.throttle_reason === 'idle_throttled' ? 'THROTTLED' : 'UNCERTAIN'}</span>`
             : '';
         return `
         <tr>
@@ -120,13 +116,19 @@ export async function sendAlertEmail(alert) {
         </tr>`;
     }).join('');
 
-    const hasThrottled = (deficit_days || []).some(d => d.throttled);
-    const throttleNote = hasThrottled
+    const hasThrottled = (deficit_days || []).some(d => d.throttled && d.throttle_reason === 'idle_throttled');
+    const hasUncertain = (deficit_days || []).some(d => d.throttled && d.throttle_reason !== 'idle_throttled');
+    const throttleNote = (hasThrottled
         ? `<p style="font-size:13px;color:#95a5a6;margin-top:16px;">
              <strong>Note:</strong> Days marked "THROTTLED" had high battery SOC (≥88%) with MPPT in Float/Storage mode.
              Small deficits on these days are typically due to intentional solar throttling, not energy shortage.
            </p>`
-        : '';
+        : '') + (hasUncertain
+        ? `<p style="font-size:13px;color:#95a5a6;margin-top:16px;">
+             <strong>Note:</strong> Days marked "UNCERTAIN" had a consumption estimate too weak to confirm the deficit
+             (monitoring gaps or disagreeing sources) and don't count toward the streak.
+           </p>`
+        : '');
 
     const body = `
         <div style="margin-bottom:24px;">
@@ -195,6 +197,114 @@ export async function sendAlertResolvedEmail(alert) {
     await sgMail.send(msg);
 }
 
+// ---------------------------------------------------------------------------
+// sendRuleAlertEmail (threshold alert rules with the email channel)
+// ---------------------------------------------------------------------------
+
+export async function sendRuleAlertEmail(alert) {
+    if (!isEmailConfigured() || ALERT_EMAIL_RECIPIENTS.length === 0) return;
+
+    const { site_id, site_name, job_site_name, rule_name, metric_label, operator, threshold, value_text, detail, severity } = alert;
+    const color = severityColor(severity);
+
+    const body = `
+        <div style="margin-bottom:24px;">
+            <span style="display:inline-block; padding:4px 12px; border-radius:4px; background-color:${color}; color:#fff; font-size:12px; font-weight:bold; text-transform:uppercase;">${severity}</span>
+        </div>
+        <h2 style="margin:0 0 8px; color:#ecf0f1; font-size:18px;">${rule_name}</h2>
+        <p style="margin:0 0 20px; color:#bdc3c7;">
+            <strong>${site_name}</strong> (ID&nbsp;${site_id})${job_site_name ? ` at <strong>${job_site_name}</strong>` : ''}:
+            ${metric_label} is <strong style="color:${color};">${value_text}</strong> (rule: ${operator} ${threshold}).
+        </p>
+        ${detail ? `<p style="margin:0 0 20px; color:#bdc3c7;">${detail}</p>` : ''}
+        <p style="margin:0; color:#7f8c8d; font-size:13px;">Alert rules are managed in Settings → Notifications.</p>`;
+
+    const subject = `[${severity.toUpperCase()}] ${rule_name} — ${site_name}${job_site_name ? ` @ ${job_site_name}` : ''} (${value_text})`;
+
+    const msg = {
+        to: ALERT_EMAIL_RECIPIENTS,
+        from: FROM_EMAIL,
+        subject,
+        html: wrapHtml(subject, body),
+    };
+
+    await sgMail.send(msg);
+}
+
+// ---------------------------------------------------------------------------
+// sendAlertEscalationEmail (critical alerts unacknowledged past the window)
+// ---------------------------------------------------------------------------
+
+export async function sendAlertEscalationEmail(alerts, hours) {
+    if (!isEscalationConfigured() || alerts.length === 0) return;
+
+    const color = severityColor('critical');
+    const rows = alerts.map(a => {
+        const openedHours = Math.floor((Date.now() - new Date(a.created_at).getTime()) / 3600000);
+        return `
+            <tr>
+                <td style="padding:8px 12px; border-bottom:1px solid #34495e; color:#ecf0f1;">${a.site_name || `Site ${a.site_id}`}</td>
+                <td style="padding:8px 12px; border-bottom:1px solid #34495e; color:#bdc3c7;">${a.title}</td>
+                <td style="padding:8px 12px; border-bottom:1px solid #34495e; color:${color}; text-align:right;">${openedHours}h</td>
+            </tr>`;
+    }).join('');
+
+    const body = `
+        <div style="margin-bottom:24px;">
+            <span style="display:inline-block; padding:4px 12px; border-radius:4px; background-color:${color}; color:#fff; font-size:12px; font-weight:bold; text-transform:uppercase;">Escalation</span>
+        </div>
+        <p style="margin:0 0 20px; color:#bdc3c7;">
+            ${alerts.length} critical alert${alerts.length !== 1 ? 's have' : ' has'} gone unacknowledged for more than ${hours} hours.
+        </p>
+        <table style="width:100%; border-collapse:collapse; margin-bottom:20px;">
+            <tr>
+                <th style="padding:8px 12px; text-align:left; color:#7f8c8d; font-size:12px;">Trailer</th>
+                <th style="padding:8px 12px; text-align:left; color:#7f8c8d; font-size:12px;">Alert</th>
+                <th style="padding:8px 12px; text-align:right; color:#7f8c8d; font-size:12px;">Open</th>
+            </tr>
+            ${rows}
+        </table>
+        <p style="margin:0; color:#7f8c8d; font-size:13px;">Acknowledge or assign these from the action queue or the trailer detail page.</p>`;
+
+    const subject = `[ESCALATION] ${alerts.length} unacknowledged critical alert${alerts.length !== 1 ? 's' : ''}`;
+
+    const msg = {
+        to: ALERT_ESCALATION_RECIPIENTS,
+        from: FROM_EMAIL,
+        subject,
+        html: wrapHtml(subject, body),
+    };
+
+    await sgMail.send(msg);
+}
+
+// ---------------------------------------------------------------------------
+// sendNotificationEmail (one user, routed by their notification preferences)
+// ---------------------------------------------------------------------------
+
+export async function sendNotificationEmail(to, { title, body, severity, link }) {
+    if (!isEmailConfigured() || !to) return;
+
+    const color = severity ? severityColor(severity) : '#6366f1';
+    const html = `
+        ${severity ? `<div style="margin-bottom:24px;">
+            <span style="display:inline-block; padding:4px 12px; border-radius:4px; background-color:${color}; color:#fff; font-size:12px; font-weight:bold; text-transform:uppercase;">${severity}</span>
+        </div>` : ''}
+        <h2 style="margin:0 0 8px; color:#ecf0f1; font-size:18px;">${title}</h2>
+        ${body ? `<p style="margin:0 0 20px; color:#bdc3c7;">${body}</p>` : ''}
+        ${link ? `<p style="margin:0 0 20px;"><a href="${APP_URL}${link}" style="color:#3498db; text-decoration:none;">Open in BIGView OMNI →</a></p>` : ''}
+        <p style="margin:0; color:#7f8c8d; font-size:13px;">You receive this because of your notification preferences (Settings → General).</p>`;
+
+    const msg = {
+        to,
+        from: FROM_EMAIL,
+        subject: title,
+        html: wrapHtml(title, html),
+    };
+
+    await sgMail.send(msg);
+}
+
 // ---------------------------------------------------------------------------
 // sendGeofenceEmail
 // ---------------------------------------------------------------------------
@@ -1,5 +1,10 @@
 import { VRM_STALE_MS } from '../config.js';
-import { pepwaveCache, ic2DeviceIdToSiteId, ic2DeviceIdToName } from '../state.js';
+import { pepwaveCache, ic2DeviceIdToSiteId, ic2DeviceIdToName, clockOffsetMs } from '../state.js';
+
+// Current time as seen by the telemetry pipeline (simulated in replay mode)
+export function nowMs() {
+    return Date.now() + clockOffsetMs;
+}
 
 // ============================================================
 // Helper: does this trailer have actual VRM/Victron data?
@@ -12,7 +17,7 @@ export function hasVrmData(snapshot) {
         || (snapshot.battery_soc != null && snapshot.battery_soc > 0);
     if (!hasData) return false;
     // If we have a VRM timestamp, check staleness (>30 min = stale)
-    if (snapshot.vrm_timestamp && (Date.now() - snapshot.vrm_timestamp) > VRM_STALE_MS) return false;
+    if (snapshot.vrm_timestamp && (nowMs() - snapshot.vrm_timestamp) > VRM_STALE_MS) return false;
     return true;
 }
 
@@ -21,7 +26,7 @@ export function hasVrmData(snapshot) {
 // Keeps up to 14 days of data in memory
 // ============================================================
 export function todayStr() {
-    return new Date().toISOString().slice(0, 10); // YYYY-MM-DD
+    return new Date(nowMs()).toISOString().slice(0, 10); // YYYY-MM-DD
 }
 
 export function extractMpptState(snapshot) {
@@ -4,12 +4,19 @@ import { JWT_SECRET } from '../config.js';
 
 export function authMiddleware(req, res, next) {
     const authHeader = req.headers.authorization;
-    if (!authHeader || !authHeader.startsWith('Bearer ')) {
+    // EventSource can't send headers: the live stream passes a short-lived
+    // stream token (POST /api/stream/token) as ?access_token=
+    const queryToken = req.path === '/stream' ? req.query.access_token : null;
+    const bearer = authHeader?.startsWith('Bearer ') ? authHeader.split(' ')[1] : null;
+    if (!bearer && !queryToken) {
         return res.status(401).json({ error: 'Authentication required' });
     }
     try {
-        const token = authHeader.split(' ')[1];
-        const decoded = jwt.verify(token, JWT_SECRET);
+        const decoded = jwt.verify(bearer || queryToken, JWT_SECRET);
+        // Session tokens only in the header, stream tokens only in the URL
+        if ((decoded.scope === 'stream') !== !bearer) {
+            return res.status(401).json({ error: 'Invalid or expired token' });
+        }
         req.user = decoded;
         next();
     } catch {
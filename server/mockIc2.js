@@ -0,0 +1,233 @@
+import 'dotenv/config';
+import express from 'express';
+
+// ============================================================
+// Mock InControl2 API for local testing
+//
+// Serves the endpoints the poller and the router actions use, with a small
+// in-memory fleet whose state reacts to commands: a reboot takes the device
+// offline for MOCK_IC2_REBOOT_SECONDS, a cellular reset drops the modem and
+// fails over to Wi-Fi/Ethernet, a SIM switch flips the active SIM.
+//
+//   npm run mock-ic2
+//   IC2_BASE_URL=http://localhost:4010 IC2_CLIENT_ID=mock IC2_CLIENT_SECRET=mock npm start
+//
+// MOCK_IC2_DEVICES is a comma-separated list of device names; use the VRM
+// site names to have them match trailers.
+// ============================================================
+const PORT = parseInt(process.env.MOCK_IC2_PORT) || 4010;
+const REBOOT_MS = (parseInt(process.env.MOCK_IC2_REBOOT_SECONDS) || 90) * 1000;
+const MODEM_RESET_MS = 30 * 1000;
+const NAMES = (process.env.MOCK_IC2_DEVICES || 'Mock Trailer 1,Mock Trailer 2,Mock Trailer 3')
+    .split(',').map(n => n.trim()).filter(Boolean);
+
+const CARRIERS = [
+    { mtn: 'Verizon', mcc: '311', mnc: '480' },
+    { mtn: 'AT&T', mcc: '310', mnc: '410' },
+    { mtn: 'T-Mobile', mcc: '310', mnc: '260' },
+];
+
+function digits(seed, length) {
+    let out = '';
+    let x = seed * 7919 + 17;
+    while (out.length < length) {
+        x = (x * 48271) % 2147483647;
+        out += String(x % 10);
+    }
+    return out;
+}
+
+const devices = NAMES.map((name, i) => {
+    const id = 1001 + i;
+    const primary = CARRIERS[i % CARRIERS.length];
+    const backup = CARRIERS[(i + 1) % CARRIERS.length];
+    return {
+        id,
+        name,
+        sn: `1111-2222-${String(3000 + i)}`,
+        product_name: 'MAX BR1 Pro 5G',
+        fw_ver: '8.4.0 build 5150',
+        status: 'online',
+        client_count: 3 + i,
+        boot_at: Date.now() - (3 + i) * 86400000,
+        down_until: 0,
+        modem_down_until: 0,
+        latitude: 39.7392 + i * 0.05,
+        longitude: -104.9903 - i * 0.05,
+        usage_bytes: 0,
+        imei: `35${digits(id, 13)}`,
+        sims: [
+            { id: 1, active: true, carrier: primary, iccid: `8901${digits(id * 3, 15)}` },
+            { id: 2, active: false, carrier: backup, iccid: `8901${digits(id * 5, 15)}` },
+        ],
+    };
+});
+
+function isOnline(dev, now) {
+    return now >= dev.down_until;
+}
+
+function toIc2Device(dev) {
+    const now = Date.now();
+    const online = isOnline(dev, now);
+    const modemUp = online && now >= dev.modem_down_until;
+    const sim = dev.sims.find(s => s.active);
+    const rsrp = -85 - (dev.id % 4) * 6 + Math.round(Math.random() * 6 - 3);
+    const interfaces = [
+        {
+            id: 2,
+            name: 'Cellular',
+            type: 'gobi',
+            virtualType: 'cellular',
+            status: modemUp ? 'Connected' : 'Disconnected',
+            status_led: modemUp ? 'green' : 'red',
+            message: modemUp ? 'Connected' : (online ? 'Modem resetting' : ''),
+            ip: modemUp ? `100.64.${dev.id % 256}.${sim.id + 10}` : null,
+            carrier_name: sim.carrier.mtn,
+            gobi_data_tech: 'LTE',
+            gobi_band_class_name: 'LTE Band 13 (700 MHz)',
+            signal_bar: modemUp ? 4 : 0,
+            cellular_signals: modemUp ? { rssi: rsrp + 20, sinr: 12, rsrp, rsrq: -10 } : null,
+            apn: 'vzwinternet',
+            imei: dev.imei,
+            sims: dev.sims.map(s => ({
+                id: s.id,
+                simCardDetected: true,
+                active: s.active,
+                mtn: s.carrier.mtn,
+                iccid: s.iccid,
+                imsi: `${s.carrier.mcc}${s.carrier.mnc}${s.iccid.slice(-9)}`,
+                apn: null,
+            })),
+        },
+        {
+            id: 3,
+            name: 'Wi-Fi WAN',
+            type: 'wifi',
+            virtualType: 'wifi',
+            status: modemUp ? 'Standby' : (online ? 'Connected' : 'Disconnected'),
+            status_led: modemUp ? 'yellow' : (online ? 'green' : 'gray'),
+            message: '',
+            ip: online && !modemUp ? `192.168.50.${dev.id % 200}` : null,
+        },
+    ];
+    return {
+        id: dev.id,
+        name: dev.name,
+        sn: dev.sn,
+        status: online ? 'online' : 'offline',
+        product_name: dev.product_name,
+        fw_ver: dev.fw_ver,
+        client_count: online ? dev.client_count : 0,
+        uptime: online ? Math.floor((now - dev.boot_at) / 1000) : 0,
+        wtp_ip: interfaces.find(i => i.ip)?.ip || null,
+        last_online: online ? new Date(now).toISOString() : new Date(dev.down_until - REBOOT_MS).toISOString(),
+        tags: ['mock'],
+        gps_support: true,
+        gps_exist: online,
+        latitude: dev.latitude,
+        longitude: dev.longitude,
+        interfaces,
+    };
+}
+
+function ok(res, data) {
+    res.json({ resp_code: 'SUCCESS', caller: null, data });
+}
+
+function fail(res, status, message) {
+    res.status(status).json({ resp_code: 'FAIL', caller: null, message });
+}
+
+function findDevice(req, res) {
+    const dev = devices.find(d => d.id === parseInt(req.params.id));
+    if (!dev) {
+        fail(res, 404, 'Device not found');
+        return null;
+    }
+    return dev;
+}
+
+const app = express();
+app.use(express.urlencoded({ extended: false }));
+app.use(express.json());
+
+app.use((req, res, next) => {
+    console.log(`  ${req.method} ${req.path}`);
+    next();
+});
+
+app.post('/api/oauth2/token', (req, res) => {
+    res.json({
+        access_token: `mock-${Date.now()}`,
+        refresh_token: `mock-refresh-${Date.now()}`,
+        token_type: 'bearer',
+        expires_in: 48 * 3600,
+    });
+});
+
+// Everything under /rest needs a bearer token, like the real API
+app.use('/rest', (req, res, next) => {
+    if (!(req.headers.authorization || '').startsWith('Bearer ')) return fail(res, 401, 'Unauthorized');
+    next();
+});
+
+app.get('/rest/o/:org/g/:group/d', (req, res) => {
+    ok(res, devices.map(toIc2Device));
+});
+
+function bandwidth(req, res) {
+    const now = Date.now();
+    ok(res, devices.map(dev => {
+        if (isOnline(dev, now)) dev.usage_bytes += Math.round((20 + Math.random() * 30) * 1024 * 1024);
+        const upload = Math.round(dev.usage_bytes * 0.3);
+        return { id: dev.id, name: dev.name, upload, download: dev.usage_bytes - upload, total: dev.usage_bytes };
+    }));
+}
+app.get('/rest/o/:org/g/:group/bandwidth_per_device', bandwidth);
+app.get('/rest/o/:org/bandwidth_per_device', bandwidth);
+
+app.get('/rest/o/:org/g/:group/d/:id/loc', (req, res) => {
+    const dev = findDevice(req, res);
+    if (!dev) return;
+    if (!isOnline(dev, Date.now())) return ok(res, []);
+    dev.latitude += (Math.random() - 0.5) * 0.0004;
+    dev.longitude += (Math.random() - 0.5) * 0.0004;
+    ok(res, [{ la: dev.latitude, lo: dev.longitude, ts: new Date().toISOString() }]);
+});
+
+app.post('/rest/o/:org/g/:group/d/:id/reboot', (req, res) => {
+    const dev = findDevice(req, res);
+    if (!dev) return;
+    if (!isOnline(dev, Date.now())) return fail(res, 409, 'Device is offline');
+    dev.down_until = Date.now() + REBOOT_MS;
+    dev.boot_at = dev.down_until;
+    ok(res, null);
+});
+
+app.post('/rest/o/:org/g/:group/d/:id/wan/:wan/cellular/reset', (req, res) => {
+    const dev = findDevice(req, res);
+    if (!dev) return;
+    if (!isOnline(dev, Date.now())) return fail(res, 409, 'Device is offline');
+    if (req.params.wan !== '2') return fail(res, 400, 'Not a cellular WAN');
+    dev.modem_down_until = Date.now() + MODEM_RESET_MS;
+    ok(res, null);
+});
+
+app.post('/rest/o/:org/g/:group/d/:id/wan/:wan/cellular/sim/:sim', (req, res) => {
+    const dev = findDevice(req, res);
+    if (!dev) return;
+    if (!isOnline(dev, Date.now())) return fail(res, 409, 'Device is offline');
+    if (req.params.wan !== '2') return fail(res, 400, 'Not a cellular WAN');
+    const target = dev.sims.find(s => s.id === parseInt(req.params.sim));
+    if (!target) return fail(res, 400, 'Unknown SIM slot');
+    for (const s of dev.sims) s.active = s === target;
+    dev.modem_down_until = Date.now() + MODEM_RESET_MS;
+    ok(res, null);
+});
+
+app.use((req, res) => fail(res, 404, `No mock for ${req.method} ${req.path}`));
+
+app.listen(PORT, () => {
+    console.log(`Mock IC2 listening on http://localhost:${PORT} with ${devices.length} devices: ${NAMES.join(', ')}`);
+});
@@ -1,10 +1,12 @@
 import { acknowledgeAction as dbAcknowledgeAction, unacknowledgeAction as dbUnacknowledgeAction } from '../db.js';
-import { TRAILER_SPECS } from '../config.js';
-import { getAcknowledgedActions, getUpcomingMaintenance, getBillingPastCalloff, getBillingAtHeadquarters, getUnbilledDeployedTrailers, getDeliveredNotBilling, getGpsSuggestions } from '../db.js';
+import { getAcknowledgedActions, getActiveAlerts, getUpcomingMaintenance, getBillingPastCalloff, getBillingAtHeadquarters, getUnbilledDeployedTrailers, getDeliveredNotBilling, getGpsSuggestions } from '../db.js';
 import { hasVrmData, todayStr } from '../lib/util.js';
 import { requireRole } from '../middleware/auth.js';
 import { computeAlerts } from '../services/alerts.js';
-import { dailyEnergy, dbAvailable, geofenceAlerts, snapshotCache } from '../state.js';
+import { getFiringRuleAlerts, collapseRuleAlerts } from '../services/alertRules.js';
+import { getTrailerSpecs } from '../services/hardwareProfiles.js';
+import { suggestedCleaning } from '../services/panelHealth.js';
+import { dailyEnergy, dbAvailable, geofenceAlerts, panelHealth, snapshotCache } from '../state.js';
 
 export function registerActionsRoutes(app) {
 
@@ -16,6 +18,7 @@ app.get('/api/action-queue', async (req, res) => {
         // Source 1: Energy deficit alerts
         const alerts = computeAlerts();
         for (const alert of alerts) {
+            if (!alert.channels?.includes('action_queue')) continue;
             const priority = alert.severity === 'critical' ? 1 : alert.severity === 'warning' ? 3 : 5;
             actions.push({
                 key: `alert:${alert.site_id}`,
@@ -35,53 +38,23 @@ app.get('/api/action-queue', async (req, res) => {
             });
         }
 
-        // Source 2: Intelligence flags (VRM-connected trailers only)
-        for (const [siteId, snapshot] of snapshotCache) {
-            if (!hasVrmData(snapshot)) continue;
-            // Battery temp critical
-            if (snapshot.battery_temp !== null && snapshot.battery_temp > 45) {
-                actions.push({
-                    key: `intel:temp:${siteId}`,
-                    priority: 2,
-                    category: 'intelligence',
-                    title: `Battery Temp Critical — ${snapshot.battery_temp}°C`,
-                    subtitle: snapshot.site_name,
-                    site_id: siteId,
-                    site_name: snapshot.site_name,
-                    severity: 'critical',
-                    details: { temp: snapshot.battery_temp },
-                    created_at: now,
-                });
-            }
-
-            // Low SOC (proxy for autonomy)
-            if (snapshot.battery_soc !== null && snapshot.battery_soc < 15) {
-                actions.push({
-                    key: `intel:soc:${siteId}`,
-                    priority: 2,
-                    category: 'intelligence',
-                    title: `Critical Battery — ${snapshot.battery_soc}% SOC`,
-                    subtitle: snapshot.site_name,
-                    site_id: siteId,
-                    site_name: snapshot.site_name,
-                    severity: 'critical',
-                    details: { soc: snapshot.battery_soc },
-                    created_at: now,
-                });
-            } else if (snapshot.battery_soc !== null && snapshot.battery_soc < 30) {
-                actions.push({
-                    key: `intel:soc:${siteId}`,
-                    priority: 4,
-                    category: 'intelligence',
-                    title: `Low Battery — ${snapshot.battery_soc}% SOC`,
-                    subtitle: snapshot.site_name,
-                    site_id: siteId,
-                    site_name: snapshot.site_name,
-                    severity: 'warning',
-                    details: { soc: snapshot.battery_soc },
-                    created_at: now,
-                });
-            }
+        // Source 2: Threshold alert rules routed to the action queue
+        // (deficit streak rules surface through Source 1)
+        const ruleAlerts = getFiringRuleAlerts()
+            .filter(a => a.metric !== 'deficit_streak_days' && a.channels.includes('action_queue'));
+        for (const a of collapseRuleAlerts(ruleAlerts)) {
+            actions.push({
+                key: a.key,
+                priority: a.severity === 'critical' ? 2 : a.severity === 'warning' ? 4 : 6,
+                category: 'intelligence',
+                title: `${a.rule_name} — ${a.value_text}${a.detail ? ` (${a.detail})` : ''}`,
+                subtitle: a.site_name,
+                site_id: a.site_id,
+                site_name: a.site_name,
+                severity: a.severity,
+                details: { rule_id: a.rule_id, metric: a.metric, value: a.value, operator: a.operator, threshold: a.threshold },
+                created_at: a.fired_at || now,
+            });
         }
 
         // Source 3: Maintenance overdue/upcoming
@@ -132,7 +105,8 @@ app.get('/api/action-queue', async (req, res) => {
                 if (todayData?.consumed_wh > 0) avgConsumption = todayData.consumed_wh;
             }
             if (avgConsumption && avgConsumption > 0 && snapshot.battery_soc !== null) {
-                const usableWh = Math.max(0, (snapshot.battery_soc - TRAILER_SPECS.battery.min_soc_threshold) * TRAILER_SPECS.battery.total_wh / 100);
+                const { battery } = getTrailerSpecs(siteId);
+                const usableWh = Math.max(0, (snapshot.battery_soc - battery.min_soc_threshold) * battery.total_wh / 100);
                 const daysToCritical = Math.round((usableWh / avgConsumption) * 10) / 10;
                 if (daysToCritical <= 3) {
                     actions.push({
@@ -148,6 +122,28 @@ app.get('/api/action-queue', async (req, res) => {
             }
         }
 
+        // Source: Panel soiling / shading / hardware faults on clear days.
+        // Soiling carries the cleaning template so it can be scheduled inline.
+        const PANEL_TITLES = { soiling: 'Panels need cleaning', shading: 'Panels shaded', hardware_fault: 'Solar output fault' };
+        for (const [siteId, ph] of panelHealth) {
+            if (ph.status !== 'degraded') continue;
+            const template = suggestedCleaning(ph);
+            if (ph.classification === 'soiling' && ph.open_cleaning_log_id) continue; // cleaning already scheduled
+            const fault = ph.classification === 'hardware_fault';
+            actions.push({
+                key: `panel:${ph.classification}:${siteId}`,
+                priority: fault ? 3 : 5,
+                category: 'solar',
+                title: `${PANEL_TITLES[ph.classification]} — ${Math.round(ph.performance_ratio * 100)}% of clear-sky output`,
+                subtitle: ph.site_name,
+                site_id: siteId,
+                severity: fault ? 'warning' : 'info',
+                details: ph.reason,
+                issue_template: template,
+                created_at: ph.computed_at,
+            });
+        }
+
         // Source: Geofence breaches and suggestions
         for (const [siteId, gf] of geofenceAlerts) {
             if (gf.unassigned_near_site) {
@@ -271,16 +267,53 @@ app.get('/api/action-queue', async (req, res) => {
         const acks = dbAvailable ? await getAcknowledgedActions() : [];
         const ackMap = new Map(acks.map(a => [a.action_key, a]));
 
-        // Sort by priority, mark acknowledged
+        // Alert lifecycle rows behind the energy and rule items
+        const lifecycleMap = new Map();
+        if (dbAvailable) {
+            try {
+                for (const row of await getActiveAlerts()) {
+                    const key = row.alert_type === 'rule' ? `rule:${row.rule_id}:${row.site_id}` : `alert:${row.site_id}`;
+                    if (!lifecycleMap.has(key)) lifecycleMap.set(key, row);
+                }
+            } catch { }
+        }
+
+        // Sort by priority, mark acknowledged; resolved and snoozed alerts
+        // stay out of the queue until their condition clears / snooze ends
         actions.sort((a, b) => a.priority - b.priority);
+        let snoozed = 0;
+        const queue = [];
         for (const action of actions) {
-            const ack = ackMap.get(action.key);
-            action.acknowledged = !!ack;
-            if (ack) {
-                action.acknowledged_by = ack.acknowledged_by_name;
-                action.acknowledged_at = ack.acknowledged_at;
+            const row = lifecycleMap.get(action.key);
+            if (row) {
+                if (row.status === 'resolved') continue;
+                if (row.status === 'snoozed' && row.snoozed_until && new Date(row.snoozed_until).getTime() > now) {
+                    snoozed++;
+                    continue;
+                }
+                action.alert = {
+                    id: row.id,
+                    status: row.status,
+                    acknowledged_by: row.acknowledged_by_name,
+                    assigned_to: row.assigned_to,
+                    assigned_to_name: row.assigned_to_name,
+                    escalated_at: row.escalated_at,
+                };
+                action.acknowledged = Boolean(row.acknowledged_at);
+                action.acknowledged_by = row.acknowledged_by_name;
+                action.acknowledged_at = row.acknowledged_at;
+            } else {
+                const ack = ackMap.get(action.key);
+                action.acknowledged = !!ack;
+                if (ack) {
+                    action.acknowledged_by = ack.acknowledged_by_name;
+                    action.acknowledged_at = ack.acknowledged_at;
+                }
             }
+            queue.push(action);
         }
+        actions.length = 0;
+        actions.push(...queue);
 
         const summary = {
             total: actions.length,
@@ -288,6 +321,7 @@ app.get('/api/action-queue', async (req, res) => {
             warning: actions.filter(a => a.severity === 'warning').length,
             info: actions.filter(a => !['critical', 'warning'].includes(a.severity)).length,
             acknowledged: actions.filter(a => a.acknowledged).length,
+            snoozed,
         };
 
         res.json({ success: true, actions, summary });
@@ -1,10 +1,11 @@
-import { TRAILER_SPECS, anthropic } from '../config.js';
+import { anthropic } from '../config.js';
 import { getAllContentForEmbedding, getBatteryHistory, getEmbeddingStats, getMaintenanceStats, getUpcomingMaintenance, semanticSearch, upsertEmbedding } from '../db.js';
 import { embedAlerts, embedJobSites, embedMaintenanceLogs, embedPepwaveDevices, embedSiteSnapshots, generateQueryEmbedding, isConfigured as isEmbeddingsConfigured } from '../embeddings.js';
 import { hasVrmData, todayStr } from '../lib/util.js';
 import { aiLimiter, requireRole } from '../middleware/auth.js';
 import { computeAlerts } from '../services/alerts.js';
 import { computeTrailerIntelligence } from '../services/intelligence.js';
+import { getTrailerSpecs, summarizeFleetHardware, describeSpecs } from '../services/hardwareProfiles.js';
 import { dailyEnergy, dbAvailable, dbPool, pepwaveCache, pgvectorAvailable, snapshotCache } from '../state.js';
 
 // ============================================================
@@ -63,8 +64,10 @@ Database tables:
 
 7. daily_energy_summary — Daily solar yield and consumption per trailer
    Columns: site_id INTEGER, date DATE, site_name TEXT, yield_wh NUMERIC (solar Wh),
-   consumed_wh NUMERIC (consumption Wh), soc_start_of_day REAL, expected_yield_wh NUMERIC,
-   consumption_source TEXT ('CE diagnostic'|'DC power accumulation'|'SOC delta estimate'),
+   consumed_wh NUMERIC (reconciled consumption Wh), soc_start_of_day REAL, expected_yield_wh NUMERIC,
+   consumption_source TEXT ('CE diagnostic'|'DC power accumulation'|'SOC delta estimate'|'reconciled'),
+   consumption_confidence REAL (0-1), consumed_ce_wh / consumed_dc_wh / consumed_soc_wh NUMERIC (per-source estimates;
+   consumed_dc_wh covers dc_covered_ms BIGINT of the day, dc_backfilled_wh NUMERIC of it from VRM stats), dc_last_ms BIGINT,
    battery_soc_eod REAL (end-of-day battery SOC %), mppt_state_eod INTEGER (0-7: 0=Off, 3=Bulk, 4=Absorption, 5=Float, 6=Storage),
    updated_at BIGINT (ms). PRIMARY KEY(site_id, date)
 
@@ -94,14 +97,14 @@ IMPORTANT:
 - For geographic queries (e.g. "trailers in Colorado"), use job_sites.address which contains city/state info. Match on state name: WHERE js.address ILIKE '%Colorado%'. Do NOT match on job site name alone — names like "Big View HQ" don't indicate state.
 - job_sites.name may include city and state (e.g. "Aurora, Colorado") OR be a custom name (e.g. "Big View HQ"). Always use the address field for state/location filtering.
 
-Trailer hardware specs: ${TRAILER_SPECS.solar.panels}x ${TRAILER_SPECS.solar.panel_watts}W solar panels (${TRAILER_SPECS.solar.total_watts}W total), ${TRAILER_SPECS.battery.count}x ${TRAILER_SPECS.battery.ah_per_battery}Ah ${TRAILER_SPECS.battery.voltage}V batteries (${TRAILER_SPECS.battery.total_wh}Wh / ${(TRAILER_SPECS.battery.total_wh / 1000).toFixed(1)} kWh total storage).
+Trailer hardware varies by hardware profile (hardware_profiles: panel_count, panel_watts, battery_count, battery_ah, battery_voltage). A trailer uses trailers.hardware_profile_id, else the profile whose product_code matches trailers.product_code. The profiles in use are listed in the live context below.
 
 Intelligence vocabulary (available in live context below):
 - "solar score" → actual yield vs location+weather-adjusted expected yield (0-100+%)
 - "solar efficiency" → same as solar score
 - "days of autonomy" → stored Wh / avg daily consumption Wh
 - "underperforming trailers" → those with 7-day avg solar score below 50%
-- "panel performance" → instantaneous solar watts / rated ${TRAILER_SPECS.solar.total_watts}W capacity
+- "panel performance" → instantaneous solar watts / the trailer's rated solar capacity
 
 Examples:
 - "trailers at Downtown site" → JOIN trailer_assignments + job_sites WHERE js.name ILIKE '%downtown%'
@@ -164,12 +167,16 @@ app.post('/api/analyze/trailer/:id', aiLimiter, async (req, res) => {
             } catch { }
         }
 
+        const specs = getTrailerSpecs(siteId);
+
         // Helper to format nullable values for AI context
         const fmt = (val, unit = '') => val != null ? `${val}${unit}` : 'N/A';
 
         // Determine consumption data source for this trailer
         const todayEnergy = energyHistory[todayStr()] || {};
-        const consumptionSource = todayEnergy.consumption_source || 'unavailable';
+        const consumptionSource = todayEnergy.consumption_source
+            ? `${todayEnergy.consumption_source}${todayEnergy.consumption_confidence != null ? ` (${Math.round(todayEnergy.consumption_confidence * 100)}% confidence)` : ''}`
+            : 'unavailable';
 
         // Build context for Claude
         const ctx = [
@@ -177,9 +184,10 @@ app.post('/api/analyze/trailer/:id', aiLimiter, async (req, res) => {
             `TIMESTAMP: ${new Date().toISOString()}`,
             '',
             '=== HARDWARE SPECIFICATIONS ===',
-            `Solar: ${TRAILER_SPECS.solar.panels}x ${TRAILER_SPECS.solar.panel_watts}W panels = ${TRAILER_SPECS.solar.total_watts}W total capacity`,
-            `Battery: ${TRAILER_SPECS.battery.count}x ${TRAILER_SPECS.battery.ah_per_battery}Ah ${TRAILER_SPECS.battery.voltage}V = ${TRAILER_SPECS.battery.total_wh}Wh (${(TRAILER_SPECS.battery.total_wh / 1000).toFixed(1)} kWh)`,
-            `System efficiency factor: ${TRAILER_SPECS.solar.system_efficiency * 100}%`,
+            `Hardware profile: ${specs.profile_name}`,
+            `Solar: ${specs.solar.panels}x ${specs.solar.panel_watts}W panels = ${specs.solar.total_watts}W total capacity`,
+            `Battery: ${specs.battery.count}x ${specs.battery.ah_per_battery}Ah ${specs.battery.chemistry} (${specs.battery.config}, ${specs.battery.voltage}V bank) = ${specs.battery.total_wh}Wh (${(specs.battery.total_wh / 1000).toFixed(1)} kWh), critical below ${specs.battery.min_soc_threshold}% SOC`,
+            `System efficiency factor: ${Math.round(specs.solar.system_efficiency * 100)}%`,
             '',
             '=== LOCATION & WEATHER ===',
             `GPS: ${intel.location.latitude ?? 'unknown'}, ${intel.location.longitude ?? 'unknown'}`,
@@ -216,11 +224,11 @@ app.post('/api/analyze/trailer/:id', aiLimiter, async (req, res) => {
             `${intel.solar.raw_score !== null && intel.solar.raw_score !== intel.solar.score ? `  Raw score before adjustment: ${intel.solar.raw_score}%` : ''}`,
             `7-Day Avg Score: ${fmt(intel.solar.avg_7d_score, '%')} — use this alongside yesterday's score for trend analysis`,
             `Today's Live Score (partial day): ${fmt(intel.solar.today_live_score, '%')} — still accumulating, do NOT use for performance evaluation`,
-            `Panel Performance (now): ${fmt(intel.solar.panel_performance_pct, '%')} of ${TRAILER_SPECS.solar.total_watts}W rated`,
+            `Panel Performance (now): ${fmt(intel.solar.panel_performance_pct, '%')} of ${specs.solar.total_watts}W rated`,
             `Days of Autonomy: ${fmt(intel.battery.days_of_autonomy)}`,
             `Est. Charge Time to Full: ${intel.battery.charge_time_hours ? intel.battery.charge_time_hours + 'h' : 'N/A'}`,
             `Battery Temp Status: ${fmt(intel.battery.temp_status)}`,
-            `Stored Energy: ${fmt(intel.battery.stored_wh, 'Wh')} of ${TRAILER_SPECS.battery.total_wh}Wh`,
+            `Stored Energy: ${fmt(intel.battery.stored_wh, 'Wh')} of ${specs.battery.total_wh}Wh`,
             `Avg Daily Consumption: ${fmt(intel.energy.avg_daily_consumption_wh, 'Wh')}`,
             `Consumption Data Source: ${consumptionSource}`,
             `Today Balance: ${fmt(intel.energy.today_balance_wh, 'Wh')}`,
@@ -253,7 +261,7 @@ app.post('/api/analyze/trailer/:id', aiLimiter, async (req, res) => {
         }
 
         const systemPrompt = `You are an expert solar energy systems analyst for a fleet of construction site trailers.
-Each trailer has ${TRAILER_SPECS.solar.panels}x ${TRAILER_SPECS.solar.panel_watts}W solar panels (${TRAILER_SPECS.solar.total_watts}W total) and ${TRAILER_SPECS.battery.count}x ${TRAILER_SPECS.battery.ah_per_battery}Ah ${TRAILER_SPECS.battery.voltage}V batteries (${(TRAILER_SPECS.battery.total_wh / 1000).toFixed(1)} kWh total storage).
+This trailer (${specs.profile_name} profile) has ${describeSpecs(specs)}.
 
 Analyze the trailer data and provide:
 1. STATUS SUMMARY (1-2 sentences: overall health assessment)
@@ -327,7 +335,7 @@ app.post('/api/query', aiLimiter, async (req, res) => {
             try {
                 const intel = await computeTrailerIntelligence(siteId);
                 if (intel) {
-                    intelSummary.push(`${intel.site_name}: score=${intel.solar.score ?? '?'}%(${intel.solar.score_label ?? '?'}), autonomy=${intel.battery.days_of_autonomy ?? '?'}d, panel=${intel.solar.panel_performance_pct ?? '?'}%, PSH=${intel.location.peak_sun_hours}h`);
+                    intelSummary.push(`${intel.site_name} [${intel.specs.profile_name}]: score=${intel.solar.score ?? '?'}%(${intel.solar.score_label ?? '?'}), autonomy=${intel.battery.days_of_autonomy ?? '?'}d, panel=${intel.solar.panel_performance_pct ?? '?'}%, PSH=${intel.location.peak_sun_hours}h`);
                 }
             } catch { }
         }
@@ -348,10 +356,14 @@ app.post('/api/query', aiLimiter, async (req, res) => {
             } catch { }
         }
 
+        const hardware = summarizeFleetHardware(Array.from(snapshotCache.keys()))
+            .map(({ specs, trailers }) => `- ${specs.profile_name} (${trailers} trailer${trailers !== 1 ? 's' : ''}): ${describeSpecs(specs)}`);
+
         const liveContext = `\nCurrent live data (${new Date().toISOString()}):\n` +
             `Pepwave devices (${deviceSummary.length} total):\n${deviceSummary.join('\n')}\n\n` +
             `VRM sites (${snapshotSummary.length} total):\n${snapshotSummary.join('\n')}` +
-            (intelSummary.length > 0 ? `\n\nIntelligence metrics (specs: ${TRAILER_SPECS.solar.total_watts}W solar, ${TRAILER_SPECS.battery.total_wh}Wh battery per trailer):\n${intelSummary.join('\n')}` : '') +
+            (hardware.length > 0 ? `\n\nHardware profiles in use:\n${hardware.join('\n')}` : '') +
+            (intelSummary.length > 0 ? `\n\nIntelligence metrics (per trailer, [hardware profile]):\n${intelSummary.join('\n')}` : '') +
             maintContext;
 
         const systemPrompt = FLEET_SCHEMA + liveContext + `\n\nRespond in this JSON format:\n{\n  "answer": "<human-readable answer to the question>",\n  "sql": "<optional SQL query if database lookup would help, or null>",\n  "data": null\n}\n\nIf you can answer from the live context alone, set sql to null and answer directly.\nIf a SQL query would give better/more complete data, include it. The system will execute it and ask you to refine the answer.\nAlways respond with valid JSON only, no markdown fences.`;
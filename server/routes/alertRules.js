@@ -0,0 +1,85 @@
+import { ALERT_RULE_OPERATORS, ALERT_RULE_SEVERITIES, ALERT_RULE_SCOPES, ALERT_RULE_CHANNELS } from '../config.js';
+import { getAlertRules, insertAlertRule, updateAlertRule, deleteAlertRule, insertAuditLog } from '../db.js';
+import { requireRole } from '../middleware/auth.js';
+import { ALERT_METRICS, loadAlertRules, validateAlertRule, evaluateAlertRules, getFiringRuleAlerts } from '../services/alertRules.js';
+import { dbAvailable } from '../state.js';
+
+export function registerAlertRulesRoutes(app) {
+
+// Rules plus the option lists the Settings editor needs
+app.get('/api/alert-rules', async (req, res) => {
+    try {
+        const rules = dbAvailable ? await getAlertRules() : await loadAlertRules();
+        const metrics = Object.entries(ALERT_METRICS).map(([key, m]) => ({
+            key, label: m.label, unit: m.unit, daily: Boolean(m.daily),
+        }));
+        res.json({
+            success: true,
+            rules,
+            metrics,
+            operators: ALERT_RULE_OPERATORS,
+            severities: ALERT_RULE_SEVERITIES,
+            scopes: ALERT_RULE_SCOPES,
+            channels: ALERT_RULE_CHANNELS,
+            editable: dbAvailable,
+        });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+app.get('/api/alert-rules/firing', (req, res) => {
+    const siteId = req.query.site_id ? parseInt(req.query.site_id) : null;
+    res.json({ success: true, alerts: getFiringRuleAlerts(siteId) });
+});
+
+app.post('/api/alert-rules', requireRole('admin'), async (req, res) => {
+    try {
+        if (!dbAvailable) return res.status(400).json({ error: 'Alert rules need a database' });
+        const invalid = validateAlertRule(req.body);
+        if (invalid) return res.status(400).json({ error: invalid });
+        const rule = await insertAlertRule({ ...req.body, created_by: req.user?.id });
+        await loadAlertRules();
+        evaluateAlertRules();
+        const actor = req.user ? req.user.display_name : 'system';
+        insertAuditLog('alert_rule', rule.id, 'alert_rule_created', { name: rule.name, metric: rule.metric }, actor).catch(() => { });
+        res.status(201).json({ success: true, rule });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+app.put('/api/alert-rules/:id', requireRole('admin'), async (req, res) => {
+    try {
+        if (!dbAvailable) return res.status(400).json({ error: 'Alert rules need a database' });
+        const invalid = validateAlertRule(req.body, { partial: true });
+        if (invalid) return res.status(400).json({ error: invalid });
+        const rule = await updateAlertRule(parseInt(req.params.id), req.body);
+        if (!rule) return res.status(404).json({ error: 'Alert rule not found' });
+        await loadAlertRules();
+        // Re-evaluate so a changed threshold or disabled rule applies right away
+        evaluateAlertRules();
+        const actor = req.user ? req.user.display_name : 'system';
+        insertAuditLog('alert_rule', rule.id, 'alert_rule_updated', { fields: Object.keys(req.body) }, actor).catch(() => { });
+        res.json({ success: true, rule });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+app.delete('/api/alert-rules/:id', requireRole('admin'), async (req, res) => {
+    try {
+        if (!dbAvailable) return res.status(400).json({ error: 'Alert rules need a database' });
+        const rule = await deleteAlertRule(parseInt(req.params.id));
+        if (!rule) return res.status(404).json({ error: 'Alert rule not found' });
+        await loadAlertRules();
+        evaluateAlertRules();
+        const actor = req.user ? req.user.display_name : 'system';
+        insertAuditLog('alert_rule', rule.id, 'alert_rule_deleted', { name: rule.name }, actor).catch(() => { });
+        res.json({ success: true });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+}
@@ -0,0 +1,48 @@
+import { getSiteAlerts, insertAuditLog } from '../db.js';
+import { requireRole } from '../middleware/auth.js';
+import { transitionAlert } from '../services/alertLifecycle.js';
+import { publishStreamEvent } from '../services/liveStream.js';
+import { dbAvailable } from '../state.js';
+
+export function registerAlertsRoutes(app) {
+
+// Open alerts plus recently closed ones, with lifecycle fields, for TrailerDetail
+app.get('/api/alerts/site/:siteId', async (req, res) => {
+    try {
+        const days = Math.min(parseInt(req.query.days) || 30, 365);
+        const alerts = await getSiteAlerts(parseInt(req.params.siteId), days);
+        res.json({ success: true, alerts, editable: dbAvailable });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// acknowledge | assign | snooze | unsnooze | resolve
+app.post('/api/alerts/:id/:action(acknowledge|assign|snooze|unsnooze|resolve)', requireRole('admin', 'technician'), async (req, res) => {
+    try {
+        if (!dbAvailable) return res.status(400).json({ error: 'Alert lifecycle needs a database' });
+        const { action } = req.params;
+        const alert = await transitionAlert(parseInt(req.params.id), action, {
+            user: req.user,
+            assigneeId: req.body.assignee_id != null ? parseInt(req.body.assignee_id) : undefined,
+            until: req.body.until,
+            note: req.body.note,
+        });
+        const actor = req.user ? req.user.display_name : 'system';
+        insertAuditLog('alert', alert.id, `alert_${action}`, {
+            site_id: alert.site_id,
+            status: alert.status,
+            assigned_to: action === 'assign' ? alert.assigned_to_name : undefined,
+            snoozed_until: action === 'snooze' ? alert.snoozed_until : undefined,
+            note: action === 'resolve' ? alert.resolution_note : undefined,
+        }, actor).catch(() => { });
+        publishStreamEvent('alert.updated', {
+            alert_id: alert.id, site_id: alert.site_id, status: alert.status, action, actor,
+        });
+        res.json({ success: true, alert });
+    } catch (err) {
+        res.status(err.status || 500).json({ error: err.message });
+    }
+});
+
+}
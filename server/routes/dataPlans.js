@@ -0,0 +1,102 @@
+import { DATA_PLANS } from '../config.js';
+import { getDataPlans, insertDataPlan, updateDataPlan, deleteDataPlan, setDataPlanDevice, insertAuditLog } from '../db.js';
+import { requireRole } from '../middleware/auth.js';
+import { validateDataPlan, getDataPlanUsage } from '../services/dataPlans.js';
+import { dbAvailable } from '../state.js';
+
+export function registerDataPlansRoutes(app) {
+
+// ============================================================
+// Cellular data plans
+// ============================================================
+app.get('/api/data-plans', async (req, res) => {
+    try {
+        const plans = dbAvailable ? await getDataPlans() : [];
+        res.json({ success: true, plans, default_thresholds: DATA_PLANS.default_thresholds, editable: dbAvailable });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// Cycle usage, end-of-cycle projection and per-device share for every plan
+app.get('/api/data-plans/usage', async (req, res) => {
+    try {
+        if (!dbAvailable) {
+            return res.json({ success: false, error: 'Database not connected' });
+        }
+        const usage = await getDataPlanUsage();
+        res.json({ success: true, ...usage });
+    } catch (err) {
+        res.status(500).json({ success: false, error: err.message });
+    }
+});
+
+app.post('/api/data-plans', requireRole('admin'), async (req, res) => {
+    try {
+        if (!dbAvailable) return res.status(400).json({ error: 'Data plans need a database' });
+        const invalid = validateDataPlan(req.body);
+        if (invalid) return res.status(400).json({ error: invalid });
+        const plan = await insertDataPlan({
+            alert_thresholds: DATA_PLANS.default_thresholds,
+            ...req.body,
+            name: String(req.body.name).trim(),
+        });
+        const actor = req.user ? req.user.display_name : 'system';
+        insertAuditLog('data_plan', plan.id, 'data_plan_created', { name: plan.name }, actor).catch(() => { });
+        res.status(201).json({ success: true, plan });
+    } catch (err) {
+        if (err.code === '23505') return res.status(409).json({ error: 'A data plan with that name already exists' });
+        if (err.code === '23503') return res.status(400).json({ error: 'Company not found' });
+        res.status(500).json({ error: err.message });
+    }
+});
+
+app.put('/api/data-plans/:id', requireRole('admin'), async (req, res) => {
+    try {
+        if (!dbAvailable) return res.status(400).json({ error: 'Data plans need a database' });
+        const invalid = validateDataPlan(req.body, { partial: true });
+        if (invalid) return res.status(400).json({ error: invalid });
+        const plan = await updateDataPlan(parseInt(req.params.id), req.body);
+        if (!plan) return res.status(404).json({ error: 'Data plan not found' });
+        const actor = req.user ? req.user.display_name : 'system';
+        insertAuditLog('data_plan', plan.id, 'data_plan_updated', { fields: Object.keys(req.body) }, actor).catch(() => { });
+        res.json({ success: true, plan });
+    } catch (err) {
+        if (err.code === '23505') return res.status(409).json({ error: 'A data plan with that name already exists' });
+        if (err.code === '23503') return res.status(400).json({ error: 'Company not found' });
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// Devices assigned directly lose their assignment; company devices go unassigned
+app.delete('/api/data-plans/:id', requireRole('admin'), async (req, res) => {
+    try {
+        if (!dbAvailable) return res.status(400).json({ error: 'Data plans need a database' });
+        const plan = await deleteDataPlan(parseInt(req.params.id));
+        if (!plan) return res.status(404).json({ error: 'Data plan not found' });
+        const actor = req.user ? req.user.display_name : 'system';
+        insertAuditLog('data_plan', plan.id, 'data_plan_deleted', { name: plan.name }, actor).catch(() => { });
+        res.json({ success: true });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// Put one device on a plan, or back on its company's plan with plan_id null
+app.put('/api/data-plans/devices/:name', requireRole('admin'), async (req, res) => {
+    try {
+        if (!dbAvailable) return res.status(400).json({ error: 'Data plans need a database' });
+        const deviceName = decodeURIComponent(req.params.name);
+        const planId = req.body.plan_id == null ? null : parseInt(req.body.plan_id);
+        if (Number.isNaN(planId)) return res.status(400).json({ error: 'plan_id must be a plan id or null' });
+        await setDataPlanDevice(deviceName, planId);
+        const actor = req.user ? req.user.display_name : 'system';
+        insertAuditLog('data_plan', planId, 'data_plan_device_assigned', { device_name: deviceName }, actor).catch(() => { });
+        res.json({ success: true, device_name: deviceName, plan_id: planId });
+    } catch (err) {
+        if (err.code === '23503') return res.status(404).json({ error: 'Data plan not found' });
+        res.status(500).json({ error: err.message });
+    }
+});
+
+}
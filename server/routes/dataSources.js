@@ -0,0 +1,75 @@
+import { pollSchedule, vrmRateLimitedUntil, dbAvailable } from '../state.js';
+import { insertAuditLog } from '../db.js';
+import { requireRole } from '../middleware/auth.js';
+import { buildPollHealthReport, getSitePollHealth } from '../services/pollHealth.js';
+import { listSnapshotGaps, startVrmBackfill, getVrmBackfillStatus } from '../services/vrmBackfill.js';
+
+export function registerDataSourcesRoutes(app) {
+
+// Poll health for every VRM site / IC2 device plus per-source summary
+app.get('/api/data-sources', (req, res) => {
+    try {
+        const { summary, records } = buildPollHealthReport();
+        for (const r of records) {
+            const entry = r.source !== 'ic2' ? pollSchedule.get(Number(r.entity_id)) : null;
+            r.cadence = entry?.cadence || null;
+            r.next_due = entry?.next_due || null;
+        }
+        res.json({
+            success: true,
+            summary,
+            records,
+            vrm_rate_limited_until: vrmRateLimitedUntil > Date.now() ? vrmRateLimitedUntil : null,
+        });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+app.get('/api/data-sources/site/:siteId', (req, res) => {
+    try {
+        const siteId = parseInt(req.params.siteId);
+        const health = getSitePollHealth(siteId);
+        const entry = pollSchedule.get(siteId);
+        res.json({
+            success: true,
+            ...health,
+            cadence: entry?.cadence || null,
+            next_due: entry?.next_due || null,
+        });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// Holes in site_snapshots that a VRM backfill would fill (dry run)
+app.get('/api/data-sources/gaps', requireRole('admin'), async (req, res) => {
+    try {
+        if (!dbAvailable) return res.json({ success: true, days: 0, gaps: [] });
+        const siteId = req.query.site_id ? parseInt(req.query.site_id) : null;
+        const result = await listSnapshotGaps({ days: parseInt(req.query.days) || undefined, siteId });
+        res.json({ success: true, ...result });
+    } catch (err) {
+        res.status(500).json({ success: false, error: err.message });
+    }
+});
+
+// Start a VRM stats backfill job; poll GET for progress
+app.post('/api/data-sources/backfill', requireRole('admin'), async (req, res) => {
+    try {
+        const actor = req.user ? req.user.display_name : 'system';
+        const siteId = req.body?.site_id ? parseInt(req.body.site_id) : null;
+        const result = await startVrmBackfill({ days: parseInt(req.body?.days) || undefined, siteId, actor });
+        if (result.error) return res.status(result.status).json({ success: false, error: result.error });
+        insertAuditLog('vrm_backfill', siteId, 'vrm_backfill_started', { days: result.job.days, gaps: result.job.total_gaps }, actor).catch(() => { });
+        res.status(202).json({ success: true, job: result.job });
+    } catch (err) {
+        res.status(500).json({ success: false, error: err.message });
+    }
+});
+
+app.get('/api/data-sources/backfill', requireRole('admin'), (req, res) => {
+    res.json({ success: true, job: getVrmBackfillStatus() });
+});
+
+}
@@ -1,8 +1,12 @@
-import { TRAILER_SPECS } from '../config.js';
-import { getAlertHistory, getJobSites, getLatestSnapshots, getRentals, getTrailerAssignments, getTrailers } from '../db.js';
-import { hasVrmData } from '../lib/util.js';
+import { getAlertHistory, getHourlyLoad, getJobSites, getLatestSnapshots, getRentals, getTrailerAssignments, getTrailers } from '../db.js';
+import { hasVrmData, nowMs } from '../lib/util.js';
 import { computeAlerts } from '../services/alerts.js';
+import { summarizePepwaveDevice } from '../services/ic2Client.js';
+import { summarizeFleetHardware, getTrailerSpecs } from '../services/hardwareProfiles.js';
 import { computeHealthGrade, computeTechStatus, computeTrailerIntelligence } from '../services/intelligence.js';
+import { getSocForecast } from '../services/socForecast.js';
+import { refreshLoadProfiles, expectedLoad, getLoadAnomaly } from '../services/loadProfile.js';
+import { refreshPanelHealth, getPanelHealth, suggestedCleaning } from '../services/panelHealth.js';
 import { fetchSolarIrradiance } from '../services/weather.js';
 import { dailyEnergy, dbAvailable, gpsCache, lastIc2Poll, pepwaveCache, sitesCacheTime, snapshotCache } from '../state.js';
 
@@ -37,6 +41,12 @@ app.get('/api/fleet/energy', (req, res) => {
                 yield_wh: info.yield_wh,
                 consumed_wh: info.consumed_wh,
                 consumption_source: info.consumption_source || null,
+                consumption_confidence: info.consumption_confidence ?? null,
+                consumed_ce_wh: info.consumed_ce_wh ?? null,
+                consumed_dc_wh: info.consumed_dc_wh ?? null,
+                consumed_soc_wh: info.consumed_soc_wh ?? null,
+                dc_coverage: info.dc_coverage ?? null,
+                dc_backfilled_wh: info.dc_backfilled_wh ?? null,
             }));
         result.push({ site_id: siteId, site_name: siteName, days: dailyData });
     }
@@ -54,7 +64,7 @@ app.get('/api/fleet/alerts', (req, res) => {
 app.get('/api/alerts/history', async (req, res) => {
     try {
         const days = parseInt(req.query.days) || 30;
-        const history = await getAlertHistory(days);
+        const history = await getAlertHistory(days, req.query.type || null);
         res.json({ success: true, alerts: history });
     } catch (err) {
         res.status(500).json({ error: err.message });
@@ -68,19 +78,7 @@ app.get('/api/fleet/combined', (req, res) => {
     // Build a pepwave lookup by device name
     const pepwaveMap = {};
     for (const [name, device] of pepwaveCache.entries()) {
-        pepwaveMap[name] = {
-            online: device.online,
-            status: device.status,
-            signal_bar: device.cellular?.signal_bar ?? null,
-            rsrp: device.cellular?.signal?.rsrp ?? null,
-            carrier: device.cellular?.carrier || null,
-            technology: device.cellular?.technology || null,
-            client_count: device.client_count || 0,
-            usage_mb: device.usage_mb || 0,
-            uptime: device.uptime || 0,
-            model: device.model,
-            wan_ip: device.wan_ip,
-        };
+        pepwaveMap[name] = summarizePepwaveDevice(device);
     }
     res.json({ success: true, pepwave: pepwaveMap, last_poll: lastIc2Poll });
 });
@@ -236,6 +234,64 @@ app.get('/api/intelligence/trailer/:id', async (req, res) => {
     }
 });
 
+// Hourly predicted SOC for the next 72h (TrailerDetail forecast chart)
+app.get('/api/intelligence/trailer/:id/forecast', async (req, res) => {
+    try {
+        const forecast = await getSocForecast(parseInt(req.params.id));
+        if (!forecast) {
+            return res.status(404).json({ success: false, error: 'No forecast — needs live SOC, GPS and some consumption history' });
+        }
+        res.json({ success: true, forecast });
+    } catch (err) {
+        res.status(500).json({ success: false, error: err.message });
+    }
+});
+
+// Actual hourly load vs the learned hour-of-week profile: the last `hours`
+// (default 48) plus the next 24 expected, and the live anomaly score
+app.get('/api/intelligence/trailer/:id/load-profile', async (req, res) => {
+    try {
+        const siteId = parseInt(req.params.id);
+        const hours = Math.min(parseInt(req.query.hours) || 48, 24 * 14);
+        await refreshLoadProfiles();
+        const now = nowMs();
+        const firstHour = Math.floor((now - hours * 3600000) / 3600000) * 3600000;
+        const actual = new Map();
+        for (const row of await getHourlyLoad(siteId, firstHour)) {
+            actual.set(Number(row.hour_start), Math.round(Number(row.avg_w)));
+        }
+        const points = [];
+        for (let t = firstHour; t <= now + 24 * 3600000; t += 3600000) {
+            const bin = expectedLoad(siteId, t);
+            points.push({
+                t,
+                actual_w: actual.get(t) ?? null,
+                expected_w: bin ? Math.round(bin.mean_w) : null,
+                std_w: bin ? Math.round(bin.std_w) : null,
+            });
+        }
+        res.json({
+            success: true,
+            anomaly: getLoadAnomaly(siteId),
+            learned: points.some(p => p.expected_w !== null),
+            points,
+        });
+    } catch (err) {
+        res.status(500).json({ success: false, error: err.message });
+    }
+});
+
+// Clear-day panel performance: soiling / shading / hardware fault
+app.get('/api/intelligence/trailer/:id/panel-health', async (req, res) => {
+    try {
+        await refreshPanelHealth();
+        const panelHealth = getPanelHealth(parseInt(req.params.id));
+        res.json({ success: true, panel_health: panelHealth, suggested_template: suggestedCleaning(panelHealth) });
+    } catch (err) {
+        res.status(500).json({ success: false, error: err.message });
+    }
+});
+
 app.get('/api/fleet/intelligence', async (req, res) => {
     try {
         const results = [];
@@ -268,6 +324,7 @@ app.get('/api/fleet/intelligence', async (req, res) => {
 
         const underperforming = results.filter(r => r.solar.avg_7d_score !== null && r.solar.avg_7d_score < 50);
         const lowAutonomy = results.filter(r => r.battery.days_of_autonomy !== null && r.battery.days_of_autonomy < 1.5);
+        const hardware = summarizeFleetHardware(results.map(r => r.site_id));
 
         res.json({
             success: true,
@@ -284,7 +341,13 @@ app.get('/api/fleet/intelligence', async (req, res) => {
                     : null,
                 underperforming_count: underperforming.length,
                 low_autonomy_count: lowAutonomy.length,
-                specs: TRAILER_SPECS,
+                specs: hardware[0]?.specs || getTrailerSpecs(null),
+                hardware_profiles: hardware.map(({ specs, trailers }) => ({
+                    name: specs.profile_name,
+                    trailers,
+                    solar_w: specs.solar.total_watts,
+                    battery_wh: specs.battery.total_wh,
+                })),
             },
             trailers: results,
             underperforming: underperforming.map(r => ({
@@ -6,6 +6,7 @@ import { requireRole } from '../middleware/auth.js';
 import { checkGeofences } from '../services/geofence.js';
 import { ic2Fetch } from '../services/ic2Client.js';
 import { resolveIc2DeviceToSiteId } from '../services/ic2Poller.js';
+import { emitWebhookEvent } from '../services/webhooks.js';
 import { dbAvailable, geofenceAlerts, gpsCache, ic2DeviceIdToSiteId, pepwaveCache, sitesCache, snapshotCache, weatherCache } from '../state.js';
 
 export function registerGpsRoutes(app) {
@@ -70,6 +71,15 @@ app.post('/api/gps-changes/:id/approve', requireRole('admin', 'technician'), asy
         // Clear geofence alert for this trailer since assignment changed
         geofenceAlerts.delete(suggestion.site_id);
 
+        emitWebhookEvent('gps.suggestion.resolved', {
+            suggestion_id: suggestion.id,
+            status: 'approved',
+            site_id: suggestion.site_id,
+            site_name: suggestion.site_name,
+            job_site_id: targetJobSiteId,
+            resolved_by: req.user.display_name,
+        });
+
         // Log to audit
         await insertAuditLog('gps_suggestion', id, 'approved', {
             site_name: suggestion.site_name,
@@ -94,6 +104,14 @@ app.post('/api/gps-changes/:id/reject', requireRole('admin', 'technician'), asyn
         if (!result) {
             return res.status(404).json({ error: 'Suggestion not found or already resolved' });
         }
+        emitWebhookEvent('gps.suggestion.resolved', {
+            suggestion_id: result.id,
+            status: 'rejected',
+            site_id: result.site_id,
+            site_name: result.site_name,
+            job_site_id: null,
+            resolved_by: req.user.display_name,
+        });
 
         res.json({ success: true });
     } catch (err) {
@@ -0,0 +1,80 @@
+import { TRAILER_SPECS, DEFAULT_PRODUCT_CODE, BATTERY_CHEMISTRIES } from '../config.js';
+import { getHardwareProfiles, insertHardwareProfile, updateHardwareProfile, deleteHardwareProfile, insertAuditLog } from '../db.js';
+import { requireRole } from '../middleware/auth.js';
+import { profileToSpecs, loadHardwareProfiles, validateHardwareProfile } from '../services/hardwareProfiles.js';
+import { dbAvailable } from '../state.js';
+
+export function registerHardwareProfilesRoutes(app) {
+
+// Profiles with their derived specs; the built-in BV1305 without a database
+app.get('/api/hardware-profiles', async (req, res) => {
+    try {
+        const rows = dbAvailable ? await getHardwareProfiles() : [];
+        const profiles = rows.map(row => ({ ...row, specs: profileToSpecs(row) }));
+        if (profiles.length === 0) {
+            profiles.push({
+                id: null,
+                name: DEFAULT_PRODUCT_CODE,
+                product_code: DEFAULT_PRODUCT_CODE,
+                trailer_count: null,
+                specs: { profile_id: null, profile_name: DEFAULT_PRODUCT_CODE, product_code: DEFAULT_PRODUCT_CODE, ...TRAILER_SPECS },
+            });
+        }
+        res.json({ success: true, profiles, chemistries: BATTERY_CHEMISTRIES, editable: dbAvailable });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+app.post('/api/hardware-profiles', requireRole('admin'), async (req, res) => {
+    try {
+        if (!dbAvailable) return res.status(400).json({ error: 'Hardware profiles need a database' });
+        const invalid = validateHardwareProfile(req.body);
+        if (invalid) return res.status(400).json({ error: invalid });
+        const profile = await insertHardwareProfile({ ...req.body, product_code: req.body.product_code || null });
+        await loadHardwareProfiles();
+        const actor = req.user ? req.user.display_name : 'system';
+        insertAuditLog('hardware_profile', profile.id, 'hardware_profile_created', { name: profile.name }, actor).catch(() => { });
+        res.status(201).json({ success: true, profile: { ...profile, specs: profileToSpecs(profile) } });
+    } catch (err) {
+        if (err.code === '23505') return res.status(409).json({ error: 'A profile with that name or product code already exists' });
+        res.status(500).json({ error: err.message });
+    }
+});
+
+app.put('/api/hardware-profiles/:id', requireRole('admin'), async (req, res) => {
+    try {
+        if (!dbAvailable) return res.status(400).json({ error: 'Hardware profiles need a database' });
+        const invalid = validateHardwareProfile(req.body, { partial: true });
+        if (invalid) return res.status(400).json({ error: invalid });
+        const updates = { ...req.body };
+        if ('product_code' in updates) updates.product_code = updates.product_code || null;
+        const profile = await updateHardwareProfile(parseInt(req.params.id), updates);
+        if (!profile) return res.status(404).json({ error: 'Hardware profile not found' });
+        // Expected yield, autonomy and alerts pick up the new specs on the next poll
+        await loadHardwareProfiles();
+        const actor = req.user ? req.user.display_name : 'system';
+        insertAuditLog('hardware_profile', profile.id, 'hardware_profile_updated', { fields: Object.keys(req.body) }, actor).catch(() => { });
+        res.json({ success: true, profile: { ...profile, specs: profileToSpecs(profile) } });
+    } catch (err) {
+        if (err.code === '23505') return res.status(409).json({ error: 'A profile with that name or product code already exists' });
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// Trailers on a deleted profile fall back to their product code, then BV1305
+app.delete('/api/hardware-profiles/:id', requireRole('admin'), async (req, res) => {
+    try {
+        if (!dbAvailable) return res.status(400).json({ error: 'Hardware profiles need a database' });
+        const profile = await deleteHardwareProfile(parseInt(req.params.id));
+        if (!profile) return res.status(404).json({ error: 'Hardware profile not found' });
+        await loadHardwareProfiles();
+        const actor = req.user ? req.user.display_name : 'system';
+        insertAuditLog('hardware_profile', profile.id, 'hardware_profile_deleted', { name: profile.name }, actor).catch(() => { });
+        res.json({ success: true });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+}
@@ -0,0 +1,93 @@
+import { setFirmwareBaseline, deleteFirmwareBaseline, insertAuditLog } from '../db.js';
+import { requireRole } from '../middleware/auth.js';
+import { runInventorySync, getInventoryReport, getInventoryChangeLog, lookupSims } from '../services/inventory.js';
+import { dbAvailable } from '../state.js';
+
+const MAX_LOOKUP_ICCIDS = 5000;
+
+export function registerInventoryRoutes(app) {
+
+// ============================================================
+// Pepwave hardware inventory
+// ============================================================
+app.get('/api/inventory', requireRole('admin', 'technician', 'viewer'), async (req, res) => {
+    try {
+        if (!dbAvailable) {
+            return res.json({ success: false, error: 'Database not connected' });
+        }
+        const report = await getInventoryReport();
+        res.json({ success: true, ...report });
+    } catch (err) {
+        res.status(500).json({ success: false, error: err.message });
+    }
+});
+
+app.get('/api/inventory/changes', requireRole('admin', 'technician', 'viewer'), async (req, res) => {
+    try {
+        if (!dbAvailable) {
+            return res.json({ success: false, error: 'Database not connected' });
+        }
+        const log = await getInventoryChangeLog({
+            days: parseInt(req.query.days) || undefined,
+            deviceId: parseInt(req.query.device_id) || null,
+        });
+        res.json({ success: true, ...log });
+    } catch (err) {
+        res.status(500).json({ success: false, error: err.message });
+    }
+});
+
+app.post('/api/inventory/sync', requireRole('admin'), async (req, res) => {
+    try {
+        const result = await runInventorySync({ force: true });
+        if (result.error) return res.status(result.status).json({ error: result.error });
+        res.json({ success: true, ...result });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// ICCIDs from a carrier invoice → trailer; accepts an array or pasted text
+app.post('/api/inventory/sims/lookup', requireRole('admin', 'technician', 'viewer'), async (req, res) => {
+    try {
+        if (!dbAvailable) return res.status(400).json({ error: 'SIM lookup needs a database' });
+        const { iccids } = req.body || {};
+        const inputs = (Array.isArray(iccids) ? iccids : String(iccids || '').split(/[\s,;]+/))
+            .map(v => String(v).trim()).filter(Boolean);
+        if (inputs.length === 0) return res.status(400).json({ error: 'iccids is required' });
+        if (inputs.length > MAX_LOOKUP_ICCIDS) return res.status(400).json({ error: `At most ${MAX_LOOKUP_ICCIDS} ICCIDs per lookup` });
+        const result = await lookupSims(inputs);
+        res.json({ success: true, ...result });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+app.put('/api/inventory/firmware-baselines/:model', requireRole('admin'), async (req, res) => {
+    try {
+        if (!dbAvailable) return res.status(400).json({ error: 'Firmware baselines need a database' });
+        const model = decodeURIComponent(req.params.model);
+        const firmware = typeof req.body?.firmware === 'string' ? req.body.firmware.trim() : '';
+        if (!firmware || firmware.length > 100) return res.status(400).json({ error: 'firmware is required (max 100 characters)' });
+        const actor = req.user ? req.user.display_name : 'system';
+        const baseline = await setFirmwareBaseline(model, firmware, actor);
+        insertAuditLog('firmware_baseline', null, 'firmware_baseline_set', { model, firmware }, actor).catch(() => { });
+        res.json({ success: true, baseline });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+app.delete('/api/inventory/firmware-baselines/:model', requireRole('admin'), async (req, res) => {
+    try {
+        const model = decodeURIComponent(req.params.model);
+        const deleted = await deleteFirmwareBaseline(model);
+        if (!deleted) return res.status(404).json({ error: 'No baseline for this model' });
+        insertAuditLog('firmware_baseline', null, 'firmware_baseline_cleared', { model }, req.user ? req.user.display_name : 'system').catch(() => { });
+        res.json({ success: true });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+}
@@ -0,0 +1,63 @@
+import { getIrradianceCoverage, insertAuditLog } from '../db.js';
+import { requireRole } from '../middleware/auth.js';
+import { syncIrradianceHistory, importIrradianceCsv, getMonthlyExpectedYield, monthlyNormals } from '../services/irradiance.js';
+import { dbAvailable } from '../state.js';
+
+export function registerIrradianceRoutes(app) {
+
+// Days of irradiance history held per location, with its monthly normals
+app.get('/api/irradiance/locations', async (req, res) => {
+    try {
+        const rows = await getIrradianceCoverage();
+        const locations = rows.map(r => ({
+            ...r,
+            months: monthlyNormals(r.latitude, r.longitude).map(n => (n ? Math.round(n.psh * 100) / 100 : null)),
+        }));
+        res.json({ success: true, locations, editable: dbAvailable });
+    } catch (err) {
+        res.status(500).json({ success: false, error: err.message });
+    }
+});
+
+// Month-by-month expected yield for one trailer
+app.get('/api/irradiance/site/:siteId', (req, res) => {
+    try {
+        const result = getMonthlyExpectedYield(parseInt(req.params.siteId));
+        if (!result) return res.status(404).json({ success: false, error: 'Trailer has no GPS position' });
+        res.json({ success: true, ...result });
+    } catch (err) {
+        res.status(500).json({ success: false, error: err.message });
+    }
+});
+
+// Fill archive history for every tracked location now
+app.post('/api/irradiance/sync', requireRole('admin'), async (req, res) => {
+    try {
+        if (!dbAvailable) return res.status(400).json({ success: false, error: 'Irradiance history needs a database' });
+        const result = await syncIrradianceHistory({ force: true });
+        if (!result) return res.status(409).json({ success: false, error: 'A sync is already running' });
+        res.json({ success: true, ...result });
+    } catch (err) {
+        res.status(500).json({ success: false, error: err.message });
+    }
+});
+
+// Body: { csv, latitude?, longitude? } — see importIrradianceCsv for columns
+app.post('/api/irradiance/import', requireRole('admin'), async (req, res) => {
+    try {
+        if (!dbAvailable) return res.status(400).json({ success: false, error: 'Irradiance history needs a database' });
+        const { csv, latitude, longitude } = req.body || {};
+        const result = await importIrradianceCsv(csv, {
+            latitude: latitude !== '' && latitude != null ? Number(latitude) : null,
+            longitude: longitude !== '' && longitude != null ? Number(longitude) : null,
+        });
+        if (result.error) return res.status(400).json({ success: false, error: result.error, errors: result.errors || [] });
+        const actor = req.user ? req.user.display_name : 'system';
+        insertAuditLog('irradiance', null, 'irradiance_imported', { days: result.imported, locations: result.locations }, actor).catch(() => { });
+        res.json({ success: true, ...result });
+    } catch (err) {
+        res.status(500).json({ success: false, error: err.message });
+    }
+});
+
+}
@@ -1,9 +1,11 @@
 import { runClustering } from '../clustering.js';
-import { assignContactToSite, assignTrailerToJobSite, deleteJobSite, deleteSiteNote, getCompanies, getJobSite, getJobSites, getNoteReaders, getNotesByTrailer, getReplies, getSiteContacts, getSiteNote, getSiteNotes, getTrailerAssignments, getTrailersByJobSite, getUsers, insertAuditLog, insertJobSite, insertNotification, insertSiteNote, markNoteRead, removeContactFromSite, togglePinNote, updateJobSite, updateSiteNote } from '../db.js';
+import { assignContactToSite, assignTrailerToJobSite, deleteJobSite, deleteSiteNote, getCompanies, getJobSite, getJobSites, getNoteReaders, getNotesByTrailer, getReplies, getSiteContacts, getSiteNote, getSiteNotes, getTrailerAssignments, getTrailersByJobSite, getUsers, insertAuditLog, insertJobSite, insertSiteNote, markNoteRead, removeContactFromSite, togglePinNote, updateJobSite, updateSiteNote } from '../db.js';
 import { sendMentionNotification } from '../email.js';
+import { notifyUsers } from '../services/userNotifications.js';
 import { hasVrmData } from '../lib/util.js';
 import { requireRole } from '../middleware/auth.js';
 import { checkGeofences } from '../services/geofence.js';
+import { getJobSiteSla } from '../services/wanEvents.js';
 import { dbAvailable, geofenceAlerts, pepwaveCache, snapshotCache } from '../state.js';
 
 export function registerJobsitesRoutes(app) {
@@ -135,6 +137,17 @@ app.get('/api/job-sites/:id', async (req, res) => {
     }
 });
 
+// Connectivity SLA for a job site, same report the customer portal shows
+app.get('/api/job-sites/:id/sla', requireRole('admin', 'technician', 'viewer'), async (req, res) => {
+    try {
+        if (!dbAvailable) return res.json({ success: false, error: 'Database not connected' });
+        const report = await getJobSiteSla(parseInt(req.params.id), { months: parseInt(req.query.months) || undefined });
+        res.json({ success: true, ...report });
+    } catch (err) {
+        res.status(500).json({ success: false, error: err.message });
+    }
+});
+
 // PUT update job site (rename, address, status, notes)
 app.put('/api/job-sites/:id', requireRole('admin', 'technician'), async (req, res) => {
     try {
@@ -235,33 +248,33 @@ app.post('/api/job-sites/:id/notes', async (req, res) => {
         // Audit log
         insertAuditLog('site', siteId, 'note_added', { note_id: created.id, mentions, tags }, author).catch(() => { });
 
-        // Send @mention email notifications (async, don't block response)
+        // @mention notifications, per each user's channel preferences
+        // (in-app + email unless they changed them; async, don't block response)
         if (mentions && mentions.length > 0) {
             const site = await getJobSite(siteId);
+            const siteName = site?.name || `Site #${siteId}`;
             const allUsers = await getUsers();
             for (const mentionName of mentions) {
                 const user = allUsers.find(u =>
                     u.display_name.toLowerCase() === mentionName.toLowerCase()
                 );
-                if (user && user.email) {
-                    sendMentionNotification({
-                        recipientEmail: user.email,
-                        recipientName: user.display_name,
+                if (!user) continue;
+                notifyUsers({
+                    type: 'mention',
+                    entityKey: `note:${created.id}`,
+                    recipients: [user.id],
+                    scope: { job_site_id: siteId, company_id: site?.company_id ?? null },
+                    title: `${author} mentioned you`,
+                    body: `"${note.length > 80 ? note.slice(0, 80) + '…' : note}" on ${siteName}`,
+                    link: `/sites/${siteId}`,
+                    sendEmail: (recipient) => sendMentionNotification({
+                        recipientEmail: recipient.email,
+                        recipientName: recipient.display_name,
                         authorName: author,
-                        siteName: site?.name || `Site #${siteId}`,
+                        siteName,
                         noteText: note,
-                    }).catch(err => console.error('[Mention] Notification failed:', err.message));
-                }
-                // In-app notification
-                if (user) {
-                    insertNotification(
-                        user.id,
-                        'mention',
-                        `${author} mentioned you`,
-                        `"${note.length > 80 ? note.slice(0, 80) + '…' : note}" on ${site?.name || `Site #${siteId}`}`,
-                        `/sites/${siteId}`
-                    ).catch(err => console.error('[Notification] Insert failed:', err.message));
-                }
+                    }),
+                });
             }
         }
 
@@ -1,5 +1,23 @@
-import { deleteMaintenanceLog, getChecklistTemplates, getCompletedChecklists, getComponents, getIssueTemplates, getMaintenanceCalendar, getMaintenanceCostsByJobSite, getMaintenanceLog, getMaintenanceLogs, getMaintenanceStats, getUpcomingMaintenance, insertChecklistTemplate, insertCompletedChecklist, insertComponent, insertIssueTemplate, insertMaintenanceLog, updateChecklistTemplate, updateComponent, updateIssueTemplate, updateMaintenanceLog } from '../db.js';
+import { deleteMaintenanceLog, getChecklistTemplates, getCompletedChecklists, getComponents, getIssueTemplates, getMaintenanceCalendar, getMaintenanceCostsByJobSite, getMaintenanceLog, getMaintenanceLogs, getMaintenanceStats, getTrailerAssignments, getUpcomingMaintenance, insertChecklistTemplate, insertCompletedChecklist, insertComponent, insertIssueTemplate, insertMaintenanceLog, updateChecklistTemplate, updateComponent, updateIssueTemplate, updateMaintenanceLog } from '../db.js';
 import { requireRole } from '../middleware/auth.js';
+import { emitWebhookEvent } from '../services/webhooks.js';
+import { noteMaintenanceScheduled } from '../services/panelHealth.js';
+
+// Webhook for new visits (previous_status null) and status changes
+function emitMaintenanceStatus(log, previousStatus, req) {
+    emitWebhookEvent('maintenance.status_changed', {
+        maintenance_id: log.id,
+        title: log.title,
+        visit_type: log.visit_type,
+        status: log.status,
+        previous_status: previousStatus,
+        site_id: log.site_id,
+        job_site_id: log.job_site_id,
+        scheduled_date: log.scheduled_date ? new Date(Number(log.scheduled_date)).toISOString() : null,
+        completed_date: log.completed_date ? new Date(Number(log.completed_date)).toISOString() : null,
+        actor: req.user ? req.user.display_name : 'system',
+    });
+}
 
 function getNextDate(dateMs, rule) {
     const d = new Date(dateMs);
@@ -152,6 +170,7 @@ app.post('/api/maintenance', requireRole('admin', 'technician'), async (req, res
         if (errors.length > 0) return res.status(400).json({ success: false, error: errors.join('; ') });
 
         const log = await insertMaintenanceLog(req.body);
+        if (log) emitMaintenanceStatus(log, null, req);
 
         // Generate recurring instances if recurrence_rule is set
         if (req.body.recurrence_rule && log) {
@@ -164,13 +183,54 @@ app.post('/api/maintenance', requireRole('admin', 'technician'), async (req, res
     }
 });
 
+// Visit for one trailer prefilled from an issue template — the action
+// queue's "Schedule cleaning" on a soiling suggestion
+app.post('/api/maintenance/from-template', requireRole('admin', 'technician'), async (req, res) => {
+    try {
+        const templateId = parseInt(req.body?.template_id);
+        const siteId = parseInt(req.body?.site_id);
+        if (!templateId || !siteId) return res.status(400).json({ success: false, error: 'template_id and site_id are required' });
+
+        const template = (await getIssueTemplates()).find(t => t.id === templateId);
+        if (!template) return res.status(404).json({ success: false, error: 'Issue template not found' });
+        const assignment = (await getTrailerAssignments()).find(a => a.site_id === siteId);
+
+        const input = {
+            job_site_id: assignment?.job_site_id,
+            site_id: siteId,
+            visit_type: template.visit_type,
+            status: 'scheduled',
+            title: template.title,
+            description: [template.description, req.body.note].filter(Boolean).join('\n\n'),
+            labor_hours: template.estimated_hours,
+            parts_used: template.expected_parts?.length > 0
+                ? template.expected_parts.map(p => ({ name: p.name || p, quantity: p.quantity || 1, cost_cents: p.cost_cents || 0 }))
+                : null,
+            scheduled_date: req.body.scheduled_date || null,
+        };
+        const errors = validateMaintenanceInput(input, true);
+        if (errors.length > 0) return res.status(400).json({ success: false, error: errors.join('; ') });
+
+        const log = await insertMaintenanceLog(input);
+        if (log) {
+            emitMaintenanceStatus(log, null, req);
+            noteMaintenanceScheduled(log);
+        }
+        res.json({ success: true, log });
+    } catch (err) {
+        res.status(500).json({ success: false, error: err.message });
+    }
+});
+
 app.put('/api/maintenance/:id', requireRole('admin', 'technician'), async (req, res) => {
     try {
         const errors = validateMaintenanceInput(req.body, false);
         if (errors.length > 0) return res.status(400).json({ success: false, error: errors.join('; ') });
 
+        const before = req.body.status !== undefined ? await getMaintenanceLog(parseInt(req.params.id)) : null;
         const log = await updateMaintenanceLog(parseInt(req.params.id), req.body);
         if (!log) return res.status(404).json({ success: false, error: 'Not found' });
+        if (before && before.status !== log.status) emitMaintenanceStatus(log, before.status, req);
         res.json({ success: true, log });
     } catch (err) {
         res.status(500).json({ success: false, error: err.message });
@@ -1,5 +1,9 @@
 import { getPepwaveDailyUsage, getPepwaveHistory } from '../db.js';
 import { dbAvailable, lastIc2Poll, offlineTimestamps, pepwaveCache } from '../state.js';
+import { getCarrierAnalytics } from '../services/networkAnalytics.js';
+import { getFleetAvailability, getDeviceOutageTimeline } from '../services/wanEvents.js';
+import { availableRouterActions, prepareRouterAction, executeRouterAction, getRouterActionHistory } from '../services/routerActions.js';
+import { requireRole } from '../middleware/auth.js';
 
 export function registerNetworkRoutes(app) {
 
@@ -28,6 +32,33 @@ app.get('/api/debug/bandwidth', (req, res) => {
     res.json({ sample, cache_size: pepwaveCache.size });
 });
 
+// Carrier ranking per job site / region, weaker-carrier SIMs and signal trends
+app.get('/api/fleet/network/analytics', async (req, res) => {
+    try {
+        if (!dbAvailable) {
+            return res.json({ success: false, error: 'Database not connected' });
+        }
+        const groupBy = req.query.group === 'region' ? 'region' : 'job_site';
+        const analytics = await getCarrierAnalytics({ days: parseInt(req.query.days) || undefined, groupBy });
+        res.json({ success: true, ...analytics });
+    } catch (err) {
+        res.status(500).json({ success: false, error: err.message });
+    }
+});
+
+// Monthly availability and MTTR per device from the persisted outages
+app.get('/api/fleet/network/availability', async (req, res) => {
+    try {
+        if (!dbAvailable) {
+            return res.json({ success: false, error: 'Database not connected' });
+        }
+        const report = await getFleetAvailability({ months: parseInt(req.query.months) || undefined });
+        res.json({ success: true, ...report });
+    } catch (err) {
+        res.status(500).json({ success: false, error: err.message });
+    }
+});
+
 app.get('/api/fleet/network/:name', (req, res) => {
     const name = decodeURIComponent(req.params.name);
     const device = pepwaveCache.get(name);
@@ -50,12 +81,29 @@ app.get('/api/fleet/network/:name/history', async (req, res) => {
             parseInt(start) || 0,
             parseInt(end) || Date.now()
         );
-        res.json({ success: true, records: rows });
+        res.json({ success: true, tier: rows[0]?.tier || 'raw', records: rows });
     } catch (err) {
         res.status(500).json({ error: err.message });
     }
 });
 
+// WAN transitions, outages and monthly availability for one device
+app.get('/api/fleet/network/:name/outages', async (req, res) => {
+    try {
+        if (!dbAvailable) {
+            return res.json({ success: false, error: 'Database not connected' });
+        }
+        const name = decodeURIComponent(req.params.name);
+        const timeline = await getDeviceOutageTimeline(name, {
+            days: parseInt(req.query.days) || undefined,
+            months: parseInt(req.query.months) || undefined,
+        });
+        res.json({ success: true, ...timeline });
+    } catch (err) {
+        res.status(500).json({ success: false, error: err.message });
+    }
+});
+
 // Pepwave daily usage aggregation
 app.get('/api/fleet/network/:name/daily', async (req, res) => {
     try {
@@ -71,4 +119,43 @@ app.get('/api/fleet/network/:name/daily', async (req, res) => {
     }
 });
 
+// Remote router actions (reboot, cellular reset, SIM switch, GPS refresh)
+app.get('/api/fleet/network/:name/actions', async (req, res) => {
+    try {
+        const name = decodeURIComponent(req.params.name);
+        const device = pepwaveCache.get(name);
+        if (!device) {
+            return res.status(404).json({ error: 'Device not found' });
+        }
+        res.json({
+            success: true,
+            actions: availableRouterActions(device),
+            history: await getRouterActionHistory(device),
+            can_run: ['admin', 'technician'].includes(req.user?.role),
+        });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// Without confirm_token: validate and return a confirmation summary (202).
+// With confirm_token: send the prepared command.
+app.post('/api/fleet/network/:name/actions/:action', requireRole('admin', 'technician'), async (req, res) => {
+    try {
+        const name = decodeURIComponent(req.params.name);
+        const { action } = req.params;
+        const { confirm_token, reason, ...params } = req.body || {};
+        if (!confirm_token) {
+            const prepared = prepareRouterAction(name, action, params, req.user);
+            if (prepared.error) return res.status(prepared.status).json({ error: prepared.error });
+            return res.status(202).json({ success: true, confirmation_required: true, ...prepared });
+        }
+        const result = await executeRouterAction(name, action, confirm_token, req.user, reason ? String(reason).slice(0, 500) : null);
+        if (result.error) return res.status(result.status).json({ error: result.error });
+        res.json({ success: true, ...result });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
 }
@@ -0,0 +1,105 @@
+import { DEFAULT_NOTIFICATION_CHANNELS, NOTIFICATION_CHANNELS, NOTIFICATION_EVENT_TYPES, NOTIFICATION_SCOPES } from '../config.js';
+import {
+    getNotificationPreferences, upsertNotificationPreferences,
+    getNotificationSubscriptions, insertNotificationSubscription, deleteNotificationSubscription,
+} from '../db.js';
+import { isEmailConfigured } from '../email.js';
+import { isSmsConfigured } from '../sms.js';
+import { dbAvailable } from '../state.js';
+
+const TIME_RE = /^([01]\d|2[0-3]):[0-5]\d$/;
+const PHONE_RE = /^\+[1-9]\d{6,14}$/;
+
+function validatePreferences(p) {
+    if (p.channels !== undefined) {
+        if (!p.channels || typeof p.channels !== 'object' || Array.isArray(p.channels)) return 'channels must be an object';
+        for (const [type, list] of Object.entries(p.channels)) {
+            if (!NOTIFICATION_EVENT_TYPES.includes(type)) return `Unknown event type: ${type}`;
+            if (!Array.isArray(list) || list.some(c => !NOTIFICATION_CHANNELS.includes(c))) return `Invalid channels for ${type}`;
+        }
+    }
+    for (const field of ['quiet_start', 'quiet_end']) {
+        if (p[field] && !TIME_RE.test(p[field])) return `${field} must be HH:MM`;
+    }
+    if (Boolean(p.quiet_start) !== Boolean(p.quiet_end)) return 'Set both quiet hours start and end, or neither';
+    if (p.phone && !PHONE_RE.test(p.phone)) return 'Phone must be in international format, e.g. +13035551234';
+    if (p.timezone) {
+        try { new Intl.DateTimeFormat('en-US', { timeZone: p.timezone }); } catch { return `Unknown timezone: ${p.timezone}`; }
+    }
+    return null;
+}
+
+export function registerNotificationPrefsRoutes(app) {
+
+// The signed-in user's own preferences and subscriptions
+app.get('/api/notifications/preferences', async (req, res) => {
+    try {
+        if (!req.user) return res.status(401).json({ error: 'Not authenticated' });
+        const [saved, subscriptions] = await Promise.all([
+            getNotificationPreferences(req.user.id),
+            getNotificationSubscriptions(req.user.id),
+        ]);
+        res.json({
+            success: true,
+            preferences: saved || {
+                channels: DEFAULT_NOTIFICATION_CHANNELS,
+                all_trailers: false,
+                phone: null,
+                quiet_start: null,
+                quiet_end: null,
+                timezone: null,
+                quiet_allow_critical: true,
+            },
+            subscriptions,
+            event_types: NOTIFICATION_EVENT_TYPES,
+            channels: NOTIFICATION_CHANNELS,
+            scopes: NOTIFICATION_SCOPES,
+            email_configured: isEmailConfigured(),
+            sms_configured: isSmsConfigured(),
+            editable: dbAvailable,
+        });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+app.put('/api/notifications/preferences', async (req, res) => {
+    try {
+        if (!req.user) return res.status(401).json({ error: 'Not authenticated' });
+        if (!dbAvailable) return res.status(400).json({ error: 'Notification preferences need a database' });
+        const invalid = validatePreferences(req.body);
+        if (invalid) return res.status(400).json({ error: invalid });
+        const preferences = await upsertNotificationPreferences(req.user.id, req.body);
+        res.json({ success: true, preferences });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+app.post('/api/notifications/subscriptions', async (req, res) => {
+    try {
+        if (!req.user) return res.status(401).json({ error: 'Not authenticated' });
+        if (!dbAvailable) return res.status(400).json({ error: 'Notification preferences need a database' });
+        const { scope_type } = req.body;
+        const scopeId = parseInt(req.body.scope_id);
+        if (!NOTIFICATION_SCOPES.includes(scope_type)) return res.status(400).json({ error: `scope_type must be one of ${NOTIFICATION_SCOPES.join(', ')}` });
+        if (!Number.isInteger(scopeId)) return res.status(400).json({ error: 'scope_id is required' });
+        const subscription = await insertNotificationSubscription(req.user.id, scope_type, scopeId);
+        res.status(201).json({ success: true, subscription });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+app.delete('/api/notifications/subscriptions/:id', async (req, res) => {
+    try {
+        if (!req.user) return res.status(401).json({ error: 'Not authenticated' });
+        const removed = await deleteNotificationSubscription(req.user.id, parseInt(req.params.id));
+        if (!removed) return res.status(404).json({ error: 'Subscription not found' });
+        res.json({ success: true });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+}
@@ -0,0 +1,29 @@
+import { planEnergy } from '../services/energyPlanner.js';
+
+export function registerPlannerRoutes(app) {
+
+// What-if energy plan for a trailer or job site with proposed extra loads.
+// Body: { site_id | job_site_id, loads: [{ name, watts, hours_per_day, quantity }],
+//         profile_id?, trailer_count? (job sites with no trailers yet) }
+app.post('/api/planner/energy', async (req, res) => {
+    try {
+        const siteId = req.body.site_id != null ? Number(req.body.site_id) : null;
+        const jobSiteId = req.body.job_site_id != null ? Number(req.body.job_site_id) : null;
+        if ((siteId === null) === (jobSiteId === null)) {
+            return res.status(400).json({ success: false, error: 'Give exactly one of site_id or job_site_id' });
+        }
+        const plan = await planEnergy({
+            siteId,
+            jobSiteId,
+            profileId: req.body.profile_id ?? null,
+            trailerCount: req.body.trailer_count ?? null,
+            loads: req.body.loads || [],
+        });
+        if (plan.error) return res.status(plan.status || 400).json({ success: false, error: plan.error });
+        res.json({ success: true, plan });
+    } catch (err) {
+        res.status(500).json({ success: false, error: err.message });
+    }
+});
+
+}
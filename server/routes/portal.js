@@ -1,7 +1,8 @@
 import { getCustomerSiteAccess, getJobSite, getJobSites, getSiteContacts, getTrailerAssignments, getTrailersByJobSite, upsertCustomerSiteAccess } from '../db.js';
 import { hasVrmData } from '../lib/util.js';
 import { requireRole } from '../middleware/auth.js';
-import { snapshotCache } from '../state.js';
+import { dbAvailable, snapshotCache } from '../state.js';
+import { getJobSiteSla } from '../services/wanEvents.js';
 
 export function registerPortalRoutes(app) {
 
@@ -116,6 +117,26 @@ app.get('/api/portal/site/:id', async (req, res) => {
     }
 });
 
+// Connectivity SLA for one of the customer's sites: monthly availability,
+// MTTR and every outage while a trailer was on rent there
+app.get('/api/portal/site/:id/sla', async (req, res) => {
+    try {
+        if (!req.user || req.user.role !== 'customer') {
+            return res.status(403).json({ error: 'Customer access only' });
+        }
+        const siteId = parseInt(req.params.id);
+        const access = await getCustomerSiteAccess(req.user.id);
+        if (!access.some(a => a.job_site_id === siteId)) {
+            return res.status(403).json({ error: 'No access to this site' });
+        }
+        if (!dbAvailable) return res.json({ success: false, error: 'Database not connected' });
+        const report = await getJobSiteSla(siteId, { months: parseInt(req.query.months) || undefined });
+        res.json({ success: true, ...report });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
 // Admin: manage customer site access
 app.get('/api/customers/:userId/sites', requireRole('admin'), async (req, res) => {
     try {
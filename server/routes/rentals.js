@@ -1,26 +1,77 @@
-import { getBillingAtHeadquarters, getBillingPastCalloff, getDeliveredNotBilling, getRateCards, getRental, getRentalEvents, getRentals, getTrailer, getTrailers, getUnbilledDeployedTrailers, getVolumeTiers, insertAuditLog, insertRental, insertRentalEvent, insertTrailer, updateRental, updateTrailer } from '../db.js';
+import { getBillingAtHeadquarters, getHardwareProfile, getBillingPastCalloff, getDeliveredNotBilling, getRateCards, getRental, getRentalEvents, getRentals, getTrailer, getTrailers, getUnbilledDeployedTrailers, getVolumeTiers, insertAuditLog, insertRental, insertRentalEvent, insertTrailer, updateRental, updateTrailer } from '../db.js';
 import { requireRole } from '../middleware/auth.js';
 import { TERM_DAYS, buildTierCounter, computeRollback, parseDateUTC } from '../pricing.js';
+import { checkGatewayUrl, isTelemetrySource, listTelemetrySources } from '../services/telemetry/index.js';
+import { notifyUsers } from '../services/userNotifications.js';
+import { emitWebhookEvent } from '../services/webhooks.js';
+import { publishStreamEvent } from '../services/liveStream.js';
+import { loadHardwareProfiles } from '../services/hardwareProfiles.js';
 import { RENTAL_TRANSITIONS, buildPricingContext, buildStatements, computeAccruedThisMonth, computeMtdEngine, priceRental } from '../services/billing.js';
 
+// hardware_profile_id must name an existing profile; null clears it
+async function invalidHardwareProfile(body) {
+    const value = body.hardware_profile_id;
+    if (value == null) return null;
+    const id = Number(value);
+    if (!Number.isInteger(id) || !(await getHardwareProfile(id))) return `Unknown hardware profile: ${value}`;
+    return null;
+}
+
+// Gateway URLs are fetched server-side, so they're checked on write too
+async function invalidTelemetryConfig(body) {
+    const url = body.telemetry_config?.url;
+    if (!url) return null;
+    return checkGatewayUrl(url);
+}
+
+// The gateway token never leaves the server; clients see token_set instead
+function redactTrailer(trailer) {
+    if (!trailer?.telemetry_config?.token) return trailer;
+    const { token, ...config } = trailer.telemetry_config;
+    return { ...trailer, telemetry_config: { ...config, token_set: true } };
+}
+
+// A config saved back without a token keeps the stored one (the client
+// never had it); send token: null to clear it
+function mergeTelemetryConfig(body, existing) {
+    if (!body.telemetry_config) return body;
+    const { token_set, ...config } = body.telemetry_config;
+    if (!('token' in config) && existing?.telemetry_config?.token) config.token = existing.telemetry_config.token;
+    if (config.token == null) delete config.token;
+    return { ...body, telemetry_config: config };
+}
+
 export function registerRentalsRoutes(app) {
 
 app.get('/api/trailers', async (req, res) => {
     try {
         const trailers = await getTrailers({ status: req.query.status });
-        res.json({ success: true, trailers });
+        res.json({ success: true, trailers: trailers.map(redactTrailer) });
     } catch (err) {
         res.status(500).json({ success: false, error: err.message });
     }
 });
 
+// Telemetry adapters a trailer can be switched to
+app.get('/api/trailers/telemetry-sources', (req, res) => {
+    res.json({ success: true, sources: listTelemetrySources() });
+});
+
 app.post('/api/trailers', requireRole('admin', 'technician'), async (req, res) => {
     try {
         if (!req.body.unit_number) return res.status(400).json({ success: false, error: 'unit_number is required' });
-        const created = await insertTrailer(req.body);
+        if (req.body.telemetry_source && !isTelemetrySource(req.body.telemetry_source)) {
+            return res.status(400).json({ success: false, error: `Unknown telemetry source: ${req.body.telemetry_source}` });
+        }
+        const invalidProfile = await invalidHardwareProfile(req.body);
+        if (invalidProfile) return res.status(400).json({ success: false, error: invalidProfile });
+        const invalidConfig = await invalidTelemetryConfig(req.body);
+        if (invalidConfig) return res.status(400).json({ success: false, error: invalidConfig });
+        const created = await insertTrailer(mergeTelemetryConfig(req.body, null));
+        loadHardwareProfiles();
         const actor = req.user ? req.user.display_name : 'system';
         insertAuditLog('trailer', created.id, 'trailer_created', { unit_number: created.unit_number }, actor).catch(() => { });
-        res.status(201).json({ success: true, trailer: created });
+        res.status(201).json({ success: true, trailer: redactTrailer(created) });
     } catch (err) {
         if (err.code === '23505') return res.status(409).json({ success: false, error: 'A trailer with that unit number or VRM site already exists' });
         res.status(500).json({ success: false, error: err.message });
@@ -29,11 +80,21 @@ app.post('/api/trailers', requireRole('admin', 'technician'), async (req, res) =
 
 app.put('/api/trailers/:id', requireRole('admin', 'technician'), async (req, res) => {
     try {
-        const updated = await updateTrailer(parseInt(req.params.id), req.body);
+        if (req.body.telemetry_source && !isTelemetrySource(req.body.telemetry_source)) {
+            return res.status(400).json({ success: false, error: `Unknown telemetry source: ${req.body.telemetry_source}` });
+        }
+        const invalidProfile = await invalidHardwareProfile(req.body);
+        if (invalidProfile) return res.status(400).json({ success: false, error: invalidProfile });
+        const invalidConfig = await invalidTelemetryConfig(req.body);
+        if (invalidConfig) return res.status(400).json({ success: false, error: invalidConfig });
+        const id = parseInt(req.params.id);
+        const existing = req.body.telemetry_config ? await getTrailer(id) : null;
+        const updated = await updateTrailer(id, mergeTelemetryConfig(req.body, existing));
         if (!updated) return res.status(404).json({ success: false, error: 'Trailer not found' });
+        if ('product_code' in req.body || 'hardware_profile_id' in req.body || 'vrm_site_id' in req.body) loadHardwareProfiles();
         const actor = req.user ? req.user.display_name : 'system';
         insertAuditLog('trailer', updated.id, 'trailer_updated', { fields: Object.keys(req.body) }, actor).catch(() => { });
-        res.json({ success: true, trailer: updated });
+        res.json({ success: true, trailer: redactTrailer(updated) });
     } catch (err) {
         if (err.code === '23505') return res.status(409).json({ success: false, error: 'A trailer with that unit number or VRM site already exists' });
         res.status(500).json({ success: false, error: err.message });
@@ -153,6 +214,38 @@ app.post('/api/rentals/:id/events', requireRole('admin', 'technician'), async (r
         const event = await insertRentalEvent(rental.id, event_type, date, actor, notes || null, transport);
         insertAuditLog('rental', rental.id, `rental_${event_type}`, { trailer: rental.unit_number, date, ...(transport.transport_company || transport.transport_cost ? transport : {}) }, actor).catch(() => { });
 
+        const rentalEvent = {
+            rental_id: rental.id,
+            event_type,
+            event_date: date,
+            status: transition.toStatus,
+            previous_status: rental.status,
+            trailer_id: rental.trailer_id,
+            unit_number: rental.unit_number,
+            vrm_site_id: rental.vrm_site_id,
+            job_site_id: rental.job_site_id,
+            job_site_name: rental.job_site_name,
+            company_id: rental.company_id,
+            company_name: rental.company_name,
+            po_number: rental.po_number,
+            notes: notes || null,
+            ...(transport.transport_company || transport.transport_cost ? { transport } : {}),
+            actor,
+        };
+        emitWebhookEvent('rental.event', rentalEvent);
+        publishStreamEvent('rental.event', rentalEvent);
+
+        if (event_type === 'calloff') {
+            notifyUsers({
+                type: 'rental_calloff',
+                entityKey: `rental:${rental.id}`,
+                scope: { site_id: rental.vrm_site_id, job_site_id: rental.job_site_id, company_id: rental.company_id },
+                title: `Called off — ${rental.unit_number}`,
+                body: `${[rental.company_name, rental.job_site_name].filter(Boolean).join(' @ ') || 'Rental'} called off ${date} by ${actor}`,
+                link: '/rentals',
+            });
+        }
+
         // Roll-Back clause: stopping billing before a 6-month/1-year commitment
         // is fulfilled retroactively re-prices the utilized period at the
         // shorter-term bracket. Only applies to rate-card pricing.
@@ -1,7 +1,8 @@
-import { SOLAR_SCORE_DEFAULTS } from '../config.js';
+import { SOLAR_SCORE_DEFAULTS, TELEMETRY_ROLLUP } from '../config.js';
 import { getDbStats, getRetentionDays, pruneOldData, setRetentionDays, setSetting } from '../db.js';
 import { requireRole } from '../middleware/auth.js';
 import { dbAvailable, snapshotCache, solarScoreConfig } from '../state.js';
+import { runTelemetryRollup } from '../services/telemetryRollup.js';
 
 export function registerSettingsRoutes(app) {
 
@@ -21,6 +22,9 @@ app.get('/api/settings', async (req, res) => {
             retention_days: await getRetentionDays(),
             db_size_bytes: stats.size,
             snapshot_count: stats.count,
+            hourly_rollup_count: stats.hourly_count,
+            daily_rollup_count: stats.daily_count,
+            hourly_retention_days: TELEMETRY_ROLLUP.hourly_days,
             db_status: 'connected',
             solar_score_config: { ...solarScoreConfig },
         });
@@ -75,6 +79,7 @@ app.post('/api/settings/purge', requireRole('admin'), async (req, res) => {
         if (!dbAvailable) {
             return res.json({ success: false, error: 'Database not connected' });
         }
+        await runTelemetryRollup({ force: true });
         await pruneOldData();
         const stats = await getDbStats();
         res.json({
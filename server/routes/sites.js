@@ -1,6 +1,7 @@
 import { SITES_CACHE_TTL, VRM_USER_ID } from '../config.js';
 import { getHistory } from '../db.js';
 import { vrmFetch } from '../services/vrmClient.js';
+import { markSiteWatched } from '../services/vrmPoller.js';
 import { dbAvailable, pepwaveCache, setSitesCache, sitesCache, sitesCacheTime } from '../state.js';
 
 export function registerSitesRoutes(app) {
@@ -37,6 +38,8 @@ app.get('/api/sites', async (req, res) => {
 
 app.get('/api/sites/:id/diagnostics', async (req, res) => {
     try {
+        // TrailerDetail polls this while open — speed up background polling too
+        markSiteWatched(parseInt(req.params.id));
         const data = await vrmFetch(`/installations/${req.params.id}/diagnostics?count=200`);
         res.json(data);
     } catch (err) {
@@ -85,7 +88,7 @@ app.get('/api/history/:id', async (req, res) => {
             parseInt(start) || 0,
             parseInt(end) || Date.now()
         );
-        res.json({ success: true, records: rows });
+        res.json({ success: true, tier: rows[0]?.tier || 'raw', records: rows });
     } catch (err) {
         res.status(500).json({ error: err.message });
     }
@@ -0,0 +1,23 @@
+import jwt from 'jsonwebtoken';
+import { JWT_SECRET, LIVE_STREAM } from '../config.js';
+import { requireRole } from '../middleware/auth.js';
+import { openStream } from '../services/liveStream.js';
+
+export function registerStreamRoutes(app) {
+
+// Short-lived token for the EventSource URL, so the session token never
+// ends up in a query string (proxy and access logs, browser history)
+app.post('/api/stream/token', requireRole('admin', 'technician', 'viewer'), (req, res) => {
+    const { id, username, role } = req.user;
+    const token = jwt.sign({ id, username, role, scope: 'stream' }, JWT_SECRET, { expiresIn: LIVE_STREAM.token_ttl_s });
+    res.json({ success: true, token, expires_in: LIVE_STREAM.token_ttl_s });
+});
+
+// Server-Sent Events: poll deltas, alerts, notifications and rental events.
+// Customers use the portal endpoints instead.
+app.get('/api/stream', requireRole('admin', 'technician', 'viewer'), (req, res) => {
+    req.socket.setTimeout(0);
+    openStream(req, res);
+});
+
+}
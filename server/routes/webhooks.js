@@ -0,0 +1,147 @@
+import { WEBHOOK_EVENTS, WEBHOOK_DELIVERY } from '../config.js';
+import {
+    getWebhooks, getWebhook, insertWebhook, updateWebhook, deleteWebhook, getWebhookDeliveries, insertAuditLog,
+} from '../db.js';
+import { requireRole } from '../middleware/auth.js';
+import { generateWebhookSecret, sendTestWebhook, redeliverWebhook } from '../services/webhooks.js';
+import { dbAvailable } from '../state.js';
+
+// The secret is only shown when created or rotated
+function publicWebhook(w) {
+    if (!w) return w;
+    const { secret, ...rest } = w;
+    return { ...rest, secret_hint: secret ? `…${secret.slice(-4)}` : null };
+}
+
+function validateWebhook(body, { partial = false } = {}) {
+    if (!partial || body.name !== undefined) {
+        if (!body.name || !String(body.name).trim()) return 'name is required';
+    }
+    if (!partial || body.url !== undefined) {
+        let url;
+        try { url = new URL(body.url); } catch { return 'url must be a valid URL'; }
+        if (!['https:', 'http:'].includes(url.protocol)) return 'url must be http(s)';
+    }
+    if (!partial || body.events !== undefined) {
+        if (!Array.isArray(body.events) || body.events.length === 0) return 'Pick at least one event';
+        const unknown = body.events.find(e => !WEBHOOK_EVENTS.includes(e));
+        if (unknown) return `Unknown event: ${unknown}`;
+    }
+    return null;
+}
+
+export function registerWebhooksRoutes(app) {
+
+app.get('/api/webhooks', requireRole('admin'), async (req, res) => {
+    try {
+        const webhooks = await getWebhooks();
+        res.json({
+            success: true,
+            webhooks: webhooks.map(publicWebhook),
+            events: WEBHOOK_EVENTS,
+            max_attempts: WEBHOOK_DELIVERY.max_attempts,
+            editable: dbAvailable,
+        });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+app.post('/api/webhooks', requireRole('admin'), async (req, res) => {
+    try {
+        if (!dbAvailable) return res.status(400).json({ error: 'Webhooks need a database' });
+        const invalid = validateWebhook(req.body);
+        if (invalid) return res.status(400).json({ error: invalid });
+        const webhook = await insertWebhook({
+            name: String(req.body.name).trim(),
+            url: req.body.url,
+            events: req.body.events,
+            enabled: req.body.enabled,
+            secret: generateWebhookSecret(),
+            created_by: req.user?.id,
+        });
+        const actor = req.user ? req.user.display_name : 'system';
+        insertAuditLog('webhook', webhook.id, 'webhook_created', { name: webhook.name, url: webhook.url, events: req.body.events }, actor).catch(() => { });
+        res.status(201).json({ success: true, webhook: publicWebhook(webhook), secret: webhook.secret });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+app.put('/api/webhooks/:id', requireRole('admin'), async (req, res) => {
+    try {
+        if (!dbAvailable) return res.status(400).json({ error: 'Webhooks need a database' });
+        const invalid = validateWebhook(req.body, { partial: true });
+        if (invalid) return res.status(400).json({ error: invalid });
+        const { secret, ...updates } = req.body;
+        const webhook = await updateWebhook(parseInt(req.params.id), updates);
+        if (!webhook) return res.status(404).json({ error: 'Webhook not found' });
+        const actor = req.user ? req.user.display_name : 'system';
+        insertAuditLog('webhook', webhook.id, 'webhook_updated', { fields: Object.keys(updates) }, actor).catch(() => { });
+        res.json({ success: true, webhook: publicWebhook(webhook) });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+app.post('/api/webhooks/:id/rotate-secret', requireRole('admin'), async (req, res) => {
+    try {
+        if (!dbAvailable) return res.status(400).json({ error: 'Webhooks need a database' });
+        const webhook = await updateWebhook(parseInt(req.params.id), { secret: generateWebhookSecret() });
+        if (!webhook) return res.status(404).json({ error: 'Webhook not found' });
+        const actor = req.user ? req.user.display_name : 'system';
+        insertAuditLog('webhook', webhook.id, 'webhook_secret_rotated', { name: webhook.name }, actor).catch(() => { });
+        res.json({ success: true, webhook: publicWebhook(webhook), secret: webhook.secret });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+app.delete('/api/webhooks/:id', requireRole('admin'), async (req, res) => {
+    try {
+        if (!dbAvailable) return res.status(400).json({ error: 'Webhooks need a database' });
+        const webhook = await deleteWebhook(parseInt(req.params.id));
+        if (!webhook) return res.status(404).json({ error: 'Webhook not found' });
+        const actor = req.user ? req.user.display_name : 'system';
+        insertAuditLog('webhook', webhook.id, 'webhook_deleted', { name: webhook.name, url: webhook.url }, actor).catch(() => { });
+        res.json({ success: true });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// Send a signed webhook.test event now and report the outcome
+app.post('/api/webhooks/:id/test', requireRole('admin'), async (req, res) => {
+    try {
+        if (!dbAvailable) return res.status(400).json({ error: 'Webhooks need a database' });
+        const webhook = await getWebhook(parseInt(req.params.id));
+        if (!webhook) return res.status(404).json({ error: 'Webhook not found' });
+        const delivery = await sendTestWebhook(webhook);
+        res.json({ success: delivery.status === 'delivered', delivery });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+app.get('/api/webhooks/:id/deliveries', requireRole('admin'), async (req, res) => {
+    try {
+        const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+        const deliveries = await getWebhookDeliveries(parseInt(req.params.id), limit);
+        res.json({ success: true, deliveries });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+app.post('/api/webhooks/deliveries/:deliveryId/redeliver', requireRole('admin'), async (req, res) => {
+    try {
+        if (!dbAvailable) return res.status(400).json({ error: 'Webhooks need a database' });
+        const delivery = await redeliverWebhook(parseInt(req.params.deliveryId));
+        if (!delivery) return res.status(404).json({ error: 'Delivery not found' });
+        res.json({ success: delivery.status === 'delivered', delivery });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+}
@@ -55,7 +55,7 @@ import {
 import { runClustering, haversineMeters } from './clustering.js';
 import {
     isEmailConfigured, sendAlertEmail, sendAlertResolvedEmail,
-    sendGeofenceEmail, sendDigestEmail, checkRateLimit, markNotified,
+    sendGeofenceEmail, sendDigestEmail,
     sendMentionNotification
 } from './email.js';
 import cron from 'node-cron';
@@ -64,7 +64,7 @@ import {
     IC2_CLIENT_ID, IC2_CLIENT_SECRET, IC2_BASE, IC2_ORG_ID, IC2_GROUP_ID,
     anthropic, JWT_SECRET, JWT_EXPIRES_IN, GOOGLE_CLIENT_ID, ALLOWED_GOOGLE_DOMAIN,
     allowedOrigins, SITES_CACHE_TTL, WEATHER_CACHE_TTL, VRM_STALE_MS,
-    TRAILER_SPECS, SOLAR_SCORE_DEFAULTS,
+    TRAILER_SPECS, SOLAR_SCORE_DEFAULTS, SIMULATOR,
 } from './config.js';
 import {
     snapshotCache, pepwaveCache, ic2DeviceIdToSiteId, ic2DeviceIdToName,
@@ -90,9 +90,16 @@ import {
     RATE_PERIOD_DAYS, RENTAL_TRANSITIONS, billingDays, computeAccrued, computeAccruedThisMonth,
     buildPricingContext, rentalRateCard, priceRental, computeMtdEngine,
 } from './services/billing.js';
-import { pollAllSites } from './services/vrmPoller.js';
+import { startVrmScheduler } from './services/vrmPoller.js';
 import { resolveIc2DeviceToSiteId, pollIc2Devices } from './services/ic2Poller.js';
 import { buildDigestData, scheduleDigest } from './services/digest.js';
+import { startSimulator, getSimulatorStatus } from './services/simulator.js';
+import { seedPollHealthFromDb } from './services/pollHealth.js';
+import { loadAlertRules, seedAlertRuleState } from './services/alertRules.js';
+import { startWebhookRetryLoop } from './services/webhooks.js';
+import { getStreamClientCount } from './services/liveStream.js';
+import { loadHardwareProfiles } from './services/hardwareProfiles.js';
+import { refreshIrradianceNormals } from './services/irradiance.js';
 import { registerAuthRoutes } from './routes/auth.js';
 import { registerUsersRoutes } from './routes/users.js';
 import { registerSitesRoutes } from './routes/sites.js';
@@ -110,7 +117,18 @@ import { registerAiRoutes } from './routes/ai.js';
 import { registerActionsRoutes } from './routes/actions.js';
 import { registerReportsRoutes } from './routes/reports.js';
 import { registerPortalRoutes } from './routes/portal.js';
+import { registerDataSourcesRoutes } from './routes/dataSources.js';
+import { registerAlertRulesRoutes } from './routes/alertRules.js';
+import { registerAlertsRoutes } from './routes/alerts.js';
+import { registerNotificationPrefsRoutes } from './routes/notificationPrefs.js';
+import { registerWebhooksRoutes } from './routes/webhooks.js';
+import { registerStreamRoutes } from './routes/stream.js';
+import { registerHardwareProfilesRoutes } from './routes/hardwareProfiles.js';
+import { registerPlannerRoutes } from './routes/planner.js';
+import { registerIrradianceRoutes } from './routes/irradiance.js';
 import { registerDigestRoutesRoutes } from './routes/digestRoutes.js';
+import { registerDataPlansRoutes } from './routes/dataPlans.js';
+import { registerInventoryRoutes } from './routes/inventory.js';
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 const app = express();
@@ -137,6 +155,9 @@ app.get('/api/health', (req, res) => {
         uptime: Math.round(process.uptime()),
         db: dbAvailable ? 'connected' : 'disconnected',
         trailers_cached: snapshotCache.size,
+        stream_clients: getStreamClientCount(),
+        mode: SIMULATOR.enabled ? 'simulator' : 'live',
+        ...(SIMULATOR.enabled && { simulator: getSimulatorStatus() }),
     });
 });
 
@@ -158,7 +179,18 @@ registerAiRoutes(app);
 registerActionsRoutes(app);
 registerReportsRoutes(app);
 registerPortalRoutes(app);
+registerDataSourcesRoutes(app);
+registerAlertRulesRoutes(app);
+registerAlertsRoutes(app);
+registerNotificationPrefsRoutes(app);
+registerWebhooksRoutes(app);
+registerStreamRoutes(app);
+registerHardwareProfilesRoutes(app);
+registerPlannerRoutes(app);
+registerIrradianceRoutes(app);
 registerDigestRoutesRoutes(app);
+registerDataPlansRoutes(app);
+registerInventoryRoutes(app);
 
 
 // --- Caches live in state.js (shared across modules) ---
@@ -356,11 +388,16 @@ async function start() {
     // Load configurable settings
     if (dbAvailable) {
         await loadSolarScoreConfig();
+        await loadHardwareProfiles();
+        await refreshIrradianceNormals();
     }
+    await loadAlertRules();
+    await seedAlertRuleState();
 
     // Seed daily energy from DB before polling starts
     if (dbAvailable) {
         await seedDailyEnergyFromDb();
+        await seedPollHealthFromDb();
 
         // Seed default admin user if no users exist
         try {
@@ -389,16 +426,24 @@ async function start() {
         }
     }
 
-    // Schedule email digest
-    scheduleDigest();
+    // Schedule email digest (the simulator runs it per simulated day instead)
+    if (!SIMULATOR.enabled) scheduleDigest();
+
+    // Outbound webhook retries (exponential backoff)
+    startWebhookRetryLoop();
 
     app.listen(PORT, () => {
         console.log(`Server running on port ${PORT}`);
     });
 
-    // Initial VRM poll after 3 seconds
-    setTimeout(pollAllSites, 3000);
-    setInterval(pollAllSites, 5 * 60 * 1000);
+    // Replay recorded history instead of polling VRM / IC2
+    if (SIMULATOR.enabled) {
+        await startSimulator();
+        return;
+    }
+
+    // Adaptive per-site VRM polling (first due sites after 3 seconds)
+    startVrmScheduler();
 
     // Initial IC2 poll after 5 seconds (stagger from VRM)
     if (IC2_CLIENT_ID && IC2_CLIENT_SECRET) {
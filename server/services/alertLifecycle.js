@@ -0,0 +1,129 @@
+import { ALERT_LIFECYCLE } from '../config.js';
+import { dbAvailable } from '../state.js';
+import {
+    getAlertById, updateAlertLifecycle, wakeSnoozedAlerts, getAlertsToEscalate, markAlertsEscalated,
+    insertNotification, getUserById,
+} from '../db.js';
+import { sendAlertEscalationEmail, isEscalationConfigured } from '../email.js';
+import { publishStreamEvent } from './liveStream.js';
+
+// ============================================================
+// Alert lifecycle
+//
+// open → acknowledged → assigned → snoozed → resolved | auto_resolved
+//
+// Users move an alert forward from TrailerDetail or the action queue;
+// the poll pipeline auto-resolves it when its condition clears. Snoozes
+// wake up on their own, and critical alerts still open (nobody has
+// acknowledged them) after ALERT_LIFECYCLE.escalation_hours are emailed
+// to the escalation list once.
+// ============================================================
+export const ALERT_STATUSES = ['open', 'acknowledged', 'assigned', 'snoozed', 'resolved', 'auto_resolved'];
+const LIVE_STATUSES = ['open', 'acknowledged', 'assigned', 'snoozed'];
+
+function lifecycleError(message, status = 400) {
+    const err = new Error(message);
+    err.status = status;
+    return err;
+}
+
+// Where an alert settles when a snooze is lifted
+function settledStatus(alert) {
+    if (alert.assigned_to) return 'assigned';
+    if (alert.acknowledged_at) return 'acknowledged';
+    return 'open';
+}
+
+export function alertTitle(alert) {
+    if (alert.alert_type === 'rule') return alert.rule_name || alert.metric || 'Alert rule';
+    return `Energy deficit — ${alert.streak_days} day streak`;
+}
+
+// action: acknowledge | assign | snooze | unsnooze | resolve
+export async function transitionAlert(id, action, { user, assigneeId, until, note } = {}) {
+    const alert = await getAlertById(id);
+    if (!alert) throw lifecycleError('Alert not found', 404);
+    if (!LIVE_STATUSES.includes(alert.status) || alert.resolved_at) {
+        throw lifecycleError('Alert is already resolved');
+    }
+
+    const now = new Date();
+    let updates;
+    switch (action) {
+        case 'acknowledge':
+            if (alert.status !== 'open' && alert.status !== 'snoozed') throw lifecycleError(`Alert is already ${alert.status}`);
+            updates = {
+                acknowledged_at: alert.acknowledged_at || now,
+                acknowledged_by: alert.acknowledged_by || user?.id || null,
+                snoozed_until: null,
+            };
+            updates.status = settledStatus({ ...alert, ...updates });
+            break;
+        case 'assign': {
+            if (!Number.isInteger(assigneeId)) throw lifecycleError('assignee is required');
+            const assignee = await getUserById(assigneeId);
+            if (!assignee) throw lifecycleError('Assignee not found', 404);
+            if (assignee.active === false || assignee.role === 'customer') throw lifecycleError('Alerts can only be assigned to active staff users');
+            // Assigning implies someone has seen it
+            updates = {
+                status: 'assigned',
+                assigned_to: assigneeId,
+                assigned_at: now,
+                acknowledged_at: alert.acknowledged_at || now,
+                acknowledged_by: alert.acknowledged_by || user?.id || null,
+                snoozed_until: null,
+            };
+            break;
+        }
+        case 'snooze': {
+            const untilMs = typeof until === 'number' ? until : Date.parse(until);
+            if (!Number.isFinite(untilMs) || untilMs <= Date.now()) throw lifecycleError('until must be a future time');
+            if (untilMs - Date.now() > ALERT_LIFECYCLE.max_snooze_days * 86400000) {
+                throw lifecycleError(`Snooze is limited to ${ALERT_LIFECYCLE.max_snooze_days} days`);
+            }
+            updates = { status: 'snoozed', snoozed_until: new Date(untilMs) };
+            break;
+        }
+        case 'unsnooze':
+            if (alert.status !== 'snoozed') throw lifecycleError('Alert is not snoozed');
+            updates = { status: settledStatus(alert), snoozed_until: null };
+            break;
+        case 'resolve':
+            updates = {
+                status: 'resolved',
+                resolved_by: user?.id || null,
+                resolution_note: note || null,
+                snoozed_until: null,
+            };
+            break;
+        default:
+            throw lifecycleError(`Unknown alert action: ${action}`);
+    }
+
+    const updated = await updateAlertLifecycle(id, updates);
+
+    if (action === 'assign' && assigneeId !== user?.id) {
+        insertNotification(
+            assigneeId,
+            'alert_assigned',
+            `${user?.display_name || 'Someone'} assigned you: ${alertTitle(alert)}`,
+            `${alert.site_name || `Site ${alert.site_id}`} — ${alert.severity}`,
+            `/trailer/${alert.site_id}`,
+        ).then(row => publishStreamEvent('notification', row, { userId: assigneeId })).catch(() => { });
+    }
+    return updated;
+}
+
+// Run after each poll round (alongside persistAlertHistory)
+export async function runAlertLifecycleTasks() {
+    if (!dbAvailable) return;
+    const woken = await wakeSnoozedAlerts();
+    if (woken.length > 0) console.log(`  ✓ ${woken.length} snoozed alert${woken.length !== 1 ? 's' : ''} back in the queue`);
+
+    if (!isEscalationConfigured()) return;
+    const overdue = await getAlertsToEscalate(ALERT_LIFECYCLE.escalation_hours);
+    if (overdue.length === 0) return;
+    await sendAlertEscalationEmail(overdue.map(a => ({ ...a, title: alertTitle(a) })), ALERT_LIFECYCLE.escalation_hours);
+    await markAlertsEscalated(overdue.map(a => a.id));
+    console.log(`  ✓ Escalated ${overdue.length} unacknowledged critical alert${overdue.length !== 1 ? 's' : ''}`);
+}
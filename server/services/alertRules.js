@@ -0,0 +1,450 @@
+import {
+    ALERT_RULE_OPERATORS, ALERT_RULE_SEVERITIES, ALERT_RULE_SCOPES, ALERT_RULE_CHANNELS, DEFAULT_ALERT_RULES,
+} from '../config.js';
+import {
+    alertRulesCache, alertRuleState, trailerScopeMap, trailerJobSiteMap, snapshotCache, pepwaveCache,
+    offlineTimestamps, socForecasts, dbAvailable,
+} from '../state.js';
+import { getAlertRules, getActiveAlerts, insertRuleAlert, resolveRuleAlert } from '../db.js';
+import { sendRuleAlertEmail, isEmailConfigured } from '../email.js';
+import { notifyOnce } from './notificationGate.js';
+import { notifyUsers } from './userNotifications.js';
+import { emitWebhookEvent } from './webhooks.js';
+import { publishStreamEvent } from './liveStream.js';
+import { hasVrmData, nowMs } from '../lib/util.js';
+import { computeSocTrend, computeHealthGrade } from './intelligence.js';
+import { getLoadAnomaly } from './loadProfile.js';
+
+// ============================================================
+// Threshold alert rules
+//
+// A rule is "metric operator threshold" with a severity, a scope (fleet,
+// job site, company or one trailer) and notification channels. Rules are
+// evaluated per trailer after each poll round. duration_min is how long
+// the condition must hold before the alert fires; hysteresis is how far
+// back past the threshold the value must move before it clears.
+//
+// Daily metrics (deficit streak) are matched statelessly where they are
+// computed — computeAlerts owns that lifecycle.
+// ============================================================
+
+export const SEVERITY_RANK = { critical: 3, warning: 2, caution: 1, info: 0 };
+
+// Metric getters receive a per-trailer context: { siteId, snapshot, vrm }
+// where vrm is the snapshot only while it holds fresh VRM data
+export const ALERT_METRICS = {
+    battery_soc: { label: 'Battery SOC', unit: '%', get: ctx => ctx.vrm?.battery_soc ?? null },
+    battery_voltage: { label: 'Battery voltage', unit: 'V', get: ctx => ctx.vrm?.battery_voltage ?? null },
+    battery_current: { label: 'Battery current', unit: 'A', get: ctx => ctx.vrm?.battery_current ?? null },
+    battery_temp: { label: 'Battery temperature', unit: '°C', get: ctx => ctx.vrm?.battery_temp ?? null },
+    solar_watts: { label: 'Solar power', unit: 'W', get: ctx => ctx.vrm?.solar_watts ?? null },
+    dc_load_watts: { label: 'DC load', unit: 'W', get: ctx => ctx.vrm?.dc_load_watts ?? null },
+    alarm_active: {
+        label: 'VRM alarm active', unit: 'flag',
+        get: ctx => ctx.vrm ? (ctx.vrm.alarm_reason ? 1 : 0) : null,
+        detail: ctx => `Alarm: ${ctx.vrm.alarm_reason}`,
+    },
+    error_active: {
+        label: 'VRM error active', unit: 'flag',
+        get: ctx => ctx.vrm ? (ctx.vrm.error_code ? 1 : 0) : null,
+        detail: ctx => `Error: ${ctx.vrm.error_code}`,
+    },
+    data_age_min: {
+        label: 'Minutes since last VRM data', unit: 'min',
+        get: ctx => ctx.snapshot?.vrm_timestamp ? (nowMs() - ctx.snapshot.vrm_timestamp) / 60000 : null,
+    },
+    router_offline_min: {
+        label: 'Minutes router offline', unit: 'min',
+        get: ctx => {
+            const device = pepwaveCache.get(ctx.snapshot?.site_name);
+            if (!device) return null;
+            const since = offlineTimestamps.get(device.name);
+            return device.online || !since ? 0 : (nowMs() - since) / 60000;
+        },
+    },
+    soc_slope_per_day: {
+        label: 'SOC trend', unit: '%/day',
+        get: ctx => ctx.vrm ? trendOf(ctx)?.slopePerDay ?? null : null,
+    },
+    soc_days_to_critical: {
+        label: 'Days until SOC critical (trend)', unit: 'days',
+        get: ctx => {
+            const trend = ctx.vrm ? trendOf(ctx) : null;
+            return trend?.declining ? trend.daysUntilCritical : null;
+        },
+    },
+    soc_forecast_hours_to_critical: {
+        label: 'Hours until SOC critical (72h forecast)', unit: 'h',
+        get: ctx => ctx.vrm ? socForecasts.get(ctx.siteId)?.hours_to_critical ?? null : null,
+        detail: ctx => {
+            const f = socForecasts.get(ctx.siteId);
+            return `${f.critical_soc_pct}% SOC forecast ${formatForecastTime(f.critical_at)}`;
+        },
+    },
+    load_anomaly_sigma: {
+        label: 'Load vs learned profile', unit: 'σ',
+        get: ctx => ctx.vrm ? anomalyOf(ctx)?.sigma ?? null : null,
+        detail: ctx => {
+            const a = anomalyOf(ctx);
+            return `${a.actual_w}W vs ${a.expected_w}W usual for ${a.hour_label}`;
+        },
+    },
+    health_score: {
+        label: 'Health score', unit: 'pts',
+        get: ctx => ctx.vrm ? computeHealthGrade(ctx.siteId)?.score ?? null : null,
+    },
+    deficit_streak_days: { label: 'Energy deficit streak', unit: 'days', daily: true },
+};
+
+const DISPLAY_TIMEZONE = process.env.DIGEST_TIMEZONE || 'America/Denver';
+
+function formatForecastTime(ms) {
+    return new Date(ms).toLocaleString('en-US', {
+        timeZone: DISPLAY_TIMEZONE, weekday: 'short', hour: 'numeric', minute: '2-digit',
+    });
+}
+
+function anomalyOf(ctx) {
+    if (ctx.anomaly === undefined) ctx.anomaly = getLoadAnomaly(ctx.siteId);
+    return ctx.anomaly;
+}
+
+function trendOf(ctx) {
+    if (ctx.trend === undefined) ctx.trend = computeSocTrend(ctx.siteId);
+    return ctx.trend;
+}
+
+export function formatMetricValue(metric, value) {
+    const m = ALERT_METRICS[metric];
+    if (value === null || value === undefined) return '—';
+    if (m?.unit === 'flag') return value ? 'active' : 'clear';
+    const rounded = Math.abs(value) >= 10 ? Math.round(value) : Math.round(value * 10) / 10;
+    return m?.unit === '%' || m?.unit === '°C' ? `${rounded}${m.unit}` : `${rounded}${m?.unit ? ' ' + m.unit : ''}`;
+}
+
+// ============================================================
+// Rule cache
+// ============================================================
+function normalizeRule(row) {
+    return {
+        ...row,
+        threshold: Number(row.threshold),
+        duration_min: Number(row.duration_min) || 0,
+        hysteresis: Number(row.hysteresis) || 0,
+        scope_type: row.scope_type || 'fleet',
+        scope_id: row.scope_id != null ? Number(row.scope_id) : null,
+        channels: Array.isArray(row.channels) ? row.channels : [],
+        enabled: row.enabled !== false,
+    };
+}
+
+export async function loadAlertRules() {
+    let rows;
+    if (dbAvailable) {
+        try {
+            rows = await getAlertRules();
+        } catch (err) {
+            console.warn('  ⚠ Could not load alert rules, using defaults:', err.message);
+        }
+    }
+    // No database: the built-in defaults with synthetic ids
+    if (!rows) rows = DEFAULT_ALERT_RULES.map((r, i) => ({ id: i + 1, ...r }));
+
+    alertRulesCache.clear();
+    for (const row of rows) alertRulesCache.set(row.id, normalizeRule(row));
+    return Array.from(alertRulesCache.values());
+}
+
+// Re-attach alerts left open by the previous process so they resolve
+// (instead of duplicating) when their condition clears
+export async function seedAlertRuleState() {
+    if (!dbAvailable) return;
+    try {
+        const open = await getActiveAlerts('rule');
+        for (const row of open) {
+            if (row.rule_id == null) {
+                resolveRuleAlert(row.id).catch(() => { });
+                continue;
+            }
+            const firedAt = new Date(row.created_at).getTime();
+            const rule = alertRulesCache.get(Number(row.rule_id));
+            alertRuleState.set(`${row.rule_id}:${row.site_id}`, {
+                firing: true,
+                pending_since: firedAt,
+                fired_at: firedAt,
+                value: row.value != null ? Number(row.value) : null,
+                detail: null,
+                history_id: row.id,
+                // alert.opened went to webhooks for rules with channels, so
+                // subscribers need the matching alert.resolved
+                webhook: Boolean(rule && rule.channels.length > 0),
+            });
+        }
+        if (open.length > 0) console.log(`  ✓ Restored ${open.length} open rule alerts`);
+    } catch (err) {
+        console.warn('  ⚠ Could not restore open rule alerts:', err.message);
+    }
+}
+
+export function validateAlertRule(rule, { partial = false } = {}) {
+    const has = key => rule[key] !== undefined;
+    if (!partial || has('name')) {
+        if (!rule.name || !String(rule.name).trim()) return 'name is required';
+    }
+    if (!partial || has('metric')) {
+        if (!ALERT_METRICS[rule.metric]) return `Unknown metric: ${rule.metric}`;
+    }
+    if (!partial || has('operator')) {
+        if (!ALERT_RULE_OPERATORS.includes(rule.operator)) return `operator must be one of ${ALERT_RULE_OPERATORS.join(' ')}`;
+    }
+    if (!partial || has('threshold')) {
+        if (rule.threshold === null || rule.threshold === '' || !Number.isFinite(Number(rule.threshold))) return 'threshold must be a number';
+    }
+    if (has('duration_min') && !(Number(rule.duration_min) >= 0)) return 'duration_min must be 0 or more';
+    if (has('hysteresis') && !(Number(rule.hysteresis) >= 0)) return 'hysteresis must be 0 or more';
+    if (!partial || has('severity')) {
+        if (!ALERT_RULE_SEVERITIES.includes(rule.severity)) return `severity must be one of ${ALERT_RULE_SEVERITIES.join(', ')}`;
+    }
+    if (has('scope_type')) {
+        if (!ALERT_RULE_SCOPES.includes(rule.scope_type)) return `scope_type must be one of ${ALERT_RULE_SCOPES.join(', ')}`;
+        if (rule.scope_type !== 'fleet' && !Number.isInteger(Number(rule.scope_id))) return 'scope_id is required for this scope';
+    }
+    if (has('channels')) {
+        if (!Array.isArray(rule.channels) || rule.channels.some(c => !ALERT_RULE_CHANNELS.includes(c))) {
+            return `channels must be a list of ${ALERT_RULE_CHANNELS.join(', ')}`;
+        }
+    }
+    return null;
+}
+
+// ============================================================
+// Matching
+// ============================================================
+function compare(value, operator, threshold) {
+    switch (operator) {
+        case '<': return value < threshold;
+        case '<=': return value <= threshold;
+        case '>': return value > threshold;
+        case '>=': return value >= threshold;
+        case '==': return value === threshold;
+        case '!=': return value !== threshold;
+        default: return false;
+    }
+}
+
+// A firing alert holds until the value is `hysteresis` past the threshold
+function holds(rule, value) {
+    const h = rule.hysteresis || 0;
+    if (rule.operator === '<' || rule.operator === '<=') return compare(value, rule.operator, rule.threshold + h);
+    if (rule.operator === '>' || rule.operator === '>=') return compare(value, rule.operator, rule.threshold - h);
+    return compare(value, rule.operator, rule.threshold);
+}
+
+export function ruleAppliesTo(rule, siteId) {
+    if (rule.scope_type === 'fleet') return true;
+    if (rule.scope_type === 'trailer') return rule.scope_id === siteId;
+    const scope = trailerScopeMap.get(siteId);
+    if (rule.scope_type === 'job_site') return scope?.job_site_id === rule.scope_id;
+    if (rule.scope_type === 'company') return scope?.company_id === rule.scope_id;
+    return false;
+}
+
+function enabledRules(metric = null) {
+    const rules = [];
+    for (const rule of alertRulesCache.values()) {
+        if (!rule.enabled) continue;
+        if (metric && rule.metric !== metric) continue;
+        rules.push(rule);
+    }
+    return rules;
+}
+
+// Highest-severity enabled rule for `metric` that matches `value` on this
+// trailer right now (no duration / hysteresis), or null
+export function matchAlertRule(metric, siteId, value) {
+    if (value === null || value === undefined) return null;
+    let best = null;
+    for (const rule of enabledRules(metric)) {
+        if (!ruleAppliesTo(rule, siteId) || !compare(value, rule.operator, rule.threshold)) continue;
+        if (!best || SEVERITY_RANK[rule.severity] > SEVERITY_RANK[best.severity]) best = rule;
+    }
+    return best;
+}
+
+// ============================================================
+// Evaluation (after each poll round)
+// ============================================================
+function fire(rule, siteId, ctx, st, persist) {
+    const metric = ALERT_METRICS[rule.metric];
+    st.firing = true;
+    st.fired_at = nowMs();
+    st.detail = metric.detail ? metric.detail(ctx) : null;
+
+    const alert = describeRuleAlert(rule, siteId, st);
+    if (dbAvailable && persist) {
+        // clear() waits on this when the condition drops before the insert lands
+        st.history_insert = insertRuleAlert({
+            siteId, siteName: alert.site_name, severity: rule.severity,
+            ruleId: rule.id, metric: rule.metric, value: st.value,
+        }).then(row => {
+            st.history_id = row?.id ?? null;
+            const opened = {
+                alert_id: st.history_id,
+                alert_type: 'rule',
+                rule_id: rule.id,
+                rule_name: rule.name,
+                metric: rule.metric,
+                value: st.value,
+                threshold: rule.threshold,
+                operator: rule.operator,
+                site_id: siteId,
+                site_name: alert.site_name,
+                job_site_name: alert.job_site_name,
+                severity: rule.severity,
+            };
+            // Status-only rules still change the fleet tables in the app
+            publishStreamEvent('alert.opened', opened);
+            // Same bar as people: status-only rules don't leave the app
+            if (rule.channels.length > 0) {
+                st.webhook = true;
+                emitWebhookEvent('alert.opened', opened);
+            }
+            return st.history_id;
+        }).catch(err => {
+            console.error('  Rule alert persistence failed:', err.message);
+            return null;
+        });
+    }
+    if (rule.channels.includes('email') && isEmailConfigured()) {
+        notifyOnce('rule_alert', `${rule.id}:${siteId}`, () => sendRuleAlertEmail(alert));
+    }
+    // Status-only rules (no channels) feed tech status, not people
+    if (rule.channels.length > 0 && persist) {
+        notifyUsers({
+            type: 'alert_rule',
+            entityKey: `${rule.id}:${siteId}`,
+            scope: { site_id: siteId },
+            severity: rule.severity,
+            title: `${rule.name} — ${alert.site_name}`,
+            body: `${alert.metric_label} is ${alert.value_text}${alert.detail ? ` (${alert.detail})` : ''}`,
+            link: `/trailer/${siteId}`,
+        });
+    }
+}
+
+function clear(key, st) {
+    if (!st.firing || !dbAvailable) return;
+    // The history row may still be inserting if the rule fired this cycle
+    Promise.resolve(st.history_id ?? st.history_insert ?? null).then(historyId => {
+        if (!historyId) return;
+        resolveRuleAlert(historyId).catch(err => console.error('  Rule alert resolve failed:', err.message));
+        const [ruleId, siteId] = key.split(':').map(Number);
+        const resolved = {
+            alert_id: historyId,
+            alert_type: 'rule',
+            rule_id: ruleId,
+            site_id: siteId,
+            site_name: snapshotCache.get(siteId)?.site_name || null,
+            value: st.value,
+            opened_at: st.fired_at ? new Date(st.fired_at).toISOString() : null,
+        };
+        publishStreamEvent('alert.resolved', resolved);
+        if (st.webhook) emitWebhookEvent('alert.resolved', resolved);
+    });
+}
+
+export function evaluateAlertRules({ persist = true } = {}) {
+    const now = nowMs();
+    const rules = enabledRules().filter(r => ALERT_METRICS[r.metric] && !ALERT_METRICS[r.metric].daily);
+    const seen = new Set();
+
+    for (const [siteId, snapshot] of snapshotCache) {
+        const ctx = { siteId, snapshot, vrm: hasVrmData(snapshot) ? snapshot : null };
+        for (const rule of rules) {
+            if (!ruleAppliesTo(rule, siteId)) continue;
+            const key = `${rule.id}:${siteId}`;
+            const value = ALERT_METRICS[rule.metric].get(ctx);
+            const st = alertRuleState.get(key);
+            // No reading (data gap, stale snapshot) says nothing about the
+            // condition: a firing alert stays open until a real value clears it
+            if ((value === null || value === undefined) && st?.firing) {
+                seen.add(key);
+                continue;
+            }
+            const active = value !== null && value !== undefined
+                && (st?.firing ? holds(rule, value) : compare(value, rule.operator, rule.threshold));
+
+            if (!active) continue;
+            seen.add(key);
+            if (st) {
+                st.value = value;
+                if (!st.firing && now - st.pending_since >= rule.duration_min * 60000) fire(rule, siteId, ctx, st, persist);
+            } else {
+                const fresh = { firing: false, pending_since: now, fired_at: null, value, detail: null, history_id: null };
+                alertRuleState.set(key, fresh);
+                if (rule.duration_min === 0) fire(rule, siteId, ctx, fresh, persist);
+            }
+        }
+    }
+
+    // Cleared conditions, disabled/deleted rules and evicted trailers
+    for (const [key, st] of alertRuleState) {
+        if (seen.has(key)) continue;
+        clear(key, st);
+        alertRuleState.delete(key);
+    }
+
+    return getFiringRuleAlerts();
+}
+
+// ============================================================
+// Firing alerts
+// ============================================================
+function describeRuleAlert(rule, siteId, st) {
+    const metric = ALERT_METRICS[rule.metric];
+    return {
+        key: `rule:${rule.id}:${siteId}`,
+        rule_id: rule.id,
+        rule_name: rule.name,
+        metric: rule.metric,
+        metric_label: metric?.label || rule.metric,
+        unit: metric?.unit || null,
+        operator: rule.operator,
+        threshold: rule.threshold,
+        value: st.value,
+        value_text: formatMetricValue(rule.metric, st.value),
+        detail: st.detail,
+        severity: rule.severity,
+        channels: rule.channels,
+        site_id: siteId,
+        site_name: snapshotCache.get(siteId)?.site_name || `Site ${siteId}`,
+        job_site_name: trailerJobSiteMap.get(siteId) || null,
+        fired_at: st.fired_at,
+    };
+}
+
+export function getFiringRuleAlerts(siteId = null) {
+    const alerts = [];
+    for (const [key, st] of alertRuleState) {
+        if (!st.firing) continue;
+        const [ruleId, sid] = key.split(':').map(Number);
+        if (siteId !== null && sid !== siteId) continue;
+        const rule = alertRulesCache.get(ruleId);
+        if (!rule) continue;
+        alerts.push(describeRuleAlert(rule, sid, st));
+    }
+    alerts.sort((a, b) => SEVERITY_RANK[b.severity] - SEVERITY_RANK[a.severity] || a.site_name.localeCompare(b.site_name));
+    return alerts;
+}
+
+// Several rules on one metric form a ladder (SOC < 30 warning, < 15
+// critical) — keep only the most severe firing rung per trailer + metric
+export function collapseRuleAlerts(alerts) {
+    const best = new Map();
+    for (const a of alerts) {
+        const k = `${a.site_id}:${a.metric}`;
+        const prev = best.get(k);
+        if (!prev || SEVERITY_RANK[a.severity] > SEVERITY_RANK[prev.severity]) best.set(k, a);
+    }
+    return Array.from(best.values());
+}
@@ -1,9 +1,15 @@
+import { CONSUMPTION } from '../config.js';
 import {
-    dailyEnergy, trailerJobSiteMap, snapshotCache, dbAvailable,
+    dailyEnergy, trailerJobSiteMap, trailerScopeMap, hqSiteIds, snapshotCache, dbAvailable,
 } from '../state.js';
 import { todayStr, mpptStateToString, extractMpptState } from '../lib/util.js';
-import { getTrailerAssignments, insertAlertHistory, resolveAlert, getActiveAlerts } from '../db.js';
-import { sendAlertEmail, sendAlertResolvedEmail, isEmailConfigured, checkRateLimit, markNotified } from '../email.js';
+import { getTrailerAssignments, insertAlertHistory, updateAlertSeverity, resolveAlert, getActiveAlerts } from '../db.js';
+import { sendAlertEmail, sendAlertResolvedEmail, isEmailConfigured } from '../email.js';
+import { notifyOnce } from './notificationGate.js';
+import { notifyUsers } from './userNotifications.js';
+import { emitWebhookEvent } from './webhooks.js';
+import { publishStreamEvent } from './liveStream.js';
+import { matchAlertRule } from './alertRules.js';
 
 // ============================================================
 // Trailer to Job Site Mapping
@@ -13,10 +19,17 @@ export async function refreshTrailerJobSiteMap() {
     try {
         const assignments = await getTrailerAssignments();
         trailerJobSiteMap.clear();
+        trailerScopeMap.clear();
+        hqSiteIds.clear();
         for (const assignment of assignments) {
             if (assignment.job_site_name) {
                 trailerJobSiteMap.set(assignment.site_id, assignment.job_site_name);
             }
+            trailerScopeMap.set(assignment.site_id, {
+                job_site_id: assignment.job_site_id ?? null,
+                company_id: assignment.company_id ?? null,
+            });
+            if (assignment.at_headquarters) hqSiteIds.add(assignment.site_id);
         }
     } catch (err) {
         console.error('  Error refreshing trailer job site map:', err.message);
@@ -24,8 +37,11 @@ export async function refreshTrailerJobSiteMap() {
 }
 
 // ============================================================
-// Alert logic: yield < consumed for 2+ consecutive REAL deficit days
-// (excludes idle-throttled deficits: SOC ≥88%, MPPT Float/Storage, <1 kWh)
+// Alert logic: yield < consumed for consecutive REAL deficit days
+// (excludes idle-throttled deficits: SOC ≥88%, MPPT Float/Storage, <1 kWh,
+// and deficits the day's consumption estimate is too uncertain to back).
+// Streak threshold and severity come from the deficit_streak_days alert
+// rules (defaults: 2 caution, 3 warning, 5 critical).
 // ============================================================
 export function computeAlerts() {
     const alerts = [];
@@ -51,7 +67,7 @@ export function computeAlerts() {
                 if (classification.real) {
                     realStreak++;  // ✅ Only count real deficits
                 } else {
-                    // Idle-throttled day breaks the streak (Option A)
+                    // Idle-throttled or uncertain day breaks the streak (Option A)
                     break;
                 }
             } else {
@@ -59,7 +75,8 @@ export function computeAlerts() {
             }
         }
 
-        if (realStreak >= 2) {  // Alert threshold: 2+ real deficit days
+        const rule = matchAlertRule('deficit_streak_days', siteId, realStreak);
+        if (rule) {
             // Collect all deficit days for transparency (including throttled)
             const allDeficitDays = [];
             for (let i = 0; i < dates.length; i++) {
@@ -74,6 +91,8 @@ export function computeAlerts() {
                         date,
                         yield_wh: day.yield_wh,
                         consumed_wh: day.consumed_wh,
+                        consumption_confidence: day.consumption_confidence ?? null,
+                        consumption_source: day.consumption_source ?? null,
                         deficit_wh: deficitWh,
                         throttled: !classification.real,      // NEW
                         throttle_reason: classification.reason,  // NEW
@@ -92,7 +111,9 @@ export function computeAlerts() {
                 job_site_name: trailerJobSiteMap.get(siteId) || null,  // NEW: Job site for email context
                 streak_days: realStreak,  // Only real deficit days
                 deficit_days: allDeficitDays,
-                severity: realStreak >= 5 ? 'critical' : realStreak >= 3 ? 'warning' : 'caution',
+                severity: rule.severity,
+                rule_id: rule.id,
+                channels: rule.channels,
             });
         }
     }
@@ -122,6 +143,28 @@ export function isRealDeficit(dayData, deficitWh) {
         };
     }
 
+    // Consumption we can't vouch for (restart gaps, only a SOC estimate,
+    // sources disagreeing) — days from before confidence was recorded pass
+    const confidence = dayData.consumption_confidence;
+    if (confidence != null) {
+        const pct = Math.round(confidence * 100);
+        if (confidence < CONSUMPTION.min_deficit_confidence) {
+            return {
+                real: false,
+                reason: 'low_confidence',
+                details: `Consumption confidence ${pct}% (${dayData.consumption_source || 'unknown source'}), ${(deficitWh / 1000).toFixed(2)} kWh deficit`
+            };
+        }
+        const marginWh = dayData.consumed_wh * (1 - confidence) * CONSUMPTION.uncertainty_margin;
+        if (deficitWh < marginWh) {
+            return {
+                real: false,
+                reason: 'within_uncertainty',
+                details: `${(deficitWh / 1000).toFixed(2)} kWh deficit is inside the ±${(marginWh / 1000).toFixed(2)} kWh uncertainty of a ${pct}% confidence estimate`
+            };
+        }
+    }
+
     return { real: true, reason: null, details: null };
 }
 
@@ -130,20 +173,46 @@ export function isRealDeficit(dayData, deficitWh) {
 // ============================================================
 export async function persistAlertHistory(currentAlerts) {
     try {
-        const activeDbAlerts = await getActiveAlerts();
+        const activeDbAlerts = await getActiveAlerts('energy_deficit');
         const activeSiteIds = new Set(currentAlerts.map(a => a.site_id));
-        const dbSiteIds = new Set(activeDbAlerts.map(a => a.site_id));
+        const dbAlertsBySite = new Map(activeDbAlerts.map(a => [a.site_id, a]));
 
-        // Insert new alerts
+        // Insert new alerts; keep open ones in step with the growing streak
         for (const alert of currentAlerts) {
-            if (!dbSiteIds.has(alert.site_id)) {
-                const totalDeficit = alert.deficit_days?.reduce((s, d) => s + (d.deficit_wh || 0), 0) || 0;
-                await insertAlertHistory(alert.site_id, alert.site_name, alert.severity, alert.streak_days, totalDeficit);
-                // Send email notification (rate-limited, fire-and-forget)
-                if (isEmailConfigured() && !checkRateLimit(alert.site_id)) {
-                    markNotified(alert.site_id);
-                    sendAlertEmail(alert).catch(err => console.error('  Alert email error:', err.message));
+            const totalDeficit = alert.deficit_days?.reduce((s, d) => s + (d.deficit_wh || 0), 0) || 0;
+            const existing = dbAlertsBySite.get(alert.site_id);
+            if (existing) {
+                if (existing.severity !== alert.severity || existing.streak_days !== alert.streak_days) {
+                    await updateAlertSeverity(existing.id, alert.severity, alert.streak_days, totalDeficit);
+                }
+            } else {
+                const row = await insertAlertHistory(alert.site_id, alert.site_name, alert.severity, alert.streak_days, totalDeficit, alert.rule_id);
+                const opened = {
+                    alert_id: row?.id ?? null,
+                    alert_type: 'energy_deficit',
+                    site_id: alert.site_id,
+                    site_name: alert.site_name,
+                    job_site_name: alert.job_site_name || null,
+                    severity: alert.severity,
+                    streak_days: alert.streak_days,
+                    deficit_wh: Math.round(totalDeficit),
+                };
+                emitWebhookEvent('alert.opened', opened);
+                publishStreamEvent('alert.opened', opened);
+                // Send email notification (deduped per site, fire-and-forget)
+                if (alert.channels?.includes('email') && isEmailConfigured()) {
+                    notifyOnce('alert', alert.site_id, () => sendAlertEmail(alert));
                 }
+                // Subscribed users, per their own channel preferences
+                notifyUsers({
+                    type: 'energy_deficit',
+                    entityKey: `site:${alert.site_id}`,
+                    scope: { site_id: alert.site_id },
+                    severity: alert.severity,
+                    title: `Energy deficit — ${alert.site_name}`,
+                    body: `${alert.streak_days}-day deficit streak${alert.job_site_name ? ` at ${alert.job_site_name}` : ''}`,
+                    link: `/trailer/${alert.site_id}`,
+                });
             }
         }
 
@@ -151,9 +220,19 @@ export async function persistAlertHistory(currentAlerts) {
         for (const dbAlert of activeDbAlerts) {
             if (!activeSiteIds.has(dbAlert.site_id)) {
                 await resolveAlert(dbAlert.site_id);
+                const resolved = {
+                    alert_id: dbAlert.id,
+                    alert_type: 'energy_deficit',
+                    site_id: dbAlert.site_id,
+                    site_name: dbAlert.site_name,
+                    severity: dbAlert.severity,
+                    opened_at: dbAlert.created_at,
+                };
+                emitWebhookEvent('alert.resolved', resolved);
+                publishStreamEvent('alert.resolved', resolved);
                 // Send resolution email (fire-and-forget)
                 if (isEmailConfigured()) {
-                    sendAlertResolvedEmail(dbAlert).catch(err => console.error('  Resolution email error:', err.message));
+                    notifyOnce('resolved', dbAlert.site_id, () => sendAlertResolvedEmail(dbAlert));
                 }
             }
         }
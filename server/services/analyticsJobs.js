@@ -1,12 +1,13 @@
 import { dbAvailable } from '../state.js';
 import { computeDailyMetrics } from '../db.js';
+import { nowMs } from '../lib/util.js';
 
 // Lazy daily metrics computation — call after VRM poll
 export let lastMetricsDate = null;
 
 export async function computeYesterdayMetrics() {
     if (!dbAvailable) return;
-    const yesterday = new Date(Date.now() - 86400000).toISOString().slice(0, 10);
+    const yesterday = new Date(nowMs() - 86400000).toISOString().slice(0, 10);
     if (lastMetricsDate === yesterday) return; // already computed today
     try {
         const count = await computeDailyMetrics(yesterday);
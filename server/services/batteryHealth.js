@@ -0,0 +1,350 @@
+import { BATTERY_HEALTH } from '../config.js';
+import { dbAvailable, snapshotCache } from '../state.js';
+import {
+    getBatterySamplesForDay, upsertBatteryHealthDay, getBatteryHealthHistory, getLatestBatteryHealth, getBatteryComponents,
+} from '../db.js';
+import { getTrailerSpecs } from './hardwareProfiles.js';
+import { nowMs } from '../lib/util.js';
+
+// ============================================================
+// Battery state of health
+//
+// Each UTC day of site_snapshots is reduced to one battery_health_daily
+// row per bank: Ah in/out (battery_current integrated, consumed_ah as the
+// fallback), equivalent full cycles, a capacity estimate from the largest
+// SOC drop (net Ah ÷ drop), internal resistance (slope of voltage on
+// current), voltage sag under load and temperature exposure. SoH, the
+// cycle count since the battery was installed and the projected end of
+// life are stamped on the row as of that day, so the history shows how
+// the estimate moved. Warranty dates come from trailer_components.
+// ============================================================
+const DAY_MS = 86400000;
+const BANK = 'main'; // VRM reports one battery monitor per site
+
+export let lastBatteryHealthDate = null;
+
+const round = (v, digits = 1) => v == null ? null : Math.round(v * 10 ** digits) / 10 ** digits;
+
+function median(values) {
+    if (values.length === 0) return null;
+    const sorted = [...values].sort((a, b) => a - b);
+    const mid = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+function slope(points) {
+    const n = points.length;
+    const mx = points.reduce((s, p) => s + p.x, 0) / n;
+    const my = points.reduce((s, p) => s + p.y, 0) / n;
+    let sxy = 0, sxx = 0;
+    for (const p of points) {
+        sxy += (p.x - mx) * (p.y - my);
+        sxx += (p.x - mx) ** 2;
+    }
+    return sxx > 0 ? { slope: sxy / sxx, spread: Math.sqrt(sxx / n) } : null;
+}
+
+function addDays(dateStr, days) {
+    return new Date(Date.parse(dateStr + 'T00:00:00Z') + Math.round(days) * DAY_MS).toISOString().slice(0, 10);
+}
+
+// One day of one site's samples (time order) → the day's battery row
+export function analyzeBatteryDay(samples, ratedAh) {
+    const maxGapMs = BATTERY_HEALTH.max_gap_min * 60000;
+    let dischargeAh = 0, chargeAh = 0, throughput = false;
+    let netAh = 0, peak = null, bestDrop = null;
+    let hoursHot = 0, hoursVeryHot = 0, hoursCold = 0;
+    let tempSum = 0, tempCount = 0, maxTemp = null, minLoadVoltage = null;
+    const vi = [];
+
+    for (let i = 0; i < samples.length; i++) {
+        const s = samples[i];
+        const prev = samples[i - 1];
+        let ah = null;
+        if (prev && s.timestamp - prev.timestamp <= maxGapMs) {
+            const hours = (s.timestamp - prev.timestamp) / 3600000;
+            if (s.battery_current != null && prev.battery_current != null) {
+                ah = (s.battery_current + prev.battery_current) / 2 * hours;
+            } else if (s.consumed_ah != null && prev.consumed_ah != null) {
+                ah = Math.abs(prev.consumed_ah) - Math.abs(s.consumed_ah);
+            }
+            if (prev.battery_temp != null) {
+                if (prev.battery_temp >= BATTERY_HEALTH.hot_temp_c) hoursHot += hours;
+                if (prev.battery_temp >= BATTERY_HEALTH.very_hot_temp_c) hoursVeryHot += hours;
+                if (prev.battery_temp <= BATTERY_HEALTH.cold_temp_c) hoursCold += hours;
+            }
+        }
+        if (ah !== null) {
+            throughput = true;
+            netAh += ah;
+            if (ah < 0) dischargeAh -= ah;
+            else chargeAh += ah;
+        } else {
+            peak = null; // a gap restarts the SOC-drop search
+        }
+
+        if (s.battery_soc != null) {
+            if (!peak || s.battery_soc >= peak.soc) {
+                peak = { soc: s.battery_soc, netAh };
+            } else {
+                const drop = peak.soc - s.battery_soc;
+                if (!bestDrop || drop > bestDrop.drop) bestDrop = { drop, ah: peak.netAh - netAh };
+            }
+        }
+        if (s.battery_current != null && s.battery_voltage != null) {
+            // Mid-SOC only: near empty/full the voltage curve bends and swamps the IR drop
+            if (s.battery_soc != null && s.battery_soc >= 20 && s.battery_soc <= 90) vi.push({ x: s.battery_current, y: s.battery_voltage });
+            if (s.battery_current <= -BATTERY_HEALTH.load_current_a) {
+                minLoadVoltage = minLoadVoltage === null ? s.battery_voltage : Math.min(minLoadVoltage, s.battery_voltage);
+            }
+        }
+        if (s.battery_temp != null) {
+            tempSum += s.battery_temp;
+            tempCount++;
+            maxTemp = maxTemp === null ? s.battery_temp : Math.max(maxTemp, s.battery_temp);
+        }
+    }
+    if (!throughput && !bestDrop && tempCount === 0) return null;
+
+    let capacityAh = null;
+    if (bestDrop && bestDrop.drop >= BATTERY_HEALTH.min_soc_drop_pct && bestDrop.ah > 0) {
+        const estimate = bestDrop.ah / (bestDrop.drop / 100);
+        if (estimate > ratedAh * 0.2 && estimate < ratedAh * 2) capacityAh = estimate;
+    }
+
+    let resistance = null;
+    const fit = vi.length >= 12 ? slope(vi) : null;
+    if (fit && fit.spread >= BATTERY_HEALTH.load_current_a && fit.slope > 0 && fit.slope < 0.5) {
+        resistance = fit.slope * 1000;
+    }
+
+    return {
+        rated_ah: ratedAh,
+        discharge_ah: throughput ? round(dischargeAh) : null,
+        charge_ah: throughput ? round(chargeAh) : null,
+        efc: throughput ? round(dischargeAh / ratedAh, 3) : null,
+        soc_drop_pct: bestDrop ? round(bestDrop.drop) : null,
+        capacity_ah_est: round(capacityAh),
+        resistance_mohm: round(resistance),
+        min_voltage_under_load: round(minLoadVoltage, 2),
+        avg_temp: tempCount > 0 ? round(tempSum / tempCount) : null,
+        max_temp: round(maxTemp),
+        hours_hot: round(hoursHot),
+        hours_very_hot: round(hoursVeryHot),
+        hours_cold: round(hoursCold),
+        samples: samples.length,
+    };
+}
+
+// SoH, cycle count and projected end of life as of the last row in history
+// (oldest first). installedDate (YYYY-MM-DD) starts the cycle count.
+export function summarizeBatteryHealth(history, { ratedAh, chemistry, installedDate = null }) {
+    const rows = installedDate ? history.filter(r => r.date >= installedDate) : history;
+    if (rows.length === 0) return null;
+    const asOf = rows[rows.length - 1].date;
+    const since = (days) => rows.filter(r => r.date > addDays(asOf, -days));
+    const recent = since(BATTERY_HEALTH.lookback_days);
+    const num = (v) => v == null ? null : Number(v);
+
+    const cycleCount = rows.reduce((s, r) => s + (num(r.efc) || 0), 0);
+    const capacities = recent.map(r => num(r.capacity_ah_est)).filter(v => v != null);
+    const capacityAh = median(capacities);
+    const soh = capacityAh !== null ? Math.min(100, capacityAh / ratedAh * 100) : null;
+
+    // End of life: SoH trend reaching eol_soh_pct, or the rated cycle life
+    // at the recent cycling rate — whichever comes first
+    const candidates = [];
+    const trendPoints = since(BATTERY_HEALTH.trend_days)
+        .filter(r => r.capacity_ah_est != null)
+        .map(r => ({ x: Date.parse(r.date) / DAY_MS, y: num(r.capacity_ah_est) / ratedAh * 100 }));
+    const trend = trendPoints.length >= BATTERY_HEALTH.min_trend_points ? slope(trendPoints) : null;
+    if (soh !== null && soh <= BATTERY_HEALTH.eol_soh_pct) {
+        candidates.push({ days: 0, basis: 'soh' });
+    } else if (soh !== null && trend && trend.slope < 0) {
+        candidates.push({ days: (soh - BATTERY_HEALTH.eol_soh_pct) / -trend.slope, basis: 'soh_trend' });
+    }
+    const cycleLife = BATTERY_HEALTH.cycle_life[chemistry] ?? null;
+    const recentDays = Math.max(1, new Set(recent.map(r => r.date)).size);
+    const cyclesPerDay = recent.reduce((s, r) => s + (num(r.efc) || 0), 0) / recentDays;
+    if (cycleLife && cyclesPerDay > 0) {
+        candidates.push({ days: Math.max(0, cycleLife - cycleCount) / cyclesPerDay, basis: 'cycle_life' });
+    }
+    // A flat trend or a parked trailer projects centuries out (or past what a Date can hold)
+    const eol = candidates
+        .filter(c => Number.isFinite(c.days) && c.days <= BATTERY_HEALTH.max_eol_years * 365)
+        .sort((a, b) => a.days - b.days)[0] || null;
+
+    // Resistance growth: the recent median against the first month on record
+    const resistanceOf = (list) => median(list.map(r => num(r.resistance_mohm)).filter(v => v != null));
+    const resistanceNow = resistanceOf(recent);
+    const baselineRows = rows.filter(r => r.date <= addDays(rows[0].date, BATTERY_HEALTH.lookback_days));
+    const resistanceBaseline = rows[0].date < addDays(asOf, -2 * BATTERY_HEALTH.lookback_days) ? resistanceOf(baselineRows) : null;
+
+    const year = since(365);
+    const sumOf = (key) => round(year.reduce((s, r) => s + (num(r[key]) || 0), 0));
+    const maxTemps = year.map(r => num(r.max_temp)).filter(v => v != null);
+
+    return {
+        as_of: asOf,
+        soh_pct: round(soh),
+        capacity_ah: round(capacityAh),
+        rated_ah: ratedAh,
+        capacity_samples: capacities.length,
+        soh_trend_pct_per_year: trend ? round(trend.slope * 365) : null,
+        cycle_count: round(cycleCount),
+        cycles_per_day: round(cyclesPerDay, 2),
+        cycle_life: cycleLife,
+        projected_eol: eol ? addDays(asOf, eol.days) : null,
+        eol_basis: eol?.basis || null,
+        resistance_mohm: round(resistanceNow),
+        resistance_baseline_mohm: round(resistanceBaseline),
+        resistance_change_pct: resistanceNow !== null && resistanceBaseline ? round((resistanceNow / resistanceBaseline - 1) * 100) : null,
+        min_voltage_under_load: round(median(recent.map(r => num(r.min_voltage_under_load)).filter(v => v != null)), 2),
+        temperature: {
+            hours_hot: sumOf('hours_hot'),
+            hours_very_hot: sumOf('hours_very_hot'),
+            hours_cold: sumOf('hours_cold'),
+            max_temp: maxTemps.length > 0 ? Math.max(...maxTemps) : null,
+        },
+        days_on_record: rows.length,
+    };
+}
+
+function installedDateOf(component) {
+    return component?.installed_date ? new Date(Number(component.installed_date)).toISOString().slice(0, 10) : null;
+}
+
+// Warranty position of the active battery component: a claim is worth
+// raising when SoH is at end of life while the warranty still runs
+export function batteryWarranty(component, summary, atMs = nowMs()) {
+    if (!component) return null;
+    const expiry = component.warranty_expiry ? Number(component.warranty_expiry) : null;
+    const active = expiry !== null && expiry > atMs;
+    return {
+        component_id: component.id,
+        make: component.make,
+        model: component.model,
+        serial_number: component.serial_number,
+        installed_date: installedDateOf(component),
+        warranty_expiry: expiry,
+        warranty_active: active,
+        claim_candidate: active && summary?.soh_pct != null && summary.soh_pct <= BATTERY_HEALTH.eol_soh_pct,
+    };
+}
+
+// Analyze one UTC day for every site and stamp the running estimate on it.
+// Run oldest day first when backfilling so cycle counts accumulate.
+export async function computeBatteryHealthForDate(dateStr) {
+    const samples = await getBatterySamplesForDay(dateStr);
+    const bySite = new Map();
+    for (const s of samples) {
+        if (!bySite.has(s.site_id)) bySite.set(s.site_id, []);
+        bySite.get(s.site_id).push({ ...s, timestamp: Number(s.timestamp) });
+    }
+    if (bySite.size === 0) return 0;
+
+    const components = new Map();
+    for (const c of await getBatteryComponents([...bySite.keys()])) {
+        if (!components.has(c.site_id)) components.set(c.site_id, c);
+    }
+
+    let count = 0;
+    for (const [siteId, siteSamples] of bySite) {
+        // One trailer's bad data mustn't hold up the rest of the fleet
+        try {
+            const { battery } = getTrailerSpecs(siteId);
+            const day = analyzeBatteryDay(siteSamples, battery.total_ah);
+            if (!day) continue;
+            const row = { site_id: siteId, date: dateStr, bank: BANK, ...day };
+            const history = (await getBatteryHealthHistory(siteId, BANK)).filter(r => r.date < dateStr);
+            const summary = summarizeBatteryHealth([...history, row], {
+                ratedAh: battery.total_ah,
+                chemistry: battery.chemistry,
+                installedDate: installedDateOf(components.get(siteId)),
+            });
+            await upsertBatteryHealthDay({
+                ...row,
+                soh_pct: summary?.soh_pct ?? null,
+                cycle_count: summary?.cycle_count ?? null,
+                projected_eol: summary?.projected_eol ?? null,
+            });
+            count++;
+        } catch (err) {
+            console.error(`  Battery health for site ${siteId} on ${dateStr} failed:`, err.message);
+        }
+    }
+    return count;
+}
+
+// Lazy daily run — call after VRM poll (alongside computeYesterdayMetrics)
+export async function computeYesterdayBatteryHealth() {
+    if (!dbAvailable) return;
+    const yesterday = new Date(nowMs() - DAY_MS).toISOString().slice(0, 10);
+    if (lastBatteryHealthDate === yesterday) return;
+    try {
+        const count = await computeBatteryHealthForDate(yesterday);
+        if (count > 0) {
+            lastBatteryHealthDate = yesterday;
+            console.log(`  ✓ Battery health: analyzed ${count} trailers for ${yesterday}`);
+        }
+    } catch (err) {
+        console.error('  Battery health computation error:', err.message);
+    }
+}
+
+export async function backfillBatteryHealth(days) {
+    let rows = 0;
+    for (let i = days; i >= 1; i--) {
+        rows += await computeBatteryHealthForDate(new Date(nowMs() - i * DAY_MS).toISOString().slice(0, 10));
+    }
+    console.log(`  ✓ Battery health: backfilled ${rows} rows over ${days} days`);
+    return rows;
+}
+
+// Current estimate, stored history and warranty position for one trailer
+export async function getBatteryHealth(siteId, days = 365) {
+    const { battery } = getTrailerSpecs(siteId);
+    const [history, components] = await Promise.all([
+        getBatteryHealthHistory(siteId, BANK),
+        getBatteryComponents([siteId]),
+    ]);
+    const component = components[0] || null;
+    const summary = summarizeBatteryHealth(history, {
+        ratedAh: battery.total_ah,
+        chemistry: battery.chemistry,
+        installedDate: installedDateOf(component),
+    });
+    const cutoff = new Date(nowMs() - days * DAY_MS).toISOString().slice(0, 10);
+    return {
+        bank: BANK,
+        chemistry: battery.chemistry,
+        eol_soh_pct: BATTERY_HEALTH.eol_soh_pct,
+        summary,
+        warranty: batteryWarranty(component, summary),
+        history: history.filter(r => r.date >= cutoff),
+    };
+}
+
+// Latest stamped estimate per trailer, soonest end of life first
+export async function getFleetBatteryHealth() {
+    const [latest, components] = await Promise.all([getLatestBatteryHealth(), getBatteryComponents()]);
+    const componentBySite = new Map();
+    for (const c of components) {
+        if (!componentBySite.has(c.site_id)) componentBySite.set(c.site_id, c);
+    }
+    return latest
+        .map(r => {
+            const soh = r.soh_pct != null ? Number(r.soh_pct) : null;
+            return {
+                site_id: r.site_id,
+                site_name: snapshotCache.get(r.site_id)?.site_name || `Site ${r.site_id}`,
+                bank: r.bank,
+                as_of: r.date,
+                soh_pct: soh,
+                cycle_count: r.cycle_count != null ? Number(r.cycle_count) : null,
+                projected_eol: r.projected_eol,
+                warranty: batteryWarranty(componentBySite.get(r.site_id), { soh_pct: soh }),
+            };
+        })
+        .sort((a, b) => (a.projected_eol || '9999').localeCompare(b.projected_eol || '9999'));
+}
@@ -0,0 +1,263 @@
+import { DATA_PLANS } from '../config.js';
+import { pepwaveCache, dbAvailable } from '../state.js';
+import {
+    getDataPlans, getDataPlanDevices, getDailyDataUsage,
+    getDataPlanAlertLevels, setDataPlanAlertLevel, pruneDataPlanAlerts,
+} from '../db.js';
+import { deviceTrailerMap } from './networkAnalytics.js';
+import { notifyUsers } from './userNotifications.js';
+import { emitWebhookEvent } from './webhooks.js';
+import { nowMs } from '../lib/util.js';
+
+// ============================================================
+// Cellular data plans
+//
+// A plan is a cap per billing cycle (cycle_start_day of each month, UTC),
+// shared by every SIM on it (pooled) or applied to each SIM. Devices get
+// a plan directly, else the plan of their trailer's company. Usage per
+// day comes from the Pepwave usage counter; the projection is cycle usage
+// so far plus the recent daily average for the days left. Each alert
+// threshold fires once per cycle for actual usage, and once more when the
+// projection says the cap will be blown.
+// ============================================================
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MB_PER_GB = 1024;
+
+let checkedAt = 0;
+
+const round1 = v => v == null ? null : Math.round(v * 10) / 10;
+
+function dateStr(ms) {
+    return new Date(ms).toISOString().slice(0, 10);
+}
+
+export function validateDataPlan(body, { partial = false } = {}) {
+    const has = (k) => body[k] !== undefined;
+    if (!partial || has('name')) {
+        if (!body.name || !String(body.name).trim()) return 'name is required';
+    }
+    if (!partial || has('cap_gb')) {
+        const n = Number(body.cap_gb);
+        if (!Number.isFinite(n) || n <= 0) return 'cap_gb must be a positive number';
+    }
+    if (has('cycle_start_day')) {
+        const n = Number(body.cycle_start_day);
+        if (!Number.isInteger(n) || n < 1 || n > 28) return 'cycle_start_day must be a whole number from 1 to 28';
+    }
+    if (has('pooled') && typeof body.pooled !== 'boolean') return 'pooled must be true or false';
+    if (has('alert_thresholds')) {
+        const t = body.alert_thresholds;
+        if (!Array.isArray(t) || t.length === 0 || t.some(v => !Number.isInteger(v) || v < 1 || v > 200)) {
+            return 'alert_thresholds must be a list of whole percentages (1-200)';
+        }
+    }
+    if (has('overage_per_gb') && body.overage_per_gb !== null) {
+        const n = Number(body.overage_per_gb);
+        if (!Number.isFinite(n) || n < 0) return 'overage_per_gb must be a positive number';
+    }
+    return null;
+}
+
+// The billing cycle containing `at`: [start, end) in UTC
+export function billingCycle(cycleStartDay, at = nowMs()) {
+    const d = new Date(at);
+    let month = d.getUTCMonth();
+    if (d.getUTCDate() < cycleStartDay) month -= 1;
+    const start = Date.UTC(d.getUTCFullYear(), month, cycleStartDay);
+    const end = Date.UTC(d.getUTCFullYear(), month + 1, cycleStartDay);
+    return {
+        start: dateStr(start),
+        end: dateStr(end),
+        start_ms: start,
+        end_ms: end,
+        days_total: Math.round((end - start) / DAY_MS),
+        days_elapsed: round1((at - start) / DAY_MS),
+        days_left: round1((end - at) / DAY_MS),
+    };
+}
+
+// Cycle usage, recent daily rate and end-of-cycle projection for a device
+function deviceUsage(byDay, cycle, now) {
+    const today = Math.floor(now / DAY_MS);
+    const cycleFirstDay = Math.floor(cycle.start_ms / DAY_MS);
+    let used = 0;
+    for (const [day, mb] of byDay) if (day >= cycleFirstDay) used += mb;
+
+    // Average of the complete days in the trend window the device was around for
+    const days = [...byDay.keys()];
+    const firstSeen = days.length > 0 ? Math.min(...days) : today;
+    const windowStart = Math.max(today - DATA_PLANS.trend_days, firstSeen);
+    let recent = 0;
+    for (let day = windowStart; day < today; day++) recent += byDay.get(day) || 0;
+    const todayMb = byDay.get(today) || 0;
+    const rate = today > windowStart
+        ? recent / (today - windowStart)
+        : todayMb / Math.max((now - today * DAY_MS) / DAY_MS, 1 / 24);
+
+    return {
+        used_mb: used,
+        today_mb: todayMb,
+        daily_rate_mb: rate,
+        projected_mb: used + rate * Math.max(0, (cycle.end_ms - now) / DAY_MS),
+    };
+}
+
+// Every plan with its cycle, devices and projection, plus devices on no plan
+export async function getDataPlanUsage() {
+    const now = nowMs();
+    const [plans, direct, trailers] = await Promise.all([getDataPlans(), getDataPlanDevices(), deviceTrailerMap()]);
+    const cycles = new Map(plans.map(p => [p.id, billingCycle(p.cycle_start_day, now)]));
+    // Enough history for the trend window and the unassigned devices' 30 days
+    const earliest = Math.min(now - Math.max(31, DATA_PLANS.trend_days + 1) * DAY_MS, ...[...cycles.values()].map(c => c.start_ms));
+    const usageRows = await getDailyDataUsage(earliest);
+
+    const usageByDevice = new Map();
+    for (const row of usageRows) {
+        if (!usageByDevice.has(row.device_name)) usageByDevice.set(row.device_name, new Map());
+        usageByDevice.get(row.device_name).set(row.day, row.usage_mb);
+    }
+
+    // Direct assignment first, else the oldest plan of the trailer's company
+    const directPlan = new Map(direct.map(d => [d.device_name, d.plan_id]));
+    const companyPlan = new Map();
+    for (const p of [...plans].sort((a, b) => a.id - b.id)) {
+        if (p.company_id != null && !companyPlan.has(p.company_id)) companyPlan.set(p.company_id, p.id);
+    }
+    const deviceNames = new Set([...pepwaveCache.keys(), ...usageByDevice.keys(), ...directPlan.keys()]);
+
+    const planDevices = new Map(plans.map(p => [p.id, []]));
+    const unassigned = [];
+    for (const name of deviceNames) {
+        const trailer = trailers.get(name);
+        const byDay = usageByDevice.get(name) || new Map();
+        let planId = directPlan.get(name) ?? null;
+        const assignedBy = planId != null ? 'device' : 'company';
+        if (planId == null && trailer?.company_id != null) planId = companyPlan.get(trailer.company_id) ?? null;
+        if (planId == null || !planDevices.has(planId)) {
+            const recent = [...byDay.entries()]
+                .filter(([day]) => day >= Math.floor(now / DAY_MS) - 30)
+                .reduce((s, [, mb]) => s + mb, 0);
+            unassigned.push({ device_name: name, site_id: trailer?.site_id ?? null, site_name: trailer?.site_name ?? null, used_30d_mb: round1(recent) });
+            continue;
+        }
+        planDevices.get(planId).push({
+            device_name: name,
+            site_id: trailer?.site_id ?? null,
+            site_name: trailer?.site_name ?? null,
+            job_site_name: trailer?.job_site_name ?? null,
+            assigned_by: assignedBy,
+            ...deviceUsage(byDay, cycles.get(planId), now),
+        });
+    }
+
+    return {
+        generated_at: now,
+        plans: plans.map(plan => {
+            const cycle = cycles.get(plan.id);
+            const capMb = plan.cap_gb * MB_PER_GB;
+            const devices = planDevices.get(plan.id).sort((a, b) => b.used_mb - a.used_mb);
+            const used = devices.reduce((s, d) => s + d.used_mb, 0);
+            const projected = devices.reduce((s, d) => s + d.projected_mb, 0);
+
+            let overageMb;
+            if (plan.pooled) {
+                overageMb = Math.max(0, projected - capMb);
+            } else {
+                overageMb = devices.reduce((s, d) => s + Math.max(0, d.projected_mb - capMb), 0);
+            }
+            return {
+                ...plan,
+                cycle,
+                cap_mb: capMb,
+                used_mb: round1(used),
+                projected_mb: round1(projected),
+                pct_used: plan.pooled ? round1(used / capMb * 100) : null,
+                projected_pct: plan.pooled ? round1(projected / capMb * 100) : null,
+                devices_projected_over: plan.pooled ? null : devices.filter(d => d.projected_mb > capMb).length,
+                projected_overage_mb: round1(overageMb),
+                projected_overage_cost: plan.overage_per_gb != null ? Math.round(overageMb / MB_PER_GB * plan.overage_per_gb * 100) / 100 : null,
+                devices: devices.map(d => ({
+                    ...d,
+                    used_mb: round1(d.used_mb),
+                    today_mb: round1(d.today_mb),
+                    daily_rate_mb: round1(d.daily_rate_mb),
+                    projected_mb: round1(d.projected_mb),
+                    // Pooled: share of the bucket; per SIM: share of its own cap
+                    share_pct: plan.pooled ? (used > 0 ? round1(d.used_mb / used * 100) : 0) : null,
+                    pct_used: plan.pooled ? null : round1(d.used_mb / capMb * 100),
+                    projected_pct: plan.pooled ? null : round1(d.projected_mb / capMb * 100),
+                })),
+            };
+        }),
+        unassigned: unassigned.sort((a, b) => b.used_30d_mb - a.used_30d_mb),
+    };
+}
+
+function formatGb(mb) {
+    return `${(mb / MB_PER_GB).toFixed(1)} GB`;
+}
+
+// Threshold checks for every plan (pool) or SIM (per-SIM plans). At most
+// hourly from the IC2 poll; levels are stored so redeploys don't repeat.
+export async function runDataPlanAlerts() {
+    if (!dbAvailable || nowMs() - checkedAt < DATA_PLANS.check_interval_ms) return;
+    checkedAt = nowMs();
+
+    const usage = await getDataPlanUsage();
+    if (usage.plans.length === 0) return;
+    const levels = new Map((await getDataPlanAlertLevels())
+        .map(l => [`${l.plan_id}|${l.device_name}|${l.cycle_start}|${l.kind}`, l.threshold_pct]));
+
+    for (const plan of usage.plans) {
+        const thresholds = [...(plan.alert_thresholds || DATA_PLANS.default_thresholds)].sort((a, b) => a - b);
+        const targets = plan.pooled
+            ? [{ device_name: '', label: `${plan.name} pool`, pct: plan.pct_used, projected_pct: plan.projected_pct, used_mb: plan.used_mb, projected_mb: plan.projected_mb, scope: { company_id: plan.company_id } }]
+            : plan.devices.map(d => ({ device_name: d.device_name, label: `${d.site_name || d.device_name} (${plan.name})`, pct: d.pct_used, projected_pct: d.projected_pct, used_mb: d.used_mb, projected_mb: d.projected_mb, scope: { site_id: d.site_id } }));
+
+        for (const t of targets) {
+            const key = `${plan.id}|${t.device_name}|${plan.cycle.start}`;
+            const crossed = thresholds.filter(v => t.pct >= v).pop();
+            const previous = levels.get(`${key}|usage`) ?? 0;
+            const events = [];
+            if (crossed != null && crossed > previous) {
+                events.push({ kind: 'usage', threshold: crossed, title: `${t.label} at ${Math.round(t.pct)}% of its data cap` });
+            }
+            // One early warning per cycle once the trend has a few days behind it
+            if (t.projected_pct >= 100 && plan.cycle.days_elapsed >= DATA_PLANS.min_projection_days
+                && (levels.get(`${key}|projected`) ?? 0) < 100 && t.pct < 100) {
+                events.push({ kind: 'projected', threshold: 100, title: `${t.label} projected to exceed its data cap` });
+            }
+
+            for (const e of events) {
+                await setDataPlanAlertLevel(plan.id, t.device_name, plan.cycle.start, e.kind, e.threshold);
+                const overageCost = plan.overage_per_gb != null
+                    ? Math.max(0, t.projected_mb - plan.cap_mb) / MB_PER_GB * plan.overage_per_gb
+                    : 0;
+                const body = `${formatGb(t.used_mb)} of ${formatGb(plan.cap_mb)} used, projected ${formatGb(t.projected_mb)} by ${plan.cycle.end}`
+                    + (overageCost > 0 ? ` (≈ $${overageCost.toFixed(2)} overage)` : '');
+                notifyUsers({
+                    type: 'data_usage',
+                    entityKey: `data_plan:${plan.id}:${t.device_name || 'pool'}:${plan.cycle.start}:${e.kind}:${e.threshold}`,
+                    scope: t.scope,
+                    severity: e.threshold >= 100 ? 'critical' : 'warning',
+                    title: e.title,
+                    body,
+                    link: '/fleet',
+                }).catch(err => console.error('  Data plan notification failed:', err.message));
+                emitWebhookEvent('data_usage.threshold', {
+                    plan_id: plan.id,
+                    plan_name: plan.name,
+                    device_name: t.device_name || null,
+                    kind: e.kind,
+                    threshold_pct: e.threshold,
+                    used_mb: t.used_mb,
+                    projected_mb: t.projected_mb,
+                    cap_mb: plan.cap_mb,
+                    cycle_start: plan.cycle.start,
+                    cycle_end: plan.cycle.end,
+                });
+            }
+        }
+    }
+    await pruneDataPlanAlerts(dateStr(nowMs() - 90 * DAY_MS));
+}
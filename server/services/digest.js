@@ -5,12 +5,13 @@ import {
 import { getPool, getUsers, getUpcomingMaintenance } from '../db.js';
 import { computeAlerts } from './alerts.js';
 import { sendDigestEmail, isEmailConfigured } from '../email.js';
-import { todayStr, hasVrmData } from '../lib/util.js';
+import { notifyOnce } from './notificationGate.js';
+import { todayStr, hasVrmData, nowMs } from '../lib/util.js';
 
 // --- Enhanced Digest ---
 export async function buildDigestData() {
     const db = getPool();
-    const yesterday = new Date();
+    const yesterday = new Date(nowMs());
     yesterday.setDate(yesterday.getDate() - 1);
     const yesterdayStr = yesterday.toISOString().slice(0, 10);
 
@@ -284,6 +285,58 @@ export async function buildDigestData() {
     };
 }
 
+// Build and send one digest to the env recipients plus subscribed users.
+// Called by the cron schedule and by the simulator at each simulated day.
+export async function runDigest(recipients) {
+    try {
+        const db = getPool();
+        const data = await buildDigestData();
+        // Fetch overdue maintenance if DB available
+        if (dbAvailable) {
+            try {
+                const upcoming = await getUpcomingMaintenance(0);
+                data.overdue_maintenance = upcoming
+                    .filter(m => m.scheduled_date < nowMs())
+                    .map(m => ({
+                        title: m.title,
+                        job_site_name: m.job_site_name || 'Unknown',
+                        scheduled_date: new Date(m.scheduled_date).toISOString().slice(0, 10),
+                    }));
+            } catch { }
+        }
+
+        // Merge env var recipients with subscribed users
+        const allRecipients = [...recipients];
+        if (dbAvailable) {
+            try {
+                const result = await db.query(`
+                    SELECT email FROM users
+                    WHERE digest_enabled = true
+                    AND email IS NOT NULL
+                    AND active = true
+                `);
+                const subscribedEmails = result.rows.map(r => r.email).filter(Boolean);
+                allRecipients.push(...subscribedEmails);
+            } catch (err) {
+                console.error('  Failed to fetch subscribed users:', err.message);
+            }
+        }
+
+        // Deduplicate recipients
+        const uniqueRecipients = [...new Set(allRecipients)];
+
+        // Deduped so a redeploy near the schedule (or a second instance)
+        // doesn't send the same day's digest twice
+        if (uniqueRecipients.length > 0 && await notifyOnce('digest', 'fleet', () => sendDigestEmail(uniqueRecipients, data))) {
+            console.log(`  Digest sent to ${uniqueRecipients.length} recipient(s) (${recipients.length} env, ${uniqueRecipients.length - recipients.length} subscribed)`);
+        }
+        return data;
+    } catch (err) {
+        console.error('  Digest error:', err.message);
+        return null;
+    }
+}
+
 export function scheduleDigest() {
     const enabled = process.env.DIGEST_ENABLED === 'true';
     if (!enabled) {
@@ -304,50 +357,7 @@ export function scheduleDigest() {
     const cronExpr = `${minute} ${hour} * * *`;
     cron.schedule(cronExpr, async () => {
         console.log('  Running scheduled digest...');
-        try {
-            const db = getPool();
-            const data = await buildDigestData();
-            // Fetch overdue maintenance if DB available
-            if (dbAvailable) {
-                try {
-                    const upcoming = await getUpcomingMaintenance(0);
-                    data.overdue_maintenance = upcoming
-                        .filter(m => m.scheduled_date < Date.now())
-                        .map(m => ({
-                            title: m.title,
-                            job_site_name: m.job_site_name || 'Unknown',
-                            scheduled_date: new Date(m.scheduled_date).toISOString().slice(0, 10),
-                        }));
-                } catch { }
-            }
-
-            // Merge env var recipients with subscribed users
-            const allRecipients = [...recipients];
-            if (dbAvailable) {
-                try {
-                    const result = await db.query(`
-                        SELECT email FROM users
-                        WHERE digest_enabled = true
-                        AND email IS NOT NULL
-                        AND active = true
-                    `);
-                    const subscribedEmails = result.rows.map(r => r.email).filter(Boolean);
-                    allRecipients.push(...subscribedEmails);
-                } catch (err) {
-                    console.error('  Failed to fetch subscribed users:', err.message);
-                }
-            }
-
-            // Deduplicate recipients
-            const uniqueRecipients = [...new Set(allRecipients)];
-
-            if (uniqueRecipients.length > 0) {
-                await sendDigestEmail(uniqueRecipients, data);
-                console.log(`  Digest sent to ${uniqueRecipients.length} recipient(s) (${recipients.length} env, ${uniqueRecipients.length - recipients.length} subscribed)`);
-            }
-        } catch (err) {
-            console.error('  Digest error:', err.message);
-        }
+        await runDigest(recipients);
     }, { timezone: tz });
 
     console.log(`  ✓ Digest scheduled at ${time} ${tz} → ${recipients.join(', ')}`);
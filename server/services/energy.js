@@ -1,71 +1,143 @@
-import { TRAILER_SPECS } from '../config.js';
-import { dailyEnergy, socStartOfDay, consumptionAccumulator, dbAvailable, snapshotCache } from '../state.js';
-import { todayStr, extractMpptState } from '../lib/util.js';
-import { upsertDailyEnergy, getAllDailyEnergy } from '../db.js';
+import { getTrailerSpecs } from './hardwareProfiles.js';
+import { dailyEnergy, socStartOfDay, consumptionAccumulator, dbAvailable, snapshotCache, vrmRateLimitedUntil } from '../state.js';
+import { CONSUMPTION, SIMULATOR, VRM_TOKEN } from '../config.js';
+import { todayStr, nowMs, extractMpptState } from '../lib/util.js';
+import { upsertDailyEnergy, getAllDailyEnergy, getDailyEnergyRow, recordConsumptionGapFill, getConsumptionGapFills } from '../db.js';
+import { fetchVrmStats, sumStatsWh } from './vrmClient.js';
 
-export function updateDailyEnergy(siteId, siteName, yieldToday, consumedAh, voltage, batterySoc, dcLoadW = null, loadCurrent = null, expectedYieldWh = null) {
+// ============================================================
+// Daily consumption: three estimates, one reconciled value
+//
+// CE diagnostic (consumed Ah × V), DC load power integrated over the day,
+// and the SOC delta (yield − change in stored energy) are all computed on
+// every poll and stored side by side. consumed_wh is their
+// confidence-weighted mean when they agree, else the strongest one at
+// reduced confidence. The DC accumulator's state is persisted so a restart
+// resumes it, and the time the server wasn't polling is filled from VRM's
+// kWh stats rather than counted as zero.
+// ============================================================
+const DAY_MS = 24 * 60 * 60 * 1000;
+const SOURCE_LABELS = { ce: 'CE diagnostic', dc: 'DC power accumulation', soc: 'SOC delta estimate' };
+// VRM kwh stats codes for energy to consumers: from solar, battery, grid
+export const CONSUMED_CODES = ['Pc', 'Bc', 'Gc'];
+
+// Poll gaps waiting for a VRM stats fill: { siteId, date, start, end }
+const pendingGaps = [];
+let fillingGaps = false;
+
+function dayStartMs(date) {
+    return Date.parse(`${date}T00:00:00Z`);
+}
+
+function queueGapFill(siteId, date, start, end) {
+    if (SIMULATOR.enabled || !VRM_TOKEN || siteId <= 0) return;
+    if (pendingGaps.some(g => g.siteId === siteId && g.start === start)) return;
+    pendingGaps.push({ siteId, date, start, end });
+}
+
+// [{ source, wh, confidence }] → { wh, confidence, source }
+export function reconcileConsumption(estimates) {
+    const usable = estimates.filter(e => e.wh != null && e.confidence > 0);
+    if (usable.length === 0) return { wh: null, confidence: null, source: null };
+    const best = usable.reduce((a, b) => (b.confidence > a.confidence ? b : a));
+    if (usable.length === 1) return { wh: Math.round(best.wh), confidence: best.confidence, source: SOURCE_LABELS[best.source] };
+
+    const values = usable.map(e => e.wh);
+    const spreadPct = (Math.max(...values) - Math.min(...values)) / Math.max(Math.max(...values), 1) * 100;
+    if (spreadPct > CONSUMPTION.disagree_pct) {
+        return { wh: Math.round(best.wh), confidence: best.confidence * CONSUMPTION.disagree_factor, source: SOURCE_LABELS[best.source] };
+    }
+    const weight = usable.reduce((s, e) => s + e.confidence, 0);
+    const wh = usable.reduce((s, e) => s + e.wh * e.confidence, 0) / weight;
+    // Independent estimates that agree corroborate each other
+    const confidence = spreadPct <= CONSUMPTION.agree_pct
+        ? Math.min(1, best.confidence + 0.1 * (usable.length - 1))
+        : best.confidence;
+    return { wh: Math.round(wh), confidence, source: 'reconciled' };
+}
+
+export function updateDailyEnergy(siteId, siteName, yieldToday, consumedAh, voltage, batterySoc, dcLoadW = null, loadCurrent = null, expectedYieldWh = null, { persist = true } = {}) {
     const date = todayStr();
-    const now = Date.now();
+    const now = nowMs();
     if (!dailyEnergy.has(siteId)) {
         dailyEnergy.set(siteId, {});
     }
     const siteData = dailyEnergy.get(siteId);
 
     const yieldWh = yieldToday !== null ? yieldToday * 1000 : null;
-    let consumedWh = null;
-    let consumptionSource = null;
 
-    // Tier 1: CE diagnostic (consumed Ah × voltage) — most accurate
-    // CE resets to 0 when the battery synchronizes at 100% SOC, so CE=0
-    // is unreliable — skip to lower tiers for a better estimate
-    if (consumedAh !== null && consumedAh !== 0 && voltage !== null) {
-        consumedWh = Math.abs(consumedAh) * voltage;
-        consumptionSource = 'CE diagnostic';
+    // Instantaneous DC load watts from available sources
+    let consumptionW = dcLoadW;
+    if (consumptionW === null && loadCurrent !== null && voltage !== null) {
+        consumptionW = Math.abs(loadCurrent) * voltage;
     }
 
-    // Tier 2: Accumulate DC load power over time (Riemann sum)
-    if (consumedWh === null) {
-        // Determine instantaneous DC load watts from available sources
-        let consumptionW = dcLoadW;
-        if (consumptionW === null && loadCurrent !== null && voltage !== null) {
-            consumptionW = Math.abs(loadCurrent) * voltage;
+    // DC accumulator (Riemann sum). A new day starts at midnight when the
+    // previous poll was recent enough, otherwise from the first poll with
+    // the missing stretch queued for a VRM stats fill — same for any gap
+    // longer than max_interval_ms (server down, redeploy).
+    let acc = consumptionAccumulator.get(siteId);
+    if (!acc || acc.date !== date) {
+        const midnight = dayStartMs(date);
+        const carriedOver = acc && now - acc.lastTimestamp <= CONSUMPTION.max_interval_ms;
+        acc = { date, wh: 0, coveredMs: 0, backfilledWh: 0, lastTimestamp: carriedOver ? midnight : now, maxSoc: null };
+        consumptionAccumulator.set(siteId, acc);
+        if (!carriedOver && consumptionW !== null && now - midnight > CONSUMPTION.max_interval_ms) {
+            queueGapFill(siteId, date, midnight, now);
         }
-
-        const acc = consumptionAccumulator.get(siteId);
-        if (acc && acc.date === date && consumptionW !== null) {
-            const elapsedHours = (now - acc.lastTimestamp) / 3600000;
-            // Guard against unreasonable gaps (>10 min means server was probably down)
-            if (elapsedHours > 0 && elapsedHours < 0.17) {
-                acc.wh += consumptionW * elapsedHours;
-            }
-            acc.lastTimestamp = now;
-            if (acc.wh > 0) {
-                consumedWh = Math.round(acc.wh);
-                consumptionSource = 'DC power accumulation';
-            }
+    }
+    const elapsedMs = now - acc.lastTimestamp;
+    if (consumptionW !== null && elapsedMs > 0) {
+        if (elapsedMs <= CONSUMPTION.max_interval_ms) {
+            acc.wh += consumptionW * elapsedMs / 3600000;
+            acc.coveredMs += elapsedMs;
         } else {
-            // Start new accumulator for this day
-            consumptionAccumulator.set(siteId, { date, wh: 0, lastTimestamp: now });
+            queueGapFill(siteId, date, acc.lastTimestamp, now);
         }
     }
+    if (elapsedMs > 0) acc.lastTimestamp = now;
+    if (batterySoc !== null) acc.maxSoc = Math.max(acc.maxSoc ?? batterySoc, batterySoc);
 
-    // Tier 3: SOC delta estimation
+    // CE diagnostic (consumed Ah × voltage). CE restarts from 0 when the
+    // battery synchronizes at 100% SOC, so CE=0 is unusable and a day that
+    // reached sync only counts consumption since then
+    let ceWh = null;
+    if (consumedAh !== null && consumedAh !== 0 && voltage !== null) {
+        ceWh = Math.abs(consumedAh) * voltage;
+    }
+    const ceConfidence = acc.maxSoc !== null && acc.maxSoc >= CONSUMPTION.sync_soc
+        ? CONSUMPTION.ce_after_sync_confidence
+        : CONSUMPTION.ce_confidence;
+
+    // DC estimate: measured Wh extrapolated over the part of the day the
+    // accumulator didn't see; confidence scales with coverage. The stored
+    // consumed_dc_wh is the measured part.
+    const elapsedToday = Math.max(now - dayStartMs(date), 1);
+    const dcCoverage = Math.min(1, acc.coveredMs / elapsedToday);
+    const dcWh = acc.coveredMs > 0 && dcCoverage >= CONSUMPTION.min_dc_coverage ? acc.wh / dcCoverage : null;
+
+    // SOC delta estimation
     // Energy balance: yield = battery_charge_change + consumption
     // So: consumption = yield - battery_charge_change
     // battery_charge_change = (currentSOC - startSOC) * battery_capacity / 100
     // Positive change = battery gained energy, negative = battery lost energy
-    if (consumedWh === null && yieldWh !== null && batterySoc !== null) {
+    let socWh = null;
+    if (yieldWh !== null && batterySoc !== null) {
         const socEntry = socStartOfDay.get(siteId);
         if (socEntry && socEntry.date === date && socEntry.soc !== null) {
-            const batteryChargeChangeWh = (batterySoc - socEntry.soc) * TRAILER_SPECS.battery.total_wh / 100;
+            const batteryChargeChangeWh = (batterySoc - socEntry.soc) * getTrailerSpecs(siteId).battery.total_wh / 100;
             const estimated = yieldWh - batteryChargeChangeWh;
-            if (estimated >= 0) {
-                consumedWh = Math.round(estimated);
-                consumptionSource = 'SOC delta estimate';
-            }
+            if (estimated >= 0) socWh = estimated;
         }
     }
 
+    const reconciled = reconcileConsumption([
+        { source: 'ce', wh: ceWh, confidence: ceConfidence },
+        { source: 'dc', wh: dcWh, confidence: CONSUMPTION.dc_confidence * dcCoverage },
+        { source: 'soc', wh: socWh, confidence: CONSUMPTION.soc_confidence },
+    ]);
+    const round = (v) => (v !== null ? Math.round(v) : null);
+
     // Track start-of-day SOC (first reading each day)
     const socEntry = socStartOfDay.get(siteId);
     if (!socEntry || socEntry.date !== date) {
@@ -81,8 +153,14 @@ export function updateDailyEnergy(siteId, siteName, yieldToday, consumedAh, volt
     siteData[date] = {
         site_name: siteName,
         yield_wh: yieldWh,
-        consumed_wh: consumedWh,
-        consumption_source: consumptionSource,
+        consumed_wh: reconciled.wh,
+        consumption_source: reconciled.source,
+        consumption_confidence: reconciled.confidence,
+        consumed_ce_wh: round(ceWh),
+        consumed_dc_wh: Math.round(acc.wh),   // measured over dc_coverage of the day
+        consumed_soc_wh: round(socWh),
+        dc_coverage: Math.round(dcCoverage * 1000) / 1000,
+        dc_backfilled_wh: Math.round(acc.backfilledWh),
         expected_yield_wh: expectedYieldWh ?? siteData[date]?.expected_yield_wh ?? null,
         battery_soc_eod: batterySoc,         // NEW: End-of-day SOC
         mppt_state_eod: mpptStateEod,        // NEW: End-of-day MPPT state
@@ -90,14 +168,22 @@ export function updateDailyEnergy(siteId, siteName, yieldToday, consumedAh, volt
     };
 
     // Persist to DB with SOC start-of-day + end-of-day state (async, don't block)
-    if (dbAvailable) {
+    if (dbAvailable && persist) {
         const socVal = socStartOfDay.get(siteId);
         const socForDb = (socVal && socVal.date === date) ? socVal.soc : null;
-        upsertDailyEnergy(siteId, date, siteName, yieldWh, consumedWh, socForDb, siteData[date].expected_yield_wh, consumptionSource, batterySoc, mpptStateEod).catch(() => { });
+        upsertDailyEnergy(siteId, date, siteName, yieldWh, reconciled.wh, socForDb, siteData[date].expected_yield_wh, reconciled.source, batterySoc, mpptStateEod, {
+            ce_wh: round(ceWh),
+            dc_wh: Math.round(acc.wh),
+            soc_wh: round(socWh),
+            dc_covered_ms: acc.coveredMs,
+            dc_backfilled_wh: Math.round(acc.backfilledWh),
+            dc_last_ms: acc.lastTimestamp,
+            confidence: reconciled.confidence,
+        }).catch(() => { });
     }
 
     // Prune entries older than 14 days
-    const cutoff = new Date();
+    const cutoff = new Date(now);
     cutoff.setDate(cutoff.getDate() - 14);
     const cutoffStr = cutoff.toISOString().slice(0, 10);
     for (const d of Object.keys(siteData)) {
@@ -105,11 +191,120 @@ export function updateDailyEnergy(siteId, siteName, yieldToday, consumedAh, volt
     }
 }
 
-// Seed dailyEnergy and socStartOfDay from DB on startup so data survives restarts
+// Fill queued poll gaps from VRM stats, a few per post-poll round so the
+// scheduler's request budget stays with live polling. A gap whose day has
+// already rolled over is dropped; the day keeps its lower DC coverage.
+export async function fillConsumptionGaps() {
+    if (fillingGaps || pendingGaps.length === 0) return 0;
+    fillingGaps = true;
+    let filled = 0;
+    try {
+        for (let i = 0; i < CONSUMPTION.gap_fills_per_round && pendingGaps.length > 0; i++) {
+            if (Date.now() < vrmRateLimitedUntil) break;
+            const gap = pendingGaps.shift();
+            const acc = consumptionAccumulator.get(gap.siteId);
+            if (!acc || acc.date !== gap.date) continue;
+            try {
+                const { series, interval_ms } = await fetchVrmStats(gap.siteId, {
+                    type: 'kwh', interval: CONSUMPTION.gap_interval, start: gap.start, end: gap.end,
+                });
+                const wh = sumStatsWh(series, CONSUMED_CODES, gap.start, gap.end, interval_ms);
+                if (wh === null || acc.date !== gap.date) continue;
+                acc.wh += wh;
+                acc.backfilledWh += wh;
+                acc.coveredMs += gap.end - gap.start;
+                if (dbAvailable) {
+                    recordConsumptionGapFill(gap.siteId, gap.start, gap.end, wh)
+                        .catch(err => console.warn(`  Recording consumption gap fill failed: ${err.message}`));
+                }
+                filled++;
+            } catch (err) {
+                if (err.status === 429) pendingGaps.unshift(gap);
+                console.warn(`  Consumption gap fill for site ${gap.siteId} failed: ${err.message}`);
+                if (err.status === 429) break;
+            }
+        }
+    } finally {
+        fillingGaps = false;
+    }
+    if (filled > 0) console.log(`  ✓ Filled ${filled} consumption gap${filled !== 1 ? 's' : ''} from VRM stats (${pendingGaps.length} queued)`);
+    return filled;
+}
+
+// Add consumption recovered from VRM stats for [start, end) of a past day
+// (today's gaps go through the live accumulator's queue instead). Parts of
+// the window the live gap fill already recovered are taken out first. The
+// day is re-reconciled from its stored estimates, and its yield raised to
+// the recovered total when the outage ran past the day's last poll.
+export async function applyConsumptionBackfill(siteId, date, { wh: windowWh, start, end, yieldWh = null, siteName = null }) {
+    let filledWh = 0, filledMs = 0;
+    for (const fill of await getConsumptionGapFills(siteId, start, end)) {
+        const overlap = Math.min(end, fill.end_ts) - Math.max(start, fill.start_ts);
+        filledMs += overlap;
+        filledWh += fill.wh * overlap / (fill.end_ts - fill.start_ts);
+    }
+    const wh = Math.max(0, windowWh - filledWh);
+    const coveredMs = Math.max(0, end - start - filledMs);
+    await recordConsumptionGapFill(siteId, start, end, windowWh);
+
+    const row = await getDailyEnergyRow(siteId, date);
+    const num = (v) => (v != null ? Number(v) : null);
+    const measuredWh = (num(row?.consumed_dc_wh) || 0) + wh;
+    const covered = Math.min(DAY_MS, (num(row?.dc_covered_ms) || 0) + coveredMs);
+    const coverage = covered / DAY_MS;
+    const reconciled = reconcileConsumption([
+        { source: 'ce', wh: num(row?.consumed_ce_wh), confidence: CONSUMPTION.ce_confidence },
+        { source: 'dc', wh: coverage >= CONSUMPTION.min_dc_coverage ? measuredWh / coverage : null, confidence: CONSUMPTION.dc_confidence * coverage },
+        { source: 'soc', wh: num(row?.consumed_soc_wh), confidence: CONSUMPTION.soc_confidence },
+    ]);
+    const storedYield = num(row?.yield_wh);
+    const dayYield = yieldWh !== null && (storedYield === null || yieldWh > storedYield) ? Math.round(yieldWh) : storedYield;
+    const estimates = {
+        dc_wh: Math.round(measuredWh),
+        dc_covered_ms: covered,
+        dc_backfilled_wh: Math.round((num(row?.dc_backfilled_wh) || 0) + wh),
+        confidence: reconciled.confidence,
+    };
+    await upsertDailyEnergy(siteId, date, siteName || row?.site_name || null, dayYield, reconciled.wh, null, null, reconciled.source, null, null, estimates);
+
+    // Keep the in-memory window (last 14 days) in step for the alert streaks
+    const cutoff = new Date(nowMs() - 14 * DAY_MS).toISOString().slice(0, 10);
+    const updated = date >= cutoff ? await getDailyEnergyRow(siteId, date) : null;
+    if (updated) {
+        if (!dailyEnergy.has(siteId)) dailyEnergy.set(siteId, {});
+        dailyEnergy.get(siteId)[date] = dailyEnergyFromRow(updated);
+    }
+    return reconciled;
+}
+
+// daily_energy_summary row → in-memory dailyEnergy entry
+export function dailyEnergyFromRow(row) {
+    const num = (v) => (v != null ? Number(v) : null);
+    return {
+        site_name: row.site_name || `Site ${row.site_id}`,
+        yield_wh: num(row.yield_wh),
+        consumed_wh: num(row.consumed_wh),
+        consumption_source: row.consumption_source ?? null,
+        consumption_confidence: num(row.consumption_confidence),
+        consumed_ce_wh: num(row.consumed_ce_wh),
+        consumed_dc_wh: num(row.consumed_dc_wh),
+        consumed_soc_wh: num(row.consumed_soc_wh),
+        dc_coverage: row.dc_covered_ms != null ? Math.round(Math.min(1, Number(row.dc_covered_ms) / DAY_MS) * 1000) / 1000 : null,
+        dc_backfilled_wh: num(row.dc_backfilled_wh),
+        expected_yield_wh: num(row.expected_yield_wh),
+        battery_soc_eod: num(row.battery_soc_eod),
+        mppt_state_eod: num(row.mppt_state_eod),
+        updated: nowMs(),
+    };
+}
+
+// Seed dailyEnergy, socStartOfDay and today's consumption accumulators from
+// DB on startup so data survives restarts
 export async function seedDailyEnergyFromDb() {
     try {
         const rows = await getAllDailyEnergy(14);
-        let socSeeded = 0;
+        const today = todayStr();
+        let socSeeded = 0, accResumed = 0;
         for (const row of rows) {
             const siteId = row.site_id;
             const dateStr = new Date(row.date).toISOString().slice(0, 10);
@@ -119,13 +314,22 @@ export async function seedDailyEnergyFromDb() {
             const siteData = dailyEnergy.get(siteId);
             // Only fill if not already populated by live polling
             if (!siteData[dateStr]) {
-                siteData[dateStr] = {
-                    site_name: row.site_name || `Site ${siteId}`,
-                    yield_wh: row.yield_wh != null ? Number(row.yield_wh) : null,
-                    consumed_wh: row.consumed_wh != null ? Number(row.consumed_wh) : null,
-                    expected_yield_wh: row.expected_yield_wh != null ? Number(row.expected_yield_wh) : null,
-                    updated: Date.now(),
-                };
+                siteData[dateStr] = dailyEnergyFromRow(row);
+            }
+
+            // Resume today's DC accumulator; the downtime since dc_last_ms is
+            // queued for a VRM stats fill on the next poll
+            if (dateStr === today && row.dc_last_ms != null && !consumptionAccumulator.has(siteId)) {
+                const socs = [row.soc_start_of_day, row.battery_soc_eod].filter(v => v != null).map(Number);
+                consumptionAccumulator.set(siteId, {
+                    date: dateStr,
+                    wh: Number(row.consumed_dc_wh) || 0,
+                    coveredMs: Number(row.dc_covered_ms) || 0,
+                    backfilledWh: Number(row.dc_backfilled_wh) || 0,
+                    lastTimestamp: Number(row.dc_last_ms),
+                    maxSoc: socs.length > 0 ? Math.max(...socs) : null,
+                });
+                accResumed++;
             }
 
             // Seed socStartOfDay with the most recent day's SOC for each site
@@ -139,6 +343,7 @@ export async function seedDailyEnergyFromDb() {
         }
         console.log(`  ✓ Seeded dailyEnergy from DB: ${rows.length} records for ${dailyEnergy.size} sites`);
         console.log(`  ✓ Seeded SOC start-of-day from DB: ${socSeeded} sites`);
+        console.log(`  ✓ Resumed consumption accumulators from DB: ${accResumed} sites`);
     } catch (err) {
         console.warn('  ⚠ Failed to seed dailyEnergy from DB:', err.message);
     }
@@ -0,0 +1,285 @@
+import { ENERGY_PLANNER, SOC_FORECAST } from '../config.js';
+import { snapshotCache, gpsCache, dailyEnergy, loadProfiles, hardwareProfiles, dbAvailable } from '../state.js';
+import { getDailyEnergyForSites, getJobSite, getTrailersByJobSite, getTrailerAssignments } from '../db.js';
+import { fetchSolarIrradiance, computeExtraterrestrialPSH } from './weather.js';
+import { monthlyNormals } from './irradiance.js';
+import { getTrailerSpecs } from './hardwareProfiles.js';
+import { refreshLoadProfiles } from './loadProfile.js';
+import { nowMs, todayStr } from '../lib/util.js';
+
+// ============================================================
+// What-if energy planner
+//
+// "If we add two 60 W cameras and a 150 W light tower for 10 h a night,
+// does this trailer (or this job site's trailers) still hold up — and in
+// which months?" Baseline load is the learned hour-of-week profile (else
+// the recent daily average), solar is a full year of monthly PSH at the
+// location: its irradiance history normals, else the trailers' own
+// recorded days where there are enough of them, else a clear-sky model. The next three days use the Open-Meteo
+// forecast. Nothing is stored; the UI saves the result as a quote PDF.
+// ============================================================
+const MONTHS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+const MID_MONTH_DAY = [17, 47, 75, 105, 135, 162, 198, 228, 258, 288, 318, 344];
+
+// Proposed loads from the request body → [{ name, watts, hours_per_day, quantity, wh_per_day }]
+export function normalizeLoads(loads) {
+    if (!Array.isArray(loads)) return { error: 'loads must be an array' };
+    if (loads.length > ENERGY_PLANNER.max_loads) return { error: `At most ${ENERGY_PLANNER.max_loads} loads` };
+    const out = [];
+    for (const [i, load] of loads.entries()) {
+        const watts = Number(load.watts);
+        const hours = Number(load.hours_per_day);
+        const quantity = load.quantity != null && load.quantity !== '' ? Number(load.quantity) : 1;
+        if (!Number.isFinite(watts) || watts < 0) return { error: `Load ${i + 1}: watts must be a positive number` };
+        if (!Number.isFinite(hours) || hours < 0 || hours > 24) return { error: `Load ${i + 1}: hours_per_day must be between 0 and 24` };
+        if (!Number.isInteger(quantity) || quantity < 1) return { error: `Load ${i + 1}: quantity must be a whole number` };
+        out.push({
+            name: String(load.name || `Load ${i + 1}`).slice(0, 80),
+            watts,
+            hours_per_day: hours,
+            quantity,
+            wh_per_day: Math.round(watts * hours * quantity),
+        });
+    }
+    return { loads: out };
+}
+
+// Baseline Wh/day: mean of the learned hour-of-week bins × 24, else the
+// recent average of consumed_wh
+function baselineLoad(siteId) {
+    const bins = (loadProfiles.get(siteId) || []).filter(Boolean);
+    if (bins.length >= 24) {
+        const meanW = bins.reduce((s, b) => s + b.mean_w, 0) / bins.length;
+        return { wh: meanW * 24, source: 'weekly_profile' };
+    }
+    const today = todayStr();
+    const values = Object.entries(dailyEnergy.get(siteId) || {})
+        .filter(([d, v]) => d < today && v.consumed_wh > 0)
+        .sort(([a], [b]) => b.localeCompare(a))
+        .slice(0, ENERGY_PLANNER.load_history_days)
+        .map(([, v]) => v.consumed_wh);
+    if (values.length > 0) return { wh: values.reduce((s, v) => s + v, 0) / values.length, source: 'daily_average' };
+    return { wh: 0, source: 'none' };
+}
+
+// The trailers being planned and where they are
+async function resolveTarget({ siteId, jobSiteId, profileId, trailerCount }) {
+    if (jobSiteId != null) {
+        const jobSite = await getJobSite(jobSiteId);
+        if (!jobSite) return { error: 'Job site not found', status: 404 };
+        const assigned = await getTrailersByJobSite(jobSiteId);
+        const location = jobSite.latitude != null
+            ? { latitude: jobSite.latitude, longitude: jobSite.longitude }
+            : assigned.map(t => gpsCache.get(t.site_id) || (t.latitude != null ? t : null)).find(Boolean);
+        if (!location) return { error: 'Job site has no location', status: 400 };
+
+        // A job site with nothing on it yet is quoted on a hardware profile
+        if (assigned.length === 0) {
+            const specs = (profileId != null && hardwareProfiles.get(Number(profileId))) || getTrailerSpecs(null);
+            const count = Math.max(1, Math.min(50, Number(trailerCount) || 1));
+            return {
+                kind: 'job_site',
+                id: jobSite.id,
+                name: jobSite.name,
+                location,
+                trailers: Array.from({ length: count }, (_, i) => ({ site_id: null, site_name: `${specs.profile_name} #${i + 1}`, specs })),
+                hypothetical: true,
+            };
+        }
+        return {
+            kind: 'job_site',
+            id: jobSite.id,
+            name: jobSite.name,
+            location,
+            trailers: assigned.map(t => ({ site_id: t.site_id, site_name: t.site_name, specs: getTrailerSpecs(t.site_id) })),
+            hypothetical: false,
+        };
+    }
+
+    const snapshot = snapshotCache.get(siteId);
+    const assignment = (await getTrailerAssignments()).find(a => a.site_id === siteId);
+    if (!snapshot && !assignment) return { error: 'Trailer not found', status: 404 };
+    const gps = gpsCache.get(siteId);
+    const location = gps || (assignment?.latitude != null ? { latitude: assignment.latitude, longitude: assignment.longitude } : null);
+    if (!location) return { error: 'Trailer has no GPS position', status: 400 };
+    const name = snapshot?.site_name || assignment?.site_name || `Site ${siteId}`;
+    return {
+        kind: 'trailer',
+        id: siteId,
+        name,
+        location,
+        trailers: [{ site_id: siteId, site_name: name, specs: getTrailerSpecs(siteId) }],
+        hypothetical: false,
+    };
+}
+
+// Recorded PSH per calendar month from expected_yield_wh (stored as rated
+// W × PSH × efficiency), pooled across the trailers' days
+async function recordedMonthlyPsh(trailers) {
+    const ratedPerPsh = new Map(trailers.filter(t => t.site_id !== null)
+        .map(t => [t.site_id, t.specs.solar.total_watts * t.specs.solar.system_efficiency]));
+    if (ratedPerPsh.size === 0) return Array.from({ length: 12 }, () => []);
+
+    let rows;
+    if (dbAvailable) {
+        rows = await getDailyEnergyForSites(Array.from(ratedPerPsh.keys()), ENERGY_PLANNER.history_days);
+    } else {
+        rows = Array.from(ratedPerPsh.keys()).flatMap(siteId =>
+            Object.entries(dailyEnergy.get(siteId) || {}).map(([date, d]) => ({ site_id: siteId, date, ...d })));
+    }
+    const byMonth = Array.from({ length: 12 }, () => []);
+    for (const row of rows) {
+        const perPsh = ratedPerPsh.get(row.site_id);
+        const expected = Number(row.expected_yield_wh);
+        if (!perPsh || !(expected > 0)) continue;
+        byMonth[Number(row.date.slice(5, 7)) - 1].push(expected / perPsh);
+    }
+    return byMonth;
+}
+
+export async function planEnergy({ siteId = null, jobSiteId = null, profileId = null, trailerCount = null, loads = [] }) {
+    const normalized = normalizeLoads(loads);
+    if (normalized.error) return { error: normalized.error, status: 400 };
+    const target = await resolveTarget({ siteId, jobSiteId, profileId, trailerCount });
+    if (target.error) return target;
+
+    await refreshLoadProfiles();
+    const { latitude, longitude } = target.location;
+    const trailers = target.trailers.map(t => {
+        const baseline = t.site_id !== null ? baselineLoad(t.site_id) : { wh: 0, source: 'none' };
+        return {
+            site_id: t.site_id,
+            site_name: t.site_name,
+            profile_name: t.specs.profile_name,
+            solar_watts: t.specs.solar.total_watts,
+            wh_per_psh: t.specs.solar.total_watts * t.specs.solar.system_efficiency,
+            usable_wh: t.specs.battery.usable_wh,
+            baseline_wh: baseline.wh,
+            load_source: baseline.source,
+        };
+    });
+
+    const whPerPsh = trailers.reduce((s, t) => s + t.wh_per_psh, 0);
+    const usableWh = trailers.reduce((s, t) => s + t.usable_wh, 0);
+    const baselineWh = trailers.reduce((s, t) => s + t.baseline_wh, 0);
+    const addedWh = normalized.loads.reduce((s, l) => s + l.wh_per_day, 0);
+    const totalLoadWh = baselineWh + addedWh;
+    const efficiency = SOC_FORECAST.charge_efficiency;
+    // Each trailer runs on its own battery, so added loads are shared out
+    // evenly and every trailer is balanced separately
+    for (const t of trailers) t.load_wh = t.baseline_wh + addedWh / trailers.length;
+
+    // Surplus is charged at charge_efficiency; a deficit drains the bank
+    // from full in usable_wh / deficit days. At a given PSH the site is only
+    // as good as its worst trailer: the first to run flat, else the
+    // smallest surplus.
+    const balanceAt = (psh) => {
+        let worst = null, deficitTrailers = 0;
+        for (const t of trailers) {
+            const net = psh * t.wh_per_psh - t.load_wh;
+            const balance = net > 0 ? net * efficiency : net;
+            const daysToEmpty = balance < 0 ? t.usable_wh / -balance : null;
+            if (balance < 0) deficitTrailers++;
+            const worse = !worst
+                || (daysToEmpty !== null && (worst.daysToEmpty === null || daysToEmpty < worst.daysToEmpty))
+                || (daysToEmpty === null && worst.daysToEmpty === null && balance < worst.balance);
+            if (worse) worst = { trailer: t, balance, daysToEmpty };
+        }
+        return { ...worst, deficitTrailers };
+    };
+
+    const normals = monthlyNormals(latitude, longitude);
+    const recorded = await recordedMonthlyPsh(target.trailers);
+    const months = MONTHS.map((label, m) => {
+        const days = recorded[m];
+        let psh, source, historyDays;
+        if (normals[m]) {
+            psh = normals[m].psh;
+            source = 'irradiance';
+            historyDays = normals[m].days;
+        } else if (days.length >= ENERGY_PLANNER.min_history_days) {
+            psh = days.reduce((s, v) => s + v, 0) / days.length;
+            source = 'history';
+            historyDays = days.length;
+        } else {
+            psh = computeExtraterrestrialPSH(latitude, MID_MONTH_DAY[m]) * ENERGY_PLANNER.clearness_index;
+            source = 'modeled';
+            historyDays = days.length;
+        }
+        const worst = balanceAt(psh);
+        return {
+            month: m + 1,
+            label,
+            psh: Math.round(psh * 100) / 100,
+            psh_source: source,
+            history_days: historyDays,
+            yield_wh: Math.round(psh * whPerPsh),
+            load_wh: Math.round(totalLoadWh),
+            balance_wh: Math.round(worst.balance),
+            deficit: worst.deficitTrailers > 0,
+            deficit_trailers: worst.deficitTrailers,
+            worst_trailer: worst.trailer.site_name,
+            days_to_empty: worst.daysToEmpty !== null ? Math.round(worst.daysToEmpty * 10) / 10 : null,
+        };
+    });
+
+    // Next days from the live forecast (shortwave_radiation_sum MJ/m² ÷ 3.6 = PSH)
+    let forecast = [];
+    try {
+        const weather = await fetchSolarIrradiance(latitude, longitude);
+        if (weather?.forecast_3d) {
+            forecast = weather.forecast_3d.dates.map((date, i) => {
+                const mj = weather.forecast_3d.radiation[i];
+                if (mj == null) return null;
+                const psh = mj / 3.6;
+                return { date, psh: Math.round(psh * 100) / 100, yield_wh: Math.round(psh * whPerPsh), balance_wh: Math.round(balanceAt(psh).balance) };
+            }).filter(Boolean);
+        }
+    } catch { }
+
+    const currentMonth = months[new Date(nowMs()).getUTCMonth()];
+    const deficitMonths = months.filter(m => m.deficit);
+    const worst = months.reduce((a, b) => (b.balance_wh < a.balance_wh ? b : a));
+    const autonomy = trailers.filter(t => t.load_wh > 0).map(t => t.usable_wh / t.load_wh);
+
+    return {
+        generated_at: Date.now(),
+        target: {
+            kind: target.kind,
+            id: target.id,
+            name: target.name,
+            latitude,
+            longitude,
+            hypothetical: target.hypothetical,
+            trailer_count: trailers.length,
+        },
+        trailers: trailers.map(t => ({
+            ...t,
+            wh_per_psh: Math.round(t.wh_per_psh),
+            baseline_wh: Math.round(t.baseline_wh),
+            load_wh: Math.round(t.load_wh),
+        })),
+        system: {
+            solar_watts: trailers.reduce((s, t) => s + t.solar_watts, 0),
+            wh_per_psh: Math.round(whPerPsh),
+            usable_wh: usableWh,
+            charge_efficiency: efficiency,
+        },
+        loads: normalized.loads,
+        baseline_wh: Math.round(baselineWh),
+        added_wh: addedWh,
+        total_load_wh: Math.round(totalLoadWh),
+        daily_balance_wh: currentMonth.balance_wh,
+        days_of_autonomy: autonomy.length > 0 ? Math.round(Math.min(...autonomy) * 10) / 10 : null,
+        deficit_months: deficitMonths.map(m => m.label),
+        worst_month: {
+            label: worst.label,
+            balance_wh: worst.balance_wh,
+            days_to_empty: worst.days_to_empty,
+            worst_trailer: worst.worst_trailer,
+            deficit_trailers: worst.deficit_trailers,
+        },
+        months,
+        forecast,
+    };
+}
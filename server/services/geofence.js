@@ -4,6 +4,10 @@ import {
 import { getJobSites, getTrailerAssignments, getTrailersWithGps, updateTrailerGps, getPool } from '../db.js';
 import { haversineMeters } from '../clustering.js';
 import { sendGeofenceEmail, isEmailConfigured } from '../email.js';
+import { shouldNotify, notificationFailed } from './notificationGate.js';
+import { notifyUsers } from './userNotifications.js';
+import { emitWebhookEvent } from './webhooks.js';
+import { nowMs } from '../lib/util.js';
 
 export async function checkGeofences() {
     if (!dbAvailable) return;
@@ -33,7 +37,7 @@ export async function checkGeofences() {
                         breached: false,
                         unassigned_near_site: true,
                         distance_m: Math.round(minDistance),
-                        lastAlertedAt: Date.now(),
+                        lastAlertedAt: nowMs(),
                         site_name: assignment.site_name,
                         job_site_name: null,
                         suggested_site: { id: nearestSite.id, name: nearestSite.name, distance_m: Math.round(minDistance) }
@@ -72,24 +76,49 @@ export async function checkGeofences() {
                 }
 
                 const existing = geofenceAlerts.get(assignment.site_id);
-                const cooldown = 24 * 60 * 60 * 1000;
-                if (!existing || Date.now() - existing.lastAlertedAt > cooldown) {
-                    geofenceAlerts.set(assignment.site_id, {
-                        breached: true,
+                const entry = {
+                    breached: true,
+                    distance_m: Math.round(distance),
+                    lastAlertedAt: existing?.breached ? existing.lastAlertedAt : null,
+                    site_name: assignment.site_name,
+                    job_site_name: jobSite.name,
+                    suggested_site: suggestedSite
+                };
+                geofenceAlerts.set(assignment.site_id, entry);
+                if (!existing?.breached) {
+                    notifyUsers({
+                        type: 'geofence_breach',
+                        entityKey: `site:${assignment.site_id}`,
+                        scope: { site_id: assignment.site_id, job_site_id: jobSite.id, company_id: jobSite.company_id },
+                        severity: 'warning',
+                        title: `Geofence breach — ${assignment.site_name}`,
+                        body: `${Math.round(distance)}m from ${jobSite.name} (radius ${radius}m)`,
+                        link: `/trailer/${assignment.site_id}`,
+                    });
+                    emitWebhookEvent('geofence.breach', {
+                        site_id: assignment.site_id,
+                        site_name: assignment.site_name,
+                        job_site_id: jobSite.id,
+                        job_site_name: jobSite.name,
                         distance_m: Math.round(distance),
-                        lastAlertedAt: Date.now(),
+                        geofence_radius_m: radius,
+                        latitude: gps.latitude,
+                        longitude: gps.longitude,
+                        suggested_site: suggestedSite,
+                    });
+                }
+                // Email cooldown is per site in notification_log (survives restarts)
+                if (isEmailConfigured() && await shouldNotify('geofence', assignment.site_id)) {
+                    entry.lastAlertedAt = nowMs();
+                    sendGeofenceEmail({
                         site_name: assignment.site_name,
                         job_site_name: jobSite.name,
-                        suggested_site: suggestedSite
+                        distance_m: Math.round(distance),
+                        geofence_radius_m: radius,
+                    }).catch(err => {
+                        console.error('  Geofence email error:', err.message);
+                        notificationFailed('geofence', assignment.site_id);
                     });
-                    if (isEmailConfigured()) {
-                        sendGeofenceEmail({
-                            site_name: assignment.site_name,
-                            job_site_name: jobSite.name,
-                            distance_m: Math.round(distance),
-                            geofence_radius_m: radius,
-                        }).catch(err => console.error('  Geofence email error:', err.message));
-                    }
                 }
             } else {
                 const existing = geofenceAlerts.get(assignment.site_id);
@@ -174,14 +203,15 @@ export async function detectGpsChanges() {
                 }
 
                 // Create suggestion
-                await getPool().query(
+                const inserted = await getPool().query(
                     `INSERT INTO gps_change_suggestions (
                         site_id, site_name, old_latitude, old_longitude,
                         new_latitude, new_longitude, distance_km,
                         current_job_site_id, current_job_site_name,
                         suggested_job_site_id, suggested_job_site_name,
                         suggestion_type
-                    ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)`,
+                    ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)
+                    RETURNING *`,
                     [
                         assignment.site_id,
                         assignment.site_name,
@@ -199,6 +229,18 @@ export async function detectGpsChanges() {
                 );
 
                 console.log(`  📍 GPS change detected: ${assignment.site_name} moved ${distanceKm.toFixed(2)}km`);
+                const sg = inserted.rows[0];
+                emitWebhookEvent('gps.suggestion.created', {
+                    suggestion_id: sg.id,
+                    site_id: sg.site_id,
+                    site_name: sg.site_name,
+                    suggestion_type: sg.suggestion_type,
+                    distance_km: Math.round(distanceKm * 100) / 100,
+                    old_location: { latitude: lastLat, longitude: lastLon },
+                    new_location: { latitude: currentGps.latitude, longitude: currentGps.longitude },
+                    current_job_site: assignment.job_site_id ? { id: assignment.job_site_id, name: sg.current_job_site_name } : null,
+                    suggested_job_site: suggestedSiteId ? { id: suggestedSiteId, name: suggestedSiteName } : null,
+                });
             }
         }
     } catch (err) {
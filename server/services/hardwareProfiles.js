@@ -0,0 +1,141 @@
+import { TRAILER_SPECS, DEFAULT_PRODUCT_CODE, BATTERY_CHEMISTRIES } from '../config.js';
+import { hardwareProfiles, trailerProfileMap, dbAvailable } from '../state.js';
+import { getHardwareProfiles, getTrailerHardwareAssignments } from '../db.js';
+import { telemetrySiteId } from './telemetry/index.js';
+
+// ============================================================
+// Hardware profiles
+//
+// Every spec-dependent number (expected yield, stored energy, days of
+// autonomy, fast-discharge cadence, AI context) comes from the trailer's
+// own profile: the one assigned to the trailer, else the one for its
+// product code, else the BV1305 default. Profiles and the siteId ->
+// profile map are cached in memory and refreshed each VRM poll round and
+// whenever a profile or trailer changes.
+// ============================================================
+
+// TRAILER_SPECS shape from a hardware_profiles row
+export function profileToSpecs(row) {
+    const panels = Number(row.panel_count);
+    const panelWatts = Number(row.panel_watts);
+    const count = Number(row.battery_count);
+    const ah = Number(row.battery_ah);
+    const volts = Number(row.battery_voltage);
+    const series = row.battery_config === 'series';
+    const totalAh = series ? ah : ah * count;
+    const voltage = series ? volts * count : volts;
+    const totalWh = Math.round(totalAh * voltage);
+    const minSoc = Number(row.min_soc_threshold);
+    return {
+        profile_id: row.id ?? null,
+        profile_name: row.name,
+        product_code: row.product_code || null,
+        solar: {
+            panels,
+            panel_watts: panelWatts,
+            total_watts: Math.round(panels * panelWatts),
+            system_efficiency: Number(row.system_efficiency),
+        },
+        battery: {
+            chemistry: row.battery_chemistry,
+            count,
+            config: row.battery_config,
+            ah_per_battery: ah,
+            voltage,
+            total_ah: totalAh,
+            total_wh: totalWh,
+            min_soc_threshold: minSoc,
+            usable_wh: Math.round(totalWh * (1 - minSoc / 100)),
+        },
+    };
+}
+
+const BUILT_IN_SPECS = {
+    profile_id: null,
+    profile_name: DEFAULT_PRODUCT_CODE,
+    product_code: DEFAULT_PRODUCT_CODE,
+    ...TRAILER_SPECS,
+};
+
+function defaultSpecs() {
+    for (const specs of hardwareProfiles.values()) {
+        if (specs.product_code === DEFAULT_PRODUCT_CODE) return specs;
+    }
+    return BUILT_IN_SPECS;
+}
+
+export function getTrailerSpecs(siteId) {
+    const profileId = trailerProfileMap.get(siteId);
+    return (profileId != null && hardwareProfiles.get(profileId)) || defaultSpecs();
+}
+
+export async function loadHardwareProfiles() {
+    if (!dbAvailable) return;
+    try {
+        const [profiles, trailers] = await Promise.all([getHardwareProfiles(), getTrailerHardwareAssignments()]);
+        hardwareProfiles.clear();
+        const byProduct = new Map();
+        for (const row of profiles) {
+            hardwareProfiles.set(row.id, profileToSpecs(row));
+            if (row.product_code) byProduct.set(row.product_code, row.id);
+        }
+        trailerProfileMap.clear();
+        for (const t of trailers) {
+            const siteId = telemetrySiteId(t);
+            if (siteId === null) continue;
+            const profileId = t.hardware_profile_id ?? byProduct.get(t.product_code);
+            if (profileId != null) trailerProfileMap.set(siteId, profileId);
+        }
+    } catch (err) {
+        console.error('  Hardware profile refresh failed:', err.message);
+    }
+}
+
+// Profiles in use across the given sites, most common first — for
+// fleet-level text (AI prompts, analytics header)
+export function summarizeFleetHardware(siteIds) {
+    const counts = new Map();
+    for (const siteId of siteIds) {
+        const specs = getTrailerSpecs(siteId);
+        const entry = counts.get(specs.profile_name) || { specs, trailers: 0 };
+        entry.trailers++;
+        counts.set(specs.profile_name, entry);
+    }
+    return Array.from(counts.values()).sort((a, b) => b.trailers - a.trailers);
+}
+
+export function describeSpecs(specs) {
+    const { solar, battery } = specs;
+    return `${solar.panels}x ${solar.panel_watts}W solar panels (${solar.total_watts}W total), `
+        + `${battery.count}x ${battery.ah_per_battery}Ah ${battery.chemistry} batteries in ${battery.config} `
+        + `(${battery.total_wh}Wh / ${(battery.total_wh / 1000).toFixed(1)} kWh total storage)`;
+}
+
+export function validateHardwareProfile(body, { partial = false } = {}) {
+    const has = (k) => body[k] !== undefined;
+    if (!partial || has('name')) {
+        if (!body.name || !String(body.name).trim()) return 'name is required';
+    }
+    const positive = [['panel_count', true], ['panel_watts', false], ['battery_count', true], ['battery_ah', false], ['battery_voltage', false]];
+    for (const [key, integer] of positive) {
+        if (!partial || has(key)) {
+            const n = Number(body[key]);
+            if (!Number.isFinite(n) || n <= 0 || (integer && !Number.isInteger(n))) return `${key} must be a positive ${integer ? 'integer' : 'number'}`;
+        }
+    }
+    if (has('system_efficiency')) {
+        const n = Number(body.system_efficiency);
+        if (!Number.isFinite(n) || n <= 0 || n > 1) return 'system_efficiency must be between 0 and 1';
+    }
+    if (has('min_soc_threshold')) {
+        const n = Number(body.min_soc_threshold);
+        if (!Number.isFinite(n) || n < 0 || n >= 100) return 'min_soc_threshold must be between 0 and 100';
+    }
+    if (has('battery_config') && !['parallel', 'series'].includes(body.battery_config)) {
+        return 'battery_config must be parallel or series';
+    }
+    if (has('battery_chemistry') && !BATTERY_CHEMISTRIES.includes(body.battery_chemistry)) {
+        return `battery_chemistry must be one of ${BATTERY_CHEMISTRIES.join(', ')}`;
+    }
+    return null;
+}
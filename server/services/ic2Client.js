@@ -51,10 +51,15 @@ export async function getIc2Token() {
     return ic2Token;
 }
 
-export async function ic2Fetch(endpoint, retryOn401 = true) {
+// GET by default; device commands pass { method: 'POST', body }
+export async function ic2Fetch(endpoint, { method = 'GET', body } = {}, retryOn401 = true) {
     const token = await getIc2Token();
+    const headers = { Authorization: `Bearer ${token}` };
+    if (body !== undefined) headers['Content-Type'] = 'application/json';
     const res = await fetch(`${IC2_BASE}${endpoint}`, {
-        headers: { Authorization: `Bearer ${token}` },
+        method,
+        headers,
+        body: body !== undefined ? JSON.stringify(body) : undefined,
     });
     if (!res.ok) {
         const text = await res.text();
@@ -63,11 +68,13 @@ export async function ic2Fetch(endpoint, retryOn401 = true) {
             console.log('  IC2 token invalid, refreshing...');
             ic2Token = null;
             ic2TokenExpiry = 0;
-            return ic2Fetch(endpoint, false); // Retry without further recursion
+            return ic2Fetch(endpoint, { method, body }, false); // Retry without further recursion
         }
         throw new Error(`IC2 API ${res.status}: ${text}`);
     }
-    return res.json();
+    // Commands may answer with an empty body
+    const text = await res.text();
+    return text ? JSON.parse(text) : {};
 }
 
 // ============================================================
@@ -112,3 +119,21 @@ export function extractWanInterfaces(device) {
         message: i.message || '',
     }));
 }
+
+// Compact per-device view for the fleet tables (/api/fleet/combined and
+// the live stream's pepwave deltas)
+export function summarizePepwaveDevice(device) {
+    return {
+        online: device.online,
+        status: device.status,
+        signal_bar: device.cellular?.signal_bar ?? null,
+        rsrp: device.cellular?.signal?.rsrp ?? null,
+        carrier: device.cellular?.carrier || null,
+        technology: device.cellular?.technology || null,
+        client_count: device.client_count || 0,
+        usage_mb: device.usage_mb || 0,
+        uptime: device.uptime || 0,
+        model: device.model,
+        wan_ip: device.wan_ip,
+    };
+}
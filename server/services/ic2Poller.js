@@ -8,6 +8,12 @@ import { ic2Fetch, extractCellularInfo, extractWanInterfaces } from './ic2Client
 import { insertPepwaveSnapshot, upsertTrailerAssignment, linkIc2Device, updateTrailerGps, getPool } from '../db.js';
 import { runClustering } from '../clustering.js';
 import { checkGeofences, detectGpsChanges } from './geofence.js';
+import { nowMs } from '../lib/util.js';
+import { recordPollAttempt, forgetPollHealth, SOURCE_LIST_ID } from './pollHealth.js';
+import { queuePepwaveDelta } from './liveStream.js';
+import { runDataPlanAlerts } from './dataPlans.js';
+import { trackWanState } from './wanEvents.js';
+import { runInventorySync } from './inventory.js';
 
 export function resolveIc2DeviceToSiteId(dev, vrmSites) {
     // Priority 1: stored linkage
@@ -28,6 +34,99 @@ export function resolveIc2DeviceToSiteId(dev, vrmSites) {
     return { siteId: syntheticId, siteName: dev.name };
 }
 
+// Cache, offline tracking and persistence for one device record. Shared
+// with the simulator, which passes persist: false when replaying rows
+// already in pepwave_snapshots.
+export async function ingestPepwaveRecord(record, { persist = true } = {}) {
+    const cellular = record.cellular;
+    pepwaveCache.set(record.name, record);
+    queuePepwaveDelta(record);
+    if (record.id != null) ic2DeviceIdToName.set(record.id, record.name);
+
+    // Track offline duration
+    if (record.online) {
+        offlineTimestamps.delete(record.name);
+    } else if (!offlineTimestamps.has(record.name)) {
+        offlineTimestamps.set(record.name, nowMs());
+    }
+
+    // Persist to PostgreSQL for historical tracking
+    if (dbAvailable && persist) {
+        try {
+            await insertPepwaveSnapshot({
+                device_name: record.name,
+                timestamp: record.timestamp,
+                online: record.online,
+                signal_bar: cellular?.signal_bar ?? null,
+                rsrp: cellular?.signal?.rsrp ?? null,
+                rsrq: cellular?.signal?.rsrq ?? null,
+                rssi: cellular?.signal?.rssi ?? null,
+                sinr: cellular?.signal?.sinr ?? null,
+                carrier: cellular?.carrier || null,
+                technology: cellular?.technology || null,
+                usage_mb: record.usage_mb,
+                tx_mb: record.tx_mb,
+                rx_mb: record.rx_mb,
+                client_count: record.client_count,
+                uptime: record.uptime,
+                wan_ip: record.wan_ip,
+            });
+        } catch (dbErr) { /* continue - in-memory still works */ }
+        // Up/down, failover and IP transitions into the outage history
+        try {
+            await trackWanState(record);
+        } catch (err) {
+            console.error(`  WAN state tracking failed for ${record.name}:`, err.message);
+        }
+    }
+}
+
+// Eviction, GPS change detection, clustering and geofences after a round
+// of device records (async work is not awaited).
+export function runIc2PostPollTasks(activeDeviceNames) {
+    // Evict pepwaveCache entries for devices no longer in IC2
+    for (const cachedName of pepwaveCache.keys()) {
+        if (!activeDeviceNames.has(cachedName)) {
+            pepwaveCache.delete(cachedName);
+            offlineTimestamps.delete(cachedName);
+            forgetPollHealth('ic2', cachedName);
+        }
+    }
+
+    // GPS change detection runs continuously during IC2 polling
+    if (dbAvailable && gpsCache.size > 0) {
+        detectGpsChanges().catch(err =>
+            console.error('  GPS change detection failed:', err.message)
+        );
+    }
+
+    // Re-run clustering periodically after GPS updates (every 30 min, not every poll)
+    if (dbAvailable && gpsCache.size > 0) {
+        const CLUSTER_INTERVAL = 30 * 60 * 1000; // 30 minutes
+        if (!runIc2PostPollTasks._lastCluster || Date.now() - runIc2PostPollTasks._lastCluster > CLUSTER_INTERVAL) {
+            runIc2PostPollTasks._lastCluster = Date.now();
+            runClustering().catch(err =>
+                console.error('  Auto-clustering after IC2 poll failed:', err.message)
+            );
+        }
+    }
+
+    // Check geofences after GPS update (async, don't block)
+    if (gpsCache.size > 0) {
+        checkGeofences().catch(err => console.error('  Geofence check failed:', err.message));
+    }
+
+    // Data plan usage thresholds (hourly at most)
+    if (dbAvailable) {
+        runDataPlanAlerts().catch(err => console.error('  Data plan alerts failed:', err.message));
+    }
+
+    // Hardware inventory: firmware, serials, SIMs (hourly at most)
+    if (dbAvailable) {
+        runInventorySync().catch(err => console.error('  Inventory sync failed:', err.message));
+    }
+}
+
 // --- Background polling: InControl2 ---
 export let isPollingIc2 = false;
 
@@ -39,8 +138,11 @@ export async function pollIc2Devices() {
 
     try {
         // Fetch devices from BIGView group only (group 1 has full status data including usage)
+        const listStarted = Date.now();
         const result = await ic2Fetch(`/rest/o/${IC2_ORG_ID}/g/${IC2_GROUP_ID}/d?has_status=true`);
         const devices = result.data || [];
+        const listLatency = Date.now() - listStarted;
+        recordPollAttempt('ic2', SOURCE_LIST_ID, 'IC2 devices', { ok: true, latencyMs: listLatency });
 
         let onlineCount = 0;
         let offlineCount = 0;
@@ -169,39 +271,13 @@ export async function pollIc2Devices() {
                 timestamp: Date.now(),
             };
 
-            pepwaveCache.set(dev.name, record);
-            ic2DeviceIdToName.set(dev.id, dev.name);
-
-            // Track offline duration
-            if (record.online) {
-                offlineTimestamps.delete(dev.name);
-            } else if (!offlineTimestamps.has(dev.name)) {
-                offlineTimestamps.set(dev.name, Date.now());
-            }
-
-            // Persist to PostgreSQL for historical tracking
-            if (dbAvailable) {
-                try {
-                    await insertPepwaveSnapshot({
-                        device_name: dev.name,
-                        timestamp: record.timestamp,
-                        online: record.online,
-                        signal_bar: cellular?.signal_bar ?? null,
-                        rsrp: cellular?.signal?.rsrp ?? null,
-                        rsrq: cellular?.signal?.rsrq ?? null,
-                        rssi: cellular?.signal?.rssi ?? null,
-                        sinr: cellular?.signal?.sinr ?? null,
-                        carrier: cellular?.carrier || null,
-                        technology: cellular?.technology || null,
-                        usage_mb: record.usage_mb,
-                        tx_mb: record.tx_mb,
-                        rx_mb: record.rx_mb,
-                        client_count: record.client_count,
-                        uptime: record.uptime,
-                        wan_ip: record.wan_ip,
-                    });
-                } catch (dbErr) { /* continue - in-memory still works */ }
-            }
+            await ingestPepwaveRecord(record);
+            // The list call succeeding says nothing about the router itself:
+            // an offline (or status-less) device is a failed poll. There's no
+            // per-device request, so no per-device latency either.
+            recordPollAttempt('ic2', dev.name, dev.name, record.online
+                ? { ok: true }
+                : { ok: false, error: `Device ${dev.status || 'reported no status'}${record.last_online ? ` (last online ${record.last_online})` : ''}` });
 
             if (dev.status === 'online') onlineCount++;
             else offlineCount++;
@@ -262,43 +338,18 @@ export async function pollIc2Devices() {
             }
         }
 
-        // Evict pepwaveCache entries for devices no longer in IC2
-        const activeDeviceNames = new Set(devices.map(d => d.name));
-        for (const cachedName of pepwaveCache.keys()) {
-            if (!activeDeviceNames.has(cachedName)) {
-                pepwaveCache.delete(cachedName);
-                offlineTimestamps.delete(cachedName);
-            }
-        }
-
-        // GPS change detection runs continuously during IC2 polling
-        if (dbAvailable && gpsCache.size > 0) {
-            detectGpsChanges().catch(err =>
-                console.error('  GPS change detection failed:', err.message)
-            );
-        }
-
-        // Re-run clustering periodically after GPS updates (every 30 min, not every poll)
-        if (dbAvailable && gpsCache.size > 0) {
-            const CLUSTER_INTERVAL = 30 * 60 * 1000; // 30 minutes
-            if (!pollIc2Devices._lastCluster || Date.now() - pollIc2Devices._lastCluster > CLUSTER_INTERVAL) {
-                pollIc2Devices._lastCluster = Date.now();
-                runClustering().catch(err =>
-                    console.error('  Auto-clustering after IC2 poll failed:', err.message)
-                );
-            }
-        }
-
-        // Check geofences after GPS update (async, don't block)
-        if (gpsCache.size > 0) {
-            checkGeofences().catch(err => console.error('  Geofence check failed:', err.message));
-        }
+        runIc2PostPollTasks(new Set(devices.map(d => d.name)));
 
         setLastIc2Poll(Date.now());
         const elapsed = ((Date.now() - startTime) / 1000).toFixed(1);
         console.log(`  IC2 poll complete: ${devices.length} devices (${onlineCount} online, ${offlineCount} offline) in ${elapsed}s`);
     } catch (err) {
         console.error('  IC2 poll error:', err.message);
+        // Every device is unreachable from here — mark them all so the cause shows per trailer
+        recordPollAttempt('ic2', SOURCE_LIST_ID, 'IC2 devices', { ok: false, error: err.message });
+        for (const name of pepwaveCache.keys()) {
+            recordPollAttempt('ic2', name, name, { ok: false, error: err.message });
+        }
     } finally {
         isPollingIc2 = false;
     }
@@ -1,4 +1,4 @@
-import { TRAILER_SPECS, SOLAR_SCORE_DEFAULTS } from '../config.js';
+import { SOLAR_SCORE_DEFAULTS } from '../config.js';
 import {
     snapshotCache, pepwaveCache, dailyEnergy, gpsCache, trailerJobSiteMap,
     socStartOfDay, solarScoreConfig, dbAvailable, geofenceAlerts, maintStatsCache,
@@ -6,6 +6,10 @@ import {
 import { getSetting, getDailyEnergy, getMaintenanceStatsBySite } from '../db.js';
 import { fetchSolarIrradiance, computeAstronomicalPSH } from './weather.js';
 import { hasVrmData, todayStr, extractMpptState, mpptStateToString, getPepwaveForTrailer } from '../lib/util.js';
+import { getFiringRuleAlerts, collapseRuleAlerts, matchAlertRule } from './alertRules.js';
+import { getTrailerSpecs } from './hardwareProfiles.js';
+import { getSocForecast } from './socForecast.js';
+import { getPanelHealth } from './panelHealth.js';
 
 // Refresh the per-trailer maintenance stats used by computeHealthGrade.
 // Called after each VRM poll cycle (computeHealthGrade itself is sync).
@@ -46,7 +50,7 @@ export async function computeTrailerIntelligence(siteId) {
     const snapshot = snapshotCache.get(siteId);
     if (!snapshot || !hasVrmData(snapshot)) return null;
 
-    const specs = TRAILER_SPECS;
+    const specs = getTrailerSpecs(siteId);
 
     // --- Location & Weather ---
     const gps = gpsCache.get(siteId);
@@ -156,6 +160,10 @@ export async function computeTrailerIntelligence(siteId) {
         }
     }
 
+    // Clear-day panel analysis (services/panelHealth.js): tells soiling and
+    // shading apart from weather, which the score above can't
+    const panelHealth = getPanelHealth(siteId);
+
     // --- Days of autonomy ---
     const currentStoredWh = snapshot.battery_soc !== null ? Math.round(specs.battery.total_wh * snapshot.battery_soc / 100) : null;
     const daysOfAutonomy = (currentStoredWh !== null && avgDailyConsumptionWh !== null && avgDailyConsumptionWh > 0)
@@ -163,13 +171,28 @@ export async function computeTrailerIntelligence(siteId) {
         : null;
 
     // --- Predictive: days until SOC hits critical threshold ---
-    const criticalSocPct = specs.battery.min_soc_threshold; // 20%
-    const usableAboveCriticalWh = snapshot.battery_soc !== null && avgDailyConsumptionWh !== null && avgDailyConsumptionWh > 0
-        ? Math.max(0, (snapshot.battery_soc - criticalSocPct) * specs.battery.total_wh / 100)
-        : null;
-    const predictedDaysToCritical = usableAboveCriticalWh !== null && avgDailyConsumptionWh > 0
-        ? Math.round((usableAboveCriticalWh / avgDailyConsumptionWh) * 10) / 10
-        : null;
+    // From the 72h forecast (solar in, load profile out) when there is one:
+    // inside the horizon it is the forecast crossing; past it, the
+    // forecast's net SOC loss per day extrapolated (null if the trailer
+    // gains energy). Without a forecast, consumption only.
+    const criticalSocPct = specs.battery.min_soc_threshold;
+    let forecast = null;
+    try { forecast = await getSocForecast(siteId); } catch { }
+    let predictedDaysToCritical = null;
+    if (forecast) {
+        if (forecast.hours_to_critical !== null) {
+            predictedDaysToCritical = Math.round(forecast.hours_to_critical / 24 * 10) / 10;
+        } else {
+            const horizonDays = forecast.horizon_hours / 24;
+            const socPerDay = (forecast.end_soc - forecast.start_soc) / horizonDays;
+            if (socPerDay < 0) {
+                predictedDaysToCritical = Math.round((horizonDays + (forecast.end_soc - criticalSocPct) / -socPerDay) * 10) / 10;
+            }
+        }
+    } else if (snapshot.battery_soc !== null && avgDailyConsumptionWh !== null && avgDailyConsumptionWh > 0) {
+        const usableAboveCriticalWh = Math.max(0, (snapshot.battery_soc - criticalSocPct) * specs.battery.total_wh / 100);
+        predictedDaysToCritical = Math.round((usableAboveCriticalWh / avgDailyConsumptionWh) * 10) / 10;
+    }
 
     // --- Charge time estimate ---
     const remainingToFullWh = snapshot.battery_soc !== null ? Math.round(specs.battery.total_wh * (1 - snapshot.battery_soc / 100)) : null;
@@ -195,6 +218,8 @@ export async function computeTrailerIntelligence(siteId) {
         site_name: snapshot.site_name,
         timestamp: snapshot.vrm_timestamp || snapshot.timestamp,
         specs: {
+            profile_id: specs.profile_id,
+            profile_name: specs.profile_name,
             solar_capacity_w: specs.solar.total_watts,
             battery_capacity_wh: specs.battery.total_wh,
             usable_capacity_wh: specs.battery.usable_wh,
@@ -226,6 +251,11 @@ export async function computeTrailerIntelligence(siteId) {
             expected_yesterday_wh: Math.round(yesterdayExpectedWh),
             avg_7d_yield_wh: avgDailyYieldWh,
             avg_7d_score: avg7dScore,
+            panel_health: panelHealth ? {
+                status: panelHealth.status,
+                classification: panelHealth.classification,
+                performance_ratio: panelHealth.performance_ratio,
+            } : null,
         },
         battery: {
             soc_pct: snapshot.battery_soc,
@@ -245,6 +275,10 @@ export async function computeTrailerIntelligence(siteId) {
         predictive: {
             days_to_critical: predictedDaysToCritical,
             critical_soc_pct: criticalSocPct,
+            critical_at: forecast?.critical_at ?? null,
+            hours_to_critical: forecast?.hours_to_critical ?? null,
+            min_soc_72h: forecast?.min_soc ?? null,
+            method: forecast ? 'forecast' : 'consumption',
             warning_threshold_days: 3,
             status: predictedDaysToCritical !== null
                 ? (predictedDaysToCritical <= 1 ? 'critical' : predictedDaysToCritical <= 3 ? 'warning' : 'ok')
@@ -348,56 +382,27 @@ export function computeTechStatus(siteId, alertsMap) {
         return { status: 'attention', reason: 'Trailer offline — no VRM or network data' };
     }
 
-    const soc = snapshot.battery_soc;
+    // Thresholds come from the alert rules: a firing critical rule means
+    // NEEDS ATTENTION, any other firing rule means WATCH. Several rules on one
+    // metric (SOC < 40 / < 20) only report their most severe rung.
     const reasons = [];
-
-    // --- NEEDS ATTENTION triggers ---
-
-    // Active alarm or error from VRM
-    if (snapshot.alarm_reason) {
-        reasons.push(`Alarm: ${snapshot.alarm_reason}`);
-    }
-    if (snapshot.error_code) {
-        reasons.push(`Error: ${snapshot.error_code}`);
-    }
-
-    // Critical SOC
-    if (soc !== null && soc < 20) {
-        reasons.push(`Critical SOC: ${soc.toFixed(0)}%`);
+    const watchReasons = [];
+    for (const a of collapseRuleAlerts(getFiringRuleAlerts(siteId))) {
+        const text = a.detail || `${a.rule_name}: ${a.value_text}`;
+        if (a.severity === 'critical') reasons.push(text);
+        else if (a.severity !== 'info') watchReasons.push(text);
     }
 
-    // Energy deficit streak >= 5 days
+    // Energy deficit streak (daily metric, matched against its rules here)
     const deficitStreak = alertsMap?.[siteId] ?? 0;
-    if (deficitStreak >= 5) {
-        reasons.push(`Energy deficit: ${deficitStreak} day streak`);
-    }
-
-    // SOC declining and projected critical within 3 days
-    const socTrend = computeSocTrend(siteId);
-    if (socTrend && socTrend.declining && socTrend.daysUntilCritical !== null && socTrend.daysUntilCritical <= 3) {
-        reasons.push(`SOC declining ${Math.abs(socTrend.slopePerDay).toFixed(1)}%/day — critical in ~${socTrend.daysUntilCritical}d`);
+    const deficitRule = matchAlertRule('deficit_streak_days', siteId, deficitStreak);
+    if (deficitRule) {
+        const text = `Energy deficit: ${deficitStreak} day streak`;
+        if (deficitRule.severity === 'critical') reasons.push(text);
+        else if (deficitRule.severity !== 'info') watchReasons.push(text);
     }
 
     if (reasons.length > 0) return { status: 'attention', reason: reasons.join('; ') };
-
-    // --- WATCH triggers ---
-    const watchReasons = [];
-
-    // Low SOC (20-40%)
-    if (soc !== null && soc >= 20 && soc < 40) {
-        watchReasons.push(`Low SOC: ${soc.toFixed(0)}%`);
-    }
-
-    // SOC declining > 2%/day (but not yet critical-imminent)
-    if (socTrend && socTrend.declining && socTrend.slopePerDay < -2) {
-        watchReasons.push(`SOC declining ${Math.abs(socTrend.slopePerDay).toFixed(1)}%/day`);
-    }
-
-    // Energy deficit 2-4 days
-    if (deficitStreak >= 2 && deficitStreak < 5) {
-        watchReasons.push(`Energy deficit: ${deficitStreak} day streak`);
-    }
-
     if (watchReasons.length > 0) return { status: 'watch', reason: watchReasons.join('; ') };
 
     return { status: 'good', reason: null };
@@ -0,0 +1,324 @@
+import { INVENTORY, SIMULATOR } from '../config.js';
+import {
+    getInventory, upsertInventoryDevice, setInventorySims, clearInventorySimIccid, insertInventoryChanges, getInventoryChanges,
+    getRemovedSimHistory, getFirmwareBaselines, getSourcedComponents, insertSourcedComponent, updateComponent,
+} from '../db.js';
+import { pepwaveCache, dbAvailable } from '../state.js';
+import { deviceTrailerMap } from './networkAnalytics.js';
+import { nowMs } from '../lib/util.js';
+
+// ============================================================
+// Pepwave inventory sync
+//
+// Model, serial, firmware, config profile, modem IMEI and the SIM in each
+// slot are read from the polled IC2 records and compared with the stored
+// inventory; every difference is kept in pepwave_inventory_changes. An
+// ICCID that shows up on a device while the inventory still has it in
+// another device is a SIM swap (sim_moved). Firmware drift is a device
+// whose firmware differs from the baseline chosen for its model. Routers
+// and SIMs of devices matched to a trailer are mirrored into
+// trailer_components (source 'ic2_inventory'); a component that leaves
+// the trailer is marked replaced.
+// ============================================================
+const DAY_MS = 24 * 60 * 60 * 1000;
+const COMPONENT_SOURCE = 'ic2_inventory';
+
+let lastSync = null;
+let syncing = false;
+
+// ICCIDs as printed on invoices: digits only, no trailing filler F
+export function normalizeIccid(value) {
+    const v = String(value || '').toUpperCase().replace(/[^0-9A-F]/g, '').replace(/F+$/, '');
+    return v || null;
+}
+
+function known(value) {
+    return value && value !== 'Unknown' ? String(value) : null;
+}
+
+function configProfile(tags) {
+    const prefix = INVENTORY.profile_tag_prefix;
+    for (const tag of tags || []) {
+        const name = typeof tag === 'string' ? tag : tag?.name;
+        if (name && name.startsWith(prefix)) return name.slice(prefix.length).trim() || null;
+    }
+    return null;
+}
+
+function inventoryFromRecord(record) {
+    const sims = record.cellular?.sims || [];
+    return {
+        device_id: record.id,
+        device_name: record.name,
+        serial: known(record.sn),
+        model: known(record.model),
+        firmware: known(record.firmware),
+        config_profile: configProfile(record.tags),
+        imei: known(record.cellular?.imei),
+        // null when the poll had no SIM details (offline, no modem)
+        sims: sims.length > 0 ? sims.map(s => ({
+            slot: Number(s.id),
+            iccid: normalizeIccid(s.iccid),
+            imsi: s.imsi || null,
+            carrier: s.carrier || null,
+            detected: s.detected ?? null,
+            active: Boolean(s.active),
+        })) : null,
+    };
+}
+
+const TRACKED_FIELDS = ['model', 'serial', 'firmware', 'config_profile', 'imei'];
+
+// Merge one polled device into its stored state; returns [merged, changes]
+function diffDevice(current, prev, owners, trailers, ts) {
+    const change = (field, extra) => ({ device_id: current.device_id, device_name: current.device_name, timestamp: ts, field, ...extra });
+    const changes = [];
+    const trailer = trailers.get(current.device_name);
+    const merged = { ...current, site_id: trailer?.site_id ?? prev?.site_id ?? null, timestamp: ts };
+
+    if (!prev) {
+        changes.push(change('added', { to_value: current.serial }));
+    } else {
+        for (const field of TRACKED_FIELDS) {
+            // A value missing from this poll (offline modem) keeps the stored one
+            if (merged[field] == null) merged[field] = prev[field];
+            else if (merged[field] !== prev[field]) changes.push(change(field, { from_value: prev[field], to_value: merged[field] }));
+        }
+        if (merged.site_id !== prev.site_id) {
+            changes.push(change('site', { from_value: prev.site_name || (prev.site_id != null ? String(prev.site_id) : null), to_value: trailer.site_name }));
+        }
+    }
+
+    if (!current.sims) {
+        merged.sims = prev?.sims || [];
+        merged.sims_reported = false;
+        return [merged, changes];
+    }
+    const prevSlots = new Map((prev?.sims || []).map(s => [s.slot, s]));
+    merged.sims = current.sims.map(s => {
+        const before = prevSlots.get(s.slot);
+        // Keep the stored ICCID while a SIM is detected but IC2 didn't report it
+        const iccid = s.iccid ?? (s.detected === false ? null : before?.iccid ?? null);
+        if (prev && (before?.iccid ?? null) !== iccid) {
+            changes.push(change('iccid', { slot: s.slot, from_value: before?.iccid ?? null, to_value: iccid }));
+        }
+        const owner = iccid ? owners.get(iccid) : null;
+        if (owner && owner.device_id !== current.device_id) {
+            changes.push(change('sim_moved', { slot: s.slot, from_value: owner.device_name, to_value: iccid, related_device: owner.device_name }));
+        }
+        return { ...s, iccid };
+    });
+    merged.sims_reported = true;
+    return [merged, changes];
+}
+
+function componentNotes(d) {
+    return [`IC2 ${d.device_name}`, d.firmware && `firmware ${d.firmware}`, d.config_profile && `profile ${d.config_profile}`]
+        .filter(Boolean).join(' · ');
+}
+
+// Mirror routers and SIMs into trailer_components
+async function syncComponents(devices) {
+    const counts = { added: 0, updated: 0, replaced: 0 };
+    const existing = new Map((await getSourcedComponents(COMPONENT_SOURCE)).map(c => [c.source_key, c]));
+    const routerSites = new Set();
+    const simSites = new Set();
+
+    for (const d of devices) {
+        if (d.site_id == null) continue;
+        routerSites.add(d.site_id);
+        if (d.sims_reported) simSites.add(d.site_id);
+        const wanted = [{
+            source_key: `router:${d.serial || d.device_id}`,
+            component_type: 'router',
+            make: 'Peplink',
+            model: d.model,
+            serial_number: d.serial,
+            notes: componentNotes(d),
+        }];
+        // Stored slots of a device that didn't report its SIMs may be stale
+        for (const s of d.sims_reported ? d.sims : []) {
+            if (!s.iccid) continue;
+            wanted.push({
+                source_key: `sim:${s.iccid}`,
+                component_type: 'sim',
+                make: s.carrier,
+                model: `Slot ${s.slot}`,
+                serial_number: s.iccid,
+                notes: [`IC2 ${d.device_name}`, d.imei && `modem IMEI ${d.imei}`, s.imsi && `IMSI ${s.imsi}`].filter(Boolean).join(' · '),
+            });
+        }
+
+        for (const w of wanted) {
+            const row = existing.get(w.source_key);
+            existing.delete(w.source_key);
+            if (row && row.site_id === d.site_id) {
+                // Marked failed / replaced by hand on this trailer: leave it be
+                if (row.status !== 'active') continue;
+                const updates = {};
+                for (const key of ['make', 'model', 'serial_number', 'notes']) {
+                    if ((row[key] || null) !== (w[key] || null)) updates[key] = w[key] || null;
+                }
+                if (Object.keys(updates).length > 0) {
+                    await updateComponent(row.id, updates);
+                    counts.updated++;
+                }
+                continue;
+            }
+            if (row?.status === 'active') {
+                await updateComponent(row.id, { status: 'replaced' });
+                counts.replaced++;
+            }
+            await insertSourcedComponent({ ...w, site_id: d.site_id, installed_date: nowMs(), source: COMPONENT_SOURCE });
+            counts.added++;
+        }
+    }
+
+    // Left on a trailer this sync covered, so no longer in it
+    for (const row of existing.values()) {
+        if (row.status !== 'active') continue;
+        const covered = row.component_type === 'sim' ? simSites : routerSites;
+        if (!covered.has(row.site_id)) continue;
+        await updateComponent(row.id, { status: 'replaced' });
+        counts.replaced++;
+    }
+    return counts;
+}
+
+// Sync after an IC2 poll, at most every sync_interval_ms unless forced
+export async function runInventorySync({ force = false } = {}) {
+    if (SIMULATOR.enabled) return { error: 'Inventory sync is disabled in simulator mode', status: 400 };
+    if (!dbAvailable) return { error: 'Database not connected', status: 503 };
+    if (syncing) return { error: 'An inventory sync is already running', status: 409 };
+    if (!force && lastSync && nowMs() - lastSync.at < INVENTORY.sync_interval_ms) return lastSync;
+    const records = [...pepwaveCache.values()].filter(r => r.id != null);
+    if (records.length === 0) return { error: 'No IC2 devices polled yet', status: 400 };
+
+    syncing = true;
+    try {
+        const ts = nowMs();
+        const [stored, trailers] = await Promise.all([getInventory(), deviceTrailerMap()]);
+        const siteNames = new Map([...trailers.values()].map(t => [t.site_id, t.site_name]));
+        const prevById = new Map(stored.map(d => [d.device_id, { ...d, site_name: siteNames.get(d.site_id) || null }]));
+        const owners = new Map();
+        for (const d of stored) {
+            for (const s of d.sims) if (s.iccid) owners.set(s.iccid, { device_id: d.device_id, device_name: d.device_name });
+        }
+
+        const merged = [];
+        const changes = [];
+        for (const record of records) {
+            const [device, deviceChanges] = diffDevice(inventoryFromRecord(record), prevById.get(record.id), owners, trailers, ts);
+            merged.push(device);
+            changes.push(...deviceChanges);
+        }
+
+        // A moved SIM leaves its old slot, even when the old device is offline
+        // and didn't report its SIMs this time
+        const moves = changes.filter(c => c.field === 'sim_moved');
+        for (const m of moves) {
+            await clearInventorySimIccid(owners.get(m.to_value).device_id, m.to_value, ts);
+        }
+
+        for (const d of merged) {
+            await upsertInventoryDevice(d);
+            if (d.sims_reported) await setInventorySims(d.device_id, d.sims, ts);
+        }
+        await insertInventoryChanges(changes);
+        const components = await syncComponents(merged);
+
+        for (const s of moves) console.log(`  Inventory: SIM ${s.to_value} moved from ${s.related_device} to ${s.device_name}`);
+        console.log(`  Inventory sync: ${merged.length} devices, ${changes.length} changes, components +${components.added} ~${components.updated} -${components.replaced}`);
+        lastSync = { at: ts, devices: merged.length, changes: changes.length, sim_swaps: moves.length, components };
+        return lastSync;
+    } finally {
+        syncing = false;
+    }
+}
+
+// Current inventory with firmware drift against each model's baseline
+export async function getInventoryReport() {
+    const [devices, baselines, trailers] = await Promise.all([getInventory(), getFirmwareBaselines(), deviceTrailerMap()]);
+    const baselineByModel = new Map(baselines.map(b => [b.model, b]));
+    const siteNames = new Map([...trailers.values()].map(t => [t.site_id, t.site_name]));
+
+    const rows = devices.map(d => {
+        const baseline = baselineByModel.get(d.model)?.firmware || null;
+        return {
+            ...d,
+            site_name: siteNames.get(d.site_id) || null,
+            online: pepwaveCache.get(d.device_name)?.online ?? null,
+            baseline_firmware: baseline,
+            firmware_drift: Boolean(baseline && d.firmware && d.firmware !== baseline),
+        };
+    });
+
+    const models = new Map();
+    for (const d of rows) {
+        const key = d.model || 'Unknown';
+        if (!models.has(key)) models.set(key, { model: key, devices: 0, drifted: 0, versions: new Map() });
+        const m = models.get(key);
+        m.devices++;
+        if (d.firmware_drift) m.drifted++;
+        const fw = d.firmware || 'Unknown';
+        m.versions.set(fw, (m.versions.get(fw) || 0) + 1);
+    }
+
+    return {
+        devices: rows,
+        models: [...models.values()].map(m => ({
+            model: m.model,
+            devices: m.devices,
+            drifted: m.drifted,
+            baseline: baselineByModel.get(m.model) || null,
+            versions: [...m.versions].map(([firmware, count]) => ({ firmware, count })).sort((a, b) => b.count - a.count),
+        })).sort((a, b) => b.devices - a.devices),
+        last_sync: lastSync,
+    };
+}
+
+export async function getInventoryChangeLog({ days = INVENTORY.changes_days, deviceId = null } = {}) {
+    const since = nowMs() - Math.min(Math.max(days, 1), 730) * DAY_MS;
+    return { days, changes: await getInventoryChanges({ deviceId, since, limit: 500 }) };
+}
+
+// Match invoice ICCIDs to the trailer whose router holds them. Invoices
+// sometimes drop the Luhn check digit, so a 19-digit ICCID matches the
+// 20-digit one it prefixes.
+export async function lookupSims(inputs) {
+    const [devices, trailers] = await Promise.all([getInventory(), deviceTrailerMap()]);
+    const siteNames = new Map([...trailers.values()].map(t => [t.site_id, t.site_name]));
+    const installed = [];
+    for (const d of devices) {
+        for (const s of d.sims) {
+            if (s.iccid) installed.push({ ...s, device_name: d.device_name, site_id: d.site_id, site_name: siteNames.get(d.site_id) || null });
+        }
+    }
+    const sameSim = (a, b) => a === b || (Math.abs(a.length - b.length) === 1 && (a.startsWith(b) || b.startsWith(a)));
+
+    const results = inputs.map(input => {
+        const iccid = normalizeIccid(input);
+        const sim = iccid && installed.find(s => sameSim(s.iccid, iccid));
+        if (!sim) return { input, iccid, status: 'unknown' };
+        return {
+            input, iccid: sim.iccid, status: 'installed',
+            device_name: sim.device_name, site_id: sim.site_id, site_name: sim.site_name,
+            slot: sim.slot, carrier: sim.carrier, active: sim.active,
+        };
+    });
+
+    const unknown = results.filter(r => r.status === 'unknown' && r.iccid);
+    if (unknown.length > 0) {
+        const history = await getRemovedSimHistory(unknown.map(r => r.iccid));
+        for (const r of unknown) {
+            const last = history.find(h => sameSim(h.iccid, r.iccid));
+            if (last) Object.assign(r, { status: 'removed', iccid: last.iccid, device_name: last.device_name, slot: last.slot, removed_at: last.removed_at });
+        }
+    }
+    return {
+        results,
+        matched: results.filter(r => r.status === 'installed').length,
+        removed: results.filter(r => r.status === 'removed').length,
+        unknown: results.filter(r => r.status === 'unknown').length,
+    };
+}
@@ -0,0 +1,261 @@
+import { IRRADIANCE } from '../config.js';
+import { gpsCache, dailyEnergy, irradianceNormals, dbAvailable } from '../state.js';
+import {
+    upsertIrradianceDays, getIrradianceCoverage, getIrradianceMonthlyNormals, getIrradianceDays,
+    getDailyEnergyWithLocation, getTrailerLocationHistory, updateExpectedYield, getTrailerAssignments, getJobSites,
+} from '../db.js';
+import { locationKey } from './weather.js';
+import { getTrailerSpecs } from './hardwareProfiles.js';
+import { nowMs } from '../lib/util.js';
+
+// ============================================================
+// Irradiance history per location
+//
+// Daily PSH for every trailer and active job site location (0.1° grid,
+// the weather cache key), pulled from the Open-Meteo archive once a day or
+// imported from CSV. It feeds three things: monthly normals (the fallback
+// when the forecast API fails, and the energy planner's seasonal model),
+// and re-stamping past days' expected_yield_wh with the day's actual
+// irradiance where the trailer was that day, so solar scores and 7-day
+// averages don't carry a bad forecast — or a 5 PSH default — forever.
+// ============================================================
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+let syncedAt = 0;
+let syncing = false;
+
+function dateStr(ms) {
+    return new Date(ms).toISOString().slice(0, 10);
+}
+
+// Monthly normals from the table into state, skipping thin months
+export async function refreshIrradianceNormals() {
+    if (!dbAvailable) return;
+    try {
+        const rows = await getIrradianceMonthlyNormals();
+        irradianceNormals.clear();
+        for (const row of rows) {
+            if (!irradianceNormals.has(row.location_key)) irradianceNormals.set(row.location_key, new Array(12).fill(null));
+            if (row.days < IRRADIANCE.min_normal_days) continue;
+            irradianceNormals.get(row.location_key)[row.month - 1] = { psh: row.psh, days: row.days };
+        }
+    } catch (err) {
+        console.error('  Irradiance normals refresh failed:', err.message);
+    }
+}
+
+// [12 × { psh, days } | null] for the location, January first
+export function monthlyNormals(latitude, longitude) {
+    return irradianceNormals.get(locationKey(latitude, longitude)) || new Array(12).fill(null);
+}
+
+// Daily shortwave_radiation_sum (MJ/m²) from the Open-Meteo archive → PSH rows
+async function fetchArchive(latitude, longitude, startDate, endDate) {
+    const url = `https://archive-api.open-meteo.com/v1/archive`
+        + `?latitude=${latitude}&longitude=${longitude}`
+        + `&start_date=${startDate}&end_date=${endDate}`
+        + `&daily=shortwave_radiation_sum&timezone=auto`;
+    const res = await fetch(url);
+    if (!res.ok) throw new Error(`Open-Meteo archive ${res.status}`);
+    const json = await res.json();
+    const dates = json.daily?.time || [];
+    const radiation = json.daily?.shortwave_radiation_sum || [];
+    const key = locationKey(latitude, longitude);
+    const rows = [];
+    for (let i = 0; i < dates.length; i++) {
+        if (radiation[i] == null) continue;
+        rows.push({ location_key: key, date: dates[i], latitude, longitude, psh: radiation[i] / 3.6, source: 'open-meteo' });
+    }
+    return rows;
+}
+
+function bySite(rows) {
+    const map = new Map();
+    for (const row of rows) {
+        if (!map.has(row.site_id)) map.set(row.site_id, []);
+        map.get(row.site_id).push(row);
+    }
+    return map;
+}
+
+// Where a trailer was on a past day: the job site of the rental covering
+// it, else where GPS had it before the first move recorded after that day,
+// else its current assigned position
+function locationOnDay(history, siteId, date, current) {
+    const rental = history.rentals.get(siteId)?.find(r => r.from_date <= date && (r.to_date == null || r.to_date >= date));
+    if (rental) return rental;
+    const dayEnd = Date.parse(`${date}T00:00:00Z`) + DAY_MS;
+    const move = history.moves.get(siteId)?.find(m => m.created_at >= dayEnd);
+    if (move) return move;
+    return current.latitude != null && current.longitude != null ? current : null;
+}
+
+async function locationHistory(sinceDate) {
+    const { rentals, moves } = await getTrailerLocationHistory(sinceDate);
+    return { rentals: bySite(rentals), moves: bySite(moves) };
+}
+
+// Every location worth keeping history for: trailers (assigned position,
+// live GPS, and where they were over the re-stamp window) and active job
+// sites, one entry per grid key
+async function trackedLocations() {
+    const locations = new Map();
+    const add = (latitude, longitude) => {
+        if (latitude == null || longitude == null) return;
+        const key = locationKey(latitude, longitude);
+        if (!locations.has(key)) locations.set(key, { key, latitude: Number(latitude), longitude: Number(longitude) });
+    };
+    for (const a of await getTrailerAssignments()) add(a.latitude, a.longitude);
+    for (const gps of gpsCache.values()) add(gps.latitude, gps.longitude);
+    const { rentals, moves } = await getTrailerLocationHistory(dateStr(nowMs() - IRRADIANCE.restamp_days * DAY_MS));
+    for (const place of [...rentals, ...moves]) add(place.latitude, place.longitude);
+    for (const js of await getJobSites()) {
+        if (js.status === 'active') add(js.latitude, js.longitude);
+    }
+    return Array.from(locations.values());
+}
+
+// Recompute expected_yield_wh for past days that now have real irradiance
+export async function restampExpectedYield(sinceDate, untilDate = dateStr(nowMs() - DAY_MS)) {
+    const history = await locationHistory(sinceDate);
+    const rows = [];
+    for (const row of await getDailyEnergyWithLocation(sinceDate, untilDate)) {
+        const place = locationOnDay(history, row.site_id, row.date, row);
+        if (place) rows.push({ ...row, key: locationKey(place.latitude, place.longitude) });
+    }
+    const keys = [...new Set(rows.map(r => r.key))];
+    const pshByKeyDate = new Map(
+        (await getIrradianceDays(keys, sinceDate, untilDate)).map(d => [`${d.location_key}|${d.date}`, d.psh])
+    );
+
+    let updated = 0;
+    for (const row of rows) {
+        const psh = pshByKeyDate.get(`${row.key}|${row.date}`);
+        if (psh == null) continue;
+        const { solar } = getTrailerSpecs(row.site_id);
+        const expectedWh = Math.round(solar.total_watts * psh * solar.system_efficiency);
+        if (row.expected_yield_wh != null && Math.abs(Number(row.expected_yield_wh) - expectedWh) < 1) continue;
+        await updateExpectedYield(row.site_id, row.date, expectedWh);
+        const cached = dailyEnergy.get(row.site_id)?.[row.date];
+        if (cached) cached.expected_yield_wh = expectedWh;
+        updated++;
+    }
+    return updated;
+}
+
+// Fill each location's archive history up to archive_lag_days ago, then
+// re-stamp recent days and reload the normals. Daily from the poll loop;
+// force for the admin button and analytics backfill.
+export async function syncIrradianceHistory({ force = false, onProgress = null } = {}) {
+    if (!dbAvailable || syncing) return null;
+    if (!force && nowMs() - syncedAt < IRRADIANCE.sync_interval_ms) return null;
+    syncing = true;
+    syncedAt = nowMs();
+    try {
+        const coverage = new Map((await getIrradianceCoverage()).map(c => [c.location_key, c]));
+        const locations = await trackedLocations();
+        const targetStart = dateStr(nowMs() - IRRADIANCE.history_years * 365 * DAY_MS);
+        const targetEnd = dateStr(nowMs() - IRRADIANCE.archive_lag_days * DAY_MS);
+
+        let fetched = 0, failed = 0, requests = 0;
+        for (const [i, loc] of locations.entries()) {
+            const have = coverage.get(loc.key);
+            const start = !have || have.first_date > targetStart
+                ? targetStart
+                : dateStr(Date.parse(have.last_date) + DAY_MS);
+            if (start <= targetEnd) {
+                if (requests > 0) await new Promise(r => setTimeout(r, IRRADIANCE.request_gap_ms));
+                requests++;
+                try {
+                    const rows = await fetchArchive(loc.latitude, loc.longitude, start, targetEnd);
+                    fetched += await upsertIrradianceDays(rows);
+                } catch (err) {
+                    failed++;
+                    console.warn(`  Irradiance sync: ${loc.key} failed: ${err.message}`);
+                }
+            }
+            if (onProgress) onProgress({ done: i + 1, total: locations.length });
+        }
+
+        const restamped = await restampExpectedYield(dateStr(nowMs() - IRRADIANCE.restamp_days * DAY_MS));
+        await refreshIrradianceNormals();
+        console.log(`  ✓ Irradiance history: ${fetched} days fetched for ${requests} of ${locations.length} locations, ${restamped} expected yields re-stamped${failed ? `, ${failed} failed` : ''}`);
+        return { locations: locations.length, requests, days_fetched: fetched, failed, restamped };
+    } finally {
+        syncing = false;
+    }
+}
+
+// CSV columns: date plus one of psh / kwh_m2 (kWh/m²), mj_m2 /
+// shortwave_radiation_sum (MJ/m²) or wh_m2 (Wh/m²); optional latitude and
+// longitude columns override the location given with the upload
+const CSV_UNITS = { psh: 1, kwh_m2: 1, mj_m2: 1 / 3.6, shortwave_radiation_sum: 1 / 3.6, wh_m2: 1 / 1000 };
+
+export async function importIrradianceCsv(text, { latitude = null, longitude = null } = {}) {
+    const lines = String(text || '').split(/\r?\n/).map(l => l.trim()).filter(l => l && !l.startsWith('#'));
+    if (lines.length < 2) return { error: 'CSV needs a header row and at least one day' };
+    const header = lines[0].split(',').map(h => h.trim().toLowerCase().replace(/^"|"$/g, ''));
+    const dateCol = header.indexOf('date');
+    const valueCol = header.findIndex(h => h in CSV_UNITS);
+    if (dateCol < 0 || valueCol < 0) {
+        return { error: `Header needs "date" and one of: ${Object.keys(CSV_UNITS).join(', ')}` };
+    }
+    const scale = CSV_UNITS[header[valueCol]];
+    const latCol = header.indexOf('latitude');
+    const lonCol = header.indexOf('longitude');
+    if ((latCol < 0 || lonCol < 0) && (latitude == null || longitude == null)) {
+        return { error: 'Give latitude and longitude, or include them as columns' };
+    }
+
+    const rows = [];
+    const errors = [];
+    for (const [i, line] of lines.slice(1).entries()) {
+        const cells = line.split(',').map(c => c.trim().replace(/^"|"$/g, ''));
+        const date = cells[dateCol];
+        const value = Number(cells[valueCol]);
+        const lat = latCol >= 0 && cells[latCol] !== '' ? Number(cells[latCol]) : Number(latitude);
+        const lon = lonCol >= 0 && cells[lonCol] !== '' ? Number(cells[lonCol]) : Number(longitude);
+        if (!/^\d{4}-\d{2}-\d{2}$/.test(date || '') || isNaN(Date.parse(date))) {
+            errors.push(`Line ${i + 2}: bad date "${date ?? ''}"`);
+        } else if (!Number.isFinite(value) || value < 0) {
+            errors.push(`Line ${i + 2}: bad value "${cells[valueCol] ?? ''}"`);
+        } else if (!Number.isFinite(lat) || !Number.isFinite(lon) || Math.abs(lat) > 90 || Math.abs(lon) > 180) {
+            errors.push(`Line ${i + 2}: bad location`);
+        } else {
+            rows.push({ location_key: locationKey(lat, lon), date, latitude: lat, longitude: lon, psh: value * scale, source: 'csv' });
+        }
+    }
+    if (rows.length === 0) return { error: errors[0] || 'No usable rows', errors };
+
+    const imported = await upsertIrradianceDays(rows);
+    const dates = rows.map(r => r.date).sort();
+    const restamped = await restampExpectedYield(dates[0], dates[dates.length - 1]);
+    await refreshIrradianceNormals();
+    return {
+        imported,
+        skipped: errors.length,
+        errors: errors.slice(0, 20),
+        locations: new Set(rows.map(r => r.location_key)).size,
+        first_date: dates[0],
+        last_date: dates[dates.length - 1],
+        restamped,
+    };
+}
+
+// Month-by-month expected yield for one trailer from its location's normals
+export function getMonthlyExpectedYield(siteId) {
+    const gps = gpsCache.get(siteId);
+    if (!gps) return null;
+    const { solar } = getTrailerSpecs(siteId);
+    const normals = monthlyNormals(gps.latitude, gps.longitude);
+    return {
+        site_id: siteId,
+        location_key: locationKey(gps.latitude, gps.longitude),
+        months: normals.map((n, m) => ({
+            month: m + 1,
+            psh: n ? Math.round(n.psh * 100) / 100 : null,
+            days: n?.days ?? 0,
+            expected_yield_wh: n ? Math.round(solar.total_watts * n.psh * solar.system_efficiency) : null,
+        })),
+    };
+}
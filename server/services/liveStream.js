@@ -0,0 +1,158 @@
+import { LIVE_STREAM } from '../config.js';
+import { lastIc2Poll } from '../state.js';
+import { summarizePepwaveDevice } from './ic2Client.js';
+
+// ============================================================
+// Live stream (Server-Sent Events)
+//
+// Pages open one EventSource on /api/stream and merge what arrives into
+// the state they fetched: changed snapshots and Pepwave devices after
+// each poll, the current alert list when it changes, alert open/resolve,
+// in-app notifications (to their user only) and rental events. Every
+// event gets an increasing id prefixed with this process's boot epoch
+// ("<epoch>-<seq>"); a client reconnecting with Last-Event-ID is replayed
+// what it missed, or told to `reset` (refetch) when it fell out of the
+// replay buffer or its id is from before a server restart.
+// ============================================================
+const BOOT_EPOCH = Date.now().toString(36);
+const clients = new Map();      // clientId -> { res, user }
+const replay = [];              // [{ id, type, data, userId }]
+let nextEventId = 1;
+let nextClientId = 1;
+let heartbeat = null;
+
+// Pending per-poll deltas, flushed together after LIVE_STREAM.flush_ms
+const pendingSnapshots = new Map();     // siteId -> snapshot
+const pendingDevices = new Map();       // deviceName -> device summary
+const lastSignatures = new Map();       // "site:id" | "device:name" -> JSON of last published
+let flushTimer = null;
+let lastAlertsSignature = null;
+
+function write(res, id, type, data) {
+    res.write(`id: ${BOOT_EPOCH}-${id}\nevent: ${type}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+// Last-Event-ID → sequence number in this boot, null when from another one
+function parseEventId(value) {
+    const [epoch, seq] = String(value).split('-');
+    const id = parseInt(seq);
+    return epoch === BOOT_EPOCH && Number.isFinite(id) && id < nextEventId ? id : null;
+}
+
+function visibleTo(event, user) {
+    return event.userId == null || event.userId === user.id;
+}
+
+// userId: deliver only to that user's connections (notifications)
+export function publishStreamEvent(type, data, { userId = null } = {}) {
+    const event = { id: nextEventId++, type, data, userId };
+    replay.push(event);
+    if (replay.length > LIVE_STREAM.replay_size) replay.shift();
+    for (const { res, user } of clients.values()) {
+        if (!visibleTo(event, user)) continue;
+        try { write(res, event.id, type, data); } catch { /* closed; cleaned up on 'close' */ }
+    }
+}
+
+export function getStreamClientCount() {
+    return clients.size;
+}
+
+export function openStream(req, res) {
+    res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache, no-transform',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no',
+    });
+    res.write(`retry: ${LIVE_STREAM.retry_ms}\n\n`);
+
+    const user = req.user;
+    const lastEventId = req.headers['last-event-id'] || req.query.last_event_id;
+    if (lastEventId) {
+        const lastId = parseEventId(lastEventId);
+        if (lastId === null) {
+            write(res, nextEventId - 1, 'reset', { reason: 'server_restarted' });
+        } else if (replay.length > 0 && replay[0].id <= lastId + 1) {
+            // Replay if nothing between lastId and the buffer start was dropped
+            for (const event of replay) {
+                if (event.id > lastId && visibleTo(event, user)) write(res, event.id, event.type, event.data);
+            }
+        } else if (lastId < nextEventId - 1) {
+            write(res, nextEventId - 1, 'reset', { reason: 'replay_unavailable' });
+        }
+    }
+    write(res, nextEventId - 1, 'hello', { server_time: Date.now(), last_event_id: `${BOOT_EPOCH}-${nextEventId - 1}` });
+
+    const clientId = nextClientId++;
+    clients.set(clientId, { res, user });
+    if (!heartbeat) {
+        heartbeat = setInterval(() => {
+            for (const { res: r } of clients.values()) {
+                try { r.write(`: ping ${Date.now()}\n\n`); } catch { }
+            }
+        }, LIVE_STREAM.heartbeat_ms);
+    }
+
+    req.on('close', () => {
+        clients.delete(clientId);
+        if (clients.size === 0 && heartbeat) {
+            clearInterval(heartbeat);
+            heartbeat = null;
+        }
+    });
+}
+
+// ============================================================
+// Poll deltas
+// ============================================================
+function scheduleFlush() {
+    if (flushTimer) return;
+    flushTimer = setTimeout(flushDeltas, LIVE_STREAM.flush_ms);
+}
+
+function flushDeltas() {
+    flushTimer = null;
+    if (pendingSnapshots.size > 0) {
+        publishStreamEvent('snapshots', { records: Array.from(pendingSnapshots.values()) });
+        pendingSnapshots.clear();
+    }
+    if (pendingDevices.size > 0) {
+        publishStreamEvent('pepwave', { devices: Object.fromEntries(pendingDevices), last_poll: lastIc2Poll });
+        pendingDevices.clear();
+    }
+}
+
+// Compare without the poll timestamps, which change every time
+function changed(key, value, ignore) {
+    const { [ignore[0]]: _a, [ignore[1]]: _b, ...rest } = value;
+    const signature = JSON.stringify(rest);
+    if (lastSignatures.get(key) === signature) return false;
+    lastSignatures.set(key, signature);
+    return true;
+}
+
+// Called from ingestSnapshot for every source (and the simulator)
+export function queueSnapshotDelta(snapshot) {
+    if (clients.size === 0) return;
+    if (!changed(`site:${snapshot.site_id}`, snapshot, ['timestamp', 'vrm_timestamp'])) return;
+    pendingSnapshots.set(snapshot.site_id, snapshot);
+    scheduleFlush();
+}
+
+// Called from ingestPepwaveRecord; same shape as /api/fleet/combined
+export function queuePepwaveDelta(record) {
+    if (clients.size === 0) return;
+    const summary = summarizePepwaveDevice(record);
+    if (!changed(`device:${record.name}`, summary, ['uptime', 'usage_mb'])) return;
+    pendingDevices.set(record.name, summary);
+    scheduleFlush();
+}
+
+// The alert list after each post-poll round, only when it changed
+export function publishAlerts(alerts) {
+    const signature = JSON.stringify(alerts.map(a => [a.site_id, a.severity, a.streak_days]));
+    if (signature === lastAlertsSignature) return;
+    lastAlertsSignature = signature;
+    publishStreamEvent('alerts', { alerts });
+}
@@ -0,0 +1,89 @@
+import { LOAD_PROFILE } from '../config.js';
+import { loadProfiles, snapshotCache, dbAvailable } from '../state.js';
+import { getHourOfWeekLoadProfiles } from '../db.js';
+import { hasVrmData, nowMs } from '../lib/util.js';
+
+// ============================================================
+// Learned load profile + consumption anomalies
+//
+// Each trailer's load is learned per hour of the week from the last
+// LOAD_PROFILE.history_days of site_snapshots. The live load is scored
+// against its bin in standard deviations; the load_anomaly_sigma alert
+// metric (Load above / below normal rules) turns a sustained score into
+// an action-queue item — a light left on overnight, a dead camera, a
+// heater the customer plugged in.
+// ============================================================
+const DAY_NAMES = ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun'];
+
+let refreshedAt = 0;
+
+export function hourOfWeek(ms) {
+    const d = new Date(ms);
+    return ((d.getUTCDay() + 6) % 7) * 24 + d.getUTCHours();
+}
+
+export function hourOfWeekLabel(how) {
+    return `${DAY_NAMES[Math.floor(how / 24)]} ${String(how % 24).padStart(2, '0')}:00 UTC`;
+}
+
+// Same tiers as LOAD_WATTS_SQL in db/energy.js
+export function loadWatts(snapshot) {
+    if (snapshot.dc_load_watts != null) return snapshot.dc_load_watts;
+    if (snapshot.load_current != null && snapshot.battery_voltage != null) {
+        return Math.abs(snapshot.load_current) * snapshot.battery_voltage;
+    }
+    if (snapshot.battery_power != null) return Math.max((snapshot.solar_watts || 0) - snapshot.battery_power, 0);
+    return null;
+}
+
+export async function refreshLoadProfiles() {
+    if (!dbAvailable || nowMs() - refreshedAt < LOAD_PROFILE.refresh_ms) return;
+    refreshedAt = nowMs();
+    try {
+        const rows = await getHourOfWeekLoadProfiles(LOAD_PROFILE.history_days);
+        loadProfiles.clear();
+        for (const row of rows) {
+            if (!loadProfiles.has(row.site_id)) loadProfiles.set(row.site_id, new Array(168).fill(null));
+            loadProfiles.get(row.site_id)[row.how] = {
+                mean_w: Number(row.mean_w),
+                std_w: row.std_w != null ? Number(row.std_w) : 0,
+                samples: row.samples,
+            };
+        }
+        console.log(`  ✓ Load profiles learned for ${loadProfiles.size} trailers`);
+    } catch (err) {
+        console.error('  Load profile refresh failed:', err.message);
+    }
+}
+
+// Learned bin for the given time, or null while it has too few samples
+export function expectedLoad(siteId, ms) {
+    const bin = loadProfiles.get(siteId)?.[hourOfWeek(ms)];
+    return bin && bin.samples >= LOAD_PROFILE.min_samples ? bin : null;
+}
+
+export function anomalySigma(actualW, bin) {
+    const spread = Math.max(bin.std_w, LOAD_PROFILE.sigma_floor_w, LOAD_PROFILE.sigma_floor_pct * bin.mean_w);
+    return (actualW - bin.mean_w) / spread;
+}
+
+// Live load vs the learned profile for one trailer
+export function getLoadAnomaly(siteId) {
+    const snapshot = snapshotCache.get(siteId);
+    if (!snapshot || !hasVrmData(snapshot)) return null;
+    const actualW = loadWatts(snapshot);
+    if (actualW === null) return null;
+    const at = snapshot.vrm_timestamp || nowMs();
+    const bin = expectedLoad(siteId, at);
+    if (!bin) return { status: 'learning', actual_w: Math.round(actualW), expected_w: null, sigma: null, hour_of_week: hourOfWeek(at) };
+    const sigma = Math.round(anomalySigma(actualW, bin) * 10) / 10;
+    return {
+        status: sigma >= 3 ? 'high' : sigma <= -3 ? 'low' : 'normal',
+        actual_w: Math.round(actualW),
+        expected_w: Math.round(bin.mean_w),
+        std_w: Math.round(bin.std_w),
+        sigma,
+        hour_of_week: hourOfWeek(at),
+        hour_label: hourOfWeekLabel(hourOfWeek(at)),
+    };
+}
@@ -0,0 +1,311 @@
+import { NETWORK_ANALYTICS } from '../config.js';
+import { gpsCache, ic2DeviceIdToName } from '../state.js';
+import { getCarrierDeviceStats, getDeviceSignalDays, getTrailerAssignments } from '../db.js';
+import { nowMs } from '../lib/util.js';
+
+// ============================================================
+// Carrier analytics
+//
+// Which carrier actually works at a job site? Each device's hourly
+// rollups over the window give its carrier (the one it spent most hours
+// on), sample-weighted RSRP / RSRQ / SINR and uptime. Devices are grouped
+// by job site or by a coarse lat/lon cell (region), and carriers ranked
+// within each group by a score that weights signal against uptime. A
+// trailer whose carrier is well below the best carrier measured around it
+// is flagged, and each device's daily RSRP over the last weeks is fitted
+// with a line to catch slow degradation.
+// ============================================================
+const DAY_MS = 24 * 60 * 60 * 1000;
+const WEEK_MS = 7 * DAY_MS;
+
+const round1 = v => v == null ? null : Math.round(v * 10) / 10;
+
+// RSRP -120 dBm → 0, -80 dBm → 100
+function signalScore(rsrp) {
+    if (rsrp == null) return null;
+    return Math.max(0, Math.min(100, (rsrp + 120) / 40 * 100));
+}
+
+function regionOf(latitude, longitude) {
+    if (latitude == null || longitude == null) return null;
+    const g = NETWORK_ANALYTICS.region_grid_deg;
+    const lat = Math.floor(latitude / g) * g;
+    const lon = Math.floor(longitude / g) * g;
+    return { key: `${lat},${lon}`, latitude: lat, longitude: lon };
+}
+
+// Hours-weighted mean of a field across devices
+function weightedMean(items, field) {
+    let sum = 0, weight = 0;
+    for (const item of items) {
+        if (item[field] == null) continue;
+        sum += item[field] * item.hours;
+        weight += item.hours;
+    }
+    return weight > 0 ? sum / weight : null;
+}
+
+// device_name → trailer, job site, company and location
+export async function deviceTrailerMap() {
+    const byDevice = new Map();
+    for (const a of await getTrailerAssignments()) {
+        const gps = gpsCache.get(a.site_id);
+        const latitude = gps?.latitude ?? a.last_gps_lat ?? a.latitude;
+        const longitude = gps?.longitude ?? a.last_gps_lon ?? a.longitude;
+        const entry = {
+            site_id: a.site_id,
+            site_name: a.site_name,
+            job_site_id: a.job_site_id,
+            job_site_name: a.job_site_name,
+            company_id: a.company_id,
+            region: regionOf(latitude, longitude),
+        };
+        byDevice.set(a.site_name, entry);
+        const ic2Name = a.ic2_device_id ? ic2DeviceIdToName.get(a.ic2_device_id) : null;
+        if (ic2Name && !byDevice.has(ic2Name)) byDevice.set(ic2Name, entry);
+    }
+    return byDevice;
+}
+
+// Per-device summary: primary carrier's signal, uptime over every hour
+function summarizeDevices(rows, trailers) {
+    const byDevice = new Map();
+    for (const row of rows) {
+        if (!byDevice.has(row.device_name)) byDevice.set(row.device_name, []);
+        byDevice.get(row.device_name).push(row);
+    }
+    const devices = [];
+    for (const [name, carrierRows] of byDevice) {
+        const onCarrier = carrierRows.filter(r => r.carrier);
+        if (onCarrier.length === 0) continue;
+        const primary = onCarrier.reduce((a, b) => (b.hours > a.hours ? b : a));
+        const totalSamples = carrierRows.reduce((s, r) => s + r.samples, 0);
+        const onlineSamples = carrierRows.reduce((s, r) => s + (r.online_pct != null ? r.online_pct * r.samples : 0), 0);
+        const trailer = trailers.get(name) || null;
+        devices.push({
+            device_name: name,
+            site_id: trailer?.site_id ?? null,
+            site_name: trailer?.site_name ?? null,
+            job_site_id: trailer?.job_site_id ?? null,
+            job_site_name: trailer?.job_site_name ?? null,
+            region: trailer?.region?.key ?? null,
+            carrier: primary.carrier,
+            technology: primary.technology,
+            carriers_seen: onCarrier.length,
+            hours: primary.hours,
+            rsrp: primary.rsrp,
+            rsrq: primary.rsrq,
+            sinr: primary.sinr,
+            online_pct: totalSamples > 0 ? onlineSamples / totalSamples : null,
+        });
+    }
+    return devices;
+}
+
+// Carriers among a set of devices, best first
+function rankCarriers(devices) {
+    const byCarrier = new Map();
+    for (const d of devices) {
+        if (d.hours < NETWORK_ANALYTICS.min_hours) continue;
+        if (!byCarrier.has(d.carrier)) byCarrier.set(d.carrier, []);
+        byCarrier.get(d.carrier).push(d);
+    }
+    const carriers = [...byCarrier.entries()].map(([carrier, members]) => {
+        const rsrp = weightedMean(members, 'rsrp');
+        const onlinePct = weightedMean(members, 'online_pct');
+        const signal = signalScore(rsrp);
+        const score = signal == null ? null
+            : signal * NETWORK_ANALYTICS.signal_weight + (onlinePct ?? 0) * NETWORK_ANALYTICS.uptime_weight;
+        return {
+            carrier,
+            devices: members.length,
+            device_hours: members.reduce((s, d) => s + d.hours, 0),
+            rsrp: round1(rsrp),
+            rsrq: round1(weightedMean(members, 'rsrq')),
+            sinr: round1(weightedMean(members, 'sinr')),
+            online_pct: round1(onlinePct),
+            signal_score: round1(signal),
+            score: round1(score),
+        };
+    });
+    carriers.sort((a, b) => (b.score ?? -1) - (a.score ?? -1));
+    return carriers.map((c, i) => ({ ...c, rank: i + 1 }));
+}
+
+function buildGroups(devices, groupBy) {
+    const groups = new Map();
+    for (const d of devices) {
+        const key = groupBy === 'region' ? d.region : d.job_site_id;
+        if (key == null) continue;
+        if (!groups.has(key)) {
+            groups.set(key, {
+                key: String(key),
+                name: groupBy === 'region' ? null : d.job_site_name,
+                devices: [],
+                job_sites: new Set(),
+            });
+        }
+        const group = groups.get(key);
+        group.devices.push(d);
+        if (d.job_site_name) group.job_sites.add(d.job_site_name);
+    }
+    return [...groups.values()].map(g => {
+        const jobSites = [...g.job_sites].sort();
+        const carriers = rankCarriers(g.devices);
+        return {
+            key: g.key,
+            name: g.name || (jobSites.length > 0 ? `Near ${jobSites.slice(0, 3).join(', ')}` : `Cell ${g.key}`),
+            job_sites: jobSites,
+            device_count: g.devices.length,
+            best_carrier: carriers[0]?.carrier ?? null,
+            carriers,
+        };
+    }).sort((a, b) => a.name.localeCompare(b.name, undefined, { numeric: true }));
+}
+
+// A device whose carrier measures well below the best carrier at its job
+// site — or in its region, when everyone at the site is on one carrier
+function findWeakerCarrierDevices(devices) {
+    const ranked = new Map();
+    const rankingFor = (kind, key) => {
+        const id = `${kind}|${key}`;
+        if (!ranked.has(id)) {
+            const field = kind === 'job_site' ? 'job_site_id' : 'region';
+            ranked.set(id, rankCarriers(devices.filter(d => d[field] === key)));
+        }
+        return ranked.get(id);
+    };
+
+    const flagged = [];
+    for (const d of devices) {
+        if (d.hours < NETWORK_ANALYTICS.min_hours || d.rsrp == null) continue;
+        const scopes = [];
+        if (d.job_site_id != null) scopes.push(['job_site', d.job_site_id, d.job_site_name]);
+        if (d.region != null) scopes.push(['region', d.region, null]);
+        for (const [kind, key, label] of scopes) {
+            const carriers = rankingFor(kind, key);
+            if (carriers.length < 2) continue;
+            const best = carriers[0];
+            const own = carriers.find(c => c.carrier === d.carrier);
+            if (!own || best.carrier === d.carrier || best.rsrp == null || own.rsrp == null) break;
+            const gap = best.rsrp - own.rsrp;
+            if (gap >= NETWORK_ANALYTICS.weaker_rsrp_db) {
+                flagged.push({
+                    device_name: d.device_name,
+                    site_id: d.site_id,
+                    site_name: d.site_name,
+                    job_site_name: d.job_site_name,
+                    carrier: d.carrier,
+                    rsrp: round1(d.rsrp),
+                    carrier_rsrp: own.rsrp,
+                    best_carrier: best.carrier,
+                    best_carrier_rsrp: best.rsrp,
+                    best_carrier_devices: best.devices,
+                    rsrp_gap_db: round1(gap),
+                    compared_within: kind,
+                    compared_within_name: label || `Cell ${key}`,
+                });
+            }
+            break;
+        }
+    }
+    return flagged.sort((a, b) => b.rsrp_gap_db - a.rsrp_gap_db);
+}
+
+// Least-squares slope of daily RSRP on the device's current carrier, in dB/week
+function signalTrends(dayRows, trailers) {
+    const byDevice = new Map();
+    for (const row of dayRows) {
+        if (row.rsrp == null) continue;
+        if (!byDevice.has(row.device_name)) byDevice.set(row.device_name, []);
+        byDevice.get(row.device_name).push(row);
+    }
+    const trends = [];
+    for (const [name, rows] of byDevice) {
+        const carrier = rows[rows.length - 1].carrier;
+        const days = rows.filter(r => r.carrier === carrier);
+        if (days.length < NETWORK_ANALYTICS.trend_min_days) continue;
+        const xs = days.map(r => Number(r.bucket_ts) / DAY_MS);
+        const ys = days.map(r => r.rsrp);
+        const mx = xs.reduce((s, v) => s + v, 0) / xs.length;
+        const my = ys.reduce((s, v) => s + v, 0) / ys.length;
+        let sxy = 0, sxx = 0;
+        for (let i = 0; i < xs.length; i++) {
+            sxy += (xs[i] - mx) * (ys[i] - my);
+            sxx += (xs[i] - mx) ** 2;
+        }
+        if (sxx === 0) continue;
+        const slopeWeek = sxy / sxx * 7;
+        const trailer = trailers.get(name);
+        trends.push({
+            device_name: name,
+            site_id: trailer?.site_id ?? null,
+            job_site_name: trailer?.job_site_name ?? null,
+            carrier,
+            days: days.length,
+            first_week_rsrp: round1(ys.slice(0, 7).reduce((s, v) => s + v, 0) / Math.min(7, ys.length)),
+            last_week_rsrp: round1(ys.slice(-7).reduce((s, v) => s + v, 0) / Math.min(7, ys.length)),
+            slope_db_per_week: round1(slopeWeek),
+            degrading: slopeWeek <= NETWORK_ANALYTICS.degrading_db_per_week,
+        });
+    }
+    return trends.sort((a, b) => a.slope_db_per_week - b.slope_db_per_week);
+}
+
+// Fleet-wide weekly RSRP and uptime per carrier, oldest week first
+function carrierWeeklyTrend(dayRows, startTs, endTs) {
+    const weeks = Math.max(1, Math.ceil((endTs - startTs) / WEEK_MS));
+    const series = new Map();
+    for (const row of dayRows) {
+        const ts = Number(row.bucket_ts);
+        if (!row.carrier || ts < startTs) continue;
+        const week = weeks - 1 - Math.floor((endTs - 1 - ts) / WEEK_MS);
+        if (week < 0) continue;
+        if (!series.has(row.carrier)) {
+            series.set(row.carrier, Array.from({ length: weeks }, () => ({ rsrp: 0, rsrpW: 0, online: 0, onlineW: 0 })));
+        }
+        const bucket = series.get(row.carrier)[week];
+        if (row.rsrp != null) { bucket.rsrp += row.rsrp * row.samples; bucket.rsrpW += row.samples; }
+        if (row.online_pct != null) { bucket.online += row.online_pct * row.samples; bucket.onlineW += row.samples; }
+    }
+    return {
+        weeks: Array.from({ length: weeks }, (_, i) => new Date(endTs - (weeks - i) * WEEK_MS).toISOString().slice(0, 10)),
+        carriers: [...series.entries()].map(([carrier, buckets]) => ({
+            carrier,
+            rsrp: buckets.map(b => (b.rsrpW > 0 ? round1(b.rsrp / b.rsrpW) : null)),
+            online_pct: buckets.map(b => (b.onlineW > 0 ? round1(b.online / b.onlineW) : null)),
+        })).sort((a, b) => a.carrier.localeCompare(b.carrier)),
+    };
+}
+
+export async function getCarrierAnalytics({ days = NETWORK_ANALYTICS.default_days, groupBy = 'job_site' } = {}) {
+    const span = Math.min(Math.max(1, days), NETWORK_ANALYTICS.max_days);
+    const end = nowMs();
+    const start = end - span * DAY_MS;
+    const trendStart = end - NETWORK_ANALYTICS.trend_days * DAY_MS;
+
+    const trailers = await deviceTrailerMap();
+    const devices = summarizeDevices(await getCarrierDeviceStats(start), trailers);
+    const dayRows = await getDeviceSignalDays(Math.min(start, trendStart));
+    const trends = signalTrends(dayRows.filter(r => Number(r.bucket_ts) >= trendStart), trailers);
+
+    return {
+        days: span,
+        group_by: groupBy,
+        generated_at: end,
+        device_count: devices.length,
+        carriers: rankCarriers(devices),
+        groups: buildGroups(devices, groupBy),
+        weaker_carrier: findWeakerCarrierDevices(devices),
+        degrading: trends.filter(t => t.degrading),
+        trends,
+        carrier_trend: carrierWeeklyTrend(dayRows, start, end),
+        devices: devices.map(d => ({
+            ...d,
+            rsrp: round1(d.rsrp),
+            rsrq: round1(d.rsrq),
+            sinr: round1(d.sinr),
+            online_pct: round1(d.online_pct),
+        })),
+    };
+}
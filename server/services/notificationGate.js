@@ -0,0 +1,59 @@
+import { NOTIFICATION_WINDOWS_MS } from '../config.js';
+import { claimNotification, releaseNotification } from '../db.js';
+import { dbAvailable } from '../state.js';
+import { nowMs } from '../lib/util.js';
+
+// ============================================================
+// Notification gate: one dedupe / cooldown check for every channel
+// (alert, rule_alert, resolved, geofence, mention, digest), keyed by
+// notification type + entity. State lives in notification_log so a
+// redeploy doesn't re-send every open alert; without a database (or if
+// the query fails) an in-memory map keeps the old per-process behaviour.
+// ============================================================
+const memoryLog = new Map(); // "type:entity" -> last sent (ms)
+
+function windowFor(type) {
+    return NOTIFICATION_WINDOWS_MS[type] ?? NOTIFICATION_WINDOWS_MS.alert;
+}
+
+function claimInMemory(type, entityKey, windowMs, now) {
+    const key = `${type}:${entityKey}`;
+    const last = memoryLog.get(key);
+    if (last !== undefined && last <= now && now - last < windowMs) return false;
+    memoryLog.set(key, now);
+    return true;
+}
+
+// Claim the right to send; true means go ahead
+export async function shouldNotify(type, entityKey) {
+    const windowMs = windowFor(type);
+    const now = nowMs();
+    if (dbAvailable) {
+        try {
+            return await claimNotification(type, entityKey, windowMs, now);
+        } catch (err) {
+            console.warn(`  ⚠ Notification log unavailable (${err.message}), using in-memory dedupe`);
+        }
+    }
+    return claimInMemory(type, entityKey, windowMs, now);
+}
+
+// Send failed: drop the claim so the next attempt goes through
+export async function notificationFailed(type, entityKey) {
+    memoryLog.delete(`${type}:${entityKey}`);
+    if (dbAvailable) await releaseNotification(type, entityKey).catch(() => { });
+}
+
+// Claim, send, and release the claim if sending throws. Resolves to
+// whether the notification went out; errors are logged, not thrown.
+export async function notifyOnce(type, entityKey, send) {
+    if (!(await shouldNotify(type, entityKey))) return false;
+    try {
+        await send();
+        return true;
+    } catch (err) {
+        console.error(`  ${type} notification failed:`, err.message);
+        await notificationFailed(type, entityKey);
+        return false;
+    }
+}
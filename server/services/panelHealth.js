@@ -0,0 +1,256 @@
+import { PANEL_HEALTH } from '../config.js';
+import { panelHealth, dailyEnergy, gpsCache, snapshotCache, solarScoreConfig, dbAvailable } from '../state.js';
+import { getHourlySolar, getMaintenanceByTitle, getIssueTemplates } from '../db.js';
+import { computeAstronomicalPSH } from './weather.js';
+import { astronomicalPshBetween } from './socForecast.js';
+import { getTrailerSpecs } from './hardwareProfiles.js';
+import { nowMs } from '../lib/util.js';
+
+// ============================================================
+// Panel soiling / shading detection
+//
+// The solar score compares a day's yield with its weather-adjusted
+// expectation, so a dirty array, a cloudy week and a trailer parked in a
+// building's shadow all look alike. Here only clear days count, and only
+// their unthrottled hours: each hour's output is compared with the
+// clear-sky curve scaled to that day's measured irradiance. Then
+//   - one part of the day consistently short (midday notch, morning or
+//     afternoon) → shading
+//   - a sudden step down between clear days, or next to nothing on a
+//     clear day → hardware fault
+//   - an even loss across the day, usually drifting down → soiling, which
+//     suggests the Panel Cleaning issue template
+// Days before the last completed cleaning are ignored.
+// ============================================================
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+let refreshedAt = 0;
+let cleaningTemplate = null;
+
+function median(values) {
+    if (values.length === 0) return null;
+    const sorted = [...values].sort((a, b) => a - b);
+    const mid = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+const round2 = v => v == null ? null : Math.round(v * 100) / 100;
+
+function dayOfYear(ms) {
+    const d = new Date(ms);
+    return Math.floor((ms - Date.UTC(d.getUTCFullYear(), 0, 0)) / DAY_MS);
+}
+
+// hours: [{ hour_start, avg_w, samples, throttled }] for one site, oldest first.
+// dailyPsh: date → measured peak sun hours. cleanedAt: ms of the last cleaning.
+export function analyzePanelHealth({ hours, dailyPsh, latitude, longitude, ratedW, efficiency, cleanedAt = null }) {
+    // Group by local solar day so a US afternoon isn't split at UTC midnight
+    const solarOffsetMs = longitude / 15 * HOUR_MS;
+    const byDate = new Map();
+    for (const h of hours) {
+        if (cleanedAt && h.hour_start < cleanedAt) continue;
+        const date = new Date(h.hour_start + solarOffsetMs).toISOString().slice(0, 10);
+        if (!byDate.has(date)) byDate.set(date, []);
+        byDate.get(date).push(h);
+    }
+
+    // Per clear day: delivered ÷ expected over its usable hours, and each
+    // hour's ratio keyed by whole hours from solar noon
+    const days = [];
+    for (const [date, dayHours] of byDate) {
+        const dayStart = Date.parse(date + 'T00:00:00Z') - solarOffsetMs;
+        const psh = dailyPsh[date];
+        const clearSkyPsh = computeAstronomicalPSH(latitude, dayOfYear(dayStart + DAY_MS / 2));
+        if (!psh || !clearSkyPsh) continue;
+        const clearness = psh / clearSkyPsh;
+        if (clearness < PANEL_HEALTH.clear_sky_index) continue;
+
+        const expectedOf = t => astronomicalPshBetween(latitude, longitude, t, t + HOUR_MS) * (psh / clearSkyPsh) * ratedW * efficiency;
+        let peak = 0;
+        for (let t = dayStart; t < dayStart + DAY_MS; t += HOUR_MS) peak = Math.max(peak, expectedOf(t));
+        if (peak === 0) continue;
+
+        let actual = 0, expected = 0;
+        const hourRatios = [];
+        for (const h of dayHours) {
+            if (h.throttled || h.samples < 3) continue;
+            const exp = expectedOf(h.hour_start);
+            if (exp < peak * PANEL_HEALTH.min_hour_fraction) continue;
+            actual += h.avg_w;
+            expected += exp;
+            const fromNoon = Math.round((h.hour_start + HOUR_MS / 2 - dayStart) / HOUR_MS - 12);
+            hourRatios.push({ from_noon: fromNoon, ratio: h.avg_w / exp });
+        }
+        if (hourRatios.length < PANEL_HEALTH.min_hours_per_day) continue;
+        days.push({ date, ratio: actual / expected, clearness, hours: hourRatios });
+    }
+    days.sort((a, b) => a.date.localeCompare(b.date));
+
+    const result = {
+        status: 'insufficient_data',
+        classification: null,
+        confidence: null,
+        performance_ratio: null,
+        trend_pct_per_week: null,
+        clear_days: days.length,
+        shading: null,
+        step: null,
+        cleaned_at: cleanedAt,
+        reason: `Needs ${PANEL_HEALTH.min_clear_days} clear days with unthrottled charging (has ${days.length})`,
+        days: days.map(d => ({ date: d.date, ratio: round2(d.ratio), clearness: round2(d.clearness) })),
+        hour_profile: [],
+    };
+    if (days.length < PANEL_HEALTH.min_clear_days) return result;
+
+    // Intraday shape: each hour relative to that day's best hours
+    const relByHour = new Map();
+    for (const d of days) {
+        const best = Math.max(...d.hours.map(h => h.ratio));
+        if (best <= 0) continue;
+        for (const h of d.hours) {
+            if (!relByHour.has(h.from_noon)) relByHour.set(h.from_noon, []);
+            relByHour.get(h.from_noon).push(h.ratio / best);
+        }
+    }
+    const profile = [...relByHour.entries()]
+        .filter(([, v]) => v.length >= Math.min(3, days.length))
+        .map(([fromNoon, v]) => ({ from_noon: fromNoon, ratio: median(v) }))
+        .sort((a, b) => a.from_noon - b.from_noon);
+    result.hour_profile = profile.map(p => ({ from_noon: p.from_noon, ratio: round2(p.ratio) }));
+
+    const ratios = days.map(d => d.ratio);
+    const recent = median(ratios.slice(-PANEL_HEALTH.recent_days));
+    result.performance_ratio = round2(recent);
+
+    // Gradual trend (ratio per week) over the clear days
+    const xs = days.map(d => Date.parse(d.date) / DAY_MS);
+    const mx = xs.reduce((s, v) => s + v, 0) / xs.length;
+    const my = ratios.reduce((s, v) => s + v, 0) / ratios.length;
+    let sxy = 0, sxx = 0;
+    xs.forEach((x, i) => { sxy += (x - mx) * (ratios[i] - my); sxx += (x - mx) ** 2; });
+    const perWeek = sxx > 0 ? sxy / sxx * 7 : 0;
+    result.trend_pct_per_week = Math.round(perWeek * 1000) / 10 || 0;
+
+    // Largest step between the clear days before and after a split
+    let step = null;
+    for (let i = 1; i < days.length; i++) {
+        const before = median(ratios.slice(Math.max(0, i - 3), i));
+        const after = median(ratios.slice(i, i + 3));
+        if (!step || before - after > step.drop) step = { date: days[i].date, drop: before - after, before, after };
+    }
+
+    const shaded = profile.filter(p => p.ratio < PANEL_HEALTH.shade_hour_ratio);
+    const healthy = recent >= PANEL_HEALTH.healthy_ratio;
+    const pct = Math.round(recent * 100);
+
+    if (ratios.slice(-PANEL_HEALTH.recent_days).some(r => r < PANEL_HEALTH.fault_floor)
+        || (step && step.drop >= PANEL_HEALTH.fault_step && step.after < PANEL_HEALTH.healthy_ratio)) {
+        const sudden = step && step.drop >= PANEL_HEALTH.fault_step;
+        result.status = 'degraded';
+        result.classification = 'hardware_fault';
+        result.confidence = sudden ? 'high' : 'medium';
+        result.step = sudden ? { date: step.date, before: round2(step.before), after: round2(step.after) } : null;
+        result.reason = sudden
+            ? `Output dropped from ${Math.round(step.before * 100)}% to ${Math.round(step.after * 100)}% of expected on clear days around ${step.date} — check panels, wiring and the charge controller`
+            : `Next to no output on a recent clear day (${pct}% of expected)`;
+    } else if (shaded.length > 0 && shaded.length < profile.length && (!healthy || shaded.length >= 2)) {
+        const early = shaded.filter(p => p.from_noon < -1).length;
+        const late = shaded.filter(p => p.from_noon > 1).length;
+        const midday = shaded.length - early - late;
+        const pattern = midday > 0 && midday >= early && midday >= late ? 'midday_notch' : early >= late ? 'morning' : 'afternoon';
+        result.status = 'degraded';
+        result.classification = 'shading';
+        result.confidence = shaded.length >= 2 ? 'high' : 'medium';
+        result.shading = { pattern, hours_from_noon: shaded.map(p => p.from_noon) };
+        result.reason = `${pattern === 'midday_notch' ? 'Midday' : pattern === 'morning' ? 'Morning' : 'Afternoon'} output is consistently low on clear days while the rest of the day is normal — something is shading the array`;
+    } else if (!healthy) {
+        const drifting = -perWeek * 100 >= PANEL_HEALTH.soiling_min_decline_pct_week;
+        result.status = 'degraded';
+        result.classification = 'soiling';
+        result.confidence = drifting ? 'high' : 'medium';
+        result.reason = drifting
+            ? `Clear-day output is ${pct}% of expected and falling ${Math.abs(result.trend_pct_per_week)}% a week, evenly across the day — typical of dust build-up`
+            : `Clear-day output is ${pct}% of expected, evenly across the day — likely dirty panels`;
+    } else {
+        result.status = 'healthy';
+        result.reason = `Clear-day output is ${pct}% of expected`;
+    }
+    return result;
+}
+
+export async function refreshPanelHealth() {
+    if (!dbAvailable || nowMs() - refreshedAt < PANEL_HEALTH.refresh_ms) return;
+    refreshedAt = nowMs();
+    try {
+        const since = Math.floor((nowMs() - PANEL_HEALTH.history_days * DAY_MS) / DAY_MS) * DAY_MS;
+        const templates = await getIssueTemplates();
+        cleaningTemplate = templates.find(t => t.name === PANEL_HEALTH.cleaning_template) || null;
+        const [rows, cleanings] = await Promise.all([
+            getHourlySolar(since, solarScoreConfig.throttle_soc_threshold),
+            getMaintenanceByTitle(cleaningTemplate?.title || PANEL_HEALTH.cleaning_template),
+        ]);
+        const cleaningBySite = new Map(cleanings.map(c => [c.site_id, c]));
+        const hoursBySite = new Map();
+        for (const r of rows) {
+            if (!hoursBySite.has(r.site_id)) hoursBySite.set(r.site_id, []);
+            hoursBySite.get(r.site_id).push({
+                hour_start: Number(r.hour_start),
+                avg_w: Number(r.avg_w),
+                samples: r.samples,
+                throttled: r.throttled,
+            });
+        }
+
+        panelHealth.clear();
+        let degraded = 0;
+        for (const [siteId, hours] of hoursBySite) {
+            const gps = gpsCache.get(siteId);
+            if (!gps) continue;
+            const { solar } = getTrailerSpecs(siteId);
+            const dailyPsh = {};
+            for (const [date, d] of Object.entries(dailyEnergy.get(siteId) || {})) {
+                if (d.expected_yield_wh > 0) dailyPsh[date] = d.expected_yield_wh / (solar.total_watts * solar.system_efficiency);
+            }
+            const cleaning = cleaningBySite.get(siteId);
+            const analysis = analyzePanelHealth({
+                hours,
+                dailyPsh,
+                latitude: gps.latitude,
+                longitude: gps.longitude,
+                ratedW: solar.total_watts,
+                efficiency: solar.system_efficiency,
+                cleanedAt: cleaning?.last_completed ? Number(cleaning.last_completed) : null,
+            });
+            panelHealth.set(siteId, {
+                ...analysis,
+                site_id: siteId,
+                site_name: snapshotCache.get(siteId)?.site_name || `Site ${siteId}`,
+                open_cleaning_log_id: cleaning?.open_log_id ?? null,
+                computed_at: nowMs(),
+            });
+            if (analysis.status === 'degraded') degraded++;
+        }
+        console.log(`  ✓ Panel health: ${panelHealth.size} trailers analyzed, ${degraded} degraded`);
+    } catch (err) {
+        console.error('  Panel health refresh failed:', err.message);
+    }
+}
+
+export function getPanelHealth(siteId) {
+    return panelHealth.get(siteId) || null;
+}
+
+// Template to suggest for a trailer: soiling with no cleaning already open
+export function suggestedCleaning(analysis) {
+    if (!analysis || analysis.classification !== 'soiling' || analysis.open_cleaning_log_id || !cleaningTemplate) return null;
+    return { id: cleaningTemplate.id, name: cleaningTemplate.name, title: cleaningTemplate.title };
+}
+
+// Record a newly scheduled cleaning so the suggestion drops out of the
+// queue before the next refresh
+export function noteMaintenanceScheduled(log) {
+    if (!cleaningTemplate || log.title !== cleaningTemplate.title) return;
+    const analysis = panelHealth.get(log.site_id);
+    if (analysis) analysis.open_cleaning_log_id = log.id;
+}
@@ -0,0 +1,196 @@
+import { VRM_STALE_MS } from '../config.js';
+import {
+    pollHealth, snapshotCache, pepwaveCache, ic2DeviceIdToSiteId, ic2DeviceIdToName, dbAvailable,
+} from '../state.js';
+import { upsertPollHealth, getPollHealthRecords, deletePollHealth } from '../db.js';
+import { nowMs } from '../lib/util.js';
+
+// ============================================================
+// Poll health
+//
+// One record per polled entity: a trailer's telemetry source (keyed by
+// site id) or an IC2 device (keyed by device name). entity_id '*' is the
+// source-level list call, so a bad token shows up even before any
+// trailer is known. Poll health answers "can we reach it?"; the device's
+// own data timestamp answers "is it reporting?".
+// ============================================================
+export const SOURCE_LIST_ID = '*';
+
+function healthKey(source, entityId) {
+    return `${source}:${entityId}`;
+}
+
+export function recordPollAttempt(source, entityId, name, { ok, latencyMs = null, error = null }) {
+    const key = healthKey(source, entityId);
+    const h = pollHealth.get(key) || {
+        source,
+        entity_id: String(entityId),
+        name: name || null,
+        last_attempt: null,
+        last_success: null,
+        consecutive_failures: 0,
+        last_error: null,
+        latency_ms: null,
+    };
+    const now = Date.now();
+    if (name) h.name = name;
+    h.last_attempt = now;
+    if (latencyMs != null) h.latency_ms = Math.round(latencyMs);
+    if (ok) {
+        h.last_success = now;
+        h.consecutive_failures = 0;
+        h.last_error = null;
+    } else {
+        h.consecutive_failures++;
+        h.last_error = String(error || 'Unknown error').slice(0, 500);
+    }
+    pollHealth.set(key, h);
+
+    if (dbAvailable) {
+        upsertPollHealth(h).catch(() => { });
+    }
+    return h;
+}
+
+export function getPollHealth(source, entityId) {
+    return pollHealth.get(healthKey(source, entityId)) || null;
+}
+
+export function forgetPollHealth(source, entityId) {
+    pollHealth.delete(healthKey(source, entityId));
+    if (dbAvailable) {
+        deletePollHealth(source, entityId).catch(() => { });
+    }
+}
+
+export async function seedPollHealthFromDb() {
+    if (!dbAvailable) return;
+    try {
+        const rows = await getPollHealthRecords();
+        for (const row of rows) {
+            pollHealth.set(healthKey(row.source, row.entity_id), {
+                source: row.source,
+                entity_id: row.entity_id,
+                name: row.name,
+                last_attempt: row.last_attempt != null ? Number(row.last_attempt) : null,
+                last_success: row.last_success != null ? Number(row.last_success) : null,
+                consecutive_failures: row.consecutive_failures || 0,
+                last_error: row.last_error,
+                latency_ms: row.latency_ms,
+            });
+        }
+        console.log(`  ✓ Loaded poll health for ${rows.length} data source entities`);
+    } catch (err) {
+        console.warn('  ⚠ Could not load poll health:', err.message);
+    }
+}
+
+// Failure cause from the error text — separates "our token" from "the trailer"
+export function classifyPollError(message) {
+    if (!message) return null;
+    if (/\b(401|403)\b|unauthori[sz]ed|forbidden|invalid token/i.test(message)) return 'auth';
+    if (/\b429\b|rate limit/i.test(message)) return 'rate_limit';
+    if (/\b404\b|not found|not returned/i.test(message)) return 'not_found';
+    if (/timeout|abort|ECONN|ENOTFOUND|EAI_AGAIN|fetch failed|network/i.test(message)) return 'network';
+    if (/\b5\d\d\b/.test(message)) return 'upstream';
+    return 'other';
+}
+
+export function pollHealthStatus(h) {
+    if (!h || !h.last_attempt) return 'unknown';
+    if (h.consecutive_failures >= 3) return 'failing';
+    if (h.consecutive_failures > 0) return 'degraded';
+    return 'ok';
+}
+
+// When the device itself last reported data (independent of our polling)
+function dataTimestamp(h) {
+    if (h.entity_id === SOURCE_LIST_ID) return null;
+    if (h.source === 'ic2') {
+        const dev = pepwaveCache.get(h.entity_id);
+        if (!dev) return null;
+        if (dev.online) return dev.timestamp;
+        const last = dev.last_online ? Date.parse(dev.last_online) : NaN;
+        return Number.isFinite(last) ? last : null;
+    }
+    return snapshotCache.get(Number(h.entity_id))?.vrm_timestamp ?? null;
+}
+
+function describe(h) {
+    const dataTs = dataTimestamp(h);
+    return {
+        ...h,
+        status: pollHealthStatus(h),
+        error_kind: classifyPollError(h.last_error),
+        data_timestamp: dataTs,
+        data_stale: dataTs != null && nowMs() - dataTs > VRM_STALE_MS,
+    };
+}
+
+export function buildPollHealthReport() {
+    const records = Array.from(pollHealth.values()).map(describe);
+    const summary = {};
+    const latencies = {};  // source -> [ms]
+    for (const r of records) {
+        if (!summary[r.source]) {
+            summary[r.source] = {
+                total: 0, ok: 0, degraded: 0, failing: 0, unknown: 0, stale_data: 0,
+                auth_errors: 0, last_success: null, avg_latency_ms: null, list: null,
+            };
+        }
+        const s = summary[r.source];
+        if (r.entity_id === SOURCE_LIST_ID) {
+            s.list = r;
+            continue;
+        }
+        s.total++;
+        s[r.status]++;
+        if (r.data_stale) s.stale_data++;
+        if (r.consecutive_failures > 0 && r.error_kind === 'auth') s.auth_errors++;
+        if (r.last_success && (!s.last_success || r.last_success > s.last_success)) s.last_success = r.last_success;
+        if (r.latency_ms != null) (latencies[r.source] ||= []).push(r.latency_ms);
+    }
+
+    for (const [source, s] of Object.entries(summary)) {
+        const lat = latencies[source];
+        if (lat) s.avg_latency_ms = Math.round(lat.reduce((a, b) => a + b, 0) / lat.length);
+        // Sources polled with one list call (IC2) only have its latency
+        else if (s.list?.latency_ms != null) s.avg_latency_ms = s.list.latency_ms;
+        // Credentials when the list call or most failing entities get 401/403;
+        // source outage when every entity is failing for another reason
+        const failingCount = s.failing + s.degraded;
+        if (s.list?.error_kind === 'auth' || (failingCount > 0 && s.auth_errors >= failingCount / 2)) {
+            s.likely_cause = 'credentials';
+        } else if (s.list?.status === 'failing' || (s.total > 0 && s.failing === s.total)) {
+            s.likely_cause = 'source_unreachable';
+        } else {
+            s.likely_cause = null;
+        }
+    }
+
+    records.sort((a, b) => a.source.localeCompare(b.source) || (a.name || '').localeCompare(b.name || ''));
+    return { summary, records };
+}
+
+// Telemetry + network health for one trailer (TrailerDetail / DataFreshness)
+export function getSitePollHealth(siteId) {
+    let telemetry = null;
+    for (const h of pollHealth.values()) {
+        if (h.source !== 'ic2' && h.entity_id === String(siteId)) {
+            telemetry = describe(h);
+            break;
+        }
+    }
+
+    let deviceName = null;
+    for (const [deviceId, linkedSiteId] of ic2DeviceIdToSiteId) {
+        if (linkedSiteId === siteId) {
+            deviceName = ic2DeviceIdToName.get(deviceId) || null;
+            break;
+        }
+    }
+    if (!deviceName) deviceName = snapshotCache.get(siteId)?.site_name || telemetry?.name || null;
+    const network = deviceName ? getPollHealth('ic2', deviceName) : null;
+
+    return { telemetry, network: network ? describe(network) : null };
+}
@@ -0,0 +1,197 @@
+import crypto from 'crypto';
+import { IC2_ORG_ID, IC2_GROUP_ID, IC2_CLIENT_ID, IC2_CLIENT_SECRET, ROUTER_ACTIONS, SIMULATOR } from '../config.js';
+import { pepwaveCache, gpsCache, sitesCache, dbAvailable } from '../state.js';
+import { insertAuditLog, getAuditLog, upsertTrailerAssignment } from '../db.js';
+import { ic2Fetch } from './ic2Client.js';
+import { resolveIc2DeviceToSiteId } from './ic2Poller.js';
+import { checkGeofences } from './geofence.js';
+import { wanKind } from './wanEvents.js';
+import { nowMs } from '../lib/util.js';
+
+// ============================================================
+// Remote router actions through InControl2
+//
+// Two steps: prepare validates the action against the cached device and
+// returns a confirm token with a plain summary of what will happen;
+// execute (same user, within confirm_ttl_ms) sends the command through
+// ic2Fetch. Every executed action, failed or not, is written to the audit
+// log under entity_type 'ic2_device' and the device's IC2 id.
+// ============================================================
+const pending = new Map();      // confirm token → prepared action
+const lastRun = new Map();      // `${device}:${action}` → ms
+
+export const ROUTER_ACTION_TYPES = {
+    reboot: {
+        label: 'Reboot router',
+        describe: d => `Reboot ${d.name}. The router and everything behind it (cameras, sensors) drop off for a few minutes.`,
+    },
+    reset_cellular: {
+        label: 'Reset cellular modem',
+        describe: (d, p) => `Reset the cellular modem on ${p.wan_name} of ${d.name}. Traffic fails over to another WAN if one is up, otherwise the device is unreachable for a minute or two.`,
+    },
+    switch_sim: {
+        label: 'Switch SIM',
+        describe: (d, p) => `Switch ${p.wan_name} of ${d.name} to SIM ${p.sim}${p.sim_carrier ? ` (${p.sim_carrier})` : ''}. The modem reconnects on the new SIM.`,
+    },
+    refresh_gps: {
+        label: 'Refresh GPS',
+        describe: d => `Fetch ${d.name}'s current GPS position from IC2 and update the trailer's location.`,
+    },
+};
+
+function fillPath(template, values) {
+    return template.replace(/\{(\w+)\}/g, (_, key) => encodeURIComponent(values[key]));
+}
+
+function cellularInterfaces(device) {
+    return (device.wan_interfaces || []).filter(i => wanKind(i.type) === 'cellular');
+}
+
+// Resolve and check an action's parameters against the device; { error } when invalid
+function resolveParams(device, action, params = {}) {
+    if (action === 'reboot' || action === 'refresh_gps') return {};
+    const modems = cellularInterfaces(device);
+    if (modems.length === 0) return { error: 'Device reports no cellular interface' };
+    const modem = params.wan_id != null ? modems.find(m => String(m.id) === String(params.wan_id)) : modems[0];
+    if (!modem) return { error: 'wan_id is not a cellular interface on this device' };
+    const resolved = { wan_id: modem.id, wan_name: modem.name };
+    if (action === 'switch_sim') {
+        const sims = device.cellular?.sims || [];
+        const sim = sims.find(s => String(s.id) === String(params.sim));
+        if (!sim) return { error: `sim must be one of: ${sims.map(s => s.id).join(', ') || 'none reported'}` };
+        if (sim.active) return { error: `SIM ${sim.id} is already active` };
+        resolved.sim = sim.id;
+        resolved.sim_carrier = sim.carrier || null;
+    }
+    return resolved;
+}
+
+// What the UI may offer for a device, and why not when it can't
+export function availableRouterActions(device) {
+    const configured = Boolean(IC2_CLIENT_ID && IC2_CLIENT_SECRET) && !SIMULATOR.enabled;
+    return Object.entries(ROUTER_ACTION_TYPES).map(([type, def]) => {
+        let unavailable = null;
+        if (!configured) unavailable = SIMULATOR.enabled ? 'Not available in simulator mode' : 'IC2 is not configured';
+        else if (device.id == null) unavailable = 'Device has no IC2 id';
+        else if (type === 'reset_cellular' || type === 'switch_sim') {
+            if (cellularInterfaces(device).length === 0) unavailable = 'No cellular interface reported';
+            else if (type === 'switch_sim' && !(device.cellular?.sims || []).some(s => !s.active && s.detected !== false)) {
+                unavailable = 'No standby SIM detected';
+            }
+        } else if (type === 'refresh_gps' && !device.gps_exist && !device.gps_support && device.latitude == null) {
+            unavailable = 'Device has no GPS';
+        }
+        return { type, label: def.label, available: !unavailable, unavailable_reason: unavailable };
+    });
+}
+
+export function prepareRouterAction(deviceName, action, params, user) {
+    const def = ROUTER_ACTION_TYPES[action];
+    if (!def) return { error: `Unknown action: ${action}`, status: 400 };
+    if (SIMULATOR.enabled) return { error: 'Router actions are disabled in simulator mode', status: 400 };
+    if (!IC2_CLIENT_ID || !IC2_CLIENT_SECRET) return { error: 'IC2 not configured', status: 400 };
+    const device = pepwaveCache.get(deviceName);
+    if (!device) return { error: 'Device not found', status: 404 };
+    if (device.id == null) return { error: 'Device has no IC2 id', status: 400 };
+    const resolved = resolveParams(device, action, params);
+    if (resolved.error) return { error: resolved.error, status: 400 };
+
+    const now = nowMs();
+    for (const [token, p] of pending) if (p.expires_at < now) pending.delete(token);
+
+    const token = crypto.randomUUID();
+    const prepared = {
+        action,
+        device_name: device.name,
+        device_id: device.id,
+        params: resolved,
+        user_id: user?.id ?? null,
+        expires_at: now + ROUTER_ACTIONS.confirm_ttl_ms,
+    };
+    pending.set(token, prepared);
+    return {
+        confirm_token: token,
+        expires_at: prepared.expires_at,
+        action,
+        label: def.label,
+        device_name: device.name,
+        device_online: Boolean(device.online),
+        params: resolved,
+        summary: def.describe(device, resolved) + (device.online ? '' : ' IC2 shows the device offline, so the command may not reach it.'),
+    };
+}
+
+async function refreshDeviceGps(device) {
+    const locData = await ic2Fetch(fillPath(ROUTER_ACTIONS.paths.refresh_gps, { org: IC2_ORG_ID, group: IC2_GROUP_ID, id: device.id }));
+    const loc = (locData.data || [])[0];
+    if (!loc || !loc.la || !loc.lo) return { located: false };
+    const cached = pepwaveCache.get(device.name);
+    if (cached) { cached.latitude = loc.la; cached.longitude = loc.lo; }
+    const { siteId, siteName } = resolveIc2DeviceToSiteId(device, sitesCache?.records || []);
+    gpsCache.set(siteId, { latitude: loc.la, longitude: loc.lo, updatedAt: Date.now() });
+    if (dbAvailable) await upsertTrailerAssignment(siteId, siteName, loc.la, loc.lo, null, device.id);
+    checkGeofences().catch(err => console.error('  Post-GPS-refresh geofence check failed:', err.message));
+    return { located: true, latitude: loc.la, longitude: loc.lo };
+}
+
+// Run a prepared action; the token is spent whether IC2 accepts it or not
+export async function executeRouterAction(deviceName, action, token, user, reason = null) {
+    const prepared = pending.get(token);
+    if (!prepared || prepared.expires_at < nowMs()) {
+        pending.delete(token);
+        return { error: 'Confirmation expired or unknown — start the action again', status: 410 };
+    }
+    if (prepared.device_name !== deviceName || prepared.action !== action) {
+        return { error: 'Confirmation is for a different device or action', status: 400 };
+    }
+    if (prepared.user_id !== (user?.id ?? null)) return { error: 'This confirmation belongs to another user', status: 403 };
+    pending.delete(token);
+
+    const key = `${prepared.device_name}:${prepared.action}`;
+    const since = nowMs() - (lastRun.get(key) || 0);
+    if (since < ROUTER_ACTIONS.cooldown_ms) {
+        return { error: `${ROUTER_ACTION_TYPES[prepared.action].label} was just sent to this device — wait ${Math.ceil((ROUTER_ACTIONS.cooldown_ms - since) / 1000)}s`, status: 429 };
+    }
+    lastRun.set(key, nowMs());
+
+    const device = pepwaveCache.get(prepared.device_name) || { id: prepared.device_id, name: prepared.device_name };
+    const { params } = prepared;
+    const actor = user ? user.display_name : 'system';
+    let result;
+    try {
+        if (prepared.action === 'refresh_gps') {
+            result = await refreshDeviceGps(device);
+        } else {
+            const path = fillPath(ROUTER_ACTIONS.paths[prepared.action], {
+                org: IC2_ORG_ID, group: IC2_GROUP_ID, id: prepared.device_id, wan: params.wan_id, sim: params.sim,
+            });
+            const response = await ic2Fetch(path, { method: 'POST', body: {} });
+            result = { resp_code: response.resp_code || null };
+        }
+    } catch (err) {
+        insertAuditLog('ic2_device', prepared.device_id, `router_${prepared.action}`, {
+            device_name: prepared.device_name, params, reason, ok: false, error: err.message,
+        }, actor).catch(() => { });
+        console.warn(`  Router action ${prepared.action} on ${prepared.device_name} failed: ${err.message}`);
+        return { error: `IC2 rejected the command: ${err.message}`, status: 502 };
+    }
+
+    insertAuditLog('ic2_device', prepared.device_id, `router_${prepared.action}`, {
+        device_name: prepared.device_name, params, reason, ok: true, result,
+    }, actor).catch(() => { });
+    console.log(`  Router action ${prepared.action} sent to ${prepared.device_name} by ${actor}`);
+    return { action: prepared.action, device_name: prepared.device_name, params, result };
+}
+
+// Recent actions on a device from the audit log
+export async function getRouterActionHistory(device, limit = 20) {
+    if (!dbAvailable || device.id == null) return [];
+    const { entries } = await getAuditLog({ entityType: 'ic2_device', entityId: device.id, limit });
+    return entries.map(e => ({
+        id: e.id,
+        action: e.action.replace(/^router_/, ''),
+        actor: e.actor,
+        created_at: Number(e.created_at),
+        details: e.details,
+    }));
+}
@@ -0,0 +1,307 @@
+import fs from 'fs';
+import path from 'path';
+import { SIMULATOR } from '../config.js';
+import { gpsCache, dbAvailable, setSitesCache, setLastIc2Poll, setClockOffsetMs } from '../state.js';
+import {
+    getSnapshotWindow, getPepwaveSnapshotWindow, getSnapshotTimeRange, getTrailerAssignments,
+} from '../db.js';
+import { buildSnapshot } from './telemetry/index.js';
+import { ingestSnapshot, runPostPollTasks } from './vrmPoller.js';
+import { ingestPepwaveRecord, runIc2PostPollTasks } from './ic2Poller.js';
+import { runDigest } from './digest.js';
+import { nowMs, todayStr } from '../lib/util.js';
+
+// ============================================================
+// Simulator / replay mode
+//
+// Steps a simulated clock through recorded history one poll interval at a
+// time. Each step takes the latest site_snapshots / pepwave_snapshots row
+// per trailer and pushes it through ingestSnapshot / ingestPepwaveRecord
+// and the same post-poll tasks as the VRM scheduler / pollIc2Devices, so daily
+// energy, alerts, geofences and the digest all run on realistic data.
+//
+// DB history is replayed read-only (rows already exist). A JSON fixture
+//   { site_snapshots: [...], pepwave_snapshots: [...], gps: [...] }
+// uses the same column names and is persisted as it is replayed. Either
+// way the post-poll tasks run with persist: false — alerts are evaluated
+// in memory, nothing is pruned, rolled up or backfilled against the
+// simulated clock. Weather still comes from Open-Meteo for the real
+// current day.
+// ============================================================
+
+const sim = {
+    running: false,
+    finished: false,
+    source: null,       // 'db' | 'fixture'
+    start: null,
+    end: null,
+    cursor: null,
+    fixture: null,
+    sites: new Map(),   // site_id -> site_name seen so far
+    devices: new Set(), // device_name seen so far
+    ticks: 0,
+};
+
+export function getSimulatorStatus() {
+    return {
+        enabled: SIMULATOR.enabled,
+        running: sim.running,
+        finished: sim.finished,
+        source: sim.source,
+        speed: SIMULATOR.speed,
+        start: sim.start ? new Date(sim.start).toISOString() : null,
+        end: sim.end ? new Date(sim.end).toISOString() : null,
+        simulated_time: sim.cursor ? new Date(sim.cursor).toISOString() : null,
+        trailers: sim.sites.size,
+        devices: sim.devices.size,
+    };
+}
+
+function num(v) {
+    return v === null || v === undefined || v === '' ? null : Number(v);
+}
+
+function parseJson(v) {
+    if (!v) return {};
+    if (typeof v === 'object') return v;
+    try { return JSON.parse(v); } catch { return {}; }
+}
+
+function loadFixture(file) {
+    const resolved = path.resolve(process.cwd(), file);
+    const data = JSON.parse(fs.readFileSync(resolved, 'utf8'));
+    const byTime = (a, b) => num(a.timestamp) - num(b.timestamp);
+    return {
+        site_snapshots: (data.site_snapshots || []).slice().sort(byTime),
+        pepwave_snapshots: (data.pepwave_snapshots || []).slice().sort(byTime),
+        gps: (data.gps || []).slice().sort(byTime),
+    };
+}
+
+// Latest row per key in (from, to] from a time-sorted fixture array
+function fixtureWindow(rows, key, from, to) {
+    const latest = new Map();
+    for (const row of rows) {
+        const ts = num(row.timestamp) || 0;
+        if (ts <= from) continue;
+        if (ts > to) break;
+        latest.set(row[key], row);
+    }
+    return Array.from(latest.values());
+}
+
+async function loadWindow(from, to) {
+    if (sim.source === 'fixture') {
+        return {
+            sites: fixtureWindow(sim.fixture.site_snapshots, 'site_id', from, to),
+            devices: fixtureWindow(sim.fixture.pepwave_snapshots, 'device_name', from, to),
+            gps: fixtureWindow(sim.fixture.gps, 'site_id', from, to),
+        };
+    }
+    const [sites, devices] = await Promise.all([
+        getSnapshotWindow(from, to),
+        getPepwaveSnapshotWindow(from, to),
+    ]);
+    return { sites, devices, gps: [] };
+}
+
+// site_snapshots row -> reading for buildSnapshot
+function readingFromRow(row) {
+    const rawBattery = parseJson(row.raw_battery);
+    const rawSolar = parseJson(row.raw_solar);
+    return {
+        vrm_timestamp: num(row.timestamp),
+        battery_soc: num(row.battery_soc),
+        battery_voltage: num(row.battery_voltage),
+        battery_current: num(row.battery_current),
+        battery_temp: num(row.battery_temp),
+        battery_power: num(row.battery_power),
+        solar_watts: num(row.solar_watts),
+        solar_yield_today: num(row.solar_yield_today),
+        solar_yield_yesterday: num(row.solar_yield_yesterday),
+        charge_state: row.charge_state ?? null,
+        consumed_ah: num(row.consumed_ah),
+        dc_load_watts: num(row.dc_load_watts ?? rawBattery.dc_load_watts),
+        load_current: num(row.load_current ?? rawBattery.load_current),
+        load_state: row.load_state ?? rawBattery.load_state ?? null,
+        lifetime_yield_kwh: num(row.lifetime_yield_kwh ?? rawSolar.lifetime_yield_kwh),
+        alarm_reason: row.alarm_reason ?? rawBattery.alarm_reason ?? null,
+        error_code: row.error_code ?? rawBattery.error_code ?? null,
+        inverter_mode: row.inverter_mode ?? rawBattery.inverter_mode ?? null,
+        mppt_state: row.mppt_state ?? rawSolar.mppt_state ?? null,
+        firmware_version: row.firmware_version ?? rawSolar.firmware_version ?? null,
+        time_to_go_min: num(row.time_to_go_min),
+    };
+}
+
+// pepwave_snapshots row -> pepwaveCache record (same shape as pollIc2Devices)
+function pepwaveRecordFromRow(row) {
+    return {
+        id: row.ic2_device_id ?? null,
+        name: row.device_name,
+        sn: row.sn || null,
+        status: row.online ? 'online' : 'offline',
+        online: Boolean(row.online),
+        model: row.model || 'Unknown',
+        firmware: row.firmware || 'Unknown',
+        client_count: row.client_count || 0,
+        uptime: row.uptime || 0,
+        usage_mb: num(row.usage_mb) || 0,
+        tx_mb: num(row.tx_mb) || 0,
+        rx_mb: num(row.rx_mb) || 0,
+        wan_ip: row.wan_ip || null,
+        last_online: null,
+        tags: [],
+        gps_support: false,
+        gps_exist: false,
+        latitude: null,
+        longitude: null,
+        address: null,
+        cellular: {
+            carrier: row.carrier || 'Unknown',
+            technology: row.technology || null,
+            signal_bar: row.signal_bar ?? null,
+            signal: {
+                rsrp: num(row.rsrp),
+                rsrq: num(row.rsrq),
+                rssi: num(row.rssi),
+                sinr: num(row.sinr),
+            },
+        },
+        wan_interfaces: [],
+        timestamp: nowMs(),
+    };
+}
+
+async function seedGpsFromAssignments() {
+    if (!dbAvailable) return;
+    try {
+        const assignments = await getTrailerAssignments();
+        for (const a of assignments) {
+            if (a.latitude != null && a.longitude != null) {
+                gpsCache.set(a.site_id, { latitude: a.latitude, longitude: a.longitude, updatedAt: nowMs() });
+            }
+        }
+    } catch (err) {
+        console.warn('  ⚠ Simulator could not seed GPS:', err.message);
+    }
+}
+
+async function tick() {
+    const from = sim.cursor;
+    const to = Math.min(from + SIMULATOR.step_ms, sim.end);
+    const dayBefore = todayStr();
+    sim.cursor = to;
+    setClockOffsetMs(to - Date.now());
+    sim.ticks++;
+
+    const persist = sim.source === 'fixture';
+    const window = await loadWindow(from, to);
+
+    for (const g of window.gps) {
+        gpsCache.set(num(g.site_id), { latitude: num(g.latitude), longitude: num(g.longitude), updatedAt: nowMs() });
+    }
+
+    for (const row of window.sites) {
+        const site = { idSite: num(row.site_id), name: row.site_name };
+        sim.sites.set(site.idSite, site.name);
+        try {
+            await ingestSnapshot(site, buildSnapshot(site, readingFromRow(row)), { persist });
+        } catch (err) {
+            console.error(`  Simulator: error ingesting ${site.name}: ${err.message}`);
+        }
+    }
+    setSitesCache({ records: Array.from(sim.sites, ([idSite, name]) => ({ idSite, name })) });
+    const currentAlerts = await runPostPollTasks(new Set(sim.sites.keys()), { persist: false });
+
+    for (const row of window.devices) {
+        sim.devices.add(row.device_name);
+        await ingestPepwaveRecord(pepwaveRecordFromRow(row), { persist });
+    }
+    if (window.devices.length > 0) {
+        runIc2PostPollTasks(sim.devices);
+        setLastIc2Poll(Date.now());
+    }
+
+    // Hourly progress line keeps logs readable at high speeds
+    if (sim.ticks % 12 === 0) {
+        console.log(`  Simulator ${new Date(to).toISOString()}: ${window.sites.length} sites, ${window.devices.length} devices, energy alerts: ${currentAlerts.length}`);
+    }
+
+    // Simulated day rollover: digest for the day just finished
+    if (todayStr() !== dayBefore && process.env.DIGEST_ENABLED === 'true') {
+        const recipients = (process.env.DIGEST_RECIPIENTS || '')
+            .split(',').map(e => e.trim()).filter(Boolean);
+        const data = await runDigest(recipients);
+        if (data) {
+            console.log(`  Simulator digest for ${dayBefore}: ${data.current.online}/${data.current.total} online, avg SOC ${data.current.avg_soc}%, ${data.critical_items.length} critical`);
+        }
+    }
+}
+
+function scheduleNext(delayMs) {
+    setTimeout(async () => {
+        const started = Date.now();
+        try {
+            await tick();
+        } catch (err) {
+            console.error('  Simulator tick error:', err.message);
+        }
+        if (sim.cursor >= sim.end) {
+            sim.running = false;
+            sim.finished = true;
+            console.log(`  ✓ Simulator finished replay at ${new Date(sim.end).toISOString()} (clock held)`);
+            return;
+        }
+        const interval = SIMULATOR.step_ms / SIMULATOR.speed;
+        scheduleNext(Math.max(0, interval - (Date.now() - started)));
+    }, delayMs);
+}
+
+export async function startSimulator() {
+    if (process.env.NODE_ENV === 'production') {
+        console.warn('  ⚠ SIMULATOR_MODE is on in production — live VRM/IC2 polling is disabled');
+    }
+
+    let range = null;
+    if (SIMULATOR.fixture) {
+        sim.source = 'fixture';
+        try {
+            sim.fixture = loadFixture(SIMULATOR.fixture);
+        } catch (err) {
+            console.error(`  Simulator: could not load fixture ${SIMULATOR.fixture}:`, err.message);
+            return;
+        }
+        const stamps = [...sim.fixture.site_snapshots, ...sim.fixture.pepwave_snapshots]
+            .map(r => num(r.timestamp)).filter(Boolean);
+        if (stamps.length > 0) range = { min: Math.min(...stamps), max: Math.max(...stamps) };
+    } else {
+        sim.source = 'db';
+        if (!dbAvailable) {
+            console.error('  Simulator: no DATABASE_URL and no SIMULATOR_FIXTURE — nothing to replay');
+            return;
+        }
+        range = await getSnapshotTimeRange();
+    }
+    if (!range) {
+        console.error('  Simulator: no recorded snapshots to replay');
+        return;
+    }
+
+    sim.end = SIMULATOR.end ? Date.parse(SIMULATOR.end) : range.max;
+    sim.start = SIMULATOR.start
+        ? Date.parse(SIMULATOR.start)
+        : Math.max(range.min - 1, sim.end - 7 * 24 * 60 * 60 * 1000);
+    if (!Number.isFinite(sim.start) || !Number.isFinite(sim.end) || sim.start >= sim.end) {
+        console.error('  Simulator: invalid SIMULATOR_START / SIMULATOR_END');
+        return;
+    }
+
+    sim.cursor = sim.start;
+    sim.running = true;
+    setClockOffsetMs(sim.start - Date.now());
+    await seedGpsFromAssignments();
+
+    console.log(`  ✓ Simulator replaying ${sim.source} history ${new Date(sim.start).toISOString()} → ${new Date(sim.end).toISOString()} at ${SIMULATOR.speed}x`);
+    scheduleNext(3000);
+}
@@ -0,0 +1,189 @@
+import { SOC_FORECAST } from '../config.js';
+import { snapshotCache, gpsCache, dailyEnergy, socForecasts, loadProfiles } from '../state.js';
+import { fetchSolarIrradiance, computeAstronomicalPSH, computeDayLength } from './weather.js';
+import { getTrailerSpecs } from './hardwareProfiles.js';
+import { refreshLoadProfiles, expectedLoad } from './loadProfile.js';
+import { hasVrmData, todayStr, nowMs } from '../lib/util.js';
+
+// ============================================================
+// 72-hour SOC forecast
+//
+// Steps hour by hour from the current SOC: solar in = forecast radiation
+// (peak-sun-hours per hour) × the trailer's own yield per PSH, load out =
+// its learned load for that hour of the week (services/loadProfile.js).
+// Open-Meteo's hourly radiation is used where it covers the hour, else a
+// clear-sky curve around solar noon. The result drives the TrailerDetail curve, days_to_critical and
+// the soc_forecast_hours_to_critical alert metric.
+// ============================================================
+const HOUR_MS = 60 * 60 * 1000;
+
+let lastFleetRefresh = 0;
+
+function pastDays(siteId) {
+    const today = todayStr();
+    return Object.entries(dailyEnergy.get(siteId) || {})
+        .filter(([d]) => d < today)
+        .sort(([a], [b]) => b.localeCompare(a))
+        .slice(0, SOC_FORECAST.history_days);
+}
+
+// Wh the array actually delivered per peak sun hour. expected_yield_wh was
+// stored as rated W × PSH × efficiency, so PSH = expected / (W × eff).
+// The 75th percentile skips days the MPPT throttled on a full battery.
+function yieldPerPsh(siteId, specs) {
+    const ratedPerPsh = specs.solar.total_watts * specs.solar.system_efficiency;
+    const ratios = pastDays(siteId)
+        .filter(([, d]) => d.yield_wh > 0 && d.expected_yield_wh > 0)
+        .map(([, d]) => d.yield_wh / (d.expected_yield_wh / ratedPerPsh))
+        .sort((a, b) => a - b);
+    if (ratios.length < 3) return { wh: ratedPerPsh, source: 'rated' };
+    const p75 = ratios[Math.min(ratios.length - 1, Math.floor(ratios.length * 0.75))];
+    return { wh: Math.min(p75, specs.solar.total_watts), source: 'history' };
+}
+
+function avgDailyConsumptionWh(siteId) {
+    const values = pastDays(siteId).map(([, d]) => d.consumed_wh).filter(v => v != null && v > 0);
+    if (values.length > 0) return values.reduce((s, v) => s + v, 0) / values.length;
+    const today = dailyEnergy.get(siteId)?.[todayStr()];
+    return today?.consumed_wh > 0 ? today.consumed_wh : null;
+}
+
+// Clear-sky PSH falling in [startMs, endMs): the day's astronomical PSH
+// spread as a cosine bump around solar noon (12:00 UTC − longitude / 15)
+export function astronomicalPshBetween(latitude, longitude, startMs, endMs) {
+    const mid = (startMs + endMs) / 2;
+    const day = new Date(mid);
+    const dayOfYear = Math.floor((mid - Date.UTC(day.getUTCFullYear(), 0, 0)) / 86400000);
+    const dayLength = computeDayLength(latitude, dayOfYear);
+    if (dayLength === 0) return 0;
+    const psh = computeAstronomicalPSH(latitude, dayOfYear);
+    const noonUtcHour = 12 - longitude / 15;
+    let fromNoon = (mid - Date.UTC(day.getUTCFullYear(), day.getUTCMonth(), day.getUTCDate())) / HOUR_MS - noonUtcHour;
+    fromNoon = ((fromNoon + 36) % 24) - 12; // wrap into [-12, 12)
+    if (Math.abs(fromNoon) >= dayLength / 2) return 0;
+    const hours = (endMs - startMs) / HOUR_MS;
+    return psh * (Math.PI / (2 * dayLength)) * Math.cos(Math.PI * fromNoon / dayLength) * hours;
+}
+
+export async function computeSocForecast(siteId) {
+    const snapshot = snapshotCache.get(siteId);
+    const gps = gpsCache.get(siteId);
+    if (!snapshot || !hasVrmData(snapshot) || snapshot.battery_soc == null || !gps) return null;
+
+    const specs = getTrailerSpecs(siteId);
+    const totalWh = specs.battery.total_wh;
+    const criticalSoc = specs.battery.min_soc_threshold;
+
+    let weather = null;
+    try { weather = await fetchSolarIrradiance(gps.latitude, gps.longitude); } catch { }
+    const hourlyRadiation = new Map();
+    if (weather?.forecast_hourly) {
+        weather.forecast_hourly.times.forEach((t, i) => {
+            const v = weather.forecast_hourly.radiation[i];
+            if (v != null) hourlyRadiation.set(t, v);
+        });
+    }
+
+    const ratio = yieldPerPsh(siteId, specs);
+    const hasProfile = loadProfiles.has(siteId);
+    const dailyLoadWh = avgDailyConsumptionWh(siteId);
+    const flatLoadW = dailyLoadWh !== null ? dailyLoadWh / 24 : null;
+    const loadW = (ms) => expectedLoad(siteId, ms)?.mean_w ?? flatLoadW;
+    if (!hasProfile && flatLoadW === null) return null;
+
+    const start = nowMs();
+    const end = start + SOC_FORECAST.horizon_hours * HOUR_MS;
+    let storedWh = totalWh * snapshot.battery_soc / 100;
+    let hourlySlots = 0;
+    let slots = 0;
+
+    const points = [{ t: start, soc: Math.round(snapshot.battery_soc * 10) / 10, solar_wh: 0, load_wh: 0 }];
+    let criticalAt = snapshot.battery_soc <= criticalSoc ? start : null;
+    let minSoc = snapshot.battery_soc;
+    let minSocAt = start;
+    let fullAt = null;
+
+    // Step to each top of the hour (the first step is the partial hour)
+    for (let t0 = start; t0 < end;) {
+        const t1 = Math.min(end, Math.floor(t0 / HOUR_MS) * HOUR_MS + HOUR_MS);
+        const fraction = (t1 - t0) / HOUR_MS;
+        const hourEnd = Math.ceil(t1 / HOUR_MS) * HOUR_MS;
+        slots++;
+
+        let psh;
+        if (hourlyRadiation.has(hourEnd)) {
+            psh = hourlyRadiation.get(hourEnd) / 1000 * fraction;
+            hourlySlots++;
+        } else {
+            psh = astronomicalPshBetween(gps.latitude, gps.longitude, t0, t1);
+        }
+        const solarWh = psh * ratio.wh;
+        const loadWh = (loadW(t0) ?? 0) * fraction;
+
+        const before = storedWh;
+        const net = solarWh - loadWh;
+        storedWh = Math.max(0, Math.min(totalWh, storedWh + (net > 0 ? net * SOC_FORECAST.charge_efficiency : net)));
+        const soc = storedWh / totalWh * 100;
+
+        const criticalWh = totalWh * criticalSoc / 100;
+        if (criticalAt === null && storedWh <= criticalWh && before > criticalWh) {
+            criticalAt = Math.round(t0 + (t1 - t0) * (before - criticalWh) / (before - storedWh));
+        }
+        if (fullAt === null && storedWh >= totalWh && before < totalWh) fullAt = t1;
+        if (soc < minSoc) { minSoc = soc; minSocAt = t1; }
+
+        points.push({ t: t1, soc: Math.round(soc * 10) / 10, solar_wh: Math.round(solarWh), load_wh: Math.round(loadWh) });
+        t0 = t1;
+    }
+
+    return {
+        site_id: siteId,
+        generated_at: start,
+        horizon_hours: SOC_FORECAST.horizon_hours,
+        start_soc: snapshot.battery_soc,
+        end_soc: points[points.length - 1].soc,
+        critical_soc_pct: criticalSoc,
+        critical_at: criticalAt,
+        hours_to_critical: criticalAt !== null ? Math.round((criticalAt - start) / HOUR_MS * 10) / 10 : null,
+        min_soc: Math.round(minSoc * 10) / 10,
+        min_soc_at: minSocAt,
+        full_at: fullAt,
+        yield_per_psh_wh: Math.round(ratio.wh),
+        solar_source: hourlySlots === slots ? 'open-meteo' : hourlySlots > 0 ? 'mixed' : 'astronomical',
+        yield_ratio_source: ratio.source,
+        load_source: hasProfile ? 'weekly_profile' : 'daily_average',
+        avg_daily_load_wh: dailyLoadWh !== null ? Math.round(dailyLoadWh) : null,
+        points,
+    };
+}
+
+// Cached forecast, recomputed when older than SOC_FORECAST.refresh_ms
+export async function getSocForecast(siteId) {
+    const cached = socForecasts.get(siteId);
+    if (cached && nowMs() - cached.generated_at < SOC_FORECAST.refresh_ms) return cached;
+    await refreshLoadProfiles();
+    const forecast = await computeSocForecast(siteId);
+    if (forecast) socForecasts.set(siteId, forecast);
+    else socForecasts.delete(siteId);
+    return forecast;
+}
+
+// Run after each poll round; alert rules read the cached result
+export async function refreshSocForecasts() {
+    if (nowMs() - lastFleetRefresh < SOC_FORECAST.refresh_ms) return;
+    lastFleetRefresh = nowMs();
+    let critical = 0;
+    for (const siteId of snapshotCache.keys()) {
+        const forecast = await computeSocForecast(siteId);
+        if (forecast) {
+            socForecasts.set(siteId, forecast);
+            if (forecast.critical_at !== null) critical++;
+        } else {
+            socForecasts.delete(siteId);
+        }
+    }
+    for (const siteId of socForecasts.keys()) {
+        if (!snapshotCache.has(siteId)) socForecasts.delete(siteId);
+    }
+    if (critical > 0) console.log(`  ⚠ SOC forecast: ${critical} trailer${critical !== 1 ? 's' : ''} reach critical SOC within ${SOC_FORECAST.horizon_hours}h`);
+}
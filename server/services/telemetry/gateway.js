@@ -0,0 +1,90 @@
+import { lookup } from 'node:dns/promises';
+import { isIP } from 'node:net';
+import { parseRetryAfter } from '../vrmClient.js';
+import { buildSnapshot } from './snapshot.js';
+
+const GATEWAY_TIMEOUT_MS = 10000;
+
+// Loopback, private, CGNAT and link-local (incl. cloud metadata) ranges
+function isPrivateAddress(addr) {
+    if (isIP(addr) === 6) {
+        const a = addr.toLowerCase();
+        // IPv4-mapped, either dotted or as the two hex groups URL normalises to
+        const mapped = a.match(/^::ffff:(?:([\d.]+)|([\da-f]{1,4}):([\da-f]{1,4}))$/);
+        if (mapped) {
+            if (mapped[1]) return isPrivateAddress(mapped[1]);
+            const hi = parseInt(mapped[2], 16), lo = parseInt(mapped[3], 16);
+            return isPrivateAddress(`${hi >> 8}.${hi & 255}.${lo >> 8}.${lo & 255}`);
+        }
+        return a === '::' || a === '::1' || /^f[cd]/.test(a) || /^fe[89ab]/.test(a);
+    }
+    const [o1, o2] = addr.split('.').map(Number);
+    return o1 === 0 || o1 === 10 || o1 === 127 ||
+        (o1 === 100 && o2 >= 64 && o2 <= 127) ||
+        (o1 === 169 && o2 === 254) ||
+        (o1 === 172 && o2 >= 16 && o2 <= 31) ||
+        (o1 === 192 && o2 === 168);
+}
+
+// Gateway URLs are user-supplied and fetched server-side with a bearer
+// token, so only public http(s) hosts are allowed. Returns an error
+// message, or null when the URL is acceptable.
+export async function checkGatewayUrl(value) {
+    let url;
+    try {
+        url = new URL(value);
+    } catch {
+        return `Invalid gateway URL: ${value}`;
+    }
+    if (url.protocol !== 'http:' && url.protocol !== 'https:') return 'Gateway URL must use http or https';
+    const host = url.hostname.replace(/^\[|\]$/g, '');
+    let addresses;
+    try {
+        addresses = isIP(host) ? [host] : (await lookup(host, { all: true })).map(a => a.address);
+    } catch {
+        return `Gateway host not found: ${host}`;
+    }
+    if (addresses.some(isPrivateAddress)) return 'Gateway URL must not point at a private or link-local address';
+    return null;
+}
+
+// Local gateway (Modbus-TCP / MQTT bridge on the trailer's LAN, reached
+// over the Pepwave). The gateway exposes the latest reading as JSON at
+// `config.url`. Keys already named like snapshot fields pass through;
+// `config.field_map` renames gateway keys (e.g. Modbus register or MQTT
+// topic names) to snapshot fields: { battery_soc: 'soc_pct', ... }.
+export const gatewaySource = {
+    name: 'gateway',
+    label: 'Local gateway (Modbus/MQTT)',
+    async fetchSnapshot(site, config = {}) {
+        if (!config.url) throw new Error('Gateway source requires telemetry_config.url');
+        const invalidUrl = await checkGatewayUrl(config.url);
+        if (invalidUrl) throw new Error(invalidUrl);
+
+        const headers = { Accept: 'application/json' };
+        const token = config.token || process.env.TELEMETRY_GATEWAY_TOKEN;
+        if (token) headers.Authorization = `Bearer ${token}`;
+
+        const res = await fetch(config.url, { headers, redirect: 'error', signal: AbortSignal.timeout(GATEWAY_TIMEOUT_MS) });
+        if (!res.ok) {
+            const text = await res.text();
+            const err = new Error(`Gateway ${res.status}: ${text}`);
+            err.status = res.status;
+            // Backs off this trailer only; the VRM pause is fleet-wide
+            if (res.status === 429) err.retryAfterMs = parseRetryAfter(res.headers.get('retry-after'));
+            throw err;
+        }
+        const body = await res.json();
+        const data = body?.data ?? body;
+
+        const reading = { ...data };
+        for (const [field, key] of Object.entries(config.field_map || {})) {
+            reading[field] = data[key] ?? null;
+        }
+        // Gateways report their own sample time (ms or s) — keep it as the
+        // source timestamp so hasVrmData staleness checks still apply
+        const ts = data.timestamp ?? data.ts ?? null;
+        reading.vrm_timestamp = ts !== null ? (ts < 1e12 ? ts * 1000 : ts) : Date.now();
+        return buildSnapshot(site, reading);
+    },
+};
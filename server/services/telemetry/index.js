@@ -0,0 +1,86 @@
+import { telemetryAssignments, dbAvailable } from '../../state.js';
+import { getTelemetryAssignments } from '../../db.js';
+import { vrmSource } from './vrm.js';
+import { gatewaySource } from './gateway.js';
+import { replaySource } from './replay.js';
+
+export { buildSnapshot } from './snapshot.js';
+export { checkGatewayUrl } from './gateway.js';
+
+// ============================================================
+// Telemetry source adapters
+//
+// A source turns one trailer into one snapshot in the shape kept in
+// snapshotCache / written by insertSnapshot:
+//   { name, label, fetchSnapshot(site, config) -> Promise<snapshot> }
+// `site` is { idSite, name }; `config` is the trailer's telemetry_config.
+// Trailers default to 'vrm'; others are selected per trailer via
+// trailers.telemetry_source.
+// ============================================================
+const sources = new Map();
+
+export function registerTelemetrySource(source) {
+    sources.set(source.name, source);
+}
+
+registerTelemetrySource(vrmSource);
+registerTelemetrySource(gatewaySource);
+registerTelemetrySource(replaySource);
+
+export function listTelemetrySources() {
+    return Array.from(sources.values()).map(s => ({ name: s.name, label: s.label }));
+}
+
+export function isTelemetrySource(name) {
+    return sources.has(name);
+}
+
+// Resolve the adapter + config for a site. Unknown source names fall back
+// to VRM so a typo in one trailer's config doesn't drop it from polling.
+export function getTelemetrySource(siteId) {
+    const assignment = telemetryAssignments.get(siteId);
+    const source = (assignment && sources.get(assignment.source)) || vrmSource;
+    return { source, config: assignment?.config || {} };
+}
+
+// The site_id a non-VRM trailer reports under. Trailers with a Pepwave but
+// no Victron share the IC2-only synthetic id so network + energy line up.
+export function telemetrySiteId(trailer) {
+    if (trailer.vrm_site_id != null) return trailer.vrm_site_id;
+    if (trailer.ic2_device_id != null) return -trailer.ic2_device_id;
+    return null;
+}
+
+export async function refreshTelemetryAssignments() {
+    if (!dbAvailable) return;
+    try {
+        const rows = await getTelemetryAssignments();
+        telemetryAssignments.clear();
+        for (const row of rows) {
+            const siteId = telemetrySiteId(row);
+            if (siteId === null) {
+                console.warn(`  Telemetry: ${row.unit_number} uses '${row.telemetry_source}' but has no VRM site or IC2 device — skipped`);
+                continue;
+            }
+            telemetryAssignments.set(siteId, {
+                trailer_id: row.id,
+                unit_number: row.unit_number,
+                source: row.telemetry_source,
+                config: row.telemetry_config || {},
+            });
+        }
+    } catch (err) {
+        console.error('  Error refreshing telemetry assignments:', err.message);
+    }
+}
+
+// Sites to poll: every VRM installation plus trailers on a non-VRM source
+// that VRM doesn't know about.
+export function getPollTargets(vrmSites) {
+    const targets = vrmSites.map(s => ({ idSite: s.idSite, name: s.name }));
+    const known = new Set(targets.map(t => t.idSite));
+    for (const [siteId, a] of telemetryAssignments) {
+        if (!known.has(siteId)) targets.push({ idSite: siteId, name: a.unit_number });
+    }
+    return targets;
+}
@@ -0,0 +1,41 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { buildSnapshot } from './snapshot.js';
+import { nowMs } from '../../lib/util.js';
+
+const FIXTURE_DIR = process.env.TELEMETRY_FIXTURE_DIR || path.join(process.cwd(), 'fixtures');
+
+// fixture path -> parsed rows
+const fixtureCache = new Map();
+// siteId -> index of the next row to replay
+const cursors = new Map();
+
+async function loadFixture(file) {
+    const fullPath = path.isAbsolute(file) ? file : path.join(FIXTURE_DIR, file);
+    if (fixtureCache.has(fullPath)) return fixtureCache.get(fullPath);
+    const json = JSON.parse(await fs.readFile(fullPath, 'utf8'));
+    const rows = Array.isArray(json) ? json : (json.records || []);
+    fixtureCache.set(fullPath, rows);
+    return rows;
+}
+
+// Recorded-fixture replay: steps through a JSON file of snapshot rows
+// (e.g. an export of site_snapshots) one row per poll, looping at the end.
+// Rows may carry a site_id to share one file across several trailers.
+export const replaySource = {
+    name: 'replay',
+    label: 'Recorded fixture replay',
+    async fetchSnapshot(site, config = {}) {
+        if (!config.file) throw new Error('Replay source requires telemetry_config.file');
+        const all = await loadFixture(config.file);
+        const rows = all.some(r => r.site_id != null)
+            ? all.filter(r => Number(r.site_id) === Number(config.site_id ?? site.idSite))
+            : all;
+        if (rows.length === 0) throw new Error(`Fixture ${config.file} has no rows for site ${site.idSite}`);
+
+        const idx = cursors.get(site.idSite) || 0;
+        cursors.set(site.idSite, (idx + 1) % rows.length);
+        // Replayed data is "live" from the pipeline's point of view
+        return buildSnapshot(site, { ...rows[idx], vrm_timestamp: nowMs() });
+    },
+};
@@ -0,0 +1,56 @@
+import { nowMs } from '../../lib/util.js';
+
+// ============================================================
+// Snapshot normalization shared by every telemetry source
+// ============================================================
+
+// Fill in derived fields every source would otherwise compute itself.
+// `reading` uses snapshot column names; missing values are null.
+export function buildSnapshot(site, reading) {
+    const r = { ...reading };
+    const val = (k) => (r[k] === undefined || r[k] === '' ? null : r[k]);
+
+    // Battery power: direct, else V × I
+    let battPower = val('battery_power');
+    if (battPower === null && val('battery_voltage') !== null && val('battery_current') !== null) {
+        battPower = Math.round(r.battery_voltage * r.battery_current);
+    }
+
+    // DC load: direct, else solar - battery_power, else IL × V
+    let dcLoadW = val('dc_load_watts');
+    if (dcLoadW === null) {
+        if (val('solar_watts') !== null && battPower !== null) {
+            dcLoadW = Math.round(Math.max(0, r.solar_watts - battPower));
+        } else if (val('load_current') !== null && val('battery_voltage') !== null) {
+            dcLoadW = Math.round(Math.abs(r.load_current) * r.battery_voltage);
+        }
+    }
+
+    return {
+        site_id: site.idSite,
+        site_name: site.name,
+        timestamp: nowMs(),
+        vrm_timestamp: val('vrm_timestamp'),
+        battery_soc: val('battery_soc'),
+        battery_voltage: val('battery_voltage'),
+        battery_current: val('battery_current'),
+        battery_temp: val('battery_temp'),
+        battery_power: battPower,
+        solar_watts: val('solar_watts'),
+        solar_yield_today: val('solar_yield_today'),
+        solar_yield_yesterday: val('solar_yield_yesterday'),
+        charge_state: val('charge_state'),
+        consumed_ah: val('consumed_ah'),
+        // Extended diagnostics
+        dc_load_watts: dcLoadW,
+        load_current: val('load_current'),
+        load_state: val('load_state'),
+        lifetime_yield_kwh: val('lifetime_yield_kwh'),
+        alarm_reason: val('alarm_reason'),
+        error_code: val('error_code'),
+        inverter_mode: val('inverter_mode'),
+        mppt_state: val('mppt_state'),
+        firmware_version: val('firmware_version'),
+        time_to_go_min: val('time_to_go_min'),
+    };
+}
@@ -0,0 +1,52 @@
+import { vrmFetch, extractDiagValue, extractVrmTimestamp } from '../vrmClient.js';
+import { buildSnapshot } from './snapshot.js';
+
+// VRM diagnostic code(s) per snapshot field — first non-null code wins
+export const VRM_DIAG_CODES = {
+    battery_soc: ['SOC', 'bs'],
+    battery_voltage: ['V', 'bv'],
+    battery_current: ['I', 'bc'],
+    battery_temp: ['BT', 'bT'],
+    battery_power: ['P'],               // from BMV; derived from V × I otherwise
+    solar_watts: ['ScW', 'Pdc'],
+    solar_yield_today: ['YT'],
+    solar_yield_yesterday: ['YY'],
+    charge_state: ['ScS'],
+    consumed_ah: ['CE'],
+    // Extended diagnostics for richer AI analysis
+    dc_load_watts: ['Pc'],              // derived from solar - battery_power otherwise
+    load_current: ['IL'],
+    load_state: ['LOAD'],
+    lifetime_yield_kwh: ['H19'],
+    alarm_reason: ['AR'],
+    error_code: ['ERR'],
+    inverter_mode: ['MODE'],
+    mppt_state: ['MPPT'],
+    firmware_version: ['FW'],
+    time_to_go_min: ['TTG'],
+};
+
+// Map raw /diagnostics records to snapshot fields (no derived values)
+export function mapDiagnostics(records) {
+    const reading = {};
+    for (const [field, codes] of Object.entries(VRM_DIAG_CODES)) {
+        let value = null;
+        for (const code of codes) {
+            value = extractDiagValue(records, code);
+            if (value !== null) break;
+        }
+        reading[field] = value;
+    }
+    reading.vrm_timestamp = extractVrmTimestamp(records);
+    return reading;
+}
+
+// Victron cloud (VRM /installations/:id/diagnostics). GPS comes from IC2.
+export const vrmSource = {
+    name: 'vrm',
+    label: 'Victron VRM',
+    async fetchSnapshot(site) {
+        const diagRes = await vrmFetch(`/installations/${site.idSite}/diagnostics?count=200`);
+        return buildSnapshot(site, mapDiagnostics(diagRes?.records || []));
+    },
+};
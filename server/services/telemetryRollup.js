@@ -0,0 +1,77 @@
+import { TELEMETRY_ROLLUP, SIMULATOR } from '../config.js';
+import { dbAvailable } from '../state.js';
+import { rollupTelemetry, getRollupFrontier } from '../db.js';
+import { nowMs } from '../lib/util.js';
+
+// ============================================================
+// Telemetry rollups
+//
+// Raw 5-minute snapshots only live for retention_days, so completed hours
+// are folded into hourly min / avg / max rows and completed days into daily
+// rows built from those hours. Runs from the poll loop before pruning
+// (prune never drops rows a tier above hasn't covered yet); a VRM backfill
+// re-rolls from its earliest gap so recovered rows reach the long-range
+// tiers. The first run works through existing raw history in chunks.
+// ============================================================
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+let rolledAt = 0;
+let rolling = false;
+let pendingSince = null;
+
+// Roll [from, to) into a tier chunk by chunk; returns buckets written
+async function rollRange(kind, tier, from, to) {
+    const chunkMs = TELEMETRY_ROLLUP.chunk_days * DAY_MS;
+    let written = 0;
+    for (let start = from; start < to; start += chunkMs) {
+        written += await rollupTelemetry(kind, tier, start, Math.min(to, start + chunkMs));
+    }
+    return written;
+}
+
+// Where a tier picks up: the explicit since, else its newest bucket
+// (re-rolled in case rows landed late), else the oldest source row
+async function rollStart(kind, tier, bucketMs, since) {
+    if (since != null) return Math.floor(since / bucketMs) * bucketMs;
+    const frontier = await getRollupFrontier(kind, tier);
+    const from = frontier.last_bucket ?? frontier.first_source;
+    return from != null ? Math.floor(from / bucketMs) * bucketMs : null;
+}
+
+export async function runTelemetryRollup({ force = false, since = null } = {}) {
+    // nowMs() is the replay clock in simulator mode; never roll up against it
+    if (!dbAvailable || SIMULATOR.enabled) return null;
+    if (rolling) {
+        // Re-roll after the current pass instead of dropping the request
+        if (since != null) pendingSince = pendingSince == null ? since : Math.min(pendingSince, since);
+        return null;
+    }
+    if (!force && since == null && nowMs() - rolledAt < TELEMETRY_ROLLUP.interval_ms) return null;
+    rolling = true;
+    rolledAt = nowMs();
+    try {
+        const hourEnd = Math.floor(nowMs() / HOUR_MS) * HOUR_MS;
+        const dayEnd = Math.floor(nowMs() / DAY_MS) * DAY_MS;
+        let hourly = 0, daily = 0, catchUp = since != null;
+        for (const kind of ['site', 'pepwave']) {
+            const hourFrom = await rollStart(kind, 'hourly', HOUR_MS, since);
+            if (hourFrom !== null) hourly += await rollRange(kind, 'hourly', hourFrom, hourEnd);
+            if (hourFrom !== null && hourFrom < hourEnd - DAY_MS) catchUp = true;
+            const dayFrom = await rollStart(kind, 'daily', DAY_MS, since);
+            if (dayFrom !== null) daily += await rollRange(kind, 'daily', dayFrom, dayEnd);
+        }
+        // The hourly pass is routine; only log catch-ups and re-rolls
+        if (catchUp) {
+            console.log(`  ✓ Telemetry rollup: ${hourly} hourly and ${daily} daily buckets`);
+        }
+        return { hourly, daily };
+    } finally {
+        rolling = false;
+        if (pendingSince != null) {
+            const next = pendingSince;
+            pendingSince = null;
+            runTelemetryRollup({ since: next }).catch(err => console.error('  Telemetry rollup failed:', err.message));
+        }
+    }
+}
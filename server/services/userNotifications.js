@@ -0,0 +1,217 @@
+import { DEFAULT_NOTIFICATION_CHANNELS } from '../config.js';
+import {
+    getNotificationAudience, getUpcomingMaintenance, insertNotification,
+    queueNotification, getQueuedNotifications, deleteQueuedNotifications, markQueuedNotificationAttempt,
+} from '../db.js';
+import { sendNotificationEmail, isEmailConfigured } from '../email.js';
+import { sendSms, isSmsConfigured } from '../sms.js';
+import { dbAvailable, trailerScopeMap } from '../state.js';
+import { nowMs } from '../lib/util.js';
+import { notifyOnce } from './notificationGate.js';
+import { publishStreamEvent } from './liveStream.js';
+
+// ============================================================
+// Per-user notification routing
+//
+// One event (energy deficit, rule alert, geofence breach, maintenance
+// due, rental calloff, mention, data usage) goes to every user who is subscribed to
+// its trailer, job site or company (or to the whole fleet) and has the
+// event type switched on for a channel. Email and SMS are held in
+// notification_queue during the user's quiet hours and sent when they end
+// — critical events break through unless the user opted out; in-app
+// notifications are always delivered. Each user + channel is deduped
+// through the notification gate.
+// ============================================================
+
+// Event type -> notification gate type (dedupe window)
+const GATE_TYPES = {
+    energy_deficit: 'alert',
+    alert_rule: 'rule_alert',
+    geofence_breach: 'geofence',
+    maintenance_due: 'maintenance',
+    rental_calloff: 'rental',
+    mention: 'mention',
+    data_usage: 'data_usage',
+};
+
+const DEFAULT_TIMEZONE = process.env.DIGEST_TIMEZONE || 'America/Denver';
+
+function minutesOfDay(hhmm) {
+    const m = /^(\d{1,2}):(\d{2})$/.exec(hhmm || '');
+    return m ? parseInt(m[1]) * 60 + parseInt(m[2]) : null;
+}
+
+// Quiet hours are local to the user's timezone and may wrap midnight
+export function isQuietHours(prefs, at = nowMs()) {
+    const start = minutesOfDay(prefs?.quiet_start);
+    const end = minutesOfDay(prefs?.quiet_end);
+    if (start === null || end === null || start === end) return false;
+    let local;
+    try {
+        local = new Intl.DateTimeFormat('en-GB', {
+            timeZone: prefs.timezone || DEFAULT_TIMEZONE, hour: '2-digit', minute: '2-digit', hourCycle: 'h23',
+        }).format(new Date(at));
+    } catch {
+        return false;
+    }
+    const now = minutesOfDay(local);
+    return start < end ? now >= start && now < end : now >= start || now < end;
+}
+
+function smsText(event) {
+    return `BIGView: ${event.title}${event.body ? ` — ${event.body}` : ''}`;
+}
+
+function channelsFor(user, type) {
+    if (!user.has_preferences) return DEFAULT_NOTIFICATION_CHANNELS[type] || [];
+    return user.channels?.[type] || [];
+}
+
+function isSubscribed(user, scope) {
+    if (user.all_trailers) return true;
+    return user.subscriptions.some(s =>
+        (s.scope_type === 'trailer' && s.scope_id === scope.site_id) ||
+        (s.scope_type === 'job_site' && s.scope_id === scope.job_site_id) ||
+        (s.scope_type === 'company' && s.scope_id === scope.company_id)
+    );
+}
+
+// event: { type, entityKey, scope: { site_id, job_site_id, company_id },
+//          severity, title, body, link, recipients?: [userId], sendEmail?: user => Promise }
+// recipients targets specific users (mentions) instead of subscribers.
+// Fire-and-forget: resolves to the number of deliveries, never throws.
+export async function notifyUsers(event) {
+    if (!dbAvailable) return 0;
+    const gateType = GATE_TYPES[event.type] || event.type;
+    const scope = { ...event.scope };
+    if (scope.site_id != null && (scope.job_site_id == null || scope.company_id == null)) {
+        const mapped = trailerScopeMap.get(scope.site_id);
+        scope.job_site_id ??= mapped?.job_site_id ?? null;
+        scope.company_id ??= mapped?.company_id ?? null;
+    }
+
+    let audience;
+    try {
+        audience = await getNotificationAudience();
+    } catch (err) {
+        console.error('  Notification audience lookup failed:', err.message);
+        return 0;
+    }
+
+    let delivered = 0;
+    for (const user of audience) {
+        if (event.recipients) {
+            if (!event.recipients.includes(user.id)) continue;
+        } else if (user.role === 'customer' || !isSubscribed(user, scope)) {
+            continue;
+        }
+        const channels = channelsFor(user, event.type);
+        if (channels.length === 0) continue;
+
+        const quiet = isQuietHours(user) && !(event.severity === 'critical' && user.quiet_allow_critical !== false);
+        const key = `${event.entityKey}:user:${user.id}`;
+
+        if (channels.includes('in_app')) {
+            if (await notifyOnce(gateType, `${key}:in_app`, async () => {
+                const row = await insertNotification(user.id, event.type, event.title, event.body, event.link);
+                publishStreamEvent('notification', row, { userId: user.id });
+            })) delivered++;
+        }
+        // In quiet hours the gate claim covers queueing, so a repeat isn't queued twice
+        const deliver = (channel, send) => notifyOnce(gateType, `${key}:${channel}`,
+            quiet ? () => queueNotification(user.id, channel, event) : send);
+        if (channels.includes('email') && user.email && isEmailConfigured()) {
+            const send = event.sendEmail
+                ? () => event.sendEmail(user)
+                : () => sendNotificationEmail(user.email, event);
+            if (await deliver('email', send)) delivered++;
+        }
+        if (channels.includes('sms') && user.phone && isSmsConfigured()) {
+            if (await deliver('sms', () => sendSms(user.phone, smsText(event)))) delivered++;
+        }
+    }
+    return delivered;
+}
+
+// ============================================================
+// Quiet-hours queue: sent once the user's window has ended (checked at
+// most every minute). Held email uses the generic notification layout. A
+// row is only deleted once it went out; a failed send is retried on the
+// next check, up to QUEUE_MAX_ATTEMPTS.
+// ============================================================
+const QUEUE_CHECK_INTERVAL_MS = 60 * 1000;
+const QUEUE_MAX_ATTEMPTS = 5;
+let lastQueueCheck = 0;
+let flushingQueue = false;
+
+export async function deliverQueuedNotifications() {
+    if (!dbAvailable || flushingQueue || nowMs() - lastQueueCheck < QUEUE_CHECK_INTERVAL_MS) return 0;
+    lastQueueCheck = nowMs();
+    flushingQueue = true;
+    try {
+        const queued = await getQueuedNotifications();
+        if (queued.length === 0) return 0;
+        const users = new Map((await getNotificationAudience()).map(u => [u.id, u]));
+
+        let sent = 0;
+        const drop = [];
+        for (const item of queued) {
+            const user = users.get(item.user_id);
+            if (user && isQuietHours(user)) continue;
+            let send = null;
+            if (item.channel === 'email' && user?.email && isEmailConfigured()) {
+                send = () => sendNotificationEmail(user.email, item);
+            } else if (item.channel === 'sms' && user?.phone && isSmsConfigured()) {
+                send = () => sendSms(user.phone, smsText(item));
+            }
+            // Deactivated user, or the channel can't reach them any more
+            if (!send) {
+                drop.push(item.id);
+                continue;
+            }
+            try {
+                await send();
+                await deleteQueuedNotifications([item.id]);
+                sent++;
+            } catch (err) {
+                const attempts = item.attempts + 1;
+                console.error(`  Queued ${item.channel} notification failed (attempt ${attempts}/${QUEUE_MAX_ATTEMPTS}):`, err.message);
+                if (attempts >= QUEUE_MAX_ATTEMPTS) drop.push(item.id);
+                else await markQueuedNotificationAttempt(item.id);
+            }
+        }
+        await deleteQueuedNotifications(drop);
+        if (sent > 0) console.log(`  ✓ Sent ${sent} notification${sent !== 1 ? 's' : ''} held for quiet hours`);
+        return sent;
+    } finally {
+        flushingQueue = false;
+    }
+}
+
+// ============================================================
+// Maintenance due / overdue reminders (checked at most hourly; the
+// maintenance gate window repeats them daily while still open)
+// ============================================================
+const MAINTENANCE_CHECK_INTERVAL_MS = 60 * 60 * 1000;
+let lastMaintenanceCheck = 0;
+
+export async function runMaintenanceDueNotifications() {
+    if (!dbAvailable || nowMs() - lastMaintenanceCheck < MAINTENANCE_CHECK_INTERVAL_MS) return;
+    lastMaintenanceCheck = nowMs();
+
+    const due = await getUpcomingMaintenance(1);
+    for (const item of due) {
+        if (!item.scheduled_date) continue;
+        const overdue = Number(item.scheduled_date) < nowMs();
+        const where = item.trailer_name || item.job_site_name || 'Unassigned';
+        await notifyUsers({
+            type: 'maintenance_due',
+            entityKey: `maint:${item.id}`,
+            scope: { site_id: item.site_id, job_site_id: item.job_site_id },
+            severity: overdue ? 'warning' : null,
+            title: `${overdue ? 'Overdue' : 'Due soon'}: ${item.title}`,
+            body: `${where} — scheduled ${new Date(Number(item.scheduled_date)).toLocaleDateString()}`,
+            link: item.site_id ? `/trailer/${item.site_id}` : '/maintenance',
+        });
+    }
+}
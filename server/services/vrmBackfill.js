@@ -0,0 +1,228 @@
+import { VRM_BACKFILL, VRM_TOKEN, SIMULATOR } from '../config.js';
+import { dbAvailable, vrmRateLimitedUntil } from '../state.js';
+import { findSnapshotGaps, insertSnapshot, computeDailyMetrics, getRetentionDays } from '../db.js';
+import { fetchVrmStats, sumStatsWh } from './vrmClient.js';
+import { applyConsumptionBackfill, CONSUMED_CODES } from './energy.js';
+import { runTelemetryRollup } from './telemetryRollup.js';
+import { computeAlerts, persistAlertHistory } from './alerts.js';
+import { publishAlerts } from './liveStream.js';
+import { todayStr } from '../lib/util.js';
+
+// ============================================================
+// VRM history backfill after outages
+//
+// When the server is down VRM keeps logging, so a hole in site_snapshots
+// can be rebuilt: each gap is split at UTC midnight, each piece fetched as
+// kWh (solar, consumption, battery flow) and SOC / voltage series, and one
+// row per stats interval inserted with backfilled = true. Every touched
+// day then gets its analytics_daily_metrics recomputed and the recovered
+// consumption folded into daily_energy_summary (today's share is left to
+// the live accumulator's own gap fill), the telemetry rollups re-rolled,
+// and the deficit streaks re-evaluated. One job at a time; progress is polled by the UI.
+// ============================================================
+const DAY_MS = 24 * 60 * 60 * 1000;
+const SOLAR_CODES = ['Pc', 'Pb', 'Pg'];
+const BATTERY_IN_CODES = ['Pb', 'Gb'];
+const BATTERY_OUT_CODES = ['Bc', 'Bg'];
+
+let job = null;
+
+function dateStr(ms) {
+    return new Date(ms).toISOString().slice(0, 10);
+}
+
+function sleep(ms) {
+    return new Promise(r => setTimeout(r, ms));
+}
+
+// A gap → pieces that don't cross UTC midnight
+function splitByDay(start, end) {
+    const pieces = [];
+    let from = start;
+    while (from < end) {
+        const midnight = Date.parse(`${dateStr(from)}T00:00:00Z`) + DAY_MS;
+        const to = Math.min(end, midnight);
+        pieces.push({ date: dateStr(from), start: from, end: to });
+        from = to;
+    }
+    return pieces;
+}
+
+// Wait out a fleet-wide 429 pause, then keep our distance from live polling
+async function throttle(first) {
+    if (Date.now() < vrmRateLimitedUntil) await sleep(vrmRateLimitedUntil - Date.now());
+    if (!first) await sleep(VRM_BACKFILL.request_gap_ms);
+}
+
+export async function listSnapshotGaps({ days = VRM_BACKFILL.default_days, siteId = null } = {}) {
+    const span = Math.min(Math.max(1, days), VRM_BACKFILL.max_days, await getRetentionDays());
+    const end = Date.now();
+    const gaps = await findSnapshotGaps(end - span * DAY_MS, end, VRM_BACKFILL.min_gap_ms, siteId);
+    return { days: span, gaps: gaps.map(g => ({ ...g, duration_ms: g.gap_end - g.gap_start })) };
+}
+
+// Rebuild one day-piece of a gap; returns the rows inserted and the energy recovered
+async function backfillPiece(gap, piece, yieldBase, first) {
+    await throttle(first);
+    const kwh = await fetchVrmStats(gap.site_id, {
+        type: 'kwh', interval: VRM_BACKFILL.stats_interval, start: piece.start, end: piece.end,
+    });
+    await throttle(false);
+    const readings = await fetchVrmStats(gap.site_id, {
+        type: 'custom', interval: VRM_BACKFILL.stats_interval, start: piece.start, end: piece.end, attributeCodes: ['bs', 'bv'],
+    });
+
+    const intervalMs = kwh.interval_ms;
+    const hours = intervalMs / 3600000;
+    const soc = new Map((readings.series.bs || []).map(([ts, v]) => [ts, v]));
+    const voltage = new Map((readings.series.bv || []).map(([ts, v]) => [ts, v]));
+    const stamps = new Set([...soc.keys(), ...voltage.keys()]);
+    for (const points of Object.values(kwh.series)) for (const [ts] of points) stamps.add(ts);
+
+    let yieldKwh = yieldBase;
+    let rows = 0;
+    for (const ts of [...stamps].sort((a, b) => a - b)) {
+        // Interval starts strictly inside the hole; the edges are live rows
+        if (ts <= gap.gap_start || ts >= gap.gap_end || ts < piece.start || ts >= piece.end) continue;
+        const bucketEnd = ts + intervalMs;
+        const solarWh = sumStatsWh(kwh.series, SOLAR_CODES, ts, bucketEnd, intervalMs);
+        const consumedWh = sumStatsWh(kwh.series, CONSUMED_CODES, ts, bucketEnd, intervalMs);
+        const batteryIn = sumStatsWh(kwh.series, BATTERY_IN_CODES, ts, bucketEnd, intervalMs);
+        const batteryOut = sumStatsWh(kwh.series, BATTERY_OUT_CODES, ts, bucketEnd, intervalMs);
+        if (solarWh !== null) yieldKwh += solarWh / 1000;
+        await insertSnapshot({
+            site_id: gap.site_id,
+            site_name: gap.site_name,
+            timestamp: ts,
+            battery_soc: soc.get(ts) ?? null,
+            battery_voltage: voltage.get(ts) ?? null,
+            battery_current: null,
+            battery_temp: null,
+            battery_power: batteryIn !== null || batteryOut !== null ? ((batteryIn || 0) - (batteryOut || 0)) / hours : null,
+            solar_watts: solarWh !== null ? solarWh / hours : null,
+            solar_yield_today: solarWh !== null ? Math.round(yieldKwh * 1000) / 1000 : null,
+            solar_yield_yesterday: null,
+            charge_state: null,
+            dc_load_watts: consumedWh !== null ? consumedWh / hours : null,
+            backfilled: true,
+        });
+        rows++;
+    }
+
+    return {
+        rows,
+        consumed_wh: sumStatsWh(kwh.series, CONSUMED_CODES, piece.start, piece.end, intervalMs),
+        solar_wh: sumStatsWh(kwh.series, SOLAR_CODES, piece.start, piece.end, intervalMs),
+    };
+}
+
+async function runBackfill(gaps) {
+    const days = new Set();
+    let first = true;
+    for (const gap of gaps) {
+        job.current = { site_id: gap.site_id, site_name: gap.site_name, gap_start: gap.gap_start, gap_end: gap.gap_end };
+        try {
+            let gapRows = 0;
+            for (const piece of splitByDay(gap.gap_start, gap.gap_end)) {
+                // Yield so far today from the row before the hole, else from midnight
+                const yieldBase = piece.start === gap.gap_start && gap.prev_yield_today != null ? gap.prev_yield_today : 0;
+                const result = await backfillPiece(gap, piece, yieldBase, first);
+                first = false;
+                gapRows += result.rows;
+                if (result.consumed_wh !== null && piece.date !== todayStr()) {
+                    // Yield at the end of the piece only matters when the day ended inside the hole
+                    const dayEnded = piece.end < gap.gap_end;
+                    await applyConsumptionBackfill(gap.site_id, piece.date, {
+                        wh: result.consumed_wh,
+                        start: piece.start,
+                        end: piece.end,
+                        yieldWh: dayEnded && result.solar_wh !== null ? (yieldBase * 1000) + result.solar_wh : null,
+                        siteName: gap.site_name,
+                    });
+                }
+                if (result.rows > 0 || result.consumed_wh !== null) days.add(piece.date);
+            }
+            job.rows_inserted += gapRows;
+            if (gapRows === 0) job.empty_gaps++;
+        } catch (err) {
+            job.failed_gaps++;
+            job.errors.push(`${gap.site_name || gap.site_id} ${new Date(gap.gap_start).toISOString()}: ${err.message}`);
+            console.warn(`  VRM backfill: site ${gap.site_id} failed: ${err.message}`);
+        }
+        job.done_gaps++;
+    }
+
+    job.current = null;
+    job.phase = 'recomputing';
+    for (const date of [...days].sort()) {
+        await computeDailyMetrics(date);
+        job.days_recomputed++;
+    }
+    // Recovered rows into the hourly / daily history tiers
+    if (job.rows_inserted > 0) await runTelemetryRollup({ since: Math.min(...gaps.map(g => g.gap_start)) });
+
+    // Deficit streaks over the corrected days
+    const alerts = computeAlerts();
+    publishAlerts(alerts);
+    await persistAlertHistory(alerts);
+    job.active_deficit_alerts = alerts.length;
+}
+
+// Start a backfill job; returns the job, or an error when one is running
+export async function startVrmBackfill({ days = VRM_BACKFILL.default_days, siteId = null, actor = 'system' } = {}) {
+    if (!dbAvailable) return { error: 'Database not available', status: 503 };
+    if (SIMULATOR.enabled || !VRM_TOKEN) return { error: 'VRM is not configured', status: 400 };
+    if (job?.status === 'running' || job?.status === 'scanning') return { error: 'A backfill is already running', status: 409 };
+
+    // Claimed before the gap scan so a second request can't start another
+    const previous = job;
+    job = {
+        status: 'scanning',
+        phase: 'scanning',
+        started_at: Date.now(),
+        finished_at: null,
+        started_by: actor,
+        days: null,
+        site_id: siteId,
+        total_gaps: 0,
+        done_gaps: 0,
+        failed_gaps: 0,
+        empty_gaps: 0,
+        rows_inserted: 0,
+        days_recomputed: 0,
+        active_deficit_alerts: null,
+        current: null,
+        errors: [],
+        error: null,
+    };
+    let span, gaps;
+    try {
+        ({ days: span, gaps } = await listSnapshotGaps({ days, siteId }));
+    } catch (err) {
+        job = previous;
+        throw err;
+    }
+    Object.assign(job, { status: 'running', phase: 'fetching', days: span, total_gaps: gaps.length });
+
+    const started = job;
+    runBackfill(gaps)
+        .then(() => {
+            started.status = 'done';
+            console.log(`  ✓ VRM backfill: ${started.rows_inserted} rows for ${started.done_gaps - started.failed_gaps} of ${started.total_gaps} gaps, ${started.days_recomputed} days recomputed`);
+        })
+        .catch(err => {
+            started.status = 'failed';
+            started.error = err.message;
+            console.error('  VRM backfill failed:', err.message);
+        })
+        .finally(() => {
+            started.finished_at = Date.now();
+            started.phase = null;
+        });
+    return { job: getVrmBackfillStatus() };
+}
+
+export function getVrmBackfillStatus() {
+    if (!job) return null;
+    return { ...job, errors: job.errors.slice(-20) };
+}
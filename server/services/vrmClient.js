@@ -1,17 +1,72 @@
-import { VRM_TOKEN, VRM_BASE } from '../config.js';
+import { VRM_TOKEN, VRM_BASE, POLL_SCHEDULER } from '../config.js';
+import { setVrmRateLimitedUntil } from '../state.js';
 
 // --- VRM API helper ---
 export const vrmHeaders = { 'x-authorization': `Token ${VRM_TOKEN}` };
 
+// Retry-After is either delta-seconds or an HTTP date
+export function parseRetryAfter(header) {
+    if (!header) return POLL_SCHEDULER.default_retry_after_ms;
+    const secs = Number(header);
+    if (Number.isFinite(secs)) return Math.max(0, secs * 1000);
+    const at = Date.parse(header);
+    return Number.isFinite(at) ? Math.max(0, at - Date.now()) : POLL_SCHEDULER.default_retry_after_ms;
+}
+
 export async function vrmFetch(endpoint) {
     const res = await fetch(`${VRM_BASE}${endpoint}`, { headers: vrmHeaders });
     if (!res.ok) {
         const text = await res.text();
-        throw new Error(`VRM API ${res.status}: ${text}`);
+        const err = new Error(`VRM API ${res.status}: ${text}`);
+        err.status = res.status;
+        if (res.status === 429) {
+            // Pause the poll scheduler fleet-wide until VRM lets us back in
+            err.retryAfterMs = parseRetryAfter(res.headers.get('retry-after'));
+            setVrmRateLimitedUntil(Date.now() + err.retryAfterMs);
+        }
+        throw err;
     }
     return res.json();
 }
 
+// --- Installation stats (historic series) ---
+const STATS_INTERVAL_MS = { '15mins': 15 * 60 * 1000, hours: 60 * 60 * 1000, '2hours': 2 * 60 * 60 * 1000, days: 24 * 60 * 60 * 1000 };
+
+// /installations/:id/stats between two ms timestamps → { series: { code:
+// [[timestampMs, value], ...] }, interval_ms }. type 'kwh' gives energy per
+// interval (Pc / Bc / Gc = consumption from solar, battery, grid; Pb / Pg =
+// solar to battery, grid); type 'custom' gives the interval mean of each
+// attribute code (bs = battery SOC, bv = battery voltage).
+export async function fetchVrmStats(siteId, { type = 'kwh', interval = 'hours', start, end, attributeCodes = [] }) {
+    let query = `type=${type}&interval=${interval}&start=${Math.floor(start / 1000)}&end=${Math.ceil(end / 1000)}`;
+    for (const code of attributeCodes) query += `&attributeCodes[]=${encodeURIComponent(code)}`;
+    const json = await vrmFetch(`/installations/${siteId}/stats?${query}`);
+    const series = {};
+    for (const [code, points] of Object.entries(json.records || {})) {
+        if (!Array.isArray(points)) continue;   // VRM sends false for codes with no data
+        series[code] = points
+            .filter(p => Array.isArray(p) && p[1] != null)
+            .map(p => [Number(p[0]), Number(p[1])]);
+    }
+    return { series, interval_ms: STATS_INTERVAL_MS[interval] || STATS_INTERVAL_MS.hours };
+}
+
+// Wh of the given kwh codes inside [start, end), prorated at the window
+// edges; null when VRM has no points for any of them
+export function sumStatsWh(series, codes, start, end, intervalMs) {
+    let wh = 0;
+    let points = 0;
+    for (const code of codes) {
+        for (const [ts, kwh] of series[code] || []) {
+            const overlap = Math.min(end, ts + intervalMs) - Math.max(start, ts);
+            if (overlap <= 0) continue;
+            wh += kwh * 1000 * overlap / intervalMs;
+            points++;
+        }
+    }
+    return points > 0 ? wh : null;
+}
+
 // --- Helper: extract values from diagnostics records ---
 export function extractDiagValue(records, code) {
     const match = records.find(r => r.code === code && r.Device !== 'Gateway');
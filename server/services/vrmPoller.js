@@ -1,231 +1,393 @@
-import { VRM_USER_ID, TRAILER_SPECS } from '../config.js';
+import { VRM_USER_ID, POLL_SCHEDULER, SITES_CACHE_TTL } from '../config.js';
 import {
     snapshotCache, pepwaveCache, gpsCache, trailerJobSiteMap, dailyEnergy,
-    socStartOfDay, dbAvailable, pgvectorAvailable, sitesCache, setSitesCache,
+    socStartOfDay, dbAvailable, pgvectorAvailable, sitesCache, sitesCacheTime, setSitesCache,
+    pollSchedule, watchedSites, hqSiteIds, vrmRateLimitedUntil,
 } from '../state.js';
-import { vrmFetch, extractDiagValue, extractVrmTimestamp } from './vrmClient.js';
+import { vrmFetch } from './vrmClient.js';
+import { getTelemetrySource, getPollTargets, refreshTelemetryAssignments } from './telemetry/index.js';
 import { insertSnapshot, pruneOldData, upsertTrailerAssignment } from '../db.js';
 import { isConfigured as isEmbeddingsConfigured } from '../embeddings.js';
-import { updateDailyEnergy } from './energy.js';
+import { updateDailyEnergy, fillConsumptionGaps } from './energy.js';
 import { fetchSolarIrradiance } from './weather.js';
 import { computeAlerts, persistAlertHistory, refreshTrailerJobSiteMap } from './alerts.js';
+import { evaluateAlertRules, getFiringRuleAlerts } from './alertRules.js';
+import { runAlertLifecycleTasks } from './alertLifecycle.js';
+import { runMaintenanceDueNotifications, deliverQueuedNotifications } from './userNotifications.js';
 import { generateEmbeddingsAsync } from './embeddingsJob.js';
 import { computeYesterdayMetrics } from './analyticsJobs.js';
+import { nowMs } from '../lib/util.js';
 import { detectGpsChanges } from './geofence.js';
 import { refreshMaintStatsCache } from './intelligence.js';
+import { recordPollAttempt, forgetPollHealth, SOURCE_LIST_ID } from './pollHealth.js';
+import { queueSnapshotDelta, publishAlerts } from './liveStream.js';
+import { getTrailerSpecs, loadHardwareProfiles } from './hardwareProfiles.js';
+import { refreshSocForecasts } from './socForecast.js';
+import { refreshLoadProfiles } from './loadProfile.js';
+import { computeYesterdayBatteryHealth } from './batteryHealth.js';
+import { refreshPanelHealth } from './panelHealth.js';
+import { syncIrradianceHistory } from './irradiance.js';
+import { runTelemetryRollup } from './telemetryRollup.js';
 
-// --- Background polling: VRM ---
-export let isPolling = false;
+// Everything downstream of a fetched snapshot: cache, daily energy, and
+// persistence. Shared by every telemetry source and the simulator, which
+// passes persist: false when replaying rows already in site_snapshots.
+export async function ingestSnapshot(site, snapshot, { persist = true } = {}) {
+    snapshotCache.set(site.idSite, snapshot);
+    queueSnapshotDelta(snapshot);
 
-export async function pollAllSites() {
-    if (isPolling) return;
-    isPolling = true;
-    const startTime = Date.now();
-    console.log(`[${new Date().toISOString()}] Polling VRM sites...`);
+    // Compute today's expected yield (weather-based) and store with daily energy
+    let expectedYieldWh = null;
+    const gpsForYield = gpsCache.get(site.idSite);
+    if (gpsForYield) {
+        try {
+            const wx = await fetchSolarIrradiance(gpsForYield.latitude, gpsForYield.longitude);
+            const psh = wx?.peak_sun_hours ?? 5;
+            const { solar } = getTrailerSpecs(site.idSite);
+            expectedYieldWh = Math.round(solar.total_watts * psh * solar.system_efficiency);
+        } catch { }
+    }
 
-    try {
-        if (!sitesCache) {
+    const yieldYesterday = snapshot.solar_yield_yesterday;
+    updateDailyEnergy(site.idSite, site.name, snapshot.solar_yield_today, snapshot.consumed_ah, snapshot.battery_voltage, snapshot.battery_soc, snapshot.dc_load_watts, snapshot.load_current, expectedYieldWh, { persist });
+
+    if (yieldYesterday !== null) {
+        const yesterday = new Date(nowMs());
+        yesterday.setDate(yesterday.getDate() - 1);
+        const yestStr = yesterday.toISOString().slice(0, 10);
+        if (!dailyEnergy.has(site.idSite)) dailyEnergy.set(site.idSite, {});
+        const siteData = dailyEnergy.get(site.idSite);
+        if (!siteData[yestStr]) {
+            siteData[yestStr] = {
+                site_name: site.name,
+                yield_wh: yieldYesterday * 1000,
+                consumed_wh: null,
+                expected_yield_wh: expectedYieldWh, // today's weather as proxy until the irradiance sync re-stamps it
+                updated: nowMs(),
+            };
+        }
+    }
+
+    if (dbAvailable && persist) {
+        try {
+            await insertSnapshot({
+                ...snapshot,
+                raw_battery: {
+                    alarm_reason: snapshot.alarm_reason,
+                    error_code: snapshot.error_code,
+                    load_current: snapshot.load_current,
+                    load_state: snapshot.load_state,
+                    dc_load_watts: snapshot.dc_load_watts,
+                    inverter_mode: snapshot.inverter_mode,
+                },
+                raw_solar: {
+                    mppt_state: snapshot.mppt_state,
+                    lifetime_yield_kwh: snapshot.lifetime_yield_kwh,
+                    firmware_version: snapshot.firmware_version,
+                },
+            });
+        } catch (dbErr) { /* in memory */ }
+        // Persist trailer assignment (GPS comes from IC2, pass null to preserve existing)
+        try {
+            await upsertTrailerAssignment(site.idSite, site.name, null, null);
+        } catch (dbErr) { /* non-critical */ }
+    }
+}
+
+// Fleet-wide work after a round of snapshots: eviction, alerts, history,
+// embeddings, GPS change detection and lazy daily metrics. Returns the
+// current alert list. The simulator passes persist: false so a replay
+// evaluates alerts in memory without writing to the DB or calling out.
+export async function runPostPollTasks(activeSiteIds, { persist = true } = {}) {
+    // Evict snapshots for sites no longer in VRM (or any other source)
+    for (const cachedId of snapshotCache.keys()) {
+        if (!activeSiteIds.has(cachedId)) {
+            snapshotCache.delete(cachedId);
+            gpsCache.delete(cachedId);      // clean up associated GPS
+            dailyEnergy.delete(cachedId);    // clean up associated energy
+        }
+    }
+
+    if (dbAvailable) {
+        // Roll up before pruning so raw rows past retention are covered.
+        // Both go by nowMs(), which is the replay clock when simulating.
+        if (persist) {
+            try { await runTelemetryRollup(); } catch (err) { console.error('  Telemetry rollup failed:', err.message); }
+            try { await pruneOldData(); } catch (e) { /* ignore */ }
+        }
+        // Refresh trailer-to-job-site mapping for alert emails
+        try { await refreshTrailerJobSiteMap(); } catch (e) { /* ignore */ }
+        // Refresh maintenance stats for health grades
+        try { await refreshMaintStatsCache(); } catch (e) { /* ignore */ }
+    }
+
+    const currentAlerts = computeAlerts();
+    publishAlerts(currentAlerts);
+
+    // Threshold alert rules (duration / hysteresis state, history, email)
+    evaluateAlertRules({ persist });
+
+    // Learned load profiles, then 72h SOC forecasts, for the next
+    // evaluation (both throttled internally)
+    refreshLoadProfiles().then(refreshSocForecasts).catch(err =>
+        console.error('  SOC forecast refresh failed:', err.message)
+    );
+
+    // Panel soiling / shading analysis (throttled internally)
+    refreshPanelHealth();
+
+    if (persist) {
+        // Consumption accumulator gaps (downtime, redeploys) from VRM stats
+        fillConsumptionGaps().catch(err =>
+            console.error('  Consumption gap fill failed:', err.message)
+        );
+
+        // Archive irradiance history + expected-yield re-stamp (daily)
+        syncIrradianceHistory().catch(err =>
+            console.error('  Irradiance sync failed:', err.message)
+        );
+    }
+
+    // Persist alert history to DB (async, don't block)
+    if (dbAvailable && persist) {
+        persistAlertHistory(currentAlerts).catch(err =>
+            console.error('  Alert history persistence failed:', err.message)
+        );
+        // Wake expired snoozes, escalate unacknowledged critical alerts
+        runAlertLifecycleTasks().catch(err =>
+            console.error('  Alert lifecycle tasks failed:', err.message)
+        );
+        // Maintenance due / overdue reminders for subscribed users
+        runMaintenanceDueNotifications().catch(err =>
+            console.error('  Maintenance reminders failed:', err.message)
+        );
+        // Email / SMS held during quiet hours
+        deliverQueuedNotifications().catch(err =>
+            console.error('  Quiet-hours queue failed:', err.message)
+        );
+    }
+
+    // Auto-generate embeddings for new data (async, don't block)
+    if (persist && dbAvailable && pgvectorAvailable && isEmbeddingsConfigured() && snapshotCache.size > 0) {
+        generateEmbeddingsAsync().catch(err =>
+            console.error('  Background embedding generation failed:', err.message)
+        );
+    }
+
+    // GPS change detection runs continuously during polling
+    if (persist && dbAvailable && gpsCache.size > 0) {
+        detectGpsChanges().catch(err =>
+            console.error('  GPS change detection failed:', err.message)
+        );
+    }
+
+    // Lazy analytics: compute yesterday's daily metrics, then battery health
+    if (persist) computeYesterdayMetrics().then(computeYesterdayBatteryHealth);
+
+    return currentAlerts;
+}
+
+// ============================================================
+// Adaptive polling scheduler (VRM + other telemetry sources)
+//
+// Each site carries its own next-due time in pollSchedule. A short tick
+// polls whatever is due — fastest cadence first — spaced to stay inside
+// the VRM request budget. Cadence follows the trailer's condition, errors
+// back off per site, and a VRM 429 pauses every site until Retry-After.
+// ============================================================
+const CADENCE_MS = {
+    fast: POLL_SCHEDULER.fast_ms,
+    watched: POLL_SCHEDULER.watched_ms,
+    normal: POLL_SCHEDULER.normal_ms,
+    parked: POLL_SCHEDULER.parked_ms,
+};
+const CADENCE_PRIORITY = { fast: 0, watched: 1, normal: 2, parked: 3 };
+
+const criticalAlertSites = new Set();  // refreshed from energy + rule alerts each round
+let schedulerBusy = false;
+let lastTargetRefresh = 0;
+let lastPostPoll = 0;
+let roundStats = { ok: 0, errors: 0, since: Date.now() };
+
+// Non-zero VRM alarm / error codes; text values count as active
+function isActiveCode(v) {
+    return v != null && v !== '' && Number(v) !== 0;
+}
+
+export function classifySiteCadence(siteId) {
+    const s = snapshotCache.get(siteId);
+    if (s) {
+        if (isActiveCode(s.alarm_reason) || isActiveCode(s.error_code)) return 'fast';
+        if (s.battery_soc != null && s.battery_soc < POLL_SCHEDULER.low_soc) return 'fast';
+        if (s.battery_power != null && s.battery_power < 0 && s.battery_soc != null) {
+            const hoursLeft = (s.battery_soc / 100) * getTrailerSpecs(siteId).battery.total_wh / -s.battery_power;
+            if (hoursLeft < POLL_SCHEDULER.fast_discharge_hours) return 'fast';
+        }
+    }
+    if (criticalAlertSites.has(siteId)) return 'fast';
+    if ((watchedSites.get(siteId) || 0) > Date.now()) return 'watched';
+    if (hqSiteIds.has(siteId)) return 'parked';
+    return 'normal';
+}
+
+// A detail page is open: poll at the watched cadence for a while
+export function markSiteWatched(siteId) {
+    watchedSites.set(siteId, Date.now() + POLL_SCHEDULER.watch_ttl_ms);
+    const entry = pollSchedule.get(siteId);
+    if (entry && entry.failures === 0 && CADENCE_PRIORITY[entry.cadence] > CADENCE_PRIORITY.watched) {
+        entry.cadence = 'watched';
+        entry.interval_ms = CADENCE_MS.watched;
+        entry.next_due = Math.min(entry.next_due, (entry.last_polled || 0) + CADENCE_MS.watched);
+    }
+}
+
+function scheduleNextPoll(entry) {
+    entry.cadence = classifySiteCadence(entry.site.idSite);
+    entry.interval_ms = CADENCE_MS[entry.cadence];
+    entry.next_due = Date.now() + entry.interval_ms;
+}
+
+// Sync pollSchedule with the VRM installation list + non-VRM trailers
+async function refreshPollTargets() {
+    if (!sitesCache || Date.now() - sitesCacheTime >= SITES_CACHE_TTL) {
+        const started = Date.now();
+        try {
             const data = await vrmFetch(`/users/${VRM_USER_ID}/installations`);
             setSitesCache(data);
+            recordPollAttempt('vrm', SOURCE_LIST_ID, 'VRM installations', { ok: true, latencyMs: Date.now() - started });
+        } catch (err) {
+            recordPollAttempt('vrm', SOURCE_LIST_ID, 'VRM installations', { ok: false, latencyMs: Date.now() - started, error: err.message });
+            if (!sitesCache) throw err;
+            console.error('  VRM installation list refresh failed (keeping cached):', err.message);
         }
+    }
+    await refreshTelemetryAssignments();
+    await loadHardwareProfiles();
 
-        const sites = sitesCache.records || [];
-        let successCount = 0;
-        let errorCount = 0;
-
-        for (let i = 0; i < sites.length; i += 3) {
-            const batch = sites.slice(i, i + 3);
-            const promises = batch.map(async (site) => {
-                try {
-                    const diagRes = await vrmFetch(
-                        `/installations/${site.idSite}/diagnostics?count=200`
-                    );
-                    const records = diagRes?.records || [];
-
-                    const yieldToday = extractDiagValue(records, 'YT');
-                    const yieldYesterday = extractDiagValue(records, 'YY');
-                    const consumedAh = extractDiagValue(records, 'CE');
-                    const batteryVoltage = extractDiagValue(records, 'V') ?? extractDiagValue(records, 'bv');
-
-                    // Extended diagnostics for richer AI analysis
-                    let dcLoadW = extractDiagValue(records, 'Pc');  // DC load power (watts)
-                    const loadCurrent = extractDiagValue(records, 'IL');
-                    const loadState = extractDiagValue(records, 'LOAD');
-                    const lifetimeYieldKwh = extractDiagValue(records, 'H19');
-                    const alarmReason = extractDiagValue(records, 'AR');
-                    const errorCode = extractDiagValue(records, 'ERR');
-                    const inverterMode = extractDiagValue(records, 'MODE');
-                    const mpptState = extractDiagValue(records, 'MPPT');
-                    const firmwareVersion = extractDiagValue(records, 'FW');
-                    const timeToGoMin = extractDiagValue(records, 'TTG');
-
-                    // GPS: IC2 Peplink is the sole source (populated in pollIc2Devices)
-
-                    // Battery power: P (from BMV) or derive from V × I
-                    const solarW = extractDiagValue(records, 'ScW') ?? extractDiagValue(records, 'Pdc');
-                    let battPower = extractDiagValue(records, 'P');
-                    if (battPower === null && batteryVoltage !== null) {
-                        const battCurrent = extractDiagValue(records, 'I') ?? extractDiagValue(records, 'bc');
-                        if (battCurrent !== null) battPower = Math.round(batteryVoltage * battCurrent);
-                    }
-
-                    // Derive DC load if Pc not available: load = solar - battery_power
-                    if (dcLoadW === null) {
-                        if (solarW !== null && battPower !== null) {
-                            dcLoadW = Math.round(Math.max(0, solarW - battPower));
-                        } else if (loadCurrent !== null && batteryVoltage !== null) {
-                            dcLoadW = Math.round(Math.abs(loadCurrent) * batteryVoltage);
-                        }
-                    }
-
-                    const vrmTs = extractVrmTimestamp(records);
-
-                    const snapshot = {
-                        site_id: site.idSite,
-                        site_name: site.name,
-                        timestamp: Date.now(),
-                        vrm_timestamp: vrmTs,
-                        battery_soc: extractDiagValue(records, 'SOC') ?? extractDiagValue(records, 'bs'),
-                        battery_voltage: batteryVoltage,
-                        battery_current: extractDiagValue(records, 'I') ?? extractDiagValue(records, 'bc'),
-                        battery_temp: extractDiagValue(records, 'BT') ?? extractDiagValue(records, 'bT'),
-                        battery_power: battPower,
-                        solar_watts: extractDiagValue(records, 'ScW') ?? extractDiagValue(records, 'Pdc'),
-                        solar_yield_today: yieldToday,
-                        solar_yield_yesterday: yieldYesterday,
-                        charge_state: extractDiagValue(records, 'ScS'),
-                        consumed_ah: consumedAh,
-                        // Extended diagnostics
-                        dc_load_watts: dcLoadW,
-                        load_current: loadCurrent,
-                        load_state: loadState,
-                        lifetime_yield_kwh: lifetimeYieldKwh,
-                        alarm_reason: alarmReason,
-                        error_code: errorCode,
-                        inverter_mode: inverterMode,
-                        mppt_state: mpptState,
-                        firmware_version: firmwareVersion,
-                        time_to_go_min: timeToGoMin,
-                    };
-
-                    snapshotCache.set(site.idSite, snapshot);
-
-                    // Compute today's expected yield (weather-based) and store with daily energy
-                    let expectedYieldWh = null;
-                    const gpsForYield = gpsCache.get(site.idSite);
-                    if (gpsForYield) {
-                        try {
-                            const wx = await fetchSolarIrradiance(gpsForYield.latitude, gpsForYield.longitude);
-                            const psh = wx?.peak_sun_hours ?? 5;
-                            expectedYieldWh = Math.round(TRAILER_SPECS.solar.total_watts * psh * TRAILER_SPECS.solar.system_efficiency);
-                        } catch { }
-                    }
-
-                    updateDailyEnergy(site.idSite, site.name, yieldToday, consumedAh, batteryVoltage, snapshot.battery_soc, dcLoadW, loadCurrent, expectedYieldWh);
-
-                    if (yieldYesterday !== null) {
-                        const yesterday = new Date();
-                        yesterday.setDate(yesterday.getDate() - 1);
-                        const yestStr = yesterday.toISOString().slice(0, 10);
-                        if (!dailyEnergy.has(site.idSite)) dailyEnergy.set(site.idSite, {});
-                        const siteData = dailyEnergy.get(site.idSite);
-                        if (!siteData[yestStr]) {
-                            siteData[yestStr] = {
-                                site_name: site.name,
-                                yield_wh: yieldYesterday * 1000,
-                                consumed_wh: null,
-                                expected_yield_wh: expectedYieldWh, // approximate — today's weather as proxy
-                                updated: Date.now(),
-                            };
-                        }
-                    }
-
-                    if (dbAvailable) {
-                        try {
-                            await insertSnapshot({
-                                ...snapshot,
-                                raw_battery: {
-                                    alarm_reason: alarmReason,
-                                    error_code: errorCode,
-                                    load_current: loadCurrent,
-                                    load_state: loadState,
-                                    dc_load_watts: dcLoadW,
-                                    inverter_mode: inverterMode,
-                                },
-                                raw_solar: {
-                                    mppt_state: mpptState,
-                                    lifetime_yield_kwh: lifetimeYieldKwh,
-                                    firmware_version: firmwareVersion,
-                                },
-                            });
-                        } catch (dbErr) { /* in memory */ }
-                        // Persist trailer assignment (GPS comes from IC2, pass null to preserve existing)
-                        try {
-                            await upsertTrailerAssignment(site.idSite, site.name, null, null);
-                        } catch (dbErr) { /* non-critical */ }
-                    }
-
-                    successCount++;
-                } catch (err) {
-                    errorCount++;
-                    console.error(`  Error polling site ${site.name}: ${err.message}`);
-                }
+    const sites = getPollTargets(sitesCache.records || []);
+    const active = new Set();
+    for (const site of sites) {
+        active.add(site.idSite);
+        const entry = pollSchedule.get(site.idSite);
+        if (entry) {
+            entry.site = site;
+        } else {
+            pollSchedule.set(site.idSite, {
+                site,
+                cadence: 'normal',
+                interval_ms: CADENCE_MS.normal,
+                next_due: Date.now(),
+                failures: 0,
+                last_polled: null,
             });
-            await Promise.all(promises);
-            if (i + 3 < sites.length) {
-                await new Promise(r => setTimeout(r, 1200));
-            }
         }
-
-        // Evict snapshots for sites no longer in VRM
-        const activeSiteIds = new Set(sites.map(s => s.idSite));
-        for (const cachedId of snapshotCache.keys()) {
-            if (!activeSiteIds.has(cachedId)) {
-                snapshotCache.delete(cachedId);
-                gpsCache.delete(cachedId);      // clean up associated GPS
-                dailyEnergy.delete(cachedId);    // clean up associated energy
-            }
+    }
+    for (const [siteId, entry] of pollSchedule) {
+        if (!active.has(siteId)) {
+            pollSchedule.delete(siteId);
+            forgetPollHealth(entry.source || 'vrm', siteId);
         }
+    }
+    lastTargetRefresh = Date.now();
+}
 
-        if (dbAvailable) {
-            try { await pruneOldData(); } catch (e) { /* ignore */ }
-            // Refresh trailer-to-job-site mapping for alert emails
-            try { await refreshTrailerJobSiteMap(); } catch (e) { /* ignore */ }
-            // Refresh maintenance stats for health grades
-            try { await refreshMaintStatsCache(); } catch (e) { /* ignore */ }
+async function pollSite(entry) {
+    const { site } = entry;
+    const { source, config } = getTelemetrySource(site.idSite);
+    // Source can change per trailer — drop health kept under the old one
+    if (entry.source && entry.source !== source.name) forgetPollHealth(entry.source, site.idSite);
+    entry.source = source.name;
+    const started = Date.now();
+    try {
+        const snapshot = await source.fetchSnapshot(site, config);
+        const latencyMs = Date.now() - started;
+        await ingestSnapshot(site, snapshot);
+        recordPollAttempt(source.name, site.idSite, site.name, { ok: true, latencyMs });
+        entry.failures = 0;
+        entry.last_polled = Date.now();
+        scheduleNextPoll(entry);
+        roundStats.ok++;
+    } catch (err) {
+        recordPollAttempt(source.name, site.idSite, site.name, { ok: false, latencyMs: Date.now() - started, error: err.message });
+        if (err.status === 429 && source.name === 'vrm') {
+            // Not this site's fault — retry once the fleet-wide pause lifts
+            entry.next_due = vrmRateLimitedUntil;
+            return;
         }
+        entry.failures++;
+        // A rate-limited gateway only holds back its own trailer
+        const backoff = err.status === 429 && err.retryAfterMs != null
+            ? err.retryAfterMs
+            : Math.min(entry.interval_ms * 2 ** (entry.failures - 1), POLL_SCHEDULER.max_backoff_ms);
+        entry.next_due = Date.now() + backoff;
+        roundStats.errors++;
+        console.error(`  Error polling site ${site.name}: ${err.message} (failure ${entry.failures}, retry in ${Math.round(backoff / 1000)}s)`);
+    }
+}
+
+// The VRM rate-limit pause only holds back sites polled through VRM
+function isVrmPaused(entry) {
+    return Date.now() < vrmRateLimitedUntil && getTelemetrySource(entry.site.idSite).source.name === 'vrm';
+}
 
-        const currentAlerts = computeAlerts();
-        const alertCount = currentAlerts.length;
-        const elapsed = ((Date.now() - startTime) / 1000).toFixed(1);
-        console.log(`  VRM poll complete: ${successCount} ok, ${errorCount} errors in ${elapsed}s (cache: ${snapshotCache.size} sites, energy alerts: ${alertCount})`);
+async function schedulerTick() {
+    if (schedulerBusy) return;
+    schedulerBusy = true;
 
-        // Persist alert history to DB (async, don't block)
-        if (dbAvailable) {
-            persistAlertHistory(currentAlerts).catch(err =>
-                console.error('  Alert history persistence failed:', err.message)
-            );
+    try {
+        if (!sitesCache || Date.now() - lastTargetRefresh >= SITES_CACHE_TTL) {
+            await refreshPollTargets();
         }
 
-        // Auto-generate embeddings for new data (async, don't block)
-        if (dbAvailable && pgvectorAvailable && isEmbeddingsConfigured() && snapshotCache.size > 0) {
-            generateEmbeddingsAsync().catch(err =>
-                console.error('  Background embedding generation failed:', err.message)
-            );
+        const now = Date.now();
+        const wasPaused = now < vrmRateLimitedUntil;
+        const due = Array.from(pollSchedule.values())
+            .filter(e => e.next_due <= now && !isVrmPaused(e))
+            .sort((a, b) => CADENCE_PRIORITY[a.cadence] - CADENCE_PRIORITY[b.cadence] || a.next_due - b.next_due);
+
+        // Request budget for one tick, issued in groups spaced evenly across it
+        const { concurrency, requests_per_min, tick_ms } = POLL_SCHEDULER;
+        const budget = Math.max(concurrency, Math.floor(requests_per_min * tick_ms / 60000));
+        const batch = due.slice(0, budget);
+        const gapMs = 60000 / requests_per_min * concurrency;
+
+        for (let i = 0; i < batch.length; i += concurrency) {
+            const group = batch.slice(i, i + concurrency).filter(e => !isVrmPaused(e));
+            if (group.length === 0) continue;
+            const started = Date.now();
+            await Promise.all(group.map(pollSite));
+            if (i + concurrency < batch.length) {
+                await new Promise(r => setTimeout(r, Math.max(0, gapMs - (Date.now() - started))));
+            }
         }
 
-        // GPS change detection runs continuously during polling
-        if (dbAvailable && gpsCache.size > 0) {
-            detectGpsChanges().catch(err =>
-                console.error('  GPS change detection failed:', err.message)
-            );
+        if (!wasPaused && Date.now() < vrmRateLimitedUntil) {
+            console.warn(`  VRM rate limited — polling paused until ${new Date(vrmRateLimitedUntil).toISOString()}`);
         }
 
-        // Lazy analytics: compute yesterday's daily metrics
-        computeYesterdayMetrics();
+        if (roundStats.ok + roundStats.errors > 0 && Date.now() - lastPostPoll >= POLL_SCHEDULER.post_poll_interval_ms) {
+            lastPostPoll = Date.now();
+            const currentAlerts = await runPostPollTasks(new Set(pollSchedule.keys()));
+            criticalAlertSites.clear();
+            for (const a of [...currentAlerts, ...getFiringRuleAlerts()]) {
+                if (a.severity === 'critical') criticalAlertSites.add(a.site_id);
+            }
+
+            const cadenceCounts = { fast: 0, watched: 0, normal: 0, parked: 0 };
+            for (const e of pollSchedule.values()) cadenceCounts[e.cadence]++;
+            const elapsed = ((Date.now() - roundStats.since) / 1000).toFixed(0);
+            console.log(`  VRM polls: ${roundStats.ok} ok, ${roundStats.errors} errors in last ${elapsed}s (cadence fast ${cadenceCounts.fast} / watched ${cadenceCounts.watched} / normal ${cadenceCounts.normal} / parked ${cadenceCounts.parked}, energy alerts: ${currentAlerts.length})`);
+            roundStats = { ok: 0, errors: 0, since: Date.now() };
+        }
     } catch (err) {
-        console.error('  VRM poll error:', err.message);
+        console.error('  VRM scheduler error:', err.message);
     } finally {
-        isPolling = false;
+        schedulerBusy = false;
     }
 }
+
+export function startVrmScheduler() {
+    setTimeout(schedulerTick, 3000);
+    setInterval(schedulerTick, POLL_SCHEDULER.tick_ms);
+    console.log(`VRM polling scheduler enabled (${POLL_SCHEDULER.requests_per_min} req/min budget)`);
+}
@@ -0,0 +1,311 @@
+import { WAN_AVAILABILITY } from '../config.js';
+import {
+    getWanStates, upsertWanState, insertWanEvents, openDeviceOutage, closeDeviceOutage,
+    getWanEvents, getDeviceOutages, getRentals,
+} from '../db.js';
+import { deviceTrailerMap } from './networkAnalytics.js';
+import { parseDateUTC } from '../pricing.js';
+import { nowMs } from '../lib/util.js';
+
+// ============================================================
+// WAN failover and outage history
+//
+// Each IC2 record is compared with the device's last persisted state:
+// online ↔ offline opens / closes a device outage, and while the device
+// stays online each WAN interface going up or down, the active WAN moving
+// to another interface (cellular ↔ Wi-Fi ↔ ethernet failover) and an
+// interface's IP changing become wan_events. Availability per UTC month is
+// 1 - offline time / tracked time, MTTR the mean length of the outages
+// that ended in the month.
+// ============================================================
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const states = new Map();
+let loading = null;
+
+const round2 = v => Math.round(v * 100) / 100;
+
+function loadStates() {
+    if (!loading) {
+        loading = getWanStates()
+            .then(rows => { for (const row of rows) states.set(row.device_name, row); })
+            .catch(err => { loading = null; throw err; });
+    }
+    return loading;
+}
+
+// IC2 interface type → cellular / wifi / ethernet
+export function wanKind(type) {
+    const t = String(type || '').toLowerCase();
+    if (/cell|lte|modem|gobi|sim/.test(t)) return 'cellular';
+    if (/wifi|wi-fi|wlan|wireless/.test(t)) return 'wifi';
+    return 'ethernet';
+}
+
+function isConnected(iface) {
+    return iface.status_led === 'green' || /^connected/i.test(iface.status || '');
+}
+
+function interfaceStates(wanInterfaces) {
+    const out = {};
+    for (const i of wanInterfaces) {
+        out[i.id] = { name: i.name, type: wanKind(i.type), connected: isConnected(i), ip: i.ip || null, status: i.message || i.status || null };
+    }
+    return out;
+}
+
+function interfaceEvents(prev, next) {
+    const events = [];
+    for (const [id, cur] of Object.entries(next)) {
+        const was = prev[id];
+        if (!was) continue;
+        const base = { interface_name: cur.name, interface_type: cur.type };
+        if (was.connected && !cur.connected) {
+            events.push({ ...base, event: 'wan_down', from_value: was.status, to_value: cur.status });
+        } else if (!was.connected && cur.connected) {
+            events.push({ ...base, event: 'wan_up', from_value: was.status, to_value: cur.status });
+        } else if (cur.connected && was.ip && cur.ip && was.ip !== cur.ip) {
+            events.push({ ...base, event: 'ip_change', from_value: was.ip, to_value: cur.ip });
+        }
+    }
+    return events;
+}
+
+// Persist the transitions in one IC2 record; called per record after ingest
+export async function trackWanState(record) {
+    await loadStates();
+    const now = record.timestamp || nowMs();
+    const name = record.name;
+    const prev = states.get(name);
+    const ifaceList = record.wan_interfaces || [];
+    const online = Boolean(record.online);
+    // First connected interface in IC2's priority order
+    const active = online ? ifaceList.find(isConnected) || null : null;
+    const next = {
+        device_name: name,
+        online,
+        active_wan: active ? active.name : null,
+        wan_ip: record.wan_ip || null,
+        interfaces: ifaceList.length > 0 ? interfaceStates(ifaceList) : null,
+        first_seen: prev?.first_seen ?? now,
+        updated_at: now,
+    };
+
+    let events = [];
+    if (prev?.online == null || prev.online !== online) {
+        if (!online) {
+            await openDeviceOutage(name, now);
+            events.push({ event: 'device_down', from_value: prev?.online ? 'online' : null, to_value: record.status || 'offline' });
+        } else if (prev) {
+            await closeDeviceOutage(name, now);
+            events.push({ event: 'device_up', from_value: 'offline', to_value: 'online' });
+        }
+    } else if (online) {
+        // Interfaces of an offline device are stale, so only compare online → online
+        if (prev.interfaces && next.interfaces) events = interfaceEvents(prev.interfaces, next.interfaces);
+        if (prev.active_wan && next.active_wan && prev.active_wan !== next.active_wan) {
+            events.push({
+                event: 'failover',
+                interface_name: next.active_wan,
+                interface_type: wanKind(active.type),
+                from_value: prev.active_wan,
+                to_value: next.active_wan,
+            });
+        }
+        if (!next.interfaces && prev.wan_ip && next.wan_ip && prev.wan_ip !== next.wan_ip) {
+            events.push({ event: 'ip_change', from_value: prev.wan_ip, to_value: next.wan_ip });
+        }
+    }
+
+    if (events.length > 0) await insertWanEvents(events.map(e => ({ device_name: name, timestamp: now, ...e })));
+
+    const changed = !prev || prev.online !== next.online || prev.active_wan !== next.active_wan
+        || prev.wan_ip !== next.wan_ip || JSON.stringify(prev.interfaces) !== JSON.stringify(next.interfaces);
+    states.set(name, next);
+    if (changed) await upsertWanState(next);
+}
+
+// The last `months` UTC months, the current one up to now
+function monthPeriods(months, now) {
+    const d = new Date(now);
+    const periods = [];
+    for (let i = months - 1; i >= 0; i--) {
+        const start = Date.UTC(d.getUTCFullYear(), d.getUTCMonth() - i, 1);
+        const end = Math.min(Date.UTC(d.getUTCFullYear(), d.getUTCMonth() - i + 1, 1), now);
+        periods.push({ month: new Date(start).toISOString().slice(0, 7), start, end });
+    }
+    return periods;
+}
+
+function overlap(aStart, aEnd, bStart, bEnd) {
+    return Math.max(0, Math.min(aEnd, bEnd) - Math.max(aStart, bStart));
+}
+
+// Tracked time, downtime and outage counts for one device over one period.
+// windows: [start, end) spans the device counts in (tracking, or rentals).
+function periodStats(period, windows, outages, now) {
+    let observed = 0;
+    let down = 0;
+    for (const [ws, we] of windows) {
+        const s = Math.max(ws, period.start);
+        const e = Math.min(we, period.end);
+        if (e <= s) continue;
+        observed += e - s;
+        for (const o of outages) down += overlap(s, e, o.started_at, o.ended_at ?? now);
+    }
+    const inWindow = ts => windows.some(([ws, we]) => ts >= ws && ts < we);
+    const started = outages.filter(o => o.started_at >= period.start && o.started_at < period.end && inWindow(o.started_at));
+    const recovered = outages.filter(o => o.ended_at != null && o.ended_at >= period.start && o.ended_at < period.end && inWindow(o.started_at));
+    return {
+        month: period.month,
+        observed_ms: observed,
+        downtime_ms: down,
+        outages: started.length,
+        recovered: recovered.length,
+        recovered_ms: recovered.reduce((s, o) => s + o.duration_ms, 0),
+        longest_outage_ms: started.reduce((m, o) => Math.max(m, (o.ended_at ?? now) - o.started_at), 0),
+    };
+}
+
+function finishStats(stats) {
+    const pct = stats.observed_ms > 0 ? round2((1 - stats.downtime_ms / stats.observed_ms) * 100) : null;
+    return {
+        month: stats.month,
+        observed_ms: stats.observed_ms,
+        downtime_ms: stats.downtime_ms,
+        availability_pct: pct,
+        met_sla: pct != null ? pct >= WAN_AVAILABILITY.sla_target_pct : null,
+        outages: stats.outages,
+        mttr_ms: stats.recovered > 0 ? Math.round(stats.recovered_ms / stats.recovered) : null,
+        longest_outage_ms: stats.longest_outage_ms,
+    };
+}
+
+// Monthly availability per device and summed over all of them.
+// devices: [{ device_name, windows, ...labels }]
+async function availabilityReport(devices, months) {
+    const span = Math.min(Math.max(1, months || WAN_AVAILABILITY.default_months), WAN_AVAILABILITY.max_months);
+    const now = nowMs();
+    const periods = monthPeriods(span, now);
+    const outages = await getDeviceOutages(devices.map(d => d.device_name), periods[0].start, now);
+    const byDevice = new Map();
+    for (const o of outages) {
+        if (!byDevice.has(o.device_name)) byDevice.set(o.device_name, []);
+        byDevice.get(o.device_name).push(o);
+    }
+
+    const totals = periods.map(p => ({ month: p.month, observed_ms: 0, downtime_ms: 0, outages: 0, recovered: 0, recovered_ms: 0, longest_outage_ms: 0 }));
+    const rows = devices.map(({ windows, ...device }) => {
+        const own = byDevice.get(device.device_name) || [];
+        const stats = periods.map((p, i) => {
+            const s = periodStats(p, windows, own, now);
+            const t = totals[i];
+            for (const key of ['observed_ms', 'downtime_ms', 'outages', 'recovered', 'recovered_ms']) t[key] += s[key];
+            t.longest_outage_ms = Math.max(t.longest_outage_ms, s.longest_outage_ms);
+            return finishStats(s);
+        });
+        const listed = own
+            .filter(o => windows.some(([ws, we]) => o.started_at < we && (o.ended_at ?? now) > ws))
+            .map(o => ({ ...o, duration_ms: o.duration_ms ?? now - o.started_at, ongoing: o.ended_at == null }));
+        return { ...device, months: stats, outage_list: listed };
+    });
+
+    return {
+        generated_at: now,
+        sla_target_pct: WAN_AVAILABILITY.sla_target_pct,
+        months: periods.map(p => p.month),
+        summary: totals.map(finishStats),
+        devices: rows,
+    };
+}
+
+// Every tracked device, counted from when tracking started
+export async function getFleetAvailability({ months } = {}) {
+    await loadStates();
+    const trailers = await deviceTrailerMap();
+    const now = nowMs();
+    const devices = [...states.values()]
+        .map(s => {
+            const t = trailers.get(s.device_name);
+            return {
+                device_name: s.device_name,
+                site_id: t?.site_id ?? null,
+                site_name: t?.site_name ?? null,
+                job_site_name: t?.job_site_name ?? null,
+                windows: [[s.first_seen, now]],
+            };
+        })
+        .sort((a, b) => a.device_name.localeCompare(b.device_name, undefined, { numeric: true }));
+    return availabilityReport(devices, months);
+}
+
+// One device's transitions and outages over the last `days`, with its monthly availability
+export async function getDeviceOutageTimeline(deviceName, { days, months } = {}) {
+    await loadStates();
+    const span = Math.min(Math.max(1, days || WAN_AVAILABILITY.timeline_days), WAN_AVAILABILITY.max_timeline_days);
+    const now = nowMs();
+    const start = now - span * DAY_MS;
+    const state = states.get(deviceName) || null;
+    const [events, outages] = await Promise.all([
+        getWanEvents(deviceName, start, now + 1),
+        getDeviceOutages([deviceName], start, now + 1),
+    ]);
+    const availability = state
+        ? await availabilityReport([{ device_name: deviceName, windows: [[state.first_seen, now]] }], months)
+        : null;
+    return {
+        device_name: deviceName,
+        days: span,
+        tracked_since: state?.first_seen ?? null,
+        current: state ? { online: state.online, active_wan: state.active_wan, wan_ip: state.wan_ip } : null,
+        events,
+        outages: outages.map(o => ({ ...o, duration_ms: o.duration_ms ?? now - o.started_at, ongoing: o.ended_at == null })).reverse(),
+        months: availability?.devices[0]?.months || [],
+        sla_target_pct: WAN_AVAILABILITY.sla_target_pct,
+    };
+}
+
+// Sorted [start, end] windows with overlapping or touching ones joined,
+// so time covered by two rentals isn't counted twice
+function mergeWindows(windows) {
+    const merged = [];
+    for (const [start, end] of [...windows].sort((a, b) => a[0] - b[0])) {
+        const last = merged[merged.length - 1];
+        if (last && start <= last[1]) last[1] = Math.max(last[1], end);
+        else merged.push([start, end]);
+    }
+    return merged;
+}
+
+// Connectivity SLA for a customer job site: each rented trailer counts
+// from delivery to pickup (the whole pickup day), and only while tracked
+export async function getJobSiteSla(jobSiteId, { months } = {}) {
+    await loadStates();
+    const [rentals, trailers] = await Promise.all([getRentals({ jobSiteId }), deviceTrailerMap()]);
+    const now = nowMs();
+
+    // VRM site → tracked Pepwave device
+    const deviceBySite = new Map();
+    for (const [name, t] of trailers) {
+        if (states.has(name) && !deviceBySite.has(t.site_id)) deviceBySite.set(t.site_id, name);
+    }
+
+    const byDevice = new Map();
+    for (const r of rentals) {
+        if (r.status === 'cancelled') continue;
+        const deviceName = deviceBySite.get(r.vrm_site_id);
+        const from = parseDateUTC(r.delivered_at || r.billing_start);
+        if (!deviceName || !from) continue;
+        const until = parseDateUTC(r.picked_up_at || r.returned_at);
+        const tracked = states.get(deviceName).first_seen;
+        const window = [Math.max(from.getTime(), tracked), until ? until.getTime() + DAY_MS : now];
+        if (window[1] <= window[0]) continue;
+        if (!byDevice.has(deviceName)) {
+            byDevice.set(deviceName, { device_name: deviceName, site_id: r.vrm_site_id, site_name: r.unit_number, windows: [] });
+        }
+        byDevice.get(deviceName).windows.push(window);
+    }
+    for (const d of byDevice.values()) d.windows = mergeWindows(d.windows);
+    const devices = [...byDevice.values()].sort((a, b) => a.site_name.localeCompare(b.site_name, undefined, { numeric: true }));
+    return availabilityReport(devices, months);
+}
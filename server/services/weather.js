@@ -1,11 +1,17 @@
 import { WEATHER_CACHE_TTL } from '../config.js';
-import { weatherCache } from '../state.js';
+import { weatherCache, irradianceNormals } from '../state.js';
 
 // ============================================================
 // Weather / Solar Irradiance (Open-Meteo, free, no API key)
 // ============================================================
+
+// 0.1° grid key shared by the weather cache and irradiance_history
+export function locationKey(latitude, longitude) {
+    return `${Math.round(latitude * 10) / 10},${Math.round(longitude * 10) / 10}`;
+}
+
 export async function fetchSolarIrradiance(latitude, longitude) {
-    const cacheKey = `${Math.round(latitude * 10) / 10},${Math.round(longitude * 10) / 10}`;
+    const cacheKey = locationKey(latitude, longitude);
     const cached = weatherCache.get(cacheKey);
     if (cached && Date.now() - cached.fetchedAt < WEATHER_CACHE_TTL) {
         return cached.data;
@@ -15,6 +21,7 @@ export async function fetchSolarIrradiance(latitude, longitude) {
         const url = `https://api.open-meteo.com/v1/forecast?latitude=${latitude}&longitude=${longitude}`
             + `&daily=shortwave_radiation_sum,sunshine_duration,temperature_2m_max,temperature_2m_min,precipitation_sum,weather_code`
             + `&current=cloud_cover,temperature_2m,weather_code,wind_speed_10m`
+            + `&hourly=shortwave_radiation`
             + `&timezone=auto&forecast_days=3`;
         const res = await fetch(url);
         if (!res.ok) throw new Error(`Open-Meteo ${res.status}`);
@@ -41,25 +48,33 @@ export async function fetchSolarIrradiance(latitude, longitude) {
                 radiation: json.daily.shortwave_radiation_sum,
                 precipitation: json.daily.precipitation_sum,
             } : null,
+            // Local times (timezone=auto) → epoch ms; each value is the mean
+            // W/m² over the hour ending at that time
+            forecast_hourly: json.hourly?.time ? {
+                times: json.hourly.time.map(t => Date.parse(`${t}Z`) - (json.utc_offset_seconds || 0) * 1000),
+                radiation: json.hourly.shortwave_radiation,
+            } : null,
         };
 
         weatherCache.set(cacheKey, { data, fetchedAt: Date.now() });
         return data;
     } catch (err) {
-        // Fallback to astronomical calculation
+        // Fallback: this month's normal from irradiance history, else astronomical
+        const normal = irradianceNormals.get(cacheKey)?.[new Date().getUTCMonth()];
         const dayOfYear = Math.floor((Date.now() - new Date(new Date().getFullYear(), 0, 0)) / 86400000);
         const fallback = {
-            peak_sun_hours: computeAstronomicalPSH(latitude, dayOfYear),
+            peak_sun_hours: normal ? Math.round(normal.psh * 100) / 100 : computeAstronomicalPSH(latitude, dayOfYear),
             sunshine_hours: null,
             cloud_cover_pct: null,
-            data_source: 'astronomical',
+            data_source: normal ? 'history' : 'astronomical',
         };
         weatherCache.set(cacheKey, { data: fallback, fetchedAt: Date.now() - WEATHER_CACHE_TTL + 600000 }); // retry in 10 min
         return fallback;
     }
 }
 
-export function computeAstronomicalPSH(latitude, dayOfYear) {
+// Hours between sunrise and sunset
+export function computeDayLength(latitude, dayOfYear) {
     const toRad = (deg) => deg * Math.PI / 180;
     const toDeg = (rad) => rad * 180 / Math.PI;
     // Solar declination angle
@@ -69,10 +84,28 @@ export function computeAstronomicalPSH(latitude, dayOfYear) {
     // Sunset hour angle
     const cosOmega = -Math.tan(latRad) * Math.tan(declRad);
     if (cosOmega > 1) return 0;   // polar night
-    if (cosOmega < -1) return 12; // midnight sun
+    if (cosOmega < -1) return 24; // midnight sun
     const omega = toDeg(Math.acos(cosOmega));
-    // Day length in hours
-    const dayLength = 2 * omega / 15;
+    return 2 * omega / 15;
+}
+
+export function computeAstronomicalPSH(latitude, dayOfYear) {
+    const dayLength = computeDayLength(latitude, dayOfYear);
+    if (dayLength === 24) return 12; // midnight sun
     // Clear-sky PSH estimate (atmospheric attenuation ~60%)
     return Math.round(dayLength * 0.60 * 100) / 100;
 }
+
+// Top-of-atmosphere daily irradiation on a horizontal surface (kWh/m², i.e.
+// PSH before clouds and atmosphere) — Duffie & Beckman eq. 1.10.3
+export function computeExtraterrestrialPSH(latitude, dayOfYear) {
+    const toRad = (deg) => deg * Math.PI / 180;
+    const declRad = toRad(23.45 * Math.sin(toRad(360 / 365 * (284 + dayOfYear))));
+    const latRad = toRad(latitude);
+    const cosOmega = Math.max(-1, Math.min(1, -Math.tan(latRad) * Math.tan(declRad)));
+    const omega = Math.acos(cosOmega);
+    const eccentricity = 1 + 0.033 * Math.cos(toRad(360 * dayOfYear / 365));
+    const kwh = (24 / Math.PI) * 1.367 * eccentricity
+        * (Math.cos(latRad) * Math.cos(declRad) * Math.sin(omega) + omega * Math.sin(latRad) * Math.sin(declRad));
+    return Math.max(0, kwh);
+}
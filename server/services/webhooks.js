@@ -0,0 +1,170 @@
+import crypto from 'crypto';
+import { SIMULATOR, WEBHOOK_DELIVERY } from '../config.js';
+import {
+    getWebhooksForEvent, insertWebhookDelivery, updateWebhookDelivery, getDueWebhookDeliveries,
+    getWebhookDelivery, getWebhook, pruneWebhookDeliveries,
+} from '../db.js';
+import { dbAvailable } from '../state.js';
+import { nowMs } from '../lib/util.js';
+
+// ============================================================
+// Outbound webhooks
+//
+// Every event is a JSON envelope { id, type, created_at, data } POSTed to
+// each enabled webhook subscribed to the type. Receivers verify
+//   X-BigView-Signature: sha256=HMAC_SHA256(secret, `${timestamp}.${body}`)
+// with X-BigView-Timestamp (unix seconds), and dedupe on
+// X-BigView-Event-Id. Non-2xx / network errors retry with exponential
+// backoff up to WEBHOOK_DELIVERY.max_attempts; every attempt is kept in
+// webhook_deliveries.
+// ============================================================
+
+// Replayed history must not reach the dispatch / accounting systems
+const SIMULATOR_SUPPRESS = SIMULATOR.enabled && process.env.SIMULATOR_SEND_WEBHOOKS !== 'true';
+
+export function generateWebhookSecret() {
+    return `whsec_${crypto.randomBytes(24).toString('hex')}`;
+}
+
+export function signWebhookBody(secret, timestamp, body) {
+    return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+// 30s, 1m, 2m, 4m ... capped, with ±10% jitter so retries don't bunch up
+function backoffMs(attempts) {
+    const delay = Math.min(WEBHOOK_DELIVERY.base_delay_ms * 2 ** (attempts - 1), WEBHOOK_DELIVERY.max_delay_ms);
+    return Math.round(delay * (0.9 + Math.random() * 0.2));
+}
+
+async function post(url, secret, delivery) {
+    const body = JSON.stringify(delivery.payload);
+    const timestamp = Math.floor(Date.now() / 1000);
+    const started = Date.now();
+    try {
+        const res = await fetch(url, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'User-Agent': 'BIGView-Webhooks/1.0',
+                'X-BigView-Event': delivery.event_type,
+                'X-BigView-Event-Id': delivery.event_id,
+                'X-BigView-Delivery': String(delivery.id),
+                'X-BigView-Timestamp': String(timestamp),
+                'X-BigView-Signature': `sha256=${signWebhookBody(secret, timestamp, body)}`,
+            },
+            body,
+            signal: AbortSignal.timeout(WEBHOOK_DELIVERY.timeout_ms),
+        });
+        const ms = Date.now() - started;
+        if (res.ok) return { ok: true, status: res.status, ms };
+        const text = await res.text().catch(() => '');
+        return { ok: false, status: res.status, ms, error: `HTTP ${res.status}${text ? `: ${text.slice(0, 200)}` : ''}` };
+    } catch (err) {
+        const error = err.name === 'TimeoutError' ? `Timed out after ${WEBHOOK_DELIVERY.timeout_ms / 1000}s` : err.message;
+        return { ok: false, status: null, ms: Date.now() - started, error };
+    }
+}
+
+// One attempt; records the outcome and schedules the next retry.
+// retry: false for "send test" (a single attempt, failed if it fails).
+async function attemptDelivery(delivery, webhook, { retry = true } = {}) {
+    const result = await post(webhook.url, webhook.secret, delivery);
+    const attempts = delivery.attempts + 1;
+    const updates = {
+        attempts,
+        last_status_code: result.status,
+        last_error: result.ok ? null : result.error,
+        response_ms: result.ms,
+    };
+    if (result.ok) {
+        updates.status = 'delivered';
+        updates.delivered_at = Date.now();
+        updates.next_attempt_at = null;
+    } else if (!retry || attempts >= WEBHOOK_DELIVERY.max_attempts) {
+        updates.status = 'failed';
+        updates.next_attempt_at = null;
+    } else {
+        updates.status = 'retrying';
+        updates.next_attempt_at = Date.now() + backoffMs(attempts);
+    }
+    return updateWebhookDelivery(delivery.id, updates);
+}
+
+function envelope(type, data) {
+    return { id: crypto.randomUUID(), type, created_at: new Date(nowMs()).toISOString(), data };
+}
+
+// Fire-and-forget from the event sources; never throws
+export async function emitWebhookEvent(type, data) {
+    if (!dbAvailable || SIMULATOR_SUPPRESS) return;
+    try {
+        const hooks = await getWebhooksForEvent(type);
+        if (hooks.length === 0) return;
+        const event = envelope(type, data);
+        // The retry loop only takes over if the inline attempt never reports back
+        const fallbackAt = Date.now() + WEBHOOK_DELIVERY.timeout_ms + WEBHOOK_DELIVERY.base_delay_ms;
+        await Promise.all(hooks.map(async hook => {
+            const delivery = await insertWebhookDelivery(hook.id, event.id, type, event, fallbackAt);
+            await attemptDelivery(delivery, hook);
+        }));
+    } catch (err) {
+        console.error(`  Webhook ${type} dispatch failed:`, err.message);
+    }
+}
+
+// "Send test" from Settings: one signed webhook.test delivery, no retries
+export async function sendTestWebhook(webhook) {
+    const event = envelope('webhook.test', {
+        message: 'Test delivery from BIGView OMNI',
+        webhook_id: webhook.id,
+        webhook_name: webhook.name,
+    });
+    const delivery = await insertWebhookDelivery(webhook.id, event.id, event.type, event, null);
+    return attemptDelivery(delivery, webhook, { retry: false });
+}
+
+// Re-send a logged delivery now (same event id, fresh retry budget)
+export async function redeliverWebhook(deliveryId) {
+    const delivery = await getWebhookDelivery(deliveryId);
+    if (!delivery) return null;
+    const webhook = await getWebhook(delivery.webhook_id);
+    if (!webhook) return null;
+    const reset = await updateWebhookDelivery(delivery.id, { status: 'pending', attempts: 0, next_attempt_at: null });
+    return attemptDelivery(reset, webhook, { retry: delivery.event_type !== 'webhook.test' });
+}
+
+// ============================================================
+// Retry loop
+// ============================================================
+const PRUNE_INTERVAL_MS = 60 * 60 * 1000;
+let retryRunning = false;
+let lastPrune = 0;
+
+async function processDueDeliveries() {
+    if (!dbAvailable || retryRunning) return;
+    retryRunning = true;
+    try {
+        const due = await getDueWebhookDeliveries(Date.now());
+        for (const delivery of due) {
+            if (!delivery.enabled) {
+                await updateWebhookDelivery(delivery.id, { status: 'failed', last_error: 'Webhook disabled', next_attempt_at: null });
+                continue;
+            }
+            await attemptDelivery(delivery, delivery);
+        }
+        if (Date.now() - lastPrune > PRUNE_INTERVAL_MS) {
+            lastPrune = Date.now();
+            await pruneWebhookDeliveries(Date.now() - WEBHOOK_DELIVERY.log_retention_days * 86400000);
+        }
+    } catch (err) {
+        console.error('  Webhook retry loop error:', err.message);
+    } finally {
+        retryRunning = false;
+    }
+}
+
+export function startWebhookRetryLoop() {
+    if (!dbAvailable) return;
+    setInterval(processDueDeliveries, WEBHOOK_DELIVERY.retry_tick_ms);
+    console.log('  ✓ Webhook retry loop started');
+}
@@ -0,0 +1,35 @@
+// ---------------------------------------------------------------------------
+// SMS via the Twilio REST API (plain fetch, no SDK). Used by per-user
+// notification preferences; disabled unless all three variables are set.
+// ---------------------------------------------------------------------------
+
+const TWILIO_ACCOUNT_SID = process.env.TWILIO_ACCOUNT_SID;
+const TWILIO_AUTH_TOKEN = process.env.TWILIO_AUTH_TOKEN;
+const TWILIO_FROM_NUMBER = process.env.TWILIO_FROM_NUMBER;
+// Same rule as email: replayed history must not text anyone
+const SIMULATOR_SUPPRESS = process.env.SIMULATOR_MODE === 'true' && process.env.SIMULATOR_SEND_EMAIL !== 'true';
+
+const SMS_MAX_LENGTH = 320; // two segments
+const SMS_TIMEOUT_MS = 10 * 1000;
+
+export function isSmsConfigured() {
+    return Boolean(TWILIO_ACCOUNT_SID && TWILIO_AUTH_TOKEN && TWILIO_FROM_NUMBER) && !SIMULATOR_SUPPRESS;
+}
+
+export async function sendSms(to, text) {
+    if (!isSmsConfigured()) return;
+    const body = text.length > SMS_MAX_LENGTH ? text.slice(0, SMS_MAX_LENGTH - 1) + '…' : text;
+    const res = await fetch(`https://api.twilio.com/2010-04-01/Accounts/${TWILIO_ACCOUNT_SID}/Messages.json`, {
+        method: 'POST',
+        headers: {
+            Authorization: 'Basic ' + Buffer.from(`${TWILIO_ACCOUNT_SID}:${TWILIO_AUTH_TOKEN}`).toString('base64'),
+            'Content-Type': 'application/x-www-form-urlencoded',
+        },
+        body: new URLSearchParams({ To: to, From: TWILIO_FROM_NUMBER, Body: body }),
+        signal: AbortSignal.timeout(SMS_TIMEOUT_MS),
+    });
+    if (!res.ok) {
+        const detail = await res.text().catch(() => '');
+        throw new Error(`Twilio ${res.status}: ${detail.slice(0, 200)}`);
+    }
+}
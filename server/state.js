@@ -27,8 +27,9 @@ export const trailerJobSiteMap = new Map();
 // Used to estimate daily consumption when CE diagnostic is unavailable
 export const socStartOfDay = new Map();
 
-// Consumption accumulator: siteId -> { date, wh, lastTimestamp }
-// Integrates DC load power over time when CE diagnostic unavailable
+// Consumption accumulator: siteId -> { date, wh, coveredMs, backfilledWh, lastTimestamp, maxSoc }
+// Integrates DC load power over the day; coveredMs / elapsed is its coverage.
+// Persisted in daily_energy_summary so a restart resumes it
 export const consumptionAccumulator = new Map();
 
 // Daily energy per site: siteId -> Map(date -> { yield_wh, consumed_wh, ... })
@@ -47,6 +48,54 @@ export const geofenceAlerts = new Map();
 // each VRM poll; feeds the Health Grade maintenance component
 export const maintStatsCache = new Map();
 
+// Non-VRM telemetry sources: siteId -> { trailer_id, unit_number, source, config }
+// Refreshed from trailers.telemetry_source at the start of each VRM poll
+export const telemetryAssignments = new Map();
+
+// Adaptive VRM polling: siteId -> { site, source, cadence, interval_ms,
+// next_due, failures, last_polled }
+export const pollSchedule = new Map();
+
+// Poll health: "source:entityId" -> { source, entity_id, name, last_attempt,
+// last_success, consecutive_failures, last_error, latency_ms }
+export const pollHealth = new Map();
+
+// siteId -> watched-until (ms); set when a trailer's detail page is open
+export const watchedSites = new Map();
+
+// Site ids currently assigned to a headquarters job site (parked trailers)
+export const hqSiteIds = new Set();
+
+// siteId -> { job_site_id, company_id } — alert rule scope lookup,
+// refreshed alongside trailerJobSiteMap
+export const trailerScopeMap = new Map();
+
+// Alert rules: id -> rule row (enabled and disabled), loaded from alert_rules
+export const alertRulesCache = new Map();
+
+// Per rule + trailer evaluation state: "ruleId:siteId" -> { firing,
+// pending_since, fired_at, value, history_id, history_insert }
+export const alertRuleState = new Map();
+
+// Hardware profiles: id -> specs (TRAILER_SPECS shape + profile id/name),
+// and siteId -> profile id for trailers that resolve to one
+export const hardwareProfiles = new Map();
+export const trailerProfileMap = new Map();
+
+// 72h SOC forecasts: siteId -> { generated_at, points, critical_at, ... }
+export const socForecasts = new Map();
+
+// Learned load profiles: siteId -> [168 × { mean_w, std_w, samples } | null]
+// indexed by UTC hour of week (0 = Monday 00:00)
+export const loadProfiles = new Map();
+
+// Panel soiling/shading analysis: siteId -> { status, classification, ... }
+export const panelHealth = new Map();
+
+// Irradiance monthly normals: locationKey ("lat,lon" at 0.1°) ->
+// [12 × { psh, days } | null], indexed by calendar month (0 = January)
+export const irradianceNormals = new Map();
+
 // Solar score config: defaults, overwritten in place from settings at startup
 export const solarScoreConfig = { ...SOLAR_SCORE_DEFAULTS };
 
@@ -65,8 +114,17 @@ export let sitesCache = null;
 export let sitesCacheTime = 0;
 export function setSitesCache(data) { sitesCache = data; sitesCacheTime = Date.now(); }
 
+// VRM answered 429: no scheduled polls before this time (ms)
+export let vrmRateLimitedUntil = 0;
+export function setVrmRateLimitedUntil(v) { vrmRateLimitedUntil = v; }
+
 export let lastIc2Poll = 0;
 export function setLastIc2Poll(v) { lastIc2Poll = v; }
 
+// Pipeline clock offset (ms). Zero in live mode; the simulator moves it so
+// replayed history is processed as if it were "now". Read via nowMs().
+export let clockOffsetMs = 0;
+export function setClockOffsetMs(v) { clockOffsetMs = v; }
+
 export let bandwidthLoggedOnce = false;
 export function setBandwidthLoggedOnce(v) { bandwidthLoggedOnce = v; }
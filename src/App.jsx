@@ -32,6 +32,7 @@ const HelpPage = lazy(() => import('./pages/HelpPage'))
 const PortalDashboard = lazy(() => import('./pages/PortalDashboard'))
 const PortalSiteDetail = lazy(() => import('./pages/PortalSiteDetail'))
 const Companies = lazy(() => import('./pages/Companies'))
+const EnergyPlanner = lazy(() => import('./pages/EnergyPlanner'))
 
 function PageLoader() {
     return (
@@ -121,6 +122,7 @@ function App() {
                             <Route path="/rentals" element={<RentalsPage />} />
                             <Route path="/trailers" element={<TrailersPage />} />
                             <Route path="/companies" element={<Companies />} />
+                            <Route path="/planner" element={<EnergyPlanner />} />
                             <Route path="/settings" element={<Settings />} />
                             <Route path="/help" element={<HelpPage />} />
                             <Route path="*" element={<NotFound />} />
@@ -54,6 +54,12 @@ export async function loginWithGoogle(credential) {
     return res.json();
 }
 
+// Short-lived token for the live stream's EventSource URL
+export async function fetchStreamToken() {
+    const data = await apiFetch(`${API_BASE}/stream/token`, { method: 'POST' });
+    return data.token;
+}
+
 export async function changePassword(currentPassword, newPassword) {
     return apiFetch(`${API_BASE}/auth/change-password`, {
         method: 'POST',
@@ -144,6 +150,29 @@ export async function purgeData() {
     return apiFetch(`${API_BASE}/settings/purge`, { method: 'POST' });
 }
 
+export async function fetchDataSources() {
+    return apiFetch(`${API_BASE}/data-sources`);
+}
+
+export async function fetchSitePollHealth(siteId) {
+    return apiFetch(`${API_BASE}/data-sources/site/${siteId}`);
+}
+
+export async function fetchSnapshotGaps(days) {
+    return apiFetch(`${API_BASE}/data-sources/gaps?days=${days}`);
+}
+
+export async function startVrmBackfill(days) {
+    return apiFetch(`${API_BASE}/data-sources/backfill`, {
+        method: 'POST',
+        body: JSON.stringify({ days }),
+    });
+}
+
+export async function fetchVrmBackfillStatus() {
+    return apiFetch(`${API_BASE}/data-sources/backfill`);
+}
+
 export async function fetchFleetEnergy() {
     return apiFetch(`${API_BASE}/fleet/energy`);
 }
@@ -156,6 +185,95 @@ export async function fetchFleetNetwork() {
     return apiFetch(`${API_BASE}/fleet/network`);
 }
 
+export async function fetchCarrierAnalytics(days = 30, group = 'job_site') {
+    return apiFetch(`${API_BASE}/fleet/network/analytics?days=${days}&group=${group}`);
+}
+
+export async function fetchFleetAvailability(months = 3) {
+    return apiFetch(`${API_BASE}/fleet/network/availability?months=${months}`);
+}
+
+export async function fetchDeviceOutages(name, days = 30, months = 3) {
+    return apiFetch(`${API_BASE}/fleet/network/${encodeURIComponent(name)}/outages?days=${days}&months=${months}`);
+}
+
+export async function fetchRouterActions(name) {
+    return apiFetch(`${API_BASE}/fleet/network/${encodeURIComponent(name)}/actions`);
+}
+
+// Router actions surface the server's reason (cooldown, expired confirmation,
+// IC2 rejection) rather than a bare status code
+async function postRouterAction(name, action, body) {
+    const res = await fetch(`${API_BASE}/fleet/network/${encodeURIComponent(name)}/actions/${action}`, {
+        method: 'POST',
+        headers: authHeaders(true),
+        body: JSON.stringify(body),
+    });
+    const data = await res.json().catch(() => ({}));
+    if (!res.ok) throw new Error(data.error || `API error: ${res.status}`);
+    return data;
+}
+
+export async function requestRouterAction(name, action, params = {}) {
+    return postRouterAction(name, action, params);
+}
+
+export async function confirmRouterAction(name, action, confirmToken, reason) {
+    return postRouterAction(name, action, { confirm_token: confirmToken, reason });
+}
+
+export async function fetchJobSiteSla(id, months = 3) {
+    return apiFetch(`${API_BASE}/job-sites/${id}/sla?months=${months}`);
+}
+
+export async function fetchDataPlans() {
+    return apiFetch(`${API_BASE}/data-plans`);
+}
+
+export async function fetchDataPlanUsage() {
+    return apiFetch(`${API_BASE}/data-plans/usage`);
+}
+
+export async function createDataPlan(plan) {
+    return apiFetch(`${API_BASE}/data-plans`, { method: 'POST', body: JSON.stringify(plan) });
+}
+
+export async function updateDataPlan(id, plan) {
+    return apiFetch(`${API_BASE}/data-plans/${id}`, { method: 'PUT', body: JSON.stringify(plan) });
+}
+
+export async function deleteDataPlan(id) {
+    return apiFetch(`${API_BASE}/data-plans/${id}`, { method: 'DELETE' });
+}
+
+export async function assignDataPlanDevice(deviceName, planId) {
+    return apiFetch(`${API_BASE}/data-plans/devices/${encodeURIComponent(deviceName)}`, { method: 'PUT', body: JSON.stringify({ plan_id: planId }) });
+}
+
+export async function fetchInventory() {
+    return apiFetch(`${API_BASE}/inventory`);
+}
+
+export async function fetchInventoryChanges(days = 90) {
+    return apiFetch(`${API_BASE}/inventory/changes?days=${days}`);
+}
+
+export async function syncInventory() {
+    return apiFetch(`${API_BASE}/inventory/sync`, { method: 'POST' });
+}
+
+export async function lookupSimIccids(iccids) {
+    return apiFetch(`${API_BASE}/inventory/sims/lookup`, { method: 'POST', body: JSON.stringify({ iccids }) });
+}
+
+export async function setFirmwareBaseline(model, firmware) {
+    return apiFetch(`${API_BASE}/inventory/firmware-baselines/${encodeURIComponent(model)}`, { method: 'PUT', body: JSON.stringify({ firmware }) });
+}
+
+export async function clearFirmwareBaseline(model) {
+    return apiFetch(`${API_BASE}/inventory/firmware-baselines/${encodeURIComponent(model)}`, { method: 'DELETE' });
+}
+
 export async function fetchFleetCombined() {
     return apiFetch(`${API_BASE}/fleet/combined`);
 }
@@ -509,8 +627,8 @@ export async function fetchMaintenanceCostsBySite(days = 30) {
     return apiFetch(`${API_BASE}/maintenance/costs-by-site?days=${days}`);
 }
 
-export async function fetchAlertHistory(days = 30) {
-    return apiFetch(`${API_BASE}/alerts/history?days=${days}`);
+export async function fetchAlertHistory(days = 30, type = null) {
+    return apiFetch(`${API_BASE}/alerts/history?days=${days}${type ? `&type=${type}` : ''}`);
 }
 
 export async function fetchFleetDashboard() {
@@ -521,6 +639,17 @@ export async function fetchBatteryHealth(siteId, days = 30) {
     return apiFetch(`${API_BASE}/analytics/trailer/${siteId}/battery-health?days=${days}`);
 }
 
+export async function fetchFleetBatteryHealth() {
+    return apiFetch(`${API_BASE}/analytics/battery-health`);
+}
+
+export async function backfillBatteryHealth(days = 30) {
+    return apiFetch(`${API_BASE}/analytics/battery-health/backfill`, {
+        method: 'POST',
+        body: JSON.stringify({ days }),
+    });
+}
+
 export async function fetchSiteMaintenance(jobSiteId) {
     return apiFetch(`${API_BASE}/maintenance?job_site_id=${jobSiteId}&limit=10`);
 }
@@ -533,6 +662,18 @@ export async function fetchTrailerIntelligence(siteId) {
     return apiFetch(`${API_BASE}/intelligence/trailer/${siteId}`);
 }
 
+export async function fetchSocForecast(siteId) {
+    return apiFetch(`${API_BASE}/intelligence/trailer/${siteId}/forecast`);
+}
+
+export async function fetchLoadProfile(siteId, hours = 48) {
+    return apiFetch(`${API_BASE}/intelligence/trailer/${siteId}/load-profile?hours=${hours}`);
+}
+
+export async function fetchPanelHealth(siteId) {
+    return apiFetch(`${API_BASE}/intelligence/trailer/${siteId}/panel-health`);
+}
+
 export async function fetchFleetIntelligence() {
     return apiFetch(`${API_BASE}/fleet/intelligence`);
 }
@@ -607,6 +748,13 @@ export async function submitChecklist(maintenanceLogId, data) {
     });
 }
 
+export async function createMaintenanceFromTemplate(templateId, siteId, note) {
+    return apiFetch(`${API_BASE}/maintenance/from-template`, {
+        method: 'POST',
+        body: JSON.stringify({ template_id: templateId, site_id: siteId, note }),
+    });
+}
+
 export async function fetchIssueTemplates() {
     return apiFetch(`${API_BASE}/issue-templates`);
 }
@@ -666,6 +814,10 @@ export async function fetchPortalSiteDetail(id) {
     return apiFetch(`${API_BASE}/portal/site/${id}`);
 }
 
+export async function fetchPortalSiteSla(id, months = 3) {
+    return apiFetch(`${API_BASE}/portal/site/${id}/sla?months=${months}`);
+}
+
 // ============================================================
 // Customer site access (admin)
 // ============================================================
@@ -709,6 +861,142 @@ export async function updateSolarScoreSettings(config) {
     });
 }
 
+// ============================================================
+// Alert rules
+// ============================================================
+
+export async function fetchAlertRules() {
+    return apiFetch(`${API_BASE}/alert-rules`);
+}
+
+export async function createAlertRule(rule) {
+    return apiFetch(`${API_BASE}/alert-rules`, { method: 'POST', body: JSON.stringify(rule) });
+}
+
+export async function updateAlertRule(id, rule) {
+    return apiFetch(`${API_BASE}/alert-rules/${id}`, { method: 'PUT', body: JSON.stringify(rule) });
+}
+
+export async function deleteAlertRule(id) {
+    return apiFetch(`${API_BASE}/alert-rules/${id}`, { method: 'DELETE' });
+}
+
+export async function fetchFiringRuleAlerts(siteId) {
+    const qs = siteId != null ? `?site_id=${siteId}` : '';
+    return apiFetch(`${API_BASE}/alert-rules/firing${qs}`);
+}
+
+// ============================================================
+// Alert lifecycle (acknowledge / assign / snooze / resolve)
+// ============================================================
+
+export async function fetchSiteAlerts(siteId, days = 30) {
+    return apiFetch(`${API_BASE}/alerts/site/${siteId}?days=${days}`);
+}
+
+function transitionAlert(id, action, body = {}) {
+    return apiFetch(`${API_BASE}/alerts/${id}/${action}`, { method: 'POST', body: JSON.stringify(body) });
+}
+
+export async function acknowledgeAlert(id) {
+    return transitionAlert(id, 'acknowledge');
+}
+
+export async function assignAlert(id, assigneeId) {
+    return transitionAlert(id, 'assign', { assignee_id: assigneeId });
+}
+
+export async function snoozeAlert(id, until) {
+    return transitionAlert(id, 'snooze', { until });
+}
+
+export async function unsnoozeAlert(id) {
+    return transitionAlert(id, 'unsnooze');
+}
+
+export async function resolveAlert(id, note) {
+    return transitionAlert(id, 'resolve', { note });
+}
+
+// ============================================================
+// Notification preferences (current user)
+// ============================================================
+
+export async function fetchNotificationPreferences() {
+    return apiFetch(`${API_BASE}/notifications/preferences`);
+}
+
+export async function updateNotificationPreferences(preferences) {
+    return apiFetch(`${API_BASE}/notifications/preferences`, { method: 'PUT', body: JSON.stringify(preferences) });
+}
+
+export async function addNotificationSubscription(scopeType, scopeId) {
+    return apiFetch(`${API_BASE}/notifications/subscriptions`, {
+        method: 'POST',
+        body: JSON.stringify({ scope_type: scopeType, scope_id: scopeId }),
+    });
+}
+
+export async function removeNotificationSubscription(id) {
+    return apiFetch(`${API_BASE}/notifications/subscriptions/${id}`, { method: 'DELETE' });
+}
+
+// ============================================================
+// Outbound webhooks (admin)
+// ============================================================
+
+export async function fetchWebhooks() {
+    return apiFetch(`${API_BASE}/webhooks`);
+}
+
+export async function createWebhook(webhook) {
+    return apiFetch(`${API_BASE}/webhooks`, { method: 'POST', body: JSON.stringify(webhook) });
+}
+
+export async function updateWebhook(id, updates) {
+    return apiFetch(`${API_BASE}/webhooks/${id}`, { method: 'PUT', body: JSON.stringify(updates) });
+}
+
+export async function deleteWebhook(id) {
+    return apiFetch(`${API_BASE}/webhooks/${id}`, { method: 'DELETE' });
+}
+
+export async function testWebhook(id) {
+    return apiFetch(`${API_BASE}/webhooks/${id}/test`, { method: 'POST' });
+}
+
+export async function rotateWebhookSecret(id) {
+    return apiFetch(`${API_BASE}/webhooks/${id}/rotate-secret`, { method: 'POST' });
+}
+
+export async function fetchWebhookDeliveries(id) {
+    return apiFetch(`${API_BASE}/webhooks/${id}/deliveries`);
+}
+
+export async function redeliverWebhook(deliveryId) {
+    return apiFetch(`${API_BASE}/webhooks/deliveries/${deliveryId}/redeliver`, { method: 'POST' });
+}
+
+// ============================================================
+// Hardware profiles (solar + battery specs per trailer)
+// ============================================================
+
+export async function fetchHardwareProfiles() {
+    return apiFetch(`${API_BASE}/hardware-profiles`);
+}
+
+export async function createHardwareProfile(profile) {
+    return apiFetch(`${API_BASE}/hardware-profiles`, { method: 'POST', body: JSON.stringify(profile) });
+}
+
+export async function updateHardwareProfile(id, profile) {
+    return apiFetch(`${API_BASE}/hardware-profiles/${id}`, { method: 'PUT', body: JSON.stringify(profile) });
+}
+
+export async function deleteHardwareProfile(id) {
+    return apiFetch(`${API_BASE}/hardware-profiles/${id}`, { method: 'DELETE' });
+}
+
 // ============================================================
 // Fleet report (enhanced)
 // ============================================================
@@ -734,6 +1022,10 @@ export async function updateTrailerAsset(id, data) {
     return apiFetch(`${API_BASE}/trailers/${id}`, { method: 'PUT', body: JSON.stringify(data) });
 }
 
+export async function fetchTelemetrySources() {
+    return apiFetch(`${API_BASE}/trailers/telemetry-sources`);
+}
+
 export async function fetchRentals(filters = {}) {
     const params = new URLSearchParams();
     for (const [k, v] of Object.entries(filters)) {
@@ -778,3 +1070,30 @@ export async function fetchRateCards(product) {
 export async function fetchBillingStatements(month) {
     return apiFetch(`${API_BASE}/billing/statements?month=${encodeURIComponent(month)}`);
 }
+
+// What-if energy plan: { site_id | job_site_id, loads: [{ name, watts, hours_per_day, quantity }] }
+export async function planEnergy(body) {
+    return apiFetch(`${API_BASE}/planner/energy`, {
+        method: 'POST',
+        body: JSON.stringify(body),
+    });
+}
+
+// ============================================================
+// Irradiance history
+// ============================================================
+
+export async function fetchIrradianceLocations() {
+    return apiFetch(`${API_BASE}/irradiance/locations`);
+}
+
+export async function syncIrradiance() {
+    return apiFetch(`${API_BASE}/irradiance/sync`, { method: 'POST' });
+}
+
+export async function importIrradianceCsv(csv, latitude, longitude) {
+    return apiFetch(`${API_BASE}/irradiance/import`, {
+        method: 'POST',
+        body: JSON.stringify({ csv, latitude, longitude }),
+    });
+}
@@ -0,0 +1,256 @@
+import { useState, useEffect, useCallback } from 'react'
+import { useAuth } from './AuthProvider'
+import { useToast } from './ToastProvider'
+import { useLiveStream } from '../hooks/useLiveStream'
+import {
+    fetchSiteAlerts, fetchMentionableUsers,
+    acknowledgeAlert, assignAlert, snoozeAlert, unsnoozeAlert, resolveAlert,
+} from '../api/vrm'
+
+const STATUS_BADGES = {
+    open: { label: 'Open', color: 'red' },
+    acknowledged: { label: 'Acknowledged', color: 'yellow' },
+    assigned: { label: 'Assigned', color: 'blue' },
+    snoozed: { label: 'Snoozed', color: 'gray' },
+    resolved: { label: 'Resolved', color: 'green' },
+    auto_resolved: { label: 'Auto-resolved', color: 'green' },
+}
+
+const SEVERITY_COLORS = { critical: 'red', warning: 'yellow', caution: 'yellow', info: 'gray' }
+
+const SNOOZE_OPTIONS = [
+    { label: '4 hours', hours: 4 },
+    { label: '24 hours', hours: 24 },
+    { label: '3 days', hours: 72 },
+    { label: '1 week', hours: 168 },
+]
+
+function formatDateTime(value) {
+    if (!value) return '—'
+    return new Date(value).toLocaleString(undefined, { month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit' })
+}
+
+function alertTitle(a) {
+    if (a.alert_type === 'rule') return a.rule_name || a.metric
+    return `Energy deficit — ${a.streak_days} day streak`
+}
+
+// Who did what, in order, for the lifecycle column
+function lifecycleLine(a) {
+    const parts = []
+    if (a.acknowledged_at) parts.push(`Ack ${a.acknowledged_by_name || ''} ${formatDateTime(a.acknowledged_at)}`.replace('  ', ' '))
+    if (a.assigned_to_name) parts.push(`→ ${a.assigned_to_name}`)
+    if (a.status === 'snoozed' && a.snoozed_until) parts.push(`snoozed until ${formatDateTime(a.snoozed_until)}`)
+    if (a.escalated_at) parts.push(`escalated ${formatDateTime(a.escalated_at)}`)
+    if (a.status === 'resolved') parts.push(`resolved by ${a.resolved_by_name || '—'}${a.resolution_note ? `: ${a.resolution_note}` : ''}`)
+    if (a.resolved_at) parts.push(`cleared ${formatDateTime(a.resolved_at)}`)
+    return parts.join(' · ') || '—'
+}
+
+// Embedded alert panel for Trailer detail: open alerts with their
+// lifecycle (acknowledge, assign, snooze, resolve) plus the last 30
+// days of closed ones. The same alerts appear in the action queue.
+function AlertsInline({ siteId }) {
+    const { user } = useAuth()
+    const canEdit = user?.role === 'admin' || user?.role === 'technician'
+    const toast = useToast()
+
+    const [alerts, setAlerts] = useState(null)
+    const [editable, setEditable] = useState(false)
+    const [users, setUsers] = useState([])
+    const [modal, setModal] = useState(null) // { alert, action: 'assign' | 'snooze' | 'resolve' }
+    const [assignee, setAssignee] = useState('')
+    const [snoozeHours, setSnoozeHours] = useState(24)
+    const [note, setNote] = useState('')
+    const [submitting, setSubmitting] = useState(false)
+    const [showClosed, setShowClosed] = useState(false)
+
+    const load = useCallback(() => {
+        fetchSiteAlerts(siteId)
+            .then(d => { setAlerts(d.alerts || []); setEditable(Boolean(d.editable)) })
+            .catch(() => setAlerts([]))
+    }, [siteId])
+
+    useEffect(() => { load() }, [load])
+
+    // Reload when this trailer's alerts open, resolve or change elsewhere
+    const reloadIfMine = (e) => { if (e.site_id === siteId) load() }
+    useLiveStream({ 'alert.opened': reloadIfMine, 'alert.resolved': reloadIfMine, 'alert.updated': reloadIfMine })
+
+    useEffect(() => {
+        if (!canEdit) return
+        fetchMentionableUsers()
+            .then(d => setUsers((d.users || []).filter(u => u.role === 'admin' || u.role === 'technician')))
+            .catch(() => { })
+    }, [canEdit])
+
+    const run = async (fn, message) => {
+        setSubmitting(true)
+        try {
+            await fn()
+            toast.success(message)
+            setModal(null)
+            load()
+        } catch (err) {
+            toast.error(err.message)
+        } finally {
+            setSubmitting(false)
+        }
+    }
+
+    const openModal = (alert, action) => {
+        setAssignee(alert.assigned_to ? String(alert.assigned_to) : '')
+        setSnoozeHours(24)
+        setNote('')
+        setModal({ alert, action })
+    }
+
+    const handleModalSubmit = (e) => {
+        e.preventDefault()
+        const { alert, action } = modal
+        if (action === 'assign') {
+            if (!assignee) return
+            const name = users.find(u => String(u.id) === assignee)?.display_name
+            run(() => assignAlert(alert.id, parseInt(assignee)), `Assigned to ${name || 'technician'}`)
+        } else if (action === 'snooze') {
+            run(() => snoozeAlert(alert.id, Date.now() + snoozeHours * 3600000), 'Alert snoozed')
+        } else if (action === 'resolve') {
+            run(() => resolveAlert(alert.id, note.trim() || null), 'Alert resolved')
+        }
+    }
+
+    if (alerts === null) return null
+
+    const isLive = a => !a.resolved_at && a.status !== 'resolved'
+    const live = alerts.filter(isLive)
+    const closed = alerts.filter(a => !isLive(a))
+    const rows = showClosed ? [...live, ...closed] : live
+
+    return (
+        <div className="maint-table-section" style={{ marginBottom: 20 }}>
+            <div className="maint-group-header">
+                <h3>Alerts</h3>
+                {closed.length > 0 && (
+                    <button className="btn btn-ghost btn-sm" onClick={() => setShowClosed(v => !v)}>
+                        {showClosed ? 'Hide closed' : `Show closed (${closed.length})`}
+                    </button>
+                )}
+            </div>
+            {rows.length === 0 ? (
+                <p className="settings-desc" style={{ padding: '8px 0' }}>No open alerts for this trailer.</p>
+            ) : (
+                <table className="maint-table">
+                    <thead>
+                        <tr>
+                            <th>Alert</th>
+                            <th>Severity</th>
+                            <th>Opened</th>
+                            <th>Status</th>
+                            <th>Lifecycle</th>
+                            {canEdit && editable && <th>Actions</th>}
+                        </tr>
+                    </thead>
+                    <tbody>
+                        {rows.map(a => {
+                            const badge = STATUS_BADGES[a.status] || STATUS_BADGES.open
+                            return (
+                                <tr key={a.id}>
+                                    <td className="maint-title">{alertTitle(a)}</td>
+                                    <td>
+                                        <span className={`maint-status-badge maint-status-${SEVERITY_COLORS[a.severity] || 'gray'}`}>{a.severity}</span>
+                                    </td>
+                                    <td className="maint-date">{formatDateTime(a.created_at)}</td>
+                                    <td>
+                                        <span className={`maint-status-badge maint-status-${badge.color}`}>{badge.label}</span>
+                                    </td>
+                                    <td style={{ fontSize: 13 }}>{lifecycleLine(a)}</td>
+                                    {canEdit && editable && (
+                                        <td className="maint-actions">
+                                            {isLive(a) && (
+                                                <span style={{ display: 'flex', gap: 6, flexWrap: 'wrap' }}>
+                                                    {(a.status === 'open' || a.status === 'snoozed') && (
+                                                        <button className="btn btn-ghost btn-sm" disabled={submitting}
+                                                            onClick={() => run(() => acknowledgeAlert(a.id), 'Alert acknowledged')}>
+                                                            Ack
+                                                        </button>
+                                                    )}
+                                                    <button className="btn btn-ghost btn-sm" disabled={submitting} onClick={() => openModal(a, 'assign')}>
+                                                        {a.assigned_to ? 'Reassign' : 'Assign'}
+                                                    </button>
+                                                    {a.status === 'snoozed' ? (
+                                                        <button className="btn btn-ghost btn-sm" disabled={submitting}
+                                                            onClick={() => run(() => unsnoozeAlert(a.id), 'Snooze cleared')}>
+                                                            Unsnooze
+                                                        </button>
+                                                    ) : (
+                                                        <button className="btn btn-ghost btn-sm" disabled={submitting} onClick={() => openModal(a, 'snooze')}>
+                                                            Snooze
+                                                        </button>
+                                                    )}
+                                                    <button className="btn btn-ghost btn-sm" disabled={submitting} onClick={() => openModal(a, 'resolve')}>
+                                                        Resolve
+                                                    </button>
+                                                </span>
+                                            )}
+                                        </td>
+                                    )}
+                                </tr>
+                            )
+                        })}
+                    </tbody>
+                </table>
+            )}
+
+            {modal && (
+                <div className="maint-form-overlay" onClick={() => setModal(null)}>
+                    <div className="maint-form-panel" onClick={e => e.stopPropagation()} style={{ maxWidth: 440 }}>
+                        <div className="maint-form-header">
+                            <h3>
+                                {modal.action === 'assign' ? 'Assign alert' : modal.action === 'snooze' ? 'Snooze alert' : 'Resolve alert'}
+                            </h3>
+                            <button className="btn btn-ghost btn-sm" onClick={() => setModal(null)}>✕</button>
+                        </div>
+                        <form className="maint-form" onSubmit={handleModalSubmit}>
+                            <p className="settings-desc">{alertTitle(modal.alert)}</p>
+                            {modal.action === 'assign' && (
+                                <div className="form-group">
+                                    <label>Technician</label>
+                                    <select value={assignee} onChange={e => setAssignee(e.target.value)} required>
+                                        <option value="">Select…</option>
+                                        {users.map(u => <option key={u.id} value={u.id}>{u.display_name}</option>)}
+                                    </select>
+                                </div>
+                            )}
+                            {modal.action === 'snooze' && (
+                                <div className="form-group">
+                                    <label>Hide from the action queue for</label>
+                                    <select value={snoozeHours} onChange={e => setSnoozeHours(parseInt(e.target.value))}>
+                                        {SNOOZE_OPTIONS.map(o => <option key={o.hours} value={o.hours}>{o.label}</option>)}
+                                    </select>
+                                </div>
+                            )}
+                            {modal.action === 'resolve' && (
+                                <div className="form-group">
+                                    <label>Resolution note</label>
+                                    <textarea rows={3} value={note} onChange={e => setNote(e.target.value)}
+                                        placeholder="What was done? (optional)" />
+                                    <p className="settings-desc">
+                                        The alert stays closed while its condition holds and reopens if it clears and comes back.
+                                    </p>
+                                </div>
+                            )}
+                            <div className="maint-form-actions">
+                                <button type="button" className="btn btn-ghost" onClick={() => setModal(null)}>Cancel</button>
+                                <button type="submit" className="btn btn-primary" disabled={submitting}>
+                                    {submitting ? 'Saving…' : 'Save'}
+                                </button>
+                            </div>
+                        </form>
+                    </div>
+                </div>
+            )}
+        </div>
+    )
+}
+
+export default AlertsInline
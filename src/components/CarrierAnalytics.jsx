@@ -0,0 +1,265 @@
+import { useState, useCallback, useMemo } from 'react'
+import {
+    Chart as ChartJS,
+    CategoryScale, LinearScale, PointElement, LineElement, Title, Tooltip, Legend
+} from 'chart.js'
+import { Line } from 'react-chartjs-2'
+import { useApiPolling } from '../hooks/useApiPolling'
+import { fetchCarrierAnalytics } from '../api/vrm'
+import { signalQuality } from '../utils/format'
+import { generateCSV, downloadCSV } from '../utils/csv'
+
+ChartJS.register(CategoryScale, LinearScale, PointElement, LineElement, Title, Tooltip, Legend)
+
+const RANGE_OPTIONS = [
+    { value: 30, label: '30d' },
+    { value: 90, label: '90d' },
+    { value: 365, label: '1y' },
+]
+
+const CARRIER_COLORS = ['#3498db', '#e67e22', '#9b59b6', '#1abc9c', '#e74c3c', '#f1c40f']
+
+function fmt(v, unit) {
+    return v != null ? `${v}${unit}` : '—'
+}
+
+function CarrierTable({ carriers }) {
+    return (
+        <div className="rankings-table-wrapper">
+            <table className="rankings-table">
+                <thead>
+                    <tr>
+                        <th>#</th>
+                        <th>Carrier</th>
+                        <th>Devices</th>
+                        <th>Avg RSRP</th>
+                        <th>Avg SINR</th>
+                        <th>Avg RSRQ</th>
+                        <th>Uptime</th>
+                        <th>Score</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    {carriers.map(c => (
+                        <tr key={c.carrier} className="rankings-row">
+                            <td className="rank-num">{c.rank}</td>
+                            <td className="rank-name">{c.carrier}</td>
+                            <td>{c.devices}</td>
+                            <td style={{ color: signalQuality(c.rsrp).color }}>{fmt(c.rsrp, ' dBm')}</td>
+                            <td>{fmt(c.sinr, ' dB')}</td>
+                            <td>{fmt(c.rsrq, ' dB')}</td>
+                            <td className={c.online_pct == null ? '' : c.online_pct >= 98 ? 'rank-good' : c.online_pct >= 90 ? 'rank-warn' : 'rank-bad'}>
+                                {fmt(c.online_pct, '%')}
+                            </td>
+                            <td>{c.score != null ? c.score.toFixed(0) : '—'}</td>
+                        </tr>
+                    ))}
+                </tbody>
+            </table>
+        </div>
+    )
+}
+
+// Carrier ranking by job site / region, weaker-carrier SIMs and signal
+// degradation from the hourly network rollups
+function CarrierAnalytics() {
+    const [days, setDays] = useState(30)
+    const [groupBy, setGroupBy] = useState('job_site')
+
+    const fetchFn = useCallback(() => fetchCarrierAnalytics(days, groupBy), [days, groupBy])
+    const { data, loading } = useApiPolling(fetchFn, 300000)
+
+    const trendChartData = useMemo(() => {
+        const trend = data?.carrier_trend
+        if (!trend?.carriers?.length) return null
+        return {
+            labels: trend.weeks,
+            datasets: trend.carriers.map((c, i) => ({
+                label: c.carrier,
+                data: c.rsrp,
+                borderColor: CARRIER_COLORS[i % CARRIER_COLORS.length],
+                backgroundColor: CARRIER_COLORS[i % CARRIER_COLORS.length],
+                tension: 0.3,
+                spanGaps: true,
+            })),
+        }
+    }, [data])
+
+    const handleExport = () => {
+        const headers = ['Group', 'Carrier', 'Rank', 'Devices', 'Avg RSRP (dBm)', 'Avg SINR (dB)', 'Avg RSRQ (dB)', 'Uptime %', 'Score']
+        const rows = []
+        for (const g of data?.groups || []) {
+            for (const c of g.carriers) {
+                rows.push([g.name, c.carrier, c.rank, c.devices, c.rsrp ?? '', c.sinr ?? '', c.rsrq ?? '', c.online_pct ?? '', c.score ?? ''])
+            }
+        }
+        downloadCSV(generateCSV(headers, rows), `carrier-ranking-${groupBy}-${days}d.csv`)
+    }
+
+    if (loading && !data) {
+        return (
+            <div className="page-loading">
+                <div className="spinner"></div>
+                <p>Loading carrier analytics...</p>
+            </div>
+        )
+    }
+
+    if (data && !data.success) {
+        return <div className="empty-section"><p>{data.error || 'Carrier analytics are unavailable.'}</p></div>
+    }
+
+    const groups = data?.groups || []
+    const weaker = data?.weaker_carrier || []
+    const degrading = data?.degrading || []
+
+    return (
+        <div className="carrier-analytics">
+            <div className="analytics-controls">
+                <div className="analytics-range-selector">
+                    {RANGE_OPTIONS.map(opt => (
+                        <button
+                            key={opt.value}
+                            className={`range-btn ${days === opt.value ? 'active' : ''}`}
+                            onClick={() => setDays(opt.value)}
+                        >
+                            {opt.label}
+                        </button>
+                    ))}
+                </div>
+                <div className="view-toggle">
+                    <button
+                        className={`view-toggle-btn ${groupBy === 'job_site' ? 'active' : ''}`}
+                        onClick={() => setGroupBy('job_site')}
+                    >
+                        By Job Site
+                    </button>
+                    <button
+                        className={`view-toggle-btn ${groupBy === 'region' ? 'active' : ''}`}
+                        onClick={() => setGroupBy('region')}
+                    >
+                        By Region
+                    </button>
+                </div>
+                <div className="analytics-actions">
+                    <button className="btn btn-secondary" onClick={handleExport} disabled={groups.length === 0}>
+                        Export CSV
+                    </button>
+                </div>
+            </div>
+
+            <div className="analytics-rankings">
+                <h2>Fleet Carrier Ranking ({data?.days}d, {data?.device_count || 0} devices)</h2>
+                {data?.carriers?.length > 0 ? (
+                    <CarrierTable carriers={data.carriers} />
+                ) : (
+                    <div className="empty-section">
+                        <p>No hourly network history yet. Rankings appear once devices have a day of data.</p>
+                    </div>
+                )}
+            </div>
+
+            {trendChartData && (
+                <div className="chart-card">
+                    <div className="chart-card-header">
+                        <h3>Weekly Avg RSRP by Carrier</h3>
+                    </div>
+                    <div className="chart-container">
+                        <Line data={trendChartData} options={{
+                            responsive: true,
+                            maintainAspectRatio: false,
+                            plugins: { legend: { labels: { color: '#bdc3c7', font: { family: 'Inter', size: 12 } } } },
+                            scales: {
+                                x: { ticks: { color: '#7f8c8d' }, grid: { color: 'rgba(255,255,255,0.05)' } },
+                                y: { ticks: { color: '#7f8c8d', callback: v => `${v} dBm` }, grid: { color: 'rgba(255,255,255,0.05)' } },
+                            },
+                        }} />
+                    </div>
+                </div>
+            )}
+
+            {weaker.length > 0 && (
+                <div className="analytics-rankings">
+                    <h2>Trailers on the Weaker Carrier</h2>
+                    <div className="rankings-table-wrapper">
+                        <table className="rankings-table">
+                            <thead>
+                                <tr>
+                                    <th>Trailer</th>
+                                    <th>Location</th>
+                                    <th>Carrier</th>
+                                    <th>Its RSRP</th>
+                                    <th>Better Carrier</th>
+                                    <th>Gap</th>
+                                </tr>
+                            </thead>
+                            <tbody>
+                                {weaker.map(w => (
+                                    <tr key={w.device_name} className="rankings-row">
+                                        <td className="rank-name">{w.site_name || w.device_name}</td>
+                                        <td>{w.compared_within_name}</td>
+                                        <td>{w.carrier}</td>
+                                        <td style={{ color: signalQuality(w.rsrp).color }}>{fmt(w.rsrp, ' dBm')}</td>
+                                        <td>
+                                            {w.best_carrier} ({fmt(w.best_carrier_rsrp, ' dBm')}, {w.best_carrier_devices} device{w.best_carrier_devices !== 1 ? 's' : ''})
+                                        </td>
+                                        <td className="rank-bad">{w.rsrp_gap_db} dB</td>
+                                    </tr>
+                                ))}
+                            </tbody>
+                        </table>
+                    </div>
+                </div>
+            )}
+
+            {degrading.length > 0 && (
+                <div className="analytics-rankings">
+                    <h2>Degrading Signal</h2>
+                    <div className="rankings-table-wrapper">
+                        <table className="rankings-table">
+                            <thead>
+                                <tr>
+                                    <th>Device</th>
+                                    <th>Job Site</th>
+                                    <th>Carrier</th>
+                                    <th>First Week</th>
+                                    <th>Last Week</th>
+                                    <th>Trend</th>
+                                </tr>
+                            </thead>
+                            <tbody>
+                                {degrading.map(t => (
+                                    <tr key={t.device_name} className="rankings-row">
+                                        <td className="rank-name">{t.device_name}</td>
+                                        <td>{t.job_site_name || '—'}</td>
+                                        <td>{t.carrier}</td>
+                                        <td>{fmt(t.first_week_rsrp, ' dBm')}</td>
+                                        <td>{fmt(t.last_week_rsrp, ' dBm')}</td>
+                                        <td className="rank-bad">{t.slope_db_per_week} dB/week</td>
+                                    </tr>
+                                ))}
+                            </tbody>
+                        </table>
+                    </div>
+                </div>
+            )}
+
+            {groups.map(g => (
+                <div key={g.key} className="analytics-rankings">
+                    <h2>{g.name}</h2>
+                    <p className="text-muted">
+                        {g.device_count} device{g.device_count !== 1 ? 's' : ''}
+                        {groupBy === 'region' && g.job_sites.length > 0 ? ` · ${g.job_sites.join(', ')}` : ''}
+                    </p>
+                    {g.carriers.length > 0 ? (
+                        <CarrierTable carriers={g.carriers} />
+                    ) : (
+                        <div className="empty-section"><p>Not enough hours on any carrier yet.</p></div>
+                    )}
+                </div>
+            ))}
+        </div>
+    )
+}
+
+export default CarrierAnalytics
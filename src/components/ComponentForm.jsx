@@ -6,6 +6,7 @@ const COMPONENT_TYPES = [
     { value: 'inverter', label: 'Inverter' },
     { value: 'charge_controller', label: 'Charge Controller' },
     { value: 'router', label: 'Router' },
+    { value: 'sim', label: 'SIM' },
     { value: 'camera', label: 'Camera' },
     { value: 'other', label: 'Other' },
 ]
@@ -0,0 +1,178 @@
+import { useState, useCallback } from 'react'
+import { useApiPolling } from '../hooks/useApiPolling'
+import { formatDuration } from '../utils/format'
+import { generateCSV, downloadCSV } from '../utils/csv'
+
+const MONTH_OPTIONS = [
+    { value: 3, label: '3 mo' },
+    { value: 6, label: '6 mo' },
+    { value: 12, label: '12 mo' },
+]
+
+const MAX_LISTED_OUTAGES = 100
+
+function fmtPct(pct) {
+    return pct != null ? `${pct.toFixed(2)}%` : '—'
+}
+
+function slaClass(m) {
+    return m.met_sla == null ? '' : m.met_sla ? 'rank-good' : 'rank-bad'
+}
+
+function fmtTime(ts) {
+    return ts ? new Date(ts).toLocaleString() : '—'
+}
+
+// Monthly availability, MTTR and the outage list behind them. fetchReport
+// takes the month count and returns a report from the WAN outage history
+// (fleet, job site or portal scope — they share one shape).
+function ConnectivitySla({ fetchReport, exportName = 'connectivity-sla' }) {
+    const [months, setMonths] = useState(3)
+
+    const fetchFn = useCallback(() => fetchReport(months), [fetchReport, months])
+    const { data, loading } = useApiPolling(fetchFn, 300000)
+
+    const devices = data?.devices || []
+    const outages = devices
+        .flatMap(d => d.outage_list.map(o => ({ ...o, trailer: d.site_name || d.device_name })))
+        .sort((a, b) => b.started_at - a.started_at)
+
+    const handleExport = () => {
+        const headers = ['Trailer', 'Device', 'Started', 'Recovered', 'Duration (min)']
+        const rows = outages.map(o => [
+            o.trailer, o.device_name,
+            new Date(o.started_at).toISOString(),
+            o.ended_at ? new Date(o.ended_at).toISOString() : 'ongoing',
+            Math.round(o.duration_ms / 60000),
+        ])
+        downloadCSV(generateCSV(headers, rows), `${exportName}-outages-${months}mo.csv`)
+    }
+
+    if (loading && !data) {
+        return <div className="empty-section"><p>Loading connectivity history...</p></div>
+    }
+
+    if (data && !data.success) {
+        return <div className="empty-section"><p>{data.error || 'Connectivity history is unavailable.'}</p></div>
+    }
+
+    return (
+        <div className="connectivity-sla">
+            <div className="analytics-controls">
+                <div className="analytics-range-selector">
+                    {MONTH_OPTIONS.map(opt => (
+                        <button
+                            key={opt.value}
+                            className={`range-btn ${months === opt.value ? 'active' : ''}`}
+                            onClick={() => setMonths(opt.value)}
+                        >
+                            {opt.label}
+                        </button>
+                    ))}
+                </div>
+                <div className="analytics-actions">
+                    <button className="btn btn-secondary" onClick={handleExport} disabled={outages.length === 0}>
+                        Export Outages CSV
+                    </button>
+                </div>
+            </div>
+
+            {devices.length === 0 ? (
+                <div className="empty-section"><p>No connectivity history for this period.</p></div>
+            ) : (
+                <>
+                    <div className="analytics-rankings">
+                        <h2>Availability by Month (target {data.sla_target_pct}%)</h2>
+                        <div className="rankings-table-wrapper">
+                            <table className="rankings-table">
+                                <thead>
+                                    <tr>
+                                        <th>Month</th>
+                                        <th>Availability</th>
+                                        <th>Downtime</th>
+                                        <th>Outages</th>
+                                        <th>MTTR</th>
+                                        <th>Longest</th>
+                                    </tr>
+                                </thead>
+                                <tbody>
+                                    {data.summary.map(m => (
+                                        <tr key={m.month} className="rankings-row">
+                                            <td className="rank-name">{m.month}</td>
+                                            <td className={slaClass(m)}>{fmtPct(m.availability_pct)}</td>
+                                            <td>{formatDuration(m.downtime_ms)}</td>
+                                            <td>{m.outages}</td>
+                                            <td>{formatDuration(m.mttr_ms)}</td>
+                                            <td>{formatDuration(m.longest_outage_ms)}</td>
+                                        </tr>
+                                    ))}
+                                </tbody>
+                            </table>
+                        </div>
+                    </div>
+
+                    <div className="analytics-rankings">
+                        <h2>By Trailer</h2>
+                        <div className="rankings-table-wrapper">
+                            <table className="rankings-table">
+                                <thead>
+                                    <tr>
+                                        <th>Trailer</th>
+                                        {data.months.map(m => <th key={m}>{m}</th>)}
+                                    </tr>
+                                </thead>
+                                <tbody>
+                                    {devices.map(d => (
+                                        <tr key={d.device_name} className="rankings-row">
+                                            <td className="rank-name">{d.site_name || d.device_name}</td>
+                                            {d.months.map(m => (
+                                                <td key={m.month} className={slaClass(m)} title={m.outages ? `${m.outages} outage${m.outages !== 1 ? 's' : ''}, MTTR ${formatDuration(m.mttr_ms)}` : ''}>
+                                                    {fmtPct(m.availability_pct)}
+                                                </td>
+                                            ))}
+                                        </tr>
+                                    ))}
+                                </tbody>
+                            </table>
+                        </div>
+                    </div>
+
+                    <div className="analytics-rankings">
+                        <h2>Outages ({outages.length})</h2>
+                        {outages.length === 0 ? (
+                            <div className="empty-section"><p>No outages in this period.</p></div>
+                        ) : (
+                            <div className="rankings-table-wrapper">
+                                <table className="rankings-table">
+                                    <thead>
+                                        <tr>
+                                            <th>Trailer</th>
+                                            <th>Started</th>
+                                            <th>Recovered</th>
+                                            <th>Duration</th>
+                                        </tr>
+                                    </thead>
+                                    <tbody>
+                                        {outages.slice(0, MAX_LISTED_OUTAGES).map(o => (
+                                            <tr key={o.id} className="rankings-row">
+                                                <td className="rank-name">{o.trailer}</td>
+                                                <td>{fmtTime(o.started_at)}</td>
+                                                <td className={o.ongoing ? 'rank-bad' : ''}>{o.ongoing ? 'Ongoing' : fmtTime(o.ended_at)}</td>
+                                                <td>{formatDuration(o.duration_ms)}</td>
+                                            </tr>
+                                        ))}
+                                    </tbody>
+                                </table>
+                                {outages.length > MAX_LISTED_OUTAGES && (
+                                    <p className="text-muted">Showing the latest {MAX_LISTED_OUTAGES}; the CSV export has all of them.</p>
+                                )}
+                            </div>
+                        )}
+                    </div>
+                </>
+            )}
+        </div>
+    )
+}
+
+export default ConnectivitySla
@@ -11,7 +11,18 @@ function formatAgo(ts) {
     return `${Math.floor(diff / 2592000)}mo ago`
 }
 
-export default function DataFreshness({ lastUpdated, refetch }) {
+// Poll health error kinds (server/services/pollHealth.js classifyPollError)
+const POLL_ERROR_LABELS = {
+    auth: 'API token rejected',
+    rate_limit: 'Rate limited',
+    network: 'Source unreachable',
+    upstream: 'Source error',
+    not_found: 'Not found at source',
+}
+
+// `health` (optional) is a poll-health record for this trailer; with it the
+// badge can tell "we can't reach the source" apart from "the device is silent"
+export default function DataFreshness({ lastUpdated, refetch, health }) {
     const [, setTick] = useState(0)
     const [refreshing, setRefreshing] = useState(false)
 
@@ -20,11 +31,22 @@ export default function DataFreshness({ lastUpdated, refetch }) {
         return () => clearInterval(timer)
     }, [])
 
-    if (!lastUpdated) return null
+    const pollFailing = health?.consecutive_failures > 0
+    if (!lastUpdated && !pollFailing) return null
 
     const ago = formatAgo(lastUpdated)
     const isRefreshing = refreshing || Date.now() - lastUpdated < 2000
-    const isStale = Date.now() - lastUpdated > 30 * 60 * 1000  // >30 min
+    const isStale = !lastUpdated || Date.now() - lastUpdated > 30 * 60 * 1000  // >30 min
+
+    let label = `Updated ${ago}`
+    let title
+    if (pollFailing) {
+        label = `${POLL_ERROR_LABELS[health.error_kind] || 'Poll failing'} (${health.consecutive_failures}×)${ago ? ` · data ${ago}` : ''}`
+        title = health.last_error
+    } else if (health && isStale) {
+        label = `Device silent · last data ${ago || 'unknown'}`
+        title = health.last_success ? `Polling OK — last successful poll ${formatAgo(health.last_success)}` : undefined
+    }
 
     const handleRefresh = async () => {
         if (!refetch || refreshing) return
@@ -37,9 +59,9 @@ export default function DataFreshness({ lastUpdated, refetch }) {
     }
 
     return (
-        <div className={`data-freshness ${isRefreshing ? 'freshness-pulse' : ''} ${isStale ? 'freshness-stale' : ''}`}>
-            <span className={`freshness-dot ${isStale ? 'freshness-dot-stale' : ''}`} />
-            <span className="freshness-text">Updated {ago}</span>
+        <div className={`data-freshness ${isRefreshing ? 'freshness-pulse' : ''} ${pollFailing ? 'freshness-failing' : isStale ? 'freshness-stale' : ''}`} title={title}>
+            <span className={`freshness-dot ${pollFailing ? 'freshness-dot-failing' : isStale ? 'freshness-dot-stale' : ''}`} />
+            <span className="freshness-text">{label}</span>
             {refetch && (
                 <button
                     className={`freshness-refresh-btn ${refreshing ? 'spinning' : ''}`}
@@ -0,0 +1,350 @@
+import { useState, useCallback, useEffect } from 'react'
+import { useApiPolling } from '../hooks/useApiPolling'
+import { useAuth } from './AuthProvider'
+import { useToast } from './ToastProvider'
+import { fetchDataPlanUsage, createDataPlan, updateDataPlan, deleteDataPlan, assignDataPlanDevice, fetchCompanies } from '../api/vrm'
+import { formatMB } from '../utils/format'
+import { generateCSV, downloadCSV } from '../utils/csv'
+
+const EMPTY_PLAN = { name: '', carrier: '', cap_gb: '', cycle_start_day: 1, pooled: true, company_id: '', alert_thresholds: '75, 90, 100', overage_per_gb: '', notes: '' }
+
+function pctClass(pct) {
+    if (pct == null) return ''
+    return pct >= 100 ? 'rank-bad' : pct >= 75 ? 'rank-warn' : 'rank-good'
+}
+
+function fmtPct(pct) {
+    return pct != null ? `${pct}%` : '—'
+}
+
+// Used so far (solid) and projected by cycle end (faded) against the cap
+function UsageBar({ pct, projectedPct }) {
+    return (
+        <div className="data-plan-bar-track">
+            <div className="data-plan-bar data-plan-bar-projected" style={{ width: `${Math.min(100, projectedPct || 0)}%` }} />
+            <div className={`data-plan-bar data-plan-bar-used ${pctClass(pct)}`} style={{ width: `${Math.min(100, pct || 0)}%` }} />
+        </div>
+    )
+}
+
+function AssignSelect({ device, plans, current, onAssign }) {
+    return (
+        <select value={current ?? ''} onChange={e => onAssign(device, e.target.value === '' ? null : parseInt(e.target.value))}>
+            <option value="">Company plan / none</option>
+            {plans.map(p => <option key={p.id} value={p.id}>{p.name}</option>)}
+        </select>
+    )
+}
+
+function PlanDevicesTable({ plan, plans, isAdmin, onAssign }) {
+    return (
+        <div className="rankings-table-wrapper">
+            <table className="rankings-table">
+                <thead>
+                    <tr>
+                        <th>Device</th>
+                        <th>Trailer</th>
+                        <th>Cycle Usage</th>
+                        <th>{plan.pooled ? 'Share of Pool' : 'Of Cap'}</th>
+                        <th>Today</th>
+                        <th>Daily Avg</th>
+                        <th>Projected</th>
+                        {!plan.pooled && <th>Projected %</th>}
+                        <th>Assigned</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    {plan.devices.map(d => (
+                        <tr key={d.device_name} className="rankings-row">
+                            <td className="rank-name">{d.device_name}</td>
+                            <td>{d.site_name || '—'}</td>
+                            <td>{formatMB(d.used_mb)}</td>
+                            <td className={plan.pooled ? '' : pctClass(d.pct_used)}>{fmtPct(plan.pooled ? d.share_pct : d.pct_used)}</td>
+                            <td>{formatMB(d.today_mb)}</td>
+                            <td>{formatMB(d.daily_rate_mb)}</td>
+                            <td>{formatMB(d.projected_mb)}</td>
+                            {!plan.pooled && <td className={pctClass(d.projected_pct)}>{fmtPct(d.projected_pct)}</td>}
+                            <td>
+                                {isAdmin ? (
+                                    <AssignSelect device={d.device_name} plans={plans} current={d.assigned_by === 'device' ? plan.id : null} onAssign={onAssign} />
+                                ) : (
+                                    d.assigned_by === 'device' ? 'Device' : 'Company'
+                                )}
+                            </td>
+                        </tr>
+                    ))}
+                </tbody>
+            </table>
+        </div>
+    )
+}
+
+// Data plan caps, cycle usage and projection, and which trailers eat a pooled bucket
+function DataPlans() {
+    const { user } = useAuth()
+    const toast = useToast()
+    const isAdmin = user?.role === 'admin'
+    const [editing, setEditing] = useState(null) // plan draft (id null = new)
+    const [saving, setSaving] = useState(false)
+    const [companies, setCompanies] = useState([])
+
+    const fetchFn = useCallback(() => fetchDataPlanUsage(), [])
+    const { data, loading, refetch } = useApiPolling(fetchFn, 300000)
+
+    useEffect(() => {
+        if (!isAdmin) return
+        fetchCompanies().then(res => setCompanies(res?.companies || [])).catch(() => {})
+    }, [isAdmin])
+
+    const plans = data?.plans || []
+    const unassigned = data?.unassigned || []
+
+    const handleAssign = async (deviceName, planId) => {
+        try {
+            await assignDataPlanDevice(deviceName, planId)
+            toast.success(planId ? `${deviceName} moved to plan` : `${deviceName} back on its company plan`)
+            refetch()
+        } catch (err) {
+            toast.error('Error assigning device: ' + err.message)
+        }
+    }
+
+    const handleSave = async (e) => {
+        e.preventDefault()
+        setSaving(true)
+        try {
+            const body = {
+                name: editing.name,
+                carrier: editing.carrier || null,
+                cap_gb: parseFloat(editing.cap_gb),
+                cycle_start_day: parseInt(editing.cycle_start_day),
+                pooled: editing.pooled === true || editing.pooled === 'true',
+                company_id: editing.company_id ? parseInt(editing.company_id) : null,
+                alert_thresholds: String(editing.alert_thresholds).split(',').map(v => parseInt(v.trim())).filter(v => !Number.isNaN(v)),
+                overage_per_gb: editing.overage_per_gb === '' ? null : parseFloat(editing.overage_per_gb),
+                notes: editing.notes || null,
+            }
+            if (editing.id) {
+                await updateDataPlan(editing.id, body)
+                toast.success('Data plan updated')
+            } else {
+                await createDataPlan(body)
+                toast.success('Data plan created')
+            }
+            setEditing(null)
+            refetch()
+        } catch (err) {
+            toast.error('Error saving data plan: ' + err.message)
+        }
+        setSaving(false)
+    }
+
+    const handleDelete = async (plan) => {
+        if (!window.confirm(`Delete data plan "${plan.name}"? Its devices become unassigned.`)) return
+        try {
+            await deleteDataPlan(plan.id)
+            toast.success('Data plan deleted')
+            refetch()
+        } catch (err) {
+            toast.error('Error deleting data plan: ' + err.message)
+        }
+    }
+
+    const handleExport = () => {
+        const headers = ['Plan', 'Pooled', 'Cycle Start', 'Cycle End', 'Device', 'Trailer', 'Cycle Usage (MB)', 'Share / Of Cap %', 'Daily Avg (MB)', 'Projected (MB)']
+        const rows = []
+        for (const p of plans) {
+            for (const d of p.devices) {
+                rows.push([p.name, p.pooled ? 'yes' : 'no', p.cycle.start, p.cycle.end, d.device_name, d.site_name || '', d.used_mb, p.pooled ? d.share_pct : d.pct_used, d.daily_rate_mb, d.projected_mb])
+            }
+        }
+        downloadCSV(generateCSV(headers, rows), `data-plan-usage-${new Date().toISOString().slice(0, 10)}.csv`)
+    }
+
+    const field = (key) => ({
+        value: editing[key] ?? '',
+        onChange: e => setEditing(p => ({ ...p, [key]: e.target.value })),
+    })
+
+    if (loading && !data) {
+        return (
+            <div className="page-loading">
+                <div className="spinner"></div>
+                <p>Loading data plans...</p>
+            </div>
+        )
+    }
+
+    if (data && !data.success) {
+        return <div className="empty-section"><p>{data.error || 'Data plans are unavailable.'}</p></div>
+    }
+
+    return (
+        <div className="data-plans">
+            <div className="analytics-controls">
+                <div className="analytics-actions">
+                    {isAdmin && <button className="btn btn-primary" onClick={() => setEditing({ ...EMPTY_PLAN, id: null })}>+ Add Plan</button>}
+                    <button className="btn btn-secondary" onClick={handleExport} disabled={plans.length === 0}>
+                        Export CSV
+                    </button>
+                </div>
+            </div>
+
+            {plans.length === 0 && (
+                <div className="empty-section">
+                    <p>No data plans yet. Add a plan with its cap and billing cycle, then assign it to a company or to single devices.</p>
+                </div>
+            )}
+
+            {plans.map(p => (
+                <div key={p.id} className="analytics-rankings">
+                    <div className="data-plan-header">
+                        <h2>{p.name}</h2>
+                        {isAdmin && (
+                            <div>
+                                <button className="btn btn-ghost btn-sm" onClick={() => setEditing({
+                                    ...EMPTY_PLAN, ...p,
+                                    carrier: p.carrier || '',
+                                    company_id: p.company_id ?? '',
+                                    alert_thresholds: (p.alert_thresholds || []).join(', '),
+                                    overage_per_gb: p.overage_per_gb ?? '',
+                                    notes: p.notes || '',
+                                })}>Edit</button>
+                                <button className="btn btn-ghost btn-sm" onClick={() => handleDelete(p)}>Delete</button>
+                            </div>
+                        )}
+                    </div>
+                    <p className="text-muted">
+                        {p.carrier ? `${p.carrier} · ` : ''}
+                        {p.cap_gb} GB {p.pooled ? 'shared pool' : 'per SIM'}
+                        {p.company_name ? ` · ${p.company_name}` : ''}
+                        {' · '}cycle {p.cycle.start} → {p.cycle.end} ({Math.ceil(p.cycle.days_left)} day{Math.ceil(p.cycle.days_left) !== 1 ? 's' : ''} left)
+                        {' · '}alerts at {(p.alert_thresholds || []).join('/')}%
+                    </p>
+
+                    {p.pooled ? (
+                        <div className="data-plan-summary">
+                            <UsageBar pct={p.pct_used} projectedPct={p.projected_pct} />
+                            <span>
+                                <strong className={pctClass(p.pct_used)}>{formatMB(p.used_mb)}</strong> of {formatMB(p.cap_mb)} ({fmtPct(p.pct_used)})
+                                {' · '}projected <strong className={pctClass(p.projected_pct)}>{formatMB(p.projected_mb)}</strong> ({fmtPct(p.projected_pct)})
+                            </span>
+                        </div>
+                    ) : (
+                        <div className="data-plan-summary">
+                            <span>
+                                {formatMB(p.used_mb)} across {p.devices.length} SIM{p.devices.length !== 1 ? 's' : ''}
+                                {' · '}<strong className={p.devices_projected_over > 0 ? 'rank-bad' : 'rank-good'}>{p.devices_projected_over}</strong> projected over cap
+                            </span>
+                        </div>
+                    )}
+                    {p.projected_overage_mb > 0 && (
+                        <p className="rank-bad">
+                            Projected overage {formatMB(p.projected_overage_mb)}
+                            {p.projected_overage_cost != null ? ` (~$${p.projected_overage_cost.toFixed(2)})` : ''}
+                        </p>
+                    )}
+
+                    {p.devices.length > 0 ? (
+                        <PlanDevicesTable plan={p} plans={plans} isAdmin={isAdmin} onAssign={handleAssign} />
+                    ) : (
+                        <div className="empty-section"><p>No devices on this plan.</p></div>
+                    )}
+                </div>
+            ))}
+
+            {unassigned.length > 0 && (
+                <div className="analytics-rankings">
+                    <h2>Devices Without a Plan ({unassigned.length})</h2>
+                    <div className="rankings-table-wrapper">
+                        <table className="rankings-table">
+                            <thead>
+                                <tr>
+                                    <th>Device</th>
+                                    <th>Trailer</th>
+                                    <th>Last 30 Days</th>
+                                    {isAdmin && plans.length > 0 && <th>Assign</th>}
+                                </tr>
+                            </thead>
+                            <tbody>
+                                {unassigned.map(d => (
+                                    <tr key={d.device_name} className="rankings-row">
+                                        <td className="rank-name">{d.device_name}</td>
+                                        <td>{d.site_name || '—'}</td>
+                                        <td>{formatMB(d.used_30d_mb)}</td>
+                                        {isAdmin && plans.length > 0 && (
+                                            <td><AssignSelect device={d.device_name} plans={plans} current={null} onAssign={handleAssign} /></td>
+                                        )}
+                                    </tr>
+                                ))}
+                            </tbody>
+                        </table>
+                    </div>
+                </div>
+            )}
+
+            {editing && (
+                <div className="maint-form-overlay" onClick={() => setEditing(null)}>
+                    <div className="maint-form-panel" onClick={e => e.stopPropagation()} style={{ maxWidth: 620 }}>
+                        <div className="maint-form-header">
+                            <h2>{editing.id ? 'Edit Data Plan' : 'New Data Plan'}</h2>
+                            <button className="detail-close" onClick={() => setEditing(null)}>✕</button>
+                        </div>
+                        <form onSubmit={handleSave} className="maint-form">
+                            <div className="maint-form-grid">
+                                <div className="form-group">
+                                    <label>Name *</label>
+                                    <input type="text" {...field('name')} placeholder="Verizon 500 GB pool" required autoFocus />
+                                </div>
+                                <div className="form-group">
+                                    <label>Carrier</label>
+                                    <input type="text" {...field('carrier')} placeholder="Verizon" />
+                                </div>
+                                <div className="form-group">
+                                    <label>Cap (GB) *</label>
+                                    <input type="number" min="0.1" step="any" {...field('cap_gb')} required />
+                                </div>
+                                <div className="form-group">
+                                    <label>Cycle starts on day *</label>
+                                    <input type="number" min="1" max="28" step="1" {...field('cycle_start_day')} required />
+                                </div>
+                                <div className="form-group">
+                                    <label>Cap applies to</label>
+                                    <select {...field('pooled')}>
+                                        <option value="true">All SIMs together (pool)</option>
+                                        <option value="false">Each SIM</option>
+                                    </select>
+                                </div>
+                                <div className="form-group">
+                                    <label>Company</label>
+                                    <select {...field('company_id')}>
+                                        <option value="">None (assign devices directly)</option>
+                                        {companies.map(c => <option key={c.id} value={c.id}>{c.name}</option>)}
+                                    </select>
+                                </div>
+                                <div className="form-group">
+                                    <label>Alert at (% of cap)</label>
+                                    <input type="text" {...field('alert_thresholds')} placeholder="75, 90, 100" />
+                                </div>
+                                <div className="form-group">
+                                    <label>Overage per GB ($)</label>
+                                    <input type="number" min="0" step="any" {...field('overage_per_gb')} />
+                                </div>
+                            </div>
+                            <div className="form-group">
+                                <label>Notes</label>
+                                <textarea rows={2} {...field('notes')} />
+                            </div>
+                            <div className="maint-form-actions">
+                                <button type="button" className="btn btn-ghost" onClick={() => setEditing(null)}>Cancel</button>
+                                <button type="submit" className="btn btn-primary" disabled={saving}>{saving ? 'Saving...' : 'Save Plan'}</button>
+                            </div>
+                        </form>
+                    </div>
+                </div>
+            )}
+        </div>
+    )
+}
+
+export default DataPlans
@@ -0,0 +1,296 @@
+import { useState, useCallback } from 'react'
+import { useApiPolling } from '../hooks/useApiPolling'
+import { useAuth } from './AuthProvider'
+import { useToast } from './ToastProvider'
+import { fetchInventory, fetchInventoryChanges, syncInventory, lookupSimIccids, setFirmwareBaseline, clearFirmwareBaseline } from '../api/vrm'
+import { generateCSV, downloadCSV } from '../utils/csv'
+
+const MAX_CHANGES = 100
+
+function describeChange(c) {
+    switch (c.field) {
+        case 'added': return { label: `Added to inventory${c.to_value ? ` (serial ${c.to_value})` : ''}`, tone: 'good' }
+        case 'firmware': return { label: `Firmware ${c.from_value || '?'} → ${c.to_value}`, tone: '' }
+        case 'iccid': return {
+            label: c.to_value ? `SIM ${c.slot}: ${c.from_value || 'empty'} → ${c.to_value}` : `SIM ${c.slot} removed (${c.from_value})`,
+            tone: 'warn',
+        }
+        case 'sim_moved': return { label: `SIM ${c.to_value} moved here from ${c.related_device} (slot ${c.slot})`, tone: 'bad' }
+        case 'site': return { label: `Trailer ${c.from_value || 'none'} → ${c.to_value}`, tone: 'warn' }
+        case 'config_profile': return { label: `Profile ${c.from_value || 'none'} → ${c.to_value}`, tone: '' }
+        case 'imei': return { label: `Modem IMEI ${c.from_value || '?'} → ${c.to_value}`, tone: 'warn' }
+        default: return { label: `${c.field} ${c.from_value || '?'} → ${c.to_value}`, tone: 'warn' }
+    }
+}
+
+function SimLookup() {
+    const toast = useToast()
+    const [text, setText] = useState('')
+    const [result, setResult] = useState(null)
+    const [busy, setBusy] = useState(false)
+
+    const handleLookup = async () => {
+        setBusy(true)
+        try {
+            setResult(await lookupSimIccids(text))
+        } catch (err) {
+            toast.error('SIM lookup failed: ' + err.message)
+        }
+        setBusy(false)
+    }
+
+    const handleExport = () => {
+        const headers = ['Invoice ICCID', 'Matched ICCID', 'Status', 'Trailer', 'Device', 'Slot', 'Carrier', 'Removed']
+        const rows = result.results.map(r => [
+            r.input, r.iccid || '', r.status, r.site_name || '', r.device_name || '', r.slot ?? '', r.carrier || '',
+            r.removed_at ? new Date(r.removed_at).toISOString() : '',
+        ])
+        downloadCSV(generateCSV(headers, rows), 'sim-lookup.csv')
+    }
+
+    return (
+        <div className="analytics-rankings">
+            <h2>SIM Invoice Lookup</h2>
+            <p className="text-muted">Paste ICCIDs from a carrier invoice (one per line or comma-separated) to see which trailer each SIM is in.</p>
+            <textarea className="inventory-lookup-input" rows={4} value={text} onChange={e => setText(e.target.value)} placeholder="89148000001234567890" />
+            <div className="analytics-actions">
+                <button className="btn btn-primary" onClick={handleLookup} disabled={busy || !text.trim()}>{busy ? 'Looking up...' : 'Look Up'}</button>
+                {result && <button className="btn btn-secondary" onClick={handleExport}>Export CSV</button>}
+            </div>
+            {result && (
+                <>
+                    <p className="text-muted">{result.matched} in a router · {result.removed} removed · {result.unknown} not found</p>
+                    <div className="rankings-table-wrapper">
+                        <table className="rankings-table">
+                            <thead>
+                                <tr>
+                                    <th>ICCID</th>
+                                    <th>Trailer</th>
+                                    <th>Device</th>
+                                    <th>Slot</th>
+                                    <th>Carrier</th>
+                                </tr>
+                            </thead>
+                            <tbody>
+                                {result.results.map((r, i) => (
+                                    <tr key={`${r.input}-${i}`} className="rankings-row">
+                                        <td className="rank-name mono">{r.iccid || r.input}</td>
+                                        {r.status === 'unknown' ? (
+                                            <td colSpan={4} className="rank-bad">Not in any router</td>
+                                        ) : (
+                                            <>
+                                                <td className={r.status === 'removed' ? 'rank-warn' : ''}>
+                                                    {r.status === 'removed' ? `Removed ${new Date(r.removed_at).toLocaleDateString()}` : (r.site_name || '—')}
+                                                </td>
+                                                <td>{r.device_name}</td>
+                                                <td>{r.slot ?? '—'}{r.active ? ' (active)' : ''}</td>
+                                                <td>{r.carrier || '—'}</td>
+                                            </>
+                                        )}
+                                    </tr>
+                                ))}
+                            </tbody>
+                        </table>
+                    </div>
+                </>
+            )}
+        </div>
+    )
+}
+
+// Router inventory from IC2: firmware per model against the chosen
+// baseline, serials and SIMs per trailer, and what changed between syncs
+function DeviceInventory() {
+    const { user } = useAuth()
+    const toast = useToast()
+    const isAdmin = user?.role === 'admin'
+    const [driftOnly, setDriftOnly] = useState(false)
+    const [syncing, setSyncing] = useState(false)
+
+    const fetchFn = useCallback(() => fetchInventory(), [])
+    const { data, loading, refetch } = useApiPolling(fetchFn, 300000)
+    const changesFn = useCallback(() => fetchInventoryChanges(90), [])
+    const { data: changesData, refetch: refetchChanges } = useApiPolling(changesFn, 300000)
+
+    const devices = data?.devices || []
+    const models = data?.models || []
+    const shown = driftOnly ? devices.filter(d => d.firmware_drift) : devices
+    const changes = changesData?.changes || []
+
+    const handleSync = async () => {
+        setSyncing(true)
+        try {
+            const r = await syncInventory()
+            toast.success(`Inventory synced: ${r.devices} devices, ${r.changes} changes`)
+            refetch()
+            refetchChanges()
+        } catch (err) {
+            toast.error('Inventory sync failed: ' + err.message)
+        }
+        setSyncing(false)
+    }
+
+    const handleBaseline = async (model, firmware) => {
+        try {
+            if (firmware) await setFirmwareBaseline(model, firmware)
+            else await clearFirmwareBaseline(model)
+            toast.success(firmware ? `${model} baseline set to ${firmware}` : `${model} baseline cleared`)
+            refetch()
+        } catch (err) {
+            toast.error('Error saving baseline: ' + err.message)
+        }
+    }
+
+    const handleExport = () => {
+        const headers = ['Trailer', 'Device', 'Model', 'Serial', 'Firmware', 'Baseline', 'Profile', 'Modem IMEI', 'Slot', 'ICCID', 'IMSI', 'Carrier', 'Active']
+        const rows = devices.flatMap(d => {
+            const base = [d.site_name || '', d.device_name, d.model || '', d.serial || '', d.firmware || '', d.baseline_firmware || '', d.config_profile || '', d.imei || '']
+            return d.sims.length > 0
+                ? d.sims.map(s => [...base, s.slot, s.iccid || '', s.imsi || '', s.carrier || '', s.active ? 'yes' : 'no'])
+                : [[...base, '', '', '', '', '']]
+        })
+        downloadCSV(generateCSV(headers, rows), 'pepwave-inventory.csv')
+    }
+
+    if (loading && !data) {
+        return <div className="empty-section"><p>Loading inventory...</p></div>
+    }
+
+    if (data && !data.success) {
+        return <div className="empty-section"><p>{data.error || 'Inventory is unavailable.'}</p></div>
+    }
+
+    return (
+        <div className="device-inventory">
+            <div className="analytics-controls">
+                <div className="analytics-range-selector">
+                    <button className={`range-btn ${!driftOnly ? 'active' : ''}`} onClick={() => setDriftOnly(false)}>All ({devices.length})</button>
+                    <button className={`range-btn ${driftOnly ? 'active' : ''}`} onClick={() => setDriftOnly(true)}>
+                        Firmware drift ({devices.filter(d => d.firmware_drift).length})
+                    </button>
+                </div>
+                <div className="analytics-actions">
+                    {data?.last_sync && <span className="text-muted">Synced {new Date(data.last_sync.at).toLocaleString()}</span>}
+                    {isAdmin && <button className="btn btn-secondary" onClick={handleSync} disabled={syncing}>{syncing ? 'Syncing...' : 'Sync Now'}</button>}
+                    <button className="btn btn-secondary" onClick={handleExport} disabled={devices.length === 0}>Export CSV</button>
+                </div>
+            </div>
+
+            {devices.length === 0 ? (
+                <div className="empty-section"><p>No routers in the inventory yet. It fills in after the next IC2 poll.</p></div>
+            ) : (
+                <>
+                    <div className="analytics-rankings">
+                        <h2>Firmware by Model</h2>
+                        <div className="rankings-table-wrapper">
+                            <table className="rankings-table">
+                                <thead>
+                                    <tr>
+                                        <th>Model</th>
+                                        <th>Devices</th>
+                                        <th>Versions</th>
+                                        <th>Baseline</th>
+                                        <th>Drifted</th>
+                                    </tr>
+                                </thead>
+                                <tbody>
+                                    {models.map(m => (
+                                        <tr key={m.model} className="rankings-row">
+                                            <td className="rank-name">{m.model}</td>
+                                            <td>{m.devices}</td>
+                                            <td>{m.versions.map(v => `${v.firmware} ×${v.count}`).join(', ')}</td>
+                                            <td>
+                                                {isAdmin && m.model !== 'Unknown' ? (
+                                                    <select value={m.baseline?.firmware || ''} onChange={e => handleBaseline(m.model, e.target.value)}>
+                                                        <option value="">No baseline</option>
+                                                        {m.baseline && !m.versions.some(v => v.firmware === m.baseline.firmware) && (
+                                                            <option value={m.baseline.firmware}>{m.baseline.firmware}</option>
+                                                        )}
+                                                        {m.versions.filter(v => v.firmware !== 'Unknown').map(v => (
+                                                            <option key={v.firmware} value={v.firmware}>{v.firmware}</option>
+                                                        ))}
+                                                    </select>
+                                                ) : (
+                                                    m.baseline?.firmware || '—'
+                                                )}
+                                            </td>
+                                            <td className={m.drifted > 0 ? 'rank-bad' : m.baseline ? 'rank-good' : ''}>{m.baseline ? m.drifted : '—'}</td>
+                                        </tr>
+                                    ))}
+                                </tbody>
+                            </table>
+                        </div>
+                    </div>
+
+                    <div className="analytics-rankings">
+                        <h2>Routers</h2>
+                        <div className="rankings-table-wrapper">
+                            <table className="rankings-table">
+                                <thead>
+                                    <tr>
+                                        <th>Trailer</th>
+                                        <th>Device</th>
+                                        <th>Model</th>
+                                        <th>Serial</th>
+                                        <th>Firmware</th>
+                                        <th>Profile</th>
+                                        <th>Modem IMEI</th>
+                                        <th>SIMs</th>
+                                    </tr>
+                                </thead>
+                                <tbody>
+                                    {shown.map(d => (
+                                        <tr key={d.device_id} className="rankings-row">
+                                            <td className="rank-name">{d.site_name || '—'}</td>
+                                            <td>{d.device_name}</td>
+                                            <td>{d.model || '—'}</td>
+                                            <td className="mono">{d.serial || '—'}</td>
+                                            <td className={d.firmware_drift ? 'rank-bad' : ''} title={d.firmware_drift ? `Baseline ${d.baseline_firmware}` : ''}>
+                                                {d.firmware || '—'}
+                                            </td>
+                                            <td>{d.config_profile || '—'}</td>
+                                            <td className="mono">{d.imei || '—'}</td>
+                                            <td>
+                                                {d.sims.length === 0 ? '—' : d.sims.map(s => (
+                                                    <div key={s.slot} className="inventory-sim">
+                                                        <span>{s.active ? '●' : '○'} {s.slot}</span>
+                                                        <span className="mono">{s.iccid || 'empty'}</span>
+                                                        {s.carrier && <span className="text-muted">{s.carrier}</span>}
+                                                    </div>
+                                                ))}
+                                            </td>
+                                        </tr>
+                                    ))}
+                                </tbody>
+                            </table>
+                        </div>
+                    </div>
+
+                    <div className="analytics-rankings">
+                        <h2>Changes (last {changesData?.days || 90} days)</h2>
+                        {changes.length === 0 ? (
+                            <div className="empty-section"><p>No inventory changes in this period.</p></div>
+                        ) : (
+                            <ul className="outage-events inventory-changes">
+                                {changes.slice(0, MAX_CHANGES).map(c => {
+                                    const { label, tone } = describeChange(c)
+                                    return (
+                                        <li key={c.id} className={`outage-event${tone ? ` outage-event-${tone}` : ''}`}>
+                                            <span className="outage-event-time">{new Date(c.timestamp).toLocaleString()}</span>
+                                            <span className="inventory-change-device">{c.device_name}</span>
+                                            <span>{label}</span>
+                                        </li>
+                                    )
+                                })}
+                            </ul>
+                        )}
+                    </div>
+                </>
+            )}
+
+            <SimLookup />
+        </div>
+    )
+}
+
+export default DeviceInventory
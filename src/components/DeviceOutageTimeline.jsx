@@ -0,0 +1,64 @@
+import { useCallback } from 'react'
+import { useApiPolling } from '../hooks/useApiPolling'
+import { fetchDeviceOutages } from '../api/vrm'
+import { formatDuration } from '../utils/format'
+
+const MAX_EVENTS = 50
+
+function describeEvent(e) {
+    switch (e.event) {
+        case 'device_down': return { label: 'Went offline', tone: 'bad' }
+        case 'device_up': return { label: 'Back online', tone: 'good' }
+        case 'wan_down': return { label: `${e.interface_name} down${e.to_value ? ` (${e.to_value})` : ''}`, tone: 'warn' }
+        case 'wan_up': return { label: `${e.interface_name} up`, tone: 'good' }
+        case 'failover': return { label: `Failover ${e.from_value} → ${e.to_value} (${e.interface_type})`, tone: 'warn' }
+        case 'ip_change': return { label: `${e.interface_name ? `${e.interface_name} ` : ''}IP ${e.from_value} → ${e.to_value}`, tone: '' }
+        default: return { label: e.event, tone: '' }
+    }
+}
+
+// Monthly availability and the last 30 days of WAN transitions for one device
+function DeviceOutageTimeline({ deviceName }) {
+    const fetchFn = useCallback(() => fetchDeviceOutages(deviceName), [deviceName])
+    const { data } = useApiPolling(fetchFn, 120000)
+
+    if (!data) return <p className="text-muted">Loading...</p>
+    if (!data.success) return <p className="text-muted">{data.error || 'No outage history.'}</p>
+
+    return (
+        <div className="outage-timeline">
+            {data.months.length > 0 && (
+                <div className="outage-months">
+                    {data.months.map(m => (
+                        <div key={m.month} className="outage-month">
+                            <span className="outage-month-label">{m.month}</span>
+                            <span className={m.met_sla == null ? '' : m.met_sla ? 'rank-good' : 'rank-bad'}>
+                                {m.availability_pct != null ? `${m.availability_pct.toFixed(2)}%` : '—'}
+                            </span>
+                            <span className="outage-month-detail">
+                                {m.outages} outage{m.outages !== 1 ? 's' : ''}{m.mttr_ms ? ` · MTTR ${formatDuration(m.mttr_ms)}` : ''}
+                            </span>
+                        </div>
+                    ))}
+                </div>
+            )}
+            {data.events.length === 0 ? (
+                <p className="text-muted">No WAN transitions in the last {data.days} days.</p>
+            ) : (
+                <ul className="outage-events">
+                    {data.events.slice(0, MAX_EVENTS).map(e => {
+                        const { label, tone } = describeEvent(e)
+                        return (
+                            <li key={e.id} className={`outage-event${tone ? ` outage-event-${tone}` : ''}`}>
+                                <span className="outage-event-time">{new Date(e.timestamp).toLocaleString()}</span>
+                                <span>{label}</span>
+                            </li>
+                        )
+                    })}
+                </ul>
+            )}
+        </div>
+    )
+}
+
+export default DeviceOutageTimeline
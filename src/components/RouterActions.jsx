@@ -0,0 +1,143 @@
+import { useState, useCallback } from 'react'
+import { useApiPolling } from '../hooks/useApiPolling'
+import { fetchRouterActions, requestRouterAction, confirmRouterAction } from '../api/vrm'
+import { useToast } from './ToastProvider'
+
+const MAX_HISTORY = 10
+
+const ACTION_LABELS = {
+    reboot: 'Reboot',
+    reset_cellular: 'Cellular reset',
+    switch_sim: 'SIM switch',
+    refresh_gps: 'GPS refresh',
+}
+
+function describeResult(h) {
+    const d = h.details || {}
+    if (!d.ok) return d.error || 'Failed'
+    if (h.action === 'switch_sim' && d.params?.sim) return `to SIM ${d.params.sim}`
+    if (h.action === 'refresh_gps') return d.result?.located ? `${d.result.latitude.toFixed(4)}, ${d.result.longitude.toFixed(4)}` : 'No fix'
+    if (h.action === 'reset_cellular' && d.params?.wan_name) return d.params.wan_name
+    return 'Sent'
+}
+
+// Reboot / cellular reset / SIM switch / GPS refresh for one Pepwave device.
+// Each action is validated server-side first and only sent after the user
+// confirms the summary the server returns.
+function RouterActions({ device }) {
+    const toast = useToast()
+    const [confirming, setConfirming] = useState(null)
+    const [reason, setReason] = useState('')
+    const [busy, setBusy] = useState(false)
+
+    const standbySims = (device.cellular?.sims || []).filter(s => !s.active && s.detected !== false)
+    const [sim, setSim] = useState('')
+
+    const fetchFn = useCallback(() => fetchRouterActions(device.name), [device.name])
+    const { data, refetch } = useApiPolling(fetchFn, 60000)
+
+    const handleRequest = async (type) => {
+        setBusy(true)
+        try {
+            const params = type === 'switch_sim' ? { sim: sim || standbySims[0]?.id } : {}
+            const prepared = await requestRouterAction(device.name, type, params)
+            setReason('')
+            setConfirming(prepared)
+        } catch (err) {
+            toast.error(err.message)
+        } finally {
+            setBusy(false)
+        }
+    }
+
+    const handleConfirm = async (e) => {
+        e.preventDefault()
+        setBusy(true)
+        try {
+            await confirmRouterAction(device.name, confirming.action, confirming.confirm_token, reason.trim() || null)
+            toast.success(`${confirming.label} sent to ${device.name}`)
+            setConfirming(null)
+            refetch()
+        } catch (err) {
+            toast.error(err.message)
+            setConfirming(null)
+            refetch()
+        } finally {
+            setBusy(false)
+        }
+    }
+
+    if (!data) return <p className="text-muted">Loading...</p>
+
+    const history = data.history || []
+
+    return (
+        <div className="router-actions">
+            {data.can_run ? (
+                <div className="router-action-buttons">
+                    {data.actions.map(a => (
+                        <div key={a.type} className="router-action">
+                            {a.type === 'switch_sim' && a.available && standbySims.length > 1 && (
+                                <select value={sim} onChange={e => setSim(e.target.value)}>
+                                    {standbySims.map(s => (
+                                        <option key={s.id} value={s.id}>SIM {s.id}{s.carrier ? ` (${s.carrier})` : ''}</option>
+                                    ))}
+                                </select>
+                            )}
+                            <button
+                                className={`btn btn-sm ${a.type === 'reboot' ? 'btn-danger' : 'btn-secondary'}`}
+                                onClick={() => handleRequest(a.type)}
+                                disabled={!a.available || busy}
+                                title={a.unavailable_reason || ''}
+                            >
+                                {a.type === 'switch_sim' && a.available && standbySims.length === 1
+                                    ? `Switch to SIM ${standbySims[0].id}`
+                                    : a.label}
+                            </button>
+                        </div>
+                    ))}
+                </div>
+            ) : (
+                <p className="text-muted">Remote actions need a technician or admin account.</p>
+            )}
+
+            {history.length > 0 && (
+                <ul className="router-action-history">
+                    {history.slice(0, MAX_HISTORY).map(h => (
+                        <li key={h.id} className={h.details?.ok ? '' : 'router-action-failed'}>
+                            <span className="outage-event-time">{new Date(h.created_at).toLocaleString()}</span>
+                            <span>{ACTION_LABELS[h.action] || h.action} — {describeResult(h)}</span>
+                            <span className="text-muted">{h.actor}{h.details?.reason ? `: ${h.details.reason}` : ''}</span>
+                        </li>
+                    ))}
+                </ul>
+            )}
+
+            {confirming && (
+                <div className="maint-form-overlay" onClick={() => !busy && setConfirming(null)}>
+                    <div className="maint-form-panel" onClick={e => e.stopPropagation()} style={{ maxWidth: 520 }}>
+                        <div className="maint-form-header">
+                            <h2>{confirming.label}?</h2>
+                            <button className="detail-close" onClick={() => setConfirming(null)} disabled={busy}>✕</button>
+                        </div>
+                        <form onSubmit={handleConfirm} className="maint-form">
+                            <p>{confirming.summary}</p>
+                            <div className="form-group">
+                                <label>Reason (saved to the audit log)</label>
+                                <input type="text" value={reason} onChange={e => setReason(e.target.value)} maxLength={500} placeholder="Cameras unreachable since 6am" autoFocus />
+                            </div>
+                            <div className="maint-form-actions">
+                                <button type="button" className="btn btn-ghost" onClick={() => setConfirming(null)} disabled={busy}>Cancel</button>
+                                <button type="submit" className={`btn ${confirming.action === 'reboot' ? 'btn-danger' : 'btn-primary'}`} disabled={busy}>
+                                    {busy ? 'Sending...' : confirming.label}
+                                </button>
+                            </div>
+                        </form>
+                    </div>
+                </div>
+            )}
+        </div>
+    )
+}
+
+export default RouterActions
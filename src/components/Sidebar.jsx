@@ -1,6 +1,7 @@
 import { NavLink, Link, useLocation, useNavigate } from 'react-router-dom'
 import { useCallback, useState, useEffect } from 'react'
 import { useApiPolling } from '../hooks/useApiPolling'
+import { useLiveStream, STREAM_FALLBACK_POLL_MS } from '../hooks/useLiveStream'
 import { fetchFleetAlerts, fetchNotifications, markNotifRead, markAllNotifsRead } from '../api/vrm'
 import { useAuth } from './AuthProvider'
 import { useWorkspace, WORKSPACES } from './WorkspaceProvider'
@@ -17,6 +18,7 @@ const ICONS = {
     doc: <><path d="M14 2H6a2 2 0 0 0-2 2v16a2 2 0 0 0 2 2h12a2 2 0 0 0 2-2V8z" /><polyline points="14 2 14 8 20 8" /><line x1="8" y1="13" x2="16" y2="13" /><line x1="8" y1="17" x2="16" y2="17" /></>,
     heart: <path d="M20.84 4.61a5.5 5.5 0 0 0-7.78 0L12 5.67l-1.06-1.06a5.5 5.5 0 0 0-7.78 7.78l1.06 1.06L12 21.23l7.78-7.78 1.06-1.06a5.5 5.5 0 0 0 0-7.78z" />,
     gear: <><circle cx="12" cy="12" r="3" /><path d="M12 1v2M12 21v2M4.22 4.22l1.42 1.42M18.36 18.36l1.42 1.42M1 12h2M21 12h2M4.22 19.78l1.42-1.42M18.36 5.64l1.42-1.42" /></>,
+    bolt: <path d="M13 2L3 14h9l-1 8 10-12h-9l1-8z" />,
     help: <><circle cx="12" cy="12" r="10" /><path d="M9.09 9a3 3 0 0 1 5.83 1c0 2-3 3-3 3" /><circle cx="12" cy="17" r="0.5" fill="currentColor" /></>,
 }
 
@@ -29,12 +31,14 @@ const NAV = {
         { to: '/maintenance', label: 'Maintenance', icon: 'wrench' },
         { to: '/map', label: 'Map', icon: 'map' },
         { to: '/health', label: 'Fleet Health', icon: 'heart' },
+        { to: '/planner', label: 'Energy Planner', icon: 'bolt' },
     ],
     billing: [
         { to: '/', label: 'Billing Home', icon: 'home', end: true },
         { to: '/rentals', label: 'Rentals', icon: 'dollar', notStatements: true },
         { to: '/rentals?view=statements', label: 'Statements', icon: 'doc', statements: true },
         { to: '/companies', label: 'Companies', icon: 'building' },
+        { to: '/planner', label: 'Energy Planner', icon: 'bolt' },
     ],
     tech: [
         { to: '/', label: 'Tech Home', icon: 'home', end: true },
@@ -62,13 +66,24 @@ function Sidebar({ mobileOpen, onCloseMobile }) {
     const { workspace, setWorkspace } = useWorkspace()
     const location = useLocation()
     const navigate = useNavigate()
+    // Alert count and notifications arrive over the live stream; polling
+    // is the fallback (and safety net) when it's not connected
+    const live = useLiveStream({
+        alerts: ({ alerts }) => mutateAlerts(d => ({ ...d, alerts })),
+        notification: (n) => mutateNotifs(d => d && {
+            ...d,
+            notifications: [n, ...(d.notifications || [])],
+            unread_count: (d.unread_count || 0) + 1,
+        }),
+        reset: () => { refetchAlerts(); refetchNotifs() },
+    })
     const fetchAlertsFn = useCallback(() => fetchFleetAlerts(), [])
-    const { data: alertsData } = useApiPolling(fetchAlertsFn, 60000)
+    const { data: alertsData, refetch: refetchAlerts, mutate: mutateAlerts } = useApiPolling(fetchAlertsFn, live ? STREAM_FALLBACK_POLL_MS : 60000)
     const alertCount = alertsData?.alerts?.length || 0
 
     // Notifications
     const fetchNotifsFn = useCallback(() => fetchNotifications(), [])
-    const { data: notifsData, refetch: refetchNotifs } = useApiPolling(fetchNotifsFn, 30000)
+    const { data: notifsData, refetch: refetchNotifs, mutate: mutateNotifs } = useApiPolling(fetchNotifsFn, live ? STREAM_FALLBACK_POLL_MS : 30000)
     const notifications = notifsData?.notifications || []
     const unreadCount = notifsData?.unread_count || 0
     const [showNotifs, setShowNotifs] = useState(false)
@@ -70,5 +70,6 @@ export function useApiPolling(fetchFn, intervalMs = 30000, deps = [], cacheKey =
         };
     }, [doFetch, intervalMs, depsKey]);
 
-    return { data, loading, error, refetch: doFetch, lastUpdated };
+    // mutate: merge pushed updates (live stream) into the fetched payload
+    return { data, loading, error, refetch: doFetch, lastUpdated, mutate: setData };
 }
@@ -0,0 +1,142 @@
+import { useState, useEffect, useRef } from 'react';
+import { fetchStreamToken } from '../api/vrm';
+
+// ============================================================
+// Live fleet updates over /api/stream (Server-Sent Events).
+//
+// One EventSource per tab, shared by every mounted component and closed
+// when the last one unmounts. Event types:
+//   snapshots      { records: [snapshot] }          changed VRM snapshots
+//   pepwave        { devices: { name: summary }, last_poll }
+//   alerts         { alerts }                        full current alert list
+//   alert.opened / alert.resolved / alert.updated
+//   notification   notification row (this user only)
+//   rental.event
+//   reset          the server couldn't replay what was missed — refetch
+// While connected, pages keep polling only as a slow safety net.
+//
+// The URL carries a stream token that expires a minute after it's issued,
+// so instead of letting EventSource retry the old URL a dropped connection
+// is reopened with a fresh token, resuming from the last event id seen.
+// ============================================================
+export const STREAM_FALLBACK_POLL_MS = 5 * 60 * 1000;
+const CLOSE_DELAY_MS = 5000;       // keep the connection across route changes
+const REOPEN_DELAY_MS = 5000;
+const EVENT_TYPES = ['snapshots', 'pepwave', 'alerts', 'alert.opened', 'alert.resolved', 'alert.updated', 'notification', 'rental.event', 'reset'];
+
+const listeners = new Set();        // { handlersRef }
+const statusListeners = new Set();  // setConnected
+let source = null;
+let opening = false;
+let connected = false;
+let closeTimer = null;
+let reopenTimer = null;
+let lastEventId = null;
+
+function setStatus(value) {
+    connected = value;
+    for (const fn of statusListeners) fn(value);
+}
+
+function dispatch(type, raw) {
+    let data;
+    try { data = JSON.parse(raw); } catch { return; }
+    for (const { handlersRef } of listeners) {
+        const fn = handlersRef.current[type];
+        if (fn) {
+            try { fn(data); } catch (err) { console.error(`Live stream ${type} handler failed:`, err); }
+        }
+    }
+}
+
+function scheduleReopen() {
+    clearTimeout(reopenTimer);
+    reopenTimer = setTimeout(() => {
+        reopenTimer = null;
+        if (listeners.size > 0) open();
+    }, REOPEN_DELAY_MS);
+}
+
+async function open() {
+    if (source || opening || typeof EventSource === 'undefined') return;
+    if (!localStorage.getItem('vrm_token')) return;
+    opening = true;
+    let token;
+    try {
+        token = await fetchStreamToken();
+    } catch {
+        scheduleReopen();
+        return;
+    } finally {
+        opening = false;
+    }
+    if (source || listeners.size === 0) return;
+
+    const params = new URLSearchParams({ access_token: token });
+    if (lastEventId) params.set('last_event_id', lastEventId);
+    source = new EventSource(`/api/stream?${params}`);
+    source.onopen = () => setStatus(true);
+    source.onerror = () => {
+        close();
+        scheduleReopen();
+    };
+    const track = e => { if (e.lastEventId) lastEventId = e.lastEventId; };
+    source.addEventListener('hello', track);
+    for (const type of EVENT_TYPES) {
+        source.addEventListener(type, e => {
+            track(e);
+            dispatch(type, e.data);
+        });
+    }
+}
+
+function close() {
+    clearTimeout(reopenTimer);
+    if (!source) return;
+    source.close();
+    source = null;
+    setStatus(false);
+}
+
+// handlers: { [eventType]: data => void }. Returns whether the stream is
+// connected, so callers can stretch their polling interval.
+export function useLiveStream(handlers = {}) {
+    const handlersRef = useRef(handlers);
+    handlersRef.current = handlers;
+    const [isConnected, setConnected] = useState(connected);
+
+    useEffect(() => {
+        const entry = { handlersRef };
+        listeners.add(entry);
+        statusListeners.add(setConnected);
+        clearTimeout(closeTimer);
+        open();
+        setConnected(connected);
+        return () => {
+            listeners.delete(entry);
+            statusListeners.delete(setConnected);
+            if (listeners.size === 0) {
+                // Pages mounted later fetch their own state; nothing to resume
+                closeTimer = setTimeout(() => {
+                    close();
+                    lastEventId = null;
+                }, CLOSE_DELAY_MS);
+            }
+        };
+    }, []);
+
+    return isConnected;
+}
+
+// Merge changed rows into a fetched list by key (new rows are appended)
+export function mergeByKey(list, updates, key) {
+    if (!updates?.length) return list;
+    const byKey = new Map(updates.map(u => [u[key], u]));
+    const merged = (list || []).map(item => {
+        const update = byKey.get(item[key]);
+        if (!update) return item;
+        byKey.delete(item[key]);
+        return { ...item, ...update };
+    });
+    return [...merged, ...byKey.values()];
+}
@@ -8,7 +8,8 @@ import { Line, Bar } from 'react-chartjs-2'
 import { useApiPolling } from '../hooks/useApiPolling'
 import {
     fetchFleetAnalytics, fetchAnalyticsRankings, fetchJobSites,
-    fetchJobSiteAnalytics, backfillAnalytics, fetchFleetIntelligence
+    fetchJobSiteAnalytics, backfillAnalytics, fetchFleetIntelligence,
+    fetchFleetBatteryHealth, backfillBatteryHealth
 } from '../api/vrm'
 import { generateCSV, downloadCSV } from '../utils/csv'
 
@@ -35,6 +36,9 @@ function AnalyticsPage({ embedded }) {
     const { data: fleetData, loading: fleetLoading, refetch: refetchFleet } = useApiPolling(fetchFleetFn, 120000)
     const { data: rankingsData, refetch: refetchRankings } = useApiPolling(fetchRankingsFn, 120000)
     const { data: jobSitesData } = useApiPolling(fetchJobSitesFn, 60000)
+    const fetchBatteryFn = useCallback(() => fetchFleetBatteryHealth(), [])
+    const { data: batteryData, refetch: refetchBattery } = useApiPolling(fetchBatteryFn, 300000)
+    const batteryFleet = batteryData?.trailers || []
 
     // Fleet intelligence (trailer-by-trailer)
     const fetchIntelFn = useCallback(() => fetchFleetIntelligence(), [])
@@ -93,12 +97,15 @@ function AnalyticsPage({ embedded }) {
         setBackfillMsg('')
         try {
             const result = await backfillAnalytics(days)
+            const battery = await backfillBatteryHealth(days)
             const parts = [`${result.metrics_rows} metrics`]
             if (result.expected_yield_backfilled > 0) parts.push(`${result.expected_yield_backfilled} expected yields`)
             if (result.cache_reloaded > 0) parts.push(`${result.cache_reloaded} cache entries`)
+            if (battery.rows > 0) parts.push(`${battery.rows} battery health days`)
             setBackfillMsg(`Backfilled ${parts.join(', ')} across ${result.days_processed} days`)
             refetchFleet()
             refetchRankings()
+            refetchBattery()
         } catch (err) {
             setBackfillMsg('Error: ' + err.message)
         }
@@ -365,9 +372,15 @@ function AnalyticsPage({ embedded }) {
                 <div className="analytics-intelligence">
                     <div className="analytics-intel-header">
                         <h2>Fleet Intelligence</h2>
-                        <span className="intel-specs-badge">
-                            {fleetIntel?.specs?.solar?.total_watts || 1305}W Solar / {((fleetIntel?.specs?.battery?.total_wh || 11040) / 1000).toFixed(1)} kWh Battery per trailer
-                        </span>
+                        {fleetIntel?.hardware_profiles?.length > 1 ? (
+                            <span className="intel-specs-badge">
+                                {fleetIntel.hardware_profiles.map(p => `${p.name}: ${p.trailers} (${p.solar_w}W / ${(p.battery_wh / 1000).toFixed(1)} kWh)`).join(' · ')}
+                            </span>
+                        ) : (
+                            <span className="intel-specs-badge">
+                                {fleetIntel?.specs?.solar?.total_watts || 1305}W Solar / {((fleetIntel?.specs?.battery?.total_wh || 11040) / 1000).toFixed(1)} kWh Battery per trailer
+                            </span>
+                        )}
                     </div>
 
                     {/* Intelligence KPIs */}
@@ -615,6 +628,46 @@ function AnalyticsPage({ embedded }) {
                     </div>
                 )}
             </div>
+
+            {/* Battery replacement planning */}
+            {batteryFleet.length > 0 && (
+                <div className="analytics-rankings">
+                    <h2>Battery Replacement Planning</h2>
+                    <div className="rankings-table-wrapper">
+                        <table className="rankings-table">
+                            <thead>
+                                <tr>
+                                    <th>Trailer</th>
+                                    <th>SoH</th>
+                                    <th>Cycles</th>
+                                    <th>Projected End of Life</th>
+                                    <th>Warranty</th>
+                                </tr>
+                            </thead>
+                            <tbody>
+                                {batteryFleet.map(b => {
+                                    const sohColor = b.soh_pct == null ? '' : b.soh_pct > 90 ? 'rank-good' : b.soh_pct > 80 ? 'rank-warn' : 'rank-bad'
+                                    const w = b.warranty
+                                    return (
+                                        <tr key={`${b.site_id}-${b.bank}`} className="rankings-row">
+                                            <td className="rank-name">{b.site_name}</td>
+                                            <td className={sohColor}>{b.soh_pct != null ? `${b.soh_pct}%` : '—'}</td>
+                                            <td>{b.cycle_count != null ? b.cycle_count.toFixed(0) : '—'}</td>
+                                            <td>{b.projected_eol ? new Date(b.projected_eol + 'T00:00:00Z').toLocaleDateString(undefined, { month: 'short', year: 'numeric', timeZone: 'UTC' }) : '—'}</td>
+                                            <td className={w?.claim_candidate ? 'rank-bad' : ''}>
+                                                {!w ? '—'
+                                                    : w.claim_candidate ? 'Claim candidate'
+                                                        : w.warranty_active ? `Until ${new Date(w.warranty_expiry).toLocaleDateString()}`
+                                                            : w.warranty_expiry ? 'Expired' : '—'}
+                                            </td>
+                                        </tr>
+                                    )
+                                })}
+                            </tbody>
+                        </table>
+                    </div>
+                </div>
+            )}
         </div>
     )
 }
@@ -20,7 +20,7 @@ function EnergyPage({ embedded }) {
     const fetchEnergyFn = useCallback(() => fetchFleetEnergy(), [])
     const fetchAlertsFn = useCallback(() => fetchFleetAlerts(), [])
     const fetchJobSitesFn = useCallback(() => fetchJobSites(), [])
-    const fetchHistoryFn = useCallback(() => fetchAlertHistory(30), [])
+    const fetchHistoryFn = useCallback(() => fetchAlertHistory(30, 'energy_deficit'), [])
 
     const { data: energyData, loading: energyLoading, lastUpdated, refetch } = useApiPolling(fetchEnergyFn, 60000)
     const { data: alertsData } = useApiPolling(fetchAlertsFn, 60000)
@@ -266,12 +266,12 @@ function EnergyPage({ embedded }) {
                                                         <tr key={day.date} className={day.throttled ? 'deficit-row-throttled' : ''}>
                                                             <td>{new Date(day.date + 'T12:00:00').toLocaleDateString([], { month: 'short', day: 'numeric' })}</td>
                                                             <td>{Math.round(day.yield_wh)} Wh</td>
-                                                            <td>{Math.round(day.consumed_wh)} Wh</td>
+                                                            <td title={day.consumption_confidence != null ? `${day.consumption_source} — ${Math.round(day.consumption_confidence * 100)}% confidence` : undefined}>{Math.round(day.consumed_wh)} Wh</td>
                                                             <td className={day.yield_wh - day.consumed_wh >= 0 ? 'positive' : 'negative'}>
                                                                 {Math.round(day.yield_wh - day.consumed_wh)} Wh
                                                                 {day.throttled && (
                                                                     <span className="throttle-indicator" title={day.throttle_details || 'Idle-throttled deficit'}>
-                                                                        🔋 Throttled
+                                                                        {day.throttle_reason === 'idle_throttled' ? '🔋 Throttled' : '❔ Uncertain'}
                                                                     </span>
                                                                 )}
                                                             </td>
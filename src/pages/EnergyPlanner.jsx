@@ -0,0 +1,336 @@
+import { useState, useCallback, useMemo, useEffect } from 'react'
+import { Link, useSearchParams } from 'react-router-dom'
+import {
+    Chart as ChartJS,
+    CategoryScale, LinearScale, BarElement,
+    Title, Tooltip, Legend
+} from 'chart.js'
+import { Bar } from 'react-chartjs-2'
+import { useApiPolling } from '../hooks/useApiPolling'
+import { fetchSites, fetchJobSites, fetchHardwareProfiles, planEnergy } from '../api/vrm'
+import { useToast } from '../components/ToastProvider'
+import { generateEnergyPlanPDF } from '../utils/energyPlanPdf'
+
+ChartJS.register(CategoryScale, LinearScale, BarElement, Title, Tooltip, Legend)
+
+// Common add-ons, pre-filled so a quote takes a few clicks
+const LOAD_PRESETS = [
+    { name: 'PTZ camera', watts: 25, hours_per_day: 24 },
+    { name: 'Fixed camera', watts: 8, hours_per_day: 24 },
+    { name: 'LED light tower', watts: 150, hours_per_day: 10 },
+    { name: 'Motion floodlight', watts: 60, hours_per_day: 2 },
+    { name: 'Access point', watts: 12, hours_per_day: 24 },
+    { name: 'Gate sensor', watts: 3, hours_per_day: 24 },
+]
+
+const PSH_SOURCE_LABELS = { irradiance: 'irradiance history', history: 'recorded', modeled: 'modeled' }
+
+const BLANK_LOAD = { name: '', watts: '', hours_per_day: '', quantity: 1 }
+
+function formatWh(v) {
+    if (v == null) return '—'
+    return Math.abs(v) >= 1000 ? `${(v / 1000).toFixed(2)} kWh` : `${Math.round(v)} Wh`
+}
+
+function EnergyPlanner() {
+    const toast = useToast()
+    const [searchParams] = useSearchParams()
+    const [targetKind, setTargetKind] = useState(searchParams.get('job_site') ? 'job_site' : 'trailer')
+    const [siteId, setSiteId] = useState(searchParams.get('site') || '')
+    const [jobSiteId, setJobSiteId] = useState(searchParams.get('job_site') || '')
+    const [profileId, setProfileId] = useState('')
+    const [trailerCount, setTrailerCount] = useState(1)
+    const [customer, setCustomer] = useState('')
+    const [loads, setLoads] = useState([{ ...BLANK_LOAD }])
+    const [plan, setPlan] = useState(null)
+    const [running, setRunning] = useState(false)
+
+    const fetchSitesFn = useCallback(() => fetchSites(), [])
+    const fetchJobSitesFn = useCallback(() => fetchJobSites(), [])
+    const fetchProfilesFn = useCallback(() => fetchHardwareProfiles(), [])
+    const { data: sitesData } = useApiPolling(fetchSitesFn, 300000)
+    const { data: jobSitesData } = useApiPolling(fetchJobSitesFn, 300000)
+    const { data: profilesData } = useApiPolling(fetchProfilesFn, 300000)
+
+    const sites = useMemo(() => (sitesData?.records || []).slice().sort((a, b) => a.name.localeCompare(b.name)), [sitesData])
+    const jobSites = jobSitesData?.job_sites || []
+    const profiles = profilesData?.profiles || []
+    const selectedJobSite = jobSites.find(js => String(js.id) === String(jobSiteId))
+    const emptyJobSite = targetKind === 'job_site' && selectedJobSite && (selectedJobSite.trailers || []).length === 0
+
+    // A new target invalidates the last result
+    useEffect(() => { setPlan(null) }, [targetKind, siteId, jobSiteId])
+
+    const updateLoad = (i, field, value) => setLoads(prev => prev.map((l, j) => (j === i ? { ...l, [field]: value } : l)))
+    const removeLoad = (i) => setLoads(prev => prev.filter((_, j) => j !== i))
+    const addPreset = (preset) => setLoads(prev => [...prev.filter(l => l.name || l.watts || l.hours_per_day), { ...preset, quantity: 1 }])
+
+    const handleRun = async () => {
+        const body = {
+            loads: loads.filter(l => l.watts !== '' && l.hours_per_day !== ''),
+        }
+        if (targetKind === 'job_site') {
+            if (!jobSiteId) return toast.error('Pick a job site')
+            body.job_site_id = Number(jobSiteId)
+            if (emptyJobSite) {
+                body.trailer_count = Number(trailerCount) || 1
+                if (profileId) body.profile_id = Number(profileId)
+            }
+        } else {
+            if (!siteId) return toast.error('Pick a trailer')
+            body.site_id = Number(siteId)
+        }
+        setRunning(true)
+        try {
+            const res = await planEnergy(body)
+            setPlan(res.plan)
+        } catch (err) {
+            toast.error(err.message)
+        } finally {
+            setRunning(false)
+        }
+    }
+
+    const chartData = useMemo(() => {
+        if (!plan) return null
+        return {
+            labels: plan.months.map(m => m.label),
+            datasets: [{
+                label: 'Daily Balance (Wh)',
+                data: plan.months.map(m => m.balance_wh),
+                backgroundColor: plan.months.map(m => (m.deficit ? 'rgba(231, 76, 60, 0.8)' : 'rgba(46, 204, 113, 0.8)')),
+                borderRadius: 4,
+            }],
+        }
+    }, [plan])
+
+    const chartOptions = {
+        responsive: true,
+        maintainAspectRatio: false,
+        plugins: {
+            legend: { display: false },
+            tooltip: {
+                callbacks: {
+                    label: (ctx) => {
+                        const m = plan.months[ctx.dataIndex]
+                        return `${m.balance_wh >= 0 ? '+' : ''}${formatWh(m.balance_wh)}/day · ${m.psh} sun h (${PSH_SOURCE_LABELS[m.psh_source] || m.psh_source})`
+                    }
+                }
+            },
+        },
+        scales: {
+            x: {
+                ticks: { color: '#7f8c8d', font: { family: 'Inter', size: 12 } },
+                grid: { color: 'rgba(255,255,255,0.05)' },
+            },
+            y: {
+                ticks: { color: '#7f8c8d', font: { family: 'Inter', size: 12 }, callback: (v) => `${v} Wh` },
+                grid: { color: 'rgba(255,255,255,0.05)' },
+            },
+        },
+    }
+
+    return (
+        <div className="planner-page">
+            <div className="page-header">
+                <div className="page-header-row">
+                    <h1>Energy Planner</h1>
+                    {plan && (
+                        <div className="page-header-actions">
+                            <button className="btn btn-sm btn-secondary" onClick={() => generateEnergyPlanPDF(plan, { customer: customer.trim() || null })}>
+                                Save Quote PDF
+                            </button>
+                        </div>
+                    )}
+                </div>
+                <p className="page-subtitle">What happens to a trailer's power budget when the customer adds equipment</p>
+            </div>
+
+            <div className="chart-card" style={{ marginBottom: 20 }}>
+                <h3>Where</h3>
+                <div className="maint-form-grid">
+                    <div className="form-group">
+                        <label>Plan for</label>
+                        <select value={targetKind} onChange={e => setTargetKind(e.target.value)}>
+                            <option value="trailer">One trailer</option>
+                            <option value="job_site">A job site</option>
+                        </select>
+                    </div>
+                    {targetKind === 'trailer' ? (
+                        <div className="form-group">
+                            <label>Trailer</label>
+                            <select value={siteId} onChange={e => setSiteId(e.target.value)}>
+                                <option value="">— Select Trailer —</option>
+                                {sites.map(s => <option key={s.idSite} value={s.idSite}>{s.name}</option>)}
+                            </select>
+                        </div>
+                    ) : (
+                        <div className="form-group">
+                            <label>Job Site</label>
+                            <select value={jobSiteId} onChange={e => setJobSiteId(e.target.value)}>
+                                <option value="">— Select Site —</option>
+                                {jobSites.map(js => (
+                                    <option key={js.id} value={js.id}>
+                                        {js.name} ({(js.trailers || []).length} trailer{(js.trailers || []).length !== 1 ? 's' : ''})
+                                    </option>
+                                ))}
+                            </select>
+                        </div>
+                    )}
+                    {emptyJobSite && (
+                        <>
+                            <div className="form-group">
+                                <label>Trailer model</label>
+                                <select value={profileId} onChange={e => setProfileId(e.target.value)}>
+                                    <option value="">Default</option>
+                                    {profiles.filter(p => p.id != null).map(p => <option key={p.id} value={p.id}>{p.name}</option>)}
+                                </select>
+                            </div>
+                            <div className="form-group">
+                                <label>Trailers to deploy</label>
+                                <input type="number" min="1" max="50" value={trailerCount} onChange={e => setTrailerCount(e.target.value)} />
+                            </div>
+                        </>
+                    )}
+                    <div className="form-group">
+                        <label>Customer (for the PDF)</label>
+                        <input value={customer} onChange={e => setCustomer(e.target.value)} placeholder="Optional" />
+                    </div>
+                </div>
+            </div>
+
+            <div className="chart-card" style={{ marginBottom: 20 }}>
+                <div className="chart-card-header">
+                    <h3>Proposed extra loads</h3>
+                    <button className="btn btn-sm btn-ghost" onClick={() => setLoads(prev => [...prev, { ...BLANK_LOAD }])}>+ Add load</button>
+                </div>
+                <div className="planner-presets">
+                    {LOAD_PRESETS.map(p => (
+                        <button key={p.name} className="btn btn-sm btn-secondary" onClick={() => addPreset(p)}>
+                            {p.name} · {p.watts} W
+                        </button>
+                    ))}
+                </div>
+                <div className="rankings-table-wrapper">
+                    <table className="rankings-table planner-loads">
+                        <thead>
+                            <tr>
+                                <th>Load</th>
+                                <th>Watts</th>
+                                <th>Hours / day</th>
+                                <th>Qty</th>
+                                <th>Wh / day</th>
+                                <th></th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {loads.map((l, i) => (
+                                <tr key={i}>
+                                    <td><input value={l.name} onChange={e => updateLoad(i, 'name', e.target.value)} placeholder="e.g. PTZ camera" /></td>
+                                    <td><input type="number" min="0" value={l.watts} onChange={e => updateLoad(i, 'watts', e.target.value)} /></td>
+                                    <td><input type="number" min="0" max="24" step="0.5" value={l.hours_per_day} onChange={e => updateLoad(i, 'hours_per_day', e.target.value)} /></td>
+                                    <td><input type="number" min="1" value={l.quantity} onChange={e => updateLoad(i, 'quantity', e.target.value)} /></td>
+                                    <td>{l.watts !== '' && l.hours_per_day !== '' ? formatWh(l.watts * l.hours_per_day * (l.quantity || 1)) : '—'}</td>
+                                    <td><button className="btn btn-sm btn-ghost" onClick={() => removeLoad(i)} title="Remove">✕</button></td>
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+                </div>
+                <div style={{ marginTop: 16 }}>
+                    <button className="btn btn-primary" onClick={handleRun} disabled={running}>
+                        {running ? 'Calculating...' : 'Run Plan'}
+                    </button>
+                </div>
+            </div>
+
+            {plan && (
+                <>
+                    <div className="kpi-row">
+                        <div className={`kpi-card ${plan.daily_balance_wh >= 0 ? 'kpi-green' : 'kpi-red'}`}>
+                            <div className="kpi-label">Daily Balance (this month)</div>
+                            <div className="kpi-value">{plan.daily_balance_wh >= 0 ? '+' : ''}{formatWh(plan.daily_balance_wh)}</div>
+                        </div>
+                        <div className="kpi-card kpi-blue">
+                            <div className="kpi-label">Days of Autonomy</div>
+                            <div className="kpi-value">{plan.days_of_autonomy ?? '—'}</div>
+                        </div>
+                        <div className="kpi-card kpi-teal">
+                            <div className="kpi-label">Total Load</div>
+                            <div className="kpi-value">{formatWh(plan.total_load_wh)}/day</div>
+                        </div>
+                        <div className={`kpi-card ${plan.deficit_months.length > 0 ? 'kpi-yellow' : 'kpi-green'}`}>
+                            <div className="kpi-label">Deficit Months</div>
+                            <div className="kpi-value">{plan.deficit_months.length}</div>
+                        </div>
+                    </div>
+
+                    {plan.deficit_months.length > 0 ? (
+                        <div className="intel-predictive-alert">
+                            Runs a deficit in {plan.deficit_months.join(', ')}.
+                            {plan.worst_month.days_to_empty != null && ` In ${plan.worst_month.label} a full battery lasts about ${plan.worst_month.days_to_empty} days`}
+                            {plan.worst_month.days_to_empty != null && plan.target.trailer_count > 1 && ` on ${plan.worst_month.worst_trailer} (${plan.worst_month.deficit_trailers} of ${plan.target.trailer_count} trailers short)`}
+                            {plan.worst_month.days_to_empty != null && '.'}
+                        </div>
+                    ) : (
+                        <p className="text-muted">Energy-positive in every month of the year.</p>
+                    )}
+
+                    <div className="charts-grid">
+                        <div className="chart-card chart-card-full">
+                            <h3>Daily balance by month — {plan.target.name}</h3>
+                            <div style={{ height: 280 }}>
+                                <Bar data={chartData} options={chartOptions} />
+                            </div>
+                        </div>
+                    </div>
+
+                    <div className="charts-grid">
+                        <div className="chart-card">
+                            <h3>Load</h3>
+                            <table className="rankings-table">
+                                <tbody>
+                                    {plan.trailers.map(t => (
+                                        <tr key={t.site_id ?? t.site_name}>
+                                            <td>
+                                                {t.site_id !== null ? <Link to={`/trailer/${t.site_id}`}>{t.site_name}</Link> : t.site_name}
+                                                <span className="text-muted"> · {t.profile_name}</span>
+                                            </td>
+                                            <td>{formatWh(t.baseline_wh)}/day {t.load_source === 'none' ? '(no history)' : ''}</td>
+                                        </tr>
+                                    ))}
+                                    <tr>
+                                        <td>Added loads</td>
+                                        <td>{formatWh(plan.added_wh)}/day</td>
+                                    </tr>
+                                </tbody>
+                            </table>
+                        </div>
+                        <div className="chart-card">
+                            <h3>Next days (forecast)</h3>
+                            {plan.forecast.length > 0 ? (
+                                <table className="rankings-table">
+                                    <tbody>
+                                        {plan.forecast.map(f => (
+                                            <tr key={f.date}>
+                                                <td>{new Date(f.date + 'T12:00:00').toLocaleDateString([], { weekday: 'short', month: 'short', day: 'numeric' })}</td>
+                                                <td>{f.psh} sun h</td>
+                                                <td className={f.balance_wh >= 0 ? 'rank-good' : 'rank-bad'}>
+                                                    {f.balance_wh >= 0 ? '+' : ''}{formatWh(f.balance_wh)}
+                                                </td>
+                                            </tr>
+                                        ))}
+                                    </tbody>
+                                </table>
+                            ) : (
+                                <p className="text-muted">Forecast unavailable.</p>
+                            )}
+                        </div>
+                    </div>
+                </>
+            )}
+        </div>
+    )
+}
+
+export default EnergyPlanner
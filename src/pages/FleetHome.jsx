@@ -1,6 +1,7 @@
 import { useState, useCallback } from 'react'
 import { Link } from 'react-router-dom'
 import { useApiPolling } from '../hooks/useApiPolling'
+import { useLiveStream, STREAM_FALLBACK_POLL_MS } from '../hooks/useLiveStream'
 import { useAuth } from '../components/AuthProvider'
 import { useToast } from '../components/ToastProvider'
 import { fetchDeploymentSummary, fetchBillingSummary, fetchActionQueue, approveGpsChange, rejectGpsChange } from '../api/vrm'
@@ -17,9 +18,19 @@ function FleetHome() {
     const fetchSummaryFn = useCallback(() => fetchBillingSummary(), [])
     const fetchQueueFn = useCallback(() => fetchActionQueue(), [])
 
-    const { data: deployData } = useApiPolling(fetchDeployFn, 60000)
-    const { data: summaryData } = useApiPolling(fetchSummaryFn, 60000)
-    const { data: queueData, refetch: refetchQueue } = useApiPolling(fetchQueueFn, 30000)
+    // Rental lifecycle events and alert changes arrive over the live stream
+    const refetchRentals = () => { refetchDeploy(); refetchSummary() }
+    const live = useLiveStream({
+        'rental.event': refetchRentals,
+        'alert.opened': () => refetchQueue(),
+        'alert.resolved': () => refetchQueue(),
+        reset: () => { refetchRentals(); refetchQueue() },
+    })
+    const pollMs = (ms) => live ? STREAM_FALLBACK_POLL_MS : ms
+
+    const { data: deployData, refetch: refetchDeploy } = useApiPolling(fetchDeployFn, pollMs(60000))
+    const { data: summaryData, refetch: refetchSummary } = useApiPolling(fetchSummaryFn, pollMs(60000))
+    const { data: queueData, refetch: refetchQueue } = useApiPolling(fetchQueueFn, pollMs(30000))
 
     const deploy = deployData || {}
     const summary = summaryData?.summary || {}
@@ -1,7 +1,8 @@
 import { useState, useCallback, useMemo, useEffect } from 'react'
 import { useNavigate } from 'react-router-dom'
 import { useApiPolling } from '../hooks/useApiPolling'
-import { fetchSites, fetchFleetLatest, fetchFleetCombined, fetchJobSites, fetchActionQueue, acknowledgeAction, fetchHealthGrades, fetchTechStatus, fetchDeploymentSummary, approveGpsChange, rejectGpsChange } from '../api/vrm'
+import { useLiveStream, mergeByKey, STREAM_FALLBACK_POLL_MS } from '../hooks/useLiveStream'
+import { fetchSites, fetchFleetLatest, fetchFleetCombined, fetchJobSites, fetchActionQueue, acknowledgeAction, acknowledgeAlert, snoozeAlert, fetchHealthGrades, fetchTechStatus, fetchDeploymentSummary, approveGpsChange, rejectGpsChange, createMaintenanceFromTemplate } from '../api/vrm'
 import TrailerCard from '../components/TrailerCard'
 import JobSiteCard from '../components/JobSiteCard'
 import QueryBar from '../components/QueryBar'
@@ -26,9 +27,21 @@ function FleetOverview({ techMode = false }) {
     const [showDeployedOnly, setShowDeployedOnly] = useState(true)
     const [techStatusFilter, setTechStatusFilter] = useState(null) // null | 'good' | 'watch' | 'attention'
     const [generatingPdf, setGeneratingPdf] = useState(false)
+    // Live stream: snapshot / Pepwave deltas are merged in place, alert
+    // changes refetch the queue and tech status; polling becomes a safety net
+    const refetchAlertViews = () => { refetchActions(); refetchTechStatus() }
+    const live = useLiveStream({
+        snapshots: ({ records }) => mutateLatest(d => d && { ...d, records: mergeByKey(d.records, records, 'site_id') }),
+        pepwave: ({ devices, last_poll }) => mutateCombined(d => d && { ...d, pepwave: { ...d.pepwave, ...devices }, last_poll }),
+        'alert.opened': refetchAlertViews,
+        'alert.resolved': refetchAlertViews,
+        'alert.updated': refetchActions,
+        reset: () => { refetchAlertViews(); refetchLatest(); refetchCombined() },
+    })
+
     // Action queue data
     const fetchActionQueueFn = useCallback(() => fetchActionQueue(), [])
-    const { data: actionQueueData, refetch: refetchActions } = useApiPolling(fetchActionQueueFn, 30000)
+    const { data: actionQueueData, refetch: refetchActions } = useApiPolling(fetchActionQueueFn, live ? STREAM_FALLBACK_POLL_MS : 30000)
     // Tech workspace: the queue focuses on health & service — revenue and
     // relocation decisions live on the Fleet and Billing homes
     const actionItems = (actionQueueData?.actions || []).filter(
@@ -52,7 +65,7 @@ function FleetOverview({ techMode = false }) {
 
     // Tech status data
     const fetchTechStatusFn = useCallback(() => fetchTechStatus(), [])
-    const { data: techStatusData } = useApiPolling(fetchTechStatusFn, 60000)
+    const { data: techStatusData, refetch: refetchTechStatus } = useApiPolling(fetchTechStatusFn, 60000)
     const techStatusMap = techStatusData?.statuses || {}
     const techStatusSummary = techStatusData?.summary || { good: 0, watch: 0, attention: 0 }
 
@@ -75,15 +88,27 @@ function FleetOverview({ techMode = false }) {
         return { unacked, acked }
     }, [actionItems])
 
-    const handleAcknowledge = async (key) => {
+    // Energy and rule alerts carry an alert_history row: acknowledge that
+    // so the lifecycle (and escalation) sees it
+    const handleAcknowledge = async (action) => {
         try {
-            await acknowledgeAction(key, '')
+            if (action.alert) await acknowledgeAlert(action.alert.id)
+            else await acknowledgeAction(action.key, '')
             refetchActions()
         } catch (err) {
             console.error('Failed to acknowledge action:', err)
         }
     }
 
+    const handleSnooze = async (action) => {
+        try {
+            await snoozeAlert(action.alert.id, Date.now() + 24 * 3600000)
+            refetchActions()
+        } catch (err) {
+            console.error('Failed to snooze alert:', err)
+        }
+    }
+
     // GPS relocation suggestions: approve applies the reassignment,
     // reject dismisses it — same endpoints as the Settings review queue
     const handleGpsSuggestion = async (action, approve) => {
@@ -101,6 +126,17 @@ function FleetOverview({ techMode = false }) {
         }
     }
 
+    // Soiling suggestions carry the Panel Cleaning issue template:
+    // schedule it as a maintenance visit for the trailer
+    const handleScheduleTemplate = async (action) => {
+        try {
+            await createMaintenanceFromTemplate(action.issue_template.id, action.site_id, `Detected: ${action.details}`)
+            refetchActions()
+        } catch (err) {
+            console.error('Failed to schedule maintenance:', err)
+        }
+    }
+
     // Job sites data
     const fetchJobSitesFn = useCallback(() => fetchJobSites(), [])
     const { data: jobSitesData, loading: jobSitesLoading, lastUpdated, refetch } = useApiPolling(fetchJobSitesFn, 30000)
@@ -116,8 +152,8 @@ function FleetOverview({ techMode = false }) {
     const fetchCombinedFn = useCallback(() => fetchFleetCombined(), [])
 
     const { data: sitesData, loading: sitesLoading } = useApiPolling(fetchSitesFn, 60000)
-    const { data: latestData } = useApiPolling(fetchLatestFn, 30000)
-    const { data: combinedData } = useApiPolling(fetchCombinedFn, 60000)
+    const { data: latestData, refetch: refetchLatest, mutate: mutateLatest } = useApiPolling(fetchLatestFn, live ? STREAM_FALLBACK_POLL_MS : 30000)
+    const { data: combinedData, refetch: refetchCombined, mutate: mutateCombined } = useApiPolling(fetchCombinedFn, live ? STREAM_FALLBACK_POLL_MS : 60000)
 
     const sites = sitesData?.records || []
     const snapshots = latestData?.records || []
@@ -553,6 +589,7 @@ function FleetOverview({ techMode = false }) {
                             {actionQueueSummary.critical > 0 && <span className="priority-badge priority-badge-critical">{actionQueueSummary.critical} critical</span>}
                             {actionQueueSummary.warnings > 0 && <span className="priority-badge priority-badge-warning">{actionQueueSummary.warnings} warnings</span>}
                             <span className="priority-badge priority-badge-info">{actionQueueSummary.acknowledged} acknowledged</span>
+                            {actionQueueData?.summary?.snoozed > 0 && <span className="priority-badge priority-badge-info">{actionQueueData.summary.snoozed} snoozed</span>}
                         </span>
                     </div>
                     {actionQueueOpen && (
@@ -574,6 +611,12 @@ function FleetOverview({ techMode = false }) {
                                                 {action.details?.hasThrottledDays && (
                                                     <span className="action-throttle-note"> (includes throttled days)</span>
                                                 )}
+                                                {action.alert?.assigned_to_name && (
+                                                    <span className="action-throttle-note"> · assigned to {action.alert.assigned_to_name}</span>
+                                                )}
+                                                {action.alert?.escalated_at && !action.acknowledged_at && (
+                                                    <span className="action-throttle-note"> · escalated</span>
+                                                )}
                                             </span>
                                         )}
                                     </div>
@@ -593,10 +636,28 @@ function FleetOverview({ techMode = false }) {
                                             </button>
                                         </span>
                                     )}
+                                    {canEdit && action.issue_template && (
+                                        <button
+                                            className="btn btn-sm btn-primary"
+                                            onClick={(e) => { e.stopPropagation(); handleScheduleTemplate(action) }}
+                                            title={`Create a "${action.issue_template.title}" maintenance visit`}
+                                        >
+                                            Schedule cleaning
+                                        </button>
+                                    )}
+                                    {canEdit && action.alert && (
+                                        <button
+                                            className="btn btn-sm btn-ghost"
+                                            onClick={(e) => { e.stopPropagation(); handleSnooze(action) }}
+                                            title="Hide for 24 hours"
+                                        >
+                                            Snooze 24h
+                                        </button>
+                                    )}
                                     {canEdit && !action.suggestion_id && (
                                         <button
                                             className="action-ack-btn"
-                                            onClick={(e) => { e.stopPropagation(); handleAcknowledge(action.key) }}
+                                            onClick={(e) => { e.stopPropagation(); handleAcknowledge(action) }}
                                             title="Acknowledge"
                                         >
                                             <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2.5">
@@ -623,6 +684,12 @@ function FleetOverview({ techMode = false }) {
                                                 {action.details?.hasThrottledDays && (
                                                     <span className="action-throttle-note"> (includes throttled days)</span>
                                                 )}
+                                                {action.alert?.assigned_to_name && (
+                                                    <span className="action-throttle-note"> · assigned to {action.alert.assigned_to_name}</span>
+                                                )}
+                                                {action.alert?.escalated_at && !action.acknowledged_at && (
+                                                    <span className="action-throttle-note"> · escalated</span>
+                                                )}
                                             </span>
                                         )}
                                     </div>
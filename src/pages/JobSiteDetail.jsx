@@ -8,7 +8,8 @@ import {
 import { Line } from 'react-chartjs-2'
 import { useApiPolling } from '../hooks/useApiPolling'
 import RentalsInline from '../components/RentalsInline'
-import { fetchJobSite, updateJobSite, fetchSiteMaintenance, fetchSiteContacts, assignContact, removeContact, fetchSiteNotes, addSiteNote, editSiteNote, deleteSiteNote, toggleNotePin, markNoteAsRead, fetchReplies, fetchCompanies, fetchContacts, fetchMentionableUsers } from '../api/vrm'
+import ConnectivitySla from '../components/ConnectivitySla'
+import { fetchJobSite, updateJobSite, fetchSiteMaintenance, fetchSiteContacts, assignContact, removeContact, fetchSiteNotes, addSiteNote, editSiteNote, deleteSiteNote, toggleNotePin, markNoteAsRead, fetchReplies, fetchCompanies, fetchContacts, fetchMentionableUsers, fetchJobSiteSla } from '../api/vrm'
 import TagPicker from '../components/TagPicker'
 import KpiCard from '../components/KpiCard'
 import GaugeChart from '../components/GaugeChart'
@@ -63,6 +64,7 @@ function JobSiteDetail() {
 
     const fetchFn = useCallback(() => fetchJobSite(id), [id])
     const fetchMaintenanceFn = useCallback(() => fetchSiteMaintenance(id), [id])
+    const fetchSlaFn = useCallback(months => fetchJobSiteSla(id, months), [id])
     const { data, loading, refetch } = useApiPolling(fetchFn, 30000)
     const { data: maintenanceData } = useApiPolling(fetchMaintenanceFn, 60000)
 
@@ -386,6 +388,7 @@ function JobSiteDetail() {
             <div className="detail-top-bar">
                 <Breadcrumbs items={[{ label: 'Fleet', to: '/' }, { label: jobSite.name }]} />
                 <button className="btn btn-secondary btn-sm" onClick={() => setShowReport(true)}>Export Report</button>
+                <button className="btn btn-secondary btn-sm" onClick={() => navigate(`/planner?job_site=${jobSite.id}`)}>Plan Loads</button>
                 <div className="detail-title-section">
                     {editingName ? (
                         <div className="inline-edit">
@@ -530,6 +533,11 @@ function JobSiteDetail() {
             {/* Rentals on this site */}
             <RentalsInline jobSiteId={parseInt(id)} title="Rentals at this Site" />
 
+            <div className="jobsite-section">
+                <h2>Connectivity SLA</h2>
+                <ConnectivitySla fetchReport={fetchSlaFn} exportName={`job-site-${id}-connectivity`} />
+            </div>
+
             {/* Trailer Grid */}
             <div className="jobsite-section">
                 <h2>Trailers at this Site</h2>
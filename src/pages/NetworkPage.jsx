@@ -1,8 +1,14 @@
 import { useState, useCallback, useMemo } from 'react'
 import { useApiPolling } from '../hooks/useApiPolling'
-import { fetchFleetNetwork, fetchJobSites } from '../api/vrm'
+import { fetchFleetNetwork, fetchJobSites, fetchFleetAvailability } from '../api/vrm'
 import DataFreshness from '../components/DataFreshness'
 import SignalBars from '../components/SignalBars'
+import CarrierAnalytics from '../components/CarrierAnalytics'
+import DataPlans from '../components/DataPlans'
+import ConnectivitySla from '../components/ConnectivitySla'
+import DeviceOutageTimeline from '../components/DeviceOutageTimeline'
+import RouterActions from '../components/RouterActions'
+import DeviceInventory from '../components/DeviceInventory'
 import { signalQuality, formatUptime, formatMB, formatDuration } from '../utils/format'
 import { generateCSV, downloadCSV } from '../utils/csv'
 
@@ -11,6 +17,7 @@ function NetworkPage({ embedded }) {
     const [statusFilter, setStatusFilter] = useState('all')
     const [selectedDevice, setSelectedDevice] = useState(null)
     const [collapsedSites, setCollapsedSites] = useState(new Set())
+    const [view, setView] = useState('devices')
 
     const fetchNetwork = useCallback(() => fetchFleetNetwork(), [])
     const fetchJobSitesFn = useCallback(() => fetchJobSites(), [])
@@ -294,86 +301,129 @@ function NetworkPage({ embedded }) {
 
             {/* Controls */}
             <div className="fleet-controls">
-                <div className="search-box">
-                    <svg width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
-                        <circle cx="11" cy="11" r="8" />
-                        <line x1="21" y1="21" x2="16.65" y2="16.65" />
-                    </svg>
-                    <input
-                        type="text"
-                        placeholder="Search devices or sites..."
-                        value={searchTerm}
-                        onChange={(e) => setSearchTerm(e.target.value)}
-                    />
-                </div>
-                <div className="control-group">
-                    <label>Filter:</label>
-                    <select value={statusFilter} onChange={(e) => setStatusFilter(e.target.value)}>
-                        <option value="all">All Devices</option>
-                        <option value="online">Online</option>
-                        <option value="offline">Offline</option>
-                        <option value="weak">Weak Signal</option>
-                    </select>
+                <div className="view-toggle">
+                    <button
+                        className={`view-toggle-btn ${view === 'devices' ? 'active' : ''}`}
+                        onClick={() => setView('devices')}
+                    >
+                        Devices
+                    </button>
+                    <button
+                        className={`view-toggle-btn ${view === 'carriers' ? 'active' : ''}`}
+                        onClick={() => setView('carriers')}
+                    >
+                        Carrier Analytics
+                    </button>
+                    <button
+                        className={`view-toggle-btn ${view === 'plans' ? 'active' : ''}`}
+                        onClick={() => setView('plans')}
+                    >
+                        Data Plans
+                    </button>
+                    <button
+                        className={`view-toggle-btn ${view === 'availability' ? 'active' : ''}`}
+                        onClick={() => setView('availability')}
+                    >
+                        Availability
+                    </button>
+                    <button
+                        className={`view-toggle-btn ${view === 'inventory' ? 'active' : ''}`}
+                        onClick={() => setView('inventory')}
+                    >
+                        Inventory
+                    </button>
                 </div>
+                {view === 'devices' && (
+                    <>
+                        <div className="search-box">
+                            <svg width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+                                <circle cx="11" cy="11" r="8" />
+                                <line x1="21" y1="21" x2="16.65" y2="16.65" />
+                            </svg>
+                            <input
+                                type="text"
+                                placeholder="Search devices or sites..."
+                                value={searchTerm}
+                                onChange={(e) => setSearchTerm(e.target.value)}
+                            />
+                        </div>
+                        <div className="control-group">
+                            <label>Filter:</label>
+                            <select value={statusFilter} onChange={(e) => setStatusFilter(e.target.value)}>
+                                <option value="all">All Devices</option>
+                                <option value="online">Online</option>
+                                <option value="offline">Offline</option>
+                                <option value="weak">Weak Signal</option>
+                            </select>
+                        </div>
+                    </>
+                )}
             </div>
 
+            {view === 'carriers' && <CarrierAnalytics />}
+            {view === 'plans' && <DataPlans />}
+            {view === 'availability' && <ConnectivitySla fetchReport={fetchFleetAvailability} exportName="fleet-availability" />}
+            {view === 'inventory' && <DeviceInventory />}
+
             {/* Device Grid — grouped by job site */}
-            <div className="network-grouped">
-                {groupedDevices.groups.map(group => {
-                    const isCollapsed = collapsedSites.has(group.jobSiteId)
-                    const allOnline = group.online === group.total
-
-                    return (
-                        <div key={group.jobSiteId} className="network-site-group">
-                            <div
-                                className={`network-site-header ${allOnline ? 'site-all-online' : 'site-has-offline'}`}
-                                onClick={() => toggleCollapse(group.jobSiteId)}
-                            >
+            {view === 'devices' && (
+                <div className="network-grouped">
+                    {groupedDevices.groups.map(group => {
+                        const isCollapsed = collapsedSites.has(group.jobSiteId)
+                        const allOnline = group.online === group.total
+
+                        return (
+                            <div key={group.jobSiteId} className="network-site-group">
+                                <div
+                                    className={`network-site-header ${allOnline ? 'site-all-online' : 'site-has-offline'}`}
+                                    onClick={() => toggleCollapse(group.jobSiteId)}
+                                >
+                                    <div className="network-site-header-left">
+                                        <span className="expand-icon">{isCollapsed ? '▸' : '▾'}</span>
+                                        <h3>{group.jobSiteName}</h3>
+                                        <span className="network-site-count">
+                                            {group.total} device{group.total !== 1 ? 's' : ''}
+                                        </span>
+                                    </div>
+                                    <div className="network-site-header-right">
+                                        <span className={`network-site-status ${allOnline ? 'all-online' : 'has-offline'}`}>
+                                            {group.online}/{group.total} online
+                                        </span>
+                                    </div>
+                                </div>
+                                {!isCollapsed && (
+                                    <div className="network-grid">
+                                        {group.devices.map(renderDeviceCard)}
+                                    </div>
+                                )}
+                            </div>
+                        )
+                    })}
+
+                    {/* Ungrouped devices */}
+                    {groupedDevices.ungrouped.length > 0 && (
+                        <div className="network-site-group">
+                            <div className="network-site-header site-unassigned">
                                 <div className="network-site-header-left">
-                                    <span className="expand-icon">{isCollapsed ? '▸' : '▾'}</span>
-                                    <h3>{group.jobSiteName}</h3>
+                                    <h3>Unassigned Devices</h3>
                                     <span className="network-site-count">
-                                        {group.total} device{group.total !== 1 ? 's' : ''}
-                                    </span>
-                                </div>
-                                <div className="network-site-header-right">
-                                    <span className={`network-site-status ${allOnline ? 'all-online' : 'has-offline'}`}>
-                                        {group.online}/{group.total} online
+                                        {groupedDevices.ungrouped.length} device{groupedDevices.ungrouped.length !== 1 ? 's' : ''}
                                     </span>
                                 </div>
                             </div>
-                            {!isCollapsed && (
-                                <div className="network-grid">
-                                    {group.devices.map(renderDeviceCard)}
-                                </div>
-                            )}
-                        </div>
-                    )
-                })}
-
-                {/* Ungrouped devices */}
-                {groupedDevices.ungrouped.length > 0 && (
-                    <div className="network-site-group">
-                        <div className="network-site-header site-unassigned">
-                            <div className="network-site-header-left">
-                                <h3>Unassigned Devices</h3>
-                                <span className="network-site-count">
-                                    {groupedDevices.ungrouped.length} device{groupedDevices.ungrouped.length !== 1 ? 's' : ''}
-                                </span>
+                            <div className="network-grid">
+                                {groupedDevices.ungrouped.map(renderDeviceCard)}
                             </div>
                         </div>
-                        <div className="network-grid">
-                            {groupedDevices.ungrouped.map(renderDeviceCard)}
-                        </div>
-                    </div>
-                )}
+                    )}
 
-                {filtered.length === 0 && (
-                    <div className="no-results">
-                        <p>No devices match your filters</p>
-                    </div>
+                    {filtered.length === 0 && (
+                        <div className="no-results">
+                            <p>No devices match your filters</p>
+                        </div>
                 )}
             </div>
+            )}
 
             {/* Detail Panel */}
             {selectedDevice && (
@@ -520,6 +570,16 @@ function NetworkPage({ embedded }) {
                                 </div>
                             ))}
                         </div>
+
+                        <div className="detail-section">
+                            <h4>Outage History</h4>
+                            <DeviceOutageTimeline deviceName={selectedDevice.name} />
+                        </div>
+
+                        <div className="detail-section">
+                            <h4>Remote Actions</h4>
+                            <RouterActions device={selectedDevice} />
+                        </div>
                     </div>
                 </div>
             )}
@@ -1,8 +1,9 @@
 import { useCallback, useState, useRef } from 'react'
 import { useParams, useNavigate } from 'react-router-dom'
 import { useApiPolling } from '../hooks/useApiPolling'
-import { fetchPortalSiteDetail, fetchSiteNotes, addSiteNote, fetchMentionableUsers } from '../api/vrm'
+import { fetchPortalSiteDetail, fetchPortalSiteSla, fetchSiteNotes, addSiteNote, fetchMentionableUsers } from '../api/vrm'
 import MentionInput, { renderNoteWithMentions } from '../components/MentionInput'
+import ConnectivitySla from '../components/ConnectivitySla'
 
 export default function PortalSiteDetail() {
     const { id } = useParams()
@@ -15,6 +16,8 @@ export default function PortalSiteDetail() {
     const fetchDetailFn = useCallback(() => fetchPortalSiteDetail(id), [id])
     const { data: detailData, loading: detailLoading } = useApiPolling(fetchDetailFn, 30000)
 
+    const fetchSlaFn = useCallback(months => fetchPortalSiteSla(id, months), [id])
+
     const fetchNotesFn = useCallback(async () => {
         const res = await fetchSiteNotes(id)
         return res.notes || []
@@ -151,6 +154,14 @@ export default function PortalSiteDetail() {
                     </p>
                 </div>
             </div>
+
+            <div style={{ marginTop: 32 }}>
+                <h2>Connectivity SLA</h2>
+                <p style={{ color: 'var(--text-secondary)', marginTop: 0 }}>
+                    Network availability of each trailer while it was on rent at this site, by month.
+                </p>
+                <ConnectivitySla fetchReport={fetchSlaFn} exportName={`site-${id}-connectivity`} />
+            </div>
         </div>
     )
 }
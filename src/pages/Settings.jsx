@@ -2,7 +2,7 @@
 import { Link } from 'react-router-dom'
 import { DndContext, PointerSensor, useSensors, useSensor, useDraggable, useDroppable, DragOverlay } from '@dnd-kit/core'
 import { useApiPolling } from '../hooks/useApiPolling'
-import { fetchSettings, updateSettings, purgeData, fetchJobSites, updateJobSite, deleteJobSiteApi, reclusterJobSites, assignTrailer, fetchUsers, createUserAccount, updateUserAccount, deleteUserAccount, resetUserPassword, fetchGpsTrailers, refreshGps, fetchUnlinkedIc2Devices, linkIc2Device, fetchCustomerSiteAccess, updateCustomerSiteAccess, fetchDigestPreview, fetchEmailConfigStatus, sendTestEmail, updateSolarScoreSettings, fetchCommunications, fetchCompanies } from '../api/vrm'
+import { fetchSettings, updateSettings, purgeData, fetchJobSites, updateJobSite, deleteJobSiteApi, reclusterJobSites, assignTrailer, fetchUsers, createUserAccount, updateUserAccount, deleteUserAccount, resetUserPassword, fetchGpsTrailers, refreshGps, fetchUnlinkedIc2Devices, linkIc2Device, fetchCustomerSiteAccess, updateCustomerSiteAccess, fetchDigestPreview, fetchEmailConfigStatus, sendTestEmail, updateSolarScoreSettings, fetchCommunications, fetchCompanies, fetchDataSources, fetchAlertRules, createAlertRule, updateAlertRule, deleteAlertRule, fetchTrailers, fetchNotificationPreferences, updateNotificationPreferences, addNotificationSubscription, removeNotificationSubscription, fetchWebhooks, createWebhook, updateWebhook, deleteWebhook, testWebhook, rotateWebhookSecret, fetchWebhookDeliveries, redeliverWebhook, fetchHardwareProfiles, createHardwareProfile, updateHardwareProfile, deleteHardwareProfile, fetchIrradianceLocations, syncIrradiance, importIrradianceCsv, fetchSnapshotGaps, startVrmBackfill, fetchVrmBackfillStatus } from '../api/vrm'
 import { useToast } from '../components/ToastProvider'
 import { useAuth } from '../components/AuthProvider'
 
@@ -623,6 +623,1305 @@ function SolarScoreTuningSection({ settings, toast, refetchSettings }) {
     )
 }
 
+const RULE_SEVERITY_CLASS = { critical: 'maint-status-red', warning: 'maint-status-yellow', caution: 'maint-status-yellow', info: 'maint-status-blue' }
+const RULE_CHANNEL_LABELS = { action_queue: 'Action Queue', email: 'Email' }
+const RULE_SCOPE_LABELS = { fleet: 'Whole fleet', job_site: 'Job site', company: 'Company', trailer: 'Trailer' }
+const EMPTY_RULE = {
+    name: '', metric: 'battery_soc', operator: '<', threshold: '', duration_min: 0, hysteresis: 0,
+    severity: 'warning', scope_type: 'fleet', scope_id: null, channels: ['action_queue'], enabled: true,
+}
+
+function AlertRulesSection({ jobSites, companies, toast }) {
+    const [data, setData] = useState(null)
+    const [trailers, setTrailers] = useState([])
+    const [editing, setEditing] = useState(null) // rule draft (id null = new)
+    const [saving, setSaving] = useState(false)
+
+    const loadRules = useCallback(async () => {
+        try {
+            setData(await fetchAlertRules())
+        } catch (err) {
+            toast.error('Error loading alert rules: ' + err.message)
+        }
+    }, [toast])
+
+    useEffect(() => { loadRules() }, [loadRules])
+    useEffect(() => {
+        fetchTrailers().then(d => setTrailers((d?.trailers || []).filter(t => t.vrm_site_id != null))).catch(() => {})
+    }, [])
+
+    const metrics = data?.metrics || []
+    const metricByKey = Object.fromEntries(metrics.map(m => [m.key, m]))
+    const editable = data?.editable !== false
+
+    const scopeName = (rule) => {
+        if (rule.scope_type === 'job_site') return jobSites.find(js => js.id === rule.scope_id)?.name || `Job site #${rule.scope_id}`
+        if (rule.scope_type === 'company') return companies.find(c => c.id === rule.scope_id)?.name || `Company #${rule.scope_id}`
+        if (rule.scope_type === 'trailer') return trailers.find(t => t.vrm_site_id === rule.scope_id)?.unit_number || `Trailer ${rule.scope_id}`
+        return RULE_SCOPE_LABELS.fleet
+    }
+
+    const handleSave = async (e) => {
+        e.preventDefault()
+        setSaving(true)
+        try {
+            const body = {
+                ...editing,
+                threshold: parseFloat(editing.threshold),
+                duration_min: parseInt(editing.duration_min) || 0,
+                hysteresis: parseFloat(editing.hysteresis) || 0,
+                scope_id: editing.scope_type === 'fleet' ? null : parseInt(editing.scope_id),
+            }
+            delete body.id
+            if (editing.id) await updateAlertRule(editing.id, body)
+            else await createAlertRule(body)
+            toast.success(editing.id ? 'Alert rule updated' : 'Alert rule created')
+            setEditing(null)
+            loadRules()
+        } catch (err) {
+            toast.error('Error saving alert rule: ' + err.message)
+        }
+        setSaving(false)
+    }
+
+    const handleToggle = async (rule) => {
+        try {
+            await updateAlertRule(rule.id, { enabled: !rule.enabled })
+            loadRules()
+        } catch (err) {
+            toast.error('Error updating alert rule: ' + err.message)
+        }
+    }
+
+    const handleDelete = async (rule) => {
+        if (!window.confirm(`Delete alert rule "${rule.name}"?`)) return
+        try {
+            await deleteAlertRule(rule.id)
+            toast.success('Alert rule deleted')
+            loadRules()
+        } catch (err) {
+            toast.error('Error deleting alert rule: ' + err.message)
+        }
+    }
+
+    const toggleChannel = (channel) => {
+        setEditing(r => ({
+            ...r,
+            channels: r.channels.includes(channel) ? r.channels.filter(c => c !== channel) : [...r.channels, channel],
+        }))
+    }
+
+    const scopeOptions = editing?.scope_type === 'job_site'
+        ? jobSites.map(js => ({ id: js.id, name: js.name }))
+        : editing?.scope_type === 'company'
+            ? companies.map(c => ({ id: c.id, name: c.name }))
+            : trailers.map(t => ({ id: t.vrm_site_id, name: t.unit_number }))
+
+    return (
+        <div className="settings-card settings-card-wide">
+            <div className="settings-card-header">
+                <h2>Alert Rules</h2>
+                {editable && <button className="btn btn-primary" onClick={() => setEditing({ ...EMPTY_RULE, id: null })}>+ Add Rule</button>}
+            </div>
+            <p className="settings-desc">
+                Threshold rules evaluated against every trailer after each poll. Critical rules mark a trailer Needs Attention, others Watch.
+                Duration is how long the condition must hold before alerting; hysteresis is how far back past the threshold the value must
+                recover before the alert clears. Deficit streak rules are checked once per day.
+            </p>
+            {!editable && (
+                <div className="stale-data-banner">No database connected — showing the built-in default rules (read-only).</div>
+            )}
+
+            {!data ? (
+                <div className="empty-section"><p>Loading...</p></div>
+            ) : (
+                <div className="jobsite-mgmt-table-wrapper">
+                    <table className="maint-table">
+                        <thead>
+                            <tr>
+                                <th>Rule</th>
+                                <th>Condition</th>
+                                <th>Duration</th>
+                                <th>Severity</th>
+                                <th>Scope</th>
+                                <th>Channels</th>
+                                <th>Enabled</th>
+                                {editable && <th></th>}
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {data.rules.map(rule => (
+                                <tr key={rule.id} className="maint-row" style={{ opacity: rule.enabled ? 1 : 0.5 }}>
+                                    <td className="maint-title">{rule.name}</td>
+                                    <td>
+                                        {metricByKey[rule.metric]?.label || rule.metric} {rule.operator} {rule.threshold}
+                                        {metricByKey[rule.metric]?.unit && metricByKey[rule.metric].unit !== 'flag' && ` ${metricByKey[rule.metric].unit}`}
+                                        {Number(rule.hysteresis) > 0 && <span style={{ fontSize: 11, color: 'var(--text-muted)' }}> (±{rule.hysteresis})</span>}
+                                    </td>
+                                    <td>{metricByKey[rule.metric]?.daily ? 'daily' : rule.duration_min ? `${rule.duration_min} min` : 'immediate'}</td>
+                                    <td><span className={`maint-status-badge ${RULE_SEVERITY_CLASS[rule.severity]}`}>{rule.severity}</span></td>
+                                    <td>{scopeName(rule)}</td>
+                                    <td>{(rule.channels || []).map(c => RULE_CHANNEL_LABELS[c] || c).join(', ') || <span style={{ color: 'var(--text-muted)' }}>Status only</span>}</td>
+                                    <td>
+                                        <input type="checkbox" checked={rule.enabled} disabled={!editable} onChange={() => handleToggle(rule)} />
+                                    </td>
+                                    {editable && (
+                                        <td style={{ whiteSpace: 'nowrap' }}>
+                                            <button className="btn btn-ghost btn-sm" onClick={() => setEditing({ ...rule, channels: rule.channels || [] })}>Edit</button>
+                                            <button className="btn btn-ghost btn-sm" onClick={() => handleDelete(rule)}>Delete</button>
+                                        </td>
+                                    )}
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+                </div>
+            )}
+
+            {editing && (
+                <div className="maint-form-overlay" onClick={() => setEditing(null)}>
+                    <div className="maint-form-panel" onClick={e => e.stopPropagation()} style={{ maxWidth: 560 }}>
+                        <div className="maint-form-header">
+                            <h2>{editing.id ? 'Edit Alert Rule' : 'New Alert Rule'}</h2>
+                            <button className="detail-close" onClick={() => setEditing(null)}>✕</button>
+                        </div>
+                        <form onSubmit={handleSave} className="maint-form">
+                            <div className="maint-form-grid">
+                                <div className="form-group" style={{ gridColumn: '1 / -1' }}>
+                                    <label>Name *</label>
+                                    <input type="text" value={editing.name} onChange={e => setEditing(r => ({ ...r, name: e.target.value }))} placeholder="Low battery" required autoFocus />
+                                </div>
+                                <div className="form-group">
+                                    <label>Metric</label>
+                                    <select value={editing.metric} onChange={e => setEditing(r => ({ ...r, metric: e.target.value }))}>
+                                        {metrics.map(m => <option key={m.key} value={m.key}>{m.label}{m.unit && m.unit !== 'flag' ? ` (${m.unit})` : ''}</option>)}
+                                    </select>
+                                </div>
+                                <div className="form-group">
+                                    <label>Condition *</label>
+                                    <div style={{ display: 'flex', gap: 6 }}>
+                                        <select value={editing.operator} onChange={e => setEditing(r => ({ ...r, operator: e.target.value }))} style={{ width: 70 }}>
+                                            {(data?.operators || []).map(op => <option key={op} value={op}>{op}</option>)}
+                                        </select>
+                                        <input type="number" step="any" value={editing.threshold} onChange={e => setEditing(r => ({ ...r, threshold: e.target.value }))} required />
+                                    </div>
+                                </div>
+                                <div className="form-group">
+                                    <label>Duration (minutes)</label>
+                                    <input type="number" min={0} value={editing.duration_min} onChange={e => setEditing(r => ({ ...r, duration_min: e.target.value }))} disabled={metricByKey[editing.metric]?.daily} />
+                                </div>
+                                <div className="form-group">
+                                    <label>Hysteresis</label>
+                                    <input type="number" min={0} step="any" value={editing.hysteresis} onChange={e => setEditing(r => ({ ...r, hysteresis: e.target.value }))} disabled={metricByKey[editing.metric]?.daily} />
+                                </div>
+                                <div className="form-group">
+                                    <label>Severity</label>
+                                    <select value={editing.severity} onChange={e => setEditing(r => ({ ...r, severity: e.target.value }))}>
+                                        {(data?.severities || []).map(s => <option key={s} value={s}>{s}</option>)}
+                                    </select>
+                                </div>
+                                <div className="form-group">
+                                    <label>Scope</label>
+                                    <select value={editing.scope_type} onChange={e => setEditing(r => ({ ...r, scope_type: e.target.value, scope_id: null }))}>
+                                        {(data?.scopes || []).map(s => <option key={s} value={s}>{RULE_SCOPE_LABELS[s] || s}</option>)}
+                                    </select>
+                                </div>
+                                {editing.scope_type !== 'fleet' && (
+                                    <div className="form-group" style={{ gridColumn: '1 / -1' }}>
+                                        <label>{RULE_SCOPE_LABELS[editing.scope_type]} *</label>
+                                        <select value={editing.scope_id ?? ''} onChange={e => setEditing(r => ({ ...r, scope_id: e.target.value }))} required>
+                                            <option value="">Select...</option>
+                                            {scopeOptions.map(o => <option key={o.id} value={o.id}>{o.name}</option>)}
+                                        </select>
+                                    </div>
+                                )}
+                                <div className="form-group" style={{ gridColumn: '1 / -1' }}>
+                                    <label>Notify via</label>
+                                    <div style={{ display: 'flex', gap: 16 }}>
+                                        {(data?.channels || []).map(c => (
+                                            <label key={c} style={{ display: 'flex', alignItems: 'center', gap: 6, fontWeight: 'normal' }}>
+                                                <input type="checkbox" checked={editing.channels.includes(c)} onChange={() => toggleChannel(c)} />
+                                                {RULE_CHANNEL_LABELS[c] || c}
+                                            </label>
+                                        ))}
+                                    </div>
+                                </div>
+                            </div>
+                            <div className="maint-form-actions">
+                                <button type="button" className="btn btn-ghost" onClick={() => setEditing(null)}>Cancel</button>
+                                <button type="submit" className="btn btn-primary" disabled={saving}>{saving ? 'Saving...' : 'Save Rule'}</button>
+                            </div>
+                        </form>
+                    </div>
+                </div>
+            )}
+        </div>
+    )
+}
+
+const DATA_SOURCE_LABELS = { vrm: 'Victron VRM', ic2: 'Pepwave InControl2', gateway: 'Local gateway', replay: 'Replay fixture' }
+const POLL_STATUS_CLASS = { ok: 'maint-status-green', degraded: 'maint-status-yellow', failing: 'maint-status-red', unknown: 'maint-status-gray' }
+const LIKELY_CAUSE_TEXT = {
+    credentials: 'Most failures are 401/403 — the API token or client credentials were rejected.',
+    source_unreachable: 'Every entity is failing — the service itself looks unreachable.',
+}
+
+const NOTIFY_EVENT_LABELS = {
+    energy_deficit: 'Energy deficit',
+    alert_rule: 'Threshold alerts',
+    geofence_breach: 'Geofence breach',
+    maintenance_due: 'Maintenance due',
+    rental_calloff: 'Rental calloff',
+    mention: '@Mentions',
+    data_usage: 'Data plan usage',
+}
+const NOTIFY_CHANNEL_LABELS = { in_app: 'In-app', email: 'Email', sms: 'SMS' }
+const NOTIFY_SCOPE_LABELS = { job_site: 'Job site', company: 'Company', trailer: 'Trailer' }
+const NOTIFY_TIMEZONES = ['America/Denver', 'America/Phoenix', 'America/Chicago', 'America/New_York', 'America/Los_Angeles', 'America/Anchorage', 'Pacific/Honolulu', 'UTC']
+
+function NotificationPreferencesSection({ jobSites, companies, toast }) {
+    const [data, setData] = useState(null)
+    const [prefs, setPrefs] = useState(null)
+    const [trailers, setTrailers] = useState([])
+    const [newScope, setNewScope] = useState({ scope_type: 'job_site', scope_id: '' })
+    const [saving, setSaving] = useState(false)
+
+    const load = useCallback(async () => {
+        try {
+            const d = await fetchNotificationPreferences()
+            setData(d)
+            setPrefs({ ...d.preferences, channels: d.preferences.channels || {} })
+        } catch (err) {
+            toast.error('Error loading notification preferences: ' + err.message)
+        }
+    }, [toast])
+
+    useEffect(() => { load() }, [load])
+    useEffect(() => {
+        fetchTrailers().then(d => setTrailers((d?.trailers || []).filter(t => t.vrm_site_id != null))).catch(() => {})
+    }, [])
+
+    if (!data || !prefs) {
+        return (
+            <div className="settings-card settings-card-wide">
+                <h2>My Notifications</h2>
+                <div className="empty-section"><p>Loading...</p></div>
+            </div>
+        )
+    }
+
+    const editable = data.editable !== false
+    const isOn = (type, channel) => (prefs.channels[type] || []).includes(channel)
+    const toggle = (type, channel) => {
+        setPrefs(p => {
+            const list = p.channels[type] || []
+            const next = list.includes(channel) ? list.filter(c => c !== channel) : [...list, channel]
+            return { ...p, channels: { ...p.channels, [type]: next } }
+        })
+    }
+
+    const handleSave = async () => {
+        setSaving(true)
+        try {
+            await updateNotificationPreferences({
+                channels: prefs.channels,
+                all_trailers: prefs.all_trailers,
+                phone: prefs.phone?.trim() || null,
+                quiet_start: prefs.quiet_start || null,
+                quiet_end: prefs.quiet_end || null,
+                timezone: prefs.timezone || null,
+                quiet_allow_critical: prefs.quiet_allow_critical,
+            })
+            toast.success('Notification preferences saved')
+            load()
+        } catch (err) {
+            toast.error('Error saving preferences: ' + err.message)
+        }
+        setSaving(false)
+    }
+
+    const handleAddSubscription = async () => {
+        if (!newScope.scope_id) return
+        try {
+            await addNotificationSubscription(newScope.scope_type, parseInt(newScope.scope_id))
+            setNewScope(s => ({ ...s, scope_id: '' }))
+            load()
+        } catch (err) {
+            toast.error('Error adding subscription: ' + err.message)
+        }
+    }
+
+    const handleRemoveSubscription = async (sub) => {
+        try {
+            await removeNotificationSubscription(sub.id)
+            load()
+        } catch (err) {
+            toast.error('Error removing subscription: ' + err.message)
+        }
+    }
+
+    const subscribed = new Set(data.subscriptions.map(s => `${s.scope_type}:${s.scope_id}`))
+    const scopeOptions = (newScope.scope_type === 'job_site'
+        ? jobSites.map(js => ({ id: js.id, name: js.name }))
+        : newScope.scope_type === 'company'
+            ? companies.map(c => ({ id: c.id, name: c.name }))
+            : trailers.map(t => ({ id: t.vrm_site_id, name: t.unit_number }))
+    ).filter(o => !subscribed.has(`${newScope.scope_type}:${o.id}`))
+
+    return (
+        <div className="settings-card settings-card-wide">
+            <div className="settings-card-header">
+                <h2>My Notifications</h2>
+                {editable && (
+                    <button className="btn btn-primary" onClick={handleSave} disabled={saving}>
+                        {saving ? 'Saving...' : 'Save'}
+                    </button>
+                )}
+            </div>
+            <p className="settings-desc">
+                Choose what reaches you and how. Alerts only come for the job sites, companies and trailers you follow below
+                (mentions always reach you). Email and SMS are held during quiet hours; in-app notifications are not.
+            </p>
+            {!editable && (
+                <div className="stale-data-banner">No database connected — notification preferences can't be saved.</div>
+            )}
+
+            <div className="jobsite-mgmt-table-wrapper">
+                <table className="maint-table">
+                    <thead>
+                        <tr>
+                            <th>Event</th>
+                            {data.channels.map(c => (
+                                <th key={c}>
+                                    {NOTIFY_CHANNEL_LABELS[c] || c}
+                                    {c === 'email' && !data.email_configured && <span style={{ fontSize: 11, color: 'var(--text-muted)' }}> (off)</span>}
+                                    {c === 'sms' && !data.sms_configured && <span style={{ fontSize: 11, color: 'var(--text-muted)' }}> (off)</span>}
+                                </th>
+                            ))}
+                        </tr>
+                    </thead>
+                    <tbody>
+                        {data.event_types.map(type => (
+                            <tr key={type} className="maint-row">
+                                <td className="maint-title">{NOTIFY_EVENT_LABELS[type] || type}</td>
+                                {data.channels.map(c => (
+                                    <td key={c}>
+                                        <input type="checkbox" checked={isOn(type, c)} disabled={!editable} onChange={() => toggle(type, c)} />
+                                    </td>
+                                ))}
+                            </tr>
+                        ))}
+                    </tbody>
+                </table>
+            </div>
+
+            <h3 style={{ marginTop: 20 }}>Following</h3>
+            <label style={{ display: 'flex', alignItems: 'center', gap: 8, marginBottom: 10 }}>
+                <input type="checkbox" checked={Boolean(prefs.all_trailers)} disabled={!editable}
+                    onChange={e => setPrefs(p => ({ ...p, all_trailers: e.target.checked }))} />
+                Whole fleet (every trailer) — saved with the button above
+            </label>
+            {!prefs.all_trailers && (
+                <>
+                    {data.subscriptions.length === 0 ? (
+                        <p className="settings-desc">Not following anything yet — you'll only get mentions.</p>
+                    ) : (
+                        <div style={{ display: 'flex', flexWrap: 'wrap', gap: 6, marginBottom: 10 }}>
+                            {data.subscriptions.map(s => (
+                                <span key={s.id} className="maint-status-badge maint-status-blue" style={{ display: 'inline-flex', alignItems: 'center', gap: 6 }}>
+                                    {NOTIFY_SCOPE_LABELS[s.scope_type]}: {s.scope_name || `#${s.scope_id}`}
+                                    {editable && (
+                                        <button className="btn btn-ghost btn-sm" style={{ padding: '0 4px' }} onClick={() => handleRemoveSubscription(s)} title="Unfollow">✕</button>
+                                    )}
+                                </span>
+                            ))}
+                        </div>
+                    )}
+                    {editable && (
+                        <div style={{ display: 'flex', gap: 8, alignItems: 'center' }}>
+                            <select value={newScope.scope_type} onChange={e => setNewScope({ scope_type: e.target.value, scope_id: '' })}>
+                                {data.scopes.map(s => <option key={s} value={s}>{NOTIFY_SCOPE_LABELS[s] || s}</option>)}
+                            </select>
+                            <select value={newScope.scope_id} onChange={e => setNewScope(s => ({ ...s, scope_id: e.target.value }))}>
+                                <option value="">Select…</option>
+                                {scopeOptions.map(o => <option key={o.id} value={o.id}>{o.name}</option>)}
+                            </select>
+                            <button className="btn btn-ghost btn-sm" onClick={handleAddSubscription} disabled={!newScope.scope_id}>+ Follow</button>
+                        </div>
+                    )}
+                </>
+            )}
+
+            <h3 style={{ marginTop: 20 }}>Quiet hours & SMS</h3>
+            <div className="maint-form-grid">
+                <div className="form-group">
+                    <label>Quiet from</label>
+                    <input type="time" value={prefs.quiet_start || ''} disabled={!editable}
+                        onChange={e => setPrefs(p => ({ ...p, quiet_start: e.target.value }))} />
+                </div>
+                <div className="form-group">
+                    <label>Until</label>
+                    <input type="time" value={prefs.quiet_end || ''} disabled={!editable}
+                        onChange={e => setPrefs(p => ({ ...p, quiet_end: e.target.value }))} />
+                </div>
+                <div className="form-group">
+                    <label>Timezone</label>
+                    <select value={prefs.timezone || ''} disabled={!editable}
+                        onChange={e => setPrefs(p => ({ ...p, timezone: e.target.value }))}>
+                        <option value="">Default (fleet timezone)</option>
+                        {NOTIFY_TIMEZONES.map(tz => <option key={tz} value={tz}>{tz}</option>)}
+                    </select>
+                </div>
+                <div className="form-group">
+                    <label>Mobile number (SMS)</label>
+                    <input type="tel" value={prefs.phone || ''} placeholder="+13035551234" disabled={!editable}
+                        onChange={e => setPrefs(p => ({ ...p, phone: e.target.value }))} />
+                </div>
+            </div>
+            <label style={{ display: 'flex', alignItems: 'center', gap: 8 }}>
+                <input type="checkbox" checked={prefs.quiet_allow_critical !== false} disabled={!editable}
+                    onChange={e => setPrefs(p => ({ ...p, quiet_allow_critical: e.target.checked }))} />
+                Let critical alerts through during quiet hours
+            </label>
+        </div>
+    )
+}
+
+function formatAgo(ts) {
+    if (!ts) return '—'
+    const diff = Math.floor((Date.now() - ts) / 1000)
+    if (diff < 60) return `${diff}s ago`
+    if (diff < 3600) return `${Math.floor(diff / 60)}m ago`
+    if (diff < 86400) return `${Math.floor(diff / 3600)}h ago`
+    return `${Math.floor(diff / 86400)}d ago`
+}
+
+const WEBHOOK_STATUS_CLASS = { delivered: 'maint-status-green', pending: 'maint-status-blue', retrying: 'maint-status-yellow', failed: 'maint-status-red' }
+const EMPTY_WEBHOOK = { name: '', url: '', events: [], enabled: true }
+
+function WebhooksSection({ toast }) {
+    const [data, setData] = useState(null)
+    const [editing, setEditing] = useState(null) // webhook draft (id null = new)
+    const [saving, setSaving] = useState(false)
+    const [revealed, setRevealed] = useState(null) // { name, secret } shown once after create / rotate
+    const [log, setLog] = useState(null) // { webhook, deliveries }
+    const [busyId, setBusyId] = useState(null)
+
+    const loadWebhooks = useCallback(async () => {
+        try {
+            setData(await fetchWebhooks())
+        } catch (err) {
+            toast.error('Error loading webhooks: ' + err.message)
+        }
+    }, [toast])
+
+    useEffect(() => { loadWebhooks() }, [loadWebhooks])
+
+    const editable = data?.editable !== false
+
+    const handleSave = async (e) => {
+        e.preventDefault()
+        if (editing.events.length === 0) {
+            toast.error('Pick at least one event')
+            return
+        }
+        setSaving(true)
+        try {
+            const body = { name: editing.name, url: editing.url, events: editing.events, enabled: editing.enabled }
+            if (editing.id) {
+                await updateWebhook(editing.id, body)
+                toast.success('Webhook updated')
+            } else {
+                const result = await createWebhook(body)
+                setRevealed({ name: result.webhook.name, secret: result.secret })
+                toast.success('Webhook created')
+            }
+            setEditing(null)
+            loadWebhooks()
+        } catch (err) {
+            toast.error('Error saving webhook: ' + err.message)
+        }
+        setSaving(false)
+    }
+
+    const handleToggle = async (webhook) => {
+        try {
+            await updateWebhook(webhook.id, { enabled: !webhook.enabled })
+            loadWebhooks()
+        } catch (err) {
+            toast.error('Error updating webhook: ' + err.message)
+        }
+    }
+
+    const handleDelete = async (webhook) => {
+        if (!window.confirm(`Delete webhook "${webhook.name}"? Its delivery log is deleted too.`)) return
+        try {
+            await deleteWebhook(webhook.id)
+            toast.success('Webhook deleted')
+            loadWebhooks()
+        } catch (err) {
+            toast.error('Error deleting webhook: ' + err.message)
+        }
+    }
+
+    const handleTest = async (webhook) => {
+        setBusyId(webhook.id)
+        try {
+            const result = await testWebhook(webhook.id)
+            const d = result.delivery
+            if (result.success) toast.success(`Test delivered — HTTP ${d.last_status_code} in ${d.response_ms} ms`)
+            else toast.error(`Test failed: ${d.last_error || `HTTP ${d.last_status_code}`}`)
+            loadWebhooks()
+        } catch (err) {
+            toast.error('Error sending test: ' + err.message)
+        }
+        setBusyId(null)
+    }
+
+    const handleRotate = async (webhook) => {
+        if (!window.confirm(`Rotate the signing secret for "${webhook.name}"? The receiver must be updated with the new secret.`)) return
+        try {
+            const result = await rotateWebhookSecret(webhook.id)
+            setRevealed({ name: webhook.name, secret: result.secret })
+            loadWebhooks()
+        } catch (err) {
+            toast.error('Error rotating secret: ' + err.message)
+        }
+    }
+
+    const openLog = async (webhook) => {
+        try {
+            const result = await fetchWebhookDeliveries(webhook.id)
+            setLog({ webhook, deliveries: result.deliveries || [] })
+        } catch (err) {
+            toast.error('Error loading deliveries: ' + err.message)
+        }
+    }
+
+    const handleRedeliver = async (delivery) => {
+        setBusyId(delivery.id)
+        try {
+            const result = await redeliverWebhook(delivery.id)
+            if (result.success) toast.success('Redelivered')
+            else toast.error(`Redelivery failed: ${result.delivery.last_error || `HTTP ${result.delivery.last_status_code}`}`)
+            openLog(log.webhook)
+            loadWebhooks()
+        } catch (err) {
+            toast.error('Error redelivering: ' + err.message)
+        }
+        setBusyId(null)
+    }
+
+    const toggleEvent = (event) => {
+        setEditing(w => ({
+            ...w,
+            events: w.events.includes(event) ? w.events.filter(e => e !== event) : [...w.events, event],
+        }))
+    }
+
+    return (
+        <div className="settings-card settings-card-wide">
+            <div className="settings-card-header">
+                <h2>Webhooks</h2>
+                {editable && <button className="btn btn-primary" onClick={() => setEditing({ ...EMPTY_WEBHOOK, id: null })}>+ Add Webhook</button>}
+            </div>
+            <p className="settings-desc">
+                POST a signed JSON event to an external system (ticketing, Slack bridge, ERP) when alerts open or resolve, a geofence is breached,
+                a GPS suggestion is created or resolved, a rental changes or a maintenance visit changes status. Each request carries an
+                X-BigView-Signature header (HMAC-SHA256 of "timestamp.body" with the webhook secret). Failed deliveries are retried with
+                backoff up to {data?.max_attempts || 8} times.
+            </p>
+            {!editable && (
+                <div className="stale-data-banner">No database connected — webhooks are unavailable.</div>
+            )}
+
+            {revealed && (
+                <div className="stale-data-banner" style={{ display: 'flex', alignItems: 'center', gap: 12, flexWrap: 'wrap' }}>
+                    <span>Signing secret for <strong>{revealed.name}</strong> — copy it now, it won't be shown again:</span>
+                    <code style={{ userSelect: 'all' }}>{revealed.secret}</code>
+                    <button className="btn btn-ghost btn-sm" onClick={() => setRevealed(null)}>Done</button>
+                </div>
+            )}
+
+            {!data ? (
+                <div className="empty-section"><p>Loading...</p></div>
+            ) : data.webhooks.length === 0 ? (
+                <div className="empty-section"><p>No webhooks configured.</p></div>
+            ) : (
+                <div className="jobsite-mgmt-table-wrapper">
+                    <table className="maint-table">
+                        <thead>
+                            <tr>
+                                <th>Name</th>
+                                <th>URL</th>
+                                <th>Events</th>
+                                <th>Secret</th>
+                                <th>Last delivery</th>
+                                <th>Enabled</th>
+                                <th></th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {data.webhooks.map(w => (
+                                <tr key={w.id} className="maint-row" style={{ opacity: w.enabled ? 1 : 0.5 }}>
+                                    <td className="maint-title">{w.name}</td>
+                                    <td style={{ fontSize: 12, wordBreak: 'break-all' }}>{w.url}</td>
+                                    <td style={{ fontSize: 12 }}>{(w.events || []).join(', ')}</td>
+                                    <td><code>{w.secret_hint}</code></td>
+                                    <td>
+                                        {w.last_delivery_status ? (
+                                            <>
+                                                <span className={`maint-status-badge ${WEBHOOK_STATUS_CLASS[w.last_delivery_status] || 'maint-status-gray'}`}>{w.last_delivery_status}</span>
+                                                <span style={{ fontSize: 11, color: 'var(--text-muted)', marginLeft: 6 }}>{formatAgo(Number(w.last_delivery_at))}</span>
+                                            </>
+                                        ) : <span style={{ color: 'var(--text-muted)' }}>Never</span>}
+                                    </td>
+                                    <td>
+                                        <input type="checkbox" checked={w.enabled} disabled={!editable} onChange={() => handleToggle(w)} />
+                                    </td>
+                                    <td style={{ whiteSpace: 'nowrap' }}>
+                                        <button className="btn btn-ghost btn-sm" disabled={busyId === w.id} onClick={() => handleTest(w)}>
+                                            {busyId === w.id ? 'Sending...' : 'Send test'}
+                                        </button>
+                                        <button className="btn btn-ghost btn-sm" onClick={() => openLog(w)}>Log</button>
+                                        <button className="btn btn-ghost btn-sm" onClick={() => setEditing({ ...w, events: w.events || [] })}>Edit</button>
+                                        <button className="btn btn-ghost btn-sm" onClick={() => handleRotate(w)}>Rotate secret</button>
+                                        <button className="btn btn-ghost btn-sm" onClick={() => handleDelete(w)}>Delete</button>
+                                    </td>
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+                </div>
+            )}
+
+            {editing && (
+                <div className="maint-form-overlay" onClick={() => setEditing(null)}>
+                    <div className="maint-form-panel" onClick={e => e.stopPropagation()} style={{ maxWidth: 560 }}>
+                        <div className="maint-form-header">
+                            <h2>{editing.id ? 'Edit Webhook' : 'New Webhook'}</h2>
+                            <button className="detail-close" onClick={() => setEditing(null)}>✕</button>
+                        </div>
+                        <form onSubmit={handleSave} className="maint-form">
+                            <div className="maint-form-grid">
+                                <div className="form-group" style={{ gridColumn: '1 / -1' }}>
+                                    <label>Name *</label>
+                                    <input type="text" value={editing.name} onChange={e => setEditing(w => ({ ...w, name: e.target.value }))} placeholder="Service desk" required autoFocus />
+                                </div>
+                                <div className="form-group" style={{ gridColumn: '1 / -1' }}>
+                                    <label>Endpoint URL *</label>
+                                    <input type="url" value={editing.url} onChange={e => setEditing(w => ({ ...w, url: e.target.value }))} placeholder="https://example.com/hooks/bigview" required />
+                                </div>
+                                <div className="form-group" style={{ gridColumn: '1 / -1' }}>
+                                    <label>Events *</label>
+                                    <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: 6 }}>
+                                        {(data?.events || []).map(ev => (
+                                            <label key={ev} style={{ display: 'flex', alignItems: 'center', gap: 6, fontWeight: 'normal' }}>
+                                                <input type="checkbox" checked={editing.events.includes(ev)} onChange={() => toggleEvent(ev)} />
+                                                <code>{ev}</code>
+                                            </label>
+                                        ))}
+                                    </div>
+                                </div>
+                                <div className="form-group">
+                                    <label style={{ display: 'flex', alignItems: 'center', gap: 6, fontWeight: 'normal' }}>
+                                        <input type="checkbox" checked={editing.enabled} onChange={e => setEditing(w => ({ ...w, enabled: e.target.checked }))} />
+                                        Enabled
+                                    </label>
+                                </div>
+                            </div>
+                            <div className="maint-form-actions">
+                                <button type="button" className="btn btn-ghost" onClick={() => setEditing(null)}>Cancel</button>
+                                <button type="submit" className="btn btn-primary" disabled={saving}>{saving ? 'Saving...' : 'Save Webhook'}</button>
+                            </div>
+                        </form>
+                    </div>
+                </div>
+            )}
+
+            {log && (
+                <div className="maint-form-overlay" onClick={() => setLog(null)}>
+                    <div className="maint-form-panel" onClick={e => e.stopPropagation()} style={{ maxWidth: 820 }}>
+                        <div className="maint-form-header">
+                            <h2>Deliveries — {log.webhook.name}</h2>
+                            <button className="detail-close" onClick={() => setLog(null)}>✕</button>
+                        </div>
+                        {log.deliveries.length === 0 ? (
+                            <div className="empty-section"><p>No deliveries yet.</p></div>
+                        ) : (
+                            <table className="maint-table">
+                                <thead>
+                                    <tr>
+                                        <th>Event</th>
+                                        <th>Created</th>
+                                        <th>Status</th>
+                                        <th>Attempts</th>
+                                        <th>Response</th>
+                                        <th></th>
+                                    </tr>
+                                </thead>
+                                <tbody>
+                                    {log.deliveries.map(d => (
+                                        <tr key={d.id} className="maint-row">
+                                            <td><code>{d.event_type}</code></td>
+                                            <td className="maint-date">{formatAgo(Number(d.created_at))}</td>
+                                            <td>
+                                                <span className={`maint-status-badge ${WEBHOOK_STATUS_CLASS[d.status] || 'maint-status-gray'}`}>{d.status}</span>
+                                            </td>
+                                            <td>{d.attempts}</td>
+                                            <td style={{ fontSize: 12 }}>
+                                                {d.last_status_code ? `HTTP ${d.last_status_code}` : ''}
+                                                {d.response_ms != null && ` · ${d.response_ms} ms`}
+                                                {d.last_error && <div style={{ color: 'var(--text-muted)' }}>{d.last_error}</div>}
+                                            </td>
+                                            <td>
+                                                {d.status !== 'pending' && (
+                                                    <button className="btn btn-ghost btn-sm" disabled={busyId === d.id} onClick={() => handleRedeliver(d)}>
+                                                        {busyId === d.id ? 'Sending...' : 'Redeliver'}
+                                                    </button>
+                                                )}
+                                            </td>
+                                        </tr>
+                                    ))}
+                                </tbody>
+                            </table>
+                        )}
+                    </div>
+                </div>
+            )}
+        </div>
+    )
+}
+
+const EMPTY_PROFILE = {
+    name: '', product_code: '', panel_count: 3, panel_watts: 435, system_efficiency: 0.7,
+    battery_chemistry: 'LiFePO4', battery_count: 2, battery_config: 'parallel', battery_ah: 230, battery_voltage: 25.6,
+    min_soc_threshold: 20, notes: '',
+}
+const PROFILE_NUMBER_FIELDS = ['panel_count', 'panel_watts', 'system_efficiency', 'battery_count', 'battery_ah', 'battery_voltage', 'min_soc_threshold']
+
+function HardwareProfilesSection({ toast, canEdit }) {
+    const [data, setData] = useState(null)
+    const [editing, setEditing] = useState(null) // profile draft (id null = new)
+    const [saving, setSaving] = useState(false)
+
+    const loadProfiles = useCallback(async () => {
+        try {
+            setData(await fetchHardwareProfiles())
+        } catch (err) {
+            toast.error('Error loading hardware profiles: ' + err.message)
+        }
+    }, [toast])
+
+    useEffect(() => { loadProfiles() }, [loadProfiles])
+
+    const editable = canEdit && data?.editable !== false
+
+    const handleSave = async (e) => {
+        e.preventDefault()
+        setSaving(true)
+        try {
+            const body = { name: editing.name, product_code: editing.product_code, battery_chemistry: editing.battery_chemistry, battery_config: editing.battery_config, notes: editing.notes }
+            for (const key of PROFILE_NUMBER_FIELDS) body[key] = parseFloat(editing[key])
+            if (editing.id) {
+                await updateHardwareProfile(editing.id, body)
+                toast.success('Hardware profile updated')
+            } else {
+                await createHardwareProfile(body)
+                toast.success('Hardware profile created')
+            }
+            setEditing(null)
+            loadProfiles()
+        } catch (err) {
+            toast.error('Error saving hardware profile: ' + err.message)
+        }
+        setSaving(false)
+    }
+
+    const handleDelete = async (profile) => {
+        if (!window.confirm(`Delete hardware profile "${profile.name}"? Trailers using it fall back to their product code's profile.`)) return
+        try {
+            await deleteHardwareProfile(profile.id)
+            toast.success('Hardware profile deleted')
+            loadProfiles()
+        } catch (err) {
+            toast.error('Error deleting hardware profile: ' + err.message)
+        }
+    }
+
+    const field = (key) => ({
+        value: editing[key] ?? '',
+        onChange: e => setEditing(p => ({ ...p, [key]: e.target.value })),
+    })
+
+    return (
+        <div className="settings-card settings-card-wide">
+            <div className="settings-card-header">
+                <h2>Hardware Profiles</h2>
+                {editable && <button className="btn btn-primary" onClick={() => setEditing({ ...EMPTY_PROFILE, id: null })}>+ Add Profile</button>}
+            </div>
+            <p className="settings-desc">
+                Solar array and battery bank per trailer model. Expected yield, stored energy, days of autonomy and AI answers use each
+                trailer's profile — the one picked on the trailer, else the one matching its product code, else BV1305.
+            </p>
+            {data && !data.editable && (
+                <div className="stale-data-banner">No database connected — showing the built-in BV1305 profile.</div>
+            )}
+
+            {!data ? (
+                <div className="empty-section"><p>Loading...</p></div>
+            ) : (
+                <div className="jobsite-mgmt-table-wrapper">
+                    <table className="maint-table">
+                        <thead>
+                            <tr>
+                                <th>Name</th>
+                                <th>Product code</th>
+                                <th>Solar</th>
+                                <th>Battery</th>
+                                <th>Usable</th>
+                                <th>Trailers</th>
+                                {editable && <th></th>}
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {data.profiles.map(p => (
+                                <tr key={p.id ?? p.name} className="maint-row">
+                                    <td className="maint-title">{p.name}</td>
+                                    <td>{p.product_code || <span style={{ color: 'var(--text-muted)' }}>—</span>}</td>
+                                    <td>{p.specs.solar.panels}× {p.specs.solar.panel_watts}W ({p.specs.solar.total_watts}W)</td>
+                                    <td>
+                                        {p.specs.battery.count}× {p.specs.battery.ah_per_battery}Ah {p.specs.battery.chemistry} {p.specs.battery.config}
+                                        <span style={{ fontSize: 11, color: 'var(--text-muted)', marginLeft: 6 }}>{(p.specs.battery.total_wh / 1000).toFixed(1)} kWh</span>
+                                    </td>
+                                    <td>{(p.specs.battery.usable_wh / 1000).toFixed(1)} kWh</td>
+                                    <td>{p.trailer_count ?? '—'}</td>
+                                    {editable && (
+                                        <td style={{ whiteSpace: 'nowrap' }}>
+                                            <button className="btn btn-ghost btn-sm" onClick={() => setEditing({ ...EMPTY_PROFILE, ...p, product_code: p.product_code || '', notes: p.notes || '' })}>Edit</button>
+                                            <button className="btn btn-ghost btn-sm" onClick={() => handleDelete(p)}>Delete</button>
+                                        </td>
+                                    )}
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+                </div>
+            )}
+
+            {editing && (
+                <div className="maint-form-overlay" onClick={() => setEditing(null)}>
+                    <div className="maint-form-panel" onClick={e => e.stopPropagation()} style={{ maxWidth: 620 }}>
+                        <div className="maint-form-header">
+                            <h2>{editing.id ? 'Edit Hardware Profile' : 'New Hardware Profile'}</h2>
+                            <button className="detail-close" onClick={() => setEditing(null)}>✕</button>
+                        </div>
+                        <form onSubmit={handleSave} className="maint-form">
+                            <div className="maint-form-grid">
+                                <div className="form-group">
+                                    <label>Name *</label>
+                                    <input type="text" {...field('name')} placeholder="BV2610" required autoFocus />
+                                </div>
+                                <div className="form-group">
+                                    <label>Product code</label>
+                                    <input type="text" {...field('product_code')} placeholder="Matches trailers.product_code" />
+                                </div>
+                                <div className="form-group">
+                                    <label>Panels *</label>
+                                    <input type="number" min="1" step="1" {...field('panel_count')} required />
+                                </div>
+                                <div className="form-group">
+                                    <label>Watts per panel *</label>
+                                    <input type="number" min="1" step="any" {...field('panel_watts')} required />
+                                </div>
+                                <div className="form-group">
+                                    <label>System efficiency (0–1) *</label>
+                                    <input type="number" min="0.01" max="1" step="0.01" {...field('system_efficiency')} required />
+                                </div>
+                                <div className="form-group">
+                                    <label>Battery chemistry</label>
+                                    <select {...field('battery_chemistry')}>
+                                        {(data?.chemistries || []).map(c => <option key={c} value={c}>{c}</option>)}
+                                    </select>
+                                </div>
+                                <div className="form-group">
+                                    <label>Batteries *</label>
+                                    <input type="number" min="1" step="1" {...field('battery_count')} required />
+                                </div>
+                                <div className="form-group">
+                                    <label>Wiring</label>
+                                    <select {...field('battery_config')}>
+                                        <option value="parallel">Parallel</option>
+                                        <option value="series">Series</option>
+                                    </select>
+                                </div>
+                                <div className="form-group">
+                                    <label>Ah per battery *</label>
+                                    <input type="number" min="1" step="any" {...field('battery_ah')} required />
+                                </div>
+                                <div className="form-group">
+                                    <label>Battery voltage *</label>
+                                    <input type="number" min="1" step="any" {...field('battery_voltage')} required />
+                                </div>
+                                <div className="form-group">
+                                    <label>Minimum SOC % *</label>
+                                    <input type="number" min="0" max="99" step="1" {...field('min_soc_threshold')} required />
+                                </div>
+                                <div className="form-group" style={{ gridColumn: '1 / -1' }}>
+                                    <label>Notes</label>
+                                    <textarea rows={2} {...field('notes')} />
+                                </div>
+                            </div>
+                            <div className="maint-form-actions">
+                                <button type="button" className="btn btn-ghost" onClick={() => setEditing(null)}>Cancel</button>
+                                <button type="submit" className="btn btn-primary" disabled={saving}>{saving ? 'Saving...' : 'Save Profile'}</button>
+                            </div>
+                        </form>
+                    </div>
+                </div>
+            )}
+        </div>
+    )
+}
+
+const MONTH_INITIALS = ['J', 'F', 'M', 'A', 'M', 'J', 'J', 'A', 'S', 'O', 'N', 'D']
+
+function IrradianceSection({ toast, canEdit }) {
+    const [data, setData] = useState(null)
+    const [syncing, setSyncing] = useState(false)
+    const [importing, setImporting] = useState(false)
+    const [csvLocation, setCsvLocation] = useState({ latitude: '', longitude: '' })
+
+    const load = useCallback(async () => {
+        try {
+            setData(await fetchIrradianceLocations())
+        } catch (err) {
+            toast.error('Error loading irradiance history: ' + err.message)
+        }
+    }, [toast])
+
+    useEffect(() => { load() }, [load])
+
+    const editable = canEdit && data?.editable !== false
+
+    const handleSync = async () => {
+        setSyncing(true)
+        try {
+            const r = await syncIrradiance()
+            toast.success(`Fetched ${r.days_fetched} days for ${r.requests} locations; ${r.restamped} expected yields re-stamped`)
+            load()
+        } catch (err) {
+            toast.error('Irradiance sync failed: ' + err.message)
+        }
+        setSyncing(false)
+    }
+
+    const handleImport = async (e) => {
+        const file = e.target.files?.[0]
+        e.target.value = ''
+        if (!file) return
+        setImporting(true)
+        try {
+            const r = await importIrradianceCsv(await file.text(), csvLocation.latitude, csvLocation.longitude)
+            toast.success(`Imported ${r.imported} days (${r.first_date} – ${r.last_date})${r.skipped ? `, ${r.skipped} lines skipped` : ''}`)
+            load()
+        } catch (err) {
+            toast.error('CSV import failed: ' + err.message)
+        }
+        setImporting(false)
+    }
+
+    return (
+        <div className="settings-card settings-card-wide">
+            <div className="settings-card-header">
+                <h2>Irradiance History</h2>
+                {editable && (
+                    <button className="btn btn-primary" onClick={handleSync} disabled={syncing}>
+                        {syncing ? 'Syncing...' : 'Sync from Open-Meteo'}
+                    </button>
+                )}
+            </div>
+            <p className="settings-desc">
+                Daily sun per trailer and job site location (0.1° grid), fetched from the Open-Meteo archive once a day. Past days'
+                solar scores use the day's actual irradiance, and the monthly averages stand in for the forecast when it is unavailable.
+            </p>
+            {editable && (
+                <div className="maint-form-grid" style={{ marginBottom: 16 }}>
+                    <div className="form-group">
+                        <label>CSV latitude</label>
+                        <input type="number" step="0.0001" value={csvLocation.latitude} onChange={e => setCsvLocation(p => ({ ...p, latitude: e.target.value }))} placeholder="Unless the CSV has a latitude column" />
+                    </div>
+                    <div className="form-group">
+                        <label>CSV longitude</label>
+                        <input type="number" step="0.0001" value={csvLocation.longitude} onChange={e => setCsvLocation(p => ({ ...p, longitude: e.target.value }))} placeholder="Unless the CSV has a longitude column" />
+                    </div>
+                    <div className="form-group form-group-wide">
+                        <label>Import CSV (date + psh, kwh_m2, mj_m2 or wh_m2)</label>
+                        <input type="file" accept=".csv,text/csv" onChange={handleImport} disabled={importing} />
+                    </div>
+                </div>
+            )}
+
+            {!data ? (
+                <div className="empty-section"><p>Loading...</p></div>
+            ) : data.locations.length === 0 ? (
+                <div className="empty-section"><p>No irradiance history yet.</p></div>
+            ) : (
+                <div className="jobsite-mgmt-table-wrapper">
+                    <table className="maint-table">
+                        <thead>
+                            <tr>
+                                <th>Location</th>
+                                <th>Days</th>
+                                <th>Range</th>
+                                <th>Source</th>
+                                {MONTH_INITIALS.map((m, i) => <th key={i} style={{ textAlign: 'right' }}>{m}</th>)}
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {data.locations.map(l => (
+                                <tr key={l.location_key} className="maint-row">
+                                    <td className="maint-title">{l.location_key}</td>
+                                    <td>{l.days}</td>
+                                    <td>{l.first_date} – {l.last_date}</td>
+                                    <td>{(l.sources || []).join(', ')}</td>
+                                    {l.months.map((psh, i) => (
+                                        <td key={i} style={{ textAlign: 'right' }}>{psh != null ? psh.toFixed(1) : <span style={{ color: 'var(--text-muted)' }}>—</span>}</td>
+                                    ))}
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+                </div>
+            )}
+        </div>
+    )
+}
+
+function DataSourcesSection() {
+    const [problemsOnly, setProblemsOnly] = useState(true)
+    const fetchFn = useCallback(() => fetchDataSources(), [])
+    const { data, loading } = useApiPolling(fetchFn, 30000)
+
+    const summary = data?.summary || {}
+    const records = (data?.records || []).filter(r => r.entity_id !== '*')
+    const shown = problemsOnly
+        ? records.filter(r => r.status !== 'ok' || r.data_stale)
+        : records
+
+    return (
+        <div className="settings-card settings-card-wide">
+            <div className="settings-card-header">
+                <h2>Data Sources</h2>
+                <label style={{ fontSize: 12, color: 'var(--text-muted)', display: 'flex', alignItems: 'center', gap: 6 }}>
+                    <input type="checkbox" checked={problemsOnly} onChange={e => setProblemsOnly(e.target.checked)} />
+                    Problems only
+                </label>
+            </div>
+            <p className="settings-desc">
+                Background poll health per trailer. A failing poll means we can't reach the source; a successful poll with
+                stale data means the trailer itself has stopped reporting.
+            </p>
+
+            {data?.vrm_rate_limited_until && (
+                <div className="stale-data-banner">
+                    VRM rate limit hit — polling paused until {new Date(data.vrm_rate_limited_until).toLocaleTimeString()}.
+                </div>
+            )}
+
+            <div className="settings-stats">
+                {Object.entries(summary).map(([source, s]) => (
+                    <div key={source} className="settings-stat">
+                        <span className="stat-label">{DATA_SOURCE_LABELS[source] || source}</span>
+                        <span className="stat-value-large">{s.ok}/{s.total} ok</span>
+                        <span style={{ fontSize: 11, color: 'var(--text-muted)' }}>
+                            {s.failing} failing · {s.degraded} retrying · {s.stale_data} silent
+                            {s.avg_latency_ms != null && ` · ${s.avg_latency_ms} ms avg`}
+                        </span>
+                        {s.list && (
+                            <span style={{ fontSize: 11, color: s.list.status === 'ok' ? 'var(--text-muted)' : '#e74c3c' }}>
+                                {s.list.name}: {s.list.status === 'ok' ? `ok ${formatAgo(s.list.last_success)}` : s.list.last_error}
+                            </span>
+                        )}
+                        {s.likely_cause && (
+                            <span style={{ fontSize: 11, color: '#e74c3c' }}>{LIKELY_CAUSE_TEXT[s.likely_cause]}</span>
+                        )}
+                    </div>
+                ))}
+            </div>
+
+            {loading && !data ? (
+                <div className="empty-section"><p>Loading...</p></div>
+            ) : shown.length === 0 ? (
+                <div className="empty-section"><p>{problemsOnly ? 'All data sources healthy.' : 'No polls recorded yet.'}</p></div>
+            ) : (
+                <div className="jobsite-mgmt-table-wrapper">
+                    <table className="maint-table">
+                        <thead>
+                            <tr>
+                                <th>Trailer / Device</th>
+                                <th>Source</th>
+                                <th>Poll</th>
+                                <th>Last Success</th>
+                                <th>Failures</th>
+                                <th>Latency</th>
+                                <th>Device Data</th>
+                                <th style={{ width: '30%' }}>Last Error</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {shown.map(r => (
+                                <tr key={`${r.source}:${r.entity_id}`} className="maint-row">
+                                    <td className="maint-title">
+                                        {r.source !== 'ic2' ? <Link to={`/trailer/${r.entity_id}`}>{r.name || r.entity_id}</Link> : r.name}
+                                    </td>
+                                    <td>
+                                        {DATA_SOURCE_LABELS[r.source] || r.source}
+                                        {r.cadence && <span style={{ fontSize: 11, color: 'var(--text-muted)' }}> · {r.cadence}</span>}
+                                    </td>
+                                    <td><span className={`maint-status-badge ${POLL_STATUS_CLASS[r.status]}`}>{r.status}</span></td>
+                                    <td>{formatAgo(r.last_success)}</td>
+                                    <td>{r.consecutive_failures || '—'}</td>
+                                    <td>{r.latency_ms != null ? `${r.latency_ms} ms` : '—'}</td>
+                                    <td style={{ color: r.data_stale ? '#e67e22' : undefined }}>{formatAgo(r.data_timestamp)}</td>
+                                    <td style={{ fontSize: 12, color: 'var(--text-muted)' }}>{r.last_error || '—'}</td>
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+                </div>
+            )}
+        </div>
+    )
+}
+
+function formatGapDuration(ms) {
+    const minutes = Math.round(ms / 60000)
+    if (minutes < 120) return `${minutes} min`
+    const hours = minutes / 60
+    return hours < 48 ? `${hours.toFixed(1)} h` : `${(hours / 24).toFixed(1)} d`
+}
+
+function VrmBackfillSection({ toast }) {
+    const [days, setDays] = useState(7)
+    const [gaps, setGaps] = useState(null)
+    const [scanning, setScanning] = useState(false)
+    const [starting, setStarting] = useState(false)
+    const statusFn = useCallback(() => fetchVrmBackfillStatus(), [])
+    const [running, setRunning] = useState(false)
+    const { data, refetch } = useApiPolling(statusFn, running ? 3000 : 60000)
+    const job = data?.job
+
+    useEffect(() => {
+        const nowRunning = job?.status === 'running' || job?.status === 'scanning'
+        if (running && !nowRunning && job) {
+            if (job.status === 'done') toast.success(`Backfill done: ${job.rows_inserted} rows, ${job.days_recomputed} days recomputed`)
+            else toast.error('Backfill failed: ' + (job.error || 'unknown error'))
+            setGaps(null)
+        }
+        setRunning(nowRunning)
+    }, [job, running, toast])
+
+    const handleScan = async () => {
+        setScanning(true)
+        try {
+            setGaps((await fetchSnapshotGaps(days)).gaps)
+        } catch (err) {
+            toast.error('Gap scan failed: ' + err.message)
+        }
+        setScanning(false)
+    }
+
+    const handleStart = async () => {
+        if (!window.confirm(`Fetch ${gaps?.length ? `${gaps.length} gaps` : 'all gaps'} from the last ${days} days from VRM?`)) return
+        setStarting(true)
+        try {
+            await startVrmBackfill(days)
+            setRunning(true)
+            refetch()
+        } catch (err) {
+            toast.error('Could not start backfill: ' + err.message)
+        }
+        setStarting(false)
+    }
+
+    const pct = job?.total_gaps ? Math.round(job.done_gaps / job.total_gaps * 100) : 0
+
+    return (
+        <div className="settings-card settings-card-wide">
+            <div className="settings-card-header">
+                <h2>History Backfill</h2>
+                <div style={{ display: 'flex', gap: 8, alignItems: 'center' }}>
+                    <select value={days} onChange={e => setDays(Number(e.target.value))} disabled={running}>
+                        {[1, 3, 7, 14, 30].map(d => <option key={d} value={d}>Last {d} day{d !== 1 ? 's' : ''}</option>)}
+                    </select>
+                    <button className="btn btn-secondary" onClick={handleScan} disabled={scanning || running}>
+                        {scanning ? 'Scanning...' : 'Find Gaps'}
+                    </button>
+                    <button className="btn btn-primary" onClick={handleStart} disabled={starting || running}>
+                        {running ? 'Backfilling...' : 'Backfill from VRM'}
+                    </button>
+                </div>
+            </div>
+            <p className="settings-desc">
+                Rebuilds holes in trailer history (server downtime, redeploys) from VRM's stored stats — energy, SOC and voltage
+                every 15 minutes — then recomputes the affected days' analytics, consumption and deficit streaks.
+            </p>
+
+            {job && (
+                <div className="settings-stats">
+                    <div className="settings-stat">
+                        <span className="stat-label">{job.status === 'scanning' ? 'Finding gaps' : job.status === 'running' ? (job.phase === 'recomputing' ? 'Recomputing days' : 'Fetching gaps') : `Last run (${job.status})`}</span>
+                        <span className="stat-value-large">{job.done_gaps}/{job.total_gaps} gaps{job.status === 'running' ? ` · ${pct}%` : ''}</span>
+                        <span style={{ fontSize: 11, color: 'var(--text-muted)' }}>
+                            {job.rows_inserted} rows · {job.days_recomputed} days recomputed
+                            {job.empty_gaps > 0 && ` · ${job.empty_gaps} with no VRM data`}
+                            {job.failed_gaps > 0 && ` · ${job.failed_gaps} failed`}
+                            {job.finished_at && ` · ${formatAgo(job.finished_at)} by ${job.started_by}`}
+                        </span>
+                        {job.current && (
+                            <span style={{ fontSize: 11, color: 'var(--text-muted)' }}>
+                                {job.current.site_name || job.current.site_id}: {new Date(job.current.gap_start).toLocaleString()}
+                            </span>
+                        )}
+                        {job.errors.length > 0 && (
+                            <span style={{ fontSize: 11, color: '#e74c3c' }}>{job.errors[job.errors.length - 1]}</span>
+                        )}
+                    </div>
+                </div>
+            )}
+
+            {gaps && (gaps.length === 0 ? (
+                <div className="empty-section"><p>No gaps in the last {days} days.</p></div>
+            ) : (
+                <div className="jobsite-mgmt-table-wrapper">
+                    <table className="maint-table">
+                        <thead>
+                            <tr>
+                                <th>Trailer</th>
+                                <th>From</th>
+                                <th>To</th>
+                                <th>Missing</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {gaps.slice(0, 100).map(g => (
+                                <tr key={`${g.site_id}:${g.gap_start}`} className="maint-row">
+                                    <td className="maint-title"><Link to={`/trailer/${g.site_id}`}>{g.site_name || g.site_id}</Link></td>
+                                    <td>{new Date(g.gap_start).toLocaleString()}</td>
+                                    <td>{new Date(g.gap_end).toLocaleString()}</td>
+                                    <td>{formatGapDuration(g.duration_ms)}</td>
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+                    {gaps.length > 100 && <p style={{ color: 'var(--text-muted)', fontSize: 12 }}>…and {gaps.length - 100} more</p>}
+                </div>
+            ))}
+        </div>
+    )
+}
+
 function SettingsTabIcon({ type }) {
     const icons = {
         user: <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2"><path d="M20 21v-2a4 4 0 0 0-4-4H8a4 4 0 0 0-4 4v2"/><circle cx="12" cy="7" r="4"/></svg>,
@@ -1064,6 +2363,9 @@ function Settings() {
                     </div>
                 </div>
 
+                {/* Per-user notification preferences and subscriptions */}
+                {user?.role !== 'customer' && <NotificationPreferencesSection jobSites={jobSites} companies={companies} toast={toast} />}
+
                 {/* Documentation */}
                 <div className="settings-card">
                     <h2>📚 Documentation & Help</h2>
@@ -1278,6 +2580,9 @@ function Settings() {
 
                 {/* ====== TAB: Notifications ====== */}
                 {activeTab === 'notifications' && isAdmin && <>
+                {/* Threshold Alert Rules */}
+                <AlertRulesSection jobSites={jobSites} companies={companies} toast={toast} />
+
                 {/* Communication Log */}
                 <CommunicationLogSection jobSites={jobSites} toast={toast} />
 
@@ -1541,6 +2846,16 @@ function Settings() {
 
                 {/* ====== TAB: System ====== */}
                 {activeTab === 'system' && <>
+                <DataSourcesSection />
+
+                {isAdmin && <VrmBackfillSection toast={toast} />}
+
+                <HardwareProfilesSection toast={toast} canEdit={isAdmin} />
+
+                <IrradianceSection toast={toast} canEdit={isAdmin} />
+
+                {isAdmin && <WebhooksSection toast={toast} />}
+
                 {/* Database Info */}
                 <div className="settings-card">
                     <h2>Database Status</h2>
@@ -1553,6 +2868,10 @@ function Settings() {
                             <span className="stat-label">Total Snapshots</span>
                             <span className="stat-value-large">{(settings.snapshot_count || 0).toLocaleString()}</span>
                         </div>
+                        <div className="settings-stat">
+                            <span className="stat-label">Hourly / Daily Rollups</span>
+                            <span className="stat-value-large">{(settings.hourly_rollup_count || 0).toLocaleString()} / {(settings.daily_rollup_count || 0).toLocaleString()}</span>
+                        </div>
                         <div className="settings-stat">
                             <span className="stat-label">Retention Period</span>
                             <span className="stat-value-large">{settings.retention_days} days</span>
@@ -1565,7 +2884,9 @@ function Settings() {
                     <div className="settings-card">
                         <h2>Data Retention</h2>
                         <p className="settings-desc">
-                            Set how long historical data is kept. Older records are automatically pruned.
+                            Set how long raw 5-minute data is kept. Older data lives on as hourly min / avg / max
+                            for {settings.hourly_retention_days || 365} days and as daily summaries forever, so long
+                            history ranges and year-over-year comparisons still work.
                         </p>
                         <div className="retention-options">
                             {[7, 30, 90, 180, 365].map(days => (
@@ -1595,7 +2916,8 @@ function Settings() {
                     <div className="settings-card settings-card-danger">
                         <h2>Storage Management</h2>
                         <p className="settings-desc">
-                            Manually purge data older than the current retention period.
+                            Manually purge raw data older than the current retention period. Hourly and daily
+                            summaries are brought up to date first.
                         </p>
                         <div className="settings-actions">
                             <button
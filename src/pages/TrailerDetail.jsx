@@ -1,5 +1,6 @@
 import { useState, useCallback, useEffect, useMemo, useRef } from 'react'
 import RentalsInline from '../components/RentalsInline'
+import AlertsInline from '../components/AlertsInline'
 import { useParams, useNavigate } from 'react-router-dom'
 import {
     Chart as ChartJS,
@@ -10,7 +11,7 @@ import 'chartjs-adapter-date-fns'
 import zoomPlugin from 'chartjs-plugin-zoom'
 import { Line, Bar } from 'react-chartjs-2'
 import { useApiPolling } from '../hooks/useApiPolling'
-import { fetchDiagnostics, fetchAlarms, fetchSystemOverview, fetchHistory, fetchFleetNetwork, fetchPepwaveHistory, fetchComponents, createComponent, updateComponent, fetchBatteryHealth, fetchTrailerIntelligence, analyzeTrailer, fetchSites, fetchJobSites, fetchTrailerNotes, fetchReplies } from '../api/vrm'
+import { fetchDiagnostics, fetchAlarms, fetchSystemOverview, fetchHistory, fetchFleetNetwork, fetchPepwaveHistory, fetchComponents, createComponent, updateComponent, fetchBatteryHealth, fetchTrailerIntelligence, fetchSocForecast, fetchLoadProfile, fetchPanelHealth, createMaintenanceFromTemplate, analyzeTrailer, fetchSites, fetchJobSites, fetchTrailerNotes, fetchReplies, fetchSitePollHealth } from '../api/vrm'
 import KpiCard from '../components/KpiCard'
 import GaugeChart from '../components/GaugeChart'
 import AlarmBadge from '../components/AlarmBadge'
@@ -19,8 +20,10 @@ import DataFreshness from '../components/DataFreshness'
 import Breadcrumbs from '../components/Breadcrumbs'
 import SignalBars from '../components/SignalBars'
 import ReportPanel from '../components/ReportPanel'
+import RouterActions from '../components/RouterActions'
 import { signalQuality, formatUptime, formatMB } from '../utils/format'
 import { useAuth } from '../components/AuthProvider'
+import { useToast } from '../components/ToastProvider'
 
 ChartJS.register(
     CategoryScale, LinearScale, TimeScale, PointElement, LineElement,
@@ -31,8 +34,13 @@ const RANGES = {
     '24h': 24 * 60 * 60 * 1000,
     '7d': 7 * 24 * 60 * 60 * 1000,
     '30d': 30 * 24 * 60 * 60 * 1000,
+    '90d': 90 * 24 * 60 * 60 * 1000,
+    '1y': 365 * 24 * 60 * 60 * 1000,
 }
 
+// Longer ranges come back as rollups instead of raw 5-minute snapshots
+const TIER_LABELS = { hourly: 'Hourly averages', daily: 'Daily averages' }
+
 // Helper: extract value from VRM diagnostics records
 function diagValue(records, code) {
     const match = records.find(r => r.code === code && r.Device !== 'Gateway');
@@ -51,9 +59,11 @@ function diagFormatted(records, code) {
 function TrailerDetail() {
     const { user } = useAuth()
     const canEdit = user?.role === 'admin' || user?.role === 'technician'
+    const toast = useToast()
     const { id } = useParams()
     const navigate = useNavigate()
     const [range, setRange] = useState('24h')
+    const [historyTier, setHistoryTier] = useState('raw')
     const [historyData, setHistoryData] = useState([])
     const [pepwaveHistoryData, setPepwaveHistoryData] = useState([])
     const [showComponentForm, setShowComponentForm] = useState(false)
@@ -88,6 +98,35 @@ function TrailerDetail() {
 
     const fetchIntelFn = useCallback(() => fetchTrailerIntelligence(id), [id])
     const { data: intelligenceData } = useApiPolling(fetchIntelFn, 60000)
+    const fetchForecastFn = useCallback(() => fetchSocForecast(id), [id])
+    const { data: forecastData } = useApiPolling(fetchForecastFn, 600000)
+    const forecast = forecastData?.forecast || null
+    const fetchLoadProfileFn = useCallback(() => fetchLoadProfile(id), [id])
+    const { data: loadProfileData } = useApiPolling(fetchLoadProfileFn, 300000)
+    const loadAnomaly = loadProfileData?.anomaly || null
+    const fetchPanelHealthFn = useCallback(() => fetchPanelHealth(id), [id])
+    const { data: panelHealthData, refetch: refetchPanelHealth } = useApiPolling(fetchPanelHealthFn, 600000)
+    const panelHealth = panelHealthData?.panel_health || null
+    const [schedulingCleaning, setSchedulingCleaning] = useState(false)
+
+    const handleScheduleCleaning = async () => {
+        const tpl = panelHealthData?.suggested_template
+        if (!tpl) return
+        setSchedulingCleaning(true)
+        try {
+            await createMaintenanceFromTemplate(tpl.id, parseInt(id), `Detected: ${panelHealth.reason}`)
+            toast.success(`${tpl.title} scheduled`)
+            refetchPanelHealth()
+        } catch (err) {
+            toast.error(err.message)
+        } finally {
+            setSchedulingCleaning(false)
+        }
+    }
+
+    const fetchPollHealthFn = useCallback(() => fetchSitePollHealth(id), [id])
+    const { data: pollHealthData } = useApiPolling(fetchPollHealthFn, 60000)
+    const telemetryHealth = pollHealthData?.telemetry || null
 
     const [analysisResult, setAnalysisResult] = useState(null)
     const [analysisLoading, setAnalysisLoading] = useState(false)
@@ -117,7 +156,10 @@ function TrailerDetail() {
         const end = Date.now()
         const start = end - RANGES[range]
         fetchHistory(id, start, end)
-            .then(res => setHistoryData(res.records || []))
+            .then(res => {
+                setHistoryData(res.records || [])
+                setHistoryTier(res.tier || 'raw')
+            })
             .catch(() => setHistoryData([]))
     }, [id, range])
 
@@ -340,6 +382,56 @@ function TrailerDetail() {
         }
     }, [pepwaveHistoryData, range])
 
+    const forecastChartData = useMemo(() => {
+        if (!forecast?.points?.length) return null
+        const first = forecast.points[0].t
+        const last = forecast.points[forecast.points.length - 1].t
+        return {
+            datasets: [{
+                label: 'Predicted SOC %',
+                data: forecast.points.map(p => ({ x: p.t, y: p.soc })),
+                borderColor: '#3498db',
+                backgroundColor: 'rgba(52, 152, 219, 0.1)',
+                fill: true, tension: 0.3, pointRadius: 0,
+            }, {
+                label: `Critical (${forecast.critical_soc_pct}%)`,
+                data: [{ x: first, y: forecast.critical_soc_pct }, { x: last, y: forecast.critical_soc_pct }],
+                borderColor: '#e74c3c', borderDash: [6, 4], borderWidth: 1,
+                fill: false, pointRadius: 0,
+            }],
+        }
+    }, [forecast])
+
+    // Actual hourly load against the learned profile (mean ± 1σ band)
+    const loadProfileChartData = useMemo(() => {
+        if (!loadProfileData?.learned) return null
+        const pts = loadProfileData.points
+        const band = (sign) => pts.map(p => ({ x: p.t, y: p.expected_w !== null ? Math.max(0, p.expected_w + sign * p.std_w) : null }))
+        return {
+            datasets: [{
+                label: 'Actual (W)',
+                data: pts.filter(p => p.actual_w !== null).map(p => ({ x: p.t, y: p.actual_w })),
+                borderColor: '#e74c3c',
+                backgroundColor: 'rgba(231, 76, 60, 0.1)',
+                fill: false, tension: 0.3, pointRadius: 0,
+            }, {
+                label: 'Expected (W)',
+                data: pts.map(p => ({ x: p.t, y: p.expected_w })),
+                borderColor: '#95a5a6', borderDash: [6, 4],
+                fill: false, tension: 0.3, pointRadius: 0, spanGaps: false,
+            }, {
+                label: 'Usual range',
+                data: band(1),
+                borderWidth: 0, backgroundColor: 'rgba(149, 165, 166, 0.15)',
+                fill: '+1', tension: 0.3, pointRadius: 0,
+            }, {
+                label: '',
+                data: band(-1),
+                borderWidth: 0, fill: false, tension: 0.3, pointRadius: 0,
+            }],
+        }
+    }, [loadProfileData])
+
     const chartOptions = {
         responsive: true, maintainAspectRatio: false,
         interaction: {
@@ -384,6 +476,7 @@ function TrailerDetail() {
                         hour: 'MMM d, HH:mm',
                         day: 'MMM d',
                         week: 'MMM d',
+                        month: 'MMM yyyy',
                     },
                 },
                 ticks: { color: '#7f8c8d', maxTicksLimit: 12, font: { family: 'Inter', size: 11 } },
@@ -413,19 +506,29 @@ function TrailerDetail() {
                         {parentJobSite && <span style={{ color: 'var(--text-secondary)', fontWeight: 400, fontSize: '0.7em', marginLeft: 10 }}>({parentJobSite.name})</span>}
                     </h1>
                     <button className="btn btn-secondary btn-sm" onClick={() => setShowReport(true)}>Export Report</button>
-                    <DataFreshness lastUpdated={vrmLastUpdated || lastUpdated} refetch={refetch} />
+                    <DataFreshness lastUpdated={vrmLastUpdated || lastUpdated} refetch={refetch} health={telemetryHealth} />
                 </div>
             </div>
 
-            {isVrmStale && (
+            {telemetryHealth?.consecutive_failures >= 3 ? (
+                <div className="stale-data-banner">
+                    Background polling has failed {telemetryHealth.consecutive_failures} times in a row
+                    {telemetryHealth.last_success ? ` (last success ${new Date(telemetryHealth.last_success).toLocaleString()})` : ''}: {telemetryHealth.last_error}
+                    {telemetryHealth.error_kind === 'auth' && ' — check the API token in Settings → System → Data Sources.'}
+                </div>
+            ) : isVrmStale && (
                 <div className="stale-data-banner">
                     VRM data is stale — Cerbo GX last reported {vrmLastUpdated ? new Date(vrmLastUpdated).toLocaleDateString() : 'unknown'}. Live values unavailable.
+                    {telemetryHealth?.status === 'ok' && ' VRM itself is answering, so the trailer (Cerbo GX or its connection) is offline.'}
                 </div>
             )}
 
             {/* Rental & billing status for this unit */}
             <RentalsInline vrmSiteId={parseInt(id)} title="Rental & Billing" />
 
+            {/* Open alerts with acknowledge / assign / snooze / resolve */}
+            <AlertsInline siteId={parseInt(id)} />
+
             {/* KPI Cards */}
             <div className="kpi-row">
                 <KpiCard
@@ -610,6 +713,7 @@ function TrailerDetail() {
                     <button key={r} className={`range-btn ${range === r ? 'active' : ''}`}
                         onClick={() => setRange(r)}>{r}</button>
                 ))}
+                {TIER_LABELS[historyTier] && <span className="range-label">{TIER_LABELS[historyTier]}</span>}
             </div>
 
             {/* Charts */}
@@ -670,9 +774,79 @@ function TrailerDetail() {
             </div>
 
             {/* Battery Health Prediction */}
+            {batteryHealthData?.soh?.summary && (() => {
+                const { summary, warranty, history, eol_soh_pct } = batteryHealthData.soh
+                const sohPoints = history.filter(h => h.soh_pct != null)
+                const sohTrend = summary.soh_pct == null ? 'stable' : summary.soh_pct <= eol_soh_pct ? 'declining' : summary.soh_pct >= 90 ? 'improving' : 'stable'
+                const formatDay = d => new Date(d + 'T00:00:00Z').toLocaleDateString(undefined, { month: 'short', year: 'numeric', timeZone: 'UTC' })
+                return (
+                    <div className="detail-section">
+                        <h2>Battery State of Health</h2>
+                        <div className="battery-health-card">
+                            <div className="battery-health-indicator">
+                                <span className={`battery-trend-badge trend-${sohTrend}`}>
+                                    {summary.soh_pct != null ? `${summary.soh_pct}% SoH` : 'SoH learning'}
+                                </span>
+                                <span className="battery-health-detail">
+                                    {summary.capacity_ah != null
+                                        ? `~${summary.capacity_ah} of ${summary.rated_ah} Ah (${summary.capacity_samples} discharge${summary.capacity_samples !== 1 ? 's' : ''}, ${batteryHealthData.soh.chemistry})`
+                                        : 'Needs a 20% discharge to estimate capacity'}
+                                </span>
+                                <span className="battery-health-detail">
+                                    {summary.cycle_count} cycles{summary.cycle_life ? ` of ~${summary.cycle_life} rated` : ''} · {summary.cycles_per_day}/day
+                                </span>
+                                {summary.projected_eol && (
+                                    <span className={summary.eol_basis === 'soh' ? 'battery-critical-warning' : 'battery-health-detail'}>
+                                        {summary.eol_basis === 'soh'
+                                            ? `At end of life (${eol_soh_pct}% SoH)`
+                                            : `End of life ~${formatDay(summary.projected_eol)} (${summary.eol_basis === 'soh_trend' ? 'SoH trend' : 'cycle life'})`}
+                                    </span>
+                                )}
+                            </div>
+                            <div className="battery-health-indicator">
+                                {summary.resistance_mohm != null && (
+                                    <span className="battery-health-detail">
+                                        Resistance {summary.resistance_mohm} mΩ
+                                        {summary.resistance_change_pct != null && ` (${summary.resistance_change_pct > 0 ? '+' : ''}${summary.resistance_change_pct}% vs first month)`}
+                                    </span>
+                                )}
+                                {summary.min_voltage_under_load != null && (
+                                    <span className="battery-health-detail">Sag under load to {summary.min_voltage_under_load} V</span>
+                                )}
+                                <span className="battery-health-detail">
+                                    {summary.temperature.hours_hot}h above 35°C, {summary.temperature.hours_cold}h below 0°C (12 mo)
+                                </span>
+                                {warranty && (
+                                    <span className={warranty.claim_candidate ? 'battery-critical-warning' : 'battery-health-detail'}>
+                                        {warranty.claim_candidate
+                                            ? `Warranty claim candidate — covered until ${new Date(warranty.warranty_expiry).toLocaleDateString()}`
+                                            : warranty.warranty_active
+                                                ? `Under warranty until ${new Date(warranty.warranty_expiry).toLocaleDateString()}`
+                                                : warranty.warranty_expiry ? 'Out of warranty' : 'No warranty date on record'}
+                                    </span>
+                                )}
+                            </div>
+                            {sohPoints.length > 1 && (
+                                <div className="battery-health-sparkline">
+                                    <svg viewBox={`0 0 ${sohPoints.length * 8} 40`} className="sparkline-svg">
+                                        <polyline
+                                            fill="none"
+                                            stroke={sohTrend === 'declining' ? '#e74c3c' : '#3498db'}
+                                            strokeWidth="2"
+                                            points={sohPoints.map((p, i) => `${i * 8},${40 - p.soh_pct * 0.4}`).join(' ')}
+                                        />
+                                    </svg>
+                                    <span className="sparkline-label">SoH since {formatDay(sohPoints[0].date)}</span>
+                                </div>
+                            )}
+                        </div>
+                    </div>
+                )
+            })()}
+
             {batteryHealthData && batteryHealthData.trend && batteryHealthData.trend !== 'insufficient_data' && (
                 <div className="detail-section">
-                    <h2>Battery Health Trend</h2>
+                    <h2>Battery Charge Trend</h2>
                     <div className="battery-health-card">
                         <div className="battery-health-indicator">
                             <span className={`battery-trend-badge trend-${batteryHealthData.trend}`}>
@@ -713,7 +887,7 @@ function TrailerDetail() {
                         <div className="detail-section-header">
                             <h2>System Intelligence</h2>
                             <span className="intel-specs-badge">
-                                {intel.specs.solar_capacity_w}W Solar / {(intel.specs.battery_capacity_wh / 1000).toFixed(1)} kWh Battery
+                                {intel.specs.profile_name && `${intel.specs.profile_name} · `}{intel.specs.solar_capacity_w}W Solar / {(intel.specs.battery_capacity_wh / 1000).toFixed(1)} kWh Battery
                             </span>
                         </div>
 
@@ -767,6 +941,7 @@ function TrailerDetail() {
                                     {intel.battery.stored_wh !== null && intel.energy.avg_daily_consumption_wh !== null && (
                                         <span>{intel.battery.stored_wh}Wh / {intel.energy.avg_daily_consumption_wh}Wh per day</span>
                                     )}
+                                    <button className="btn btn-sm btn-ghost" onClick={() => navigate(`/planner?site=${id}`)}>Plan extra loads</button>
                                 </div>
                             </div>
 
@@ -800,12 +975,86 @@ function TrailerDetail() {
                         </div>
 
                         {/* Predictive SOC Alert */}
-                        {intel.predictive && intel.predictive.days_to_critical !== null && intel.predictive.days_to_critical <= 5 && (
+                        {intel.predictive?.critical_at ? (
+                            <div className={`intel-predictive-alert ${intel.predictive.status === 'critical' ? 'intel-predictive-critical' : 'intel-predictive-warning'}`}>
+                                <strong>Critical SOC at {new Date(intel.predictive.critical_at).toLocaleString([], { weekday: 'short', hour: 'numeric', minute: '2-digit' })}:</strong>{' '}
+                                forecast reaches {intel.predictive.critical_soc_pct}% in {intel.predictive.hours_to_critical}h with expected sun and usual load
+                            </div>
+                        ) : intel.predictive && intel.predictive.days_to_critical !== null && intel.predictive.days_to_critical <= 5 && (
                             <div className={`intel-predictive-alert ${intel.predictive.status === 'critical' ? 'intel-predictive-critical' : 'intel-predictive-warning'}`}>
                                 <strong>Predicted SOC Depletion:</strong> {intel.predictive.days_to_critical} day{intel.predictive.days_to_critical !== 1 ? 's' : ''} to critical ({intel.predictive.critical_soc_pct}% SOC)
                             </div>
                         )}
 
+                        {/* Load anomaly vs learned profile */}
+                        {loadAnomaly && (loadAnomaly.status === 'high' || loadAnomaly.status === 'low') && (
+                            <div className="intel-predictive-alert intel-predictive-warning">
+                                <strong>Load {loadAnomaly.status === 'high' ? 'above' : 'below'} normal:</strong>{' '}
+                                {loadAnomaly.actual_w}W now vs {loadAnomaly.expected_w}W usual for {loadAnomaly.hour_label} ({loadAnomaly.sigma > 0 ? '+' : ''}{loadAnomaly.sigma}σ)
+                                {loadAnomaly.status === 'high' ? ' — something left on or added?' : ' — equipment off or failed?'}
+                            </div>
+                        )}
+
+                        {/* Panel soiling / shading on clear days */}
+                        {panelHealth?.status === 'degraded' && (
+                            <div className={`intel-predictive-alert ${panelHealth.classification === 'hardware_fault' ? 'intel-predictive-critical' : 'intel-predictive-warning'}`}>
+                                <strong>
+                                    {panelHealth.classification === 'soiling' ? 'Panels need cleaning' : panelHealth.classification === 'shading' ? 'Panels shaded' : 'Solar output fault'}
+                                    {' '}({Math.round(panelHealth.performance_ratio * 100)}% of clear-sky output, {panelHealth.confidence} confidence):
+                                </strong>{' '}
+                                {panelHealth.reason}
+                                {panelHealth.open_cleaning_log_id && ' — cleaning scheduled'}
+                                {canEdit && panelHealthData.suggested_template && (
+                                    <button className="btn btn-sm btn-primary" style={{ marginLeft: 8 }} disabled={schedulingCleaning} onClick={handleScheduleCleaning}>
+                                        {schedulingCleaning ? 'Scheduling…' : `Schedule ${panelHealthData.suggested_template.name}`}
+                                    </button>
+                                )}
+                            </div>
+                        )}
+
+                        {/* 72h SOC Forecast */}
+                        {forecastChartData && (
+                            <div className="chart-card" style={{ marginBottom: 16 }}>
+                                <div className="chart-card-header">
+                                    <h3>72h SOC Forecast</h3>
+                                    <span className="intel-source-tag">
+                                        {forecast.solar_source === 'astronomical' ? 'Clear-sky estimate' : 'Open-Meteo'} · {forecast.load_source === 'weekly_profile' ? 'learned load profile' : 'daily average load'}
+                                    </span>
+                                </div>
+                                <div className="chart-container">
+                                    <Line data={forecastChartData} options={{
+                                        ...chartOptions,
+                                        scales: { ...chartOptions.scales, y: { ...chartOptions.scales.y, min: 0, max: 100 } },
+                                    }} />
+                                </div>
+                                <div className="intel-metric-secondary">
+                                    Low point {forecast.min_soc}% at {new Date(forecast.min_soc_at).toLocaleString([], { weekday: 'short', hour: 'numeric' })}
+                                    {forecast.full_at && <> · full by {new Date(forecast.full_at).toLocaleString([], { weekday: 'short', hour: 'numeric' })}</>}
+                                    {' '}· {forecast.yield_per_psh_wh}Wh per sun-hour
+                                </div>
+                            </div>
+                        )}
+
+                        {/* Load vs Expected */}
+                        {loadProfileChartData && (
+                            <div className="chart-card" style={{ marginBottom: 16 }}>
+                                <div className="chart-card-header">
+                                    <h3>Load vs Expected</h3>
+                                    <span className="intel-source-tag">Learned from the last 4 weeks, by hour of week</span>
+                                </div>
+                                <div className="chart-container">
+                                    <Line data={loadProfileChartData} options={{
+                                        ...chartOptions,
+                                        plugins: {
+                                            ...chartOptions.plugins,
+                                            legend: { ...chartOptions.plugins.legend, labels: { ...chartOptions.plugins.legend.labels, filter: item => item.text !== '' } },
+                                        },
+                                        scales: { ...chartOptions.scales, y: { ...chartOptions.scales.y, min: 0 } },
+                                    }} />
+                                </div>
+                            </div>
+                        )}
+
                         {/* Weather context */}
                         {intel.location.data_source !== 'default' && (
                             <div className="intel-weather-context">
@@ -932,6 +1181,11 @@ function TrailerDetail() {
                                 </div>
                             ))}
                         </div>
+
+                        <div className="detail-net-block">
+                            <h4>Remote Actions</h4>
+                            <RouterActions device={pepwaveDevice} />
+                        </div>
                     </div>
                 </div>
             )}
@@ -1052,12 +1306,15 @@ function TrailerDetail() {
                             </thead>
                             <tbody>
                                 {components.map(comp => {
-                                    const typeLabel = { battery: 'Battery', solar_panel: 'Solar Panel', inverter: 'Inverter', charge_controller: 'Charge Controller', router: 'Router', camera: 'Camera' }[comp.component_type] || comp.component_type
+                                    const typeLabel = { battery: 'Battery', solar_panel: 'Solar Panel', inverter: 'Inverter', charge_controller: 'Charge Controller', router: 'Router', sim: 'SIM', camera: 'Camera' }[comp.component_type] || comp.component_type
                                     const fmtDate = (ts) => ts ? new Date(Number(ts)).toLocaleDateString([], { month: 'short', day: 'numeric', year: 'numeric' }) : '—'
                                     const warrantyExpired = comp.warranty_expiry && Number(comp.warranty_expiry) < Date.now()
                                     return (
                                         <tr key={comp.id} className="component-row">
-                                            <td><span className="component-type-badge">{typeLabel}</span></td>
+                                            <td>
+                                                <span className="component-type-badge">{typeLabel}</span>
+                                                {comp.source === 'ic2_inventory' && <span className="text-muted" title="Kept in sync from InControl2"> IC2</span>}
+                                            </td>
                                             <td>{comp.make || '—'}</td>
                                             <td>{comp.model || '—'}</td>
                                             <td className="mono">{comp.serial_number || '—'}</td>
@@ -1,9 +1,10 @@
-import { useState, useCallback, useMemo } from 'react'
+import { useState, useCallback, useMemo, useEffect } from 'react'
 import { Link } from 'react-router-dom'
 import { useApiPolling } from '../hooks/useApiPolling'
+import { useLiveStream } from '../hooks/useLiveStream'
 import { useAuth } from '../components/AuthProvider'
 import { useToast } from '../components/ToastProvider'
-import { fetchTrailers, createTrailer, updateTrailerAsset } from '../api/vrm'
+import { fetchTrailers, createTrailer, updateTrailerAsset, fetchTelemetrySources, fetchHardwareProfiles } from '../api/vrm'
 import {
     TRAILER_STATUS_LABELS, TrailerStatusBadge, RentalStatusBadge, formatDate, todayStr,
 } from '../components/RentalLifecycle'
@@ -30,6 +31,8 @@ function TrailersPage() {
 
     const fetchFn = useCallback(() => fetchTrailers(), [])
     const { data, loading, refetch } = useApiPolling(fetchFn, 60000)
+    // Rental events change a trailer's status and open rental
+    useLiveStream({ 'rental.event': () => refetch(), reset: () => refetch() })
     const trailers = data?.trailers || []
 
     const counts = useMemo(() => {
@@ -218,8 +221,20 @@ function TrailerModal({ trailer, onSaved, onError, onClose }) {
         status: trailer?.status || 'available',
         purchase_date: trailer?.purchase_date ? String(trailer.purchase_date).slice(0, 10) : '',
         condition_notes: trailer?.condition_notes || '',
+        telemetry_source: trailer?.telemetry_source || 'vrm',
+        telemetry_endpoint: trailer?.telemetry_config?.url || trailer?.telemetry_config?.file || '',
+        hardware_profile_id: trailer?.hardware_profile_id ? String(trailer.hardware_profile_id) : '',
     })
     const [saving, setSaving] = useState(false)
+    const [sources, setSources] = useState([{ name: 'vrm', label: 'Victron VRM' }])
+    const [profiles, setProfiles] = useState([])
+
+    useEffect(() => {
+        fetchTelemetrySources().then(d => { if (d?.sources?.length) setSources(d.sources) }).catch(() => { })
+        fetchHardwareProfiles().then(d => setProfiles((d?.profiles || []).filter(p => p.id != null))).catch(() => { })
+    }, [])
+
+    const productProfile = profiles.find(p => p.product_code && p.product_code === (form.product_code.trim() || 'BV1305'))
 
     const set = (key) => (e) => setForm(f => ({ ...f, [key]: e.target.value }))
 
@@ -234,7 +249,12 @@ function TrailerModal({ trailer, onSaved, onError, onClose }) {
                 status: form.status,
                 purchase_date: form.purchase_date || null,
                 condition_notes: form.condition_notes || null,
+                telemetry_source: form.telemetry_source,
+                hardware_profile_id: form.hardware_profile_id ? parseInt(form.hardware_profile_id) : null,
             }
+            const endpoint = form.telemetry_endpoint.trim()
+            if (form.telemetry_source === 'gateway') payload.telemetry_config = { ...trailer?.telemetry_config, url: endpoint }
+            else if (form.telemetry_source === 'replay') payload.telemetry_config = { ...trailer?.telemetry_config, file: endpoint }
             if (isNew) await createTrailer(payload)
             else await updateTrailerAsset(trailer.id, payload)
             onSaved()
@@ -263,6 +283,18 @@ function TrailerModal({ trailer, onSaved, onError, onClose }) {
                             <input className="input" value={form.product_code} onChange={set('product_code')} placeholder="BV1305" />
                         </div>
                     </div>
+                    {profiles.length > 0 && (
+                        <div style={{ marginBottom: 14 }}>
+                            <label className="form-label">Hardware Profile</label>
+                            <select className="input" value={form.hardware_profile_id} onChange={set('hardware_profile_id')}>
+                                <option value="">By product code{productProfile ? ` (${productProfile.name})` : ' (BV1305)'}</option>
+                                {profiles.map(p => (
+                                    <option key={p.id} value={p.id}>{p.name} — {p.specs.solar.total_watts}W / {(p.specs.battery.total_wh / 1000).toFixed(1)} kWh</option>
+                                ))}
+                            </select>
+                            <p className="settings-desc" style={{ marginTop: 4 }}>Solar and battery specs used for expected yield and autonomy. Override only for retrofitted units.</p>
+                        </div>
+                    )}
                     <div style={{ display: 'flex', gap: 12, marginBottom: 14 }}>
                         <div style={{ flex: 1 }}>
                             <label className="form-label">VIN / Serial</label>
@@ -289,6 +321,30 @@ function TrailerModal({ trailer, onSaved, onError, onClose }) {
                             <p className="settings-desc" style={{ marginTop: 4 }}>Rental lifecycle events manage this automatically — override only for maintenance holds or corrections.</p>
                         </div>
                     </div>
+                    <div style={{ display: 'flex', gap: 12, marginBottom: 14 }}>
+                        <div style={{ flex: 1 }}>
+                            <label className="form-label">Telemetry Source</label>
+                            <select className="input" value={form.telemetry_source} onChange={set('telemetry_source')}>
+                                {sources.map(s => (
+                                    <option key={s.name} value={s.name}>{s.label}</option>
+                                ))}
+                            </select>
+                        </div>
+                        {form.telemetry_source !== 'vrm' && (
+                            <div style={{ flex: 1 }}>
+                                <label className="form-label">{form.telemetry_source === 'replay' ? 'Fixture File' : 'Gateway URL'}</label>
+                                <input
+                                    className="input"
+                                    value={form.telemetry_endpoint}
+                                    onChange={set('telemetry_endpoint')}
+                                    placeholder={form.telemetry_source === 'replay' ? 'bv-042-week.json' : 'http://10.0.0.2:8080/latest'}
+                                />
+                            </div>
+                        )}
+                    </div>
+                    {form.telemetry_source !== 'vrm' && !form.vrm_site_id && !trailer?.ic2_device_id && (
+                        <p className="settings-desc" style={{ marginTop: -8, marginBottom: 14 }}>Needs a VRM site ID or a linked Pepwave to report under — otherwise it won't be polled.</p>
+                    )}
                     <div style={{ marginBottom: 14 }}>
                         <label className="form-label">Condition Notes</label>
                         <textarea className="input" rows={2} value={form.condition_notes} onChange={set('condition_notes')} />
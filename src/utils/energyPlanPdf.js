@@ -0,0 +1,123 @@
+import jsPDF from 'jspdf'
+import 'jspdf-autotable'
+
+const PSH_SOURCE_LABELS = { irradiance: 'Irradiance history', history: 'Recorded', modeled: 'Modeled' }
+
+function wh(v) {
+    if (v == null) return '—'
+    const abs = Math.abs(v)
+    return abs >= 1000 ? `${(v / 1000).toFixed(2)} kWh` : `${Math.round(v)} Wh`
+}
+
+// What-if energy plan as a one-page quote attachment
+export function generateEnergyPlanPDF(plan, { customer } = {}) {
+    const doc = new jsPDF({ orientation: 'portrait', unit: 'mm', format: 'a4' })
+    const pageWidth = doc.internal.pageSize.getWidth()
+    const margin = 15
+    const { target } = plan
+
+    // Header band
+    doc.setFillColor(26, 29, 35)
+    doc.rect(0, 0, pageWidth, 34, 'F')
+    doc.setTextColor(255, 255, 255)
+    doc.setFontSize(16)
+    doc.setFont('helvetica', 'bold')
+    doc.text('BIGView OMNI — Solar Power Plan', margin, 14)
+    doc.setFontSize(11)
+    doc.setFont('helvetica', 'normal')
+    const trailers = `${target.trailer_count} trailer${target.trailer_count !== 1 ? 's' : ''}`
+    doc.text(`${customer ? `${customer} · ` : ''}${target.name} · ${trailers}`, margin, 23)
+    doc.setFontSize(8)
+    doc.setTextColor(149, 165, 166)
+    doc.text(`Generated ${new Date(plan.generated_at).toLocaleDateString()} — ${target.latitude.toFixed(2)}, ${target.longitude.toFixed(2)}`, margin, 29)
+
+    // Summary
+    let y = 44
+    doc.setTextColor(26, 29, 35)
+    doc.setFontSize(10)
+    const summary = [
+        ['Solar array', `${plan.system.solar_watts} W (${wh(plan.system.wh_per_psh)} per peak sun hour)`],
+        ['Usable battery', wh(plan.system.usable_wh)],
+        ['Current load', `${wh(plan.baseline_wh)}/day`],
+        ['Added load', `${wh(plan.added_wh)}/day`],
+        ['Total load', `${wh(plan.total_load_wh)}/day`],
+        ['Days of autonomy (no sun)', plan.days_of_autonomy != null ? `${plan.days_of_autonomy} days` : '—'],
+    ]
+    for (const [label, value] of summary) {
+        doc.setFont('helvetica', 'normal')
+        doc.text(label, margin, y)
+        doc.setFont('helvetica', 'bold')
+        doc.text(value, margin + 60, y)
+        y += 6
+    }
+
+    y += 2
+    doc.setFontSize(11)
+    if (plan.deficit_months.length === 0) {
+        doc.setTextColor(46, 204, 113)
+        doc.text('Energy-positive in every month of the year.', margin, y)
+    } else {
+        doc.setTextColor(231, 76, 60)
+        doc.text(`Runs a deficit in: ${plan.deficit_months.join(', ')}`, margin, y)
+        if (plan.worst_month.days_to_empty != null) {
+            y += 5
+            doc.setFontSize(9)
+            const worst = target.trailer_count > 1
+                ? ` (${plan.worst_month.worst_trailer}; ${plan.worst_month.deficit_trailers} of ${target.trailer_count} trailers short)`
+                : ''
+            doc.text(`Worst month ${plan.worst_month.label}: a full battery lasts about ${plan.worst_month.days_to_empty} days${worst}`, margin, y)
+        }
+    }
+
+    if (plan.loads.length > 0) {
+        doc.autoTable({
+            startY: y + 6,
+            head: [['Added Load', 'Watts', 'Hours/Day', 'Qty', 'Wh/Day']],
+            body: plan.loads.map(l => [l.name, String(l.watts), String(l.hours_per_day), String(l.quantity), String(l.wh_per_day)]),
+            theme: 'striped',
+            styles: { fontSize: 8.5, cellPadding: 2.5 },
+            headStyles: { fillColor: [42, 46, 56], textColor: [255, 255, 255], fontStyle: 'bold' },
+            columnStyles: { 1: { halign: 'right' }, 2: { halign: 'right' }, 3: { halign: 'right' }, 4: { halign: 'right' } },
+            margin: { left: margin, right: margin },
+        })
+        y = doc.lastAutoTable.finalY
+    }
+
+    doc.autoTable({
+        startY: y + 6,
+        head: [['Month', 'Sun Hours', 'Source', 'Solar/Day', 'Load/Day', 'Balance/Day']],
+        body: plan.months.map(m => [
+            m.label,
+            m.psh.toFixed(1),
+            PSH_SOURCE_LABELS[m.psh_source] || m.psh_source,
+            wh(m.yield_wh),
+            wh(m.load_wh),
+            `${m.balance_wh >= 0 ? '+' : ''}${wh(m.balance_wh)}`,
+        ]),
+        theme: 'striped',
+        styles: { fontSize: 8.5, cellPadding: 2.5 },
+        headStyles: { fillColor: [42, 46, 56], textColor: [255, 255, 255], fontStyle: 'bold' },
+        columnStyles: { 1: { halign: 'right' }, 3: { halign: 'right' }, 4: { halign: 'right' }, 5: { halign: 'right', fontStyle: 'bold' } },
+        didParseCell: (data) => {
+            if (data.section === 'body' && data.column.index === 5 && plan.months[data.row.index].deficit) {
+                data.cell.styles.textColor = [231, 76, 60]
+            }
+        },
+        margin: { left: margin, right: margin },
+    })
+
+    y = doc.lastAutoTable.finalY + 8
+    doc.setFontSize(8)
+    doc.setFont('helvetica', 'normal')
+    doc.setTextColor(127, 140, 141)
+    doc.text(doc.splitTextToSize(
+        'Irradiance history months average past years of measured sun at this location; recorded months use this '
+        + 'equipment\'s own days at the site; modeled months use clear-sky irradiance '
+        + 'for the latitude with typical cloud cover. Balance is solar in minus load out per day; surplus is charged '
+        + `at ${Math.round(plan.system.charge_efficiency * 100)}% efficiency. Actual weather varies year to year.`,
+        pageWidth - margin * 2
+    ), margin, y)
+
+    const safeName = target.name.replace(/[^\w-]+/g, '_')
+    doc.save(`Power_Plan_${safeName}_${new Date(plan.generated_at).toISOString().slice(0, 10)}.pdf`)
+}